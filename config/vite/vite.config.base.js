@@ -184,6 +184,9 @@ export const createBaseConfig = (browser, options = {}) => {
             if ((id.includes('src/features/subtitle-translation') || id.includes('src/apps/subtitle')) && !id.includes('node_modules')) {
               return 'features/feature-subtitle'
             }
+            if ((id.includes('src/features/document-translation') || id.includes('src/apps/document')) && !id.includes('node_modules')) {
+              return 'features/feature-document'
+            }
 
             // 4. Large Language Data (Keeps the main bundle small)
             if (id.includes('src/utils/i18n/locales/')) {
@@ -31,7 +31,7 @@ function fixExtensionPaths() {
     await fs.ensureDir(htmlDir);
     
     // Fix paths in HTML files
-    const htmlFiles = ['popup.html', 'sidepanel.html', 'options.html', 'offscreen.html', 'subtitle.html', 'pdf.html'];
+    const htmlFiles = ['popup.html', 'sidepanel.html', 'options.html', 'offscreen.html', 'subtitle.html', 'pdf.html', 'document.html'];
     
     for (const htmlFile of htmlFiles) {
       const srcPath = resolve(outDir, htmlFile);
@@ -209,7 +209,7 @@ export default defineConfig({
     ...(baseConfig.plugins || []),
     fixExtensionPaths(),
     webExtension({
-      additionalInputs: ['src/core/content-scripts/index-iframe.js', 'src/html/offscreen.html', 'src/html/subtitle.html', 'src/html/pdf.html'],
+      additionalInputs: ['src/core/content-scripts/index-iframe.js', 'src/html/offscreen.html', 'src/html/subtitle.html', 'src/html/pdf.html', 'src/html/document.html'],
       manifest: async () => {
           const manifest = generateValidatedManifest('chrome');
           manifest.background = {
@@ -0,0 +1,66 @@
+// scripts/dev/update-ocr-model-manifest.mjs
+//
+// Regenerates the OCR model checksum manifest. Every supported language model
+// is downloaded from the pinned @tesseract.js-data package and hashed; models the
+// package does not publish are left out and stay unverified at install time.
+//
+// Usage: node scripts/dev/update-ocr-model-manifest.mjs
+
+/* eslint-disable no-undef */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import chalk from "chalk";
+import { fileURLToPath } from "url";
+import { SUPPORTED_OCR_LANGUAGES } from "../../src/features/screen-capture/utils/ocrLanguageMap.js";
+import {
+  OCR_MODEL_BASE_URL,
+  OCR_MODEL_PACKAGE_VERSION,
+  OCR_MODEL_VARIANT,
+} from "../../src/features/screen-capture/services/ocrModelManifest.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const manifestPath = path.resolve(
+  __dirname,
+  "../../src/features/screen-capture/services/ocrModelManifest.js"
+);
+
+const MANIFEST_PATTERN = /export const OCR_MODEL_MANIFEST = Object\.freeze\(\{[\s\S]*?\n\}\);/;
+
+async function hashModel(code) {
+  const url = `${OCR_MODEL_BASE_URL}/${code}@${OCR_MODEL_PACKAGE_VERSION}/${OCR_MODEL_VARIANT}/${code}.traineddata.gz`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    return null;
+  }
+
+  const bytes = Buffer.from(await response.arrayBuffer());
+  return {
+    sha256: crypto.createHash("sha256").update(bytes).digest("hex"),
+    size: bytes.byteLength,
+  };
+}
+
+const entries = [];
+for (const { code } of SUPPORTED_OCR_LANGUAGES) {
+  const entry = await hashModel(code);
+  if (!entry) {
+    console.log(chalk.yellow(`- ${code}: not published, skipped`));
+    continue;
+  }
+  console.log(chalk.green(`- ${code}: ${entry.sha256}`));
+  entries.push(`  ${code}: { sha256: '${entry.sha256}', size: ${entry.size} },`);
+}
+
+if (entries.length === 0) {
+  console.error(chalk.red("No model could be downloaded; the manifest was left unchanged."));
+  process.exit(1);
+}
+
+const source = fs.readFileSync(manifestPath, "utf8");
+const manifest = `export const OCR_MODEL_MANIFEST = Object.freeze({\n${entries.join("\n").replace(/,$/, "")}\n});`;
+fs.writeFileSync(manifestPath, source.replace(MANIFEST_PATTERN, manifest));
+
+console.log(chalk.blue(`\nWrote ${entries.length} checksums to ${path.relative(process.cwd(), manifestPath)}`));
@@ -21,10 +21,12 @@ const LanguagesTab = () => import('@/apps/options/tabs/LanguagesTab.vue')
 const ProvidersTab = () => import('@/apps/options/tabs/ProvidersTab.vue')
 const AppearanceTab = () => import('@/apps/options/tabs/AppearanceTab.vue')
 const ActivationTab = () => import('@/apps/options/tabs/ActivationTab.vue')
+const ShortcutsTab = () => import('@/apps/options/tabs/ShortcutsTab.vue')
 const TTSTab = () => import('@/apps/options/tabs/TTSTab.vue')
 const OCRTab = () => import('@/apps/options/tabs/OCRTab.vue')
 const PdfTab = () => import('@/apps/options/tabs/PdfTab.vue')
 const PromptTab = () => import('@/apps/options/tabs/PromptTab.vue')
+const GlossaryTab = () => import('@/apps/options/tabs/GlossaryTab.vue')
 const ImportExportTab = () => import('@/apps/options/tabs/ImportExportTab.vue')
 const AdvanceTab = () => import('@/apps/options/tabs/AdvanceTab.vue')
 const HelpTab = () => import('@/apps/options/tabs/HelpTab.vue')
@@ -93,7 +95,7 @@ async function initializeApp() {
           logger.debug(`Detected hash #${hash}, redirecting to help tab`);
         } else if (hash && hash !== '') {
           // Use the hash path if it's valid
-          const validRoutes = ['languages', 'providers', 'appearance', 'activation', 'tts', 'ocr', 'pdf', 'prompt', 'import-export', 'advance', 'about', 'help'];
+          const validRoutes = ['languages', 'providers', 'appearance', 'activation', 'keyboard-shortcuts', 'tts', 'ocr', 'pdf', 'prompt', 'glossary', 'import-export', 'advance', 'about', 'help'];
           if (validRoutes.includes(hash)) {
             initialRoute = `/${hash}`;
             logger.debug(`Detected hash #${hash}, redirecting to ${initialRoute} tab`);
@@ -118,7 +120,7 @@ async function initializeApp() {
             return initialRoute;
           }
           // If current hash matches a valid route, use it instead
-          const validRoutes = ['languages', 'providers', 'appearance', 'activation', 'tts', 'ocr', 'pdf', 'prompt', 'import-export', 'advance', 'about', 'help'];
+          const validRoutes = ['languages', 'providers', 'appearance', 'activation', 'keyboard-shortcuts', 'tts', 'ocr', 'pdf', 'prompt', 'glossary', 'import-export', 'advance', 'about', 'help'];
           if (validRoutes.includes(currentHash)) {
             logger.debug(`Root redirect: current hash #${currentHash} is valid, using it`);
             return `/${currentHash}`;
@@ -129,10 +131,12 @@ async function initializeApp() {
         { path: '/languages', component: LanguagesTab, name: 'languages' },
         { path: '/providers', component: ProvidersTab, name: 'providers' },
         { path: '/activation', component: ActivationTab, name: 'activation' },
+        { path: '/keyboard-shortcuts', component: ShortcutsTab, name: 'keyboard-shortcuts' },
         { path: '/tts', component: TTSTab, name: 'tts' },
         { path: '/ocr', component: OCRTab, name: 'ocr' },
         { path: '/pdf', component: PdfTab, name: 'pdf' },
         { path: '/prompt', component: PromptTab, name: 'prompt' },
+        { path: '/glossary', component: GlossaryTab, name: 'glossary' },
         { path: '/appearance', component: AppearanceTab, name: 'appearance' },
         { path: '/advance', component: AdvanceTab, name: 'advance' },
         { path: '/import-export', component: ImportExportTab, name: 'import-export' },
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { mount } from '@vue/test-utils';
+import ScreenCaptureOverlay from './ScreenCaptureOverlay.vue';
+import { pageEventBus } from '@/core/PageEventBus.js';
+import { SCREEN_CAPTURE_EVENTS } from '@/features/screen-capture/events/ScreenCaptureEvents.js';
+
+vi.mock('@/core/PageEventBus.js', () => ({
+  pageEventBus: {
+    on: vi.fn(),
+    off: vi.fn(),
+    emit: vi.fn()
+  }
+}));
+
+vi.mock('@/composables/shared/useUnifiedI18n.js', () => ({
+  useUnifiedI18n: () => ({ t: (key) => key })
+}));
+
+const mockCopyText = vi.hoisted(() => vi.fn());
+
+vi.mock('@/features/text-actions/composables/useCopyAction.js', () => ({
+  useCopyAction: () => ({ copyText: mockCopyText })
+}));
+
+const getListener = (event) => pageEventBus.on.mock.calls.find(call => call[0] === event)[1];
+
+const lines = [
+  { text: 'Open menu', bbox: { x: 20, y: 40, width: 200, height: 40 }, translatedText: 'Menü öffnen' },
+  { text: 'Settings', bbox: { x: 20, y: 100, width: 160, height: 40 }, translatedText: 'Einstellungen' }
+];
+
+describe('ScreenCaptureOverlay', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    window.devicePixelRatio = 2;
+  });
+
+  it('places each translated line over its box in CSS pixels', async () => {
+    const wrapper = mount(ScreenCaptureOverlay);
+
+    await getListener(SCREEN_CAPTURE_EVENTS.OVERLAY_SHOW)({ id: 1, lines, coordinates: { x: 0, y: 0, width: 400, height: 200 } });
+    await wrapper.vm.$nextTick();
+
+    const rendered = wrapper.findAll('.ti-capture-overlay-line');
+    expect(rendered.map(line => line.text())).toEqual(['Menü öffnen', 'Einstellungen']);
+    expect(rendered[1].attributes('style')).toContain('left: 10px');
+    expect(rendered[1].attributes('style')).toContain('top: 50px');
+  });
+
+  it('toggles to the original text and copies lines', async () => {
+    mockCopyText.mockResolvedValue(true);
+    const wrapper = mount(ScreenCaptureOverlay);
+    await getListener(SCREEN_CAPTURE_EVENTS.OVERLAY_SHOW)({ id: 3, lines });
+    await wrapper.vm.$nextTick();
+
+    await wrapper.findAll('.ti-capture-overlay-line-copy')[0].trigger('click');
+    expect(mockCopyText).toHaveBeenLastCalledWith('Menü öffnen');
+
+    await wrapper.findAll('.ti-capture-overlay-btn')[0].trigger('click');
+    expect(wrapper.findAll('.ti-capture-overlay-line-text').map(line => line.text())).toEqual(['Open menu', 'Settings']);
+    expect(wrapper.find('.ti-capture-overlay-line').classes()).toContain('show-original');
+
+    await wrapper.findAll('.ti-capture-overlay-btn')[1].trigger('click');
+    expect(mockCopyText).toHaveBeenLastCalledWith('Open menu\nSettings');
+  });
+
+  it('shows errors only for the current overlay and closes on Escape', async () => {
+    const wrapper = mount(ScreenCaptureOverlay);
+    await getListener(SCREEN_CAPTURE_EVENTS.OVERLAY_SHOW)({ id: 2, lines, isLoading: true });
+
+    getListener(SCREEN_CAPTURE_EVENTS.OVERLAY_ERROR)({ id: 1, error: new Error('stale') });
+    expect(wrapper.vm.errorMessage).toBe('');
+
+    getListener(SCREEN_CAPTURE_EVENTS.OVERLAY_ERROR)({ id: 2, error: new Error('quota') });
+    expect(wrapper.vm.errorMessage).toBe('quota');
+    expect(wrapper.vm.isLoading).toBe(false);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(wrapper.vm.isVisible).toBe(false);
+  });
+});
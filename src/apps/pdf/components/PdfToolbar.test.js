@@ -342,7 +342,7 @@ describe('PdfToolbar', () => {
     expect(exportTrigger.find('.pdf-toolbar__submenu-chevron').exists()).toBe(true)
 
     await exportTrigger.trigger('click')
-    expect(wrapper.findAll('.pdf-toolbar__flyout .pdf-toolbar__menu-row')).toHaveLength(3)
+    expect(wrapper.findAll('.pdf-toolbar__flyout .pdf-toolbar__menu-row')).toHaveLength(9)
   })
 
   it('keeps Open PDF and Export inside the hamburger menu', async () => {
@@ -383,6 +383,7 @@ describe('PdfToolbar', () => {
     expect(menu.text()).toContain('Export TXT')
     expect(menu.text()).toContain('Export Markdown')
     expect(menu.text()).toContain('Export HTML')
+    expect(menu.text()).toContain('Export PDF')
 
     await toggleExportSubmenu()
     await wrapper.findAll('.pdf-toolbar__export-menu .pdf-toolbar__export-item').find(b => b.text().includes('Open PDF')).trigger('click')
@@ -404,6 +405,26 @@ describe('PdfToolbar', () => {
     await wrapper.findAll('button').find((button) => button.text().includes('Export HTML'))?.trigger('click')
     expect(wrapper.emitted('export-html')).toBeTruthy()
 
+    await wrapper.find('.pdf-toolbar__button[aria-label="More actions"]').trigger('click')
+    await toggleExportSubmenu()
+    await wrapper.findAll('button').find((button) => button.text() === 'Export PDF')?.trigger('click')
+    expect(wrapper.emitted('export-pdf')).toBeTruthy()
+
+    await wrapper.find('.pdf-toolbar__button[aria-label="More actions"]').trigger('click')
+    await toggleExportSubmenu()
+    await wrapper.findAll('button').find((button) => button.text().includes('Export PDF with Font'))?.trigger('click')
+    expect(wrapper.emitted('export-pdf-with-font')).toBeTruthy()
+
+    await wrapper.find('.pdf-toolbar__button[aria-label="More actions"]').trigger('click')
+    await toggleExportSubmenu()
+    await wrapper.findAll('button').find((button) => button.text() === 'Bilingual HTML (Alternating)')?.trigger('click')
+    expect(wrapper.emitted('export-bilingual')?.at(-1)?.[0]).toEqual({ layout: 'alternating', target: 'html' })
+
+    await wrapper.find('.pdf-toolbar__button[aria-label="More actions"]').trigger('click')
+    await toggleExportSubmenu()
+    await wrapper.findAll('button').find((button) => button.text() === 'Print Bilingual (Columns)')?.trigger('click')
+    expect(wrapper.emitted('export-bilingual')?.at(-1)?.[0]).toEqual({ layout: 'columns', target: 'print' })
+
     await wrapper.find('.pdf-toolbar__zoom-select').setValue('125')
     expect(wrapper.emitted('zoom-change')?.at(-1)?.[0]).toEqual({ mode: 'percent', value: 125 })
 
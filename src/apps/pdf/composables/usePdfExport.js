@@ -3,11 +3,28 @@ import { getScopedLogger } from '@/shared/logging/logger.js'
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js'
 import { pdfDocumentSession } from '@/features/pdf-translation/core/PdfDocumentSession.js'
 import { PdfExportCollector } from '@/features/pdf-translation/core/PdfExportCollector.js'
-import { buildTxtOutput, buildMarkdownOutput, buildHtmlOutput } from '@/features/pdf-translation/core/PdfExportFormatter.js'
-import { downloadFile, buildExportFilename } from '@/features/pdf-translation/core/PdfFileDownloader.js'
+import { buildTxtOutput, buildMarkdownOutput, buildHtmlOutput, buildBilingualHtmlOutput } from '@/features/pdf-translation/core/PdfExportFormatter.js'
+import { downloadFile, printHtmlDocument, buildExportFilename } from '@/features/pdf-translation/core/PdfFileDownloader.js'
+import { PdfFileReader } from '@/features/pdf-translation/core/PdfFileReader.js'
+import { PdfFontEmbedder } from '@/features/pdf-translation/core/PdfFontEmbedder.js'
+import { PdfExportFontResolver } from '@/features/pdf-translation/core/PdfExportFontResolver.js'
+import { PdfTranslatedDocumentBuilder } from '@/features/pdf-translation/core/PdfTranslatedDocumentBuilder.js'
+import { sampleCanvasBackgroundColor } from '../utils/pdfCanvasSampler.js'
+import { OVERLAY_BACKGROUND } from '../utils/pdfOverlayTypography.js'
 
 const logger = getScopedLogger(LOG_COMPONENTS.PDF, 'usePdfExport')
 const collector = new PdfExportCollector(pdfDocumentSession)
+const fontResolver = new PdfExportFontResolver()
+
+function resolveMaskColor(mask, canvas, metric) {
+  if (!canvas || !metric?.width || !metric?.height) return OVERLAY_BACKGROUND
+
+  // Keyed by the owning block so the color matches the on-screen overlay
+  return sampleCanvasBackgroundColor(canvas, mask.boundingBox, metric.scale || 1, mask.ownerId || mask.id, {
+    rasterScaleX: canvas.width / metric.width,
+    rasterScaleY: canvas.height / metric.height
+  })
+}
 
 export function usePdfExport(translationTick) {
   const exportError = ref('')
@@ -91,12 +108,102 @@ export function usePdfExport(translationTick) {
     }
   }
 
+  /**
+   * Exports source and translation together, page by page, with a table of
+   * contents taken from the document outline.
+   * @param {Object} [options]
+   * @param {'columns'|'alternating'} [options.layout] - aligned columns or alternating paragraphs
+   * @param {'html'|'print'} [options.target] - download an HTML file or open the print dialog
+   */
+  async function exportBilingual({ layout = 'columns', target = 'html' } = {}) {
+    try {
+      exportError.value = ''
+
+      const pages = await collector.collectSpatialBlocks()
+      if (pages.length === 0) {
+        exportError.value = 'No translated blocks to export.'
+        return false
+      }
+
+      const title = collector.getDocumentTitle()
+      const outline = await collector.collectOutlineEntries()
+      const printable = target === 'print'
+      const content = buildBilingualHtmlOutput({ documentTitle: title, pages, outline, layout, printable })
+
+      if (printable) {
+        await printHtmlDocument(content)
+        logger.info('Bilingual PDF export opened for printing:', { layout, pageCount: pages.length })
+        return true
+      }
+
+      const filename = buildExportFilename(title, 'html', 'bilingual')
+      downloadFile(content, filename, 'text/html')
+      logger.info('PDF exported as bilingual HTML:', { filename, layout, pageCount: pages.length })
+      return true
+    } catch (error) {
+      logger.error('Failed to export bilingual PDF:', error)
+      exportError.value = error?.message || 'Failed to export bilingual document.'
+      return false
+    }
+  }
+
+  /**
+   * Writes the original PDF with translated blocks masked and redrawn in place.
+   * @param {Object} [options]
+   * @param {Map<number, HTMLCanvasElement>} [options.canvases] - rendered pages, used to match mask colors
+   * @param {File|Blob|null} [options.fontFile] - font that takes precedence over bundled and local fonts
+   */
+  async function exportPdf({ canvases = new Map(), fontFile = null } = {}) {
+    try {
+      exportError.value = ''
+
+      const pages = await collector.collectPdfOverlayPages()
+      if (pages.length === 0) {
+        exportError.value = 'No translated blocks to export.'
+        return false
+      }
+
+      const data = await pdfDocumentSession.getDocumentData()
+      if (!data) {
+        exportError.value = 'The PDF document is no longer available.'
+        return false
+      }
+
+      for (const page of pages) {
+        const canvas = canvases.get(page.pageNumber)
+        const metric = pdfDocumentSession.pageMetrics?.find((m) => m.pageNumber === page.pageNumber)
+        for (const mask of page.masks) {
+          mask.color = resolveMaskColor(mask, canvas, metric)
+        }
+      }
+
+      const text = pages.flatMap((page) => page.blocks.map((block) => block.translatedText)).join('\n')
+      const fonts = await fontResolver.resolveFonts(text, { fontFile })
+      const reader = await PdfFileReader.open(data)
+      const builder = new PdfTranslatedDocumentBuilder(reader, new PdfFontEmbedder(fonts))
+      const bytes = await builder.build(pages)
+
+      const title = collector.getDocumentTitle()
+      const filename = buildExportFilename(title, 'pdf')
+
+      downloadFile(bytes, filename, 'application/pdf')
+      logger.info('PDF exported with translations:', { filename, pageCount: pages.length, fontCount: fonts.length })
+      return true
+    } catch (error) {
+      logger.error('Failed to export translated PDF:', error)
+      exportError.value = error?.message || 'Failed to export as PDF.'
+      return false
+    }
+  }
+
   return {
     exportStats,
     canExport,
     exportError,
     exportTxt,
     exportMarkdown,
-    exportHtml
+    exportHtml,
+    exportBilingual,
+    exportPdf
   }
 }
@@ -8,6 +8,8 @@ import { PdfOcrProcessor } from '@/features/pdf-translation/core/PdfOcrProcessor
 import { pdfCacheManager } from '@/features/pdf-translation/core/PdfCacheManager.js'
 import { OCR_ENGINE_VERSION } from '@/features/pdf-translation/core/PdfOcrCompatibility.js'
 import { mapOcrError } from '@/features/ocr/errors/ocrErrorMapper.js'
+import { useOCRStore } from '@/features/screen-capture/stores/ocrStore.js'
+import { toTesseractLanguageCode } from '@/features/screen-capture/utils/ocrLanguageMap.js'
 
 const logger = getScopedLogger(LOG_COMPONENTS.PDF, 'usePdfOcr')
 
@@ -25,6 +27,7 @@ export function usePdfOcr({ onOcrComplete, onOcrStart, onOcrProgress, onOcrError
   const recommendationEngine = new PdfOcrRecommendationEngine()
   const processor = new PdfOcrProcessor(pdfDocumentSession)
   const settingsStore = useSettingsStore()
+  const ocrStore = useOCRStore()
 
   const ocrRecommendationCount = ref(0)
   const ocrRecommendations = ref([])
@@ -32,12 +35,18 @@ export function usePdfOcr({ onOcrComplete, onOcrStart, onOcrProgress, onOcrError
   const isOcrProcessing = ref(false)
   const ocrError = ref('')
   const ocrLanguage = ref('eng')
+  const missingOcrLanguage = ref(null)
   let activeRunId = 0
 
   function getCurrentOcrLanguage() {
     return settingsStore.settings.OCR_DEFAULT_LANG || 'eng'
   }
 
+  // Until the installed list is loaded the engine reports missing models itself
+  function isOcrModelMissing(language) {
+    return ocrStore.initialized && !ocrStore.isDownloaded(language)
+  }
+
   function refreshOcrRecommendations() {
     const candidates = pdfDocumentSession.getLoadedVisibleOcrCandidates()
     const recommendations = recommendationEngine.getRecommendations(candidates, getCurrentOcrLanguage())
@@ -63,6 +72,18 @@ export function usePdfOcr({ onOcrComplete, onOcrStart, onOcrProgress, onOcrError
     let pageNumbers = []
     let batchErrorCode = null
     let terminalResult = null
+    missingOcrLanguage.value = null
+
+    // Refuse before touching any page when the model is missing; OCR never downloads models
+    const language = toTesseractLanguageCode(getCurrentOcrLanguage())
+    if (isOcrModelMissing(language)) {
+      logger.info('OCR model not installed:', language)
+      isOcrProcessing.value = false
+      ocrError.value = 'model-not-installed'
+      missingOcrLanguage.value = language
+      onOcrError?.('model-not-installed', { language })
+      return
+    }
 
     onOcrStart?.()
 
@@ -172,6 +193,7 @@ export function usePdfOcr({ onOcrComplete, onOcrStart, onOcrProgress, onOcrError
     isOcrProcessing,
     ocrError,
     ocrLanguage,
+    missingOcrLanguage,
     refreshOcrRecommendations,
     requestOcr,
     confirmOcr,
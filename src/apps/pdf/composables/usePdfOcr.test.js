@@ -85,6 +85,16 @@ vi.mock('@/features/pdf-translation/core/PdfCacheManager.js', () => ({
   }
 }))
 
+const mockOcrStore = {
+  initialized: true,
+  downloadedLanguages: ['eng'],
+  isDownloaded: vi.fn((lang) => mockOcrStore.downloadedLanguages.includes(lang))
+}
+
+vi.mock('@/features/screen-capture/stores/ocrStore.js', () => ({
+  useOCRStore: () => mockOcrStore
+}))
+
 const { usePdfOcr } = await import('./usePdfOcr.js')
 
 function createScannedPageSession(pageNumber, overrides = {}) {
@@ -130,6 +140,8 @@ describe('usePdfOcr', () => {
     commitListener = null
     visibleListener = null
     mockProcessPages = vi.fn(async () => [])
+    mockOcrStore.initialized = true
+    mockOcrStore.downloadedLanguages = ['eng', 'fra']
     ocrSettings.OCR_DEFAULT_LANG = 'eng'
     mockPdfDocumentSession.pageSessions = new Map()
     mockPdfDocumentSession.visiblePageNumbers = new Set()
@@ -492,6 +504,27 @@ describe('usePdfOcr', () => {
     expect(await getBatchOcrError([missingModelFailure, genericFailure])).toBe('model-not-installed')
   })
 
+  it('refuses OCR without processing pages when the model is missing', async () => {
+    const onOcrStart = vi.fn()
+    const onOcrError = vi.fn()
+    const { api, wrapper } = mountComposable({ onOcrStart, onOcrError })
+    ocrSettings.OCR_DEFAULT_LANG = 'fa'
+    mockPdfDocumentSession.pageSessions.set(1, createScannedPageSession(1))
+    mockPdfDocumentSession.visiblePageNumbers.add(1)
+    api.refreshOcrRecommendations()
+
+    await api.requestOcr()
+
+    expect(mockOcrStore.isDownloaded).toHaveBeenCalledWith('fas')
+    expect(mockProcessPages).not.toHaveBeenCalled()
+    expect(onOcrStart).not.toHaveBeenCalled()
+    expect(onOcrError).toHaveBeenCalledWith('model-not-installed', { language: 'fas' })
+    expect(api.ocrError.value).toBe('model-not-installed')
+    expect(api.missingOcrLanguage.value).toBe('fas')
+    expect(api.isOcrProcessing.value).toBe(false)
+    wrapper.unmount()
+  })
+
   it('removes lifecycle listeners on unmount', () => {
     const { wrapper } = mountComposable()
 
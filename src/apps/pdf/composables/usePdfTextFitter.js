@@ -1,7 +1,5 @@
 import { computed, onMounted, ref, watch, nextTick } from 'vue'
-
-const MIN_FONT_SCALE = 0.6
-const FIT_DECREMENT = 0.05
+import { MIN_FONT_SCALE, FIT_DECREMENT } from '../utils/pdfOverlayTypography.js'
 
 /**
  * Shared adaptive font-fitting logic for PDF overlay text elements.
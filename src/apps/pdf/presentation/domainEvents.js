@@ -8,7 +8,7 @@ export const DomainEvents = Object.freeze({
   exportCompleted: ({ format } = {}) => ({ name: 'export-completed', format }),
   exportFailed: ({ error } = {}) => ({ name: 'export-failed', error }),
   ocrFailed: () => ({ name: 'ocr-failed' }),
-  ocrLanguageMissing: () => ({ name: 'ocr-language-missing' }),
+  ocrLanguageMissing: ({ languageName } = {}) => ({ name: 'ocr-language-missing', languageName }),
   regionOcrNoText: () => ({ name: 'region-ocr-no-text' }),
   regionOcrFailed: () => ({ name: 'region-ocr-failed' }),
   comparisonCompleted: ({ id, summary, result } = {}) => ({ name: 'comparison-completed', id, summary, result }),
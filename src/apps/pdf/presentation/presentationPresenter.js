@@ -2,6 +2,8 @@ const FORMAT_LABELS = Object.freeze({
   txt: 'TXT',
   markdown: 'Markdown',
   html: 'HTML',
+  pdf: 'PDF',
+  'bilingual-html': 'Bilingual HTML',
   json: 'JSON'
 })
 
@@ -76,7 +78,9 @@ export function present(domainResult) {
       return {
         intent: 'acknowledgement',
         severity: 'error',
-        message: 'No OCR language installed. Download one from the OCR menu.'
+        message: domainResult.languageName
+          ? `The ${domainResult.languageName} OCR model is not installed. Download it from the OCR menu.`
+          : 'No OCR language installed. Download one from the OCR menu.'
       }
 
     case 'region-ocr-no-text':
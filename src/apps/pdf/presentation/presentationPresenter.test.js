@@ -52,6 +52,13 @@ describe('Presentation Presenter', () => {
       expect(intent.message).toContain('No OCR language installed')
     })
 
+    it('names the missing OCR model when known', () => {
+      const intent = present({ name: 'ocr-language-missing', languageName: 'Persian' })
+
+      expect(intent.severity).toBe('error')
+      expect(intent.message).toContain('Persian OCR model is not installed')
+    })
+
     it('presents region-ocr-no-text as warning', () => {
       const intent = present({ name: 'region-ocr-no-text' })
 
@@ -3,6 +3,8 @@ import { resolvePdfFontFamily } from './pdfFontMap.js'
 export const OVERLAY_BACKGROUND = 'rgb(255, 255, 255)'
 export const DEFAULT_ASCENT = 0.8
 const DEFAULT_DESCENT = 0.2
+export const MIN_FONT_SCALE = 0.6
+export const FIT_DECREMENT = 0.05
 
 export function resolveFontFamily(fontFamily) {
   return resolvePdfFontFamily(fontFamily)
@@ -20,6 +22,24 @@ export function computeLineHeight(ascent, descent) {
   return resolveAscent(ascent) + resolveDescent(descent)
 }
 
+/**
+ * Steps the font scale down the same way the overlay text fitter does, for
+ * callers that can measure text without a DOM (e.g. PDF export).
+ * @param {(fontScale: number) => boolean} fits
+ * @returns {number} the first fitting scale, or MIN_FONT_SCALE
+ */
+export function resolveFittedFontScale(fits) {
+  if (fits(1)) return 1
+
+  let fontScale = 1
+  while (fontScale > MIN_FONT_SCALE) {
+    fontScale = Math.max(MIN_FONT_SCALE, fontScale - FIT_DECREMENT)
+    if (fits(fontScale)) return fontScale
+  }
+
+  return MIN_FONT_SCALE
+}
+
 export function detectTextDirection(text) {
   if (!text) return 'ltr'
 
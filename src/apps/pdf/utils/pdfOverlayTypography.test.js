@@ -8,7 +8,9 @@ import {
   computeLineHeight,
   detectTextDirection,
   buildOverlayBaseStyle,
-  buildOverlayPositionStyle
+  buildOverlayPositionStyle,
+  resolveFittedFontScale,
+  MIN_FONT_SCALE
 } from './pdfOverlayTypography.js'
 
 describe('pdfOverlayTypography', () => {
@@ -90,4 +92,30 @@ describe('pdfOverlayTypography', () => {
     expect(style.width).toBe('450px')
     expect(style.height).toBe('21px')
   })
+
+  it('resolveFittedFontScale keeps full size when the text fits', () => {
+    expect(resolveFittedFontScale(() => true)).toBe(1)
+  })
+
+  it('resolveFittedFontScale returns the first fitting step', () => {
+    const tried = []
+    const scale = resolveFittedFontScale((fontScale) => {
+      tried.push(fontScale)
+      return fontScale < 0.76
+    })
+
+    expect(scale).toBeCloseTo(0.75)
+    expect(tried).toHaveLength(6)
+  })
+
+  it('resolveFittedFontScale stops at the minimum scale', () => {
+    const tried = []
+    const scale = resolveFittedFontScale((fontScale) => {
+      tried.push(fontScale)
+      return false
+    })
+
+    expect(scale).toBe(MIN_FONT_SCALE)
+    expect(Math.min(...tried)).toBe(MIN_FONT_SCALE)
+  })
 })
@@ -66,7 +66,11 @@ vi.mock('@/utils/UtilsFactory.js', () => ({
 }))
 
 vi.mock('@/composables/shared/useLanguages.js', () => ({
-  preloadLanguages: vi.fn().mockResolvedValue(undefined)
+  preloadLanguages: vi.fn().mockResolvedValue(undefined),
+  useLanguages: () => ({
+    targetLanguages: ref([]),
+    loadLanguages: vi.fn().mockResolvedValue(undefined)
+  })
 }))
 
 vi.mock('@/components/base/LoadingSpinner.vue', () => ({
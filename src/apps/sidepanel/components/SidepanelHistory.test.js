@@ -35,12 +35,24 @@ const mockHistory = {
   hasHistory: ref(true),
   isLoading: ref(false),
   historyError: ref(''),
+  historyFilters: ref({ query: '' }),
+  historyStats: ref(null),
+  searchResults: ref([]),
+  searchTotal: ref(0),
+  isSearching: ref(false),
+  isSearchActive: ref(false),
   loadHistory: vi.fn().mockResolvedValue(undefined),
+  loadHistoryStats: vi.fn().mockResolvedValue(undefined),
+  searchHistory: vi.fn().mockResolvedValue(undefined),
+  resetHistoryFilters: vi.fn(),
   deleteHistoryItem: vi.fn().mockResolvedValue(undefined),
+  deleteHistoryEntry: vi.fn().mockResolvedValue(undefined),
   clearAllHistory: vi.fn().mockResolvedValue(true),
   exportHistory: vi.fn(),
   formatTime: vi.fn(() => 'Just now'),
 };
+// Outside of a search the panel lists the recent history
+mockHistory.displayedHistoryItems = mockHistory.sortedHistoryItems;
 
 vi.mock('@/features/history/composables/useHistory.js', () => ({
   useHistory: () => mockHistory,
@@ -122,6 +134,9 @@ describe('SidepanelHistory', () => {
         timestamp: 0,
       },
     ];
+    mockHistory.isSearchActive.value = false;
+    mockHistory.searchResults.value = [];
+    mockHistory.displayedHistoryItems = mockHistory.sortedHistoryItems;
   });
 
   it('renders translated text as sanitized markdown preview while keeping source text plain', async () => {
@@ -183,4 +198,35 @@ describe('SidepanelHistory', () => {
     expect(translatedText.find('img').exists()).toBe(true);
     expect(translatedText.element.querySelector('img')?.getAttribute('onerror')).toBeNull();
   });
+
+  it('lists search results and deletes them by entry while a search is active', async () => {
+    const result = {
+      id: 'entry-1',
+      sourceText: 'archived text',
+      translatedText: 'متن بایگانی',
+      sourceLanguage: 'en',
+      targetLanguage: 'fa',
+      timestamp: 0,
+    };
+    mockHistory.isSearchActive.value = true;
+    mockHistory.searchResults.value = [result];
+    mockHistory.searchTotal.value = 1;
+    mockHistory.displayedHistoryItems = mockHistory.searchResults;
+
+    const wrapper = mount(SidepanelHistory, {
+      props: {
+        isVisible: true,
+      },
+    });
+
+    await flushPromises();
+
+    expect(wrapper.find('.history-search-summary').exists()).toBe(true);
+    expect(wrapper.find('.source-text').text()).toBe('archived text');
+
+    await wrapper.find('.delete-btn').trigger('click');
+
+    expect(mockHistory.deleteHistoryEntry).toHaveBeenCalledWith(expect.objectContaining({ id: 'entry-1' }));
+    expect(mockHistory.deleteHistoryItem).not.toHaveBeenCalled();
+  });
 });
@@ -33,7 +33,11 @@ vi.mock('@/features/subtitle-translation/composables/useSubtitleTranslation.js',
     error: ref(''),
     currentFile: ref(null),
     cues: ref([]),
+    checkpoint: ref(null),
     startTranslation: vi.fn(),
+    findCheckpoint: vi.fn(async () => null),
+    resumeTranslation: vi.fn(),
+    discardCheckpoint: vi.fn(),
     cancelTranslation: vi.fn(),
     downloadResult: vi.fn(),
     cleanup: vi.fn(),
@@ -308,4 +308,14 @@ describe('TranslationDisplay.vue', () => {
     });
     expect(wrapper.html()).toContain('Line 1<br>Line 2');
   });
+
+  it('names the answering provider only when a failover chain answered', async () => {
+    const failover = { requestedProvider: 'gemini', answeredBy: 'deepl', attempts: [{ provider: 'gemini', errorType: 'QUOTA_EXCEEDED' }] };
+
+    const failedOver = await mountDisplay({ content: 'Hallo', lastTranslation: { failover } });
+    expect(failedOver.find('.ti-failover-notice').text()).toBe('translation_failover_notice');
+
+    const direct = await mountDisplay({ content: 'Hallo', lastTranslation: { provider: 'gemini', failover: null } });
+    expect(direct.find('.ti-failover-notice').exists()).toBe(false);
+  });
 });
@@ -124,6 +124,20 @@ describe('TranslationWindowToolbar.vue', () => {
     expect(wrapper.emitted('close')).toEqual([[]]);
   });
 
+  it('shows the save-word button only when requested', async () => {
+    const hidden = mount(TranslationWindowToolbar, { props: baseProps });
+    expect(hidden.find('[data-testid="translation-window-toolbar-save-word"]').exists()).toBe(false);
+
+    const wrapper = mount(TranslationWindowToolbar, {
+      props: { ...baseProps, showSaveWordButton: true, isWordSaved: true, saveWordTitle: 'vocabulary_save_word' },
+    });
+    const button = wrapper.find('[data-testid="translation-window-toolbar-save-word"]');
+
+    expect(button.classes()).toContain('ti-active');
+    await button.trigger('click');
+    expect(wrapper.emitted('save-word')).toEqual([[]]);
+  });
+
   it('keeps provider dedupe state isolated between toolbar instances', () => {
     const first = mount(TranslationWindowToolbar, {
       props: baseProps,
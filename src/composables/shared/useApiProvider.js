@@ -19,7 +19,7 @@ export function useApiProvider() {
   const { safeStorageSet, setupStorageListener, removeStorageListener } = useBrowserAPI('api-provider');
   const settingsStore = useSettingsStore();
 
-  const currentProviderData = computed(() => getProviderById(currentProvider.value));
+  const currentProviderData = computed(() => getProviderById(currentProvider.value, settingsStore.settings?.CUSTOM_PROFILES));
   const currentProviderIcon = computed(() => {
     try {
       const fallback = 'icons/providers/google.svg';
@@ -43,7 +43,7 @@ export function useApiProvider() {
 
   const loadAvailableProviders = () => {
     try {
-      const providers = getProvidersForDropdown();
+      const providers = getProvidersForDropdown(null, settingsStore.settings?.CUSTOM_PROFILES);
       logger.debug('Raw providers from registry:', providers.map(p => ({ id: p.id, name: p.name, hasValue: !!p.value })));
       availableProviders.value = providers.map(p => ({ ...p }));
       logger.debug('Loaded available providers:', availableProviders.value.map(p => p.id));
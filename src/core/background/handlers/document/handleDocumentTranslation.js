@@ -0,0 +1,28 @@
+import { documentTranslationCoordinator } from '@/features/document-translation/core/DocumentTranslationCoordinator.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'handleDocumentTranslation');
+
+/**
+ * Handler for document (DOCX/EPUB) translation messages.
+ */
+export async function handleDocumentTranslation(message) {
+  const { action, data } = message;
+
+  switch (action) {
+    case MessageActions.DOCUMENT_TRANSLATE:
+      // Long running job; progress is reported through broadcasts
+      documentTranslationCoordinator.startJob(data);
+      return { success: true, message: 'Document job started' };
+
+    case MessageActions.DOCUMENT_TRANSLATE_CANCEL:
+      documentTranslationCoordinator.cancelJob(data.jobId);
+      return { success: true, message: 'Document job cancellation requested' };
+
+    default:
+      logger.warn(`Unknown action for document handler: ${action}`);
+      return { success: false, error: `Unknown action: ${action}` };
+  }
+}
@@ -0,0 +1,43 @@
+import { historyStorage } from '@/features/history/storage/HistoryStorage.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.HISTORY, 'handleHistory');
+
+/**
+ * Handler for history archive messages. The archive lives in the background's
+ * IndexedDB, so content-script UIs (mobile sheet) query it through here too.
+ */
+export async function handleHistory(message) {
+  const { action, data = {} } = message;
+
+  try {
+    switch (action) {
+      case MessageActions.GET_HISTORY: {
+        const { filters = {}, limit, offset, includeStats = false } = data;
+        const [{ items, total }, stats] = await Promise.all([
+          historyStorage.queryHistory(filters, { limit, offset }),
+          includeStats ? historyStorage.getHistoryStats() : null
+        ]);
+        return { success: true, items, total, ...(stats && { stats }) };
+      }
+
+      case MessageActions.DELETE_HISTORY_ITEMS: {
+        const removed = await historyStorage.removeHistoryItems(data.ids || []);
+        return { success: true, removed };
+      }
+
+      case MessageActions.CLEAR_HISTORY:
+        await historyStorage.clearHistory();
+        return { success: true };
+
+      default:
+        logger.warn(`Unknown action for history handler: ${action}`);
+        return { success: false, error: `Unknown action: ${action}` };
+    }
+  } catch (error) {
+    logger.error(`History action ${action} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
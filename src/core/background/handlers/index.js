@@ -43,3 +43,9 @@ export * from "./lazy/handleVueIntegrationLazy.js";
 
 // Subtitle translation handlers
 export * from "./subtitle/handleSubtitleTranslation.js";
+
+// Document translation handlers
+export * from "./document/handleDocumentTranslation.js";
+
+// History handlers
+export * from "./history/handleHistory.js";
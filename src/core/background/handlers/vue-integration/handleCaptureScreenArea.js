@@ -6,6 +6,8 @@ import { ttsStateManager } from '@/features/tts/services/TTSStateManager.js';
 import { getSettingsAsync } from "@/shared/config/config.js";
 import { MessageActions } from "@/shared/messaging/core/MessageActions.js";
 import { toTesseractLanguageCode } from '@/features/screen-capture/utils/ocrLanguageMap.js';
+import { isOcrModelInstalled } from '@/features/screen-capture/services/ocrModelManager.js';
+import { normalizeOcrLines } from '@/features/screen-capture/utils/ocrLines.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 
@@ -16,25 +18,36 @@ export async function handleCaptureScreenArea(message, sender, sendResponse) {
   const { coordinates, ocrLang: requestedOcrLang, captureId } = message.data;
 
   try {
-    // 1. Capture visible tab
-    const imageData = await browser.tabs.captureVisibleTab({
-      format: "png",
-    });
-
-    // 2. Ensure offscreen document is ready
-    await ttsStateManager.ensureOffscreenDocument();
-
-    // 3. Get OCR language mapping
+    // 1. Get OCR language mapping
     // Priority: 1. Manually requested via UI, 2. OCR_DEFAULT_LANG from settings, 3. fallback to current source language
     const settings = await getSettingsAsync();
 
     const ocrLang = requestedOcrLang || settings.OCR_DEFAULT_LANG || settings.SOURCE_LANGUAGE || 'eng';
     const tesseractLang = toTesseractLanguageCode(ocrLang === 'auto' ? 'eng' : ocrLang);
 
+    // 2. Refuse before capturing when the model is not installed; OCR never downloads models itself
+    if (!(await isOcrModelInstalled(tesseractLang))) {
+      logger.info(`OCR model for ${tesseractLang} is not installed`);
+      const missingResponse = { success: false, error: 'model-not-installed', lang: tesseractLang };
+      if (sendResponse && typeof sendResponse === 'function') {
+        sendResponse(missingResponse);
+      }
+      return missingResponse;
+    }
+
+    // 3. Capture visible tab
+    const imageData = await browser.tabs.captureVisibleTab({
+      format: "png",
+    });
+
+    // Ensure offscreen document is ready
+    await ttsStateManager.ensureOffscreenDocument();
+
     logger.debug(`Starting OCR with language: ${tesseractLang}`, { requestedOcrLang });
 
     // 4. Perform OCR
     let extractedText = '';
+    let lines = [];
 
     if (browser.offscreen) {
       // Chrome: Send to offscreen for OCR
@@ -56,6 +69,7 @@ export async function handleCaptureScreenArea(message, sender, sendResponse) {
       
       // Robustly handle different response formats from offscreen context
       extractedText = ocrResponse.text || ocrResponse.data?.text || '';
+      lines = ocrResponse.lines || ocrResponse.data?.lines || [];
       logger.info("OCR completed in offscreen context", { 
         textLength: extractedText.length,
         hasCoordinates: !!coordinates 
@@ -63,8 +77,10 @@ export async function handleCaptureScreenArea(message, sender, sendResponse) {
     } else {
       // Firefox: Run OCR directly in background script (as it has DOM access)
       try {
-        const { recognize } = await import('@/features/screen-capture/services/ocrEngine.js');
-        extractedText = await recognize(imageData, tesseractLang, coordinates);
+        const { recognizeStructured } = await import('@/features/screen-capture/services/ocrEngine.js');
+        const result = await recognizeStructured(imageData, tesseractLang, coordinates);
+        extractedText = result.text;
+        lines = normalizeOcrLines(result.lines);
         logger.info("OCR completed in background context (Firefox)", { 
           textLength: extractedText.length,
           hasCoordinates: !!coordinates 
@@ -82,6 +98,7 @@ export async function handleCaptureScreenArea(message, sender, sendResponse) {
     // 5. Send message to content script to show preview
     const resultData = {
       text: extractedText,
+      lines,
       imageData,
       coordinates,
       timestamp: Date.now(),
@@ -4,6 +4,8 @@ import { settingsManager } from '@/shared/managers/SettingsManager.js';
 import { pageEventBus } from '@/core/PageEventBus.js';
 import { ExclusionChecker } from '@/features/exclusion/core/ExclusionChecker.js';
 import { checkUrlExclusionAsync } from '@/features/exclusion/utils/exclusion-utils.js';
+import { getShortcutBindings } from '@/features/shortcuts/core/ShortcutRegistry.js';
+import { ShortcutSequenceMatcher } from '@/features/shortcuts/core/ShortcutSequenceMatcher.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.CONTENT, 'InteractionCoordinator');
 
@@ -15,6 +17,7 @@ class InteractionCoordinator {
     
     this.isTopFrame = window === window.top;
     this.revertMightBeNeeded = false;
+    this.shortcutMatcher = new ShortcutSequenceMatcher();
     
     this.handlers = {
       textSelection: this._handleTextSelection.bind(this),
@@ -33,7 +36,8 @@ class InteractionCoordinator {
       const sync = () => this.sync();
       const featureSettings = [
         'EXTENSION_ENABLED', 'TRANSLATE_ON_TEXT_SELECTION', 'SHOW_DESKTOP_FAB',
-        'TRANSLATE_WITH_SELECT_ELEMENT', 'ENABLE_SHORTCUT_FOR_TEXT_FIELDS', 'EXCLUDED_SITES'
+        'TRANSLATE_WITH_SELECT_ELEMENT', 'ENABLE_SHORTCUT_FOR_TEXT_FIELDS', 'EXCLUDED_SITES',
+        'TEXT_FIELD_SHORTCUT', 'SHORTCUTS', 'SHORTCUTS_DISABLED_SITES'
       ];
 
       featureSettings.forEach(setting => {
@@ -64,6 +68,7 @@ class InteractionCoordinator {
 
   async sync() {
     const isEnabled = settingsManager.isExtensionEnabled() && !(await checkUrlExclusionAsync());
+    this.shortcutMatcher.setBindings(getShortcutBindings(settingsManager.get.bind(settingsManager)));
 
     // Define listener requirements dynamically
     const config = [
@@ -110,10 +115,23 @@ class InteractionCoordinator {
   }
 
   async _handleKeyboardInteraction(event) {
-    const isMainShortcut = event.ctrlKey && event.key === '/';
     const isEscape = event.key === 'Escape' || event.code === 'Escape';
-    
-    if (!isMainShortcut && !(isEscape && this.revertMightBeNeeded)) return;
+    const match = isEscape ? null : this.shortcutMatcher.handle(event, { editable: this._isEditableTarget(event.target) });
+
+    // Keep the page from reacting to any step of a bound shortcut
+    if (match) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    if (match?.status === 'matched') {
+      const { loadFeature } = await import('./chunks/lazy-features.js');
+      const handler = await loadFeature('shortcut');
+      handler?.handleShortcutAction?.(match.id);
+      return;
+    }
+
+    if (!(isEscape && this.revertMightBeNeeded)) return;
 
     const { loadFeature } = await import('./chunks/lazy-features.js');
     
@@ -121,11 +139,13 @@ class InteractionCoordinator {
     const handler = await loadFeature('shortcut', isEscape);
     if (handler && typeof handler.handleKeyboardEvent === 'function') {
       handler.handleKeyboardEvent(event);
-    } else if (isMainShortcut && handler?.handleTranslationShortcut) {
-      handler.handleTranslationShortcut();
     }
   }
 
+  _isEditableTarget(el) {
+    return !!el && (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'INPUT' || el.tagName === 'SELECT');
+  }
+
   async _handleTextFieldFocus(event) {
     const el = event.target;
     const isEditable = el && (el.isContentEditable || el.tagName === 'TEXTAREA' || 
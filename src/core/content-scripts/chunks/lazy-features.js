@@ -151,6 +151,7 @@ export async function loadFeatureOnDemand(featureName) {
     shortcut: async () => await loadFeature('shortcut'),
     textFieldIcon: async () => await loadFeature('textFieldIcon'),
     mouseHover: async () => await loadFeature('mouseHover'),
+    videoCaptions: async () => await loadFeature('videoCaptions'),
     vue: async () => {
       if (window.translateItContentCore?.loadVueApp) {
         await window.translateItContentCore.loadVueApp();
@@ -73,7 +73,7 @@ if (!window.translateItContentScriptCore) {
       } catch { /* ignore */ }
 
       // Load Lite Features
-      const LITE_FEATURES = ['messaging', 'extensionContext', 'contentMessageHandler', 'mouseHover'];
+      const LITE_FEATURES = ['messaging', 'extensionContext', 'contentMessageHandler', 'mouseHover', 'videoCaptions'];
       for (const feature of LITE_FEATURES) {
         await contentScriptCore.loadFeature(feature);
       }
@@ -23,7 +23,7 @@ export class MainFeatureLoader {
     this.FEATURE_CATEGORIES = {
       CRITICAL: ['messaging', 'extensionContext'], // Core infrastructure
       ESSENTIAL: ['contentMessageHandler'], // Essential communication
-      LAZY_UI: ['vue', 'textSelection', 'mouseHover'], // UI & Selection
+      LAZY_UI: ['vue', 'textSelection', 'mouseHover', 'videoCaptions'], // UI & Selection
       INTERACTIVE: ['windowsManager', 'selectElement', 'pageTranslation', 'screenCapture'], // On-demand heavy UI
       ON_DEMAND: ['shortcut', 'textFieldIcon'] // Optional features
     };
@@ -51,8 +51,10 @@ export const FEATURE_CONFIG = {
   },
 
   shortcut: {
-    settings: ['ENABLE_SHORTCUT_FOR_TEXT_FIELDS'],
-    settingKey: 'ENABLE_SHORTCUT_FOR_TEXT_FIELDS'
+    settings: ['ENABLE_SHORTCUT_FOR_TEXT_FIELDS', 'SHORTCUTS', 'SHORTCUTS_DISABLED_SITES'],
+    // The text field shortcut or any bound action shortcut keeps the feature on
+    isEnabled: (get) => get('ENABLE_SHORTCUT_FOR_TEXT_FIELDS', true) ||
+                        Object.values(get('SHORTCUTS', {}) || {}).some(Boolean)
   },
 
   pageTranslation: {
@@ -68,6 +70,11 @@ export const FEATURE_CONFIG = {
   mouseHover: {
     settings: ['MOUSE_HOVER_TRANSLATION_ENABLED'],
     settingKey: 'MOUSE_HOVER_TRANSLATION_ENABLED'
+  },
+
+  videoCaptions: {
+    settings: ['VIDEO_CAPTIONS_TRANSLATION_ENABLED'],
+    settingKey: 'VIDEO_CAPTIONS_TRANSLATION_ENABLED'
   }
 };
 
@@ -82,5 +89,5 @@ export const ALL_FEATURES = Object.keys(FEATURE_CONFIG);
 export const RELEVANT_FEATURE_SETTINGS = Array.from(new Set(
   Object.values(FEATURE_CONFIG)
     .flatMap(cfg => cfg.settings || [])
-    .concat(['EXTENSION_ENABLED', 'EXCLUDED_SITES'])
+    .concat(['EXTENSION_ENABLED', 'EXCLUDED_SITES', 'SITE_PROFILES'])
 ));
@@ -373,6 +373,10 @@ export class FeatureManager extends ResourceTracker {
           const { hoverTranslationManager } = await import('@/features/mouse-hover/HoverTranslationManager.js');
           return hoverTranslationManager;
         }
+        case 'videoCaptions': {
+          const { videoCaptionManager } = await import('@/features/video-captions/VideoCaptionManager.js');
+          return videoCaptionManager;
+        }
         default:
           logger.error(`Unknown feature: ${featureName}`);
           return null;
@@ -544,8 +548,8 @@ export class FeatureManager extends ResourceTracker {
     try {
       // Update exclusion checker with new URL
       this.exclusionChecker.updateUrl(newUrl);
-      
-      // Re-evaluate features for new URL
+
+      // Re-evaluate features for new URL (including the feature overrides of its site profile)
       await this.reevaluateFeatures('url-change');
       
       // Check auto-translation rules for the new URL
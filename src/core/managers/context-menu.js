@@ -163,11 +163,14 @@ async function getApiProviders(settings = {}) {
       { id: ProviderRegistryIds.DEEPL, defaultTitle: "DeepL Translate" },
       { id: ProviderRegistryIds.GEMINI, defaultTitle: "Google Gemini" },
       { id: ProviderRegistryIds.OPENAI, defaultTitle: "OpenAI" },
+      { id: ProviderRegistryIds.ANTHROPIC, defaultTitle: "Anthropic Claude" },
       { id: ProviderRegistryIds.OPENROUTER, defaultTitle: "OpenRouter" },
       { id: ProviderRegistryIds.DEEPSEEK, defaultTitle: "DeepSeek" },
       { id: ProviderRegistryIds.WEBAI, defaultTitle: "WebAI" },
+      { id: ProviderRegistryIds.OLLAMA, defaultTitle: "Ollama / Local LLM" },
       { id: ProviderRegistryIds.BING, defaultTitle: "Bing Translate" },
       { id: ProviderRegistryIds.LINGVA, defaultTitle: "Lingva Translate" },
+      { id: ProviderRegistryIds.LIBRETRANSLATE, defaultTitle: "LibreTranslate" },
       { id: ProviderRegistryIds.BROWSER, defaultTitle: "Browser API" },
       { id: ProviderRegistryIds.CUSTOM, defaultTitle: "Custom Provider" }
     ];
@@ -214,7 +214,16 @@ class LifecycleManager {
 
       // Subtitle translation handlers
       [MessageActions.SUBTITLE_TRANSLATE]: Handlers.handleSubtitleTranslation,
-      [MessageActions.SUBTITLE_TRANSLATE_CANCEL]: Handlers.handleSubtitleTranslation
+      [MessageActions.SUBTITLE_TRANSLATE_CANCEL]: Handlers.handleSubtitleTranslation,
+
+      // Document translation handlers
+      [MessageActions.DOCUMENT_TRANSLATE]: Handlers.handleDocumentTranslation,
+      [MessageActions.DOCUMENT_TRANSLATE_CANCEL]: Handlers.handleDocumentTranslation,
+
+      // History archive handlers
+      [MessageActions.GET_HISTORY]: Handlers.handleHistory,
+      [MessageActions.DELETE_HISTORY_ITEMS]: Handlers.handleHistory,
+      [MessageActions.CLEAR_HISTORY]: Handlers.handleHistory
     };
     
     // Add browser-specific handlers
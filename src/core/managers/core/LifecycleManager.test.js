@@ -15,7 +15,7 @@ vi.mock('@/core/background/handlers/index.js', async (importOriginal) => ({
   handleTranslateTextLazy: translateTextHandler
 }))
 vi.mock('@/shared/logging/logger.js', () => ({
-  getScopedLogger: () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+  getScopedLogger: () => ({ init: vi.fn(), debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() })
 }))
 vi.mock('@/core/browserHandlers.js', () => ({ addBrowserSpecificHandlers: vi.fn() }))
 vi.mock('@/utils/UtilsFactory.js', () => ({ utilsFactory: {} }))
@@ -5,7 +5,14 @@
 import {
   PROVIDER_MANIFEST,
   ProviderCategories,
+  findProviderById,
 } from "@/features/translation/providers/ProviderManifest.js";
+import {
+  ProviderRegistryIds,
+  getCustomProfileId,
+  isCustomProfileId,
+  toCustomProfileId,
+} from "@/features/translation/providers/ProviderConstants.js";
 import { CONFIG } from "@/shared/config/config.js";
 
 /**
@@ -13,11 +20,7 @@ import { CONFIG } from "@/shared/config/config.js";
  */
 export const PROVIDER_CATEGORIES = ProviderCategories;
 
-/**
- * Complete provider registry with metadata for UI
- * Automatically generated from ProviderManifest
- */
-export const PROVIDER_REGISTRY = PROVIDER_MANIFEST.map((provider) => ({
+const toRegistryEntry = (provider) => ({
   id: provider.id,
   name: provider.displayName,
   description: provider.descriptionKey, // Will be used with i18n
@@ -31,7 +34,38 @@ export const PROVIDER_REGISTRY = PROVIDER_MANIFEST.map((provider) => ({
   rateLimit: provider.needsApiKey ? "API dependent" : "None",
   quality: provider.type === "ai" ? "Very High" : "High",
   speed: provider.id === "browser" ? "Very Fast" : "Fast",
-}));
+});
+
+/**
+ * Complete provider registry with metadata for UI
+ * Automatically generated from ProviderManifest
+ */
+export const PROVIDER_REGISTRY = PROVIDER_MANIFEST.map(toRegistryEntry);
+
+/**
+ * Registry entry of a Custom provider profile, named after the profile
+ */
+const toCustomProfileEntry = (registryId, customProfiles = []) => {
+  const entry = toRegistryEntry(findProviderById(registryId));
+  const profile = customProfiles?.find?.(p => p?.id === getCustomProfileId(registryId));
+  return { ...entry, name: profile?.name?.trim() || entry.name, profileId: getCustomProfileId(registryId) };
+};
+
+/**
+ * Lists each Custom provider profile as its own provider, right after the
+ * default OpenAI Compatible entry.
+ */
+const withCustomProfiles = (providers, customProfiles) => {
+  if (!Array.isArray(customProfiles) || customProfiles.length === 0) return providers;
+
+  const profileEntries = customProfiles
+    .filter(profile => profile?.id)
+    .map(profile => toCustomProfileEntry(toCustomProfileId(profile.id), customProfiles));
+  const customIndex = providers.findIndex(p => p.id === ProviderRegistryIds.CUSTOM);
+  const insertAt = customIndex === -1 ? providers.length : customIndex + 1;
+
+  return [...providers.slice(0, insertAt), ...profileEntries, ...providers.slice(insertAt)];
+};
 
 // For backward compatibility and easy access
 const FALLBACK_PROVIDERS = PROVIDER_REGISTRY;
@@ -54,10 +88,11 @@ const filterProviders = (providers, debugMode = null) => {
 };
 
 // Export functions for compatibility
-export const getProvidersForDropdown = (debugMode = null) =>
-  filterProviders(FALLBACK_PROVIDERS, debugMode);
-export const getProviderById = (id) =>
-  FALLBACK_PROVIDERS.find((p) => p.id === id);
+export const getProvidersForDropdown = (debugMode = null, customProfiles = []) =>
+  filterProviders(withCustomProfiles(FALLBACK_PROVIDERS, customProfiles), debugMode);
+export const getProviderById = (id, customProfiles = []) =>
+  FALLBACK_PROVIDERS.find((p) => p.id === id)
+  || (isCustomProfileId(id) ? toCustomProfileEntry(id, customProfiles) : undefined);
 export const getSupportedProviders = (debugMode = null) =>
   filterProviders(FALLBACK_PROVIDERS, debugMode);
 
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { getProvidersForDropdown, getProviderById } from './provider-registry.js';
+
+describe('provider-registry', () => {
+  const profiles = [
+    { id: 'azure', name: 'Azure EU' },
+    { id: 'vllm', name: '' }
+  ];
+
+  it('lists Custom profiles as separate providers after the default endpoint', () => {
+    const ids = getProvidersForDropdown(false, profiles).map(p => p.id);
+    const customIndex = ids.indexOf('custom');
+
+    expect(ids.slice(customIndex, customIndex + 3)).toEqual(['custom', 'custom:azure', 'custom:vllm']);
+    expect(getProvidersForDropdown(false).map(p => p.id)).not.toContain('custom:azure');
+  });
+
+  it('names profile entries after the profile and keeps Custom capabilities', () => {
+    const [azure, vllm] = getProvidersForDropdown(false, profiles).filter(p => p.id.startsWith('custom:'));
+    const custom = getProviderById('custom');
+
+    expect(azure).toMatchObject({ name: 'Azure EU', profileId: 'azure', icon: custom.icon, features: custom.features });
+    expect(vllm.name).toBe(custom.name);
+  });
+
+  it('resolves profile IDs that are not in the static registry', () => {
+    expect(getProviderById('custom:azure', profiles)?.name).toBe('Azure EU');
+    expect(getProviderById('custom:azure')?.features).toContain('bulk');
+    expect(getProviderById('unknown')).toBeUndefined();
+  });
+});
@@ -12,6 +12,13 @@ import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
 import { AUTO_DETECT_VALUE } from '@/shared/constants/core.js';
 import { TRANSLATION_BATCH_EXECUTION_TIMEOUT_MS } from '@/shared/constants/translation.js';
 import { appendTranslationDiagnostic } from '@/features/translation/ir/TranslationOperation.js';
+import { translationMemoryStore } from '@/features/translation/memory/TranslationMemoryStore.js';
+import { resolveMemoryScope } from '@/features/translation/memory/memoryScope.js';
+import { glossaryManager } from '@/features/glossary/core/GlossaryManager.js';
+import { textContainsTerm } from '@/features/glossary/core/GlossaryMatcher.js';
+import { GlossaryValidator } from '@/features/glossary/core/GlossaryValidator.js';
+import { providerCoordinator } from '@/features/translation/core/ProviderCoordinator.js';
+import browser from 'webextension-polyfill';
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'UnifiedModeCoordinator');
 
@@ -43,6 +50,8 @@ export class UnifiedModeCoordinator {
         return await this.processPdfTranslation(request, { translationEngine, executionContext });
       case TranslationMode.Subtitle:
         return await this.processSubtitleTranslation(request, { translationEngine, executionContext });
+      case TranslationMode.Document:
+        return await this.processDocumentTranslation(request, { translationEngine, executionContext });
       case TranslationMode.Select_Element:
         return await this.processSelectElementTranslation(request, { translationEngine, executionContext });
       default:
@@ -77,6 +86,9 @@ export class UnifiedModeCoordinator {
   /**
    * Specialized handler for Whole Page Translation (Batch processing).
    * Now simplified to delegate orchestration to ProviderCoordinator.
+   * Segments already present in the translation memory are served locally and
+   * only the remaining ones are sent to the provider. Provider output is checked
+   * against the glossary and unmet terms are returned as `glossaryViolations`.
    */
   async processPageTranslation(request, deps) {
     const { data } = request;
@@ -87,26 +99,90 @@ export class UnifiedModeCoordinator {
     }
 
     const items = typeof data.text === 'string' ? JSON.parse(data.text) : data.text;
-    
+    const getItemText = (item) => (typeof item === 'string' ? item : item?.text) || '';
+    const originalCharCount = items.reduce((sum, i) => sum + (i.text?.length || i.length || 0), 0);
+
+    const sourceLanguage = data.sourceLanguage || data.sourceLang || AUTO_DETECT_VALUE;
+    const targetLanguage = data.targetLanguage || data.targetLang;
+
+    // Site prompts change the output, so those pages neither read nor fill the memory.
+    // Remembered entries may predate glossary edits, so segments containing a glossary term skip it too.
+    const memoryScope = data.siteProfile?.promptTemplate ? null : await resolveMemoryScope({
+      provider: data.provider,
+      sourceLanguage,
+      targetLanguage
+    });
+    const glossaryTerms = await glossaryManager.resolveTerms(items.map(getItemText), sourceLanguage, targetLanguage);
+    const usesMemory = (text) => memoryScope !== null && !glossaryTerms.some(term => textContainsTerm(text, term));
+    const memoryIndexes = items.map((_, idx) => idx).filter(idx => usesMemory(getItemText(items[idx])));
+    const memoryRecords = memoryIndexes.length > 0
+      ? await translationMemoryStore.lookupMany(memoryIndexes.map(idx => getItemText(items[idx])), memoryScope)
+      : [];
+    const remembered = items.map((_, idx) => memoryRecords[memoryIndexes.indexOf(idx)] || null);
+    const pendingIndexes = items.map((_, idx) => idx).filter(idx => !remembered[idx]);
+    const pendingItems = pendingIndexes.map(idx => items[idx]);
+
+    // Re-assemble full-batch results: remembered segments plus provider output in original order
+    const mergeResults = (providerResults) => {
+      const merged = remembered.map(record => (record ? { text: record.translatedText } : null));
+      pendingIndexes.forEach((itemIdx, resultIdx) => {
+        merged[itemIdx] = providerResults[resultIdx];
+      });
+      return merged;
+    };
+
+    if (pendingItems.length === 0) {
+      logger.debug(`[UnifiedCoordinator] Page batch of ${items.length} segments served from translation memory`);
+      return {
+        success: true,
+        translatedText: JSON.stringify(mergeResults([])),
+        actualCharCount: 0,
+        originalCharCount,
+        fromMemory: true,
+        error: null
+      };
+    }
+
     const result = await this._processGenericBatch(request, deps, {
       mode: TranslationMode.Page,
-      items,
+      items: pendingItems,
       useRawItems: false, // Page mode expects array of strings for traditional providers
-      transformOutput: (results) => ({
-        success: true,
-        translatedText: JSON.stringify(results),
-        actualCharCount: results.reduce((sum, r) => sum + (r.text?.length || 0), 0),
-        originalCharCount: items.reduce((sum, i) => sum + (i.text?.length || i.length || 0), 0),
-        error: null
-      }),
-      handleError: async (error, items) => {
+      onPartialResponse: data.options?.progressive ? this._createPagePartialForwarder(request, pendingIndexes) : null,
+      transformOutput: (results) => {
+        if (memoryScope) {
+          translationMemoryStore.storeMany(
+            results
+              .map((r, idx) => ({ text: getItemText(pendingItems[idx]), translatedText: r.isSkipped ? null : r.text }))
+              .filter(entry => entry.translatedText && usesMemory(entry.text)),
+            memoryScope
+          );
+        }
+
+        const glossaryViolations = GlossaryValidator.findBatchViolations(
+          results.map((r, idx) => (r.isSkipped ? null : [getItemText(pendingItems[idx]), r.text])),
+          glossaryTerms
+        );
+        if (glossaryViolations.length > 0) {
+          logger.warn(`[UnifiedCoordinator] Page batch ignored ${glossaryViolations.length} glossary term(s):`, glossaryViolations.map(v => v.source));
+        }
+
+        return {
+          success: true,
+          translatedText: JSON.stringify(mergeResults(results)),
+          actualCharCount: results.reduce((sum, r) => sum + (r.text?.length || 0), 0),
+          originalCharCount,
+          ...(glossaryViolations.length > 0 && { glossaryViolations }),
+          error: null
+        };
+      },
+      handleError: async (error, failedItems) => {
         const { isFatalError, matchErrorToType } = await import('@/shared/error-management/ErrorMatcher.js');
-        const fallbackResults = items.map(item => ({ text: item.text || item }));
+        const fallbackResults = mergeResults(failedItems.map(item => ({ text: item.text || item })));
         return {
           success: false,
           translatedText: JSON.stringify(fallbackResults),
           actualCharCount: 0,
-          originalCharCount: items.reduce((sum, i) => sum + (i.text?.length || i.length || 0), 0),
+          originalCharCount,
           hasError: true,
           error: error.message,
           errorType: matchErrorToType(error),
@@ -118,6 +194,43 @@ export class UnifiedModeCoordinator {
     return result;
   }
 
+  /**
+   * Builds the `onPartialResponse` callback of a progressive Page batch.
+   * Providers that stream their output report each finished entry as
+   * `{ index, text }`, with the index of the text they were sent (see
+   * BaseAIProvider._createPartialEntryReader). Entries are sent to the requesting
+   * frame right away, indexed by their position in the original batch.
+   * @param {object} request - tracked request with sender and messageId
+   * @param {number[]} pendingIndexes - batch positions sent to the provider
+   * @returns {Function|null}
+   * @private
+   */
+  _createPagePartialForwarder(request, pendingIndexes) {
+    const tabId = request.sender?.tab?.id;
+    if (!tabId) return null;
+
+    const frameId = request.sender.frameId;
+    const forwarded = new Set();
+
+    return (partialEntries) => {
+      const entries = partialEntries
+        .map(({ index, text }) => ({ index: pendingIndexes[index], text }))
+        .filter(entry => entry.index !== undefined && entry.text.trim() && !forwarded.has(entry.index));
+      if (entries.length === 0) return;
+
+      entries.forEach(entry => forwarded.add(entry.index));
+      const message = {
+        action: MessageActions.PAGE_TRANSLATE_BATCH_PARTIAL,
+        messageId: request.messageId,
+        data: { messageId: request.messageId, entries }
+      };
+      const sendArgs = typeof frameId === 'number' ? [tabId, message, { frameId }] : [tabId, message];
+      browser.tabs.sendMessage(...sendArgs).catch((error) => {
+        logger.debug(`[UnifiedCoordinator] Could not forward partial page results: ${error.message}`);
+      });
+    };
+  }
+
   /**
    * Handler for Text Field (Input) translations.
    */
@@ -200,13 +313,29 @@ export class UnifiedModeCoordinator {
    * Similar to Page translation but optimized for Subtitle cues.
    */
   async processSubtitleTranslation(request, deps) {
+    return await this._processItemBatch(request, deps, TranslationMode.Subtitle);
+  }
+
+  /**
+   * Specialized handler for Document Translation (DOCX/EPUB segments).
+   * Segments are id-keyed items like subtitle cues, sent with the document prompts.
+   */
+  async processDocumentTranslation(request, deps) {
+    return await this._processItemBatch(request, deps, TranslationMode.Document);
+  }
+
+  /**
+   * Runs a batch of id-keyed items (subtitle cues, document segments).
+   * @private
+   */
+  async _processItemBatch(request, deps, mode) {
     return await this._processGenericBatch(request, deps, {
-      mode: TranslationMode.Subtitle,
+      mode,
       items: request.data.items,
-      useRawItems: true, // Subtitles need IDs and context for AI providers
+      useRawItems: true, // Items need IDs and context for AI providers
       transformOutput: (results, totalChars) => ({
         success: true,
-        results, // SubtitleCoordinator expects 'results'
+        results, // The subtitle and document coordinators expect 'results'
         actualCharCount: totalChars,
         originalCharCount: totalChars
       })
@@ -350,15 +479,16 @@ export class UnifiedModeCoordinator {
   }
 
   /**
-   * Generic handler for batch translation operations (Page, Subtitle).
-   * Implements common logic for lifecycle management, character counting, and provider coordination.
+   * Generic handler for batch translation operations (Page, Subtitle, Document).
+   * Implements common logic for lifecycle management, character counting, provider
+   * coordination and whole-batch provider failover.
    * 
    * @private
    */
   async _processGenericBatch(request, { translationEngine, executionContext }, options) {
     const { messageId, data } = request;
-    const { provider, priority, promptTemplate, instruction } = data;
-    const { mode, items, transformOutput, handleError, useRawItems = false } = options;
+    const { provider, priority, promptTemplate, instruction, siteProfile } = data;
+    const { mode, items, transformOutput, handleError, useRawItems = false, onPartialResponse = null } = options;
     
     const sourceLanguage = data.sourceLanguage || data.sourceLang || 'auto';
     let targetLanguage = data.targetLanguage || data.targetLang;
@@ -462,21 +592,47 @@ export class UnifiedModeCoordinator {
         }
       });
 
-      const response = await Promise.race([
-        providerInstance.translate(translationPayload, effectiveSourceLanguage, targetLanguage, {
-          mode,
-          abortController,
-          messageId,
-          sessionId,
-          priority,
-          promptTemplate,
-            instruction,
-            rawJsonPayload: true,
-            executionContext,
-            ...(languagePairResolved && { languagePairResolved: true }),
-        }),
-        timeoutPromise
-      ]);
+      // Quota, auth and circuit-open failures move the whole batch to the mode's next
+      // failover provider; the batch timeout covers every attempt.
+      let activeProvider = providerInstance;
+      let failoverTrail = null;
+      let response;
+      for (;;) {
+        try {
+          response = await Promise.race([
+            activeProvider.translate(translationPayload, effectiveSourceLanguage, targetLanguage, {
+              mode,
+              abortController,
+              messageId,
+              sessionId,
+              priority,
+              promptTemplate,
+                instruction,
+                ...(siteProfile && { siteProfile }),
+                rawJsonPayload: true,
+                executionContext,
+                ...(languagePairResolved && { languagePairResolved: true }),
+                ...(onPartialResponse && { onPartialResponse }),
+                ...(failoverTrail && { failover: failoverTrail }),
+            }),
+            timeoutPromise
+          ]);
+          break;
+        } catch (error) {
+          const failover = abortController.signal.aborted
+            ? null
+            : await providerCoordinator.resolveFailover(activeProvider, error, {
+              engine: translationEngine,
+              mode,
+              sessionId,
+              failover: failoverTrail
+            });
+          if (!failover) throw error;
+
+          activeProvider = failover.provider;
+          failoverTrail = failover.trail;
+        }
+      }
 
       // Resolution owner finalizes the session pair from the effective
       // source/target returned by ProviderCoordinator.
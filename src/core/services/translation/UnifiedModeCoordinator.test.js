@@ -4,6 +4,9 @@ import { TranslationMode } from '@/shared/config/config.js';
 import { RequestStatus } from './TranslationRequestTracker.js';
 import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
 import { TRANSLATION_BATCH_EXECUTION_TIMEOUT_MS } from '@/shared/constants/translation.js';
+import { translationMemoryStore } from '@/features/translation/memory/TranslationMemoryStore.js';
+import { glossaryManager } from '@/features/glossary/core/GlossaryManager.js';
+import { providerCoordinator } from '@/features/translation/core/ProviderCoordinator.js';
 
 // Mock RateLimitManager
 vi.mock('@/features/translation/core/RateLimitManager.js', () => ({
@@ -17,11 +20,23 @@ vi.mock('@/features/translation/core/RateLimitManager.js', () => ({
 // Mock ErrorMatcher
 vi.mock('@/shared/error-management/ErrorMatcher.js');
 
+vi.mock('@/features/translation/memory/TranslationMemoryStore.js', () => ({
+  translationMemoryStore: {
+    lookupMany: vi.fn(async (texts) => texts.map(() => null)),
+    storeMany: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('@/features/glossary/core/GlossaryManager.js', () => ({
+  glossaryManager: { resolveTerms: vi.fn(async () => []) }
+}));
+
 describe('UnifiedModeCoordinator', () => {
   let coordinator;
   let mockEngine;
 
   beforeEach(() => {
+    vi.clearAllMocks();
     coordinator = new UnifiedModeCoordinator();
     mockEngine = {
       getProvider: vi.fn(),
@@ -106,6 +121,23 @@ describe('UnifiedModeCoordinator', () => {
       expect(JSON.parse(result.translatedText)[0].text).toBe('bonjour');
     });
 
+    it('should run Document batches through the item pipeline', async () => {
+      const request = {
+        mode: TranslationMode.Document,
+        data: { items: [{ id: 'doc#0', text: 'hello' }], provider: 'google', sourceLanguage: 'en', targetLanguage: 'fr' },
+        messageId: 'm-document'
+      };
+      const mockProvider = { translate: vi.fn().mockResolvedValue(['bonjour']) };
+      mockEngine.getProvider.mockResolvedValue(mockProvider);
+
+      const result = await coordinator.processRequest(request, { translationEngine: mockEngine });
+
+      expect(result).toMatchObject({ success: true, results: [{ id: 'doc#0', text: 'bonjour' }] });
+      expect(mockProvider.translate).toHaveBeenCalledWith(
+        [{ id: 'doc#0', text: 'hello' }], 'en', 'fr', expect.objectContaining({ mode: TranslationMode.Document })
+      );
+    });
+
     it('should delegate to processStandardTranslation for other modes', async () => {
       const request = { mode: TranslationMode.Selection, data: { text: 'test' }, messageId: 'm1' };
       await coordinator.processRequest(request, { translationEngine: mockEngine });
@@ -174,6 +206,101 @@ describe('UnifiedModeCoordinator', () => {
       );
     });
 
+    it('forwards streamed entries of progressive batches to the requesting frame', async () => {
+      const { default: browser } = await import('webextension-polyfill');
+      browser.tabs.sendMessage.mockResolvedValue({ success: true });
+
+      const request = {
+        mode: TranslationMode.Page,
+        data: {
+          text: [{ text: 'p1' }, { text: 'p2' }],
+          provider: 'ollama',
+          sourceLanguage: 'en',
+          targetLanguage: 'fa',
+          options: { rawJsonPayload: true, progressive: true }
+        },
+        sender: { tab: { id: 7 }, frameId: 2 },
+        messageId: 'm-progressive'
+      };
+
+      const mockProvider = {
+        translate: vi.fn(async (texts, source, target, options) => {
+          options.onPartialResponse([{ index: 0, text: 'ت۱' }]);
+          options.onPartialResponse([{ index: 0, text: 'ت۱' }, { index: 1, text: 'ت۲' }]);
+          options.onPartialResponse([{ index: 1, text: 'ت۲' }]);
+          return ['ت۱', 'ت۲'];
+        })
+      };
+      mockEngine.getProvider.mockResolvedValue(mockProvider);
+
+      const result = await coordinator.processPageTranslation(request, { translationEngine: mockEngine });
+
+      expect(result.success).toBe(true);
+      expect(browser.tabs.sendMessage).toHaveBeenCalledTimes(2);
+      expect(browser.tabs.sendMessage).toHaveBeenNthCalledWith(1, 7, expect.objectContaining({
+        action: 'page-translate-batch-partial',
+        data: { messageId: 'm-progressive', entries: [{ index: 0, text: 'ت۱' }] }
+      }), { frameId: 2 });
+      expect(browser.tabs.sendMessage.mock.calls[1][1].data.entries).toEqual([{ index: 1, text: 'ت۲' }]);
+    });
+
+    it('serves remembered segments and sends only the rest to the provider', async () => {
+      translationMemoryStore.lookupMany.mockResolvedValueOnce([{ translatedText: 'ت۱' }, null]);
+      const request = {
+        mode: TranslationMode.Page,
+        data: { text: [{ text: 'p1' }, { text: 'p2' }], provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa' },
+        messageId: 'm-memory'
+      };
+      const mockProvider = { translate: vi.fn().mockResolvedValue(['ت۲']) };
+      mockEngine.getProvider.mockResolvedValue(mockProvider);
+
+      const result = await coordinator.processPageTranslation(request, { translationEngine: mockEngine });
+
+      expect(JSON.parse(result.translatedText).map(r => r.text)).toEqual(['ت۱', 'ت۲']);
+      expect(mockProvider.translate).toHaveBeenCalledWith(['p2'], 'en', 'fa', expect.any(Object));
+      expect(translationMemoryStore.storeMany).toHaveBeenCalledWith(
+        [{ text: 'p2', translatedText: 'ت۲' }],
+        expect.objectContaining({ provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa' })
+      );
+    });
+
+    it('bypasses the memory for segments containing a glossary term', async () => {
+      glossaryManager.resolveTerms.mockResolvedValueOnce([{ source: 'Acme', target: 'آکمه' }]);
+      const request = {
+        mode: TranslationMode.Page,
+        data: { text: [{ text: 'Acme news' }, { text: 'Weather' }], provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa' },
+        messageId: 'm-glossary'
+      };
+      const mockProvider = { translate: vi.fn().mockResolvedValue(['اخبار آکمه', 'هوا']) };
+      mockEngine.getProvider.mockResolvedValue(mockProvider);
+
+      await coordinator.processPageTranslation(request, { translationEngine: mockEngine });
+
+      expect(glossaryManager.resolveTerms).toHaveBeenCalledWith(['Acme news', 'Weather'], 'en', 'fa');
+      expect(translationMemoryStore.lookupMany).toHaveBeenCalledWith(['Weather'], expect.any(Object));
+      expect(mockProvider.translate).toHaveBeenCalledWith(['Acme news', 'Weather'], 'en', 'fa', expect.any(Object));
+      expect(translationMemoryStore.storeMany).toHaveBeenCalledWith(
+        [{ text: 'Weather', translatedText: 'هوا' }],
+        expect.any(Object)
+      );
+    });
+
+    it('reports glossary terms the provider left out of the batch', async () => {
+      glossaryManager.resolveTerms.mockResolvedValueOnce([{ source: 'Acme', target: 'آکمه' }]);
+      const request = {
+        mode: TranslationMode.Page,
+        data: { text: [{ text: 'Acme news' }, { text: 'Acme weather' }], provider: 'openai', sourceLanguage: 'en', targetLanguage: 'fa' },
+        messageId: 'm-glossary-violation'
+      };
+      const mockProvider = { translate: vi.fn().mockResolvedValue(['اخبار آکمه', 'هوای اکمی']) };
+      mockEngine.getProvider.mockResolvedValue(mockProvider);
+
+      const result = await coordinator.processPageTranslation(request, { translationEngine: mockEngine });
+
+      expect(result.success).toBe(true);
+      expect(result.glossaryViolations).toEqual([{ source: 'Acme', target: 'آکمه' }]);
+    });
+
     it('should fallback to "auto" for source language in Page mode', async () => {
       const request = {
         mode: TranslationMode.Page,
@@ -234,6 +361,33 @@ describe('UnifiedModeCoordinator', () => {
       expect(result.hasError).toBe(true);
       expect(JSON.parse(result.translatedText)[0].text).toBe('orig');
     });
+
+    it('moves the whole batch to the next failover provider', async () => {
+      const quotaError = Object.assign(new Error('Quota exceeded'), { type: ErrorTypes.QUOTA_EXCEEDED });
+      const primary = { providerName: 'Gemini', translate: vi.fn().mockRejectedValue(quotaError) };
+      const fallback = { providerName: 'GoogleTranslateV2', translate: vi.fn().mockResolvedValue(['ت۱', 'ت۲']) };
+      const trail = { requestedProvider: 'gemini', attempts: [{ provider: 'gemini', errorType: ErrorTypes.QUOTA_EXCEEDED }] };
+      mockEngine.getProvider.mockResolvedValue(primary);
+      const resolveFailover = vi.spyOn(providerCoordinator, 'resolveFailover')
+        .mockResolvedValueOnce({ provider: fallback, trail });
+
+      const request = {
+        mode: TranslationMode.Page,
+        data: { text: [{ text: 'p1' }, { text: 'p2' }], provider: 'gemini', sourceLanguage: 'en', targetLanguage: 'fa' },
+        messageId: 'm-failover'
+      };
+      const result = await coordinator.processPageTranslation(request, { translationEngine: mockEngine });
+
+      expect(result.success).toBe(true);
+      expect(JSON.parse(result.translatedText).map(r => r.text)).toEqual(['ت۱', 'ت۲']);
+      expect(resolveFailover).toHaveBeenCalledWith(primary, quotaError, expect.objectContaining({
+        engine: mockEngine, mode: TranslationMode.Page, failover: null
+      }));
+      expect(fallback.translate).toHaveBeenCalledWith(
+        ['p1', 'p2'], 'en', 'fa', expect.objectContaining({ rawJsonPayload: true, failover: trail })
+      );
+      resolveFailover.mockRestore();
+    });
   });
 
   describe('processSelectElementTranslation', () => {
@@ -91,7 +91,8 @@ export class UnifiedResultDispatcher {
         provider: result.provider || request.data?.provider,
         sourceLanguage: result.sourceLanguage || request.data?.sourceLanguage,
         targetLanguage: result.targetLanguage || request.data?.targetLanguage,
-        mode: request.mode
+        mode: request.mode,
+        url: request.sender?.tab?.url
       };
 
       // Add to history via TranslationEngine
@@ -9,6 +9,9 @@ import {
   TranslationMode, 
   getModeProvidersAsync, 
   getTranslationApiAsync, 
+  getSourceLanguageAsync,
+  getTargetLanguageAsync,
+  getSiteProfilesAsync,
   getPopupMaxCharsAsync,
   getSidepanelMaxCharsAsync,
   getSelectionMaxCharsAsync,
@@ -34,6 +37,8 @@ import { AIConversationHelper } from '@/features/translation/providers/utils/AIC
 import { ConversationAcceptanceHandoff } from '@/features/translation/conversation/ConversationAcceptanceHandoff.js';
 import { ConversationAcceptanceHandle } from '@/features/translation/conversation/ConversationAcceptanceHandle.js';
 import { ConversationAcceptanceCoordinator } from '@/features/translation/conversation/ConversationAcceptanceCoordinator.js';
+import { findSiteProfile, getSiteRequestOverrides } from '@/features/site-profiles/core/SiteProfiles.js';
+import { AUTO_DETECT_VALUE } from '@/shared/constants/core.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'UnifiedTranslationService');
 
@@ -73,10 +78,16 @@ export class UnifiedTranslationService {
       return data.provider;
     }
 
+    // 2. Site profile of the page the request came from
+    if (data.siteProfile?.provider) {
+      logger.debug(`[UnifiedTranslationService] Using site profile provider: ${data.siteProfile.provider}`);
+      return data.siteProfile.provider;
+    }
+
     const modeProviders = await getModeProvidersAsync();
     const modeSpecificProvider = modeProviders ? modeProviders[data.mode] : null;
 
-    // 2. Feature-Specific Setting (e.g., Dictionary, Page Translation)
+    // 3. Feature-Specific Setting (e.g., Dictionary, Page Translation)
     if (modeSpecificProvider && modeSpecificProvider !== 'default') {
       logger.debug(`[UnifiedTranslationService] Using mode-specific provider for ${data.mode}: ${modeSpecificProvider}`);
       return modeSpecificProvider;
@@ -87,13 +98,41 @@ export class UnifiedTranslationService {
       MessageContexts.PAGE_TRANSLATION_BATCH, MessageContexts.CONTENT, MessageContexts.MOBILE_TRANSLATE
     ];
     
-    // 3. Use UI-provided provider as fallback (Standard behavioral consistency)
+    // 4. Use UI-provided provider as fallback (Standard behavioral consistency)
     if (uiContexts.includes(context) && data.provider) return data.provider;
 
-    // 4. Global default
+    // 5. Global default
     return data.provider || await getTranslationApiAsync();
   }
 
+  /**
+   * Apply the site profile of the sender tab to a request.
+   * Popup and sidepanel requests have no sender tab and keep their own choices.
+   * Profile languages replace the global defaults, not languages picked for the request.
+   * @private
+   */
+  async _applySiteProfile(data, sender) {
+    const url = sender?.tab?.url;
+    if (!url) return;
+
+    const siteOverrides = getSiteRequestOverrides(findSiteProfile(url, await getSiteProfilesAsync()));
+    if (!siteOverrides) return;
+
+    const [globalSourceLanguage, globalTargetLanguage] = await Promise.all([
+      getSourceLanguageAsync(),
+      getTargetLanguageAsync()
+    ]);
+    if (siteOverrides.targetLanguage && (!data.targetLanguage || data.targetLanguage === globalTargetLanguage)) {
+      data.targetLanguage = siteOverrides.targetLanguage;
+    }
+    if (siteOverrides.sourceLanguage && (!data.sourceLanguage || data.sourceLanguage === AUTO_DETECT_VALUE || data.sourceLanguage === globalSourceLanguage)) {
+      data.sourceLanguage = siteOverrides.sourceLanguage;
+    }
+
+    data.siteProfile = siteOverrides;
+    logger.debug(`[UnifiedTranslationService] Applied site profile ${siteOverrides.id} for ${url}`);
+  }
+
   /**
    * Main entry point for all incoming translation requests.
    */
@@ -102,6 +141,8 @@ export class UnifiedTranslationService {
     logger.debug(`[UnifiedTranslationService] Received request: ${messageId}, context: ${context}, sessionId: ${data?.sessionId}`);
 
     if (data) {
+      await this._applySiteProfile(data, sender);
+
       // --- Universal Dictionary Upgrade Detection ---
       // We check for single words here to resolve the correct mode-specific provider
       // before passing the request to the engine.
@@ -0,0 +1,231 @@
+/**
+ * Zip Archive - Minimal reader/writer for the zip containers behind DOCX and EPUB.
+ * Inflate/deflate is delegated to the native Compression Streams API, so only the
+ * container structure (local headers, central directory, CRC-32) is handled here.
+ */
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Bit 11 of the general purpose flag marks UTF-8 encoded file names
+const FLAG_UTF8_NAMES = 0x0800;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum required by every zip entry.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function transform(bytes, stream) {
+  const output = await new Response(new Response(bytes).body.pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(output);
+}
+
+const inflateRaw = (bytes) => transform(bytes, new DecompressionStream('deflate-raw'));
+const deflateRaw = (bytes) => transform(bytes, new CompressionStream('deflate-raw'));
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus an optional comment of up to 64KB
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error('Not a valid zip archive: end of central directory not found.');
+}
+
+/**
+ * In-memory zip archive. Entries keep their original order so rebuilt files
+ * stay byte-compatible with strict consumers (e.g. the EPUB `mimetype` entry
+ * must remain first and stored).
+ */
+export class ZipArchive {
+  constructor() {
+    /** @type {Map<string, { data: Uint8Array, compressed: boolean }>} */
+    this.entries = new Map();
+  }
+
+  /**
+   * Parses a zip file. Entry payloads are inflated eagerly so later reads are synchronous.
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {Promise<ZipArchive>}
+   */
+  static async fromBuffer(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const eocdOffset = findEndOfCentralDirectory(view);
+    const entryCount = view.getUint16(eocdOffset + 10, true);
+    let offset = view.getUint32(eocdOffset + 16, true);
+
+    const archive = new ZipArchive();
+
+    for (let i = 0; i < entryCount; i++) {
+      if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new Error('Not a valid zip archive: corrupt central directory.');
+      }
+
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localHeaderOffset = view.getUint32(offset + 42, true);
+      const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      // Sizes and name lengths in the local header may differ from the central record
+      const localNameLength = view.getUint16(localHeaderOffset + 26, true);
+      const localExtraLength = view.getUint16(localHeaderOffset + 28, true);
+      const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength;
+      const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      let data;
+      if (method === METHOD_STORED) {
+        data = raw.slice();
+      } else if (method === METHOD_DEFLATED) {
+        data = await inflateRaw(raw);
+      } else {
+        throw new Error(`Unsupported zip compression method ${method} for "${name}".`);
+      }
+
+      archive.entries.set(name, { data, compressed: method === METHOD_DEFLATED });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return archive;
+  }
+
+  /** @returns {string[]} Entry names in archive order */
+  getNames() {
+    return Array.from(this.entries.keys());
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Uint8Array|null}
+   */
+  getBytes(name) {
+    return this.entries.get(name)?.data || null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string|null} UTF-8 decoded entry content
+   */
+  getText(name) {
+    const data = this.getBytes(name);
+    return data ? textDecoder.decode(data) : null;
+  }
+
+  /**
+   * Adds or replaces an entry. Replaced entries keep their position and compression.
+   * @param {string} name
+   * @param {string|Uint8Array} content
+   * @param {Object} [options]
+   * @param {boolean} [options.compressed=true]
+   */
+  setEntry(name, content, { compressed } = {}) {
+    const data = typeof content === 'string' ? textEncoder.encode(content) : content;
+    const existing = this.entries.get(name);
+    this.entries.set(name, {
+      data,
+      compressed: compressed ?? existing?.compressed ?? true
+    });
+  }
+
+  /**
+   * Serializes the archive.
+   * @returns {Promise<Uint8Array>}
+   */
+  async toBytes() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const [name, entry] of this.entries) {
+      const nameBytes = textEncoder.encode(name);
+      const payload = entry.compressed ? await deflateRaw(entry.data) : entry.data;
+      const checksum = crc32(entry.data);
+      const method = entry.compressed ? METHOD_DEFLATED : METHOD_STORED;
+
+      const local = new Uint8Array(30 + nameBytes.length);
+      const localView = new DataView(local.buffer);
+      localView.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+      localView.setUint16(4, 20, true);
+      localView.setUint16(6, FLAG_UTF8_NAMES, true);
+      localView.setUint16(8, method, true);
+      localView.setUint32(14, checksum, true);
+      localView.setUint32(18, payload.length, true);
+      localView.setUint32(22, entry.data.length, true);
+      localView.setUint16(26, nameBytes.length, true);
+      local.set(nameBytes, 30);
+
+      const central = new Uint8Array(46 + nameBytes.length);
+      const centralView = new DataView(central.buffer);
+      centralView.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+      centralView.setUint16(4, 20, true);
+      centralView.setUint16(6, 20, true);
+      centralView.setUint16(8, FLAG_UTF8_NAMES, true);
+      centralView.setUint16(10, method, true);
+      centralView.setUint32(16, checksum, true);
+      centralView.setUint32(20, payload.length, true);
+      centralView.setUint32(24, entry.data.length, true);
+      centralView.setUint16(28, nameBytes.length, true);
+      centralView.setUint32(42, offset, true);
+      central.set(nameBytes, 46);
+
+      localParts.push(local, payload);
+      centralParts.push(central);
+      offset += local.length + payload.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    endView.setUint16(8, this.entries.size, true);
+    endView.setUint16(10, this.entries.size, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, end];
+    const output = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    for (const part of parts) {
+      output.set(part, position);
+      position += part.length;
+    }
+    return output;
+  }
+}
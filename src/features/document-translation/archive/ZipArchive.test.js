@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { ZipArchive, crc32 } from './ZipArchive.js';
+
+describe('ZipArchive', () => {
+  it('computes the standard CRC-32 checksum', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('round-trips stored and deflated entries in their original order', async () => {
+    const archive = new ZipArchive();
+    archive.setEntry('mimetype', 'application/epub+zip', { compressed: false });
+    archive.setEntry('OEBPS/chapter.xhtml', '<p>Hello world, hello world, hello world</p>');
+    archive.setEntry('images/pixel.bin', new Uint8Array([0, 1, 2, 255]));
+
+    const restored = await ZipArchive.fromBuffer(await archive.toBytes());
+
+    expect(restored.getNames()).toEqual(['mimetype', 'OEBPS/chapter.xhtml', 'images/pixel.bin']);
+    expect(restored.getText('mimetype')).toBe('application/epub+zip');
+    expect(restored.entries.get('mimetype').compressed).toBe(false);
+    expect(restored.getText('OEBPS/chapter.xhtml')).toBe('<p>Hello world, hello world, hello world</p>');
+    expect(Array.from(restored.getBytes('images/pixel.bin'))).toEqual([0, 1, 2, 255]);
+  });
+
+  it('keeps the stored first entry readable at a fixed offset', async () => {
+    const archive = new ZipArchive();
+    archive.setEntry('mimetype', 'application/epub+zip', { compressed: false });
+    const bytes = await archive.toBytes();
+
+    // EPUB readers sniff the container type from the raw bytes of the first entry
+    expect(new TextDecoder().decode(bytes.subarray(38, 58))).toBe('application/epub+zip');
+  });
+
+  it('replaces entries in place', async () => {
+    const archive = new ZipArchive();
+    archive.setEntry('a.txt', 'one');
+    archive.setEntry('b.txt', 'two');
+    archive.setEntry('a.txt', 'uno');
+
+    const restored = await ZipArchive.fromBuffer(await archive.toBytes());
+    expect(restored.getNames()).toEqual(['a.txt', 'b.txt']);
+    expect(restored.getText('a.txt')).toBe('uno');
+    expect(restored.getText('missing.txt')).toBeNull();
+  });
+
+  it('rejects data that is not a zip archive', async () => {
+    await expect(ZipArchive.fromBuffer(new TextEncoder().encode('plain text file, not a zip')))
+      .rejects.toThrow('Not a valid zip archive');
+  });
+});
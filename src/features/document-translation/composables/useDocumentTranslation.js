@@ -0,0 +1,186 @@
+import { ref, reactive } from 'vue';
+import { MessagingBus } from '@/shared/messaging/core/MessagingBus.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { MessageContexts } from '@/shared/messaging/core/MessagingConstants.js';
+import { DocumentParserFactory } from '../parsers/DocumentParserFactory.js';
+
+const createEmptyProgress = () => ({
+  percent: 0,
+  processed: 0,
+  total: 0,
+  translated: 0,
+  failed: 0,
+  etaMs: 0,
+  elapsedMs: 0,
+  terminalError: null
+});
+
+export function useDocumentTranslation() {
+  const jobId = ref(`document-job-${Date.now()}`);
+  const status = ref('idle'); // idle, translating, completed, error
+  const progress = reactive(createEmptyProgress());
+  const error = ref(null);
+  const currentFile = ref(null);
+  const segments = ref([]);
+
+  // The adapter keeps the unpacked document between parsing and rebuilding
+  let adapter = null;
+
+  const applyUpdates = (updates = []) => {
+    const byId = new Map(segments.value.map(segment => [segment.id, segment]));
+    updates.forEach(update => {
+      const segment = byId.get(update.id);
+      if (segment) {
+        segment.translatedText = update.translatedText;
+        segment.status = update.status;
+      }
+    });
+  };
+
+  // Subscribe to background updates
+  const unsubscribe = MessagingBus.subscribe(MessageContexts.DOCUMENT_TRANSLATION, (message) => {
+    const { action, data } = message;
+
+    if (!data || data.jobId !== jobId.value) return;
+
+    switch (action) {
+      case MessageActions.DOCUMENT_TRANSLATE_PROGRESS:
+        Object.assign(progress, data.progress);
+        status.value = 'translating';
+        applyUpdates(data.updatedSegments);
+        break;
+
+      case MessageActions.DOCUMENT_TRANSLATE_COMPLETE:
+        applyUpdates(data.segments);
+        Object.assign(progress, data.stats);
+        segments.value.forEach(segment => {
+          if (segment.status === 'pending') segment.status = 'skipped';
+        });
+        status.value = 'completed';
+        break;
+
+      case MessageActions.DOCUMENT_TRANSLATE_ERROR:
+        status.value = 'error';
+        error.value = data.error;
+        break;
+    }
+  });
+
+  /**
+   * Unpacks a document and extracts its segments for preview and translation.
+   * @param {File} file
+   * @param {ArrayBuffer} buffer
+   */
+  const loadDocument = async (file, buffer) => {
+    error.value = null;
+    try {
+      adapter = DocumentParserFactory.getAdapter(file.name);
+      const result = await adapter.parse(buffer);
+      currentFile.value = file;
+      segments.value = result.segments;
+      return result;
+    } catch (err) {
+      adapter = null;
+      segments.value = [];
+      status.value = 'error';
+      error.value = err.message;
+      return null;
+    }
+  };
+
+  const startTranslation = async (config) => {
+    status.value = 'translating';
+    error.value = null;
+    jobId.value = `document-job-${Date.now()}`;
+    Object.assign(progress, createEmptyProgress());
+
+    segments.value.forEach(segment => {
+      segment.translatedText = '';
+      segment.status = 'pending';
+    });
+
+    try {
+      const response = await MessagingBus.sendToBackground({
+        context: MessageContexts.DOCUMENT_TRANSLATION,
+        action: MessageActions.DOCUMENT_TRANSLATE,
+        payload: {
+          jobId: jobId.value,
+          filename: currentFile.value?.name,
+          segments: segments.value.map(({ id, index, text }) => ({ id, index, text })),
+          sourceLanguage: config.sourceLanguage,
+          targetLanguage: config.targetLanguage,
+          providerId: config.providerId
+        }
+      });
+
+      if (response && response.success === false) {
+        throw new Error(response.error || 'Failed to start document translation');
+      }
+    } catch (err) {
+      status.value = 'error';
+      error.value = err.message;
+    }
+  };
+
+  const cancelTranslation = () => {
+    MessagingBus.sendToBackground({
+      context: MessageContexts.DOCUMENT_TRANSLATION,
+      action: MessageActions.DOCUMENT_TRANSLATE_CANCEL,
+      payload: { jobId: jobId.value }
+    });
+    status.value = 'idle';
+  };
+
+  /**
+   * Rebuilds the translated file and hands it to the browser as a download.
+   * @param {string} targetLanguage - Written into the document's language metadata
+   */
+  const downloadResult = async (targetLanguage) => {
+    if (!adapter || !currentFile.value) return false;
+
+    try {
+      const bytes = await adapter.serialize(segments.value, { targetLanguage });
+      const blob = new Blob([bytes], { type: adapter.mimeType });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+
+      // Suggest a name: original_translated.docx
+      const nameParts = currentFile.value.name.split('.');
+      const ext = nameParts.pop();
+
+      a.href = url;
+      a.download = `${nameParts.join('.')}_translated.${ext}`;
+      a.click();
+      URL.revokeObjectURL(url);
+      return true;
+    } catch (err) {
+      status.value = 'error';
+      error.value = err.message;
+      return false;
+    }
+  };
+
+  const reset = () => {
+    adapter = null;
+    status.value = 'idle';
+    error.value = null;
+    currentFile.value = null;
+    segments.value = [];
+    Object.assign(progress, createEmptyProgress());
+  };
+
+  return {
+    jobId,
+    status,
+    progress,
+    error,
+    currentFile,
+    segments,
+    loadDocument,
+    startTranslation,
+    cancelTranslation,
+    downloadResult,
+    reset,
+    cleanup: unsubscribe
+  };
+}
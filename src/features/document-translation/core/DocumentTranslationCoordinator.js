@@ -0,0 +1,203 @@
+import { SubtitleBatchPlanner } from '@/features/subtitle-translation/core/SubtitleBatchPlanner.js';
+import { SubtitleProviderLimitsResolver } from '@/features/subtitle-translation/core/SubtitleProviderLimitsResolver.js';
+import { SubtitleProgressTracker } from '@/features/subtitle-translation/core/SubtitleProgressTracker.js';
+import { SubtitleBatchRunner } from '@/features/subtitle-translation/core/SubtitleBatchRunner.js';
+import {
+  getPromptDocumentBaseAsync,
+  getPromptDocumentBatchAsync,
+  TranslationMode
+} from '@/shared/config/config.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { MessagingBus } from '@/shared/messaging/core/MessagingBus.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { MessageContexts } from '@/shared/messaging/core/MessagingConstants.js';
+import { unifiedTranslationService } from '@/core/services/translation/UnifiedTranslationService.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.DOCUMENT, 'DocumentCoordinator');
+
+/**
+ * Document Translation Coordinator - Translates the segments of a DOCX/EPUB file.
+ *
+ * Unpacking and rebuilding happen in the document app; the background only receives
+ * plain segments (with inline markup). Batches run through SubtitleBatchRunner, which
+ * already handles id-keyed items with protected formatting tokens, and are sent in
+ * Document mode with the document prompts.
+ */
+export class DocumentTranslationCoordinator {
+  constructor() {
+    this.activeJobs = new Map();
+  }
+
+  /**
+   * Starts a new document translation job.
+   * @param {Object} payload - { jobId, filename, segments, sourceLanguage, targetLanguage, providerId }
+   */
+  async startJob(payload) {
+    const {
+      jobId,
+      filename,
+      segments: incomingSegments = [],
+      sourceLanguage,
+      targetLanguage,
+      providerId
+    } = payload;
+
+    logger.info(`Starting document job ${jobId} for ${filename} using ${providerId}`);
+
+    // Ensure translation engine is available (Lazy Init for Background Service Worker)
+    if (!unifiedTranslationService.translationEngine) {
+      unifiedTranslationService.translationEngine = globalThis.backgroundService?.translationEngine;
+      unifiedTranslationService.backgroundService = unifiedTranslationService.backgroundService || globalThis.backgroundService;
+    }
+
+    try {
+      const translationEngine = unifiedTranslationService.translationEngine;
+      if (!translationEngine) throw new Error('Translation engine not initialized');
+
+      // Give a retried job a fresh circuit breaker
+      const providerInstance = await translationEngine.getProvider(providerId);
+      if (typeof providerInstance?.rateLimitManager?.resetCircuitBreaker === 'function') {
+        providerInstance.rateLimitManager.resetCircuitBreaker();
+      }
+
+      const segments = incomingSegments.map((segment, idx) => ({
+        id: segment.id,
+        index: segment.index ?? idx + 1,
+        text: segment.text,
+        translatedText: '',
+        status: 'pending',
+        warnings: []
+      }));
+
+      if (segments.length === 0) throw new Error('No translatable text found in document.');
+
+      const progressTracker = new SubtitleProgressTracker(segments.length);
+      this.activeJobs.set(jobId, { segments, progressTracker, status: 'running', activeBatchMessageId: null });
+
+      const limits = SubtitleProviderLimitsResolver.resolve(providerId, TranslationMode.Document);
+      const batches = SubtitleBatchPlanner.plan(segments, limits);
+      logger.info(`Planned ${batches.length} batches for ${segments.length} segments.`);
+
+      for (const batch of batches) {
+        const job = this.activeJobs.get(jobId);
+        if (!job || job.status === 'cancelled') break;
+
+        const result = await this._processBatch(jobId, batch, sourceLanguage, targetLanguage, providerId);
+        this._notifyProgress(jobId, result.updatedSegments);
+
+        // Stop on fatal errors (e.g. invalid API key) but still hand back partial progress
+        if (result.isFatal) {
+          logger.warn(`Stopping job ${jobId} due to fatal error. Rescuing progress...`);
+          job.progressTracker.setTerminalError(result.error || 'Fatal translation error occurred');
+          break;
+        }
+      }
+
+      this._notifyComplete(jobId);
+    } catch (error) {
+      logger.error(`Document job ${jobId} failed:`, error);
+      this._notifyError(jobId, error.message);
+    }
+  }
+
+  /**
+   * Processes a single batch of segments.
+   * @private
+   */
+  async _processBatch(jobId, batch, sourceLanguage, targetLanguage, providerId) {
+    const job = this.activeJobs.get(jobId);
+
+    const [promptTemplate, promptBatch] = await Promise.all([
+      getPromptDocumentBaseAsync(),
+      getPromptDocumentBatchAsync()
+    ]);
+
+    // No custom instruction: the user's general translation prompt applies to documents
+    const { updatedItems, ...result } = await SubtitleBatchRunner.run(job, batch, {
+      jobId,
+      sourceLanguage,
+      targetLanguage,
+      providerId,
+      mode: TranslationMode.Document,
+      prompts: [promptTemplate, promptBatch],
+      requestData: {
+        promptTemplate,
+        metadata: {
+          batchInstruction: promptBatch
+        }
+      }
+    });
+
+    return { ...result, updatedSegments: updatedItems };
+  }
+
+  cancelJob(jobId) {
+    const job = this.activeJobs.get(jobId);
+    if (!job) return;
+
+    job.status = 'cancelled';
+
+    if (job.activeBatchMessageId) {
+      const messageId = job.activeBatchMessageId;
+      job.activeBatchMessageId = null;
+      unifiedTranslationService.cancelRequest(messageId).catch(() => {});
+    }
+
+    logger.info(`Document job ${jobId} cancelled.`);
+  }
+
+  _notifyProgress(jobId, updatedSegments = []) {
+    const job = this.activeJobs.get(jobId);
+    if (!job) return;
+
+    MessagingBus.broadcast({
+      context: MessageContexts.DOCUMENT_TRANSLATION,
+      action: MessageActions.DOCUMENT_TRANSLATE_PROGRESS,
+      payload: {
+        jobId,
+        progress: job.progressTracker.getProgress(),
+        updatedSegments: updatedSegments.map(this._toUpdate)
+      }
+    });
+  }
+
+  _notifyComplete(jobId) {
+    const job = this.activeJobs.get(jobId);
+    if (!job) return;
+
+    job.progressTracker.finalize();
+
+    // The full result travels with completion so the app never rebuilds from a missed update
+    MessagingBus.broadcast({
+      context: MessageContexts.DOCUMENT_TRANSLATION,
+      action: MessageActions.DOCUMENT_TRANSLATE_COMPLETE,
+      payload: {
+        jobId,
+        stats: job.progressTracker.getProgress(),
+        segments: job.segments.map(this._toUpdate)
+      }
+    });
+
+    this.activeJobs.delete(jobId);
+  }
+
+  _notifyError(jobId, error) {
+    MessagingBus.broadcast({
+      context: MessageContexts.DOCUMENT_TRANSLATION,
+      action: MessageActions.DOCUMENT_TRANSLATE_ERROR,
+      payload: { jobId, error }
+    });
+    this.activeJobs.delete(jobId);
+  }
+
+  _toUpdate(segment) {
+    return {
+      id: segment.id,
+      translatedText: segment.translatedText,
+      status: segment.status
+    };
+  }
+}
+
+export const documentTranslationCoordinator = new DocumentTranslationCoordinator();
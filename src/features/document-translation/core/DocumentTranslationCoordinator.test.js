@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { documentTranslationCoordinator } from './DocumentTranslationCoordinator.js';
+import { unifiedTranslationService } from '@/core/services/translation/UnifiedTranslationService.js';
+import { translationMemoryStore } from '@/features/translation/memory/TranslationMemoryStore.js';
+import { glossaryManager } from '@/features/glossary/core/GlossaryManager.js';
+import { MessagingBus } from '@/shared/messaging/core/MessagingBus.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { TranslationMode } from '@/shared/config/config.js';
+
+vi.mock('@/features/subtitle-translation/core/SubtitleProviderLimitsResolver.js', () => ({
+  SubtitleProviderLimitsResolver: { resolve: vi.fn(() => ({ characterLimit: 5000, maxChunks: 50 })) }
+}));
+
+vi.mock('@/core/services/translation/UnifiedTranslationService.js', () => ({
+  unifiedTranslationService: {
+    handleTranslationRequest: vi.fn(),
+    handleTimeout: vi.fn().mockResolvedValue({ handled: true, success: true }),
+    cancelRequest: vi.fn().mockResolvedValue({ handled: true, success: true }),
+    translationEngine: {
+      getProvider: vi.fn().mockResolvedValue({
+        rateLimitManager: { resetCircuitBreaker: vi.fn() }
+      })
+    }
+  }
+}));
+
+vi.mock('@/features/translation/memory/TranslationMemoryStore.js', () => ({
+  translationMemoryStore: {
+    lookupMany: vi.fn(async (texts) => texts.map(() => null)),
+    storeMany: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('@/features/glossary/core/GlossaryManager.js', () => ({
+  glossaryManager: { resolveTerms: vi.fn(async () => []) }
+}));
+
+vi.mock('@/shared/messaging/core/MessagingBus.js', () => ({
+  MessagingBus: {
+    broadcast: vi.fn()
+  }
+}));
+
+const lastBroadcast = (action) => MessagingBus.broadcast.mock.calls
+  .map(([message]) => message)
+  .filter(message => message.action === action)
+  .pop();
+
+describe('DocumentTranslationCoordinator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    documentTranslationCoordinator.activeJobs.clear();
+  });
+
+  it('sends segments in Document mode with the document prompts', async () => {
+    unifiedTranslationService.handleTranslationRequest.mockImplementation(async (message) => ({
+      success: true,
+      results: message.data.items.map(item => item.text.replace('Hello', 'Hallo'))
+    }));
+
+    await documentTranslationCoordinator.startJob({
+      jobId: 'doc-1',
+      filename: 'letter.docx',
+      segments: [
+        { id: 'word/document.xml#0', index: 1, text: 'Hello <g1>world</g1>' },
+        { id: 'word/document.xml#1', index: 2, text: 'Hello again' }
+      ],
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      providerId: 'gemini'
+    });
+
+    const [message, options] = unifiedTranslationService.handleTranslationRequest.mock.calls[0];
+    expect(options).toEqual({ internal: true });
+    expect(message.action).toBe(MessageActions.BATCH_TRANSLATE);
+    expect(message.data.mode).toBe(TranslationMode.Document);
+    expect(message.data.instruction).toBeUndefined();
+    expect(message.data.promptTemplate).toEqual(expect.any(String));
+    expect(message.data.metadata.batchInstruction).toEqual(expect.any(String));
+    // Inline markup travels as protected tokens, never as raw tags
+    expect(message.data.items[0].text).not.toContain('<g1>');
+
+    const complete = lastBroadcast(MessageActions.DOCUMENT_TRANSLATE_COMPLETE);
+    expect(complete.payload.jobId).toBe('doc-1');
+    expect(complete.payload.segments).toEqual([
+      { id: 'word/document.xml#0', translatedText: 'Hallo <g1>world</g1>', status: 'translated' },
+      { id: 'word/document.xml#1', translatedText: 'Hallo again', status: 'translated' }
+    ]);
+    expect(translationMemoryStore.storeMany).toHaveBeenCalled();
+    expect(documentTranslationCoordinator.activeJobs.has('doc-1')).toBe(false);
+  });
+
+  it('serves remembered segments without calling the provider', async () => {
+    translationMemoryStore.lookupMany.mockResolvedValueOnce([{ translatedText: 'Hallo' }]);
+
+    await documentTranslationCoordinator.startJob({
+      jobId: 'doc-2',
+      segments: [{ id: 'a#0', index: 1, text: 'Hello' }],
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      providerId: 'gemini'
+    });
+
+    expect(unifiedTranslationService.handleTranslationRequest).not.toHaveBeenCalled();
+    expect(lastBroadcast(MessageActions.DOCUMENT_TRANSLATE_COMPLETE).payload.segments).toEqual([
+      { id: 'a#0', translatedText: 'Hallo', status: 'translated' }
+    ]);
+  });
+
+  it('bypasses the memory for segments containing a glossary term', async () => {
+    glossaryManager.resolveTerms.mockResolvedValueOnce([{ source: 'Acme', target: 'Acme GmbH' }]);
+    unifiedTranslationService.handleTranslationRequest.mockImplementation(async (message) => ({
+      success: true,
+      results: message.data.items.map(item => item.text.replace('Hello', 'Hallo').replace('Acme', 'Acme GmbH'))
+    }));
+
+    await documentTranslationCoordinator.startJob({
+      jobId: 'doc-glossary',
+      segments: [{ id: 'a#0', index: 1, text: 'Hello Acme' }, { id: 'a#1', index: 2, text: 'Hello' }],
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      providerId: 'gemini'
+    });
+
+    expect(translationMemoryStore.lookupMany).toHaveBeenCalledWith(['Hello'], expect.any(Object));
+    expect(translationMemoryStore.storeMany).toHaveBeenCalledWith(
+      [{ text: 'Hello', translatedText: 'Hallo' }],
+      expect.any(Object)
+    );
+  });
+
+  it('reports an error for documents without text', async () => {
+    await documentTranslationCoordinator.startJob({
+      jobId: 'doc-3',
+      segments: [],
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      providerId: 'gemini'
+    });
+
+    expect(lastBroadcast(MessageActions.DOCUMENT_TRANSLATE_ERROR).payload).toEqual({
+      jobId: 'doc-3',
+      error: 'No translatable text found in document.'
+    });
+  });
+
+  it('marks the batch failed when the job is cancelled before the request', async () => {
+    documentTranslationCoordinator.activeJobs.set('doc-4', {
+      status: 'cancelled',
+      progressTracker: { update: vi.fn() }
+    });
+
+    const batch = [{ id: 'a#0', index: 1, text: 'Hello', status: 'pending', warnings: [] }];
+    const result = await documentTranslationCoordinator._processBatch('doc-4', batch, 'en', 'de', 'gemini');
+
+    expect(result.success).toBe(false);
+    expect(batch[0].status).toBe('failed');
+    expect(unifiedTranslationService.handleTranslationRequest).not.toHaveBeenCalled();
+  });
+
+  it('cancels the in-flight batch request', () => {
+    documentTranslationCoordinator.activeJobs.set('doc-5', { status: 'running', activeBatchMessageId: 'msg-1' });
+
+    documentTranslationCoordinator.cancelJob('doc-5');
+
+    expect(documentTranslationCoordinator.activeJobs.get('doc-5').status).toBe('cancelled');
+    expect(unifiedTranslationService.cancelRequest).toHaveBeenCalledWith('msg-1');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Inline Markup - Compact tag language used to carry inline formatting through translation.
+ *
+ * Formatted spans of a paragraph are wrapped as `<g1>bold text</g1>` and standalone
+ * inline objects (images, line breaks) become `<g2/>`. The tags are tokenized by the
+ * subtitle text protector before reaching the provider, so translators are free to
+ * move them with the words they belong to; adapters rebuild the runs from the result.
+ */
+
+const TAG_PATTERN = /<(\/?)g(\d+)(\/?)>/g;
+
+export const openTag = (id) => `<g${id}>`;
+export const closeTag = (id) => `</g${id}>`;
+export const emptyTag = (id) => `<g${id}/>`;
+
+/**
+ * Wraps text in a group tag.
+ * @param {number} id
+ * @param {string} text
+ * @returns {string}
+ */
+export const wrapGroup = (id, text) => `${openTag(id)}${text}${closeTag(id)}`;
+
+/**
+ * Parses marked-up text into a node tree.
+ * @param {string} text
+ * @returns {Array<Object>|null} Nodes of shape { type: 'text', text } or
+ *   { type: 'group', id, children, empty }; null when the tags are unbalanced
+ */
+export function parseInlineMarkup(text) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  const pushText = (value) => {
+    if (value) stack[stack.length - 1].children.push({ type: 'text', text: value });
+  };
+
+  for (const match of (text || '').matchAll(TAG_PATTERN)) {
+    const [raw, closing, idText, selfClosing] = match;
+    const id = Number(idText);
+    pushText(text.slice(lastIndex, match.index));
+    lastIndex = match.index + raw.length;
+
+    if (selfClosing) {
+      stack[stack.length - 1].children.push({ type: 'group', id, children: [], empty: true });
+    } else if (closing) {
+      const current = stack[stack.length - 1];
+      if (stack.length === 1 || current.id !== id) return null;
+      stack.pop();
+    } else {
+      const group = { type: 'group', id, children: [], empty: false };
+      stack[stack.length - 1].children.push(group);
+      stack.push(group);
+    }
+  }
+
+  if (stack.length !== 1) return null;
+  pushText((text || '').slice(lastIndex));
+  return root.children;
+}
+
+/**
+ * Removes all group tags, leaving the plain text.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripInlineMarkup(text) {
+  return (text || '').replace(TAG_PATTERN, '');
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { parseInlineMarkup, stripInlineMarkup, wrapGroup, emptyTag } from './InlineMarkup.js';
+
+describe('InlineMarkup', () => {
+  it('builds group tags', () => {
+    expect(wrapGroup(2, 'bold')).toBe('<g2>bold</g2>');
+    expect(emptyTag(3)).toBe('<g3/>');
+  });
+
+  it('parses nested and empty groups', () => {
+    expect(parseInlineMarkup('Hi <g0>big <g1>bold</g1></g0> world<g2/>')).toEqual([
+      { type: 'text', text: 'Hi ' },
+      {
+        type: 'group',
+        id: 0,
+        empty: false,
+        children: [
+          { type: 'text', text: 'big ' },
+          { type: 'group', id: 1, empty: false, children: [{ type: 'text', text: 'bold' }] }
+        ]
+      },
+      { type: 'text', text: ' world' },
+      { type: 'group', id: 2, empty: true, children: [] }
+    ]);
+  });
+
+  it('returns null for unbalanced tags', () => {
+    expect(parseInlineMarkup('<g0>open only')).toBeNull();
+    expect(parseInlineMarkup('close only</g0>')).toBeNull();
+    expect(parseInlineMarkup('<g0><g1>crossed</g0></g1>')).toBeNull();
+  });
+
+  it('leaves other angle brackets as text', () => {
+    expect(parseInlineMarkup('a < b and <b>')).toEqual([{ type: 'text', text: 'a < b and <b>' }]);
+  });
+
+  it('strips group tags', () => {
+    expect(stripInlineMarkup('<g0>Hello</g0> <g1/>world')).toBe('Hello world');
+  });
+});
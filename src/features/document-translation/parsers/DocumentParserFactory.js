@@ -0,0 +1,26 @@
+import { DocxAdapter } from './DocxAdapter.js';
+import { EpubAdapter } from './EpubAdapter.js';
+
+/**
+ * Factory for creating the appropriate document adapter based on file type.
+ */
+export class DocumentParserFactory {
+  /**
+   * Get adapter for a specific file extension or format name.
+   * @param {string} format - 'docx', 'epub' or filename
+   */
+  static getAdapter(format) {
+    const normalizedFormat = format.toLowerCase().includes('.')
+      ? format.split('.').pop().toLowerCase()
+      : format.toLowerCase();
+
+    switch (normalizedFormat) {
+      case 'docx':
+        return new DocxAdapter();
+      case 'epub':
+        return new EpubAdapter();
+      default:
+        throw new Error(`Unsupported document format: ${normalizedFormat}. Supported formats are .docx and .epub.`);
+    }
+  }
+}
@@ -0,0 +1,245 @@
+import { ZipArchive } from '../archive/ZipArchive.js';
+import { parseInlineMarkup, stripInlineMarkup, wrapGroup } from '../formatting/InlineMarkup.js';
+import { parseXml, serializeXml, createSegment } from './xmlUtils.js';
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+// Parts carrying user-visible text, in reading order
+const STORY_PART_PATTERN = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+const STORY_PART_ORDER = ['document', 'header', 'footer', 'footnotes', 'endnotes'];
+
+// Run children that hold text; anything else in a run (drawings, fields) is left alone
+const TEXT_CHILDREN = new Set(['t', 'tab', 'br', 'cr']);
+
+const storyRank = (name) => STORY_PART_ORDER.findIndex(prefix => name.startsWith(`word/${prefix}`));
+
+const isWordElement = (node, localName) =>
+  node.nodeType === 1 && node.namespaceURI === WORD_NAMESPACE && node.localName === localName;
+
+/**
+ * Closest enclosing w:p, so runs of text boxes nested inside a paragraph are not
+ * attributed to the outer paragraph.
+ */
+function owningParagraph(node) {
+  let current = node.parentNode;
+  while (current && !isWordElement(current, 'p')) current = current.parentNode;
+  return current;
+}
+
+function isTextRun(run) {
+  return Array.from(run.childNodes).some(child => isWordElement(child, 't'));
+}
+
+function readRunText(run) {
+  let text = '';
+  for (const child of run.childNodes) {
+    if (isWordElement(child, 't')) text += child.textContent;
+    else if (isWordElement(child, 'tab')) text += '\t';
+    else if ((isWordElement(child, 'br') && !child.getAttributeNS(WORD_NAMESPACE, 'type')) || isWordElement(child, 'cr')) text += '\n';
+  }
+  return text;
+}
+
+function writeRunText(run, text) {
+  const doc = run.ownerDocument;
+  const qualify = (localName) => (run.prefix ? `${run.prefix}:${localName}` : localName);
+
+  Array.from(run.childNodes)
+    .filter(child => child.nodeType === 1 && child.namespaceURI === WORD_NAMESPACE && TEXT_CHILDREN.has(child.localName))
+    .forEach(child => run.removeChild(child));
+
+  text.split(/(\n|\t)/).forEach(part => {
+    if (!part) return;
+    if (part === '\n') {
+      run.appendChild(doc.createElementNS(WORD_NAMESPACE, qualify('br')));
+    } else if (part === '\t') {
+      run.appendChild(doc.createElementNS(WORD_NAMESPACE, qualify('tab')));
+    } else {
+      const textElement = doc.createElementNS(WORD_NAMESPACE, qualify('t'));
+      textElement.setAttributeNS(XML_NAMESPACE, 'xml:space', 'preserve');
+      textElement.textContent = part;
+      run.appendChild(textElement);
+    }
+  });
+}
+
+/**
+ * Flattens parsed markup into ordered { group, text } pieces, attributing text to
+ * the innermost known group and everything else to the base group.
+ */
+function flattenPieces(nodes, groupCount, baseGroup) {
+  const pieces = [];
+  const walk = (children, group) => {
+    children.forEach(node => {
+      if (node.type === 'text') {
+        const last = pieces[pieces.length - 1];
+        if (last && last.group === group) last.text += node.text;
+        else pieces.push({ group, text: node.text });
+      } else {
+        walk(node.children, node.id < groupCount ? node.id : group);
+      }
+    });
+  };
+  walk(nodes, baseGroup);
+  return pieces;
+}
+
+/**
+ * DocxAdapter - Extracts paragraph text from Word documents and writes translations back.
+ *
+ * Adjacent runs with identical properties form a formatting group. The formatting that
+ * covers most of a paragraph is the base and stays untagged; the others are wrapped in inline
+ * markup so bold, italic or hyperlinked spans survive translation and reordering.
+ */
+export class DocxAdapter {
+  constructor() {
+    this.mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    this.archive = null;
+    this.parts = [];
+    this.bindings = new Map();
+  }
+
+  /**
+   * Parses a .docx file into translatable segments.
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {Promise<Object>} { segments, metadata }
+   */
+  async parse(buffer) {
+    this.archive = await ZipArchive.fromBuffer(buffer);
+    this.parts = [];
+    this.bindings = new Map();
+
+    if (!this.archive.has('word/document.xml')) {
+      throw new Error('Invalid DOCX file: word/document.xml not found.');
+    }
+
+    const partNames = this.archive.getNames()
+      .filter(name => STORY_PART_PATTERN.test(name))
+      .sort((a, b) => storyRank(a) - storyRank(b));
+
+    const segments = [];
+
+    for (const name of partNames) {
+      const source = this.archive.getText(name);
+      const doc = parseXml(source);
+      this.parts.push({ name, source, doc });
+
+      for (const paragraph of Array.from(doc.getElementsByTagNameNS(WORD_NAMESPACE, 'p'))) {
+        const binding = this._bindParagraph(paragraph);
+        if (!binding) continue;
+
+        const segment = createSegment(`${name}#${segments.length}`, segments.length + 1, binding.text);
+        this.bindings.set(segment.id, binding);
+        segments.push(segment);
+      }
+    }
+
+    return { segments, metadata: { format: 'docx', parts: partNames.length } };
+  }
+
+  /**
+   * Writes translated segments back into the document.
+   * Segments without a translation keep their original text.
+   * @param {Array} segments
+   * @returns {Promise<Uint8Array>}
+   */
+  async serialize(segments) {
+    if (!this.archive) throw new Error('No DOCX document has been parsed.');
+
+    segments.forEach(segment => {
+      const binding = this.bindings.get(segment.id);
+      if (!binding || segment.status !== 'translated' || !segment.translatedText) return;
+      this._applyTranslation(binding, segment.translatedText);
+    });
+
+    // Bindings point at live nodes that were just rewritten
+    this.bindings.clear();
+
+    this.parts.forEach(({ name, source, doc }) => {
+      this.archive.setEntry(name, serializeXml(doc, source));
+    });
+    return this.archive.toBytes();
+  }
+
+  /** @private */
+  _bindParagraph(paragraph) {
+    const runs = Array.from(paragraph.getElementsByTagNameNS(WORD_NAMESPACE, 'r'))
+      .filter(run => owningParagraph(run) === paragraph && isTextRun(run));
+    if (runs.length === 0) return null;
+
+    const groups = [];
+    runs.forEach(run => {
+      const properties = Array.from(run.childNodes).find(child => isWordElement(child, 'rPr'));
+      const key = properties ? new XMLSerializer().serializeToString(properties) : '';
+      const last = groups[groups.length - 1];
+      const text = readRunText(run);
+
+      if (last && last.key === key && last.parent === run.parentNode) {
+        last.runs.push(run);
+        last.text += text;
+      } else {
+        groups.push({ key, parent: run.parentNode, runs: [run], text });
+      }
+    });
+
+    const plainText = groups.map(group => group.text).join('');
+    if (!plainText.trim()) return null;
+
+    // Non-adjacent groups can share formatting, so the base is chosen by style, not by group
+    const sameStyle = (a, b) => a.key === b.key && a.parent === b.parent;
+    const styleLength = (group) => groups.filter(other => sameStyle(other, group)).reduce((sum, other) => sum + other.text.length, 0);
+    const baseGroup = groups.reduce((best, group, idx) => (styleLength(group) > styleLength(groups[best]) ? idx : best), 0);
+    const text = groups
+      .map((group, idx) => (sameStyle(group, groups[baseGroup]) || !group.text ? group.text : wrapGroup(idx, group.text)))
+      .join('');
+
+    return { paragraph, runs, groups, baseGroup, text };
+  }
+
+  /** @private */
+  _applyTranslation(binding, translatedText) {
+    const { paragraph, runs, groups, baseGroup } = binding;
+    const nodes = parseInlineMarkup(translatedText);
+    const pieces = nodes
+      ? flattenPieces(nodes, groups.length, baseGroup)
+      : [{ group: baseGroup, text: stripInlineMarkup(translatedText) }];
+
+    // Remember where the paragraph's text started before removing the original runs
+    let anchor = runs[0];
+    while (anchor.parentNode !== paragraph) anchor = anchor.parentNode;
+    const marker = paragraph.ownerDocument.createComment('');
+    paragraph.insertBefore(marker, anchor);
+
+    const templates = groups.map(group => ({ run: group.runs[0], parent: group.parent }));
+    runs.forEach(run => run.parentNode.removeChild(run));
+
+    // Containers such as hyperlinks move to where the translation first uses them
+    const placed = new Set();
+    pieces.forEach(({ group, text }) => {
+      const { run, parent } = templates[group];
+      const clone = run.cloneNode(true);
+      writeRunText(clone, text);
+
+      if (parent === paragraph) {
+        paragraph.insertBefore(clone, marker);
+        return;
+      }
+
+      parent.appendChild(clone);
+      let container = parent;
+      while (container.parentNode !== paragraph) container = container.parentNode;
+      if (!placed.has(container)) {
+        paragraph.insertBefore(container, marker);
+        placed.add(container);
+      }
+    });
+
+    paragraph.removeChild(marker);
+    templates.forEach(({ parent }) => {
+      if (parent !== paragraph && parent.parentNode && !parent.firstElementChild) {
+        parent.parentNode.removeChild(parent);
+      }
+    });
+  }
+}
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { DocxAdapter } from './DocxAdapter.js';
+import { ZipArchive } from '../archive/ZipArchive.js';
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const BOLD = '<w:rPr><w:b/></w:rPr>';
+
+const buildDocx = async (body, extraParts = {}) => {
+  const archive = new ZipArchive();
+  archive.setEntry('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types/>');
+  archive.setEntry('word/document.xml',
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="${W}" xmlns:r="${R}"><w:body>${body}</w:body></w:document>`);
+  Object.entries(extraParts).forEach(([name, content]) => archive.setEntry(name, content));
+  return archive.toBytes();
+};
+
+const readParagraphs = async (bytes) => {
+  const archive = await ZipArchive.fromBuffer(bytes);
+  const source = archive.getText('word/document.xml');
+  const doc = new DOMParser().parseFromString(source, 'application/xml');
+  return { source, paragraphs: Array.from(doc.getElementsByTagNameNS(W, 'p')) };
+};
+
+const describeRuns = (paragraph) => Array.from(paragraph.getElementsByTagNameNS(W, 'r')).map(run => ({
+  text: Array.from(run.getElementsByTagNameNS(W, 't')).map(t => t.textContent).join(''),
+  bold: run.getElementsByTagNameNS(W, 'b').length > 0,
+  link: run.parentNode.localName === 'hyperlink'
+}));
+
+const translate = (segments, translations) => segments.map((segment, idx) => ({
+  ...segment,
+  translatedText: translations[idx],
+  status: translations[idx] ? 'translated' : 'failed'
+}));
+
+describe('DocxAdapter', () => {
+  it('extracts paragraphs with formatted spans as inline markup', async () => {
+    const adapter = new DocxAdapter();
+    const { segments } = await adapter.parse(await buildDocx(
+      '<w:p><w:r><w:t xml:space="preserve">Press the </w:t></w:r><w:r>' + BOLD + '<w:t>red</w:t></w:r><w:r><w:t xml:space="preserve"> button now</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t xml:space="preserve">   </w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>Line one</w:t><w:br/><w:t>Line two</w:t><w:tab/><w:t>end</w:t></w:r></w:p>'
+    ));
+
+    expect(segments.map(segment => segment.text)).toEqual([
+      'Press the <g1>red</g1> button now',
+      'Line one\nLine two\tend'
+    ]);
+    expect(segments[0]).toMatchObject({ index: 1, status: 'pending', translatedText: '', warnings: [] });
+  });
+
+  it('rebuilds runs in translated order while keeping their formatting', async () => {
+    const adapter = new DocxAdapter();
+    const { segments } = await adapter.parse(await buildDocx(
+      '<w:p><w:r><w:t xml:space="preserve">Press the </w:t></w:r><w:r>' + BOLD + '<w:t>red</w:t></w:r><w:r><w:t xml:space="preserve"> button now</w:t></w:r></w:p>'
+    ));
+
+    const bytes = await adapter.serialize(translate(segments, ['Drücken Sie jetzt die <g1>rote</g1> Taste']));
+    const { source, paragraphs } = await readParagraphs(bytes);
+
+    expect(source.startsWith('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>')).toBe(true);
+    expect(describeRuns(paragraphs[0])).toEqual([
+      { text: 'Drücken Sie jetzt die ', bold: false, link: false },
+      { text: 'rote', bold: true, link: false },
+      { text: ' Taste', bold: false, link: false }
+    ]);
+  });
+
+  it('moves hyperlinks with the words they wrap', async () => {
+    const adapter = new DocxAdapter();
+    const { segments } = await adapter.parse(await buildDocx(
+      '<w:p><w:hyperlink r:id="rId5"><w:r><w:t>Click</w:t></w:r></w:hyperlink><w:r><w:t xml:space="preserve"> here to continue</w:t></w:r></w:p>'
+    ));
+    expect(segments[0].text).toBe('<g0>Click</g0> here to continue');
+
+    const bytes = await adapter.serialize(translate(segments, ['Um fortzufahren, <g0>klicken</g0> Sie hier']));
+    const { paragraphs } = await readParagraphs(bytes);
+
+    expect(describeRuns(paragraphs[0])).toEqual([
+      { text: 'Um fortzufahren, ', bold: false, link: false },
+      { text: 'klicken', bold: false, link: true },
+      { text: ' Sie hier', bold: false, link: false }
+    ]);
+    expect(paragraphs[0].getElementsByTagNameNS(W, 'hyperlink')[0].getAttributeNS(R, 'id')).toBe('rId5');
+  });
+
+  it('falls back to plain text in the base run when tags are mangled', async () => {
+    const adapter = new DocxAdapter();
+    const { segments } = await adapter.parse(await buildDocx(
+      '<w:p><w:r><w:t xml:space="preserve">Press the </w:t></w:r><w:r>' + BOLD + '<w:t>red</w:t></w:r><w:r><w:t xml:space="preserve"> button now</w:t></w:r></w:p>'
+    ));
+
+    const bytes = await adapter.serialize(translate(segments, ['Drücken Sie die <g1>rote Taste']));
+    const { paragraphs } = await readParagraphs(bytes);
+
+    expect(describeRuns(paragraphs[0])).toEqual([
+      { text: 'Drücken Sie die rote Taste', bold: false, link: false }
+    ]);
+  });
+
+  it('keeps untranslated paragraphs and translates headers and footnotes', async () => {
+    const adapter = new DocxAdapter();
+    const header = `<?xml version="1.0" encoding="UTF-8"?><w:hdr xmlns:w="${W}"><w:p><w:r><w:t>Draft</w:t></w:r></w:p></w:hdr>`;
+    const { segments } = await adapter.parse(await buildDocx(
+      '<w:p><w:r><w:t>First</w:t></w:r></w:p><w:p><w:r><w:t>Second</w:t></w:r></w:p>',
+      { 'word/header1.xml': header }
+    ));
+
+    expect(segments.map(segment => segment.id)).toEqual(['word/document.xml#0', 'word/document.xml#1', 'word/header1.xml#2']);
+
+    const bytes = await adapter.serialize(translate(segments, ['Erste', null, 'Entwurf']));
+    const { paragraphs } = await readParagraphs(bytes);
+    const archive = await ZipArchive.fromBuffer(bytes);
+
+    expect(paragraphs.map(p => describeRuns(p)[0].text)).toEqual(['Erste', 'Second']);
+    expect(archive.getText('word/header1.xml')).toContain('<w:t xml:space="preserve">Entwurf</w:t>');
+    expect(archive.getNames()[0]).toBe('[Content_Types].xml');
+  });
+
+  it('rejects archives without a Word document', async () => {
+    const archive = new ZipArchive();
+    archive.setEntry('readme.txt', 'hello');
+
+    await expect(new DocxAdapter().parse(await archive.toBytes())).rejects.toThrow('word/document.xml not found');
+  });
+});
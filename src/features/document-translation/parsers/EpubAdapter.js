@@ -0,0 +1,206 @@
+import { ZipArchive } from '../archive/ZipArchive.js';
+import { parseInlineMarkup, stripInlineMarkup, wrapGroup, emptyTag } from '../formatting/InlineMarkup.js';
+import { parseXml, serializeXml, createSegment } from './xmlUtils.js';
+
+const XHTML_MEDIA_TYPE = 'application/xhtml+xml';
+const DUBLIN_CORE_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+// Elements translated as one unit when they do not contain other such elements
+const BLOCK_ELEMENTS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'dt', 'dd', 'blockquote',
+  'figcaption', 'caption', 'td', 'th', 'div'
+]);
+
+// Content that must reach the reader untouched
+const EXCLUDED_ELEMENTS = new Set(['script', 'style', 'pre', 'code', 'svg', 'math']);
+
+const localNameOf = (node) => (node.localName || '').toLowerCase();
+
+const resolvePath = (baseDir, href) => {
+  const segments = `${baseDir}${decodeURIComponent(href.split('#')[0])}`.split('/');
+  const resolved = [];
+  segments.forEach(segment => {
+    if (segment === '..') resolved.pop();
+    else if (segment && segment !== '.') resolved.push(segment);
+  });
+  return resolved.join('/');
+};
+
+function isExcluded(element) {
+  for (let current = element; current && current.nodeType === 1; current = current.parentNode) {
+    if (EXCLUDED_ELEMENTS.has(localNameOf(current))) return true;
+  }
+  return false;
+}
+
+function hasBlockDescendant(element) {
+  return Array.from(element.getElementsByTagName('*')).some(child => BLOCK_ELEMENTS.has(localNameOf(child)));
+}
+
+/**
+ * Builds the marked-up text of a block, registering inline elements as groups.
+ * Source whitespace is layout, so runs of it collapse to single spaces.
+ */
+function buildMarkup(element, inlineElements) {
+  let text = '';
+  element.childNodes.forEach(child => {
+    if (child.nodeType === 3) {
+      text += child.nodeValue.replace(/\s+/g, ' ');
+    } else if (child.nodeType === 1) {
+      const id = inlineElements.push(child) - 1;
+      const inner = child.textContent.trim() ? buildMarkup(child, inlineElements) : '';
+      text += inner ? wrapGroup(id, inner) : emptyTag(id);
+    }
+  });
+  return text;
+}
+
+function buildNodes(doc, nodes, inlineElements) {
+  const fragment = doc.createDocumentFragment();
+  nodes.forEach(node => {
+    if (node.type === 'text') {
+      fragment.appendChild(doc.createTextNode(node.text));
+      return;
+    }
+
+    const source = inlineElements[node.id];
+    if (!source) {
+      fragment.appendChild(buildNodes(doc, node.children, inlineElements));
+    } else if (node.empty) {
+      fragment.appendChild(source.cloneNode(true));
+    } else {
+      const element = source.cloneNode(false);
+      element.appendChild(buildNodes(doc, node.children, inlineElements));
+      fragment.appendChild(element);
+    }
+  });
+  return fragment;
+}
+
+/**
+ * EpubAdapter - Extracts block text from the spine documents of an EPUB and writes
+ * translations back. Inline elements (emphasis, links, footnote references, images)
+ * are carried as inline markup and cloned from the original when rebuilding.
+ */
+export class EpubAdapter {
+  constructor() {
+    this.mimeType = 'application/epub+zip';
+    this.archive = null;
+    this.packagePath = '';
+    this.packageDoc = null;
+    this.packageSource = '';
+    this.parts = [];
+    this.bindings = new Map();
+  }
+
+  /**
+   * Parses an .epub file into translatable segments.
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {Promise<Object>} { segments, metadata }
+   */
+  async parse(buffer) {
+    this.archive = await ZipArchive.fromBuffer(buffer);
+    this.parts = [];
+    this.bindings = new Map();
+
+    const container = this.archive.getText('META-INF/container.xml');
+    if (!container) throw new Error('Invalid EPUB file: META-INF/container.xml not found.');
+
+    const rootfile = parseXml(container).getElementsByTagNameNS('*', 'rootfile')[0];
+    this.packagePath = rootfile?.getAttribute('full-path') || '';
+    this.packageSource = this.archive.getText(this.packagePath);
+    if (!this.packageSource) throw new Error('Invalid EPUB file: package document not found.');
+
+    const packageDoc = parseXml(this.packageSource);
+    this.packageDoc = packageDoc;
+    const baseDir = this.packagePath.includes('/') ? this.packagePath.slice(0, this.packagePath.lastIndexOf('/') + 1) : '';
+    const manifest = new Map(
+      Array.from(packageDoc.getElementsByTagNameNS('*', 'item')).map(item => [item.getAttribute('id'), item])
+    );
+    const spinePaths = Array.from(packageDoc.getElementsByTagNameNS('*', 'itemref'))
+      .map(itemref => manifest.get(itemref.getAttribute('idref')))
+      .filter(item => item && item.getAttribute('media-type') === XHTML_MEDIA_TYPE)
+      .map(item => resolvePath(baseDir, item.getAttribute('href')));
+
+    const segments = [];
+
+    for (const name of spinePaths) {
+      const source = this.archive.getText(name);
+      if (!source) continue;
+
+      const doc = parseXml(source, XHTML_MEDIA_TYPE);
+      this.parts.push({ name, source, doc });
+
+      const body = doc.getElementsByTagNameNS('*', 'body')[0];
+      if (!body) continue;
+
+      const blocks = Array.from(body.getElementsByTagName('*'))
+        .filter(element => BLOCK_ELEMENTS.has(localNameOf(element)) && !hasBlockDescendant(element) && !isExcluded(element));
+
+      blocks.forEach(block => {
+        if (!block.textContent.trim()) return;
+
+        const inlineElements = [];
+        const text = buildMarkup(block, inlineElements).trim();
+        const segment = createSegment(`${name}#${segments.length}`, segments.length + 1, text);
+        this.bindings.set(segment.id, { block, inlineElements });
+        segments.push(segment);
+      });
+    }
+
+    return { segments, metadata: { format: 'epub', chapters: this.parts.length } };
+  }
+
+  /**
+   * Writes translated segments back into the book and tags it with the target language.
+   * @param {Array} segments
+   * @param {Object} [options]
+   * @param {string} [options.targetLanguage]
+   * @returns {Promise<Uint8Array>}
+   */
+  async serialize(segments, { targetLanguage } = {}) {
+    if (!this.archive) throw new Error('No EPUB document has been parsed.');
+
+    segments.forEach(segment => {
+      const binding = this.bindings.get(segment.id);
+      if (!binding || segment.status !== 'translated' || !segment.translatedText) return;
+      this._applyTranslation(binding, segment.translatedText);
+    });
+    this.bindings.clear();
+
+    this.parts.forEach(({ name, source, doc }) => {
+      if (targetLanguage) this._setDocumentLanguage(doc, targetLanguage);
+      this.archive.setEntry(name, serializeXml(doc, source));
+    });
+
+    if (targetLanguage) {
+      Array.from(this.packageDoc.getElementsByTagNameNS(DUBLIN_CORE_NAMESPACE, 'language'))
+        .forEach(language => { language.textContent = targetLanguage; });
+      this.archive.setEntry(this.packagePath, serializeXml(this.packageDoc, this.packageSource));
+    }
+
+    return this.archive.toBytes();
+  }
+
+  /** @private */
+  _applyTranslation({ block, inlineElements }, translatedText) {
+    const doc = block.ownerDocument;
+    const nodes = parseInlineMarkup(translatedText);
+
+    while (block.firstChild) block.removeChild(block.firstChild);
+
+    if (nodes) {
+      block.appendChild(buildNodes(doc, nodes, inlineElements));
+    } else {
+      block.appendChild(doc.createTextNode(stripInlineMarkup(translatedText)));
+    }
+  }
+
+  /** @private */
+  _setDocumentLanguage(doc, language) {
+    const root = doc.documentElement;
+    if (root.hasAttribute('lang')) root.setAttribute('lang', language);
+    if (root.hasAttributeNS(XML_NAMESPACE, 'lang')) root.setAttributeNS(XML_NAMESPACE, 'xml:lang', language);
+  }
+}
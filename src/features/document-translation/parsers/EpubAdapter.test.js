@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { EpubAdapter } from './EpubAdapter.js';
+import { ZipArchive } from '../archive/ZipArchive.js';
+
+const CONTAINER = '<?xml version="1.0"?><container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+  '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>';
+
+const PACKAGE = '<?xml version="1.0" encoding="UTF-8"?><package xmlns="http://www.idpf.org/2007/opf" version="3.0">' +
+  '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:language>en</dc:language></metadata>' +
+  '<manifest><item id="ch1" href="text/chapter%201.xhtml" media-type="application/xhtml+xml"/>' +
+  '<item id="css" href="style.css" media-type="text/css"/></manifest>' +
+  '<spine><itemref idref="ch1"/><itemref idref="css"/></spine></package>';
+
+const CHAPTER = '<?xml version="1.0" encoding="UTF-8"?><html xmlns="http://www.w3.org/1999/xhtml" lang="en" xml:lang="en"><head><title>One</title></head><body>' +
+  '<h1>Chapter   One</h1>' +
+  '<p>The <em class="stress">quick</em> fox<img src="fox.png" alt=""/> jumps.</p>' +
+  '<div><p>Nested block</p></div>' +
+  '<pre>const untouched = true;</pre>' +
+  '</body></html>';
+
+const buildEpub = async () => {
+  const archive = new ZipArchive();
+  archive.setEntry('mimetype', 'application/epub+zip', { compressed: false });
+  archive.setEntry('META-INF/container.xml', CONTAINER);
+  archive.setEntry('OEBPS/content.opf', PACKAGE);
+  archive.setEntry('OEBPS/text/chapter 1.xhtml', CHAPTER);
+  archive.setEntry('OEBPS/style.css', 'p { margin: 0; }');
+  return archive.toBytes();
+};
+
+const translate = (segments, translations) => segments.map((segment, idx) => ({
+  ...segment,
+  translatedText: translations[idx],
+  status: translations[idx] ? 'translated' : 'failed'
+}));
+
+describe('EpubAdapter', () => {
+  it('extracts leaf blocks from spine documents with inline markup', async () => {
+    const adapter = new EpubAdapter();
+    const { segments, metadata } = await adapter.parse(await buildEpub());
+
+    expect(metadata).toEqual({ format: 'epub', chapters: 1 });
+    expect(segments.map(segment => segment.text)).toEqual([
+      'Chapter One',
+      'The <g0>quick</g0> fox<g1/> jumps.',
+      'Nested block'
+    ]);
+    expect(segments[0].id).toBe('OEBPS/text/chapter 1.xhtml#0');
+  });
+
+  it('rebuilds inline elements and tags the book with the target language', async () => {
+    const adapter = new EpubAdapter();
+    const { segments } = await adapter.parse(await buildEpub());
+
+    const bytes = await adapter.serialize(
+      translate(segments, ['Kapitel Eins', 'Der <g0>schnelle</g0> Fuchs springt<g1/>.', null]),
+      { targetLanguage: 'de' }
+    );
+    const archive = await ZipArchive.fromBuffer(bytes);
+    const chapter = archive.getText('OEBPS/text/chapter 1.xhtml');
+
+    expect(chapter.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(chapter).toContain('<h1>Kapitel Eins</h1>');
+    expect(chapter).toContain('<p>Der <em class="stress">schnelle</em> Fuchs springt<img src="fox.png" alt="" />.</p>');
+    expect(chapter).toContain('<p>Nested block</p>');
+    expect(chapter).toContain('<pre>const untouched = true;</pre>');
+    expect(chapter).toMatch(/<html[^>]*\blang="de"/);
+    expect(chapter).toMatch(/<html[^>]*\bxml:lang="de"/);
+    expect(archive.getText('OEBPS/content.opf')).toContain('<dc:language>de</dc:language>');
+  });
+
+  it('keeps the mimetype entry first and uncompressed', async () => {
+    const adapter = new EpubAdapter();
+    const { segments } = await adapter.parse(await buildEpub());
+
+    const bytes = await adapter.serialize(translate(segments, ['Kapitel Eins', null, null]), { targetLanguage: 'de' });
+    const archive = await ZipArchive.fromBuffer(bytes);
+
+    expect(archive.getNames()[0]).toBe('mimetype');
+    expect(new TextDecoder().decode(bytes.slice(38, 38 + 20))).toBe('application/epub+zip');
+  });
+
+  it('falls back to plain text when the translation breaks the markup', async () => {
+    const adapter = new EpubAdapter();
+    const { segments } = await adapter.parse(await buildEpub());
+
+    const bytes = await adapter.serialize(translate(segments, [null, 'Der <g0>schnelle Fuchs springt.', null]));
+    const archive = await ZipArchive.fromBuffer(bytes);
+
+    expect(archive.getText('OEBPS/text/chapter 1.xhtml')).toContain('<p>Der schnelle Fuchs springt.</p>');
+  });
+
+  it('rejects archives without a container document', async () => {
+    const archive = new ZipArchive();
+    archive.setEntry('mimetype', 'application/epub+zip', { compressed: false });
+
+    await expect(new EpubAdapter().parse(await archive.toBytes())).rejects.toThrow('META-INF/container.xml not found');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * XML helpers shared by the document adapters.
+ */
+
+const XML_DECLARATION_PATTERN = /^\uFEFF?\s*(<\?xml[^>]*\?>)/;
+
+/**
+ * Parses an XML part and fails loudly on malformed input.
+ * @param {string} content
+ * @param {string} [mimeType='application/xml']
+ * @returns {Document}
+ */
+export function parseXml(content, mimeType = 'application/xml') {
+  const doc = new DOMParser().parseFromString(content, mimeType);
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Document contains malformed XML.');
+  }
+  return doc;
+}
+
+/**
+ * Serializes a parsed part, restoring the XML declaration that XMLSerializer drops.
+ * @param {Document} doc
+ * @param {string} originalContent - Source the document was parsed from
+ * @returns {string}
+ */
+export function serializeXml(doc, originalContent = '') {
+  const serialized = new XMLSerializer().serializeToString(doc);
+  const declaration = originalContent.match(XML_DECLARATION_PATTERN)?.[1];
+  return declaration && !serialized.startsWith('<?xml') ? `${declaration}\n${serialized}` : serialized;
+}
+
+/**
+ * Creates a translatable segment in the shape the subtitle pipeline uses for cues.
+ * @param {string} id
+ * @param {number} index
+ * @param {string} text - Segment text with inline markup
+ * @returns {Object}
+ */
+export function createSegment(id, index, text) {
+  return {
+    id,
+    index,
+    text,
+    translatedText: '',
+    status: 'pending',
+    warnings: []
+  };
+}
@@ -18,6 +18,7 @@ import { TRANSLATION_STATUS } from '@/shared/constants/translation.js';
 import { getTranslationString } from '@/utils/i18n/i18n.js';
 import { shouldShowProviderWarning } from '@/shared/utils/warning-manager.js';
 import { ProviderRegistryIds } from '@/features/translation/providers/ProviderConstants.js';
+import { GlossaryValidator } from '@/features/glossary/core/GlossaryValidator.js';
 import { deviceDetector } from '@/utils/browser/compatibility.js';
 
 // Hover manager for original text preview
@@ -556,6 +557,10 @@ class SelectElementManager extends ResourceTracker {
           ErrorHandler.getInstance().handle(partialDisplayError, { context: 'select-element', showToast: true }).catch(() => {});
         }
 
+        if (result.glossaryViolations?.length > 0) {
+          await this._notifyGlossaryViolations(result.glossaryViolations);
+        }
+
         this.performPostTranslationCleanup({ reason: 'success' });
       } else if (result?.cancelled) {
         this.deactivate({ reason: 'cancel', silent: true });
@@ -664,6 +669,21 @@ class SelectElementManager extends ResourceTracker {
     pageEventBus.emit('show-select-element-info', { message });
   }
 
+  /**
+   * Warns that the provider ignored glossary terms in the translated element.
+   * @param {Array<{source: string, target: string}>} violations
+   * @private
+   */
+  async _notifyGlossaryViolations(violations) {
+    const template = await getTranslationString('glossary_violation_notice');
+    this.baseNotificationManager?.show(
+      (template || 'Glossary terms not applied: {terms}').replace('{terms}', GlossaryValidator.describe(violations)),
+      'warning',
+      NOTIFICATION_TIME.WARNING,
+      { id: 'select-element-glossary-violations' }
+    );
+  }
+
   performPostTranslationCleanup(options = {}) {
     const reason = options.reason || 'success';
     // In Select Element mode, we want to preserve partial translations even on error
@@ -757,7 +757,7 @@ export class DomTranslatorAdapter extends ResourceTracker {
 
             // Capture final language from stream end metadata if available
             const finalLang = data.targetLanguage || effectiveTargetLanguage;
-            safeResolve({ success: true, targetLanguage: finalLang });
+            safeResolve({ success: true, targetLanguage: finalLang, glossaryViolations: data.glossaryViolations });
           },
            onError: (error) => {
              if (isSettled) return;
@@ -1346,7 +1346,15 @@ export class DomTranslatorAdapter extends ResourceTracker {
         totalParentCount,
       });
     }
-    return { success: true, partial, elementId, element, committedParentCount, totalParentCount };
+    return {
+      success: true,
+      partial,
+      elementId,
+      element,
+      committedParentCount,
+      totalParentCount,
+      ...(result.glossaryViolations?.length > 0 && { glossaryViolations: result.glossaryViolations })
+    };
   }
 
   async _sendParentAcceptanceAck(parentId, cleanResult, accepted, translationToken = null) {
@@ -7,6 +7,8 @@ import { ErrorHandler } from '@/shared/error-management/ErrorHandler.js';
 import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
 import { pageEventBus } from '@/core/PageEventBus.js';
 import { FEATURE_CONFIG, RELEVANT_FEATURE_SETTINGS, ALL_FEATURES } from '@/core/managers/content/FeatureConfig.js';
+import { findSiteProfile, getSiteFeatureOverride as resolveSiteFeatureOverride } from '@/features/site-profiles/core/SiteProfiles.js';
+import { isShortcutSiteDisabled } from '@/features/shortcuts/core/ShortcutRegistry.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.EXCLUSION, 'ExclusionChecker');
 
@@ -126,8 +128,15 @@ export class ExclusionChecker {
         return false;
       }
 
+      // Site profile override takes precedence over the feature setting
+      const siteOverride = this.getSiteFeatureOverride(featureName);
+      if (siteOverride === false) {
+        logger.debug(`Feature ${featureName} blocked: disabled by site profile`);
+        return false;
+      }
+
       // Feature-specific setting check
-      const featureEnabled = this.isFeatureEnabled(featureName);
+      const featureEnabled = siteOverride === true || this.isFeatureEnabled(featureName);
       if (!featureEnabled) {
         logger.debug(`Feature ${featureName} blocked: feature setting disabled (check isFeatureEnabled)`);
         return false;
@@ -177,15 +186,36 @@ export class ExclusionChecker {
     return false;
   }
 
+  /**
+   * Site profile that applies to the current page.
+   * @returns {Object|null}
+   */
+  getSiteProfile() {
+    return findSiteProfile(this.currentUrl, settingsManager.get('SITE_PROFILES', []));
+  }
+
+  /**
+   * @param {string} featureName
+   * @returns {boolean|null} state forced by the site profile, or null to follow the settings
+   */
+  getSiteFeatureOverride(featureName) {
+    return resolveSiteFeatureOverride(this.getSiteProfile(), featureName);
+  }
+
   async isUrlExcludedForFeature(featureName) {
     try {
       const { isUrlExcluded, isUrlExcluded_TEXT_FIELDS_ICON } = await utilsFactory.getUIUtils();
       const excludedSites = settingsManager.get('EXCLUDED_SITES', []);
 
-      if (featureName === 'textFieldIcon') {
+      // A site profile that turns the icon on overrides the built-in editor exclusions
+      if (featureName === 'textFieldIcon' && this.getSiteFeatureOverride(featureName) !== true) {
         return isUrlExcluded_TEXT_FIELDS_ICON(this.currentUrl, excludedSites);
       }
 
+      if (featureName === 'shortcut' && isShortcutSiteDisabled(this.currentUrl, settingsManager.get('SHORTCUTS_DISABLED_SITES', []))) {
+        return true;
+      }
+
       return isUrlExcluded(this.currentUrl, excludedSites);
     } catch (error) {
       logger.error('Error checking URL exclusion:', error);
@@ -199,20 +229,24 @@ export class ExclusionChecker {
     }
 
     const isExtensionEnabled = settingsManager.get('EXTENSION_ENABLED', true);
+    const siteProfile = this.getSiteProfile();
     const status = {
       initialized: true,
       url: this.currentUrl,
       globalEnabled: isExtensionEnabled,
+      siteProfileId: siteProfile?.id || null,
       features: {}
     };
 
     for (const feature of ALL_FEATURES) {
       const featureEnabled = this.isFeatureEnabled(feature);
+      const siteOverride = resolveSiteFeatureOverride(siteProfile, feature);
       const urlExcluded = await this.isUrlExcludedForFeature(feature);
       status.features[feature] = {
         settingEnabled: featureEnabled,
+        siteOverride: siteOverride,
         urlExcluded: urlExcluded,
-        allowed: isExtensionEnabled && featureEnabled && !urlExcluded
+        allowed: isExtensionEnabled && (siteOverride ?? featureEnabled) && !urlExcluded
       };
     }
 
@@ -0,0 +1,83 @@
+/**
+ * Glossary Manager - Resolves the user's glossary terms for a translation request.
+ *
+ * Glossaries live in the GLOSSARIES setting as a list of
+ * `{ id, name, sourceLanguage, targetLanguage, enabled, terms: [{ source, target, caseSensitive }] }`.
+ * A glossary applies when its language pair matches the request; a glossary or
+ * request source of 'auto' matches any source language.
+ *
+ * Resolution never throws: a broken or missing glossary setting simply yields no terms.
+ */
+
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { getGlossaryEnabledAsync, getGlossariesAsync } from '@/shared/config/config.js';
+import { getCanonicalCode } from '@/shared/config/languageConstants.js';
+import { AUTO_DETECT_VALUE } from '@/shared/constants/core.js';
+import { findMatchingTerms } from './GlossaryMatcher.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'GlossaryManager');
+
+const toLanguageKey = (code) => (code ? getCanonicalCode(String(code)) : AUTO_DETECT_VALUE);
+
+export class GlossaryManager {
+  /**
+   * Whether two language codes refer to the same language. Regional variants
+   * ("pt-BR") also match their base language ("pt").
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  static languagesMatch(a, b) {
+    const keyA = toLanguageKey(a);
+    const keyB = toLanguageKey(b);
+    if (keyA === AUTO_DETECT_VALUE || keyB === AUTO_DETECT_VALUE) return true;
+    return keyA === keyB || keyA.split('-')[0] === keyB.split('-')[0];
+  }
+
+  /**
+   * All terms of the enabled glossaries for a language pair.
+   * @param {string} sourceLanguage
+   * @param {string} targetLanguage
+   * @returns {Promise<Array<{source: string, target: string, caseSensitive?: boolean}>>}
+   */
+  async getActiveTerms(sourceLanguage, targetLanguage) {
+    try {
+      const [enabled, glossaries] = await Promise.all([getGlossaryEnabledAsync(), getGlossariesAsync()]);
+      if (enabled === false || !Array.isArray(glossaries) || !targetLanguage) return [];
+
+      return glossaries
+        .filter(glossary => glossary && glossary.enabled !== false && Array.isArray(glossary.terms))
+        .filter(glossary => toLanguageKey(glossary.targetLanguage) !== AUTO_DETECT_VALUE)
+        .filter(glossary =>
+          GlossaryManager.languagesMatch(glossary.sourceLanguage, sourceLanguage) &&
+          GlossaryManager.languagesMatch(glossary.targetLanguage, targetLanguage)
+        )
+        .flatMap(glossary => glossary.terms);
+    } catch (error) {
+      logger.warn('Failed to load glossaries, continuing without terms:', error?.message || error);
+      return [];
+    }
+  }
+
+  /**
+   * Terms of the active glossaries that actually occur in the given texts.
+   * @param {string|string[]} texts
+   * @param {string} sourceLanguage
+   * @param {string} targetLanguage
+   * @returns {Promise<Array<{source: string, target: string, caseSensitive?: boolean}>>} Longest terms first
+   */
+  async resolveTerms(texts, sourceLanguage, targetLanguage) {
+    const terms = await this.getActiveTerms(sourceLanguage, targetLanguage);
+    if (terms.length === 0) return [];
+
+    const matched = findMatchingTerms(Array.isArray(texts) ? texts : [texts], terms);
+    if (matched.length > 0) {
+      logger.debug(`Glossary: ${matched.length} term(s) apply to ${sourceLanguage} -> ${targetLanguage}`);
+    }
+    return matched;
+  }
+}
+
+export const glossaryManager = new GlossaryManager();
+export default glossaryManager;
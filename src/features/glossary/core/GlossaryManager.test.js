@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('@/shared/config/config.js', () => ({
+  getGlossaryEnabledAsync: vi.fn(),
+  getGlossariesAsync: vi.fn()
+}));
+
+import { getGlossaryEnabledAsync, getGlossariesAsync } from '@/shared/config/config.js';
+import { GlossaryManager } from './GlossaryManager.js';
+
+describe('GlossaryManager', () => {
+  let manager;
+
+  const glossaries = [
+    { id: 'a', sourceLanguage: 'en', targetLanguage: 'fa', enabled: true, terms: [{ source: 'commit', target: 'کامیت' }] },
+    { id: 'b', sourceLanguage: 'auto', targetLanguage: 'de', enabled: true, terms: [{ source: 'invoice', target: 'Rechnung' }] },
+    { id: 'c', sourceLanguage: 'en', targetLanguage: 'fa', enabled: false, terms: [{ source: 'branch', target: 'شاخه' }] }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    manager = new GlossaryManager();
+    getGlossaryEnabledAsync.mockResolvedValue(true);
+    getGlossariesAsync.mockResolvedValue(glossaries);
+  });
+
+  it('matches language pairs including auto and regional variants', () => {
+    expect(GlossaryManager.languagesMatch('auto', 'en')).toBe(true);
+    expect(GlossaryManager.languagesMatch('pt', 'pt-BR')).toBe(true);
+    expect(GlossaryManager.languagesMatch('en', 'fa')).toBe(false);
+  });
+
+  it('returns terms of enabled glossaries for the language pair', async () => {
+    expect(await manager.getActiveTerms('en', 'fa')).toEqual([{ source: 'commit', target: 'کامیت' }]);
+    expect(await manager.getActiveTerms('fr', 'de')).toEqual([{ source: 'invoice', target: 'Rechnung' }]);
+  });
+
+  it('returns nothing when the glossary feature is disabled', async () => {
+    getGlossaryEnabledAsync.mockResolvedValue(false);
+    expect(await manager.getActiveTerms('en', 'fa')).toEqual([]);
+  });
+
+  it('returns nothing when settings cannot be read', async () => {
+    getGlossariesAsync.mockRejectedValue(new Error('storage unavailable'));
+    expect(await manager.getActiveTerms('en', 'fa')).toEqual([]);
+  });
+
+  it('resolves only the terms occurring in the texts', async () => {
+    expect(await manager.resolveTerms(['Make a commit'], 'en', 'fa')).toHaveLength(1);
+    expect(await manager.resolveTerms(['Nothing here'], 'en', 'fa')).toEqual([]);
+  });
+});
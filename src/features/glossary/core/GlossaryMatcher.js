@@ -0,0 +1,58 @@
+/**
+ * Glossary Matcher - Finds glossary terms inside source text.
+ *
+ * Pure utility: no state, no async, no framework dependencies. Shared by prompt
+ * injection (AI providers), placeholder protection (traditional providers) and
+ * the post-translation compliance check so all three agree on what "matches".
+ */
+
+// Scripts written without spaces between words: word boundaries are meaningless there
+const UNSPACED_SCRIPT_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const WORD_CHAR_REGEX = /[\p{L}\p{N}]/u;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the regex source for one term, adding Unicode-aware word boundaries
+ * on the sides that start or end with a letter/digit of a spaced script.
+ * @param {string} source - Term source text
+ * @returns {string}
+ */
+export function buildTermPattern(source) {
+  const pattern = escapeRegExp(source.trim()).replace(/\s+/g, '\\s+');
+  const first = source.trim().charAt(0);
+  const last = source.trim().slice(-1);
+  const needsBoundary = (char) => WORD_CHAR_REGEX.test(char) && !UNSPACED_SCRIPT_REGEX.test(char);
+
+  return `${needsBoundary(first) ? '(?<![\\p{L}\\p{N}])' : ''}${pattern}${needsBoundary(last) ? '(?![\\p{L}\\p{N}])' : ''}`;
+}
+
+/**
+ * Returns true when `term.source` occurs in `text`.
+ * @param {string} text
+ * @param {{source: string, caseSensitive?: boolean}} term
+ * @returns {boolean}
+ */
+export function textContainsTerm(text, term) {
+  if (typeof text !== 'string' || !term?.source?.trim()) return false;
+  return new RegExp(buildTermPattern(term.source), term.caseSensitive ? 'u' : 'iu').test(text);
+}
+
+/**
+ * Filters `terms` down to the ones occurring in at least one of `texts`.
+ * Longer terms come first so overlapping terms ("New York Times" vs "New York")
+ * prefer the most specific entry.
+ * @param {string[]} texts
+ * @param {Array<{source: string, target: string, caseSensitive?: boolean}>} terms
+ * @returns {Array<{source: string, target: string, caseSensitive?: boolean}>}
+ */
+export function findMatchingTerms(texts, terms) {
+  if (!Array.isArray(terms) || terms.length === 0) return [];
+  const candidates = (Array.isArray(texts) ? texts : [texts]).filter(t => typeof t === 'string' && t.trim());
+  if (candidates.length === 0) return [];
+
+  return terms
+    .filter(term => term?.source?.trim() && typeof term.target === 'string')
+    .filter(term => candidates.some(text => textContainsTerm(text, term)))
+    .sort((a, b) => b.source.trim().length - a.source.trim().length);
+}
@@ -0,0 +1,80 @@
+/**
+ * Glossary Term Protector - Shields glossary terms from traditional (non-AI)
+ * translation providers.
+ *
+ * Each matched source term is replaced with an opaque placeholder before the
+ * request and the placeholder is replaced with the glossary target term after
+ * the response, so the provider never gets a chance to translate it differently.
+ */
+
+import { buildTermPattern } from './GlossaryMatcher.js';
+
+const PLACEHOLDER_PREFIX = 'GL';
+// Providers occasionally insert spaces or change case inside unknown tokens
+const PLACEHOLDER_REGEX = /_{2}\s*GL\s*(\d+)\s*_{2}/gi;
+
+export class GlossaryTermProtector {
+  /**
+   * @param {Array<{source: string, target: string, caseSensitive?: boolean}>} terms - Matched terms, longest first
+   */
+  constructor(terms = []) {
+    this.terms = terms.filter(term => term?.source?.trim() && typeof term.target === 'string');
+    this.regex = this.terms.length > 0
+      ? new RegExp(this.terms.map(term => `(${buildTermPattern(term.source)})`).join('|'), 'giu')
+      : null;
+  }
+
+  get isActive() {
+    return this.regex !== null;
+  }
+
+  /**
+   * Replace glossary terms with placeholders.
+   * @param {string} text
+   * @param {string[]} [targets] - Shared target list; pass the same array for every segment of a batch
+   *   so placeholder indexes stay unique even when the provider merges segments
+   * @returns {{text: string, targets: string[]}} Protected text and the target term for each placeholder index
+   */
+  protect(text, targets = []) {
+    if (!this.regex || typeof text !== 'string') return { text, targets };
+
+    const protectedText = text.replace(this.regex, (match, ...groups) => {
+      const termIndex = groups.findIndex((group, idx) => idx < this.terms.length && group !== undefined);
+      const term = this.terms[termIndex];
+      if (!term || (term.caseSensitive && match !== term.source.trim())) return match;
+
+      targets.push(term.target);
+      return `__${PLACEHOLDER_PREFIX}${targets.length - 1}__`;
+    });
+
+    return { text: protectedText, targets };
+  }
+
+  /**
+   * Replace placeholders with their glossary target terms.
+   * @param {string|Array} result - Provider output: a string, or an array of strings / `{text}` objects
+   * @param {string[]} targets - Targets collected by protect()
+   * @returns {string|Array}
+   */
+  restore(result, targets) {
+    if (!targets?.length) return result;
+
+    if (Array.isArray(result)) return result.map(item => this.restore(item, targets));
+    if (result && typeof result === 'object' && typeof result.text === 'string') {
+      return { ...result, text: this.restore(result.text, targets) };
+    }
+    if (typeof result !== 'string') return result;
+
+    return result.replace(PLACEHOLDER_REGEX, (match, index) => targets[Number(index)] ?? match);
+  }
+
+  /**
+   * Protect every segment of a batch with one shared placeholder list.
+   * @param {Array<string|*>} texts - Non-string segments are passed through untouched
+   * @returns {{texts: Array, targets: string[]}}
+   */
+  protectAll(texts) {
+    const targets = [];
+    return { texts: texts.map(text => this.protect(text, targets).text), targets };
+  }
+}
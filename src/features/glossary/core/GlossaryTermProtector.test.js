@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { GlossaryTermProtector } from './GlossaryTermProtector.js';
+
+describe('GlossaryTermProtector', () => {
+  const terms = [
+    { source: 'pull request', target: 'PR-FA' },
+    { source: 'commit', target: 'COMMIT-FA' }
+  ];
+
+  it('is inactive without terms', () => {
+    const protector = new GlossaryTermProtector([]);
+    expect(protector.isActive).toBe(false);
+    expect(protector.protect('commit it').text).toBe('commit it');
+  });
+
+  it('replaces terms with placeholders and restores the target terms', () => {
+    const protector = new GlossaryTermProtector(terms);
+    const { text, targets } = protector.protect('Open a Pull Request after each commit.');
+
+    expect(text).toBe('Open a __GL0__ after each __GL1__.');
+    expect(targets).toEqual(['PR-FA', 'COMMIT-FA']);
+    expect(protector.restore('یک __GL0__ بعد از هر __GL1__', targets)).toBe('یک PR-FA بعد از هر COMMIT-FA');
+  });
+
+  it('respects word boundaries', () => {
+    const protector = new GlossaryTermProtector(terms);
+    expect(protector.protect('commitment').text).toBe('commitment');
+  });
+
+  it('skips case-sensitive terms whose case differs', () => {
+    const protector = new GlossaryTermProtector([{ source: 'Apple', target: 'APPLE-CO', caseSensitive: true }]);
+    expect(protector.protect('an apple from Apple').text).toBe('an apple from __GL0__');
+  });
+
+  it('tolerates placeholders mangled by the provider', () => {
+    const protector = new GlossaryTermProtector(terms);
+    expect(protector.restore('x __ gl 1 __ y', ['A', 'B'])).toBe('x B y');
+  });
+
+  it('shares placeholder indexes across a batch and restores arrays', () => {
+    const protector = new GlossaryTermProtector(terms);
+    const { texts, targets } = protector.protectAll(['a commit', 'a pull request', 42]);
+
+    expect(texts).toEqual(['a __GL0__', 'a __GL1__', 42]);
+    expect(protector.restore(['__GL0__', { text: '__GL1__' }], targets)).toEqual(['COMMIT-FA', { text: 'PR-FA' }]);
+  });
+});
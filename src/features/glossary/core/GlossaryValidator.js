@@ -0,0 +1,73 @@
+/**
+ * Glossary Validator - Post-translation check that flags output where a
+ * glossary term present in the source was not rendered with its target term.
+ */
+
+import { textContainsTerm } from './GlossaryMatcher.js';
+
+const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+export class GlossaryValidator {
+  /**
+   * @param {string} sourceText - Original text
+   * @param {string} translatedText - Provider output
+   * @param {Array<{source: string, target: string, caseSensitive?: boolean}>} terms
+   * @returns {Array<{source: string, target: string}>} Terms that were not respected
+   */
+  static findViolations(sourceText, translatedText, terms) {
+    if (typeof sourceText !== 'string' || typeof translatedText !== 'string' || !terms?.length) return [];
+
+    const output = normalize(translatedText);
+    const outputLower = output.toLowerCase();
+
+    return terms
+      .filter(term => textContainsTerm(sourceText, term))
+      .filter(term => {
+        const target = normalize(term.target);
+        if (!target) return false;
+        return term.caseSensitive ? !output.includes(target) : !outputLower.includes(target.toLowerCase());
+      })
+      .map(({ source, target }) => ({ source, target }));
+  }
+
+  /**
+   * Checks every segment of a batch against its own output.
+   * @param {Array<[string, string]>} pairs - [sourceText, translatedText] per segment; other entries are skipped
+   * @param {Array<{source: string, target: string, caseSensitive?: boolean}>} terms
+   * @returns {Array<{source: string, target: string}>} Distinct terms not respected in at least one segment
+   */
+  static findBatchViolations(pairs, terms) {
+    if (!Array.isArray(pairs) || !terms?.length) return [];
+    return GlossaryValidator.mergeViolations([], pairs.flatMap(pair => (
+      Array.isArray(pair) ? GlossaryValidator.findViolations(pair[0], pair[1], terms) : []
+    )));
+  }
+
+  /**
+   * Adds violations that are not listed yet.
+   * @param {Array<{source: string, target: string}>} known
+   * @param {Array<{source: string, target: string}>} violations
+   * @returns {Array<{source: string, target: string}>} A new list; `known` is not modified
+   */
+  static mergeViolations(known, violations) {
+    const merged = [...(known || [])];
+    for (const violation of violations || []) {
+      if (!merged.some(entry => entry.source === violation.source && entry.target === violation.target)) {
+        merged.push(violation);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Short "source → target" list for notices.
+   * @param {Array<{source: string, target: string}>} violations
+   * @param {number} [limit=3] - Terms listed before the rest is summarized as "+N"
+   * @returns {string}
+   */
+  static describe(violations, limit = 3) {
+    if (!violations?.length) return '';
+    const listed = violations.slice(0, limit).map(({ source, target }) => `${source} → ${target}`).join(', ');
+    return violations.length > limit ? `${listed} (+${violations.length - limit})` : listed;
+  }
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { GlossaryValidator } from './GlossaryValidator.js';
+
+describe('GlossaryValidator', () => {
+  const terms = [
+    { source: 'invoice', target: 'Rechnung' },
+    { source: 'API', target: 'API', caseSensitive: true }
+  ];
+
+  it('returns no violations when targets are present', () => {
+    expect(GlossaryValidator.findViolations('Send the invoice via the API', 'Senden Sie die rechnung über die API', terms)).toEqual([]);
+  });
+
+  it('flags terms whose target is missing from the output', () => {
+    expect(GlossaryValidator.findViolations('Send the invoice', 'Senden Sie die Faktura', terms))
+      .toEqual([{ source: 'invoice', target: 'Rechnung' }]);
+  });
+
+  it('compares case-sensitive targets exactly', () => {
+    expect(GlossaryValidator.findViolations('Use the API', 'Nutzen Sie die api', terms))
+      .toEqual([{ source: 'API', target: 'API' }]);
+  });
+
+  it('ignores terms absent from the source and invalid input', () => {
+    expect(GlossaryValidator.findViolations('Hello', 'Hallo', terms)).toEqual([]);
+    expect(GlossaryValidator.findViolations(null, 'x', terms)).toEqual([]);
+    expect(GlossaryValidator.findViolations('invoice', 'x', [])).toEqual([]);
+  });
+
+  it('checks each batch segment against its own output and lists a term once', () => {
+    const pairs = [
+      ['Send the invoice', 'Senden Sie die Rechnung'],
+      ['Pay the invoice', 'Bezahlen Sie die Faktura'],
+      ['Another invoice', 'Noch eine Faktura'],
+      null
+    ];
+
+    expect(GlossaryValidator.findBatchViolations(pairs, terms)).toEqual([{ source: 'invoice', target: 'Rechnung' }]);
+    expect(GlossaryValidator.findBatchViolations(pairs, [])).toEqual([]);
+  });
+
+  it('merges violations without duplicates and describes them briefly', () => {
+    const known = [{ source: 'invoice', target: 'Rechnung' }];
+    const merged = GlossaryValidator.mergeViolations(known, [{ source: 'invoice', target: 'Rechnung' }, { source: 'API', target: 'API' }]);
+
+    expect(merged).toHaveLength(2);
+    expect(known).toHaveLength(1);
+    expect(GlossaryValidator.describe(merged)).toBe('invoice → Rechnung, API → API');
+    expect(GlossaryValidator.describe(merged, 1)).toBe('invoice → Rechnung (+1)');
+    expect(GlossaryValidator.describe([])).toBe('');
+  });
+});
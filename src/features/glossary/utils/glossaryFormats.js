@@ -0,0 +1,178 @@
+/**
+ * Glossary import/export formats.
+ *
+ * - CSV: two columns (source, target) with an optional third "case_sensitive"
+ *   column. A header row is detected and skipped. RFC 4180 quoting is supported.
+ * - TBX: TBX-Basic (`martif/termEntry/langSet/tig/term`) and TBX v3
+ *   (`tbx/conceptEntry/langSec/termSec/term`) are read; TBX-Basic is written.
+ */
+
+const CSV_HEADER = ['source', 'target', 'case_sensitive'];
+const HEADER_ALIASES = new Set(['source', 'target', 'term', 'translation', 'case_sensitive', 'casesensitive']);
+const TRUE_VALUES = new Set(['1', 'true', 'yes', 'y']);
+
+/**
+ * Split CSV content into rows of fields, honouring quoted fields that contain
+ * delimiters, escaped quotes or line breaks.
+ * @private
+ */
+function parseCsvRows(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+const escapeCsvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Parse glossary terms from CSV.
+ * @param {string} content
+ * @returns {Array<{source: string, target: string, caseSensitive: boolean}>}
+ */
+export function parseGlossaryCsv(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  // Spreadsheet exports in some locales use semicolons or tabs
+  const delimiter = ['\t', ';', ','].find(d => firstLine.includes(d)) || ',';
+
+  const rows = parseCsvRows(text, delimiter).filter(row => row.some(field => field.trim()));
+  if (rows.length > 0 && rows[0].every(field => HEADER_ALIASES.has(field.trim().toLowerCase()) || !field.trim())) {
+    rows.shift();
+  }
+
+  return rows
+    .map(([source = '', target = '', caseSensitive = '']) => ({
+      source: source.trim(),
+      target: target.trim(),
+      caseSensitive: TRUE_VALUES.has(caseSensitive.trim().toLowerCase())
+    }))
+    .filter(term => term.source && term.target);
+}
+
+/**
+ * Serialize glossary terms to CSV.
+ * @param {Array<{source: string, target: string, caseSensitive?: boolean}>} terms
+ * @returns {string}
+ */
+export function serializeGlossaryCsv(terms) {
+  const lines = [CSV_HEADER.join(',')];
+  for (const term of terms || []) {
+    lines.push([term.source, term.target, term.caseSensitive ? 'true' : 'false'].map(escapeCsvField).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse a TBX document.
+ * @param {string} content - TBX XML
+ * @param {Object} [options] - { sourceLanguage, targetLanguage } to pick a language pair from multilingual entries
+ * @returns {{sourceLanguage: string, targetLanguage: string, terms: Array<{source: string, target: string, caseSensitive: boolean}>}}
+ */
+export function parseGlossaryTbx(content, { sourceLanguage, targetLanguage } = {}) {
+  const doc = new DOMParser().parseFromString(String(content || ''), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid TBX file: the XML could not be parsed.');
+  }
+
+  const getLang = (el) => (el.getAttribute('xml:lang') || el.getAttribute('lang') || '').toLowerCase();
+  const langOf = (code) => (code || '').toLowerCase().split('-')[0];
+
+  const entries = [...doc.querySelectorAll('termEntry, conceptEntry')].map(entry => {
+    const langs = {};
+    for (const langSet of entry.querySelectorAll('langSet, langSec')) {
+      const term = langSet.querySelector('term')?.textContent?.trim();
+      if (term && !langs[getLang(langSet)]) langs[getLang(langSet)] = term;
+    }
+    return langs;
+  });
+
+  const allLanguages = [...new Set(entries.flatMap(langs => Object.keys(langs)))];
+  const pick = (requested, fallbackIndex) => {
+    if (requested) return allLanguages.find(l => l === requested.toLowerCase()) || allLanguages.find(l => langOf(l) === langOf(requested));
+    return allLanguages[fallbackIndex];
+  };
+  const source = pick(sourceLanguage, 0);
+  const target = pick(targetLanguage, source === allLanguages[1] ? 0 : 1);
+
+  return {
+    sourceLanguage: source || '',
+    targetLanguage: target || '',
+    terms: source && target
+      ? entries
+        .filter(langs => langs[source] && langs[target])
+        .map(langs => ({ source: langs[source], target: langs[target], caseSensitive: false }))
+      : []
+  };
+}
+
+/**
+ * Serialize a glossary to TBX-Basic.
+ * @param {{sourceLanguage: string, targetLanguage: string, terms: Array}} glossary
+ * @returns {string}
+ */
+export function serializeGlossaryTbx({ sourceLanguage, targetLanguage, terms }) {
+  const entries = (terms || []).map((term, idx) => [
+    `      <termEntry id="t${idx + 1}">`,
+    `        <langSet xml:lang="${escapeXml(sourceLanguage)}"><tig><term>${escapeXml(term.source)}</term></tig></langSet>`,
+    `        <langSet xml:lang="${escapeXml(targetLanguage)}"><tig><term>${escapeXml(term.target)}</term></tig></langSet>`,
+    '      </termEntry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<martif type="TBX-Basic" xml:lang="${escapeXml(sourceLanguage)}">`,
+    '  <martifHeader><fileDesc><sourceDesc><p>Translate It glossary export</p></sourceDesc></fileDesc></martifHeader>',
+    '  <text>',
+    '    <body>',
+    ...entries,
+    '    </body>',
+    '  </text>',
+    '</martif>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseGlossaryCsv,
+  serializeGlossaryCsv,
+  parseGlossaryTbx,
+  serializeGlossaryTbx
+} from './glossaryFormats.js';
+
+describe('glossaryFormats', () => {
+  describe('CSV', () => {
+    it('skips the header row and parses quoted fields', () => {
+      const csv = 'source,target,case_sensitive\n"New York, NY","نیویورک",true\ncommit,"say ""hi"""\n';
+      expect(parseGlossaryCsv(csv)).toEqual([
+        { source: 'New York, NY', target: 'نیویورک', caseSensitive: true },
+        { source: 'commit', target: 'say "hi"', caseSensitive: false }
+      ]);
+    });
+
+    it('detects semicolon delimiters and drops incomplete rows', () => {
+      expect(parseGlossaryCsv('\uFEFFinvoice;Rechnung\nlonely;\n')).toEqual([
+        { source: 'invoice', target: 'Rechnung', caseSensitive: false }
+      ]);
+    });
+
+    it('round-trips through serialization', () => {
+      const terms = [{ source: 'a, b', target: 'c "d"', caseSensitive: true }];
+      expect(parseGlossaryCsv(serializeGlossaryCsv(terms))).toEqual(terms);
+    });
+  });
+
+  describe('TBX', () => {
+    it('round-trips through serialization', () => {
+      const glossary = { sourceLanguage: 'en', targetLanguage: 'de', terms: [{ source: 'R&D', target: 'F&E', caseSensitive: false }] };
+      expect(parseGlossaryTbx(serializeGlossaryTbx(glossary))).toEqual(glossary);
+    });
+
+    it('picks the requested language pair from multilingual entries', () => {
+      const tbx = `<?xml version="1.0"?>
+        <tbx><text><body>
+          <conceptEntry id="1">
+            <langSec xml:lang="en"><termSec><term>invoice</term></termSec></langSec>
+            <langSec xml:lang="de"><termSec><term>Rechnung</term></termSec></langSec>
+            <langSec xml:lang="fr-FR"><termSec><term>facture</term></termSec></langSec>
+          </conceptEntry>
+        </body></text></tbx>`;
+
+      expect(parseGlossaryTbx(tbx, { sourceLanguage: 'en', targetLanguage: 'fr' })).toEqual({
+        sourceLanguage: 'en',
+        targetLanguage: 'fr-fr',
+        terms: [{ source: 'invoice', target: 'facture', caseSensitive: false }]
+      });
+    });
+
+    it('throws on malformed XML', () => {
+      expect(() => parseGlossaryTbx('<martif><text>')).toThrow();
+    });
+  });
+});
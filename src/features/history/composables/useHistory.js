@@ -7,10 +7,39 @@ import { utilsFactory } from "@/utils/UtilsFactory.js";
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 import { storageManager } from '@/shared/storage/core/StorageCore.js';
+import { sendMessage } from '@/shared/messaging/core/UnifiedMessaging.js';
+import { MessageFormat, MessageActions, MessageContexts } from '@/shared/messaging/core/MessagingCore.js';
+import { hasActiveHistoryFilters, matchesHistoryFilters } from '../utils/historySearch.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.HISTORY, 'useHistory');
 
 const MAX_HISTORY_ITEMS = 100;
+const SEARCH_RESULT_LIMIT = 200;
+
+const createEmptyFilters = () => ({
+  query: "",
+  provider: "",
+  sourceLanguage: "",
+  targetLanguage: "",
+  mode: "",
+  domain: "",
+  dateFrom: "",
+  dateTo: "",
+});
+
+// The searchable archive lives in the background's IndexedDB
+const sendHistoryMessage = async (action, data = {}) => {
+  const response = await sendMessage(MessageFormat.create(action, data, MessageContexts.SIDEPANEL));
+  if (!response?.success) {
+    throw new Error(response?.error || `History action ${action} failed`);
+  }
+  return response;
+};
+
+// Entries recorded before ids were introduced are identified by text and time
+const isSameEntry = (a, b) => (a.id && b.id
+  ? a.id === b.id
+  : a.timestamp === b.timestamp && a.sourceText === b.sourceText);
 
 // Shared global state to keep all instances in sync
 const globalHistoryItems = ref([]);
@@ -24,6 +53,13 @@ export function useHistory() {
   const historyError = ref("");
   const isHistoryPanelOpen = ref(false);
 
+  // Search state (per instance)
+  const historyFilters = ref(createEmptyFilters());
+  const searchResults = ref([]);
+  const searchTotal = ref(0);
+  const isSearching = ref(false);
+  const historyStats = ref(null);
+
   // Composables
   const settingsStore = useSettingsStore();
 
@@ -32,6 +68,10 @@ export function useHistory() {
   const sortedHistoryItems = computed(() => {
     return [...historyItems.value];
   });
+  const isSearchActive = computed(() => hasActiveHistoryFilters(historyFilters.value));
+  const displayedHistoryItems = computed(() =>
+    isSearchActive.value ? searchResults.value : sortedHistoryItems.value
+  );
 
   // Load history from storage using StorageCore
   const loadHistory = async (force = false) => {
@@ -85,10 +125,21 @@ export function useHistory() {
     }
   };
 
+  // Remove an entry from the background archive (best effort)
+  const removeFromArchive = async (entry) => {
+    if (!entry?.id) return;
+    try {
+      await sendHistoryMessage(MessageActions.DELETE_HISTORY_ITEMS, { ids: [entry.id] });
+    } catch (error) {
+      logger.debug("History archive delete skipped:", error.message);
+    }
+  };
+
   // Delete specific history item
   const deleteHistoryItem = async (index) => {
     try {
       if (index >= 0 && index < historyItems.value.length) {
+        const [removedItem] = historyItems.value.slice(index, index + 1);
         const newHistory = [...historyItems.value];
         newHistory.splice(index, 1);
         historyItems.value = newHistory;
@@ -97,6 +148,7 @@ export function useHistory() {
         await storageManager.set({
           translationHistory: newHistory,
         });
+        await removeFromArchive(removedItem);
 
         logger.info("Deleted history item at index:", index);
       }
@@ -106,6 +158,72 @@ export function useHistory() {
     }
   };
 
+  // Delete an entry from the recent list, the archive and the current search results
+  const deleteHistoryEntry = async (entry) => {
+    try {
+      const newHistory = historyItems.value.filter(item => !isSameEntry(item, entry));
+      if (newHistory.length !== historyItems.value.length) {
+        historyItems.value = newHistory;
+        await storageManager.set({
+          translationHistory: newHistory,
+        });
+      }
+
+      searchResults.value = searchResults.value.filter(item => !isSameEntry(item, entry));
+      searchTotal.value = Math.max(0, searchTotal.value - 1);
+      await removeFromArchive(entry);
+
+      logger.info("Deleted history entry:", entry.id || entry.timestamp);
+    } catch (error) {
+      logger.error("Error deleting history entry", error);
+      historyError.value = "Failed to delete history item";
+    }
+  };
+
+  // Search the indexed archive; falls back to the recent list when the archive is unreachable
+  const searchHistory = async () => {
+    if (!isSearchActive.value) {
+      searchResults.value = [];
+      searchTotal.value = 0;
+      return;
+    }
+
+    const filters = { ...historyFilters.value };
+    isSearching.value = true;
+    try {
+      const response = await sendHistoryMessage(MessageActions.GET_HISTORY, {
+        filters,
+        limit: SEARCH_RESULT_LIMIT,
+      });
+      searchResults.value = response.items || [];
+      searchTotal.value = response.total ?? searchResults.value.length;
+    } catch (error) {
+      logger.warn("History archive search failed, searching recent history only:", error.message);
+      const matches = historyItems.value.filter(item => matchesHistoryFilters(item, filters));
+      searchResults.value = matches;
+      searchTotal.value = matches.length;
+    } finally {
+      isSearching.value = false;
+    }
+  };
+
+  // Load per-field counts (providers, modes, domains, language pairs) for the filter controls
+  const loadHistoryStats = async () => {
+    try {
+      const response = await sendHistoryMessage(MessageActions.GET_HISTORY, { limit: 0, includeStats: true });
+      historyStats.value = response.stats || null;
+    } catch (error) {
+      logger.debug("History stats unavailable:", error.message);
+      historyStats.value = null;
+    }
+  };
+
+  const resetHistoryFilters = () => {
+    historyFilters.value = createEmptyFilters();
+    searchResults.value = [];
+    searchTotal.value = 0;
+  };
+
   // Clear all history
   const clearAllHistory = async () => {
     try {
@@ -118,12 +236,20 @@ export function useHistory() {
 
       if (userConfirmed) {
         historyItems.value = [];
+        searchResults.value = [];
+        searchTotal.value = 0;
 
         // Save using StorageCore for consistency
         await storageManager.set({
           translationHistory: [],
         });
 
+        try {
+          await sendHistoryMessage(MessageActions.CLEAR_HISTORY);
+        } catch (error) {
+          logger.warn("Failed to clear history archive:", error.message);
+        }
+
         logger.info("Cleared all history");
         return true;
       }
@@ -135,10 +261,10 @@ export function useHistory() {
     }
   };
 
-  // Export history based on format
-  const exportHistory = (format) => {
+  // Export history based on format (defaults to the recent list; pass search results to export those)
+  const exportHistory = (format, itemsToExport = historyItems.value) => {
     try {
-      const items = historyItems.value;
+      const items = itemsToExport;
       if (!items || items.length === 0) {
         logger.warn("No history items to export");
         return;
@@ -294,17 +420,30 @@ export function useHistory() {
     historyError,
     isHistoryPanelOpen,
 
+    // Search
+    historyFilters,
+    searchResults,
+    searchTotal,
+    isSearching,
+    historyStats,
+
     // Computed
     hasHistory,
     sortedHistoryItems,
+    isSearchActive,
+    displayedHistoryItems,
 
     // Methods
     loadHistory,
     addToHistory,
     deleteHistoryItem,
+    deleteHistoryEntry,
     clearAllHistory,
     exportHistory,
     selectHistoryItem,
+    searchHistory,
+    loadHistoryStats,
+    resetHistoryFilters,
 
     // Panel Management
     setHistoryPanelOpen,
@@ -6,7 +6,8 @@ import { useHistory } from './useHistory.js';
 const googleMarkdown = '**Noun**: test, experiment';
 const vajehyabMarkdown = '### سلام [salām]\n*اسم*\n\n---\n\n**معنی**:\nدرود';
 
-const { storageManagerMock, settingsStoreMock, utilsFactoryMock, loggerMock } = vi.hoisted(() => ({
+const { storageManagerMock, settingsStoreMock, utilsFactoryMock, loggerMock, sendMessageMock } = vi.hoisted(() => ({
+  sendMessageMock: vi.fn(),
   storageManagerMock: {
     get: vi.fn(),
     set: vi.fn(),
@@ -45,6 +46,10 @@ vi.mock('@/shared/logging/logger.js', () => ({
   getScopedLogger: () => loggerMock,
 }));
 
+vi.mock('@/shared/messaging/core/UnifiedMessaging.js', () => ({
+  sendMessage: sendMessageMock,
+}));
+
 describe('useHistory', () => {
   let wrapper;
   let composable;
@@ -76,6 +81,7 @@ describe('useHistory', () => {
 
     lastBlob = null;
     storageManagerMock.get.mockResolvedValue({ translationHistory: [] });
+    sendMessageMock.mockResolvedValue({ success: true, items: [], total: 0 });
     storageManagerMock.set.mockResolvedValue(undefined);
     storageManagerMock.on.mockReturnValue(undefined);
     storageManagerMock.off.mockReturnValue(undefined);
@@ -244,4 +250,74 @@ describe('useHistory', () => {
 
     expect(lastBlob.parts[0]).toBe('source text\tNoun: test, experiment');
   });
+
+  it('searches the history archive with the current filters', async () => {
+    const archived = { id: 'a1', sourceText: 'archived', translatedText: 'بایگانی', timestamp: 0 };
+    sendMessageMock.mockResolvedValue({ success: true, items: [archived], total: 1 });
+
+    mountHarness();
+    await flushPromises();
+
+    composable.historyFilters.value = { ...composable.historyFilters.value, query: 'arch', provider: 'google' };
+    await composable.searchHistory();
+
+    expect(sendMessageMock).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'GET_HISTORY',
+      data: expect.objectContaining({ filters: expect.objectContaining({ query: 'arch', provider: 'google' }) }),
+    }));
+    expect(composable.isSearchActive.value).toBe(true);
+    expect(composable.displayedHistoryItems.value).toEqual([archived]);
+    expect(composable.searchTotal.value).toBe(1);
+  });
+
+  it('falls back to filtering the recent history when the archive is unreachable', async () => {
+    storageManagerMock.get.mockResolvedValue({
+      translationHistory: [
+        { sourceText: 'hello world', translatedText: 'سلام', timestamp: 0 },
+        { sourceText: 'good night', translatedText: 'شب بخیر', timestamp: 0 },
+      ],
+    });
+    sendMessageMock.mockRejectedValue(new Error('no receiver'));
+
+    mountHarness();
+    await flushPromises();
+    await composable.loadHistory(true);
+
+    composable.historyFilters.value = { ...composable.historyFilters.value, query: 'night' };
+    await composable.searchHistory();
+
+    expect(composable.searchResults.value.map(item => item.sourceText)).toEqual(['good night']);
+  });
+
+  it('exports the given items instead of the recent history', async () => {
+    mountHarness();
+    await flushPromises();
+
+    composable.exportHistory('anki', [{ sourceText: 'found', translatedText: 'یافت شد' }]);
+
+    expect(lastBlob.parts[0]).toBe('found\tیافت شد');
+  });
+
+  it('deletes an entry from the recent list and the archive', async () => {
+    storageManagerMock.get.mockResolvedValue({
+      translationHistory: [
+        { id: 'keep', sourceText: 'a', translatedText: 'b', timestamp: 1 },
+        { id: 'drop', sourceText: 'c', translatedText: 'd', timestamp: 2 },
+      ],
+    });
+
+    mountHarness();
+    await flushPromises();
+    await composable.loadHistory(true);
+
+    await composable.deleteHistoryEntry({ id: 'drop' });
+
+    expect(storageManagerMock.set).toHaveBeenCalledWith({
+      translationHistory: [{ id: 'keep', sourceText: 'a', translatedText: 'b', timestamp: 1 }],
+    });
+    expect(sendMessageMock).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'DELETE_HISTORY_ITEMS',
+      data: { ids: ['drop'] },
+    }));
+  });
 });
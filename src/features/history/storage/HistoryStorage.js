@@ -1,94 +1,251 @@
 /**
- * HistoryStorage - Specialized storage module for translation history
- * Handles translation history, favorites, and usage statistics
+ * HistoryStorage - Indexed translation history archive backed by IndexedDB.
+ *
+ * Every entry keeps its search tokens (multi-entry index) next to the provider,
+ * language pair, translation mode, site domain and timestamp, so full-text search
+ * and filtering do not have to scan a flat array. The recent-history list shown
+ * by default still lives in `translationHistory` (storage.local); this store is
+ * the long-term, searchable copy owned by the background context.
  */
 
-import { storageCore } from '../core/StorageCore.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import {
+  tokenizeHistoryText,
+  buildQueryTokens,
+  matchesHistoryFilters,
+  parseHistoryDate
+} from '../utils/historySearch.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.HISTORY, 'HistoryStorage');
+
+const DB_NAME = 'translate_it_history';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const INDEXES = {
+  TIMESTAMP: 'timestamp',
+  TOKENS: 'tokens',
+  PROVIDER: 'provider',
+  MODE: 'mode',
+  DEDUPE: 'dedupeKey'
+};
+const TOKEN_RANGE_END = '\uffff';
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const waitForTransaction = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
 
-const logger = getScopedLogger(LOG_COMPONENTS.STORAGE, 'HistoryStorage');
+/**
+ * Strip index-only fields before handing entries to callers.
+ */
+const toPublicItem = (record) => {
+  const item = { ...record };
+  delete item.tokens;
+  delete item.dedupeKey;
+  return item;
+};
 
 export class HistoryStorage {
   constructor() {
-    this.storage = storageCore;
-    this.historyKey = 'translationHistory';
-    this.maxHistoryItems = 1000; // Maximum history items to keep
+    this.db = null;
+    this.initPromise = null;
+    this.unavailable = false;
+    this.maxHistoryItems = 10000; // Oldest entries are dropped beyond this
   }
 
   /**
-   * Get translation history
-   * @param {Object} options - Query options
-   * @returns {Promise<Array>} History items
+   * Same source text and language pair are kept once (the newest lookup wins).
+   * @param {Object} item
+   * @returns {string}
    */
-  async getHistory(options = {}) {
+  static buildDedupeKey(item) {
+    return [item.sourceLanguage || 'auto', item.targetLanguage || '', String(item.sourceText || '').trim()].join('\u001f');
+  }
+
+  /**
+   * Open (or create) the database.
+   */
+  async init() {
+    if (this.db) return this.db;
+    if (this.unavailable) throw new Error('History storage is unavailable');
+    if (this.initPromise) return this.initPromise;
+
+    if (typeof indexedDB === 'undefined') {
+      this.unavailable = true;
+      throw new Error('IndexedDB is not available in this context');
+    }
+
+    this.initPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+          const store = db.createObjectStore(ENTRIES_STORE, { keyPath: 'id' });
+          store.createIndex(INDEXES.TIMESTAMP, 'timestamp');
+          store.createIndex(INDEXES.TOKENS, 'tokens', { multiEntry: true });
+          store.createIndex(INDEXES.PROVIDER, 'provider');
+          store.createIndex(INDEXES.MODE, 'mode');
+          store.createIndex(INDEXES.DEDUPE, 'dedupeKey');
+        }
+      };
+
+      request.onsuccess = (event) => {
+        this.db = event.target.result;
+        resolve(this.db);
+      };
+
+      request.onerror = (event) => {
+        logger.error('Error opening history database', event.target.error);
+        this.unavailable = true;
+        reject(event.target.error);
+      };
+    }).finally(() => {
+      this.initPromise = null;
+    });
+
+    return this.initPromise;
+  }
+
+  /**
+   * Query history with full-text search and filters.
+   * @param {import('../utils/historySearch.js').HistoryFilters} filters
+   * @param {Object} options - { limit, offset, order }
+   * @returns {Promise<{items: Array, total: number}>} Matching page and total match count
+   */
+  async queryHistory(filters = {}, { limit = 50, offset = 0, order = 'desc' } = {}) {
     try {
-      const { limit = 100, offset = 0, sortBy = 'timestamp', order = 'desc' } = options;
-      
-      const result = await this.storage.get({ [this.historyKey]: [] });
-      let history = result[this.historyKey] || [];
-
-      // Sort history
-      history.sort((a, b) => {
-        const aVal = a[sortBy] || 0;
-        const bVal = b[sortBy] || 0;
-        return order === 'desc' ? bVal - aVal : aVal - bVal;
-      });
-
-      // Apply pagination
-      const paginatedHistory = history.slice(offset, offset + limit);
-      
-      logger.debug(`[HistoryStorage] Retrieved ${paginatedHistory.length} history items`);
-      return paginatedHistory;
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE], 'readonly');
+      const candidates = await this._getCandidates(transaction.objectStore(ENTRIES_STORE), filters);
+
+      const matches = candidates
+        .filter(item => matchesHistoryFilters(item, filters))
+        .sort((a, b) => (order === 'desc' ? b.timestamp - a.timestamp : a.timestamp - b.timestamp));
+
+      const items = matches.slice(offset, offset + limit).map(toPublicItem);
+      logger.debug(`Query matched ${matches.length} history items`);
+      return { items, total: matches.length };
     } catch (error) {
-      logger.error('[HistoryStorage] Get history failed:', error);
-      return [];
+      logger.error('Query history failed:', error);
+      return { items: [], total: 0 };
     }
   }
 
+  /**
+   * Get translation history, newest first by default.
+   * @param {Object} options - { limit, offset, order }
+   * @returns {Promise<Array>} History items
+   */
+  async getHistory(options = {}) {
+    const { limit = 100, offset = 0, order = 'desc' } = options;
+    const { items } = await this.queryHistory({}, { limit, offset, order });
+    return items;
+  }
+
+  /**
+   * Search history
+   * @param {string} query - Search query
+   * @param {Object} options - { limit, offset, filters }
+   * @returns {Promise<Array>} Matching history items
+   */
+  async searchHistory(query, options = {}) {
+    const { limit = 50, offset = 0, filters = {} } = options;
+    const { items } = await this.queryHistory({ ...filters, query }, { limit, offset });
+    return items;
+  }
+
   /**
    * Add item to history
    * @param {Object} item - History item
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Stored item
    */
   async addHistoryItem(item) {
     try {
       const historyItem = {
         id: `${Date.now()}_${Math.random().toString(36).substring(2, 15)}`,
         timestamp: Date.now(),
-        sourceText: item.sourceText,
-        translatedText: item.translatedText,
-        sourceLanguage: item.sourceLanguage || 'auto',
-        targetLanguage: item.targetLanguage || 'fa',
-        provider: item.provider || 'unknown',
+        sourceLanguage: 'auto',
+        targetLanguage: 'fa',
+        provider: 'unknown',
+        mode: '',
+        domain: '',
         ...item
       };
+      const record = this._toRecord(historyItem);
 
-      const result = await this.storage.get({ [this.historyKey]: [] });
-      let history = result[this.historyKey] || [];
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE], 'readwrite');
+      const store = transaction.objectStore(ENTRIES_STORE);
 
-      // Check for duplicates
-      const isDuplicate = history.some(h => 
-        h.sourceText === historyItem.sourceText && 
-        h.targetLanguage === historyItem.targetLanguage &&
-        h.sourceLanguage === historyItem.sourceLanguage
-      );
+      // Re-translating the same text moves it to the top instead of duplicating it
+      const duplicateIds = await promisifyRequest(store.index(INDEXES.DEDUPE).getAllKeys(record.dedupeKey));
+      duplicateIds.filter(id => id !== record.id).forEach(id => store.delete(id));
+      store.put(record);
 
-      if (!isDuplicate) {
-        // Add to beginning of array
-        history.unshift(historyItem);
+      const count = await promisifyRequest(store.count());
+      if (count > this.maxHistoryItems) {
+        const oldestIds = await promisifyRequest(store.index(INDEXES.TIMESTAMP).getAllKeys(null, count - this.maxHistoryItems));
+        oldestIds.forEach(id => store.delete(id));
+      }
 
-        // Limit history size
-        if (history.length > this.maxHistoryItems) {
-          history = history.slice(0, this.maxHistoryItems);
-        }
+      await waitForTransaction(transaction);
+      logger.debug('Added history item');
+      return toPublicItem(record);
+    } catch (error) {
+      logger.error('Add history item failed:', error);
+      throw error;
+    }
+  }
 
-        await this.storage.set({ [this.historyKey]: history });
-        logger.debug('[HistoryStorage] Added history item');
+  /**
+   * Add entries that are not archived yet (by source text and language pair),
+   * e.g. the recent-history list written before the archive existed.
+   * @param {Array<Object>} items
+   * @returns {Promise<number>} Number of imported items
+   */
+  async importHistoryItems(items) {
+    const validItems = (items || []).filter(item => item?.sourceText && item?.translatedText);
+    if (validItems.length === 0) return 0;
+
+    try {
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE], 'readwrite');
+      const store = transaction.objectStore(ENTRIES_STORE);
+      const dedupeIndex = store.index(INDEXES.DEDUPE);
+      let imported = 0;
+
+      for (const item of validItems) {
+        const record = this._toRecord({
+          id: item.id || `${item.timestamp || Date.now()}_${Math.random().toString(36).substring(2, 15)}`,
+          timestamp: item.timestamp || Date.now(),
+          provider: 'unknown',
+          mode: '',
+          domain: '',
+          ...item
+        });
+        const existing = await promisifyRequest(dedupeIndex.getAllKeys(record.dedupeKey));
+        if (existing.length > 0) continue;
+
+        store.put(record);
+        imported++;
       }
+
+      await waitForTransaction(transaction);
+      if (imported > 0) {
+        logger.info(`Imported ${imported} entries into the history archive`);
+      }
+      return imported;
     } catch (error) {
-      logger.error('[HistoryStorage] Add history item failed:', error);
-      throw error;
+      logger.warn('Import history items failed:', error?.message || error);
+      return 0;
     }
   }
 
@@ -100,23 +257,22 @@ export class HistoryStorage {
    */
   async updateHistoryItem(id, updates) {
     try {
-      const result = await this.storage.get({ [this.historyKey]: [] });
-      const history = result[this.historyKey] || [];
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE], 'readwrite');
+      const store = transaction.objectStore(ENTRIES_STORE);
 
-      const itemIndex = history.findIndex(item => item.id === id);
-      if (itemIndex === -1) {
-        logger.warn(`[HistoryStorage] History item '${id}' not found`);
+      const existing = await promisifyRequest(store.get(id));
+      if (!existing) {
+        logger.warn(`History item '${id}' not found`);
         return false;
       }
 
-      // Update item
-      history[itemIndex] = { ...history[itemIndex], ...updates, updatedAt: Date.now() };
-
-      await this.storage.set({ [this.historyKey]: history });
-      logger.debug(`[HistoryStorage] Updated history item '${id}'`);
+      store.put(this._toRecord({ ...toPublicItem(existing), ...updates, id, updatedAt: Date.now() }));
+      await waitForTransaction(transaction);
+      logger.debug(`Updated history item '${id}'`);
       return true;
     } catch (error) {
-      logger.error(`[HistoryStorage] Update history item '${id}' failed:`, error);
+      logger.error(`Update history item '${id}' failed:`, error);
       return false;
     }
   }
@@ -128,21 +284,24 @@ export class HistoryStorage {
    */
   async removeHistoryItems(ids) {
     try {
-      const idList = Array.isArray(ids) ? ids : [ids];
-      const result = await this.storage.get({ [this.historyKey]: [] });
-      const history = result[this.historyKey] || [];
+      const idList = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+      if (idList.length === 0) return 0;
+
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE], 'readwrite');
+      const store = transaction.objectStore(ENTRIES_STORE);
 
-      const filteredHistory = history.filter(item => !idList.includes(item.id));
-      const removedCount = history.length - filteredHistory.length;
+      const existing = await Promise.all(idList.map(id => promisifyRequest(store.get(id))));
+      const removedCount = existing.filter(Boolean).length;
+      idList.forEach(id => store.delete(id));
 
+      await waitForTransaction(transaction);
       if (removedCount > 0) {
-        await this.storage.set({ [this.historyKey]: filteredHistory });
-        logger.debug(`[HistoryStorage] Removed ${removedCount} history item(s)`);
+        logger.debug(`Removed ${removedCount} history item(s)`);
       }
-
       return removedCount;
     } catch (error) {
-      logger.error('[HistoryStorage] Remove history items failed:', error);
+      logger.error('Remove history items failed:', error);
       return 0;
     }
   }
@@ -153,94 +312,89 @@ export class HistoryStorage {
    */
   async clearHistory() {
     try {
-      await this.storage.set({ [this.historyKey]: [] });
-      logger.debug('[HistoryStorage] History cleared');
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE], 'readwrite');
+      transaction.objectStore(ENTRIES_STORE).clear();
+      await waitForTransaction(transaction);
+      logger.debug('History cleared');
     } catch (error) {
-      logger.error('[HistoryStorage] Clear history failed:', error);
+      logger.error('Clear history failed:', error);
       throw error;
     }
   }
 
   /**
-   * Search history
-   * @param {string} query - Search query
-   * @param {Object} options - Search options
-   * @returns {Promise<Array>} Matching history items
-   */
-  async searchHistory(query, options = {}) {
-    try {
-      const { limit = 50, fields = ['sourceText', 'translatedText'] } = options;
-      
-      const history = await this.getHistory({ limit: this.maxHistoryItems });
-      const searchQuery = query.toLowerCase();
-
-      const matches = history.filter(item => {
-        return fields.some(field => {
-          const value = item[field];
-          return value && value.toLowerCase().includes(searchQuery);
-        });
-      });
-
-      const limitedMatches = matches.slice(0, limit);
-      logger.debug(`[HistoryStorage] Found ${limitedMatches.length} matches for '${query}'`);
-      return limitedMatches;
-    } catch (error) {
-      logger.error('[HistoryStorage] Search history failed:', error);
-      return [];
-    }
-  }
-
-  /**
-   * Get history statistics
+   * Get history statistics. The per-field counts double as filter options for the UI.
    * @returns {Promise<Object>} Usage statistics
    */
   async getHistoryStats() {
+    const stats = { totalItems: 0, providers: {}, languages: {}, modes: {}, domains: {}, oldestItem: null, newestItem: null };
+
     try {
-      const history = await this.getHistory({ limit: this.maxHistoryItems });
-      
-      const stats = {
-        totalItems: history.length,
-        providers: {},
-        languages: {},
-        recentActivity: history.slice(0, 10).length,
-        oldestItem: history.length > 0 ? Math.min(...history.map(h => h.timestamp)) : null,
-        newestItem: history.length > 0 ? Math.max(...history.map(h => h.timestamp)) : null
-      };
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE], 'readonly');
+      const history = await promisifyRequest(transaction.objectStore(ENTRIES_STORE).getAll());
 
-      // Count by provider and language
-      history.forEach(item => {
-        // Provider stats
-        const provider = item.provider || 'unknown';
-        stats.providers[provider] = (stats.providers[provider] || 0) + 1;
+      const increment = (bucket, key) => {
+        if (key) bucket[key] = (bucket[key] || 0) + 1;
+      };
 
-        // Language stats
-        const langPair = `${item.sourceLanguage}->${item.targetLanguage}`;
-        stats.languages[langPair] = (stats.languages[langPair] || 0) + 1;
-      });
+      for (const item of history) {
+        stats.totalItems++;
+        increment(stats.providers, item.provider || 'unknown');
+        increment(stats.languages, `${item.sourceLanguage}->${item.targetLanguage}`);
+        increment(stats.modes, item.mode);
+        increment(stats.domains, item.domain);
+        stats.oldestItem = stats.oldestItem === null ? item.timestamp : Math.min(stats.oldestItem, item.timestamp);
+        stats.newestItem = stats.newestItem === null ? item.timestamp : Math.max(stats.newestItem, item.timestamp);
+      }
 
       return stats;
     } catch (error) {
-      logger.error('[HistoryStorage] Get history stats failed:', error);
-      return { totalItems: 0, providers: {}, languages: {}, recentActivity: 0 };
+      logger.error('Get history stats failed:', error);
+      return stats;
     }
   }
 
   /**
-   * Listen for history changes
-   * @param {Function} callback - Callback function
+   * Add index fields to an entry.
+   * @private
    */
-  onHistoryChange(callback) {
-    this.storage.on(`change:${this.historyKey}`, ({ newValue, oldValue }) => {
-      callback(newValue, oldValue);
-    });
+  _toRecord(item) {
+    return {
+      ...item,
+      tokens: tokenizeHistoryText(item.sourceText, item.translatedText),
+      dedupeKey: HistoryStorage.buildDedupeKey(item)
+    };
   }
 
   /**
-   * Remove history change listener
-   * @param {Function} callback - Callback function
+   * Narrow the scan with the most selective index available for the filters.
+   * @private
    */
-  offHistoryChange(callback) {
-    this.storage.off(`change:${this.historyKey}`, callback);
+  async _getCandidates(store, filters) {
+    const queryTokens = buildQueryTokens(filters.query);
+    if (queryTokens.length > 0) {
+      const longest = queryTokens.reduce((a, b) => (b.length > a.length ? b : a));
+      const range = IDBKeyRange.bound(longest, longest + TOKEN_RANGE_END);
+      const records = await promisifyRequest(store.index(INDEXES.TOKENS).getAll(range));
+      // A record is returned once per matching token
+      return [...new Map(records.map(record => [record.id, record])).values()];
+    }
+
+    if (filters.provider) return promisifyRequest(store.index(INDEXES.PROVIDER).getAll(filters.provider));
+    if (filters.mode) return promisifyRequest(store.index(INDEXES.MODE).getAll(filters.mode));
+
+    const dateFrom = parseHistoryDate(filters.dateFrom);
+    const dateTo = parseHistoryDate(filters.dateTo, true);
+    if (dateFrom !== null || dateTo !== null) {
+      const range = dateFrom !== null && dateTo !== null
+        ? IDBKeyRange.bound(dateFrom, dateTo)
+        : dateFrom !== null ? IDBKeyRange.lowerBound(dateFrom) : IDBKeyRange.upperBound(dateTo);
+      return promisifyRequest(store.index(INDEXES.TIMESTAMP).getAll(range));
+    }
+
+    return promisifyRequest(store.getAll());
   }
 }
 
@@ -248,4 +402,4 @@ export class HistoryStorage {
 const historyStorage = new HistoryStorage();
 
 export { historyStorage };
-export default historyStorage;
\ No newline at end of file
+export default historyStorage;
@@ -0,0 +1,215 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { HistoryStorage } from './HistoryStorage.js';
+
+/**
+ * Minimal in-memory IndexedDB stand-in: async requests, auto-committing
+ * transactions, key ranges and (multi-entry) index lookups.
+ */
+function createFakeIndexedDB() {
+  const stores = new Map();
+
+  const matchesQuery = (value, query) => {
+    if (query === null || query === undefined) return true;
+    const isRange = typeof query === 'object';
+    const values = Array.isArray(value) ? value : [value];
+    return values.some(v => (isRange ? query.includes(v) : v === query));
+  };
+
+  const createTransaction = () => {
+    let pending = 0;
+    let completed = false;
+    const transaction = { oncomplete: null, onerror: null, onabort: null };
+
+    const scheduleCompletion = () => setTimeout(() => {
+      if (pending === 0 && !completed) {
+        completed = true;
+        transaction.oncomplete?.();
+      }
+    }, 0);
+
+    const request = (compute) => {
+      pending++;
+      const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+      setTimeout(() => {
+        req.result = compute();
+        pending--;
+        req.onsuccess?.();
+        scheduleCompletion();
+      }, 0);
+      return req;
+    };
+
+    transaction.objectStore = (name) => {
+      const { data, keyPath, indexes } = stores.get(name);
+      const indexEntries = (field, query) => [...data.values()]
+        .filter(record => matchesQuery(record[field], query))
+        .sort((a, b) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0));
+
+      return {
+        get: (key) => request(() => (data.has(key) ? structuredClone(data.get(key)) : undefined)),
+        put: (value) => request(() => { data.set(value[keyPath], structuredClone(value)); }),
+        delete: (key) => request(() => { data.delete(key); }),
+        clear: () => request(() => data.clear()),
+        count: () => request(() => data.size),
+        getAll: () => request(() => [...data.values()].map(v => structuredClone(v))),
+        index: (indexName) => {
+          const field = indexes.get(indexName);
+          return {
+            getAll: (query) => request(() => indexEntries(field, query).flatMap(record => {
+              // Multi-entry indexes return a record once per matching entry
+              const hits = Array.isArray(record[field]) ? record[field].filter(v => matchesQuery(v, query)).length : 1;
+              return Array.from({ length: hits }, () => structuredClone(record));
+            })),
+            getAllKeys: (query, count) => request(() => indexEntries(field, query)
+              .slice(0, count ?? undefined)
+              .map(record => record[keyPath]))
+          };
+        }
+      };
+    };
+
+    scheduleCompletion();
+    return transaction;
+  };
+
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name, options = {}) => {
+      const store = { data: new Map(), keyPath: options.keyPath, indexes: new Map() };
+      stores.set(name, store);
+      return { createIndex: (indexName, field) => store.indexes.set(indexName, field) };
+    },
+    transaction: () => createTransaction()
+  };
+
+  return {
+    stores,
+    open: vi.fn(() => {
+      const req = { result: db, onupgradeneeded: null, onsuccess: null, onerror: null };
+      setTimeout(() => {
+        if (stores.size === 0) req.onupgradeneeded?.({ target: req });
+        req.onsuccess?.({ target: req });
+      }, 0);
+      return req;
+    })
+  };
+}
+
+const fakeKeyRange = {
+  bound: (lower, upper) => ({ includes: (v) => v >= lower && v <= upper }),
+  lowerBound: (lower) => ({ includes: (v) => v >= lower }),
+  upperBound: (upper) => ({ includes: (v) => v <= upper })
+};
+
+const entry = (overrides) => ({
+  sourceText: 'Hello world',
+  translatedText: 'سلام دنیا',
+  sourceLanguage: 'en',
+  targetLanguage: 'fa',
+  provider: 'google',
+  mode: 'selection',
+  domain: 'example.com',
+  ...overrides
+});
+
+describe('HistoryStorage', () => {
+  let storage;
+
+  beforeEach(() => {
+    vi.stubGlobal('indexedDB', createFakeIndexedDB());
+    vi.stubGlobal('IDBKeyRange', fakeKeyRange);
+    storage = new HistoryStorage();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should search source and translated text by word prefix', async () => {
+    await storage.addHistoryItem(entry({ id: 'a', timestamp: 1 }));
+    await storage.addHistoryItem(entry({ id: 'b', timestamp: 2, sourceText: 'Good morning', translatedText: 'صبح بخیر' }));
+
+    expect((await storage.queryHistory({ query: 'wor' })).items.map(i => i.id)).toEqual(['a']);
+    expect((await storage.queryHistory({ query: 'صبح' })).items.map(i => i.id)).toEqual(['b']);
+    expect((await storage.queryHistory({ query: 'missing' })).total).toBe(0);
+  });
+
+  it('should not expose index fields', async () => {
+    await storage.addHistoryItem(entry({ id: 'a', timestamp: 1 }));
+    const [item] = await storage.getHistory();
+
+    expect(item.tokens).toBeUndefined();
+    expect(item.dedupeKey).toBeUndefined();
+  });
+
+  it('should combine filters and paginate newest first', async () => {
+    await storage.addHistoryItem(entry({ id: 'a', timestamp: 1, sourceText: 'one' }));
+    await storage.addHistoryItem(entry({ id: 'b', timestamp: 2, sourceText: 'two', provider: 'gemini' }));
+    await storage.addHistoryItem(entry({ id: 'c', timestamp: 3, sourceText: 'three', provider: 'gemini', domain: 'news.test' }));
+
+    const byProvider = await storage.queryHistory({ provider: 'gemini' }, { limit: 1 });
+    expect(byProvider.total).toBe(2);
+    expect(byProvider.items.map(i => i.id)).toEqual(['c']);
+
+    expect((await storage.queryHistory({ provider: 'gemini', domain: 'example.com' })).items.map(i => i.id)).toEqual(['b']);
+    expect((await storage.queryHistory({ dateFrom: 2, dateTo: 2 })).items.map(i => i.id)).toEqual(['b']);
+  });
+
+  it('should keep one entry per source text and language pair', async () => {
+    await storage.addHistoryItem(entry({ id: 'old', timestamp: 1 }));
+    await storage.addHistoryItem(entry({ id: 'new', timestamp: 2, translatedText: 'درود دنیا' }));
+
+    const items = await storage.getHistory();
+    expect(items.map(i => i.id)).toEqual(['new']);
+  });
+
+  it('should drop the oldest entries beyond the size limit', async () => {
+    storage.maxHistoryItems = 2;
+    await storage.addHistoryItem(entry({ id: 'a', timestamp: 1, sourceText: 'one' }));
+    await storage.addHistoryItem(entry({ id: 'b', timestamp: 2, sourceText: 'two' }));
+    await storage.addHistoryItem(entry({ id: 'c', timestamp: 3, sourceText: 'three' }));
+
+    expect((await storage.getHistory()).map(i => i.id)).toEqual(['c', 'b']);
+  });
+
+  it('should import only entries that are not archived yet', async () => {
+    await storage.addHistoryItem(entry({ id: 'a', timestamp: 1 }));
+
+    const imported = await storage.importHistoryItems([
+      entry({ timestamp: 5 }),
+      entry({ timestamp: 6, sourceText: 'New text' })
+    ]);
+
+    expect(imported).toBe(1);
+    expect((await storage.getHistory()).map(i => i.sourceText)).toEqual(['New text', 'Hello world']);
+  });
+
+  it('should remove, clear and report statistics', async () => {
+    await storage.addHistoryItem(entry({ id: 'a', timestamp: 1, sourceText: 'one' }));
+    await storage.addHistoryItem(entry({ id: 'b', timestamp: 2, sourceText: 'two', provider: 'gemini', domain: '' }));
+
+    const stats = await storage.getHistoryStats();
+    expect(stats).toMatchObject({
+      totalItems: 2,
+      providers: { google: 1, gemini: 1 },
+      languages: { 'en->fa': 2 },
+      modes: { selection: 2 },
+      domains: { 'example.com': 1 },
+      oldestItem: 1,
+      newestItem: 2
+    });
+
+    expect(await storage.removeHistoryItems(['a', 'missing'])).toBe(1);
+    await storage.clearHistory();
+    expect(await storage.getHistory()).toEqual([]);
+  });
+
+  it('should return empty results when IndexedDB is unavailable', async () => {
+    vi.stubGlobal('indexedDB', undefined);
+    const unavailable = new HistoryStorage();
+
+    expect(await unavailable.queryHistory({ query: 'hello' })).toEqual({ items: [], total: 0 });
+    expect(await unavailable.importHistoryItems([entry({})])).toBe(0);
+    await expect(unavailable.addHistoryItem(entry({}))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * History search helpers - tokenization and filter matching shared by the
+ * indexed history storage (background) and the history UIs.
+ *
+ * Full-text search is word-prefix based: "transl" finds "translation".
+ * Scripts written without spaces (CJK, Thai, ...) are indexed as single
+ * characters and character bigrams so any substring of two or more
+ * characters can be found.
+ */
+
+const UNSPACED_CHAR = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}';
+const TOKEN_REGEX = new RegExp(`[${UNSPACED_CHAR}]+|(?:(?![${UNSPACED_CHAR}])[\\p{L}\\p{N}\\p{M}])+`, 'gu');
+const UNSPACED_REGEX = new RegExp(`^[${UNSPACED_CHAR}]`, 'u');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields of a history filter object.
+ * @typedef {Object} HistoryFilters
+ * @property {string} [query] - Full-text query over source and translated text
+ * @property {string} [provider]
+ * @property {string} [sourceLanguage]
+ * @property {string} [targetLanguage]
+ * @property {string} [mode] - A TranslationMode value
+ * @property {string} [domain] - Site domain; subdomains match too
+ * @property {number|string} [dateFrom] - Timestamp or YYYY-MM-DD (inclusive)
+ * @property {number|string} [dateTo] - Timestamp or YYYY-MM-DD (inclusive, whole day)
+ */
+
+const normalizeForSearch = (text) => String(text ?? '').normalize('NFKC').toLowerCase();
+
+/**
+ * Split text into searchable runs.
+ * @private
+ */
+function splitRuns(text) {
+  return normalizeForSearch(text).match(TOKEN_REGEX) || [];
+}
+
+/**
+ * Index tokens for a history entry's text.
+ * @param {...string} texts
+ * @returns {string[]} Unique tokens
+ */
+export function tokenizeHistoryText(...texts) {
+  const tokens = new Set();
+
+  for (const run of texts.flatMap(splitRuns)) {
+    if (!UNSPACED_REGEX.test(run)) {
+      tokens.add(run);
+      continue;
+    }
+    const chars = [...run];
+    chars.forEach((char, idx) => {
+      tokens.add(char);
+      if (idx < chars.length - 1) tokens.add(char + chars[idx + 1]);
+    });
+  }
+
+  return [...tokens];
+}
+
+/**
+ * Tokens a query is made of. Every token must prefix-match an entry token.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function buildQueryTokens(query) {
+  const tokens = new Set();
+
+  for (const run of splitRuns(query)) {
+    const chars = [...run];
+    if (!UNSPACED_REGEX.test(run) || chars.length === 1) {
+      tokens.add(run);
+      continue;
+    }
+    for (let idx = 0; idx < chars.length - 1; idx++) tokens.add(chars[idx] + chars[idx + 1]);
+  }
+
+  return [...tokens];
+}
+
+/**
+ * Hostname of a page URL, without a leading "www.".
+ * @param {string} url
+ * @returns {string} Empty string for missing or non-web URLs
+ */
+export function extractHistoryDomain(url) {
+  if (!url || typeof url !== 'string') return '';
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') return '';
+    return hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Convert a date filter to a timestamp.
+ * @param {number|string} value
+ * @param {boolean} endOfDay - Date-only strings cover the whole day when true
+ * @returns {number|null}
+ */
+export function parseHistoryDate(value, endOfDay = false) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  // Date-only strings are interpreted in local time, like <input type="date">
+  const timestamp = dateOnly ? new Date(`${value}T00:00:00`).getTime() : Date.parse(value);
+  if (Number.isNaN(timestamp)) return null;
+  return dateOnly && endOfDay ? timestamp + DAY_MS - 1 : timestamp;
+}
+
+/**
+ * Whether any filter would narrow the history list.
+ * @param {HistoryFilters} filters
+ * @returns {boolean}
+ */
+export function hasActiveHistoryFilters(filters = {}) {
+  return Boolean(
+    filters.query?.trim() ||
+    filters.provider ||
+    filters.sourceLanguage ||
+    filters.targetLanguage ||
+    filters.mode ||
+    filters.domain?.trim() ||
+    parseHistoryDate(filters.dateFrom) !== null ||
+    parseHistoryDate(filters.dateTo) !== null
+  );
+}
+
+/**
+ * Check an entry against the filters.
+ * @param {Object} item - History entry
+ * @param {HistoryFilters} filters
+ * @returns {boolean}
+ */
+export function matchesHistoryFilters(item, filters = {}) {
+  if (!item) return false;
+
+  if (filters.provider && item.provider !== filters.provider) return false;
+  if (filters.sourceLanguage && item.sourceLanguage !== filters.sourceLanguage) return false;
+  if (filters.targetLanguage && item.targetLanguage !== filters.targetLanguage) return false;
+  if (filters.mode && item.mode !== filters.mode) return false;
+
+  const domain = filters.domain?.trim().toLowerCase().replace(/^www\./, '');
+  if (domain && item.domain !== domain && !item.domain?.endsWith(`.${domain}`)) return false;
+
+  const dateFrom = parseHistoryDate(filters.dateFrom);
+  const dateTo = parseHistoryDate(filters.dateTo, true);
+  if (dateFrom !== null && !(item.timestamp >= dateFrom)) return false;
+  if (dateTo !== null && !(item.timestamp <= dateTo)) return false;
+
+  const queryTokens = buildQueryTokens(filters.query);
+  if (queryTokens.length > 0) {
+    const itemTokens = item.tokens || tokenizeHistoryText(item.sourceText, item.translatedText);
+    return queryTokens.every(queryToken => itemTokens.some(token => token.startsWith(queryToken)));
+  }
+
+  return true;
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  tokenizeHistoryText,
+  buildQueryTokens,
+  extractHistoryDomain,
+  parseHistoryDate,
+  hasActiveHistoryFilters,
+  matchesHistoryFilters
+} from './historySearch.js';
+
+describe('historySearch', () => {
+  describe('tokenizeHistoryText', () => {
+    it('lowercases words and drops punctuation', () => {
+      expect(tokenizeHistoryText('Hello, World!', 'سلام دنیا')).toEqual(['hello', 'world', 'سلام', 'دنیا']);
+    });
+
+    it('indexes unspaced scripts as characters and bigrams', () => {
+      expect(tokenizeHistoryText('東京都')).toEqual(['東', '東京', '京', '京都', '都']);
+    });
+  });
+
+  describe('buildQueryTokens', () => {
+    it('splits spaced queries into words and unspaced ones into bigrams', () => {
+      expect(buildQueryTokens('Machine  learning')).toEqual(['machine', 'learning']);
+      expect(buildQueryTokens('東京都')).toEqual(['東京', '京都']);
+      expect(buildQueryTokens('猫')).toEqual(['猫']);
+      expect(buildQueryTokens('  ')).toEqual([]);
+    });
+  });
+
+  describe('extractHistoryDomain', () => {
+    it('returns the hostname without www for web pages only', () => {
+      expect(extractHistoryDomain('https://www.Example.com/path?q=1')).toBe('example.com');
+      expect(extractHistoryDomain('chrome-extension://abc/sidepanel.html')).toBe('');
+      expect(extractHistoryDomain('not a url')).toBe('');
+      expect(extractHistoryDomain(undefined)).toBe('');
+    });
+  });
+
+  describe('parseHistoryDate', () => {
+    it('treats date-only end dates as the end of that day', () => {
+      const start = parseHistoryDate('2024-03-01');
+      expect(parseHistoryDate('2024-03-01', true) - start).toBe(24 * 60 * 60 * 1000 - 1);
+      expect(parseHistoryDate(1234)).toBe(1234);
+      expect(parseHistoryDate('')).toBeNull();
+      expect(parseHistoryDate('garbage')).toBeNull();
+    });
+  });
+
+  describe('hasActiveHistoryFilters', () => {
+    it('ignores blank values', () => {
+      expect(hasActiveHistoryFilters({ query: '  ', provider: '', domain: ' ' })).toBe(false);
+      expect(hasActiveHistoryFilters({ mode: 'selection' })).toBe(true);
+    });
+  });
+
+  describe('matchesHistoryFilters', () => {
+    const item = {
+      sourceText: 'Machine learning basics',
+      translatedText: 'مبانی یادگیری ماشین',
+      provider: 'gemini',
+      sourceLanguage: 'en',
+      targetLanguage: 'fa',
+      mode: 'selection',
+      domain: 'docs.example.com',
+      timestamp: parseHistoryDate('2024-03-01') + 1000
+    };
+
+    it('matches word prefixes in source and translated text', () => {
+      expect(matchesHistoryFilters(item, { query: 'learn mach' })).toBe(true);
+      expect(matchesHistoryFilters(item, { query: 'یادگیری' })).toBe(true);
+      expect(matchesHistoryFilters(item, { query: 'earning' })).toBe(false);
+    });
+
+    it('applies provider, language, mode and domain filters', () => {
+      expect(matchesHistoryFilters(item, { provider: 'gemini', sourceLanguage: 'en', targetLanguage: 'fa', mode: 'selection' })).toBe(true);
+      expect(matchesHistoryFilters(item, { provider: 'google' })).toBe(false);
+      expect(matchesHistoryFilters(item, { domain: 'example.com' })).toBe(true);
+      expect(matchesHistoryFilters(item, { domain: 'ample.com' })).toBe(false);
+    });
+
+    it('applies inclusive date ranges', () => {
+      expect(matchesHistoryFilters(item, { dateFrom: '2024-03-01', dateTo: '2024-03-01' })).toBe(true);
+      expect(matchesHistoryFilters(item, { dateFrom: '2024-03-02' })).toBe(false);
+      expect(matchesHistoryFilters(item, { dateTo: '2024-02-29' })).toBe(false);
+    });
+  });
+});
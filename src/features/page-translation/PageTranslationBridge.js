@@ -11,6 +11,7 @@ import {
   PAGE_TRANSLATION_ATTRIBUTES, 
   PAGE_TRANSLATION_SELECTORS
 } from './PageTranslationConstants.js';
+import { PageTranslationBilingualRenderer } from './utils/PageTranslationBilingualRenderer.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 import ResourceTracker from '@/core/memory/ResourceTracker.js';
@@ -21,6 +22,7 @@ export class PageTranslationBridge extends ResourceTracker {
     this.logger = getScopedLogger(LOG_COMPONENTS.PAGE_TRANSLATION, 'Bridge');
     this.session = null;
     this.showOriginalOnHover = true; // Initial default
+    this.bilingualRenderer = null;
   }
 
   async initialize(settings, onTranslateCallback, sessionContext = null) {
@@ -30,6 +32,16 @@ export class PageTranslationBridge extends ResourceTracker {
     this.showOriginalOnHover = settings.showOriginalOnHover ?? true;
     const isTargetRTL = isRTL(settings.targetLanguage);
 
+    // Bilingual mode leaves text nodes untouched and shows translations below their block
+    this.bilingualRenderer = settings.bilingualDisplay
+      ? new PageTranslationBilingualRenderer({
+        style: settings.bilingualStyle,
+        targetLanguage: settings.targetLanguage,
+        isTargetRTL
+      })
+      : null;
+    const bilingualRenderer = this.bilingualRenderer;
+
     // Reset lookup for a new session
     hoverPreviewLookup.clear();
 
@@ -75,6 +87,13 @@ export class PageTranslationBridge extends ResourceTracker {
       const isFunctionallyIdentical = translated && 
         normalizeForComparison(translated) === normalizeForComparison(trimmedText);
 
+      if (bilingualRenderer && translated) {
+        const changed = translated !== trimmedText && !isFunctionallyIdentical;
+        const line = leadingWhitespace + (changed ? translated.trim() : trimmedText) + trailingWhitespace;
+        // Nodes that cannot host a translation line (attributes, <option>) fall through to replacement
+        if (bilingualRenderer.render(node, line, changed)) return text;
+      }
+
       // FIX: Only apply marks if the text was actually translated (different from original)
       // and not just a ZWNJ-stripped version of the original.
       if (translated && translated !== trimmedText && !isFunctionallyIdentical) {
@@ -248,6 +267,9 @@ export class PageTranslationBridge extends ResourceTracker {
       // 1. Surgical Restore: Revert all direction and alignment changes
       restoreElementDirection(element);
 
+      // Translation lines of bilingual mode are ours alone; domtranslator does not know them
+      PageTranslationBilingualRenderer.removeAll(element);
+
       const pt = this.session.persistentTranslator;
       const dt = this.session.domTranslator;
 
@@ -294,6 +316,7 @@ export class PageTranslationBridge extends ResourceTracker {
       this.logger.error('Bridge Cleanup failed', e);
     } finally {
       this.session = null;
+      this.bilingualRenderer = null;
     }
   }
 }
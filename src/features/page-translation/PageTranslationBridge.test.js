@@ -211,6 +211,50 @@ describe('PageTranslationBridge', () => {
     });
   });
 
+  describe('Bilingual Display', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<p id="block">Hello</p>';
+      mockSettings.bilingualDisplay = true;
+      mockSettings.bilingualStyle = 'bordered';
+    });
+
+    it('should keep the original text and show the translation below its block', async () => {
+      await bridge.initialize(mockSettings, onTranslateCallback);
+      const nodesTranslator = bridge.session.nodesTranslator;
+      const block = document.getElementById('block');
+      nodesTranslator.currentNode = block.firstChild;
+
+      const result = await nodesTranslator.callback('Hello', 1);
+
+      expect(result).toBe('Hello');
+      const line = block.querySelector('[data-bilingual-line="bordered"]');
+      expect(line.textContent).toBe('Translated: Hello');
+      expect(line.getAttribute('dir')).toBe('rtl');
+    });
+
+    it('should replace text that cannot host a translation line', async () => {
+      await bridge.initialize(mockSettings, onTranslateCallback);
+      const nodesTranslator = bridge.session.nodesTranslator;
+      nodesTranslator.currentNode = document.createAttribute('title');
+
+      const result = await nodesTranslator.callback('Hello', 1);
+
+      expect(result).toBe(`${BIDI_MARKS.RLM}Translated: Hello`);
+    });
+
+    it('should remove translation lines on restore', async () => {
+      await bridge.initialize(mockSettings, onTranslateCallback);
+      const nodesTranslator = bridge.session.nodesTranslator;
+      nodesTranslator.currentNode = document.getElementById('block').firstChild;
+      await nodesTranslator.callback('Hello', 1);
+
+      bridge.restore(document.documentElement);
+
+      expect(document.querySelector('[data-bilingual-line]')).toBeNull();
+      expect(bridge.bilingualRenderer).toBeNull();
+    });
+  });
+
   describe('Restore and Cleanup', () => {
     it('should restore element correctly', async () => {
       await bridge.initialize(mockSettings, onTranslateCallback);
@@ -24,8 +24,25 @@ export const PAGE_TRANSLATION_ATTRIBUTES = {
   TRANSLATE_DIR: 'data-translate-dir',
   TRANSLATE_IGNORE: 'data-translate-ignore',
   TRANSLATE_NO_ATTR: 'translate',
+  BILINGUAL_LINE: 'data-bilingual-line',
 };
 
+/**
+ * Display styles of the translation inserted below each block in bilingual mode
+ */
+export const BILINGUAL_DISPLAY_STYLES = Object.freeze(['underline', 'dimmed', 'bordered']);
+
+/**
+ * Elements that receive their own translation line in bilingual mode.
+ * Text in other elements is attributed to its nearest ancestor from this list.
+ */
+export const BILINGUAL_BLOCK_TAGS = new Set([
+  'P', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TD', 'TH', 'DT', 'DD',
+  'BLOCKQUOTE', 'FIGCAPTION', 'CAPTION', 'LEGEND', 'SUMMARY', 'LABEL',
+  'BUTTON', 'PRE', 'DIV', 'SECTION', 'ARTICLE', 'ASIDE', 'HEADER', 'FOOTER',
+  'NAV', 'MAIN', 'FORM', 'BODY'
+]);
+
 import { NOTIFICATION_TIME, UI_HOST_IDS } from '@/shared/constants/ui.js';
 import { TRANSLATION_HTML } from '@/shared/constants/translation.js';
 
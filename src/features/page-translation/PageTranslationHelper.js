@@ -49,7 +49,7 @@ export class PageTranslationHelper {
    * This is crucial for allowing re-translation and clean restoration.
    */
   static deepCleanDOM() {
-    const { TRANSLATED_MARKER, TRANSLATE_DIR, HAS_ORIGINAL } = PAGE_TRANSLATION_ATTRIBUTES;
+    const { TRANSLATED_MARKER, TRANSLATE_DIR, HAS_ORIGINAL, BILINGUAL_LINE } = PAGE_TRANSLATION_ATTRIBUTES;
 
     // 1. Remove our own markers and direction attributes from all elements
     // We do NOT touch 'dir' here because restoreElementDirection (called by bridge.restore)
@@ -61,7 +61,10 @@ export class PageTranslationHelper {
       el.removeAttribute(HAS_ORIGINAL);
     });
 
-    // 2. Specific reset for common containers (just the markers)
+    // 2. Remove translation lines left over from bilingual mode
+    document.querySelectorAll(`[${BILINGUAL_LINE}]`).forEach(el => el.remove());
+
+    // 3. Specific reset for common containers (just the markers)
     const containers = ['html', 'body', 'main', 'article', 'section'];
     containers.forEach(tag => {
       const el = document.querySelector(tag);
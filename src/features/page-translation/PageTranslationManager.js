@@ -18,6 +18,7 @@ import { delay } from '@/core/helpers.js';
 import { ProviderRegistryIds } from '@/features/translation/providers/ProviderConstants.js';
 import { findProviderById } from '@/features/translation/providers/ProviderManifest.js';
 import { isSilentError } from '@/shared/error-management/ErrorMatcher.js';
+import { GlossaryValidator } from '@/features/glossary/core/GlossaryValidator.js';
 
 // Internal components
 import { PageTranslationHelper } from './PageTranslationHelper.js';
@@ -422,6 +423,22 @@ export class PageTranslationManager extends ResourceTracker {
     });
   }
 
+  /**
+   * Warns that the provider ignored glossary terms. The notice keeps one id,
+   * so a growing list replaces the previous one.
+   * @param {Array<{source: string, target: string}>} violations
+   * @private
+   */
+  async _notifyGlossaryViolations(violations) {
+    const template = await getTranslationString('glossary_violation_notice');
+    this.notificationManager.show(
+      (template || 'Glossary terms not applied: {terms}').replace('{terms}', GlossaryValidator.describe(violations)),
+      'warning',
+      NOTIFICATION_TIME.WARNING,
+      { id: 'page-translation-glossary-violations' }
+    );
+  }
+
   _handleFatalError(error, errorType, localizedMessage = null) {
     if (this.isFatalErrorHandling) return;
     this.isFatalErrorHandling = true;
@@ -549,6 +566,33 @@ export class PageTranslationManager extends ResourceTracker {
               overflow-x: clip !important;
             }
           }
+
+          /**
+           * 3. BILINGUAL DISPLAY
+           * Translation lines inserted below their original block.
+           */
+          [data-bilingual-line] {
+            display: block !important;
+            margin: 0.25em 0 !important;
+            font-size: inherit !important;
+            line-height: inherit !important;
+          }
+
+          [data-bilingual-line="underline"] {
+            text-decoration: underline dashed !important;
+            text-decoration-color: rgba(0, 122, 255, 0.6) !important;
+            text-underline-offset: 0.25em !important;
+          }
+
+          [data-bilingual-line="dimmed"] {
+            opacity: 0.7 !important;
+          }
+
+          [data-bilingual-line="bordered"] {
+            padding: 0.25em 0.5em !important;
+            border: 1px dashed rgba(0, 122, 255, 0.6) !important;
+            border-radius: 4px !important;
+          }
         `;
         document.head.appendChild(style);
       }
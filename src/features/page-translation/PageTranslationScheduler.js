@@ -22,6 +22,7 @@ import { PageTranslationFluidFilter } from './utils/PageTranslationFluidFilter.j
 import ResourceTracker from '@/core/memory/ResourceTracker.js';
 import { sendRegularMessage, safeSendMessage } from '@/shared/messaging/core/UnifiedMessaging.js';
 import { registryIdToName, isProviderType, ProviderTypes } from '@/features/translation/providers/ProviderConstants.js';
+import { GlossaryValidator } from '@/features/glossary/core/GlossaryValidator.js';
 
 /**
  * PageTranslationScheduler - Optimized translation scheduler inspired by AnyLang.
@@ -50,6 +51,12 @@ export class PageTranslationScheduler extends ResourceTracker {
     this.contextMap = new WeakMap();
     this._nextContextId = 1;
 
+    // In-flight batches by request messageId, for results streamed before the batch completes
+    this.activeBatches = new Map();
+
+    // Glossary terms the provider did not respect during this session
+    this.glossaryViolations = [];
+
     this.settings = { 
       ...DEFAULT_PAGE_TRANSLATION_SETTINGS,
       poolDelay: 150, // Time to wait for collecting more items (AnyLang style)
@@ -100,6 +107,7 @@ export class PageTranslationScheduler extends ResourceTracker {
     this._reportPending = false;
     this.contextMap = new WeakMap();
     this._nextContextId = 1;
+    this.glossaryViolations = [];
   }
 
   stop() {
@@ -110,6 +118,7 @@ export class PageTranslationScheduler extends ResourceTracker {
     this.isScrolling = false;
     this.isWaitingForVisibility = false;
     this.contextMap = new WeakMap();
+    this.activeBatches.clear();
     
     // CRITICAL: Notify background to abort any pending batch for this session
     if (wasTranslating && this.translationSessionId) {
@@ -403,11 +412,15 @@ export class PageTranslationScheduler extends ResourceTracker {
         targetLanguage: config.targetLanguage,
         mode: TranslationMode.Page,
         contextMetadata: this.settings.aiContextTranslationEnabled ? { pageTitle: document.title } : null,
-        options: { rawJsonPayload: true },
+        // Streaming AI providers send finished entries ahead of the batch result
+        options: { rawJsonPayload: true, ...(config.progressive && { progressive: true }) },
         sessionId: this.translationSessionId 
       },
       MessageContexts.PAGE_TRANSLATION_BATCH
     );
+    this.activeBatches.set(batchMessage.messageId, { batch, flushContext });
+    // Items already resolved from streamed entries are settled and skipped below
+    const pendingItems = () => batch.filter(item => !item.isSettled);
 
     try {
       if (!this.isTranslated) throw new Error('Session stopped');
@@ -418,7 +431,7 @@ export class PageTranslationScheduler extends ResourceTracker {
       // Validation after async call
       if (!this.isTranslated || (flushContext && flushContext !== this.sessionContext)) {
         this.logger.debug('Batch discarded: session changed or stopped');
-        batch.forEach(item => { try { item.resolve(item.text); } catch { /* ignore */ } });
+        pendingItems().forEach(item => { try { item.resolve(item.text); } catch { /* ignore */ } });
         return;
       }
 
@@ -434,10 +447,14 @@ export class PageTranslationScheduler extends ResourceTracker {
         if (result?.errorType) batchError.type = result.errorType;
         if (result?.isFatal) batchError.isFatal = true;
 
-        await this._handleBatchError(batchError, batch);
+        await this._handleBatchError(batchError, pendingItems());
         return;
       }
 
+      if (Array.isArray(result.glossaryViolations)) {
+        this._reportGlossaryViolations(result.glossaryViolations);
+      }
+
       // Resolve successfully translated items
       const translatedTexts = JSON.parse(result.translatedText);
       this.logger.debug(`Batch received: ${translatedTexts.length} items`);
@@ -447,6 +464,7 @@ export class PageTranslationScheduler extends ResourceTracker {
       }
 
       batch.forEach((item, index) => {
+        if (item.isSettled) return;
         const translatedItem = translatedTexts[index];
 
         const isExplicitlySkipped = typeof translatedItem === 'object'
@@ -487,8 +505,42 @@ export class PageTranslationScheduler extends ResourceTracker {
       this._reportProgress();
     } catch (error) {
       this.logger.error('Batch execution error:', error);
-      await this._handleBatchError(error, batch);
-    }  }
+      await this._handleBatchError(error, pendingItems());
+    } finally {
+      this.activeBatches.delete(batchMessage.messageId);
+    }
+  }
+
+  /**
+   * Applies entries of an in-flight batch as soon as the provider has streamed them.
+   * Each resolved item is settled, so the completed batch result leaves it alone.
+   * @param {Object} payload
+   * @param {string} payload.messageId - messageId of the batch request
+   * @param {Array<{index: number, text: string}>} payload.entries - positions within the batch
+   * @returns {number} number of items resolved
+   */
+  applyPartialResults({ messageId, entries } = {}) {
+    const active = this.activeBatches.get(messageId);
+    if (!active || !Array.isArray(entries)) return 0;
+    if (!this.isTranslated || (active.flushContext && active.flushContext !== this.sessionContext)) return 0;
+
+    let appliedCount = 0;
+    entries.forEach(({ index, text }) => {
+      const item = active.batch[index];
+      if (!item || item.isSettled || typeof text !== 'string' || !text.trim()) return;
+
+      item.isSettled = true;
+      item.resolve(text);
+      this.translatedCount++;
+      appliedCount++;
+    });
+
+    if (appliedCount > 0) {
+      this.logger.debugLazy(() => [`Applied ${appliedCount} streamed items for ${messageId}`]);
+      this._reportProgress();
+    }
+    return appliedCount;
+  }
 
   async _getBatchConfig() {
     // Priority: this.settings (from Manager) -> defaults
@@ -506,7 +558,7 @@ export class PageTranslationScheduler extends ResourceTracker {
     const targetLanguage = this.settings.targetLanguage;
     
     const providerName = registryIdToName(providerRegistryId);
-    const level = await getProviderOptimizationLevelAsync(providerName);
+    const level = this.settings.optimizationLevel ?? await getProviderOptimizationLevelAsync(providerName);
     const providerConfig = getProviderConfiguration(providerName, level);
 
     const isAI = isProviderType(providerName, ProviderTypes.AI);
@@ -544,6 +596,8 @@ export class PageTranslationScheduler extends ResourceTracker {
       targetLanguage,
       chunkSize: Math.max(chunkSize, 5), // Ensure at least 5 segments per batch
       lazyLoading: this.settings.lazyLoading,
+      // Only providers that report partial output can render a batch progressively
+      progressive: providerConfig.features?.supportsPartialOutput === true,
       maxChars: isAI ? (providerConfig.batching?.maxBatchSizeChars || await getWholePageAiMaxCharsAsync()) : (providerConfig.batching?.characterLimit || await getWholePageMaxCharsAsync())
     };
   }
@@ -588,6 +642,19 @@ export class PageTranslationScheduler extends ResourceTracker {
     }
   }
 
+  /**
+   * Adds the glossary terms a batch did not respect and announces the session's
+   * list whenever it grows.
+   * @private
+   */
+  _reportGlossaryViolations(violations) {
+    const merged = GlossaryValidator.mergeViolations(this.glossaryViolations, violations);
+    if (merged.length === this.glossaryViolations.length) return;
+
+    this.glossaryViolations = merged;
+    pageEventBus.emit('page-translation-glossary-violations', { violations: merged });
+  }
+
   _reportProgress(force = false) {
     const now = Date.now();
     const timeSinceLastReport = now - this._lastReportTime;
@@ -29,6 +29,7 @@ import { isFatalError, matchErrorToType } from '@/shared/error-management/ErrorM
 import { PageTranslationQueueFilter } from './utils/PageTranslationQueueFilter.js';
 import { PageTranslationFluidFilter } from './utils/PageTranslationFluidFilter.js';
 import { safeSendMessage } from '@/shared/messaging/core/UnifiedMessaging.js';
+import { pageEventBus } from '@/core/PageEventBus.js';
 
 // 3. Mock other dependencies
 vi.mock('./utils/PageTranslationQueueFilter.js', () => ({
@@ -66,7 +67,9 @@ vi.mock('@/shared/messaging/core/UnifiedMessaging.js', () => ({
 
 vi.mock('@/config.js', () => ({
   getTranslationApiAsync: vi.fn(async () => 'google'),
-  getTargetLanguageAsync: vi.fn(async () => 'fa')
+  getTargetLanguageAsync: vi.fn(async () => 'fa'),
+  getWholePageMaxCharsAsync: vi.fn(async () => 5000),
+  getWholePageAiMaxCharsAsync: vi.fn(async () => 10000)
 }));
 
 describe('PageTranslationScheduler', () => {
@@ -121,6 +124,25 @@ describe('PageTranslationScheduler', () => {
     });
   });
 
+  describe('Glossary violations', () => {
+    it('emits the merged list only when a batch adds new terms', () => {
+      const emitSpy = vi.spyOn(pageEventBus, 'emit');
+      const acme = { source: 'Acme', target: 'آکمه' };
+
+      scheduler._reportGlossaryViolations([acme]);
+      scheduler._reportGlossaryViolations([acme]);
+      scheduler._reportGlossaryViolations([acme, { source: 'Beta', target: 'بتا' }]);
+
+      const calls = emitSpy.mock.calls.filter(([event]) => event === 'page-translation-glossary-violations');
+      expect(calls).toHaveLength(2);
+      expect(calls[1][1].violations).toHaveLength(2);
+
+      scheduler.reset();
+      expect(scheduler.glossaryViolations).toEqual([]);
+      emitSpy.mockRestore();
+    });
+  });
+
   describe('Queue Management', () => {
     it('should track high priority items correctly', () => {
       scheduler.enqueue('Normal priority', null, 0.5);
@@ -160,6 +182,73 @@ describe('PageTranslationScheduler', () => {
       expect(scheduler.translatedCount).toBe(1);
     });
 
+    it('should apply streamed entries before the batch completes and keep them on completion', async () => {
+      const itemA = { text: 'A', resolve: vi.fn(), score: 1 };
+      const itemB = { text: 'B', resolve: vi.fn(), score: 1 };
+      scheduler.queue.push(itemA, itemB);
+
+      PageTranslationFluidFilter.process.mockReturnValue({ batchItems: [itemA, itemB], remainingItems: [] });
+      vi.spyOn(scheduler, '_getBatchConfig').mockResolvedValue({ providerRegistryId: 'ollama', targetLanguage: 'fa', progressive: true });
+      safeSendMessage.mockImplementation(async (message) => {
+        expect(message.data.options.progressive).toBe(true);
+        // Stale requests and blank entries are ignored
+        expect(scheduler.applyPartialResults({ messageId: 'other', entries: [{ index: 0, text: 'x' }] })).toBe(0);
+        expect(scheduler.applyPartialResults({ messageId: message.messageId, entries: [{ index: 0, text: 'الف' }, { index: 1, text: ' ' }] })).toBe(1);
+        expect(itemA.resolve).toHaveBeenCalledWith('الف');
+        expect(itemB.resolve).not.toHaveBeenCalled();
+        return { success: true, translatedText: JSON.stringify(['الف!', 'ب']) };
+      });
+
+      await scheduler.flush();
+
+      expect(itemA.resolve).toHaveBeenCalledTimes(1);
+      expect(itemB.resolve).toHaveBeenCalledWith('ب');
+      expect(scheduler.translatedCount).toBe(2);
+      expect(scheduler.activeBatches.size).toBe(0);
+    });
+
+    it('should request progressive output only from providers that report partial output', async () => {
+      scheduler.settings = { ...scheduler.settings, targetLanguage: 'fa', optimizationLevel: 3 };
+
+      for (const providerId of ['ollama', 'gemini', 'openai', 'deepseek', 'openrouter', 'custom']) {
+        scheduler.settings.translationApi = providerId;
+        expect((await scheduler._getBatchConfig()).progressive).toBe(true);
+      }
+
+      scheduler.settings.translationApi = 'webai';
+      expect((await scheduler._getBatchConfig()).progressive).toBe(false);
+
+      const item = { text: 'A', resolve: vi.fn(), score: 1 };
+      scheduler.queue.push(item);
+      PageTranslationFluidFilter.process.mockReturnValue({ batchItems: [item], remainingItems: [] });
+      vi.spyOn(scheduler, '_getBatchConfig').mockResolvedValue({ providerRegistryId: 'webai', targetLanguage: 'fa', progressive: false });
+      safeSendMessage.mockResolvedValue({ success: true, translatedText: JSON.stringify(['الف']) });
+
+      await scheduler.flush();
+
+      expect(safeSendMessage.mock.calls[0][0].data.options).toEqual({ rawJsonPayload: true });
+    });
+
+    it('should count only unsettled items as failed when a streamed batch errors', async () => {
+      const itemA = { text: 'A', resolve: vi.fn(), score: 1 };
+      const itemB = { text: 'B', resolve: vi.fn(), score: 1 };
+      scheduler.queue.push(itemA, itemB);
+
+      PageTranslationFluidFilter.process.mockReturnValue({ batchItems: [itemA, itemB], remainingItems: [] });
+      vi.spyOn(scheduler, '_getBatchConfig').mockResolvedValue({ providerRegistryId: 'gemini', targetLanguage: 'fa' });
+      safeSendMessage.mockImplementation(async (message) => {
+        scheduler.applyPartialResults({ messageId: message.messageId, entries: [{ index: 0, text: 'الف' }] });
+        return { success: false, error: 'Quota exceeded', errorType: 'QUOTA_EXCEEDED' };
+      });
+
+      await scheduler.flush();
+
+      expect(itemA.resolve).toHaveBeenCalledTimes(1);
+      expect(itemB.resolve).toHaveBeenCalledWith('B');
+      expect(scheduler.translatedCount).toBe(1);
+      expect(scheduler.failedCount).toBe(1);
+    });
+
     it.each(['', '   ', '\n\t'])('should preserve original and count blank result as failed: %j', async (blankText) => {
       const mockItem = { text: 'Original', resolve: vi.fn(), score: 1 };
       scheduler.queue.push(mockItem);
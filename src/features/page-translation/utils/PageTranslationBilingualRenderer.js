@@ -0,0 +1,117 @@
+import {
+  PAGE_TRANSLATION_ATTRIBUTES,
+  PAGE_TRANSLATION_SELECTORS,
+  BILINGUAL_BLOCK_TAGS,
+  BILINGUAL_DISPLAY_STYLES
+} from '../PageTranslationConstants.js';
+
+// Text inside these elements cannot host a visible translation line, so it is replaced as usual
+const UNSUPPORTED_CONTAINERS = 'option, select, textarea, title, script, style, svg, math';
+
+/**
+ * PageTranslationBilingualRenderer - Shows translations below their block
+ * instead of replacing the original text.
+ *
+ * Every translated text node is attributed to its nearest block element. The
+ * translations of a block are joined in document order into one line that is
+ * inserted after the block's last translated text. The line carries the
+ * internal ignore class, so domtranslator never translates or observes it.
+ */
+export class PageTranslationBilingualRenderer {
+  constructor({ style, targetLanguage, isTargetRTL = false } = {}) {
+    this.style = BILINGUAL_DISPLAY_STYLES.includes(style) ? style : BILINGUAL_DISPLAY_STYLES[0];
+    this.targetLanguage = targetLanguage;
+    this.isTargetRTL = isTargetRTL;
+    // block element -> { segments: Map<Text, { text, changed }>, element }
+    this.blocks = new WeakMap();
+  }
+
+  /**
+   * Finds the block whose translation line shows the given node.
+   * @param {Node} node
+   * @returns {HTMLElement|null} null when the node cannot be shown bilingually
+   */
+  getBlock(node) {
+    if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+    const parent = node.parentElement;
+    if (!parent || parent.closest(UNSUPPORTED_CONTAINERS)) return null;
+
+    let current = parent;
+    while (current && !BILINGUAL_BLOCK_TAGS.has(current.tagName)) {
+      current = current.parentElement;
+    }
+    return current || parent;
+  }
+
+  /**
+   * Records the translation of a text node and refreshes its block's line.
+   * @param {Text} node - the original text node, left untouched
+   * @param {string} text - translation, with the original surrounding whitespace
+   * @param {boolean} changed - false when the provider returned the original text
+   * @returns {boolean} false when the node cannot be shown bilingually
+   */
+  render(node, text, changed) {
+    const block = this.getBlock(node);
+    if (!block) return false;
+
+    let entry = this.blocks.get(block);
+    if (!entry) {
+      entry = { segments: new Map(), element: null };
+      this.blocks.set(block, entry);
+    }
+    entry.segments.set(node, { text, changed });
+    this._renderBlock(block, entry);
+    return true;
+  }
+
+  _renderBlock(block, entry) {
+    const nodes = [...entry.segments.keys()]
+      .filter(node => node.isConnected && block.contains(node))
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+    // Untranslated segments (numbers, names) keep the line readable, but a line made only of them is noise
+    const hasTranslation = nodes.some(node => entry.segments.get(node).changed);
+    const line = nodes.map(node => entry.segments.get(node).text).join('').replace(/\s+/g, ' ').trim();
+
+    if (!hasTranslation || !line) {
+      entry.element?.remove();
+      entry.element = null;
+      return;
+    }
+
+    if (!entry.element) {
+      entry.element = this._createLine();
+    }
+    if (entry.element.textContent !== line) {
+      entry.element.textContent = line;
+    }
+
+    // Insert after the child holding the last translated text, so nested lists keep their order
+    let anchor = nodes[nodes.length - 1];
+    while (anchor.parentNode !== block) {
+      anchor = anchor.parentNode;
+    }
+    if (anchor.nextSibling !== entry.element) {
+      block.insertBefore(entry.element, anchor.nextSibling);
+    }
+  }
+
+  _createLine() {
+    const element = document.createElement('span');
+    element.className = PAGE_TRANSLATION_SELECTORS.INTERNAL_IGNORE_CLASS;
+    element.setAttribute(PAGE_TRANSLATION_ATTRIBUTES.BILINGUAL_LINE, this.style);
+    element.setAttribute('dir', this.isTargetRTL ? 'rtl' : 'ltr');
+    if (this.targetLanguage) {
+      element.setAttribute('lang', this.targetLanguage);
+    }
+    return element;
+  }
+
+  /**
+   * Removes every translation line from the document.
+   * @param {ParentNode} root
+   */
+  static removeAll(root = document) {
+    root.querySelectorAll(`[${PAGE_TRANSLATION_ATTRIBUTES.BILINGUAL_LINE}]`).forEach(el => el.remove());
+  }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PageTranslationBilingualRenderer } from './PageTranslationBilingualRenderer.js';
+
+describe('PageTranslationBilingualRenderer', () => {
+  let renderer;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    renderer = new PageTranslationBilingualRenderer({ style: 'dimmed', targetLanguage: 'fa', isTargetRTL: true });
+  });
+
+  const lineOf = (block) => block.querySelector('[data-bilingual-line]');
+
+  it('joins the translations of a block in document order below its text', () => {
+    document.body.innerHTML = '<ul><li id="p">Hello <b>big</b> world<ul><li>item</li></ul></li></ul>';
+    const p = document.getElementById('p');
+    const [hello, , world] = p.childNodes;
+    const big = p.querySelector('b').firstChild;
+
+    renderer.render(world, ' دنیا', true);
+    renderer.render(hello, 'سلام ', true);
+    renderer.render(big, 'بزرگ', true);
+
+    const line = lineOf(p);
+    expect(line.textContent).toBe('سلام بزرگ دنیا');
+    expect(line.previousSibling).toBe(world);
+    expect(line.nextSibling.tagName).toBe('UL');
+    expect(line.getAttribute('data-bilingual-line')).toBe('dimmed');
+    expect(line.getAttribute('dir')).toBe('rtl');
+    expect(line.getAttribute('lang')).toBe('fa');
+    expect(hello.textContent).toBe('Hello ');
+  });
+
+  it('skips blocks whose text came back untranslated', () => {
+    document.body.innerHTML = '<p id="p">42</p>';
+    const p = document.getElementById('p');
+
+    expect(renderer.render(p.firstChild, '42', false)).toBe(true);
+    expect(lineOf(p)).toBeNull();
+  });
+
+  it('refuses text that cannot host a translation line', () => {
+    document.body.innerHTML = '<select><option id="o">One</option></select>';
+    const option = document.getElementById('o');
+
+    expect(renderer.render(option.firstChild, 'یک', true)).toBe(false);
+    expect(document.querySelector('[data-bilingual-line]')).toBeNull();
+  });
+
+  it('falls back to the default style and removes every line', () => {
+    document.body.innerHTML = '<div><p id="a">One</p><p id="b">Two</p></div>';
+    renderer = new PageTranslationBilingualRenderer({ style: 'unknown' });
+    renderer.render(document.getElementById('a').firstChild, 'یک', true);
+    renderer.render(document.getElementById('b').firstChild, 'دو', true);
+
+    expect(lineOf(document.getElementById('a')).getAttribute('data-bilingual-line')).toBe('underline');
+
+    PageTranslationBilingualRenderer.removeAll(document.body);
+    expect(document.querySelectorAll('[data-bilingual-line]')).toHaveLength(0);
+  });
+});
@@ -163,6 +163,12 @@ export class PageTranslationEventManager {
       });
     });
 
+    bus.on('page-translation-glossary-violations', ({ violations }) => {
+      this.manager._notifyGlossaryViolations(violations).catch(err => {
+        this.logger.warn('Failed to show glossary notice:', err);
+      });
+    });
+
     // 4. Conflict Resolution
     bus.on('STOP_CONFLICTING_FEATURES', (data) => {
       if ((this.manager.isTranslating || this.manager.isTranslated) && data?.source !== 'page-translation') {
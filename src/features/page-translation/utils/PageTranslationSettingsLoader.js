@@ -5,6 +5,8 @@ import {
   getWholePageExcludedSelectorsAsync, 
   getWholePageAttributesToTranslateAsync, 
   getWholePageShowOriginalOnHoverAsync, 
+  getWholePageBilingualDisplayAsync,
+  getWholePageBilingualStyleAsync,
   getWholePageTranslateAfterScrollStopAsync,
   getWholePageScrollStopDelayAsync,
   getWholePageTokenWarningHiddenAsync,
@@ -12,11 +14,13 @@ import {
   getTargetLanguageAsync,
   getModeProvidersAsync,
   getAIContextTranslationEnabledAsync,
+  getSiteProfilesAsync,
   TranslationMode,
   CONFIG
 } from '@/config.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { findSiteProfile, getSiteFeatureOverride, getSiteRequestOverrides } from '@/features/site-profiles/core/SiteProfiles.js';
 
 /**
  * PageTranslationSettingsLoader - Specialized utility for loading and formatting
@@ -42,10 +46,13 @@ export class PageTranslationSettingsLoader {
       getWholePageExcludedSelectorsAsync(),
       getWholePageAttributesToTranslateAsync(),
       getWholePageShowOriginalOnHoverAsync(),
+      getWholePageBilingualDisplayAsync(),
+      getWholePageBilingualStyleAsync(),
       getWholePageTranslateAfterScrollStopAsync(),
       getWholePageScrollStopDelayAsync(),
       getWholePageTokenWarningHiddenAsync(),
-      getAIContextTranslationEnabledAsync()
+      getAIContextTranslationEnabledAsync(),
+      getSiteProfilesAsync()
     ]);
 
     const [
@@ -58,10 +65,13 @@ export class PageTranslationSettingsLoader {
       excludedSelectors,
       attributesToTranslate,
       showOriginalOnHover,
+      bilingualDisplay,
+      bilingualStyle,
       translateAfterScrollStop,
       scrollStopDelay,
       tokenWarningHidden,
-      aiContextTranslationEnabled
+      aiContextTranslationEnabled,
+      siteProfiles
     ] = settingsData;
 
     // Formatting: Ensure rootMargin has unit
@@ -69,34 +79,46 @@ export class PageTranslationSettingsLoader {
       ? (String(rawRootMargin).match(/px|%|em|rem|vh|vw$/) ? String(rawRootMargin) : `${rawRootMargin}px`) 
       : '150px';
 
-    // Provider Resolution: Options -> Mode Provider -> Global Provider
+    const siteProfile = findSiteProfile(window.location.href, siteProfiles);
+    const siteOverrides = getSiteRequestOverrides(siteProfile);
+
+    // Provider Resolution: Options -> Site Profile -> Mode Provider -> Global Provider
     let effectiveProvider = options.provider;
     const isExplicitProvider = !!options.provider;
     if (!effectiveProvider) {
-      effectiveProvider = modeProviders?.[TranslationMode.Page] || globalTranslationApi;
+      effectiveProvider = siteOverrides?.provider || modeProviders?.[TranslationMode.Page] || globalTranslationApi;
     }
 
+    // The site language replaces the global default, not a language picked for this request
+    const requestedTargetLanguage = options.targetLanguage || targetLanguage;
+    const effectiveTargetLanguage = siteOverrides?.targetLanguage && requestedTargetLanguage === targetLanguage
+      ? siteOverrides.targetLanguage
+      : requestedTargetLanguage;
+
     const settings = {
       translationApi: effectiveProvider,
       isExplicitProvider,
-      targetLanguage: options.targetLanguage || targetLanguage,
+      targetLanguage: effectiveTargetLanguage,
       lazyLoading: !!lazyLoading,
       rootMargin: formattedRootMargin,
       autoTranslateOnDOMChanges: !!autoTranslateOnDOMChanges,
       excludedSelectors: excludedSelectors,
       attributesToTranslate: attributesToTranslate,
       showOriginalOnHover: !!showOriginalOnHover,
+      bilingualDisplay: getSiteFeatureOverride(siteProfile, 'bilingualDisplay') ?? !!bilingualDisplay,
+      bilingualStyle: bilingualStyle || 'underline',
       translateAfterScrollStop: !!translateAfterScrollStop,
       scrollStopDelay: Number(scrollStopDelay) || 500,
       tokenWarningHidden: !!tokenWarningHidden,
       aiContextTranslationEnabled: !!aiContextTranslationEnabled,
       chunkSize: CONFIG.WHOLE_PAGE_CHUNK_SIZE,
-      maxConcurrentFlushes: CONFIG.WHOLE_PAGE_MAX_CONCURRENT_REQUESTS
+      maxConcurrentFlushes: CONFIG.WHOLE_PAGE_MAX_CONCURRENT_REQUESTS,
+      ...(siteOverrides?.optimizationLevel && { optimizationLevel: siteOverrides.optimizationLevel })
     };
 
     logger.debugLazy(() => [
       'Settings Loaded:', 
-      { provider: settings.translationApi, onStop: settings.translateAfterScrollStop }
+      { provider: settings.translationApi, onStop: settings.translateAfterScrollStop, bilingual: settings.bilingualDisplay, siteProfile: siteProfile?.id }
     ]);
 
     return settings;
@@ -10,6 +10,8 @@ vi.mock('@/config.js', () => ({
   getWholePageExcludedSelectorsAsync: vi.fn(),
   getWholePageAttributesToTranslateAsync: vi.fn(),
   getWholePageShowOriginalOnHoverAsync: vi.fn(),
+  getWholePageBilingualDisplayAsync: vi.fn(),
+  getWholePageBilingualStyleAsync: vi.fn(),
   getWholePageTranslateAfterScrollStopAsync: vi.fn(),
   getWholePageScrollStopDelayAsync: vi.fn(),
   getWholePageTokenWarningHiddenAsync: vi.fn(),
@@ -17,6 +19,7 @@ vi.mock('@/config.js', () => ({
   getTargetLanguageAsync: vi.fn(),
   getModeProvidersAsync: vi.fn(),
   getAIContextTranslationEnabledAsync: vi.fn(),
+  getSiteProfilesAsync: vi.fn(),
   TranslationMode: { Page: 'page' },
   CONFIG: {
     WHOLE_PAGE_CHUNK_SIZE: 100,
@@ -47,10 +50,13 @@ describe('PageTranslationSettingsLoader', () => {
     config.getWholePageExcludedSelectorsAsync.mockResolvedValue(['.ignore']);
     config.getWholePageAttributesToTranslateAsync.mockResolvedValue(['title']);
     config.getWholePageShowOriginalOnHoverAsync.mockResolvedValue(true);
+    config.getWholePageBilingualDisplayAsync.mockResolvedValue(false);
+    config.getWholePageBilingualStyleAsync.mockResolvedValue('dimmed');
     config.getWholePageTranslateAfterScrollStopAsync.mockResolvedValue(true);
     config.getWholePageScrollStopDelayAsync.mockResolvedValue(500);
     config.getWholePageTokenWarningHiddenAsync.mockResolvedValue(false);
     config.getAIContextTranslationEnabledAsync.mockResolvedValue(true);
+    config.getSiteProfilesAsync.mockResolvedValue([]);
   });
 
   it('should load settings with correct formatting', async () => {
@@ -66,6 +72,8 @@ describe('PageTranslationSettingsLoader', () => {
       excludedSelectors: ['.ignore'],
       attributesToTranslate: ['title'],
       showOriginalOnHover: true,
+      bilingualDisplay: false,
+      bilingualStyle: 'dimmed',
       translateAfterScrollStop: true,
       scrollStopDelay: 500,
       tokenWarningHidden: false,
@@ -121,4 +129,62 @@ describe('PageTranslationSettingsLoader', () => {
     expect(settings.rootMargin).toBe('150px');
     expect(settings.scrollStopDelay).toBe(500);
   });
+
+  describe('site profiles', () => {
+    const siteProfile = (overrides) => ({
+      id: 'current-site',
+      enabled: true,
+      patterns: [`${window.location.host}/*`],
+      ...overrides
+    });
+
+    it('uses the provider, target language and optimization level of the page profile', async () => {
+      config.getModeProvidersAsync.mockResolvedValue({ [TranslationMode.Page]: 'openai' });
+      config.getSiteProfilesAsync.mockResolvedValue([
+        siteProfile({ provider: 'deepl', targetLanguage: 'de', optimizationLevel: 2 })
+      ]);
+
+      const settings = await PageTranslationSettingsLoader.load();
+
+      expect(settings.translationApi).toBe('deepl');
+      expect(settings.isExplicitProvider).toBe(false);
+      expect(settings.targetLanguage).toBe('de');
+      expect(settings.optimizationLevel).toBe(2);
+    });
+
+    it('keeps a provider and language chosen for the request', async () => {
+      config.getSiteProfilesAsync.mockResolvedValue([
+        siteProfile({ provider: 'deepl', targetLanguage: 'de' })
+      ]);
+
+      const settings = await PageTranslationSettingsLoader.load({ provider: 'gemini', targetLanguage: 'en' });
+
+      expect(settings.translationApi).toBe('gemini');
+      expect(settings.targetLanguage).toBe('en');
+      expect(settings).not.toHaveProperty('optimizationLevel');
+    });
+
+    it('lets the page profile switch bilingual display on or off', async () => {
+      config.getSiteProfilesAsync.mockResolvedValue([siteProfile({ bilingualDisplay: 'on' })]);
+      expect((await PageTranslationSettingsLoader.load()).bilingualDisplay).toBe(true);
+
+      config.getWholePageBilingualDisplayAsync.mockResolvedValue(true);
+      config.getSiteProfilesAsync.mockResolvedValue([siteProfile({ bilingualDisplay: 'off' })]);
+      expect((await PageTranslationSettingsLoader.load()).bilingualDisplay).toBe(false);
+
+      config.getSiteProfilesAsync.mockResolvedValue([siteProfile({ bilingualDisplay: 'inherit' })]);
+      expect((await PageTranslationSettingsLoader.load()).bilingualDisplay).toBe(true);
+    });
+
+    it('ignores profiles for other sites', async () => {
+      config.getSiteProfilesAsync.mockResolvedValue([
+        siteProfile({ patterns: ['example.org/*'], provider: 'deepl', targetLanguage: 'de' })
+      ]);
+
+      const settings = await PageTranslationSettingsLoader.load();
+
+      expect(settings.translationApi).toBe('google');
+      expect(settings.targetLanguage).toBe('fa');
+    });
+  });
 });
@@ -811,6 +811,18 @@ export class PdfDocumentSession extends ResourceTracker {
     })
   }
 
+  // ── Document Data ──────────────────────────────────────────
+
+  /**
+   * Get the raw bytes of the loaded PDF file.
+   *
+   * @returns {Promise<Uint8Array|null>} File contents, or null when no document is loaded
+   */
+  async getDocumentData() {
+    if (!this.pdfDocument) return null
+    return this.pdfDocument.getData()
+  }
+
   // ── Outline Loading ────────────────────────────────────────
 
   /**
@@ -1,3 +1,8 @@
+function boxesOverlap(a, b) {
+  if (!a || !b) return false
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height
+}
+
 export class PdfExportCollector {
   constructor(session) {
     this.session = session
@@ -85,6 +90,7 @@ export class PdfExportCollector {
           boundingBox: block.boundingBox || null,
           fontSize: block.roleMetadata?.fontSize || 12,
           fontFamily: block.roleMetadata?.fontFamily || null,
+          sourceText: block.text || '',
           translatedText: state.translatedText
         })
       }
@@ -108,6 +114,88 @@ export class PdfExportCollector {
     return pages
   }
 
+  /**
+   * Collects what the translated-PDF export draws on each page: the translated
+   * blocks and the page masks that cover them. Block masks are matched by owner;
+   * cell, row and region masks are kept when they overlap a translated block.
+   * Blocks without any mask are covered by their own bounding box.
+   */
+  async collectPdfOverlayPages() {
+    const pages = []
+
+    this.session.forEachCommittedPage((pageNumber) => {
+      const pageSession = this.session.pageSessions?.get(pageNumber)
+      const blocks = []
+
+      for (const block of this.session.getPageSourceBlocks(pageNumber)) {
+        const state = this.session.getBlockTranslationState(block.id)
+        if (state.status !== 'translated' || !state.translatedText || !block.boundingBox) continue
+
+        blocks.push({
+          blockId: block.id,
+          readingOrderIndex: block.readingOrderIndex ?? 0,
+          boundingBox: block.boundingBox,
+          lines: (block.lines || []).map((line) => ({ boundingBox: line.boundingBox || null })),
+          isStructured: block.roleMetadata?.isStructured === true,
+          fontSize: block.roleMetadata?.fontSize || 12,
+          ascent: block.roleMetadata?.ascent ?? null,
+          descent: block.roleMetadata?.descent ?? null,
+          translatedText: state.translatedText
+        })
+      }
+
+      if (blocks.length === 0) return
+      blocks.sort((a, b) => a.readingOrderIndex - b.readingOrderIndex)
+
+      const pageMasks = pageSession?.getPageMaskModel?.()?.masks || []
+      const masks = pageMasks.filter((mask) => {
+        if (mask.type === 'block') return blocks.some((block) => block.blockId === mask.ownerId)
+        return blocks.some((block) => boxesOverlap(mask.boundingBox, block.boundingBox))
+      })
+
+      for (const block of blocks) {
+        if (!masks.some((mask) => boxesOverlap(mask.boundingBox, block.boundingBox))) {
+          masks.push({ id: `export-mask-${block.blockId}`, type: 'block', ownerId: block.blockId, boundingBox: block.boundingBox, padding: null })
+        }
+      }
+
+      pages.push({
+        pageNumber,
+        masks: masks.map((mask) => ({
+          id: mask.id,
+          ownerId: mask.ownerId,
+          boundingBox: mask.boundingBox,
+          padding: mask.padding || null
+        })),
+        blocks
+      })
+    })
+
+    return pages
+  }
+
+  /**
+   * Flattens the document outline into table-of-contents entries with
+   * resolved page numbers. Entries whose destination cannot be resolved keep
+   * a null page number.
+   */
+  async collectOutlineEntries() {
+    const outline = await this.session.loadOutline?.()
+    if (!outline?.length) return []
+
+    const entries = []
+    const visit = async (nodes, depth) => {
+      for (const node of nodes) {
+        const target = node.dest ? await this.session.resolveDestination?.(node.dest) : null
+        entries.push({ title: node.title, depth, pageNumber: target?.pageNumber ?? null })
+        if (node.items?.length) await visit(node.items, depth + 1)
+      }
+    }
+
+    await visit(outline, 0)
+    return entries
+  }
+
   getDocumentTitle() {
     return this.session.displayName || this.session.fileName || 'document'
   }
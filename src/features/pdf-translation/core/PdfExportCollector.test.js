@@ -206,6 +206,7 @@ describe('PdfExportCollector', () => {
       expect(pages[0].blocks[0].boundingBox).toEqual({ x: 72, y: 100, width: 400, height: 20 })
       expect(pages[0].blocks[0].fontSize).toBe(12)
       expect(pages[0].blocks[0].fontFamily).toBe('serif')
+      expect(pages[0].blocks[0].sourceText).toBe('Hello')
       expect(pages[0].blocks[0].translatedText).toBe('Hola')
     })
 
@@ -236,4 +237,97 @@ describe('PdfExportCollector', () => {
       expect(pages).toHaveLength(0)
     })
   })
+
+  describe('collectPdfOverlayPages', () => {
+    function setupMaskedPage(masks) {
+      setupPageSession(1, [
+        {
+          id: 'b1', text: 'Hello', readingOrderIndex: 0,
+          boundingBox: { x: 72, y: 100, width: 400, height: 20 },
+          lines: [{ boundingBox: { x: 72, y: 100, width: 400, height: 20 } }],
+          roleMetadata: { fontSize: 12, ascent: 0.9, descent: 0.2 }
+        },
+        {
+          id: 'b2', text: 'World', readingOrderIndex: 1,
+          boundingBox: { x: 72, y: 300, width: 300, height: 16 },
+          roleMetadata: { fontSize: 14 }
+        }
+      ])
+      const pageSession = session.pageSessions.get(1)
+      pageSession.getPageMaskModel = () => ({ masks })
+      pageSession.getPageLayout = () => ({ pageSize: { width: 612, height: 792 } })
+    }
+
+    it('keeps masks that cover translated blocks', async () => {
+      setupMaskedPage([
+        { id: 'm1', type: 'block', ownerId: 'b1', boundingBox: { x: 72, y: 100, width: 400, height: 20 }, padding: { top: 1, right: 1, bottom: 1, left: 1 } },
+        { id: 'm2', type: 'block', ownerId: 'b2', boundingBox: { x: 72, y: 300, width: 300, height: 16 } },
+        { id: 'm3', type: 'cell', ownerId: 'cell-1', boundingBox: { x: 80, y: 105, width: 40, height: 10 } }
+      ])
+      setTranslated('b1', 'Hola')
+
+      const pages = await new PdfExportCollector(session).collectPdfOverlayPages()
+
+      expect(pages).toHaveLength(1)
+      expect(pages[0].masks.map((mask) => mask.id)).toEqual(['m1', 'm3'])
+      expect(pages[0].blocks).toEqual([expect.objectContaining({
+        blockId: 'b1',
+        translatedText: 'Hola',
+        fontSize: 12,
+        ascent: 0.9,
+        descent: 0.2,
+        isStructured: false,
+        lines: [{ boundingBox: { x: 72, y: 100, width: 400, height: 20 } }]
+      })])
+    })
+
+    it('covers translated blocks that have no mask with their own box', async () => {
+      setupMaskedPage([])
+      setTranslated('b2', 'Mundo')
+
+      const pages = await new PdfExportCollector(session).collectPdfOverlayPages()
+
+      expect(pages[0].masks).toEqual([expect.objectContaining({
+        ownerId: 'b2',
+        boundingBox: { x: 72, y: 300, width: 300, height: 16 },
+        padding: null
+      })])
+    })
+
+    it('skips pages without translations', async () => {
+      setupMaskedPage([])
+      setError('b1')
+
+      expect(await new PdfExportCollector(session).collectPdfOverlayPages()).toEqual([])
+    })
+  })
+
+  describe('collectOutlineEntries', () => {
+    it('flattens the outline with depths and resolved page numbers', async () => {
+      session.loadOutline = vi.fn().mockResolvedValue([
+        {
+          title: 'Introduction',
+          dest: 'intro',
+          items: [{ title: 'Background', dest: [{ num: 9, gen: 0 }], items: [] }]
+        },
+        { title: 'External', dest: null, url: 'https://example.com', items: [] }
+      ])
+      session.resolveDestination = vi.fn(async (dest) => (dest === 'intro' ? { pageNumber: 1 } : { pageNumber: 3 }))
+
+      const entries = await new PdfExportCollector(session).collectOutlineEntries()
+
+      expect(entries).toEqual([
+        { title: 'Introduction', depth: 0, pageNumber: 1 },
+        { title: 'Background', depth: 1, pageNumber: 3 },
+        { title: 'External', depth: 0, pageNumber: null }
+      ])
+      expect(session.resolveDestination).toHaveBeenCalledTimes(2)
+    })
+
+    it('returns an empty list for documents without an outline', async () => {
+      session.loadOutline = vi.fn().mockResolvedValue(null)
+
+      expect(await new PdfExportCollector(session).collectOutlineEntries()).toEqual([])
+    })
+  })
 })
@@ -0,0 +1,149 @@
+/**
+ * PdfExportFontResolver — picks the fonts embedded in an exported PDF.
+ *
+ * The bundled Liberation Sans (shipped with pdf.js) covers Latin, Greek and
+ * Cyrillic. Text in other scripts is matched against installed fonts through
+ * the Local Font Access API, preferring families known to cover the script,
+ * and a font file chosen by the user always takes precedence. Fonts whose
+ * license forbids embedding are skipped.
+ */
+
+import baseFontUrl from 'pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf?url'
+import { getScopedLogger } from '@/shared/logging/logger.js'
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js'
+import { PdfSfntFont } from './PdfSfntFont.js'
+import { PdfFontEmbedder } from './PdfFontEmbedder.js'
+
+const logger = getScopedLogger(LOG_COMPONENTS.PDF, 'PdfExportFontResolver')
+
+const SCRIPT_FONTS = [
+  {
+    script: 'Arabic',
+    pattern: /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/,
+    families: ['Vazirmatn', 'Noto Naskh Arabic', 'Noto Sans Arabic', 'Segoe UI', 'Tahoma', 'Arial', 'Geeza Pro', 'DejaVu Sans']
+  },
+  {
+    script: 'Hebrew',
+    pattern: /[\u0590-\u05FF\uFB1D-\uFB4F]/,
+    families: ['Noto Sans Hebrew', 'Segoe UI', 'Arial', 'Arial Hebrew', 'DejaVu Sans']
+  },
+  {
+    script: 'Japanese',
+    pattern: /[\u3040-\u30FF\u31F0-\u31FF]/,
+    families: ['Noto Sans JP', 'Noto Sans CJK JP', 'Yu Gothic', 'Meiryo', 'MS Gothic', 'Hiragino Sans', 'Hiragino Kaku Gothic ProN']
+  },
+  {
+    script: 'Korean',
+    pattern: /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/,
+    families: ['Noto Sans KR', 'Noto Sans CJK KR', 'Malgun Gothic', 'Apple SD Gothic Neo']
+  },
+  {
+    script: 'Chinese',
+    pattern: /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/,
+    families: ['Noto Sans SC', 'Noto Sans CJK SC', 'Microsoft YaHei', 'PingFang SC', 'SimSun', 'Noto Sans TC', 'Microsoft JhengHei', 'Noto Sans JP', 'Yu Gothic']
+  }
+]
+
+function describeScripts(codePoints) {
+  const scripts = new Set()
+  for (const codePoint of codePoints) {
+    const char = String.fromCodePoint(codePoint)
+    scripts.add(SCRIPT_FONTS.find((entry) => entry.pattern.test(char))?.script || `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}`)
+  }
+  return [...scripts]
+}
+
+export class PdfExportFontResolver {
+  constructor({ fetchImpl = (...args) => fetch(...args), queryLocalFonts = null } = {}) {
+    this.fetchImpl = fetchImpl
+    this.queryLocalFonts = queryLocalFonts || (() => globalThis.queryLocalFonts?.() ?? Promise.resolve([]))
+    this._baseFont = null
+  }
+
+  /**
+   * Builds the fallback list of fonts able to draw `text`.
+   * @param {string} text - all text that will be drawn
+   * @param {Object} [options]
+   * @param {ArrayBuffer|Uint8Array|Blob} [options.fontFile] - user-selected .ttf/.otf/.ttc
+   * @returns {Promise<PdfSfntFont[]>}
+   * @throws {Error} when no embeddable font covers some of the characters
+   */
+  async resolveFonts(text, { fontFile = null } = {}) {
+    const fonts = []
+
+    if (fontFile) {
+      const data = typeof fontFile.arrayBuffer === 'function' ? await fontFile.arrayBuffer() : fontFile
+      const userFont = new PdfSfntFont(data)
+      if (!userFont.isEmbeddable) {
+        throw new Error(`The font "${userFont.postscriptName || 'selected font'}" does not allow embedding.`)
+      }
+      fonts.push(userFont)
+    }
+
+    fonts.push(await this._loadBaseFont())
+
+    let missing = new PdfFontEmbedder(fonts).findMissingCodePoints(text)
+    if (missing.length) {
+      const candidates = await this._listLocalFonts()
+      for (const entry of SCRIPT_FONTS) {
+        const needed = missing.filter((codePoint) => entry.pattern.test(String.fromCodePoint(codePoint)))
+        if (!needed.length) continue
+
+        const font = await this._findLocalFont(candidates, entry.families, needed)
+        if (font) {
+          fonts.push(font)
+          missing = new PdfFontEmbedder(fonts).findMissingCodePoints(text)
+        }
+      }
+    }
+
+    if (missing.length) {
+      throw new Error(`No embeddable font found for ${describeScripts(missing).join(', ')}. Choose a font file that supports these characters.`)
+    }
+
+    return fonts
+  }
+
+  /** @private */
+  async _loadBaseFont() {
+    if (!this._baseFont) {
+      const response = await this.fetchImpl(baseFontUrl)
+      if (!response.ok) throw new Error(`Failed to load the PDF export font (${response.status}).`)
+      this._baseFont = new PdfSfntFont(await response.arrayBuffer())
+    }
+    return this._baseFont
+  }
+
+  /** @private */
+  async _listLocalFonts() {
+    try {
+      return await this.queryLocalFonts()
+    } catch (error) {
+      // Permission denied or the API is unavailable; only the bundled and user fonts remain
+      logger.warn('Local fonts are not available for PDF export:', error?.message || error)
+      return []
+    }
+  }
+
+  /** @private */
+  async _findLocalFont(candidates, families, codePoints) {
+    for (const family of families) {
+      const faces = candidates
+        .filter((face) => face.family === family)
+        .sort((a, b) => Number(b.style === 'Regular') - Number(a.style === 'Regular'))
+
+      for (const face of faces) {
+        try {
+          const font = new PdfSfntFont(await (await face.blob()).arrayBuffer(), { postscriptName: face.postscriptName })
+          if (font.isEmbeddable && codePoints.some((codePoint) => font.hasCodePoint(codePoint))) {
+            logger.debug('Using local font for PDF export:', face.postscriptName)
+            return font
+          }
+        } catch (error) {
+          logger.debug('Skipping unreadable local font:', face.postscriptName, error?.message || error)
+        }
+      }
+    }
+    return null
+  }
+}
@@ -0,0 +1,59 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { describe, expect, it, vi } from 'vitest'
+import { PdfExportFontResolver } from './PdfExportFontResolver.js'
+
+const FONT_BYTES = new Uint8Array(fs.readFileSync(path.resolve(process.cwd(), 'node_modules/pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf')))
+
+function createResolver(localFonts = []) {
+  const fetchImpl = vi.fn(async () => new Response(FONT_BYTES.slice()))
+  const queryLocalFonts = vi.fn(async () => localFonts)
+  return { resolver: new PdfExportFontResolver({ fetchImpl, queryLocalFonts }), fetchImpl, queryLocalFonts }
+}
+
+describe('PdfExportFontResolver', () => {
+  it('uses the bundled font for Latin and Cyrillic text without asking for local fonts', async () => {
+    const { resolver, fetchImpl, queryLocalFonts } = createResolver()
+
+    const fonts = await resolver.resolveFonts('Hola Привет')
+    await resolver.resolveFonts('Again')
+
+    expect(fonts.map((font) => font.postscriptName)).toEqual(['LiberationSans'])
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+    expect(queryLocalFonts).not.toHaveBeenCalled()
+  })
+
+  it('names the scripts that no font covers', async () => {
+    const { resolver } = createResolver([
+      { family: 'Some Font', style: 'Regular', postscriptName: 'SomeFont', blob: async () => new Blob([FONT_BYTES]) }
+    ])
+
+    await expect(resolver.resolveFonts('Hello 日本語 سلام')).rejects.toThrow('No embeddable font found for Chinese, Arabic')
+  })
+
+  it('keeps going when local fonts are unavailable', async () => {
+    const resolver = new PdfExportFontResolver({
+      fetchImpl: async () => new Response(FONT_BYTES.slice()),
+      queryLocalFonts: async () => { throw new Error('NotAllowedError') }
+    })
+
+    await expect(resolver.resolveFonts('שלום')).rejects.toThrow('Hebrew')
+  })
+
+  it('puts a user font first and refuses fonts that forbid embedding', async () => {
+    const { resolver } = createResolver()
+
+    const fonts = await resolver.resolveFonts('Hello', { fontFile: new Blob([FONT_BYTES]) })
+    expect(fonts).toHaveLength(2)
+
+    const restricted = FONT_BYTES.slice()
+    const view = new DataView(restricted.buffer)
+    for (let i = 0; i < view.getUint16(4); i++) {
+      const record = 12 + i * 16
+      if (String.fromCharCode(...restricted.subarray(record, record + 4)) === 'OS/2') {
+        view.setUint16(view.getUint32(record + 8) + 8, 0x0002)
+      }
+    }
+    await expect(resolver.resolveFonts('Hello', { fontFile: restricted })).rejects.toThrow('does not allow embedding')
+  })
+})
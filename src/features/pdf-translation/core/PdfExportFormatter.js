@@ -158,3 +158,102 @@ ${pageSections}
 </body>
 </html>`
 }
+
+const BILINGUAL_LAYOUTS = new Set(['columns', 'alternating'])
+
+function dirAttribute(text) {
+  return isRtl(text) ? ' dir="rtl"' : ' dir="auto"'
+}
+
+function buildBilingualToc(outline, pageNumbers) {
+  if (!outline?.length) return ''
+
+  const items = outline.map((entry) => {
+    const title = escapeHtml(entry.title || 'Untitled')
+    const indent = `padding-inline-start: ${Math.max(0, entry.depth || 0) * 16}px;`
+    const hasSection = entry.pageNumber && pageNumbers.has(entry.pageNumber)
+    const label = hasSection ? `<a href="#page-${entry.pageNumber}">${title}</a>` : `<span>${title}</span>`
+    const page = entry.pageNumber ? `<span class="toc-page">${entry.pageNumber}</span>` : ''
+    return `      <li style="${indent}">${label}${page}</li>`
+  }).join('\n')
+
+  return `  <nav class="toc">
+    <h2>Contents</h2>
+    <ol>
+${items}
+    </ol>
+  </nav>`
+}
+
+function buildBilingualPair(block, layout) {
+  const role = escapeHtml(block.role || 'paragraph')
+  const source = `<div class="source"${dirAttribute(block.sourceText)}>${nlToBr(block.sourceText || '')}</div>`
+  const target = `<div class="target"${dirAttribute(block.translatedText)}>${nlToBr(block.translatedText)}</div>`
+  return `      <div class="pair ${layout} role-${role}">${source}${target}</div>`
+}
+
+/**
+ * Source and translation side by side, one section per page.
+ * `columns` aligns each block with its translation in two columns;
+ * `alternating` places the translation under each source paragraph.
+ * The printable variant starts every page on a new sheet.
+ */
+export function buildBilingualHtmlOutput({ documentTitle, pages, outline = [], layout = 'columns', printable = false }) {
+  if (!pages || !pages.length) return ''
+
+  const resolvedLayout = BILINGUAL_LAYOUTS.has(layout) ? layout : 'columns'
+  const title = escapeHtml(documentTitle || 'Translated PDF')
+  const pageNumbers = new Set(pages.map((page) => page.pageNumber))
+
+  const pageSections = pages.map((page) => {
+    const pairs = page.blocks.map((block) => buildBilingualPair(block, resolvedLayout)).join('\n')
+    return `    <section class="page" id="page-${page.pageNumber}">
+      <h2 class="page-marker">Page ${page.pageNumber}</h2>
+${pairs}
+    </section>`
+  }).join('\n')
+
+  const printRules = printable
+    ? `
+  @page { margin: 16mm 14mm; }
+  .page + .page { break-before: page; }`
+    : ''
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${title}</title>
+<style>
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: #fff; padding: 32px 24px; color: #1a1a1a; line-height: 1.5; }
+  h1 { text-align: center; margin-bottom: 24px; font-size: 22px; color: #333; }
+  .toc { margin: 0 auto 32px; max-width: 720px; }
+  .toc h2 { font-size: 16px; margin-bottom: 8px; }
+  .toc ol { list-style: none; }
+  .toc li { display: flex; gap: 8px; font-size: 13px; padding: 2px 0; }
+  .toc a { color: #1f4fbf; text-decoration: none; }
+  .toc .toc-page { margin-inline-start: auto; color: #888; }
+  .page { margin: 0 auto 32px; max-width: 1100px; }
+  .page-marker { font-size: 12px; font-weight: 600; color: #666; text-transform: uppercase; letter-spacing: 0.06em; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-bottom: 12px; }
+  .pair { margin-bottom: 12px; break-inside: avoid; font-size: 14px; white-space: normal; word-break: break-word; }
+  .pair.columns { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+  .pair.alternating .target { margin-top: 4px; padding-inline-start: 12px; border-inline-start: 3px solid #c9d6f5; }
+  .source { color: #555; }
+  .target { color: #111; }
+  .role-heading { font-weight: 600; font-size: 16px; }
+  .role-caption { font-style: italic; font-size: 13px; }
+  @media print {
+    body { padding: 0; }
+    .toc a { color: inherit; }
+  }${printRules}
+</style>
+</head>
+<body>
+  <h1>${title}</h1>
+${buildBilingualToc(outline, pageNumbers)}
+${pageSections}
+</body>
+</html>`
+}
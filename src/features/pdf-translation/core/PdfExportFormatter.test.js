@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest'
-import { buildTxtOutput, buildMarkdownOutput, buildHtmlOutput } from './PdfExportFormatter.js'
+import { buildTxtOutput, buildMarkdownOutput, buildHtmlOutput, buildBilingualHtmlOutput } from './PdfExportFormatter.js'
 
 describe('PdfExportFormatter', () => {
   const sampleBlocks = [
@@ -256,4 +256,63 @@ describe('PdfExportFormatter', () => {
       expect(output).toContain('font-family: serif')
     })
   })
+
+  describe('buildBilingualHtmlOutput', () => {
+    const pages = [
+      {
+        pageNumber: 1,
+        blocks: [
+          { blockId: 'b1', role: 'heading', sourceText: 'Introduction', translatedText: 'مقدمه' },
+          { blockId: 'b2', role: 'paragraph', sourceText: 'First line\nsecond <line>', translatedText: 'خط اول' }
+        ]
+      },
+      {
+        pageNumber: 3,
+        blocks: [{ blockId: 'b3', role: 'paragraph', sourceText: 'Closing', translatedText: 'پایان' }]
+      }
+    ]
+    const outline = [
+      { title: 'Introduction', depth: 0, pageNumber: 1 },
+      { title: 'Details', depth: 1, pageNumber: 2 },
+      { title: 'Closing', depth: 0, pageNumber: 3 }
+    ]
+
+    it('returns empty string for empty pages', () => {
+      expect(buildBilingualHtmlOutput({ documentTitle: '', pages: [] })).toBe('')
+    })
+
+    it('pairs each block with its translation in columns', () => {
+      const output = buildBilingualHtmlOutput({ documentTitle: 'Doc', pages, outline })
+
+      expect(output).toContain('<div class="pair columns role-heading"><div class="source" dir="auto">Introduction</div><div class="target" dir="rtl">مقدمه</div></div>')
+      expect(output).toContain('First line<br>second &lt;line&gt;')
+      expect(output).toContain('grid-template-columns: 1fr 1fr')
+    })
+
+    it('stacks source and translation in the alternating layout', () => {
+      const output = buildBilingualHtmlOutput({ documentTitle: 'Doc', pages, layout: 'alternating' })
+
+      expect(output).toContain('class="pair alternating role-paragraph"')
+      expect(output).not.toContain('class="pair columns')
+    })
+
+    it('adds page markers and links the table of contents to exported pages', () => {
+      const output = buildBilingualHtmlOutput({ documentTitle: 'Doc', pages, outline })
+
+      expect(output).toContain('<section class="page" id="page-3">')
+      expect(output).toContain('<h2 class="page-marker">Page 3</h2>')
+      expect(output).toContain('<a href="#page-1">Introduction</a>')
+      expect(output).toContain('<span>Details</span>')
+      expect(output).toContain('padding-inline-start: 16px;')
+    })
+
+    it('omits the table of contents without an outline', () => {
+      expect(buildBilingualHtmlOutput({ documentTitle: 'Doc', pages })).not.toContain('class="toc"')
+    })
+
+    it('starts each page on a new sheet only when printable', () => {
+      expect(buildBilingualHtmlOutput({ documentTitle: 'Doc', pages })).not.toContain('break-before: page')
+      expect(buildBilingualHtmlOutput({ documentTitle: 'Doc', pages, printable: true })).toContain('.page + .page { break-before: page; }')
+    })
+  })
 })
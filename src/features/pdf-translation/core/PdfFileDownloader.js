@@ -12,6 +12,45 @@ export function downloadFile(content, filename, mimeType = 'text/plain') {
   URL.revokeObjectURL(url)
 }
 
+// Not every browser fires afterprint inside a frame, so the frame is removed after this delay at the latest
+const PRINT_FRAME_CLEANUP_DELAY_MS = 60000
+
+/**
+ * Prints an HTML document through a hidden frame, so the browser's print
+ * dialog (and "Save as PDF") works without opening a new tab.
+ * Resolves once the print dialog has been opened.
+ */
+export function printHtmlDocument(html) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe')
+    frame.setAttribute('aria-hidden', 'true')
+    frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;'
+
+    let cleanupTimer = null
+    const cleanup = () => {
+      clearTimeout(cleanupTimer)
+      frame.remove()
+    }
+
+    frame.addEventListener('load', () => {
+      const view = frame.contentWindow
+      if (!view) {
+        cleanup()
+        reject(new Error('The print view could not be opened.'))
+        return
+      }
+      view.addEventListener('afterprint', cleanup, { once: true })
+      view.focus()
+      view.print()
+      cleanupTimer = setTimeout(cleanup, PRINT_FRAME_CLEANUP_DELAY_MS)
+      resolve()
+    }, { once: true })
+
+    frame.srcdoc = html
+    document.body.appendChild(frame)
+  })
+}
+
 export function sanitizeFilename(name) {
   return name
     .replace(/[<>:"/\\|?*]/g, '_')
@@ -20,7 +59,7 @@ export function sanitizeFilename(name) {
     .replace(/^_|_$/g, '')
 }
 
-export function buildExportFilename(documentTitle, extension) {
+export function buildExportFilename(documentTitle, extension, suffix = 'translated') {
   const sanitized = sanitizeFilename(documentTitle || 'document')
-  return `${sanitized}_translated.${extension}`
+  return `${sanitized}_${suffix}.${extension}`
 }
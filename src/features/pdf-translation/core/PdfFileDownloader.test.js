@@ -1,5 +1,5 @@
-import { describe, expect, it } from 'vitest'
-import { sanitizeFilename, buildExportFilename } from './PdfFileDownloader.js'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { sanitizeFilename, buildExportFilename, printHtmlDocument } from './PdfFileDownloader.js'
 
 describe('PdfFileDownloader', () => {
   describe('sanitizeFilename', () => {
@@ -37,6 +37,10 @@ describe('PdfFileDownloader', () => {
       expect(buildExportFilename('Report: Q1/2024', 'md')).toBe('Report_Q1_2024_translated.md')
     })
 
+    it('uses a custom suffix', () => {
+      expect(buildExportFilename('My Document', 'html', 'bilingual')).toBe('My_Document_bilingual.html')
+    })
+
     it('uses default title when empty', () => {
       expect(buildExportFilename('', 'txt')).toBe('document_translated.txt')
     })
@@ -45,4 +49,36 @@ describe('PdfFileDownloader', () => {
       expect(buildExportFilename(undefined, 'txt')).toBe('document_translated.txt')
     })
   })
+
+  describe('printHtmlDocument', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    const openPrintFrame = async () => {
+      const printing = printHtmlDocument('<p>Hello</p>')
+      const frame = document.querySelector('iframe')
+      frame.contentWindow.print = vi.fn()
+      frame.dispatchEvent(new Event('load'))
+      await printing
+      return frame
+    }
+
+    it('removes the frame after printing', async () => {
+      const frame = await openPrintFrame()
+
+      expect(frame.contentWindow.print).toHaveBeenCalled()
+      frame.contentWindow.dispatchEvent(new Event('afterprint'))
+      expect(frame.isConnected).toBe(false)
+    })
+
+    it('removes the frame when afterprint never fires', async () => {
+      vi.useFakeTimers()
+      const frame = await openPrintFrame()
+
+      expect(frame.isConnected).toBe(true)
+      vi.advanceTimersByTime(60000)
+      expect(frame.isConnected).toBe(false)
+    })
+  })
 })
@@ -0,0 +1,425 @@
+/**
+ * PdfFileReader — random access to the objects of an existing PDF file.
+ *
+ * Reads classic cross-reference tables and cross-reference streams (following
+ * /Prev and /XRefStm), resolves objects stored in object streams, and walks the
+ * page tree with inherited attributes. When the cross-reference data is damaged
+ * the object offsets are rebuilt by scanning the file, as viewers do.
+ */
+
+import { PdfParser, PdfRef, PdfStream, PdfDict, isName, latin1String } from './PdfSyntax.js'
+
+const INHERITABLE_PAGE_KEYS = ['Resources', 'MediaBox', 'CropBox', 'Rotate']
+const STARTXREF_SEARCH_WINDOW = 2048
+
+async function inflate(data) {
+  const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft
+  const dLeft = Math.abs(estimate - left)
+  const dUp = Math.abs(estimate - up)
+  const dUpLeft = Math.abs(estimate - upLeft)
+  if (dLeft <= dUp && dLeft <= dUpLeft) return left
+  return dUp <= dUpLeft ? up : upLeft
+}
+
+/**
+ * Reverses the PNG predictors used by cross-reference and object streams.
+ */
+export function applyPngPredictor(data, columns, colors = 1, bitsPerComponent = 8) {
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8))
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8)
+  const rows = Math.floor(data.length / (rowLength + 1))
+  const output = new Uint8Array(rows * rowLength)
+  let previous = new Uint8Array(rowLength)
+
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * (rowLength + 1)]
+    const source = data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1))
+    const current = output.subarray(row * rowLength, (row + 1) * rowLength)
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0
+      const up = previous[i]
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0
+      let value = source[i]
+      if (filter === 1) value += left
+      else if (filter === 2) value += up
+      else if (filter === 3) value += Math.floor((left + up) / 2)
+      else if (filter === 4) value += paeth(left, up, upLeft)
+      current[i] = value & 0xff
+    }
+    previous = current
+  }
+
+  return output
+}
+
+function readBigEndian(bytes, offset, width) {
+  let value = 0
+  for (let i = 0; i < width; i++) {
+    value = value * 256 + bytes[offset + i]
+  }
+  return value
+}
+
+export class PdfFileReader {
+  constructor(bytes) {
+    this.bytes = bytes
+    this.entries = new Map()
+    this.trailer = null
+    this.xrefType = 'table'
+    this.startXref = 0
+    this.rebuilt = false
+    this._objectCache = new Map()
+    this._objectStreamCache = new Map()
+  }
+
+  /**
+   * @param {Uint8Array|ArrayBuffer} data
+   * @returns {Promise<PdfFileReader>}
+   */
+  static async open(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+    const reader = new PdfFileReader(bytes)
+
+    if (latin1String(bytes, 0, Math.min(bytes.length, 1024)).indexOf('%PDF-') < 0) {
+      throw new Error('The file is not a PDF document.')
+    }
+
+    try {
+      await reader._readCrossReferences()
+    } catch {
+      reader._rebuildCrossReferences()
+    }
+
+    if (!(reader.trailer?.get('Root') instanceof PdfRef)) {
+      throw new Error('Malformed PDF: document catalog not found.')
+    }
+
+    return reader
+  }
+
+  get isEncrypted() {
+    return this.trailer?.has('Encrypt') === true
+  }
+
+  /** Next free object number for appended objects. */
+  get size() {
+    const declared = Number(this.trailer?.get('Size')) || 0
+    let highest = 0
+    for (const num of this.entries.keys()) {
+      if (num > highest) highest = num
+    }
+    return Math.max(declared, highest + 1)
+  }
+
+  async resolve(value) {
+    return value instanceof PdfRef ? this.getObject(value.num) : value
+  }
+
+  async getObject(num) {
+    if (this._objectCache.has(num)) return this._objectCache.get(num)
+
+    const entry = this.entries.get(num)
+    let value = null
+
+    if (entry?.type === 1) {
+      try {
+        value = this._parseObjectAt(entry.offset, num)
+      } catch (error) {
+        // A stale offset means the cross-reference data cannot be trusted
+        if (this.rebuilt) throw error
+        this._rebuildCrossReferences()
+        return this.getObject(num)
+      }
+    } else if (entry?.type === 2) {
+      const objects = await this._loadObjectStream(entry.streamNum)
+      value = objects.get(num) ?? null
+    }
+
+    this._objectCache.set(num, value)
+    return value
+  }
+
+  /**
+   * Decodes a stream's data. Only the filters used for structural streams
+   * (cross-reference and object streams) are supported.
+   */
+  async decodeStream(stream) {
+    const filter = await this.resolve(stream.dict.get('Filter'))
+    const filters = (Array.isArray(filter) ? filter : [filter]).filter(Boolean)
+    let params = await this.resolve(stream.dict.get('DecodeParms'))
+    if (Array.isArray(params)) params = params[0]
+
+    let data = stream.data
+    for (const name of filters) {
+      if (!isName(name, 'FlateDecode')) {
+        throw new Error(`Unsupported PDF stream filter: ${name?.name || name}`)
+      }
+      data = await inflate(data)
+    }
+
+    const predictor = params instanceof PdfDict ? Number(params.get('Predictor')) || 1 : 1
+    if (predictor >= 10) {
+      data = applyPngPredictor(
+        data,
+        Number(params.get('Columns')) || 1,
+        Number(params.get('Colors')) || 1,
+        Number(params.get('BitsPerComponent')) || 8
+      )
+    } else if (predictor !== 1) {
+      throw new Error(`Unsupported PDF predictor: ${predictor}`)
+    }
+
+    return data
+  }
+
+  /**
+   * Lists pages in document order with their inherited attributes applied.
+   * @returns {Promise<Array<{ ref: PdfRef, dict: PdfDict, inherited: Object }>>}
+   */
+  async getPages() {
+    const catalog = await this.resolve(this.trailer.get('Root'))
+    const rootRef = catalog?.get?.('Pages')
+    const pages = []
+    const visited = new Set()
+
+    const walk = async (ref, inherited) => {
+      if (!(ref instanceof PdfRef) || visited.has(ref.num)) return
+      visited.add(ref.num)
+
+      const node = await this.resolve(ref)
+      if (!(node instanceof PdfDict)) return
+
+      const attributes = { ...inherited }
+      for (const key of INHERITABLE_PAGE_KEYS) {
+        if (node.has(key)) attributes[key] = node.get(key)
+      }
+
+      const kids = await this.resolve(node.get('Kids'))
+      if (isName(node.get('Type'), 'Pages') || Array.isArray(kids)) {
+        for (const kid of kids || []) {
+          await walk(kid, attributes)
+        }
+      } else {
+        pages.push({ ref, dict: node, inherited: attributes })
+      }
+    }
+
+    await walk(rootRef, {})
+    return pages
+  }
+
+  /** @private */
+  _createParser(position) {
+    return new PdfParser(this.bytes, position, {
+      resolveLength: (ref) => {
+        const entry = this.entries.get(ref.num)
+        if (entry?.type !== 1) return null
+        try {
+          const value = this._parseObjectAt(entry.offset, ref.num)
+          return Number.isInteger(value) ? value : null
+        } catch {
+          return null
+        }
+      }
+    })
+  }
+
+  /** @private */
+  _parseObjectAt(offset, expectedNum = null) {
+    const { num, value } = this._createParser(offset).parseIndirectObject()
+    if (expectedNum !== null && num !== expectedNum) {
+      throw new Error(`Malformed PDF: object ${expectedNum} not found at offset ${offset}`)
+    }
+    return value
+  }
+
+  /** @private */
+  async _loadObjectStream(streamNum) {
+    if (this._objectStreamCache.has(streamNum)) return this._objectStreamCache.get(streamNum)
+
+    const stream = await this.getObject(streamNum)
+    const objects = new Map()
+
+    if (stream instanceof PdfStream) {
+      const data = await this.decodeStream(stream)
+      const count = Number(stream.dict.get('N')) || 0
+      const first = Number(stream.dict.get('First')) || 0
+      const header = new PdfParser(data, 0)
+      const offsets = []
+      for (let i = 0; i < count; i++) {
+        offsets.push([header.readInteger(), header.readInteger()])
+      }
+      for (const [num, offset] of offsets) {
+        objects.set(num, new PdfParser(data, first + offset).parseValue())
+      }
+    }
+
+    this._objectStreamCache.set(streamNum, objects)
+    return objects
+  }
+
+  /** @private */
+  async _readCrossReferences() {
+    const tailStart = Math.max(0, this.bytes.length - STARTXREF_SEARCH_WINDOW)
+    const tail = latin1String(this.bytes, tailStart)
+    const markerIndex = tail.lastIndexOf('startxref')
+    if (markerIndex < 0) throw new Error('startxref not found')
+
+    const parser = new PdfParser(this.bytes, tailStart + markerIndex + 'startxref'.length)
+    this.startXref = parser.readInteger()
+
+    const visited = new Set()
+    let offset = this.startXref
+    let isNewest = true
+
+    while (Number.isInteger(offset) && !visited.has(offset)) {
+      visited.add(offset)
+      const section = await this._readSection(offset)
+      if (isNewest) {
+        this.trailer = section.trailer
+        this.xrefType = section.type
+        isNewest = false
+      }
+
+      // Hybrid files keep their compressed entries in a side stream
+      const sideStream = section.trailer.get('XRefStm')
+      if (section.type === 'table' && Number.isInteger(sideStream) && !visited.has(sideStream)) {
+        visited.add(sideStream)
+        await this._readSection(sideStream)
+      }
+
+      offset = section.trailer.get('Prev')
+    }
+  }
+
+  /** @private */
+  async _readSection(offset) {
+    const parser = this._createParser(offset)
+    if (parser.peekKeyword() === 'xref') {
+      parser.readKeyword()
+      return { type: 'table', trailer: this._readXrefTable(parser) }
+    }
+
+    const { value } = parser.parseIndirectObject()
+    if (!(value instanceof PdfStream) || !isName(value.dict.get('Type'), 'XRef')) {
+      throw new Error(`Malformed PDF: no cross-reference data at offset ${offset}`)
+    }
+
+    await this._readXrefStream(value)
+    return { type: 'stream', trailer: value.dict }
+  }
+
+  /** @private */
+  _readXrefTable(parser) {
+    while (parser.peekKeyword() !== 'trailer') {
+      const start = parser.readInteger()
+      const count = parser.readInteger()
+      for (let i = 0; i < count; i++) {
+        const field = parser.readInteger()
+        const gen = parser.readInteger()
+        const kind = parser.readKeyword()
+        this._addEntry(start + i, kind === 'n' ? { type: 1, offset: field, gen } : { type: 0 })
+      }
+    }
+    parser.readKeyword()
+    return parser.parseValue()
+  }
+
+  /** @private */
+  async _readXrefStream(stream) {
+    const data = await this.decodeStream(stream)
+    const widths = stream.dict.get('W')
+    const size = Number(stream.dict.get('Size')) || 0
+    const index = stream.dict.get('Index') || [0, size]
+    const entryWidth = widths.reduce((sum, width) => sum + width, 0)
+    let position = 0
+
+    for (let i = 0; i < index.length; i += 2) {
+      for (let n = 0; n < index[i + 1]; n++) {
+        if (position + entryWidth > data.length) return
+        const type = widths[0] ? readBigEndian(data, position, widths[0]) : 1
+        const field2 = readBigEndian(data, position + widths[0], widths[1])
+        const field3 = readBigEndian(data, position + widths[0] + widths[1], widths[2])
+        position += entryWidth
+
+        const num = index[i] + n
+        if (type === 1) this._addEntry(num, { type: 1, offset: field2, gen: field3 })
+        else if (type === 2) this._addEntry(num, { type: 2, streamNum: field2, index: field3 })
+        else this._addEntry(num, { type: 0 })
+      }
+    }
+  }
+
+  /** @private Newer sections are read first, so the first entry wins. */
+  _addEntry(num, entry) {
+    if (!this.entries.has(num)) this.entries.set(num, entry)
+  }
+
+  /** @private */
+  _rebuildCrossReferences() {
+    const previousTrailer = this.trailer
+    this.entries = new Map()
+    this._objectCache.clear()
+    this._objectStreamCache.clear()
+    this.xrefType = 'table'
+    this.trailer = null
+
+    const text = latin1String(this.bytes)
+    const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g
+    let match
+    while ((match = objectPattern.exec(text)) !== null) {
+      const num = Number(match[1])
+      const precededByDigit = match.index > 0 && /\d/.test(text[match.index - 1])
+      if (!precededByDigit) {
+        // Later definitions replace earlier ones, as in an incremental update
+        this.entries.set(num, { type: 1, offset: match.index, gen: Number(match[2]) })
+      }
+    }
+
+    const trailerIndex = text.lastIndexOf('trailer')
+    if (trailerIndex >= 0) {
+      const parser = this._createParser(trailerIndex + 'trailer'.length)
+      try {
+        this.trailer = parser.parseValue()
+      } catch {
+        this.trailer = null
+      }
+    }
+
+    if (!(this.trailer?.get?.('Root') instanceof PdfRef) && previousTrailer?.get('Root') instanceof PdfRef) {
+      this.trailer = previousTrailer
+    }
+
+    if (!(this.trailer?.get?.('Root') instanceof PdfRef)) {
+      const catalogNum = this._findCatalog()
+      if (catalogNum !== null) {
+        this.trailer = new PdfDict([['Root', new PdfRef(catalogNum, this.entries.get(catalogNum).gen)]])
+      }
+    }
+
+    // Offsets of the damaged sections cannot be chained to
+    this.startXref = null
+    this.rebuilt = true
+  }
+
+  /** @private */
+  _findCatalog() {
+    for (const [num, entry] of this.entries) {
+      if (latin1String(this.bytes, entry.offset, Math.min(this.bytes.length, entry.offset + 512)).includes('/Catalog')) {
+        try {
+          const value = this._parseObjectAt(entry.offset, num)
+          if (isName(value?.get?.('Type'), 'Catalog')) return num
+        } catch {
+          // Keep looking
+        }
+      }
+    }
+    return null
+  }
+}
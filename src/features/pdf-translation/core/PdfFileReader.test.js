@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest'
+import { PdfFileReader, applyPngPredictor } from './PdfFileReader.js'
+import { PdfIncrementalWriter } from './PdfIncrementalWriter.js'
+import { PdfDict, PdfName, PdfRef, PdfStream, latin1Bytes, latin1String } from './PdfSyntax.js'
+
+const CONTENT = 'BT /F1 12 Tf 10 50 Td (Hello) Tj ET'
+
+const BASE_OBJECTS = [
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  '<< /Type /Pages /Kids [3 0 R] /Count 1 /MediaBox [0 0 200 100] /Resources << /Font << /F1 5 0 R >> >> >>',
+  '<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>',
+  `<< /Length ${CONTENT.length} >>\nstream\n${CONTENT}\nendstream`,
+  '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+]
+
+function writeObjects(objects) {
+  let text = '%PDF-1.7\n'
+  const offsets = []
+  objects.forEach((body, index) => {
+    offsets.push(text.length)
+    text += `${index + 1} 0 obj\n${body}\nendobj\n`
+  })
+  return { text, offsets }
+}
+
+function buildTablePdf(objects = BASE_OBJECTS) {
+  const { text, offsets } = writeObjects(objects)
+  const rows = offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n\r\n`).join('')
+  const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f\r\n${rows}`
+  return latin1Bytes(`${text}${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${text.length}\n%%EOF\n`)
+}
+
+function buildXrefStreamPdf(objects = BASE_OBJECTS) {
+  const { text, offsets } = writeObjects(objects)
+  const xrefNum = objects.length + 1
+  const entries = [[0, 0, 0xff], ...offsets.map((offset) => [1, offset, 0]), [1, text.length, 0]]
+  const data = entries.map(([type, field, gen]) => String.fromCharCode(type, (field >> 8) & 0xff, field & 0xff, gen)).join('')
+  const xref = `${xrefNum} 0 obj\n<< /Type /XRef /Size ${xrefNum + 1} /W [1 2 1] /Root 1 0 R /Length ${data.length} >>\nstream\n${data}\nendstream\nendobj\n`
+  return latin1Bytes(`${text}${xref}startxref\n${text.length}\n%%EOF\n`)
+}
+
+describe('PdfFileReader', () => {
+  it('reads a classic cross-reference table and inherited page attributes', async () => {
+    const reader = await PdfFileReader.open(buildTablePdf())
+    const pages = await reader.getPages()
+
+    expect(reader.xrefType).toBe('table')
+    expect(reader.isEncrypted).toBe(false)
+    expect(pages).toHaveLength(1)
+    expect(pages[0].ref.num).toBe(3)
+    expect(pages[0].inherited.MediaBox).toEqual([0, 0, 200, 100])
+    expect(pages[0].inherited.Resources.get('Font').get('F1')).toBeInstanceOf(PdfRef)
+
+    const content = await reader.getObject(4)
+    expect(content).toBeInstanceOf(PdfStream)
+    expect(latin1String(content.data)).toBe(CONTENT)
+  })
+
+  it('reads cross-reference streams', async () => {
+    const reader = await PdfFileReader.open(buildXrefStreamPdf())
+
+    expect(reader.xrefType).toBe('stream')
+    expect((await reader.getObject(5)).get('BaseFont').name).toBe('Helvetica')
+  })
+
+  it('resolves objects stored in object streams', async () => {
+    const members = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>'
+    const header = '7 0 '
+    const objects = [
+      ...BASE_OBJECTS,
+      `<< /Type /ObjStm /N 1 /First ${header.length} /Length ${header.length + members.length} >>\nstream\n${header}${members}\nendstream`
+    ]
+    const { text, offsets } = writeObjects(objects)
+    const entries = [[0, 0, 0xff], ...offsets.map((offset) => [1, offset, 0]), [2, 6, 0], [1, text.length, 0]]
+    const data = entries.map(([type, field, index]) => String.fromCharCode(type, (field >> 8) & 0xff, field & 0xff, index)).join('')
+    const xref = `8 0 obj\n<< /Type /XRef /Size 9 /W [1 2 1] /Root 1 0 R /Length ${data.length} >>\nstream\n${data}\nendstream\nendobj\n`
+    const reader = await PdfFileReader.open(latin1Bytes(`${text}${xref}startxref\n${text.length}\n%%EOF\n`))
+
+    expect((await reader.getObject(7)).get('BaseFont').name).toBe('Courier')
+  })
+
+  it('rebuilds damaged cross-reference data by scanning the file', async () => {
+    const bytes = buildTablePdf()
+    const text = latin1String(bytes).replace(/startxref\n\d+/, 'startxref\n999999')
+    const reader = await PdfFileReader.open(latin1Bytes(text))
+
+    expect(reader.rebuilt).toBe(true)
+    expect(await reader.getPages()).toHaveLength(1)
+  })
+
+  it('rejects files that are not PDFs', async () => {
+    await expect(PdfFileReader.open(latin1Bytes('hello world'))).rejects.toThrow('not a PDF')
+  })
+
+  it('reverses PNG Up predictors', () => {
+    const data = new Uint8Array([2, 1, 2, 2, 1, 1])
+    expect([...applyPngPredictor(data, 2)]).toEqual([1, 2, 2, 3])
+  })
+})
+
+describe('PdfIncrementalWriter', () => {
+  async function appendFont(bytes) {
+    const reader = await PdfFileReader.open(bytes)
+    const writer = new PdfIncrementalWriter(reader)
+    const fontRef = writer.add(new PdfDict().set('Type', new PdfName('Font')).set('BaseFont', new PdfName('Courier')))
+    const [page] = await reader.getPages()
+    writer.set(page.ref, page.dict.clone().set('Extra', fontRef))
+    await writer.addStream(new PdfDict(), 'q Q')
+    return { original: bytes, updated: writer.toBytes(), fontRef }
+  }
+
+  it.each([
+    ['table', buildTablePdf],
+    ['stream', buildXrefStreamPdf]
+  ])('appends an update readable through a %s cross-reference', async (xrefType, build) => {
+    const { original, updated, fontRef } = await appendFont(build())
+
+    expect(updated.subarray(0, original.length)).toEqual(original)
+
+    const reader = await PdfFileReader.open(updated)
+    expect(reader.xrefType).toBe(xrefType)
+    expect(reader.rebuilt).toBe(false)
+
+    const [page] = await reader.getPages()
+    expect(page.dict.get('Extra').num).toBe(fontRef.num)
+    expect((await reader.getObject(fontRef.num)).get('BaseFont').name).toBe('Courier')
+    expect((await reader.getObject(5)).get('BaseFont').name).toBe('Helvetica')
+  })
+
+  it('compresses added streams', async () => {
+    const reader = await PdfFileReader.open(buildTablePdf())
+    const writer = new PdfIncrementalWriter(reader)
+    const ref = await writer.addStream(new PdfDict(), 'BT ET')
+
+    const updated = await PdfFileReader.open(writer.toBytes())
+    const stream = await updated.getObject(ref.num)
+    expect(stream.dict.get('Filter').name).toBe('FlateDecode')
+    expect(latin1String(await updated.decodeStream(stream))).toBe('BT ET')
+  })
+})
@@ -0,0 +1,246 @@
+/**
+ * PdfFontEmbedder — maps shaped text onto an ordered list of fonts and writes
+ * the fonts that were used as composite (Type0, Identity-H) PDF fonts.
+ *
+ * Each character goes to the first font that has a glyph for it, so a Latin
+ * base font can be combined with Arabic or CJK fonts in one line. Glyphs are
+ * recorded as they are laid out; only those glyphs are embedded, and a
+ * ToUnicode map keeps the exported text searchable and copyable.
+ */
+
+import { PdfDict, PdfName, PdfString } from './PdfSyntax.js'
+
+const FORMAT_CONTROL_PATTERN = /[\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/
+const WHITESPACE_PATTERN = /^\s$/
+const SYMBOLIC_FLAG = 4
+const DEFAULT_STEM_V = 80
+
+function toHex(value, digits = 4) {
+  return value.toString(16).toUpperCase().padStart(digits, '0')
+}
+
+function utf16Hex(text) {
+  let hex = ''
+  for (let i = 0; i < text.length; i++) hex += toHex(text.charCodeAt(i))
+  return hex
+}
+
+function sanitizeFontName(name) {
+  return String(name || 'Font').replace(/[^A-Za-z0-9_-]/g, '') || 'Font'
+}
+
+/** Six uppercase letters derived from the glyph set, as subset names require. */
+function subsetTag(glyphIds, index) {
+  let hash = 2166136261 ^ index
+  for (const glyphId of glyphIds) {
+    hash = Math.imul(hash ^ glyphId, 16777619) >>> 0
+  }
+  let tag = ''
+  for (let i = 0; i < 6; i++) {
+    tag += String.fromCharCode(65 + (hash % 26))
+    hash = Math.floor(hash / 26) + (i + 1) * 7919
+  }
+  return tag
+}
+
+function buildWidths(glyphs) {
+  const widths = []
+  let run = null
+  for (const [glyphId, width] of [...glyphs.entries()].sort((a, b) => a[0] - b[0])) {
+    if (run && run.end + 1 === glyphId) {
+      run.widths.push(width)
+      run.end = glyphId
+    } else {
+      run = { start: glyphId, end: glyphId, widths: [width] }
+      widths.push(run)
+    }
+  }
+  return widths.flatMap((entry) => [entry.start, entry.widths])
+}
+
+function buildToUnicodeCMap(sources) {
+  const entries = [...sources.entries()].filter(([, text]) => text).sort((a, b) => a[0] - b[0])
+  const chunks = []
+  for (let i = 0; i < entries.length; i += 100) {
+    const chunk = entries.slice(i, i + 100)
+    chunks.push(`${chunk.length} beginbfchar\n${chunk.map(([glyphId, text]) => `<${toHex(glyphId)}> <${utf16Hex(text)}>`).join('\n')}\nendbfchar`)
+  }
+
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...chunks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n')
+}
+
+export class PdfFontEmbedder {
+  /**
+   * @param {import('./PdfSfntFont.js').PdfSfntFont[]} fonts - in fallback order
+   */
+  constructor(fonts) {
+    if (!fonts.length) throw new Error('At least one font is required for PDF export.')
+
+    this.slots = fonts.map((font, index) => ({
+      font,
+      resourceName: `TF${index + 1}`,
+      widths: new Map(),
+      sources: new Map()
+    }))
+  }
+
+  /**
+   * Code points that none of the fonts can draw.
+   * @param {string} text
+   * @returns {number[]}
+   */
+  findMissingCodePoints(text) {
+    const missing = new Set()
+    for (const char of text) {
+      if (WHITESPACE_PATTERN.test(char) || FORMAT_CONTROL_PATTERN.test(char)) continue
+      const codePoint = char.codePointAt(0)
+      if (!this.slots.some((slot) => slot.font.hasCodePoint(codePoint))) missing.add(codePoint)
+    }
+    return [...missing]
+  }
+
+  /**
+   * Assigns glyphs to shaped units and groups them into runs per font.
+   * Presentation forms that no font has fall back to the unshaped letters.
+   * @param {Array<{ codePoint: number, fallback?: number[], source: string }>} units - visual order
+   * @param {Object} [options]
+   * @param {boolean} [options.record=true] - false only measures, without marking glyphs for embedding
+   * @returns {Array<{ resourceName: string, glyphIds: number[], width: number }>} widths in 1/1000 em
+   */
+  layout(units, { record = true } = {}) {
+    const runs = []
+
+    const push = (slot, glyphId, source) => {
+      const width = slot.font.advanceWidth(glyphId)
+      if (record) {
+        slot.widths.set(glyphId, width)
+        if (!slot.sources.has(glyphId)) slot.sources.set(glyphId, source)
+      }
+      const last = runs[runs.length - 1]
+      if (last?.resourceName === slot.resourceName) {
+        last.glyphIds.push(glyphId)
+        last.width += width
+      } else {
+        runs.push({ resourceName: slot.resourceName, glyphIds: [glyphId], width })
+      }
+    }
+
+    for (const unit of units) {
+      if (FORMAT_CONTROL_PATTERN.test(unit.source)) continue
+      // Tabs and other spaces are drawn with the font's regular space
+      const codePoint = WHITESPACE_PATTERN.test(unit.source) ? 0x20 : unit.codePoint
+
+      const slot = this.slots.find((candidate) => candidate.font.hasCodePoint(codePoint))
+      if (slot) {
+        push(slot, slot.font.glyphForCodePoint(codePoint), unit.source)
+        continue
+      }
+
+      const fallback = unit.fallback || []
+      const fallbackSlot = fallback.length
+        ? this.slots.find((candidate) => fallback.every((code) => candidate.font.hasCodePoint(code)))
+        : null
+      if (fallbackSlot) {
+        const sources = Array.from(unit.source)
+        fallback.forEach((code, index) => {
+          push(fallbackSlot, fallbackSlot.font.glyphForCodePoint(code), sources[index] ?? String.fromCodePoint(code))
+        })
+        continue
+      }
+
+      push(this.slots[0], 0, unit.source)
+    }
+
+    return runs
+  }
+
+  /** Width of shaped units at the given font size, in text space units. */
+  measure(units, fontSize) {
+    const total = this.layout(units, { record: false }).reduce((sum, run) => sum + run.width, 0)
+    return (total * fontSize) / 1000
+  }
+
+  /**
+   * Writes every font that received glyphs.
+   * @param {import('./PdfIncrementalWriter.js').PdfIncrementalWriter} writer
+   * @returns {Promise<PdfDict>} a /Font resource dictionary
+   */
+  async writeFonts(writer) {
+    const resources = new PdfDict()
+
+    for (const [index, slot] of this.slots.entries()) {
+      if (!slot.widths.size) continue
+      resources.set(slot.resourceName, await this._writeFont(writer, slot, index))
+    }
+
+    return resources
+  }
+
+  /** @private */
+  async _writeFont(writer, slot, index) {
+    const { font } = slot
+    const glyphIds = [...slot.widths.keys()]
+    const baseFont = new PdfName(`${subsetTag(glyphIds, index)}+${sanitizeFontName(font.postscriptName)}`)
+
+    const program = font.isTrueType ? font.subset(glyphIds) : font.toStandalone()
+    const programDict = new PdfDict()
+    if (font.isTrueType) {
+      programDict.set('Length1', program.length)
+    } else {
+      programDict.set('Subtype', new PdfName('OpenType'))
+    }
+    const programRef = await writer.addStream(programDict, program)
+
+    const descriptor = new PdfDict()
+      .set('Type', new PdfName('FontDescriptor'))
+      .set('FontName', baseFont)
+      .set('Flags', SYMBOLIC_FLAG | (font.isFixedPitch ? 1 : 0))
+      .set('FontBBox', font.bbox.map((value) => font.scale(value)))
+      .set('ItalicAngle', font.italicAngle)
+      .set('Ascent', font.scale(font.ascent))
+      .set('Descent', font.scale(font.descent))
+      .set('CapHeight', font.scale(font.capHeight))
+      .set('StemV', DEFAULT_STEM_V)
+      .set(font.isTrueType ? 'FontFile2' : 'FontFile3', programRef)
+    const descriptorRef = writer.add(descriptor)
+
+    const cidFont = new PdfDict()
+      .set('Type', new PdfName('Font'))
+      .set('Subtype', new PdfName(font.isTrueType ? 'CIDFontType2' : 'CIDFontType0'))
+      .set('BaseFont', baseFont)
+      .set('CIDSystemInfo', new PdfDict()
+        .set('Registry', PdfString.literal('Adobe'))
+        .set('Ordering', PdfString.literal('Identity'))
+        .set('Supplement', 0))
+      .set('FontDescriptor', descriptorRef)
+      .set('DW', 1000)
+      .set('W', buildWidths(slot.widths))
+    if (font.isTrueType) cidFont.set('CIDToGIDMap', new PdfName('Identity'))
+    const cidFontRef = writer.add(cidFont)
+
+    const toUnicodeRef = await writer.addStream(new PdfDict(), buildToUnicodeCMap(slot.sources))
+
+    return writer.add(new PdfDict()
+      .set('Type', new PdfName('Font'))
+      .set('Subtype', new PdfName('Type0'))
+      .set('BaseFont', baseFont)
+      .set('Encoding', new PdfName('Identity-H'))
+      .set('DescendantFonts', [cidFontRef])
+      .set('ToUnicode', toUnicodeRef))
+  }
+}
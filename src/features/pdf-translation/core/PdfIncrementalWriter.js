@@ -0,0 +1,202 @@
+/**
+ * PdfIncrementalWriter — appends new and replaced objects to an existing PDF.
+ *
+ * The original bytes are kept untouched and followed by an incremental update
+ * section, so everything the export does not rewrite (images, vector art,
+ * annotations, outlines) survives exactly as it was. The update uses the same
+ * cross-reference flavour as the newest section of the original file.
+ */
+
+import { PdfDict, PdfName, PdfRef, PdfStream, serializePdfValue, latin1Bytes } from './PdfSyntax.js'
+
+const TRAILER_KEYS = ['Root', 'Info', 'ID']
+
+export async function deflate(data) {
+  const stream = new Response(data).body.pipeThrough(new CompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+function concatBytes(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+  const output = new Uint8Array(total)
+  let offset = 0
+  for (const chunk of chunks) {
+    output.set(chunk, offset)
+    offset += chunk.length
+  }
+  return output
+}
+
+function groupConsecutive(numbers) {
+  const groups = []
+  for (const num of numbers) {
+    const last = groups[groups.length - 1]
+    if (last && last.start + last.nums.length === num) last.nums.push(num)
+    else groups.push({ start: num, nums: [num] })
+  }
+  return groups
+}
+
+export class PdfIncrementalWriter {
+  /**
+   * @param {import('./PdfFileReader.js').PdfFileReader} reader
+   */
+  constructor(reader) {
+    this.reader = reader
+    this.nextNum = reader.size
+    this.objects = new Map()
+  }
+
+  allocate() {
+    return new PdfRef(this.nextNum++, 0)
+  }
+
+  /**
+   * Registers an object for the update. Reusing an existing reference replaces
+   * the original object for every reader of the new file.
+   */
+  set(ref, value) {
+    this.objects.set(ref.num, { ref, value })
+    return ref
+  }
+
+  add(value) {
+    return this.set(this.allocate(), value)
+  }
+
+  /**
+   * Adds a Flate-compressed stream.
+   * @param {PdfDict} dict
+   * @param {Uint8Array|string} data
+   */
+  async addStream(dict, data) {
+    const bytes = typeof data === 'string' ? latin1Bytes(data) : data
+    const compressed = await deflate(bytes)
+    dict.set('Filter', new PdfName('FlateDecode'))
+    return this.add(new PdfStream(dict, compressed))
+  }
+
+  /**
+   * @returns {Uint8Array} the original file followed by the update section
+   */
+  toBytes() {
+    const original = this.reader.bytes
+    const chunks = [original]
+    let offset = original.length
+
+    const push = (chunk) => {
+      const bytes = typeof chunk === 'string' ? latin1Bytes(chunk) : chunk
+      chunks.push(bytes)
+      offset += bytes.length
+    }
+
+    // The update must start on a fresh line after the original %%EOF
+    if (original[original.length - 1] !== 0x0a) push('\n')
+
+    const offsets = new Map()
+    const nums = [...this.objects.keys()].sort((a, b) => a - b)
+
+    for (const num of nums) {
+      const { ref, value } = this.objects.get(num)
+      offsets.set(num, { offset, gen: ref.gen })
+      push(`${num} ${ref.gen} obj\n`)
+      if (value instanceof PdfStream) {
+        const dict = value.dict.clone().set('Length', value.data.length)
+        push(`${serializePdfValue(dict)}\nstream\n`)
+        push(value.data)
+        push('\nendstream')
+      } else {
+        push(serializePdfValue(value))
+      }
+      push('\nendobj\n')
+    }
+
+    const trailer = this._buildTrailer()
+
+    if (this.reader.xrefType === 'stream' && !this.reader.rebuilt) {
+      this._writeXrefStream(push, () => offset, offsets, trailer)
+    } else {
+      this._writeXrefTable(push, () => offset, offsets, trailer)
+    }
+
+    return concatBytes(chunks)
+  }
+
+  /** @private */
+  _buildTrailer() {
+    const trailer = new PdfDict()
+    for (const key of TRAILER_KEYS) {
+      const value = this.reader.trailer.get(key)
+      if (value !== undefined) trailer.set(key, value)
+    }
+    if (!this.reader.rebuilt && Number.isInteger(this.reader.startXref)) {
+      trailer.set('Prev', this.reader.startXref)
+    }
+    return trailer
+  }
+
+  /** @private */
+  _writeXrefTable(push, currentOffset, offsets, trailer) {
+    const entries = new Map(offsets)
+
+    // Without a trustworthy previous section, the table has to describe every object
+    if (this.reader.rebuilt) {
+      for (const [num, entry] of this.reader.entries) {
+        if (entry.type === 1 && !entries.has(num)) entries.set(num, { offset: entry.offset, gen: entry.gen })
+      }
+      entries.set(0, { free: true })
+    }
+
+    const xrefOffset = currentOffset()
+    let table = 'xref\n'
+    for (const group of groupConsecutive([...entries.keys()].sort((a, b) => a - b))) {
+      table += `${group.start} ${group.nums.length}\n`
+      for (const num of group.nums) {
+        const entry = entries.get(num)
+        table += entry.free
+          ? '0000000000 65535 f\r\n'
+          : `${String(entry.offset).padStart(10, '0')} ${String(entry.gen).padStart(5, '0')} n\r\n`
+      }
+    }
+    push(table)
+
+    trailer.set('Size', this.nextNum)
+    push(`trailer\n${serializePdfValue(trailer)}\nstartxref\n${xrefOffset}\n%%EOF\n`)
+  }
+
+  /** @private */
+  _writeXrefStream(push, currentOffset, offsets, trailer) {
+    const xrefRef = this.allocate()
+    const xrefOffset = currentOffset()
+    const entries = new Map(offsets)
+    entries.set(xrefRef.num, { offset: xrefOffset, gen: 0 })
+
+    const groups = groupConsecutive([...entries.keys()].sort((a, b) => a - b))
+    const data = new Uint8Array(entries.size * 7)
+    let position = 0
+    for (const group of groups) {
+      for (const num of group.nums) {
+        const { offset, gen } = entries.get(num)
+        data[position] = 1
+        data[position + 1] = (offset >>> 24) & 0xff
+        data[position + 2] = (offset >>> 16) & 0xff
+        data[position + 3] = (offset >>> 8) & 0xff
+        data[position + 4] = offset & 0xff
+        data[position + 5] = (gen >>> 8) & 0xff
+        data[position + 6] = gen & 0xff
+        position += 7
+      }
+    }
+
+    const dict = trailer
+      .set('Type', new PdfName('XRef'))
+      .set('Size', this.nextNum)
+      .set('W', [1, 4, 2])
+      .set('Index', groups.flatMap((group) => [group.start, group.nums.length]))
+      .set('Length', data.length)
+
+    push(`${xrefRef.num} 0 obj\n${serializePdfValue(dict)}\nstream\n`)
+    push(data)
+    push(`\nendstream\nendobj\nstartxref\n${xrefOffset}\n%%EOF\n`)
+  }
+}
@@ -0,0 +1,416 @@
+/**
+ * PdfSfntFont — reads the TrueType/OpenType tables the PDF export needs:
+ * character mapping, advance widths, vertical metrics, naming and embedding
+ * permissions. TrueType outlines can be subset by glyph id; CFF-flavoured
+ * fonts are embedded whole.
+ */
+
+const TTC_TAG = 'ttcf'
+const RESTRICTED_LICENSE_EMBEDDING = 0x0002
+const SUBSET_TABLES = ['head', 'hhea', 'hmtx', 'maxp', 'loca', 'glyf', 'cvt ', 'fpgm', 'prep']
+
+// Composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001
+const WE_HAVE_A_SCALE = 0x0008
+const MORE_COMPONENTS = 0x0020
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040
+const WE_HAVE_A_TWO_BY_TWO = 0x0080
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  )
+}
+
+function calcChecksum(bytes) {
+  const padded = new Uint8Array((bytes.length + 3) & ~3)
+  padded.set(bytes)
+  const view = new DataView(padded.buffer)
+  let sum = 0
+  for (let i = 0; i < padded.length; i += 4) {
+    sum = (sum + view.getUint32(i)) >>> 0
+  }
+  return sum
+}
+
+/**
+ * Writes a standalone sfnt file from a map of table tag to bytes.
+ * @param {Map<string, Uint8Array>} tables
+ * @param {number} version - sfnt version (0x00010000 or 'OTTO')
+ */
+export function buildSfnt(tables, version = 0x00010000) {
+  const tags = [...tables.keys()].sort()
+  const numTables = tags.length
+  const entrySelector = Math.floor(Math.log2(numTables))
+  const searchRange = 2 ** entrySelector * 16
+  const headerLength = 12 + numTables * 16
+
+  let total = headerLength
+  for (const tag of tags) total += (tables.get(tag).length + 3) & ~3
+
+  const output = new Uint8Array(total)
+  const view = new DataView(output.buffer)
+  view.setUint32(0, version)
+  view.setUint16(4, numTables)
+  view.setUint16(6, searchRange)
+  view.setUint16(8, entrySelector)
+  view.setUint16(10, numTables * 16 - searchRange)
+
+  let offset = headerLength
+  let headOffset = -1
+  let headRecord = -1
+  tags.forEach((tag, index) => {
+    const data = tables.get(tag)
+    const record = 12 + index * 16
+    for (let i = 0; i < 4; i++) view.setUint8(record + i, tag.charCodeAt(i))
+    view.setUint32(record + 4, calcChecksum(data))
+    view.setUint32(record + 8, offset)
+    view.setUint32(record + 12, data.length)
+    output.set(data, offset)
+    if (tag === 'head') {
+      headOffset = offset
+      headRecord = record
+    }
+    offset += (data.length + 3) & ~3
+  })
+
+  // The head checksum is taken with checkSumAdjustment zeroed, then the adjustment balances the file
+  if (headOffset >= 0) {
+    view.setUint32(headOffset + 8, 0)
+    view.setUint32(headRecord + 4, calcChecksum(output.subarray(headOffset, headOffset + tables.get('head').length)))
+    view.setUint32(headOffset + 8, (0xb1b0afba - calcChecksum(output)) >>> 0)
+  }
+
+  return output
+}
+
+export class PdfSfntFont {
+  /**
+   * @param {ArrayBuffer|Uint8Array} data - .ttf, .otf or .ttc file contents
+   * @param {Object} [options]
+   * @param {string} [options.postscriptName] - selects the face of a collection
+   */
+  constructor(data, { postscriptName = '' } = {}) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    this._glyphCache = new Map()
+
+    const faceOffsets = readTag(this.view, 0) === TTC_TAG ? this._readCollectionOffsets() : [0]
+    this._selectFace(faceOffsets, postscriptName)
+
+    if (!this.tables.has('cmap') || !this.tables.has('hmtx') || !this.tables.has('head')) {
+      throw new Error('Unsupported font file: required tables are missing.')
+    }
+
+    this._readMetrics()
+    this._cmapLookup = this._buildCmapLookup()
+  }
+
+  get isTrueType() {
+    return this.tables.has('glyf') && this.tables.has('loca')
+  }
+
+  /** Fonts marked "restricted license" must not be embedded. */
+  get isEmbeddable() {
+    return (this.fsType & 0x000f) !== RESTRICTED_LICENSE_EMBEDDING
+  }
+
+  glyphForCodePoint(codePoint) {
+    if (this._glyphCache.has(codePoint)) return this._glyphCache.get(codePoint)
+    const glyph = this._cmapLookup(codePoint)
+    this._glyphCache.set(codePoint, glyph)
+    return glyph
+  }
+
+  hasCodePoint(codePoint) {
+    return this.glyphForCodePoint(codePoint) > 0
+  }
+
+  /** Advance width in 1/1000 text space units, as PDF width arrays expect. */
+  advanceWidth(glyphId) {
+    const index = Math.min(glyphId, this.numberOfHMetrics - 1)
+    const { offset } = this.tables.get('hmtx')
+    return Math.round((this.view.getUint16(offset + index * 4) * 1000) / this.unitsPerEm)
+  }
+
+  scale(value) {
+    return Math.round((value * 1000) / this.unitsPerEm)
+  }
+
+  /**
+   * Builds a TrueType font that keeps glyph ids but drops every outline not
+   * listed (composite glyph components are kept automatically).
+   * @param {Iterable<number>} glyphIds
+   * @returns {Uint8Array}
+   */
+  subset(glyphIds) {
+    if (!this.isTrueType) return this.toStandalone()
+
+    const keep = new Set([0, ...glyphIds])
+    const pending = [...keep]
+    while (pending.length) {
+      for (const component of this._compositeComponents(pending.pop())) {
+        if (!keep.has(component)) {
+          keep.add(component)
+          pending.push(component)
+        }
+      }
+    }
+
+    const glyphChunks = []
+    const loca = new Uint8Array((this.numGlyphs + 1) * 4)
+    const locaView = new DataView(loca.buffer)
+    let glyfLength = 0
+
+    for (let glyphId = 0; glyphId < this.numGlyphs; glyphId++) {
+      locaView.setUint32(glyphId * 4, glyfLength)
+      if (!keep.has(glyphId)) continue
+      const glyph = this._glyphBytes(glyphId)
+      if (!glyph.length) continue
+      const padded = new Uint8Array((glyph.length + 3) & ~3)
+      padded.set(glyph)
+      glyphChunks.push(padded)
+      glyfLength += padded.length
+    }
+    locaView.setUint32(this.numGlyphs * 4, glyfLength)
+
+    const glyf = new Uint8Array(glyfLength)
+    let position = 0
+    for (const chunk of glyphChunks) {
+      glyf.set(chunk, position)
+      position += chunk.length
+    }
+
+    const tables = new Map()
+    for (const tag of SUBSET_TABLES) {
+      if (tag === 'glyf') tables.set(tag, glyf)
+      else if (tag === 'loca') tables.set(tag, loca)
+      else if (this.tables.has(tag)) tables.set(tag, this._tableBytes(tag).slice())
+    }
+
+    // Long loca offsets are always written
+    new DataView(tables.get('head').buffer).setInt16(50, 1)
+    return buildSfnt(tables)
+  }
+
+  /** The selected face as a standalone file (collections are unpacked). */
+  toStandalone() {
+    if (this.faceOffset === 0 && readTag(this.view, 0) !== TTC_TAG) return this.bytes
+    const tables = new Map([...this.tables.keys()].map((tag) => [tag, this._tableBytes(tag)]))
+    return buildSfnt(tables, this.view.getUint32(this.faceOffset))
+  }
+
+  /** @private */
+  _readCollectionOffsets() {
+    const count = this.view.getUint32(8)
+    const offsets = []
+    for (let i = 0; i < count; i++) offsets.push(this.view.getUint32(12 + i * 4))
+    return offsets
+  }
+
+  /** @private */
+  _selectFace(faceOffsets, postscriptName) {
+    for (const faceOffset of faceOffsets) {
+      this._readTableDirectory(faceOffset)
+      if (!postscriptName || this.postscriptName === postscriptName) return
+    }
+    this._readTableDirectory(faceOffsets[0])
+  }
+
+  /** @private */
+  _readTableDirectory(faceOffset) {
+    this.faceOffset = faceOffset
+    this.tables = new Map()
+    const numTables = this.view.getUint16(faceOffset + 4)
+    for (let i = 0; i < numTables; i++) {
+      const record = faceOffset + 12 + i * 16
+      this.tables.set(readTag(this.view, record), {
+        offset: this.view.getUint32(record + 8),
+        length: this.view.getUint32(record + 12)
+      })
+    }
+    this.postscriptName = this._readPostscriptName()
+  }
+
+  /** @private */
+  _tableBytes(tag) {
+    const { offset, length } = this.tables.get(tag)
+    return this.bytes.subarray(offset, offset + length)
+  }
+
+  /** @private */
+  _readMetrics() {
+    const { view } = this
+    const head = this.tables.get('head').offset
+    this.unitsPerEm = view.getUint16(head + 18) || 1000
+    this.bbox = [view.getInt16(head + 36), view.getInt16(head + 38), view.getInt16(head + 40), view.getInt16(head + 42)]
+    this.indexToLocFormat = view.getInt16(head + 50)
+
+    const hhea = this.tables.get('hhea')?.offset
+    this.ascent = hhea !== undefined ? view.getInt16(hhea + 4) : this.bbox[3]
+    this.descent = hhea !== undefined ? view.getInt16(hhea + 6) : this.bbox[1]
+    this.numberOfHMetrics = hhea !== undefined ? view.getUint16(hhea + 34) : 1
+
+    const maxp = this.tables.get('maxp')?.offset
+    this.numGlyphs = maxp !== undefined ? view.getUint16(maxp + 4) : 0
+
+    const os2 = this.tables.get('OS/2')
+    this.fsType = os2 ? view.getUint16(os2.offset + 8) : 0
+    this.weightClass = os2 ? view.getUint16(os2.offset + 4) : 400
+    this.capHeight = os2 && view.getUint16(os2.offset) >= 2 && os2.length >= 90
+      ? view.getInt16(os2.offset + 88)
+      : this.ascent
+
+    const post = this.tables.get('post')?.offset
+    this.italicAngle = post !== undefined ? view.getInt32(post + 4) / 65536 : 0
+    this.isFixedPitch = post !== undefined ? view.getUint32(post + 12) !== 0 : false
+  }
+
+  /** @private */
+  _readPostscriptName() {
+    const name = this.tables.get('name')
+    if (!name) return ''
+
+    const { view } = this
+    const count = view.getUint16(name.offset + 2)
+    const storage = name.offset + view.getUint16(name.offset + 4)
+
+    for (let i = 0; i < count; i++) {
+      const record = name.offset + 6 + i * 12
+      if (view.getUint16(record + 6) !== 6) continue
+
+      const platformId = view.getUint16(record)
+      const length = view.getUint16(record + 8)
+      const start = storage + view.getUint16(record + 10)
+      let text = ''
+      if (platformId === 3 || platformId === 0) {
+        for (let j = 0; j + 1 < length; j += 2) text += String.fromCharCode(view.getUint16(start + j))
+      } else {
+        for (let j = 0; j < length; j++) text += String.fromCharCode(view.getUint8(start + j))
+      }
+      if (text) return text.replace(/[^\x21-\x7e]/g, '')
+    }
+    return ''
+  }
+
+  /** @private Prefers full-repertoire (format 12) Unicode subtables. */
+  _buildCmapLookup() {
+    const { view } = this
+    const cmap = this.tables.get('cmap').offset
+    const count = view.getUint16(cmap + 2)
+    const candidates = []
+
+    for (let i = 0; i < count; i++) {
+      const record = cmap + 4 + i * 8
+      const platformId = view.getUint16(record)
+      const encodingId = view.getUint16(record + 2)
+      const offset = cmap + view.getUint32(record + 4)
+      const format = view.getUint16(offset)
+      const isUnicode = platformId === 0 || (platformId === 3 && (encodingId === 1 || encodingId === 10))
+      if (isUnicode && (format === 4 || format === 12)) candidates.push({ format, offset })
+    }
+
+    const table = candidates.find((candidate) => candidate.format === 12) || candidates[0]
+    if (!table) throw new Error('Unsupported font file: no Unicode character map.')
+    return table.format === 12 ? this._format12Lookup(table.offset) : this._format4Lookup(table.offset)
+  }
+
+  /** @private */
+  _format4Lookup(offset) {
+    const { view } = this
+    const segCount = view.getUint16(offset + 6) / 2
+    const endCodes = offset + 14
+    const startCodes = endCodes + segCount * 2 + 2
+    const idDeltas = startCodes + segCount * 2
+    const idRangeOffsets = idDeltas + segCount * 2
+
+    return (codePoint) => {
+      if (codePoint > 0xffff) return 0
+      let low = 0
+      let high = segCount - 1
+      while (low <= high) {
+        const mid = (low + high) >> 1
+        const end = view.getUint16(endCodes + mid * 2)
+        const start = view.getUint16(startCodes + mid * 2)
+        if (codePoint > end) {
+          low = mid + 1
+        } else if (codePoint < start) {
+          high = mid - 1
+        } else {
+          const delta = view.getInt16(idDeltas + mid * 2)
+          const rangeOffset = view.getUint16(idRangeOffsets + mid * 2)
+          if (rangeOffset === 0) return (codePoint + delta) & 0xffff
+          const glyphAddress = idRangeOffsets + mid * 2 + rangeOffset + (codePoint - start) * 2
+          const glyph = view.getUint16(glyphAddress)
+          return glyph === 0 ? 0 : (glyph + delta) & 0xffff
+        }
+      }
+      return 0
+    }
+  }
+
+  /** @private */
+  _format12Lookup(offset) {
+    const { view } = this
+    const groups = view.getUint32(offset + 12)
+    const first = offset + 16
+
+    return (codePoint) => {
+      let low = 0
+      let high = groups - 1
+      while (low <= high) {
+        const mid = (low + high) >> 1
+        const record = first + mid * 12
+        const start = view.getUint32(record)
+        const end = view.getUint32(record + 4)
+        if (codePoint > end) low = mid + 1
+        else if (codePoint < start) high = mid - 1
+        else return view.getUint32(record + 8) + (codePoint - start)
+      }
+      return 0
+    }
+  }
+
+  /** @private */
+  _glyphRange(glyphId) {
+    const loca = this.tables.get('loca').offset
+    if (this.indexToLocFormat === 0) {
+      return [this.view.getUint16(loca + glyphId * 2) * 2, this.view.getUint16(loca + glyphId * 2 + 2) * 2]
+    }
+    return [this.view.getUint32(loca + glyphId * 4), this.view.getUint32(loca + glyphId * 4 + 4)]
+  }
+
+  /** @private */
+  _glyphBytes(glyphId) {
+    const [start, end] = this._glyphRange(glyphId)
+    const glyf = this.tables.get('glyf').offset
+    return this.bytes.subarray(glyf + start, glyf + Math.max(start, end))
+  }
+
+  /** @private */
+  _compositeComponents(glyphId) {
+    if (glyphId >= this.numGlyphs) return []
+    const glyph = this._glyphBytes(glyphId)
+    if (glyph.length < 10) return []
+
+    const view = new DataView(glyph.buffer, glyph.byteOffset, glyph.byteLength)
+    if (view.getInt16(0) >= 0) return []
+
+    const components = []
+    let position = 10
+    let flags = MORE_COMPONENTS
+    while (flags & MORE_COMPONENTS && position + 4 <= glyph.length) {
+      flags = view.getUint16(position)
+      components.push(view.getUint16(position + 2))
+      position += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2)
+      if (flags & WE_HAVE_A_SCALE) position += 2
+      else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) position += 4
+      else if (flags & WE_HAVE_A_TWO_BY_TWO) position += 8
+    }
+    return components
+  }
+}
@@ -0,0 +1,75 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { describe, expect, it } from 'vitest'
+import { PdfSfntFont, buildSfnt } from './PdfSfntFont.js'
+
+const FONT_PATH = path.resolve(process.cwd(), 'node_modules/pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf')
+const loadFont = () => new Uint8Array(fs.readFileSync(FONT_PATH))
+
+function readTables(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const tables = new Map()
+  for (let i = 0; i < view.getUint16(4); i++) {
+    const record = 12 + i * 16
+    const tag = String.fromCharCode(...bytes.subarray(record, record + 4))
+    tables.set(tag, { offset: view.getUint32(record + 8), length: view.getUint32(record + 12) })
+  }
+  return tables
+}
+
+describe('PdfSfntFont', () => {
+  it('reads names, metrics and character mapping', () => {
+    const font = new PdfSfntFont(loadFont())
+
+    expect(font.postscriptName).toBe('LiberationSans')
+    expect(font.isTrueType).toBe(true)
+    expect(font.isEmbeddable).toBe(true)
+    expect(font.unitsPerEm).toBe(2048)
+    expect(font.hasCodePoint(0x41)).toBe(true)
+    expect(font.hasCodePoint(0x0416)).toBe(true)
+    expect(font.hasCodePoint(0x4e2d)).toBe(false)
+    expect(font.advanceWidth(font.glyphForCodePoint(0x41))).toBe(667)
+  })
+
+  it('subsets outlines while keeping glyph ids', () => {
+    const font = new PdfSfntFont(loadFont())
+    const glyphA = font.glyphForCodePoint(0x41)
+    const subset = font.subset([glyphA])
+    const tables = readTables(subset)
+
+    expect(subset.length).toBeLessThan(font.bytes.length / 4)
+    expect([...tables.keys()]).toEqual(expect.arrayContaining(['glyf', 'loca', 'hmtx', 'head', 'maxp']))
+
+    const loca = new DataView(subset.buffer, tables.get('loca').offset)
+    const glyphLength = (glyphId) => loca.getUint32((glyphId + 1) * 4) - loca.getUint32(glyphId * 4)
+    expect(glyphLength(glyphA)).toBeGreaterThan(0)
+    expect(glyphLength(font.glyphForCodePoint(0x42))).toBe(0)
+  })
+
+  it('reports fonts whose license forbids embedding', () => {
+    const bytes = loadFont()
+    const os2 = readTables(bytes).get('OS/2')
+    new DataView(bytes.buffer, bytes.byteOffset).setUint16(os2.offset + 8, 0x0002)
+
+    expect(new PdfSfntFont(bytes).isEmbeddable).toBe(false)
+  })
+
+  it('builds sfnt files with a balanced checksum', () => {
+    const source = new PdfSfntFont(loadFont())
+    const tables = new Map(['cmap', 'head', 'hhea', 'hmtx', 'maxp'].map((tag) => {
+      const { offset, length } = source.tables.get(tag)
+      return [tag, source.bytes.slice(offset, offset + length)]
+    }))
+    const bytes = buildSfnt(tables)
+    const view = new DataView(bytes.buffer)
+    let sum = 0
+    for (let i = 0; i < bytes.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0
+
+    expect(sum).toBe(0xb1b0afba)
+    expect(new PdfSfntFont(bytes).glyphForCodePoint(0x41)).toBe(source.glyphForCodePoint(0x41))
+  })
+
+  it('rejects files without the required tables', () => {
+    expect(() => new PdfSfntFont(buildSfnt(new Map([['name', new Uint8Array(8)]])))).toThrow('required tables')
+  })
+})
@@ -0,0 +1,348 @@
+/**
+ * PdfSyntax — minimal PDF object model, parser and serializer.
+ *
+ * Covers what the translated-PDF export needs to read page dictionaries and
+ * cross-reference data from an existing file and to append new objects.
+ * Strings keep their raw source token so unknown values round-trip byte for byte.
+ */
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20])
+const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25])
+
+export class PdfName {
+  constructor(name) {
+    this.name = name
+  }
+}
+
+export class PdfRef {
+  constructor(num, gen = 0) {
+    this.num = num
+    this.gen = gen
+  }
+}
+
+export class PdfString {
+  constructor(raw) {
+    this.raw = raw
+  }
+
+  static literal(text) {
+    return new PdfString(`(${text.replace(/[\\()]/g, (char) => `\\${char}`)})`)
+  }
+}
+
+export class PdfDict {
+  constructor(entries = []) {
+    this.map = new Map(entries)
+  }
+
+  get(key) {
+    return this.map.get(key)
+  }
+
+  set(key, value) {
+    this.map.set(key, value)
+    return this
+  }
+
+  has(key) {
+    return this.map.has(key)
+  }
+
+  delete(key) {
+    this.map.delete(key)
+  }
+
+  clone() {
+    return new PdfDict(this.map)
+  }
+}
+
+export class PdfStream {
+  constructor(dict, data) {
+    this.dict = dict
+    this.data = data
+  }
+}
+
+export function latin1Bytes(text) {
+  const bytes = new Uint8Array(text.length)
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xff
+  }
+  return bytes
+}
+
+export function latin1String(bytes, start = 0, end = bytes.length) {
+  let text = ''
+  const CHUNK = 0x8000
+  for (let i = start; i < end; i += CHUNK) {
+    text += String.fromCharCode(...bytes.subarray(i, Math.min(end, i + CHUNK)))
+  }
+  return text
+}
+
+export function isName(value, name) {
+  return value instanceof PdfName && (name === undefined || value.name === name)
+}
+
+function isRegular(byte) {
+  return byte !== undefined && !WHITESPACE.has(byte) && !DELIMITERS.has(byte)
+}
+
+/**
+ * Streaming parser over the bytes of a PDF file.
+ * `resolveLength` lets the caller supply indirect stream lengths synchronously.
+ */
+export class PdfParser {
+  constructor(bytes, position = 0, { resolveLength = null } = {}) {
+    this.bytes = bytes
+    this.position = position
+    this.resolveLength = resolveLength
+  }
+
+  skipWhitespace() {
+    const { bytes } = this
+    while (this.position < bytes.length) {
+      const byte = bytes[this.position]
+      if (WHITESPACE.has(byte)) {
+        this.position++
+      } else if (byte === 0x25) {
+        while (this.position < bytes.length && bytes[this.position] !== 0x0a && bytes[this.position] !== 0x0d) {
+          this.position++
+        }
+      } else {
+        break
+      }
+    }
+  }
+
+  peekKeyword() {
+    this.skipWhitespace()
+    let end = this.position
+    while (isRegular(this.bytes[end])) end++
+    return latin1String(this.bytes, this.position, end)
+  }
+
+  readKeyword() {
+    const keyword = this.peekKeyword()
+    this.position += keyword.length
+    return keyword
+  }
+
+  expectKeyword(expected) {
+    const keyword = this.readKeyword()
+    if (keyword !== expected) {
+      throw new Error(`Malformed PDF: expected "${expected}" but found "${keyword}" at ${this.position}`)
+    }
+  }
+
+  readInteger() {
+    const keyword = this.readKeyword()
+    if (!/^[+-]?\d+$/.test(keyword)) {
+      throw new Error(`Malformed PDF: expected an integer but found "${keyword}" at ${this.position}`)
+    }
+    return Number(keyword)
+  }
+
+  /**
+   * Parses "num gen obj ... endobj" at the current position.
+   * @returns {{ num: number, gen: number, value: * }}
+   */
+  parseIndirectObject() {
+    const num = this.readInteger()
+    const gen = this.readInteger()
+    this.expectKeyword('obj')
+    const value = this.parseValue()
+    return { num, gen, value }
+  }
+
+  parseValue() {
+    this.skipWhitespace()
+    const { bytes } = this
+    const byte = bytes[this.position]
+
+    if (byte === undefined) throw new Error('Malformed PDF: unexpected end of data')
+
+    if (byte === 0x3c && bytes[this.position + 1] === 0x3c) {
+      const dict = this.parseDict()
+      return this.peekKeyword() === 'stream' ? this.parseStreamBody(dict) : dict
+    }
+    if (byte === 0x3c) return this.parseHexString()
+    if (byte === 0x28) return this.parseLiteralString()
+    if (byte === 0x2f) return this.parseName()
+    if (byte === 0x5b) return this.parseArray()
+
+    const keyword = this.readKeyword()
+    if (keyword === 'true') return true
+    if (keyword === 'false') return false
+    if (keyword === 'null') return null
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(keyword)) {
+      const number = Number(keyword)
+      if (/^\d+$/.test(keyword)) {
+        // "num gen R" is a reference; anything else leaves the integer alone
+        const saved = this.position
+        const gen = this.peekKeyword()
+        if (/^\d+$/.test(gen)) {
+          this.position += gen.length
+          if (this.readKeyword() === 'R') return new PdfRef(number, Number(gen))
+        }
+        this.position = saved
+      }
+      return number
+    }
+
+    throw new Error(`Malformed PDF: unexpected token "${keyword}" at ${this.position}`)
+  }
+
+  parseDict() {
+    this.position += 2
+    const dict = new PdfDict()
+    for (;;) {
+      this.skipWhitespace()
+      if (this.bytes[this.position] === 0x3e && this.bytes[this.position + 1] === 0x3e) {
+        this.position += 2
+        return dict
+      }
+      const key = this.parseValue()
+      if (!isName(key)) throw new Error(`Malformed PDF: dictionary key expected at ${this.position}`)
+      dict.set(key.name, this.parseValue())
+    }
+  }
+
+  parseArray() {
+    this.position++
+    const array = []
+    for (;;) {
+      this.skipWhitespace()
+      if (this.bytes[this.position] === 0x5d) {
+        this.position++
+        return array
+      }
+      array.push(this.parseValue())
+    }
+  }
+
+  parseName() {
+    this.position++
+    let end = this.position
+    while (isRegular(this.bytes[end])) end++
+    const raw = latin1String(this.bytes, this.position, end)
+    this.position = end
+    return new PdfName(raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+  }
+
+  parseHexString() {
+    const start = this.position
+    const end = this.bytes.indexOf(0x3e, start)
+    if (end < 0) throw new Error('Malformed PDF: unterminated hex string')
+    this.position = end + 1
+    return new PdfString(latin1String(this.bytes, start, end + 1))
+  }
+
+  parseLiteralString() {
+    const start = this.position
+    let depth = 0
+    while (this.position < this.bytes.length) {
+      const byte = this.bytes[this.position++]
+      if (byte === 0x5c) {
+        this.position++
+      } else if (byte === 0x28) {
+        depth++
+      } else if (byte === 0x29 && --depth === 0) {
+        return new PdfString(latin1String(this.bytes, start, this.position))
+      }
+    }
+    throw new Error('Malformed PDF: unterminated string')
+  }
+
+  parseStreamBody(dict) {
+    this.readKeyword()
+    // The keyword is followed by CRLF or LF before the data starts
+    if (this.bytes[this.position] === 0x0d) this.position++
+    if (this.bytes[this.position] === 0x0a) this.position++
+
+    const start = this.position
+    let length = dict.get('Length')
+    if (length instanceof PdfRef) length = this.resolveLength?.(length)
+
+    let end = Number.isInteger(length) ? start + length : -1
+    if (end < 0 || end > this.bytes.length || !this._isEndStreamAt(end)) {
+      end = this._findEndStream(start)
+    }
+
+    const data = this.bytes.slice(start, end)
+    this.position = end
+    this.expectKeyword('endstream')
+    return new PdfStream(dict, data)
+  }
+
+  _isEndStreamAt(position) {
+    const saved = this.position
+    this.position = position
+    const keyword = this.peekKeyword()
+    this.position = saved
+    return keyword === 'endstream'
+  }
+
+  _findEndStream(start) {
+    const marker = latin1Bytes('endstream')
+    for (let i = start; i <= this.bytes.length - marker.length; i++) {
+      let matches = true
+      for (let j = 0; j < marker.length; j++) {
+        if (this.bytes[i + j] !== marker[j]) {
+          matches = false
+          break
+        }
+      }
+      if (matches) {
+        let end = i
+        if (this.bytes[end - 1] === 0x0a) end--
+        if (this.bytes[end - 1] === 0x0d) end--
+        return Math.max(start, end)
+      }
+    }
+    throw new Error('Malformed PDF: stream without endstream')
+  }
+}
+
+function formatNumber(value) {
+  if (Number.isInteger(value)) return String(value)
+  const fixed = value.toFixed(4).replace(/0+$/, '').replace(/\.$/, '')
+  return fixed === '-0' ? '0' : fixed
+}
+
+function escapeName(name) {
+  let escaped = ''
+  for (const char of name) {
+    const code = char.charCodeAt(0)
+    escaped += code < 0x21 || code > 0x7e || char === '#' || DELIMITERS.has(code)
+      ? `#${code.toString(16).padStart(2, '0')}`
+      : char
+  }
+  return escaped
+}
+
+/**
+ * Serializes a value to PDF syntax. Streams are written by the caller,
+ * which owns their data; here they would be ambiguous.
+ * @returns {string} latin1 text
+ */
+export function serializePdfValue(value) {
+  if (value === null || value === undefined) return 'null'
+  if (value === true) return 'true'
+  if (value === false) return 'false'
+  if (typeof value === 'number') return formatNumber(value)
+  if (value instanceof PdfName) return `/${escapeName(value.name)}`
+  if (value instanceof PdfRef) return `${value.num} ${value.gen} R`
+  if (value instanceof PdfString) return value.raw
+  if (Array.isArray(value)) return `[${value.map(serializePdfValue).join(' ')}]`
+  if (value instanceof PdfDict) {
+    const entries = [...value.map.entries()].map(([key, entry]) => `/${escapeName(key)} ${serializePdfValue(entry)}`)
+    return `<<${entries.join(' ')}>>`
+  }
+  if (value instanceof PdfStream) throw new Error('Streams must be written as indirect objects')
+  throw new Error(`Cannot serialize PDF value of type ${typeof value}`)
+}
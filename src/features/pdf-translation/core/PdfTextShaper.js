@@ -0,0 +1,287 @@
+/**
+ * PdfTextShaper — prepares translated text for drawing with plain PDF text
+ * operators, which place glyphs left to right without any layout engine.
+ *
+ * - Arabic-script letters are replaced by their contextual presentation forms
+ *   (including lam-alef ligatures) so they join as they do on screen.
+ * - Lines are reordered into visual order with a reduced bidi algorithm:
+ *   strong types, numbers and neutrals resolved against the paragraph direction,
+ *   mirrored brackets in right-to-left runs.
+ * - Lines wrap at spaces and between CJK characters, using the caller's width
+ *   measurement.
+ */
+
+// [isolated, final, initial, medial]; two entries for letters that only join to the right
+const ARABIC_FORMS = new Map([
+  [0x0621, [0xfe80]],
+  [0x0622, [0xfe81, 0xfe82]],
+  [0x0623, [0xfe83, 0xfe84]],
+  [0x0624, [0xfe85, 0xfe86]],
+  [0x0625, [0xfe87, 0xfe88]],
+  [0x0626, [0xfe89, 0xfe8a, 0xfe8b, 0xfe8c]],
+  [0x0627, [0xfe8d, 0xfe8e]],
+  [0x0628, [0xfe8f, 0xfe90, 0xfe91, 0xfe92]],
+  [0x0629, [0xfe93, 0xfe94]],
+  [0x062a, [0xfe95, 0xfe96, 0xfe97, 0xfe98]],
+  [0x062b, [0xfe99, 0xfe9a, 0xfe9b, 0xfe9c]],
+  [0x062c, [0xfe9d, 0xfe9e, 0xfe9f, 0xfea0]],
+  [0x062d, [0xfea1, 0xfea2, 0xfea3, 0xfea4]],
+  [0x062e, [0xfea5, 0xfea6, 0xfea7, 0xfea8]],
+  [0x062f, [0xfea9, 0xfeaa]],
+  [0x0630, [0xfeab, 0xfeac]],
+  [0x0631, [0xfead, 0xfeae]],
+  [0x0632, [0xfeaf, 0xfeb0]],
+  [0x0633, [0xfeb1, 0xfeb2, 0xfeb3, 0xfeb4]],
+  [0x0634, [0xfeb5, 0xfeb6, 0xfeb7, 0xfeb8]],
+  [0x0635, [0xfeb9, 0xfeba, 0xfebb, 0xfebc]],
+  [0x0636, [0xfebd, 0xfebe, 0xfebf, 0xfec0]],
+  [0x0637, [0xfec1, 0xfec2, 0xfec3, 0xfec4]],
+  [0x0638, [0xfec5, 0xfec6, 0xfec7, 0xfec8]],
+  [0x0639, [0xfec9, 0xfeca, 0xfecb, 0xfecc]],
+  [0x063a, [0xfecd, 0xfece, 0xfecf, 0xfed0]],
+  [0x0641, [0xfed1, 0xfed2, 0xfed3, 0xfed4]],
+  [0x0642, [0xfed5, 0xfed6, 0xfed7, 0xfed8]],
+  [0x0643, [0xfed9, 0xfeda, 0xfedb, 0xfedc]],
+  [0x0644, [0xfedd, 0xfede, 0xfedf, 0xfee0]],
+  [0x0645, [0xfee1, 0xfee2, 0xfee3, 0xfee4]],
+  [0x0646, [0xfee5, 0xfee6, 0xfee7, 0xfee8]],
+  [0x0647, [0xfee9, 0xfeea, 0xfeeb, 0xfeec]],
+  [0x0648, [0xfeed, 0xfeee]],
+  [0x0649, [0xfeef, 0xfef0]],
+  [0x064a, [0xfef1, 0xfef2, 0xfef3, 0xfef4]],
+  [0x067e, [0xfb56, 0xfb57, 0xfb58, 0xfb59]],
+  [0x0686, [0xfb7a, 0xfb7b, 0xfb7c, 0xfb7d]],
+  [0x0698, [0xfb8a, 0xfb8b]],
+  [0x06a9, [0xfb8e, 0xfb8f, 0xfb90, 0xfb91]],
+  [0x06af, [0xfb92, 0xfb93, 0xfb94, 0xfb95]],
+  [0x06cc, [0xfbfc, 0xfbfd, 0xfbfe, 0xfbff]]
+])
+
+// Lam followed by one of these alefs becomes a single [isolated, final] ligature
+const LAM_ALEF_FORMS = new Map([
+  [0x0622, [0xfef5, 0xfef6]],
+  [0x0623, [0xfef7, 0xfef8]],
+  [0x0625, [0xfef9, 0xfefa]],
+  [0x0627, [0xfefb, 0xfefc]]
+])
+
+const LAM = 0x0644
+const TATWEEL = 0x0640
+const ZWJ = 0x200d
+const ZWNJ = 0x200c
+
+const MIRRORED = new Map([
+  ['(', ')'], [')', '('], ['[', ']'], [']', '['], ['{', '}'], ['}', '{'],
+  ['<', '>'], ['>', '<'], ['«', '»'], ['»', '«'], ['‹', '›'], ['›', '‹']
+])
+
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/
+const NUMBER_PATTERN = /[0-9\u0660-\u0669\u06F0-\u06F9]/
+const TRANSPARENT_PATTERN = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7-\u06E8\u06EA-\u06ED]/
+const LETTER_PATTERN = /\p{L}/u
+const CJK_PATTERN = /[\u2E80-\u2FFF\u3000-\u303F\u3040-\u30FF\u3100-\u31FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]/
+
+function joinsBothWays(codePoint) {
+  return codePoint === TATWEEL || codePoint === ZWJ || ARABIC_FORMS.get(codePoint)?.length === 4
+}
+
+function joinsToPrevious(codePoint) {
+  return codePoint === TATWEEL || codePoint === ZWJ || (ARABIC_FORMS.has(codePoint) && codePoint !== 0x0621)
+}
+
+/**
+ * Replaces Arabic-script letters with contextual presentation forms.
+ * Each output unit keeps the logical characters it stands for, so text
+ * extraction can map glyphs back to the original words.
+ * @param {string} text
+ * @returns {Array<{ codePoint: number, fallback: number[], source: string }>}
+ */
+export function shapeArabic(text) {
+  const chars = Array.from(text)
+  const codes = chars.map((char) => char.codePointAt(0))
+  const units = []
+
+  const neighbour = (index, step) => {
+    for (let i = index + step; i >= 0 && i < codes.length; i += step) {
+      if (!TRANSPARENT_PATTERN.test(chars[i])) return codes[i]
+    }
+    return null
+  }
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i]
+    const forms = ARABIC_FORMS.get(code)
+
+    if (code === ZWJ || code === ZWNJ) continue
+
+    if (!forms) {
+      units.push({ codePoint: code, fallback: [], source: chars[i] })
+      continue
+    }
+
+    const previous = neighbour(i, -1)
+    const joinsBefore = previous !== null && joinsBothWays(previous)
+
+    if (code === LAM) {
+      const nextIndex = codes.findIndex((candidate, index) => index > i && !TRANSPARENT_PATTERN.test(chars[index]))
+      const ligature = nextIndex > 0 ? LAM_ALEF_FORMS.get(codes[nextIndex]) : null
+      if (ligature) {
+        const marks = chars.slice(i + 1, nextIndex).join('')
+        units.push({
+          codePoint: ligature[joinsBefore ? 1 : 0],
+          fallback: [LAM, codes[nextIndex]],
+          source: `${chars[i]}${chars[nextIndex]}`
+        })
+        for (const mark of Array.from(marks)) {
+          units.push({ codePoint: mark.codePointAt(0), fallback: [], source: mark })
+        }
+        i = nextIndex
+        continue
+      }
+    }
+
+    const next = neighbour(i, 1)
+    const joinsAfter = forms.length === 4 && next !== null && joinsToPrevious(next)
+    let form = 0
+    if (joinsBefore && joinsAfter) form = 3
+    else if (joinsBefore) form = 1
+    else if (joinsAfter) form = 2
+
+    units.push({ codePoint: forms[form] ?? forms[0], fallback: [code], source: chars[i] })
+  }
+
+  return units
+}
+
+function classify(char) {
+  if (RTL_PATTERN.test(char)) return 'R'
+  if (NUMBER_PATTERN.test(char)) return 'N'
+  if (LETTER_PATTERN.test(char)) return 'L'
+  return 'O'
+}
+
+/**
+ * Detects the paragraph direction from the first strong character.
+ * @returns {'rtl'|'ltr'}
+ */
+export function detectBaseDirection(text, fallback = 'ltr') {
+  for (const char of text) {
+    const type = classify(char)
+    if (type === 'R') return 'rtl'
+    if (type === 'L') return 'ltr'
+  }
+  return fallback
+}
+
+/**
+ * Reorders units (anything with a `source` string) of one line into visual order.
+ * @param {Array<{ source: string }>} units - logical order
+ * @param {'rtl'|'ltr'} baseDirection
+ * @returns {Array} units in left-to-right drawing order, with `mirrored` set where needed
+ */
+export function reorderVisual(units, baseDirection) {
+  const base = baseDirection === 'rtl' ? 1 : 0
+  const baseType = base === 1 ? 'R' : 'L'
+  const types = units.map((unit) => classify(Array.from(unit.source)[0] || ' '))
+
+  // Numbers read left to right but take the direction of the preceding strong text
+  let lastStrong = baseType
+  const effective = types.map((type) => {
+    if (type === 'R' || type === 'L') lastStrong = type
+    return type === 'N' ? lastStrong : type
+  })
+
+  const strongAt = (index, step) => {
+    for (let i = index + step; i >= 0 && i < effective.length; i += step) {
+      if (effective[i] !== 'O') return effective[i]
+    }
+    return baseType
+  }
+
+  const levels = types.map((type, index) => {
+    if (type === 'R') return 1
+    if (type === 'L') return base === 1 ? 2 : 0
+    if (type === 'N') return base === 1 || effective[index] === 'R' ? 2 : 0
+    const before = strongAt(index, -1)
+    if (before !== strongAt(index, 1)) return base
+    if (before === 'R') return 1
+    return base === 1 ? 2 : 0
+  })
+
+  const order = units.map((_, index) => index)
+  const maxLevel = Math.max(0, ...levels)
+  for (let level = maxLevel; level >= 1; level--) {
+    let i = 0
+    while (i < order.length) {
+      if (levels[order[i]] < level) {
+        i++
+        continue
+      }
+      let j = i
+      while (j < order.length && levels[order[j]] >= level) j++
+      order.splice(i, j - i, ...order.slice(i, j).reverse())
+      i = j
+    }
+  }
+
+  return order.map((index) => {
+    const unit = units[index]
+    const mirror = levels[index] % 2 === 1 ? MIRRORED.get(unit.source) : null
+    return mirror ? { ...unit, codePoint: mirror.codePointAt(0), fallback: [], mirrored: true } : unit
+  })
+}
+
+function splitBreakableTokens(paragraph) {
+  const tokens = []
+  let current = ''
+  for (const char of paragraph) {
+    if (CJK_PATTERN.test(char)) {
+      if (current) tokens.push(current)
+      tokens.push(char)
+      current = ''
+    } else if (char === ' ') {
+      tokens.push(`${current} `)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  if (current) tokens.push(current)
+  return tokens
+}
+
+/**
+ * Greedy line breaking in logical order.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {(text: string) => number} measure
+ * @returns {string[]}
+ */
+export function breakLines(text, maxWidth, measure) {
+  const lines = []
+
+  for (const paragraph of String(text).split('\n')) {
+    let line = ''
+    for (const token of splitBreakableTokens(paragraph)) {
+      const candidate = line + token
+      if (!line || measure(candidate.trimEnd()) <= maxWidth) {
+        line = candidate
+      } else {
+        lines.push(line.trimEnd())
+        line = token
+      }
+
+      // A single word wider than the box is split between characters
+      while (measure(line.trimEnd()) > maxWidth && Array.from(line.trimEnd()).length > 1) {
+        const chars = Array.from(line)
+        let fit = 1
+        while (fit < chars.length && measure(chars.slice(0, fit + 1).join('')) <= maxWidth) fit++
+        lines.push(chars.slice(0, fit).join(''))
+        line = chars.slice(fit).join('')
+      }
+    }
+    lines.push(line.trimEnd())
+  }
+
+  return lines
+}
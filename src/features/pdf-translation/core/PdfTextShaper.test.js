@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest'
+import { shapeArabic, detectBaseDirection, reorderVisual, breakLines } from './PdfTextShaper.js'
+
+const codes = (units) => units.map((unit) => unit.codePoint)
+const visualText = (text, direction) => reorderVisual(Array.from(text).map((source) => ({ source })), direction)
+  .map((unit) => (unit.mirrored ? String.fromCodePoint(unit.codePoint) : unit.source))
+  .join('')
+
+describe('PdfTextShaper', () => {
+  describe('shapeArabic', () => {
+    it('selects initial, medial and final forms', () => {
+      // beh + beh + beh
+      expect(codes(shapeArabic('ببب'))).toEqual([0xfe91, 0xfe92, 0xfe90])
+    })
+
+    it('does not join after letters that only connect to the right', () => {
+      // alef + beh: alef is isolated, beh starts a new word form
+      expect(codes(shapeArabic('اب'))).toEqual([0xfe8d, 0xfe8f])
+    })
+
+    it('forms lam-alef ligatures and keeps the source letters', () => {
+      const units = shapeArabic('لا')
+      expect(codes(units)).toEqual([0xfefb])
+      expect(units[0].fallback).toEqual([0x0644, 0x0627])
+      expect(units[0].source).toBe('لا')
+    })
+
+    it('shapes Persian letters and leaves other text alone', () => {
+      // peh + yeh (Farsi)
+      expect(codes(shapeArabic('پی'))).toEqual([0xfb58, 0xfbfd])
+      expect(codes(shapeArabic('ab'))).toEqual([0x61, 0x62])
+    })
+
+    it('drops joining controls', () => {
+      expect(shapeArabic('ب\u200cب')).toHaveLength(2)
+    })
+  })
+
+  describe('reorderVisual', () => {
+    it('keeps left-to-right text unchanged', () => {
+      expect(visualText('abc 123', 'ltr')).toBe('abc 123')
+    })
+
+    it('reverses right-to-left runs and keeps numbers in reading order', () => {
+      expect(visualText('אב 12', 'rtl')).toBe('12 בא')
+    })
+
+    it('keeps embedded Latin words left to right inside right-to-left text', () => {
+      expect(visualText('א abc ב', 'rtl')).toBe('ב abc א')
+    })
+
+    it('mirrors brackets in right-to-left runs', () => {
+      expect(visualText('א(ב)', 'rtl')).toBe('(ב)א')
+    })
+  })
+
+  it('detects the paragraph direction from the first strong character', () => {
+    expect(detectBaseDirection('123 א abc')).toBe('rtl')
+    expect(detectBaseDirection('abc א')).toBe('ltr')
+    expect(detectBaseDirection('123', 'rtl')).toBe('rtl')
+  })
+
+  describe('breakLines', () => {
+    const measure = (text) => Array.from(text).length
+
+    it('wraps at spaces', () => {
+      expect(breakLines('one two three', 7, measure)).toEqual(['one two', 'three'])
+    })
+
+    it('wraps between CJK characters', () => {
+      expect(breakLines('日本語文', 3, measure)).toEqual(['日本語', '文'])
+    })
+
+    it('splits words that are wider than the box and keeps explicit newlines', () => {
+      expect(breakLines('abcdef\nxy', 4, measure)).toEqual(['abcd', 'ef', 'xy'])
+    })
+  })
+})
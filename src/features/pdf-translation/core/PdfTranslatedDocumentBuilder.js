@@ -0,0 +1,286 @@
+/**
+ * PdfTranslatedDocumentBuilder — writes a translated copy of a PDF.
+ *
+ * Every page with translations gets its original content wrapped in a saved
+ * graphics state, followed by an overlay stream that paints the page masks
+ * and draws the translated text inside each block's box. Layout mirrors the
+ * on-screen overlay: the same line heights, the same shrink-to-fit steps and
+ * line-by-line placement for structured blocks whose line count is kept.
+ * Overlay geometry is mapped back to PDF space through the page's own boxes
+ * and /Rotate, the same way the viewer maps the page to the screen.
+ */
+
+import { resolveAscent, computeLineHeight, detectTextDirection, resolveFittedFontScale, OVERLAY_BACKGROUND } from '@/apps/pdf/utils/pdfOverlayTypography.js'
+import { PdfDict, PdfRef } from './PdfSyntax.js'
+import { PdfIncrementalWriter } from './PdfIncrementalWriter.js'
+import { shapeArabic, reorderVisual, breakLines } from './PdfTextShaper.js'
+
+const TEXT_COLOR = '0 g'
+const FIT_TOLERANCE = 0.5
+// Page size assumed by PDF viewers when a page has no valid MediaBox
+const DEFAULT_MEDIA_BOX = [0, 0, 612, 792]
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/0+$/, '').replace(/\.$/, '')
+}
+
+/** Converts 'rgb(r, g, b)' (the overlay's background format) to a PDF fill operator. */
+export function toPdfFillColor(color) {
+  const match = /rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i.exec(color || OVERLAY_BACKGROUND)
+  if (!match) return '1 g'
+  return `${match.slice(1, 4).map((channel) => formatNumber(Math.min(255, Number(channel)) / 255)).join(' ')} rg`
+}
+
+function isDrawableBox(box) {
+  return !!box && [box.x, box.y, box.width, box.height].every(Number.isFinite) && box.width > 0 && box.height > 0
+}
+
+function rect(box) {
+  return `${formatNumber(box.x)} ${formatNumber(box.y)} ${formatNumber(box.width)} ${formatNumber(box.height)} re`
+}
+
+function padBox(box, padding) {
+  if (!padding) return box
+  return {
+    x: box.x - (padding.left || 0),
+    y: box.y - (padding.top || 0),
+    width: box.width + (padding.left || 0) + (padding.right || 0),
+    height: box.height + (padding.top || 0) + (padding.bottom || 0)
+  }
+}
+
+function normalizeBox(box) {
+  if (!Array.isArray(box) || box.length !== 4 || !box.every(Number.isFinite)) return null
+  const [x1, y1, x2, y2] = box
+  return [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)]
+}
+
+/**
+ * Resolves the visible page area like pdf.js: the CropBox clipped to the
+ * MediaBox, or the MediaBox alone when the crop is missing or empty.
+ */
+export function resolvePageViewBox(mediaBox, cropBox) {
+  const media = normalizeBox(mediaBox) || DEFAULT_MEDIA_BOX
+  const crop = normalizeBox(cropBox)
+  if (!crop) return media
+
+  const view = [Math.max(media[0], crop[0]), Math.max(media[1], crop[1]), Math.min(media[2], crop[2]), Math.min(media[3], crop[3])]
+  return view[2] > view[0] && view[3] > view[1] ? view : media
+}
+
+/**
+ * Builds the "cm" matrix that maps top-left overlay coordinates (the viewer's
+ * unscaled viewport) to PDF user space. It is the inverse of the viewport
+ * transform pdf.js derives from the view box and /Rotate.
+ * @param {number[]} viewBox - [xMin, yMin, xMax, yMax]
+ * @param {number} [rotate=0] - the page's /Rotate value
+ * @returns {number[]} [a, b, c, d, e, f]
+ */
+export function resolveOverlayMatrix(viewBox, rotate = 0) {
+  const [xMin, yMin, xMax, yMax] = viewBox
+  const rotation = Number.isInteger(rotate) && rotate % 90 === 0 ? ((rotate % 360) + 360) % 360 : 0
+  const [a, b, c, d] = { 0: [1, 0, 0, -1], 90: [0, 1, 1, 0], 180: [-1, 0, 0, 1], 270: [0, -1, -1, 0] }[rotation]
+  const centerX = (xMin + xMax) / 2
+  const centerY = (yMin + yMax) / 2
+  const offsetX = a === 0 ? Math.abs(centerY - yMin) : Math.abs(centerX - xMin)
+  const offsetY = a === 0 ? Math.abs(centerX - xMin) : Math.abs(centerY - yMin)
+  const e = offsetX - a * centerX - c * centerY
+  const f = offsetY - b * centerX - d * centerY
+
+  // The rotation part is orthogonal with a determinant of -1; "+ 0" drops negative zeros
+  const det = a * d - b * c
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det].map((value) => value + 0)
+}
+
+/**
+ * Matches the overlay's choice of line-by-line placement.
+ */
+export function shouldUseLineLayout(block) {
+  const sourceLineCount = block.lines?.length || 0
+  if (sourceLineCount <= 1 || block.isStructured !== true) return false
+  return String(block.translatedText || '').split('\n').length === sourceLineCount
+}
+
+export class PdfTranslatedDocumentBuilder {
+  /**
+   * @param {import('./PdfFileReader.js').PdfFileReader} reader
+   * @param {import('./PdfFontEmbedder.js').PdfFontEmbedder} embedder
+   */
+  constructor(reader, embedder) {
+    this.reader = reader
+    this.embedder = embedder
+  }
+
+  /**
+   * @param {Array<{
+   *   pageNumber: number,
+   *   masks: Array<{ boundingBox: Object, padding?: Object, color?: string }>,
+   *   blocks: Array<{ boundingBox: Object, fontSize: number, ascent?: number, descent?: number,
+   *     translatedText: string, isStructured?: boolean, lines?: Array<{ boundingBox: Object }> }>
+   * }>} pages - geometry in top-left page coordinates, as produced by the layout analyzer
+   * @returns {Promise<Uint8Array>}
+   */
+  async build(pages) {
+    if (this.reader.isEncrypted) {
+      throw new Error('Encrypted PDF documents cannot be exported with translations.')
+    }
+
+    const pdfPages = await this.reader.getPages()
+    const writer = new PdfIncrementalWriter(this.reader)
+
+    // Content is laid out first so the font subsets contain every glyph used
+    const overlays = []
+    for (const page of pages) {
+      const pdfPage = pdfPages[page.pageNumber - 1]
+      if (!pdfPage) continue
+      const matrix = await this._resolvePageMatrix(pdfPage)
+      overlays.push({ pdfPage, content: this._buildOverlayContent(page, matrix) })
+    }
+
+    const fontResources = await this.embedder.writeFonts(writer)
+    const openRef = await writer.addStream(new PdfDict(), 'q\n')
+
+    for (const { pdfPage, content } of overlays) {
+      const overlayRef = await writer.addStream(new PdfDict(), content)
+      const pageDict = pdfPage.dict.clone()
+
+      const contents = await this._resolveContents(pdfPage.dict.get('Contents'))
+      pageDict.set('Contents', contents.length ? [openRef, ...contents, overlayRef] : [overlayRef])
+      pageDict.set('Resources', await this._mergeResources(pdfPage.inherited.Resources, fontResources))
+      writer.set(pdfPage.ref, pageDict)
+    }
+
+    return writer.toBytes()
+  }
+
+  /** @private */
+  async _resolvePageMatrix(pdfPage) {
+    const { MediaBox, CropBox, Rotate } = pdfPage.inherited
+    const [mediaBox, cropBox, rotate] = await Promise.all([MediaBox, CropBox, Rotate].map((value) => this._resolveNumbers(value)))
+    return resolveOverlayMatrix(resolvePageViewBox(mediaBox, cropBox), rotate)
+  }
+
+  /** @private */
+  async _resolveNumbers(value) {
+    const resolved = await this.reader.resolve(value)
+    return Array.isArray(resolved) ? Promise.all(resolved.map((item) => this.reader.resolve(item))) : resolved
+  }
+
+  /** @private */
+  async _resolveContents(contents) {
+    if (contents instanceof PdfRef) {
+      const resolved = await this.reader.resolve(contents)
+      // A reference may point at an array of streams rather than a single stream
+      return Array.isArray(resolved) ? resolved : [contents]
+    }
+    return Array.isArray(contents) ? contents : []
+  }
+
+  /** @private */
+  async _mergeResources(resources, fontResources) {
+    const resolved = await this.reader.resolve(resources)
+    const merged = resolved instanceof PdfDict ? resolved.clone() : new PdfDict()
+    const fonts = await this.reader.resolve(merged.get('Font'))
+    const mergedFonts = fonts instanceof PdfDict ? fonts.clone() : new PdfDict()
+
+    for (const [name, ref] of fontResources.map) {
+      mergedFonts.set(name, ref)
+    }
+
+    return merged.set('Font', mergedFonts)
+  }
+
+  /** @private */
+  _buildOverlayContent(page, matrix) {
+    // The original content is closed by "Q", which restores the page's initial state
+    const operators = ['Q', 'q', `${matrix.map(formatNumber).join(' ')} cm`]
+
+    for (const mask of page.masks || []) {
+      if (!isDrawableBox(mask.boundingBox)) continue
+      operators.push(toPdfFillColor(mask.color), rect(padBox(mask.boundingBox, mask.padding)), 'f')
+    }
+
+    for (const block of page.blocks || []) {
+      if (!isDrawableBox(block.boundingBox) || !block.translatedText) continue
+      operators.push('q', rect(block.boundingBox), 'W n', TEXT_COLOR)
+      operators.push(...(shouldUseLineLayout(block) ? this._layoutLines(block) : this._layoutBlock(block)))
+      operators.push('Q')
+    }
+
+    operators.push('Q')
+    return `${operators.join('\n')}\n`
+  }
+
+  /** @private */
+  _layoutBlock(block) {
+    const box = block.boundingBox
+    const baseFontSize = block.fontSize || 12
+    const lineHeight = computeLineHeight(block.ascent, block.descent)
+    const ascent = resolveAscent(block.ascent)
+    const direction = detectTextDirection(block.translatedText)
+
+    const wrap = (fontSize) => breakLines(block.translatedText, box.width, (text) => this._measure(text, fontSize))
+    const fontScale = resolveFittedFontScale((scale) => {
+      const fontSize = baseFontSize * scale
+      const lines = wrap(fontSize)
+      return lines.length * fontSize * lineHeight <= box.height + FIT_TOLERANCE &&
+        lines.every((line) => this._measure(line, fontSize) <= box.width + FIT_TOLERANCE)
+    })
+
+    const fontSize = baseFontSize * fontScale
+    return wrap(fontSize).flatMap((line, index) => this._drawLine(line, {
+      box,
+      baseline: box.y + index * fontSize * lineHeight + fontSize * ascent,
+      fontSize,
+      direction
+    }))
+  }
+
+  /** @private */
+  _layoutLines(block) {
+    const lineHeight = computeLineHeight(block.ascent, block.descent)
+    const ascent = resolveAscent(block.ascent)
+    const baseFontSize = block.fontSize || 12
+    const texts = block.translatedText.split('\n')
+
+    return block.lines.flatMap((line, index) => {
+      const box = isDrawableBox(line.boundingBox) ? line.boundingBox : block.boundingBox
+      const text = texts[index] || ''
+      const fontScale = resolveFittedFontScale((scale) => {
+        const fontSize = baseFontSize * scale
+        return this._measure(text, fontSize) <= box.width + FIT_TOLERANCE &&
+          fontSize * lineHeight <= box.height + FIT_TOLERANCE
+      })
+      const fontSize = baseFontSize * fontScale
+      return this._drawLine(text, {
+        box,
+        baseline: box.y + fontSize * ascent,
+        fontSize,
+        direction: detectTextDirection(text)
+      })
+    })
+  }
+
+  /** @private */
+  _measure(text, fontSize) {
+    return this.embedder.measure(shapeArabic(text), fontSize)
+  }
+
+  /** @private */
+  _drawLine(text, { box, baseline, fontSize, direction }) {
+    if (!text.trim()) return []
+
+    const units = reorderVisual(shapeArabic(text), direction)
+    const runs = this.embedder.layout(units)
+    const width = runs.reduce((sum, run) => sum + run.width, 0) * fontSize / 1000
+    const x = direction === 'rtl' ? box.x + box.width - width : box.x
+
+    const operators = ['BT', `1 0 0 -1 ${formatNumber(x)} ${formatNumber(baseline)} Tm`]
+    for (const run of runs) {
+      const hex = run.glyphIds.map((glyphId) => glyphId.toString(16).toUpperCase().padStart(4, '0')).join('')
+      operators.push(`/${run.resourceName} ${formatNumber(fontSize)} Tf`, `<${hex}> Tj`)
+    }
+    operators.push('ET')
+    return operators
+  }
+}
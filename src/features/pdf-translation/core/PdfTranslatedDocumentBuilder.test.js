@@ -0,0 +1,158 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { describe, expect, it } from 'vitest'
+import { PdfTranslatedDocumentBuilder, resolveOverlayMatrix, resolvePageViewBox, shouldUseLineLayout, toPdfFillColor } from './PdfTranslatedDocumentBuilder.js'
+import { PdfFileReader } from './PdfFileReader.js'
+import { PdfFontEmbedder } from './PdfFontEmbedder.js'
+import { PdfSfntFont } from './PdfSfntFont.js'
+import { PdfDict, PdfRef, latin1Bytes, latin1String } from './PdfSyntax.js'
+
+const FONT_PATH = path.resolve(process.cwd(), 'node_modules/pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf')
+const CONTENT = 'BT /F1 12 Tf 10 50 Td (Hello world) Tj ET'
+
+function buildSourcePdf({ encrypted = false, pageAttributes = '' } = {}) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 /MediaBox [0 0 200 100] /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Type /Page /Parent 2 0 R /Contents 4 0 R${pageAttributes} >>`,
+    `<< /Length ${CONTENT.length} >>\nstream\n${CONTENT}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ]
+  let text = '%PDF-1.7\n'
+  const offsets = objects.map((body, index) => {
+    const offset = text.length
+    text += `${index + 1} 0 obj\n${body}\nendobj\n`
+    return offset
+  })
+  const rows = offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n\r\n`).join('')
+  const encrypt = encrypted ? ' /Encrypt << /Filter /Standard >>' : ''
+  return latin1Bytes(`${text}xref\n0 6\n0000000000 65535 f\r\n${rows}trailer\n<< /Size 6 /Root 1 0 R${encrypt} >>\nstartxref\n${text.length}\n%%EOF\n`)
+}
+
+function createPage(block = {}) {
+  return {
+    pageNumber: 1,
+    pageHeight: 100,
+    masks: [{ boundingBox: { x: 10, y: 40, width: 80, height: 14 }, padding: { top: 1, right: 1, bottom: 1, left: 1 }, color: 'rgb(255, 255, 255)' }],
+    blocks: [{ boundingBox: { x: 10, y: 40, width: 80, height: 14 }, fontSize: 12, translatedText: 'Hola mundo', ...block }]
+  }
+}
+
+async function readOverlay(bytes) {
+  const reader = await PdfFileReader.open(bytes)
+  const [page] = await reader.getPages()
+  const contents = page.dict.get('Contents')
+  const overlay = await reader.getObject(contents[contents.length - 1].num)
+  return { reader, page, contents, overlay: latin1String(await reader.decodeStream(overlay)) }
+}
+
+// Every character is one glyph, 500/1000 em wide, drawn from a single font
+function createStubEmbedder() {
+  return {
+    layout: (units) => [{ resourceName: 'TF1', glyphIds: units.map((unit) => unit.codePoint), width: units.length * 500 }],
+    measure: (units, fontSize) => (units.length * 500 * fontSize) / 1000,
+    writeFonts: async () => new PdfDict()
+  }
+}
+
+describe('PdfTranslatedDocumentBuilder', () => {
+  it('wraps the original content and draws masks and translated text over it', async () => {
+    const font = new PdfSfntFont(new Uint8Array(fs.readFileSync(FONT_PATH)))
+    const builder = new PdfTranslatedDocumentBuilder(await PdfFileReader.open(buildSourcePdf()), new PdfFontEmbedder([font]))
+
+    const { reader, page, contents, overlay } = await readOverlay(await builder.build([createPage()]))
+
+    expect(contents).toHaveLength(3)
+    expect(contents[1].num).toBe(4)
+    expect(latin1String(await reader.decodeStream(await reader.getObject(contents[0].num)))).toBe('q\n')
+
+    expect(overlay.startsWith('Q\nq\n1 0 0 -1 0 100 cm\n')).toBe(true)
+    expect(overlay).toContain('1 1 1 rg\n9 39 82 16 re\nf')
+    expect(overlay).toContain('10 40 80 14 re\nW n')
+    expect(overlay).toMatch(/1 0 0 -1 10 49\.6 Tm\n\/TF1 12 Tf\n<[0-9A-F]+> Tj/)
+
+    const fonts = page.dict.get('Resources').get('Font')
+    expect(fonts.get('F1')).toBeInstanceOf(PdfRef)
+    const type0 = await reader.getObject(fonts.get('TF1').num)
+    expect(type0.get('Subtype').name).toBe('Type0')
+    expect(type0.get('BaseFont').name).toMatch(/^[A-Z]{6}\+LiberationSans$/)
+
+    const toUnicode = latin1String(await reader.decodeStream(await reader.getObject(type0.get('ToUnicode').num)))
+    expect(toUnicode).toContain('<0048>')
+  })
+
+  it('shrinks text that does not fit the block', async () => {
+    const builder = new PdfTranslatedDocumentBuilder(await PdfFileReader.open(buildSourcePdf()), createStubEmbedder())
+    const { overlay } = await readOverlay(await builder.build([createPage({ translatedText: 'x'.repeat(15) })]))
+
+    // 15 glyphs at 6pt per 12pt em are 90pt wide; the box is 80pt
+    expect(overlay).toContain('/TF1 10.2 Tf')
+  })
+
+  it('right-aligns right-to-left text', async () => {
+    const builder = new PdfTranslatedDocumentBuilder(await PdfFileReader.open(buildSourcePdf()), createStubEmbedder())
+    const { overlay } = await readOverlay(await builder.build([createPage({ translatedText: 'سلام' })]))
+
+    // Shaped into three glyphs (lam-alef is one ligature) in visual order, ending at 10 + 80
+    expect(overlay).toContain('1 0 0 -1 72 49.6 Tm')
+    expect(overlay).toContain('<FEE1FEFCFEB3> Tj')
+  })
+
+  it('places structured blocks line by line when the line count is kept', async () => {
+    const builder = new PdfTranslatedDocumentBuilder(await PdfFileReader.open(buildSourcePdf()), createStubEmbedder())
+    const block = {
+      isStructured: true,
+      translatedText: 'uno\ndos',
+      lines: [
+        { boundingBox: { x: 10, y: 40, width: 80, height: 7 } },
+        { boundingBox: { x: 10, y: 47, width: 80, height: 7 } }
+      ]
+    }
+    const { overlay } = await readOverlay(await builder.build([createPage(block)]))
+
+    expect(overlay).toContain('1 0 0 -1 10 45.76 Tm')
+    expect(overlay).toContain('1 0 0 -1 10 52.76 Tm')
+  })
+
+  it('maps the overlay through the page boxes and rotation', async () => {
+    const source = buildSourcePdf({ pageAttributes: ' /MediaBox [10 20 210 120] /CropBox [0 0 300 300] /Rotate 270' })
+    const builder = new PdfTranslatedDocumentBuilder(await PdfFileReader.open(source), createStubEmbedder())
+    const { overlay } = await readOverlay(await builder.build([createPage()]))
+
+    expect(overlay.startsWith('Q\nq\n0 -1 -1 0 210 120 cm\n')).toBe(true)
+  })
+
+  it('inverts the viewer transform of the page', () => {
+    const apply = ([a, b, c, d, e, f], [x, y]) => [a * x + c * y + e, b * x + d * y + f]
+
+    expect(resolveOverlayMatrix([0, 50, 200, 150])).toEqual([1, 0, 0, -1, 0, 150])
+    // Rotated a quarter turn, the top-left corner of the view is the page's bottom-left
+    expect(apply(resolveOverlayMatrix([0, 0, 200, 100], 90), [0, 0])).toEqual([0, 0])
+    expect(apply(resolveOverlayMatrix([0, 0, 200, 100], 90), [100, 0])).toEqual([0, 100])
+    expect(apply(resolveOverlayMatrix([0, 0, 200, 100], 180), [0, 0])).toEqual([200, 0])
+    expect(resolveOverlayMatrix([0, 0, 200, 100], 45)).toEqual(resolveOverlayMatrix([0, 0, 200, 100], 0))
+  })
+
+  it('clips the crop box to the media box', () => {
+    expect(resolvePageViewBox([0, 0, 200, 100], [50, -10, 250, 80])).toEqual([50, 0, 200, 80])
+    expect(resolvePageViewBox([0, 0, 200, 100], [300, 300, 400, 400])).toEqual([0, 0, 200, 100])
+    expect(resolvePageViewBox(null, null)).toEqual([0, 0, 612, 792])
+  })
+
+  it('rejects encrypted documents', async () => {
+    const builder = new PdfTranslatedDocumentBuilder(await PdfFileReader.open(buildSourcePdf({ encrypted: true })), createStubEmbedder())
+    await expect(builder.build([createPage()])).rejects.toThrow('Encrypted PDF')
+  })
+
+  it('follows the overlay rule for line layout', () => {
+    const lines = [{}, {}]
+    expect(shouldUseLineLayout({ isStructured: true, lines, translatedText: 'a\nb' })).toBe(true)
+    expect(shouldUseLineLayout({ isStructured: true, lines, translatedText: 'a b' })).toBe(false)
+    expect(shouldUseLineLayout({ isStructured: false, lines, translatedText: 'a\nb' })).toBe(false)
+  })
+
+  it('converts overlay colors to fill operators', () => {
+    expect(toPdfFillColor('rgb(255, 0, 51)')).toBe('1 0 0.2 rg')
+    expect(toPdfFillColor(null)).toBe('1 1 1 rg')
+  })
+})
@@ -0,0 +1,17 @@
+/**
+ * Screen Capture Event Constants
+ * Used for decoupled communication between ScreenCaptureCoordinator and the capture overlay UI
+ */
+export const SCREEN_CAPTURE_EVENTS = {
+  // Emitted when OCR lines are ready or their translation arrived
+  // Payload: { id, lines, coordinates, isLoading, direction }
+  OVERLAY_SHOW: 'screen-capture-overlay-show',
+
+  // Emitted when translating the OCR lines failed
+  // Payload: { id, error }
+  OVERLAY_ERROR: 'screen-capture-overlay-error',
+
+  // Emitted when the overlay should be dismissed
+  // Payload: { reason }
+  OVERLAY_HIDE: 'screen-capture-overlay-hide'
+};
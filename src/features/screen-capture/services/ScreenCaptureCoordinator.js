@@ -3,6 +3,17 @@ import { SELECTION_EVENTS } from '@/features/text-selection/events/SelectionEven
 import { TranslationMode } from '@/shared/config/config.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { SUPPORTED_OCR_LANGUAGES } from '@/features/screen-capture/utils/ocrLanguageMap.js';
+import { getTranslationString } from '@/utils/i18n/i18n.js';
+import { openOptionsPage } from '@/core/helpers.js';
+import NotificationManager from '@/core/managers/core/NotificationManager.js';
+import { settingsManager } from '@/shared/managers/SettingsManager.js';
+import { contentScriptIntegration } from '@/shared/messaging/core/ContentScriptIntegration.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { MessageContexts } from '@/shared/messaging/core/MessagingCore.js';
+import { ScreenCaptureDisplayMode, joinOcrLines, mapTranslatedLines } from '@/features/screen-capture/utils/ocrLines.js';
+import { SCREEN_CAPTURE_EVENTS } from '@/features/screen-capture/events/ScreenCaptureEvents.js';
+import { applyCaptureMasks, loadCapturePixels } from '@/features/screen-capture/utils/captureMask.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.SCREEN_CAPTURE, 'ScreenCaptureCoordinator');
 
@@ -16,6 +27,7 @@ export class ScreenCaptureCoordinator {
     // Future values could include 'sidepanel' or 'mobilesheet'
     this.target = 'window'; 
     this.activeSessionId = null;
+    this.notificationManager = null;
   }
 
   /**
@@ -35,10 +47,37 @@ export class ScreenCaptureCoordinator {
     this.activeSessionId = null;
   }
 
+  /**
+   * Refuse a capture whose OCR model is not installed and offer to download it.
+   * Models are never fetched during capture, so this is the offline path.
+   * @param {string|null} [ocrLang] - Tesseract code of the missing model
+   */
+  async handleMissingModel(ocrLang = null) {
+    this.cancelSession();
+
+    const languageName = SUPPORTED_OCR_LANGUAGES.find(lang => lang.code === ocrLang)?.name;
+    const message = languageName
+      ? (await getTranslationString('screen_capture_error_model_missing_lang') || 'The {lang} OCR model is not installed.').replace('{lang}', languageName)
+      : await getTranslationString('screen_capture_error_model_missing') || 'Language model not installed. Please download it from OCR settings.';
+    const downloadLabel = await getTranslationString('screen_capture_model_download_action') || 'Download model';
+
+    logger.info(`Refusing capture: OCR model ${ocrLang || '(unknown)'} is not installed`);
+
+    this.notificationManager ??= new NotificationManager();
+    this.notificationManager.show(message, 'error', 8000, {
+      id: 'screen-capture-error',
+      actions: [{
+        label: downloadLabel,
+        onClick: () => openOptionsPage('ocr')
+      }]
+    });
+  }
+
   /**
    * Handle the OCR result by routing it to the configured target.
    * @param {Object} data - The OCR result data
    * @param {string} data.text - Extracted text
+   * @param {Array<Object>} [data.lines] - OCR lines with device-pixel boxes (see normalizeOcrLines)
    * @param {string} data.imageData - Base64 image data (optional)
    * @param {Object} data.coordinates - Captured area coordinates (device pixels)
    * @param {string} data.captureType - 'area' | 'fullscreen'
@@ -46,7 +85,7 @@ export class ScreenCaptureCoordinator {
    * @param {number} data.captureId - The session ID this result belongs to
    */
   async handleResult(data) {
-    const { text, coordinates, captureType = 'area', captureId } = data;
+    const { text, lines = [], imageData, coordinates, captureType = 'area', captureId } = data;
     
     // Validate session
     if (captureId && this.activeSessionId && captureId !== this.activeSessionId) {
@@ -72,6 +111,12 @@ export class ScreenCaptureCoordinator {
     });
 
     try {
+      const displayMode = settingsManager.get('SCREEN_CAPTURE_DISPLAY_MODE', ScreenCaptureDisplayMode.WINDOW);
+      if (displayMode === ScreenCaptureDisplayMode.LINES && lines.length > 0) {
+        await this.dispatchToLineOverlay(lines, coordinates, captureId, imageData);
+        return;
+      }
+
       switch (this.target) {
         case 'window':
           await this.dispatchToWindowsManager(text, coordinates, captureType);
@@ -90,6 +135,58 @@ export class ScreenCaptureCoordinator {
     }
   }
 
+  /**
+   * Translate OCR lines with the screen capture provider and paint each
+   * translated line over its box. Only text is sent, so any provider works.
+   * @param {Array<Object>} lines - OCR lines with device-pixel boxes
+   * @param {Object} coordinates - Captured area coordinates (device pixels)
+   * @param {number} [captureId] - Session ID used as overlay ID
+   * @param {string} [imageData] - Capture data URL, sampled for mask colors
+   */
+  async dispatchToLineOverlay(lines, coordinates, captureId, imageData = null) {
+    const id = captureId || Date.now();
+    const maskOptions = {
+      pixels: await loadCapturePixels(imageData),
+      bounds: coordinates && 'x' in coordinates ? coordinates : null
+    };
+    pageEventBus.emit(SCREEN_CAPTURE_EVENTS.OVERLAY_SHOW, {
+      id,
+      lines: applyCaptureMasks(lines, maskOptions),
+      coordinates,
+      isLoading: true
+    });
+
+    try {
+      const result = await contentScriptIntegration.sendTranslationRequest({
+        action: MessageActions.TRANSLATE,
+        messageId: `screen-capture-${id}`,
+        data: {
+          text: joinOcrLines(lines),
+          mode: TranslationMode.ScreenCapture,
+          sourceLanguage: 'auto',
+          targetLanguage: settingsManager.get('TARGET_LANGUAGE', 'en')
+        },
+        context: MessageContexts.CAPTURE_MANAGER
+      });
+
+      const translatedText = result?.translatedText ?? result?.data?.translatedText ?? result?.result?.translatedText;
+      if (!translatedText) {
+        throw result?.error || new Error('Empty translation');
+      }
+
+      pageEventBus.emit(SCREEN_CAPTURE_EVENTS.OVERLAY_SHOW, {
+        id,
+        lines: applyCaptureMasks(mapTranslatedLines(lines, translatedText), maskOptions),
+        coordinates,
+        isLoading: false,
+        direction: result?.direction ?? result?.data?.direction ?? 'ltr'
+      });
+    } catch (error) {
+      logger.warn('Failed to translate OCR lines', error);
+      pageEventBus.emit(SCREEN_CAPTURE_EVENTS.OVERLAY_ERROR, { id, error });
+    }
+  }
+
   /**
    * Dispatch text to WindowsManager for translation display.
    * Uses decoupled event-based communication via PageEventBus.
@@ -2,6 +2,8 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { screenCaptureCoordinator } from '../ScreenCaptureCoordinator.js';
 import { pageEventBus } from '@/core/PageEventBus.js';
 import { TranslationMode } from '@/shared/config/config.js';
+import { contentScriptIntegration } from '@/shared/messaging/core/ContentScriptIntegration.js';
+import { SCREEN_CAPTURE_EVENTS } from '@/features/screen-capture/events/ScreenCaptureEvents.js';
 
 // Mock pageEventBus
 vi.mock('@/core/PageEventBus.js', () => ({
@@ -10,6 +12,41 @@ vi.mock('@/core/PageEventBus.js', () => ({
   }
 }));
 
+const mockShowNotification = vi.hoisted(() => vi.fn());
+
+vi.mock('@/core/managers/core/NotificationManager.js', () => ({
+  default: class NotificationManager {
+    show(...args) {
+      return mockShowNotification(...args);
+    }
+  }
+}));
+
+vi.mock('@/utils/i18n/i18n.js', () => ({
+  getTranslationString: vi.fn(async (key) => ({
+    screen_capture_error_model_missing_lang: 'The {lang} OCR model is not installed.',
+    screen_capture_model_download_action: 'Download model'
+  }[key] || null))
+}));
+
+vi.mock('@/core/helpers.js', () => ({
+  openOptionsPage: vi.fn()
+}));
+
+const mockSettings = vi.hoisted(() => ({}));
+
+vi.mock('@/shared/managers/SettingsManager.js', () => ({
+  settingsManager: {
+    get: (key, defaultValue) => mockSettings[key] ?? defaultValue
+  }
+}));
+
+vi.mock('@/shared/messaging/core/ContentScriptIntegration.js', () => ({
+  contentScriptIntegration: {
+    sendTranslationRequest: vi.fn()
+  }
+}));
+
 describe('ScreenCaptureCoordinator', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -23,6 +60,27 @@ describe('ScreenCaptureCoordinator', () => {
 
   afterEach(() => {
     vi.resetAllMocks();
+    delete mockSettings.SCREEN_CAPTURE_DISPLAY_MODE;
+  });
+
+  describe('handleMissingModel', () => {
+    it('cancels the session and offers to download the model', async () => {
+      const { openOptionsPage } = await import('@/core/helpers.js');
+      screenCaptureCoordinator.startSession(42);
+
+      await screenCaptureCoordinator.handleMissingModel('fas');
+
+      expect(screenCaptureCoordinator.activeSessionId).toBeNull();
+      expect(mockShowNotification).toHaveBeenCalledWith(
+        'The Persian OCR model is not installed.',
+        'error',
+        expect.any(Number),
+        expect.objectContaining({ actions: [expect.objectContaining({ label: 'Download model' })] })
+      );
+
+      mockShowNotification.mock.calls[0][3].actions[0].onClick();
+      expect(openOptionsPage).toHaveBeenCalledWith('ocr');
+    });
   });
 
   describe('handleResult', () => {
@@ -118,4 +176,57 @@ describe('ScreenCaptureCoordinator', () => {
       expect(options._coordinateSpace).toBe('device-pixel');
     });
   });
+
+  describe('line overlay', () => {
+    const lines = [
+      { text: 'Open menu', confidence: 90, bbox: { x: 10, y: 20, width: 100, height: 20 } },
+      { text: 'Settings', confidence: 80, bbox: { x: 10, y: 50, width: 80, height: 20 } }
+    ];
+
+    beforeEach(() => {
+      mockSettings.SCREEN_CAPTURE_DISPLAY_MODE = 'lines';
+    });
+
+    it('translates the OCR lines as text and shows them over their boxes', async () => {
+      contentScriptIntegration.sendTranslationRequest.mockResolvedValue({
+        success: true,
+        translatedText: 'Menü öffnen\nEinstellungen'
+      });
+      screenCaptureCoordinator.startSession(7);
+
+      await screenCaptureCoordinator.handleResult({ text: 'Open menu\nSettings', lines, captureId: 7 });
+
+      expect(contentScriptIntegration.sendTranslationRequest).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ text: 'Open menu\nSettings', mode: TranslationMode.ScreenCapture })
+      }));
+      expect(pageEventBus.emit).toHaveBeenCalledWith(SCREEN_CAPTURE_EVENTS.OVERLAY_SHOW, expect.objectContaining({ id: 7, isLoading: true }));
+      expect(pageEventBus.emit).toHaveBeenLastCalledWith(SCREEN_CAPTURE_EVENTS.OVERLAY_SHOW, expect.objectContaining({
+        id: 7,
+        isLoading: false,
+        lines: [
+          expect.objectContaining({ translatedText: 'Menü öffnen', bbox: lines[0].bbox }),
+          expect.objectContaining({ translatedText: 'Einstellungen', bbox: lines[1].bbox })
+        ]
+      }));
+    });
+
+    it('reports translation failures to the overlay', async () => {
+      contentScriptIntegration.sendTranslationRequest.mockResolvedValue({ success: false, error: new Error('quota') });
+      screenCaptureCoordinator.startSession(8);
+
+      await screenCaptureCoordinator.handleResult({ text: 'Open menu', lines, captureId: 8 });
+
+      expect(pageEventBus.emit).toHaveBeenLastCalledWith(SCREEN_CAPTURE_EVENTS.OVERLAY_ERROR, {
+        id: 8,
+        error: expect.objectContaining({ message: 'quota' })
+      });
+    });
+
+    it('uses the translation window when OCR returned no lines', async () => {
+      await screenCaptureCoordinator.handleResult({ text: 'Hello', lines: [] });
+
+      expect(contentScriptIntegration.sendTranslationRequest).not.toHaveBeenCalled();
+      expect(pageEventBus.emit).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ text: 'Hello' }));
+    });
+  });
 });
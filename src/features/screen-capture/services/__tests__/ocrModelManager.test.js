@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ocrCache } from '../../utils/ocrCache.js';
+import {
+  OcrModelSource,
+  OcrModelStatus,
+  computeModelChecksum,
+  getLanguageFromModelFileName,
+  getOcrModelInfo,
+  getOcrModelUrl,
+  importOcrModelFile,
+  installOcrModel,
+  isTrainedData,
+  verifyOcrModel
+} from '../ocrModelManager.js';
+
+vi.mock('../../utils/ocrCache.js', () => ({
+  ocrCache: {
+    saveModel: vi.fn().mockResolvedValue(),
+    getModel: vi.fn().mockResolvedValue(null),
+    getModelInfo: vi.fn().mockResolvedValue(null),
+    saveModelInfo: vi.fn().mockResolvedValue(),
+    getTesseractCachedModel: vi.fn().mockResolvedValue(null),
+    saveTesseractCachedModel: vi.fn().mockResolvedValue(),
+    listCachedLanguages: vi.fn().mockResolvedValue([]),
+    hasModel: vi.fn().mockResolvedValue(false)
+  }
+}));
+
+vi.mock('../ocrModelManifest.js', () => ({
+  OCR_MODEL_BASE_URL: 'https://cdn.example/npm/@tesseract.js-data',
+  OCR_MODEL_PACKAGE_VERSION: '1.0.0',
+  OCR_MODEL_VARIANT: '4.0.0_best_int',
+  OCR_MODEL_MANIFEST: {
+    // SHA-256 of GZIP_MODEL below
+    fas: { sha256: '9d1011ce9a9221ec2cbde2cc63ce50401fda24a6ffbf96a97b55552cc9e035e3', size: 10 },
+    eng: { sha256: '0'.repeat(64), size: 10 }
+  }
+}));
+
+const GZIP_MODEL = new Uint8Array([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 3]);
+// Plain traineddata: little-endian entry count (23) followed by offsets
+const PLAIN_MODEL = new Uint8Array([23, 0, 0, 0, 0, 0, 0, 0, 1, 2]);
+
+const modelFile = (name, bytes) => ({ name, arrayBuffer: async () => bytes.buffer.slice(0) });
+
+describe('ocrModelManager', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ocrCache.getModel.mockResolvedValue(null);
+    ocrCache.getModelInfo.mockResolvedValue(null);
+    ocrCache.getTesseractCachedModel.mockResolvedValue(null);
+  });
+
+  it('recognizes gzipped and plain traineddata', () => {
+    expect(isTrainedData(GZIP_MODEL)).toBe(true);
+    expect(isTrainedData(PLAIN_MODEL.buffer)).toBe(true);
+    expect(isTrainedData(new TextEncoder().encode('<html>Not Found</html>'))).toBe(false);
+    expect(isTrainedData(new Uint8Array([1, 2, 3]))).toBe(false);
+  });
+
+  it.each([
+    ['fas.traineddata.gz', 'fas'],
+    ['/downloads/chi_sim.traineddata', 'chi_sim'],
+    ['notes.txt', null]
+  ])('reads the language of %s', (name, expected) => {
+    expect(getLanguageFromModelFileName(name)).toBe(expected);
+  });
+
+  it('stores a model with its size and checksum', async () => {
+    const info = await installOcrModel('fa', GZIP_MODEL);
+
+    expect(ocrCache.saveModel).toHaveBeenCalledWith('fas', GZIP_MODEL);
+    expect(ocrCache.saveModelInfo).toHaveBeenCalledWith('fas', expect.objectContaining({
+      size: GZIP_MODEL.length,
+      checksum: await computeModelChecksum(GZIP_MODEL),
+      source: OcrModelSource.DOWNLOAD
+    }));
+    expect(info.lang).toBe('fas');
+  });
+
+  it('downloads models from their pinned package', () => {
+    expect(getOcrModelUrl('fa'))
+      .toBe('https://cdn.example/npm/@tesseract.js-data/fas@1.0.0/4.0.0_best_int/fas.traineddata.gz');
+  });
+
+  it('rejects a download that differs from its published checksum', async () => {
+    await expect(installOcrModel('eng', GZIP_MODEL)).rejects.toThrow('checksum-mismatch');
+    expect(ocrCache.saveModel).not.toHaveBeenCalled();
+    expect(ocrCache.saveTesseractCachedModel).not.toHaveBeenCalled();
+  });
+
+  it('stores downloads the manifest does not list without verifying them', async () => {
+    await installOcrModel('deu', GZIP_MODEL);
+
+    expect(ocrCache.saveModel).toHaveBeenCalledWith('deu', GZIP_MODEL);
+  });
+
+  it('does not check imported files against the manifest', async () => {
+    await installOcrModel('eng', GZIP_MODEL, OcrModelSource.IMPORT);
+
+    expect(ocrCache.saveModel).toHaveBeenCalledWith('eng', GZIP_MODEL);
+  });
+
+  it('refuses data that is not a model', async () => {
+    await expect(installOcrModel('eng', new TextEncoder().encode('<html>Error</html>')))
+      .rejects.toThrow('invalid-model');
+    expect(ocrCache.saveModel).not.toHaveBeenCalled();
+  });
+
+  it('imports a model file named after its language', async () => {
+    const info = await importOcrModelFile(modelFile('deu.traineddata', PLAIN_MODEL));
+
+    expect(info).toMatchObject({ lang: 'deu', source: OcrModelSource.IMPORT });
+    await expect(importOcrModelFile(modelFile('model.bin', PLAIN_MODEL))).rejects.toThrow('unknown-language');
+    await expect(importOcrModelFile(modelFile('xyz.traineddata', PLAIN_MODEL))).rejects.toThrow('unknown-language');
+  });
+
+  it('records size and checksum of models installed without them', async () => {
+    ocrCache.getModel.mockResolvedValue(GZIP_MODEL);
+
+    const info = await getOcrModelInfo('eng');
+
+    expect(info).toMatchObject({ lang: 'eng', size: GZIP_MODEL.length, source: OcrModelSource.UNKNOWN });
+    expect(ocrCache.saveModelInfo).toHaveBeenCalledWith('eng', expect.objectContaining({ size: GZIP_MODEL.length }));
+  });
+
+  describe('verifyOcrModel', () => {
+    it('reports missing models', async () => {
+      expect((await verifyOcrModel('eng')).status).toBe(OcrModelStatus.MISSING);
+    });
+
+    it('accepts a model whose copies match the recorded checksum', async () => {
+      const checksum = await computeModelChecksum(GZIP_MODEL);
+      ocrCache.getModelInfo.mockResolvedValue({ lang: 'eng', size: GZIP_MODEL.length, checksum });
+      ocrCache.getModel.mockResolvedValue(GZIP_MODEL);
+      ocrCache.getTesseractCachedModel.mockResolvedValue(GZIP_MODEL);
+
+      expect((await verifyOcrModel('eng')).status).toBe(OcrModelStatus.VALID);
+      expect(ocrCache.saveTesseractCachedModel).not.toHaveBeenCalled();
+    });
+
+    it('detects changed model data', async () => {
+      ocrCache.getModelInfo.mockResolvedValue({ lang: 'eng', size: 10, checksum: 'f'.repeat(64) });
+      ocrCache.getModel.mockResolvedValue(GZIP_MODEL);
+
+      expect((await verifyOcrModel('eng')).status).toBe(OcrModelStatus.CHECKSUM_MISMATCH);
+    });
+
+    it('checks downloaded models against their published checksum', async () => {
+      const checksum = await computeModelChecksum(GZIP_MODEL);
+      ocrCache.getModelInfo.mockResolvedValue({ lang: 'eng', size: GZIP_MODEL.length, checksum, source: OcrModelSource.DOWNLOAD });
+      ocrCache.getModel.mockResolvedValue(GZIP_MODEL);
+      ocrCache.getTesseractCachedModel.mockResolvedValue(GZIP_MODEL);
+
+      expect((await verifyOcrModel('eng')).status).toBe(OcrModelStatus.CHECKSUM_MISMATCH);
+    });
+
+    it('rewrites a missing Tesseract cache copy', async () => {
+      const checksum = await computeModelChecksum(GZIP_MODEL);
+      ocrCache.getModelInfo.mockResolvedValue({ lang: 'eng', size: GZIP_MODEL.length, checksum });
+      ocrCache.getModel.mockResolvedValue(GZIP_MODEL);
+
+      expect((await verifyOcrModel('eng')).status).toBe(OcrModelStatus.REPAIRED);
+      expect(ocrCache.saveTesseractCachedModel).toHaveBeenCalledWith('eng', GZIP_MODEL);
+    });
+  });
+});
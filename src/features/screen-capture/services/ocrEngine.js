@@ -1,10 +1,10 @@
 import browser from 'webextension-polyfill';
 import { ocrCache } from '../utils/ocrCache.js';
+import { getOcrModelLangPath } from './ocrModelManager.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.SCREEN_CAPTURE, 'OCREngine');
-const REMOTE_LANG_PATH = 'https://tessdata.projectnaptha.com/4.0.0_fast';
 const TESSERACT_CACHE_PATH = '.';
 
 let worker = null;
@@ -60,7 +60,7 @@ async function initWorker(lang) {
   logger.debug(`Initializing Tesseract.js v7 worker for ${lang}`, {
     workerPath,
     corePath,
-    langPath: REMOTE_LANG_PATH,
+    langPath: getOcrModelLangPath(lang),
     cachePath: TESSERACT_CACHE_PATH,
     cacheMethod
   });
@@ -84,7 +84,7 @@ async function initWorker(lang) {
     worker = await createWorker(lang, 1, {
       workerPath,
       corePath,
-      langPath: REMOTE_LANG_PATH,
+      langPath: getOcrModelLangPath(lang),
       cachePath: TESSERACT_CACHE_PATH,
       cacheMethod,
       workerBlobURL: false,
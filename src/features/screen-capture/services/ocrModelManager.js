@@ -0,0 +1,297 @@
+/**
+ * OCR Model Manager - installs, imports and verifies Tesseract language models.
+ *
+ * Models are stored by `ocrCache` together with their size, SHA-256 checksum
+ * and origin. Downloads are checked against the published checksums in
+ * `ocrModelManifest.js` before they are stored; verifying a model re-hashes
+ * both stored copies (ours and the Tesseract.js mirror the engine reads) so
+ * tampered, corrupted or partially written models are caught before OCR runs
+ * offline.
+ */
+
+import { ocrCache } from '../utils/ocrCache.js';
+import { toTesseractLanguageCode, SUPPORTED_OCR_LANGUAGES } from '../utils/ocrLanguageMap.js';
+import { OCR_MODEL_BASE_URL, OCR_MODEL_PACKAGE_VERSION, OCR_MODEL_VARIANT, OCR_MODEL_MANIFEST } from './ocrModelManifest.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.SCREEN_CAPTURE, 'OCRModelManager');
+
+export const OcrModelSource = Object.freeze({
+  DOWNLOAD: 'download',
+  IMPORT: 'import',
+  UNKNOWN: 'unknown'
+});
+
+export const OcrModelStatus = Object.freeze({
+  VALID: 'valid',
+  REPAIRED: 'repaired',
+  MISSING: 'missing',
+  CORRUPT: 'corrupt',
+  CHECKSUM_MISMATCH: 'checksum-mismatch'
+});
+
+// Upper bound on tessdata component count; real files have about 20
+const MAX_TESSDATA_ENTRIES = 1000;
+
+/**
+ * @param {string} lang - Tesseract or app language code
+ * @returns {string} URL of the directory serving the model (Tesseract's langPath)
+ */
+export function getOcrModelLangPath(lang) {
+  return `${OCR_MODEL_BASE_URL}/${toTesseractLanguageCode(lang)}@${OCR_MODEL_PACKAGE_VERSION}/${OCR_MODEL_VARIANT}`;
+}
+
+/**
+ * @param {string} lang - Tesseract or app language code
+ * @returns {string} download URL of the gzipped model
+ */
+export function getOcrModelUrl(lang) {
+  return `${getOcrModelLangPath(lang)}/${toTesseractLanguageCode(lang)}.traineddata.gz`;
+}
+
+/**
+ * @param {string} lang - Tesseract or app language code
+ * @returns {{ sha256: string, size: number }|null} published checksum and size,
+ *   or null for models the manifest does not list
+ */
+export function getOcrModelManifestEntry(lang) {
+  return OCR_MODEL_MANIFEST[toTesseractLanguageCode(lang)] || null;
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function toBytes(data) {
+  return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string>} lowercase hex SHA-256
+ */
+export async function computeModelChecksum(data) {
+  const digest = await crypto.subtle.digest('SHA-256', toBytes(data));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks that data looks like a traineddata file, gzipped or plain.
+ * Plain files start with a little-endian entry count.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {boolean}
+ */
+export function isTrainedData(data) {
+  const bytes = toBytes(data);
+  if (bytes.length < 8) return false;
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) return true;
+
+  const entries = new DataView(bytes.buffer, bytes.byteOffset, 4).getInt32(0, true);
+  return entries > 0 && entries <= MAX_TESSDATA_ENTRIES;
+}
+
+/**
+ * Reads the language code from a model file name, e.g. "fas.traineddata.gz" -> "fas".
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+export function getLanguageFromModelFileName(fileName) {
+  const match = String(fileName || '').match(/([A-Za-z_]+)\.traineddata(?:\.gz)?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Validates, checksums and stores a model. Downloaded models must match their
+ * published checksum; imported files are the user's own and are only validated.
+ * @param {string} lang - Tesseract or app language code
+ * @param {ArrayBuffer|Uint8Array} data - model bytes
+ * @param {string} [source=OcrModelSource.DOWNLOAD]
+ * @returns {Promise<Object>} recorded model info
+ * @throws {Error} 'invalid-model' when the data is not a traineddata file,
+ *   'checksum-mismatch' when a download differs from the published model
+ */
+export async function installOcrModel(lang, data, source = OcrModelSource.DOWNLOAD) {
+  const code = toTesseractLanguageCode(lang);
+  const bytes = toBytes(data);
+  if (!isTrainedData(bytes)) {
+    throw new Error('invalid-model');
+  }
+
+  const checksum = await computeModelChecksum(bytes);
+  if (source === OcrModelSource.DOWNLOAD) {
+    const expected = getOcrModelManifestEntry(code);
+    if (!expected) {
+      logger.warn(`No published checksum for OCR model ${code}; storing the download unverified`);
+    } else if (checksum !== expected.sha256 || bytes.byteLength !== expected.size) {
+      logger.error(`Downloaded OCR model ${code} does not match its published checksum`);
+      throw new Error('checksum-mismatch');
+    }
+  }
+
+  const info = {
+    size: bytes.byteLength,
+    checksum,
+    source,
+    installedAt: Date.now()
+  };
+
+  await ocrCache.saveModel(code, bytes);
+  await ocrCache.saveModelInfo(code, info);
+  logger.info(`Installed OCR model ${code} (${info.size} bytes, ${source})`);
+  return { ...info, lang: code };
+}
+
+/**
+ * Downloads a model and checks that the full file arrived.
+ * @param {string} lang - Tesseract or app language code
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - called with 0-100 when the size is known
+ * @returns {Promise<Uint8Array>}
+ */
+export async function downloadOcrModel(lang, { onProgress } = {}) {
+  const code = toTesseractLanguageCode(lang);
+  const response = await fetch(getOcrModelUrl(code));
+  if (!response.ok) throw new Error(`Failed to download ${code} (HTTP ${response.status})`);
+
+  const total = parseInt(response.headers.get('content-length') || '0', 10);
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    chunks.push(value);
+    loaded += value.length;
+    if (total > 0) onProgress?.(Math.round((loaded / total) * 100));
+  }
+
+  if (total > 0 && loaded !== total) {
+    throw new Error(`Incomplete download for ${code}: ${loaded} of ${total} bytes`);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Installs a model from a user-selected file.
+ * @param {File|Blob} file - .traineddata or .traineddata.gz
+ * @param {string} [lang] - language code; read from the file name when omitted
+ *   (must be a supported OCR language)
+ * @returns {Promise<Object>} recorded model info
+ * @throws {Error} 'unknown-language' or 'invalid-model'
+ */
+export async function importOcrModelFile(file, lang = null) {
+  const code = toTesseractLanguageCode(lang || getLanguageFromModelFileName(file?.name), null);
+  if (!SUPPORTED_OCR_LANGUAGES.some(language => language.code === code)) {
+    throw new Error('unknown-language');
+  }
+
+  const data = new Uint8Array(await file.arrayBuffer());
+  return installOcrModel(code, data, OcrModelSource.IMPORT);
+}
+
+/**
+ * Reads a model's recorded info, recording it first for models installed
+ * before sizes and checksums were tracked.
+ * @param {string} lang - Tesseract or app language code
+ * @returns {Promise<Object|null>} null when the model is not installed
+ */
+export async function getOcrModelInfo(lang) {
+  const code = toTesseractLanguageCode(lang);
+  const info = await ocrCache.getModelInfo(code);
+  if (info) return info;
+
+  const data = await ocrCache.getModel(code);
+  if (!data) return null;
+
+  const bytes = toBytes(data);
+  const backfilled = {
+    size: bytes.byteLength,
+    checksum: await computeModelChecksum(bytes),
+    source: OcrModelSource.UNKNOWN,
+    installedAt: null
+  };
+  await ocrCache.saveModelInfo(code, backfilled);
+  return { ...backfilled, lang: code };
+}
+
+/**
+ * @returns {Promise<Array<Object>>} info for every installed model
+ */
+export async function listInstalledOcrModels() {
+  const languages = await ocrCache.listCachedLanguages();
+  const models = await Promise.all(languages.map(async (lang) => {
+    try {
+      return await getOcrModelInfo(lang);
+    } catch (error) {
+      logger.warn(`Failed to read OCR model info for ${lang}`, error);
+      return null;
+    }
+  }));
+  return models.filter(Boolean);
+}
+
+/**
+ * Re-hashes an installed model against its expected checksum: the published
+ * one for downloaded models, the one recorded at install for the others.
+ * A missing or different Tesseract mirror is rewritten from our copy.
+ * @param {string} lang - Tesseract or app language code
+ * @returns {Promise<{ status: string, info: Object|null }>} status is one of OcrModelStatus
+ */
+export async function verifyOcrModel(lang) {
+  const code = toTesseractLanguageCode(lang);
+  const info = await getOcrModelInfo(code);
+  if (!info) return { status: OcrModelStatus.MISSING, info: null };
+
+  const data = await ocrCache.getModel(code);
+  if (!data || !isTrainedData(data)) return { status: OcrModelStatus.CORRUPT, info };
+
+  const published = info.source === OcrModelSource.DOWNLOAD ? getOcrModelManifestEntry(code) : null;
+  const checksum = await computeModelChecksum(data);
+  if (checksum !== (published?.sha256 ?? info.checksum)) {
+    logger.warn(`OCR model ${code} does not match its ${published ? 'published' : 'recorded'} checksum`);
+    return { status: OcrModelStatus.CHECKSUM_MISMATCH, info };
+  }
+
+  const mirror = await ocrCache.getTesseractCachedModel(code).catch(() => null);
+  if (!mirror || await computeModelChecksum(mirror) !== checksum) {
+    await ocrCache.saveTesseractCachedModel(code, toBytes(data));
+    logger.info(`Rewrote Tesseract cache copy of ${code}`);
+    return { status: OcrModelStatus.REPAIRED, info };
+  }
+
+  return { status: OcrModelStatus.VALID, info };
+}
+
+/**
+ * Asks the model server for a model's download size without downloading it.
+ * @param {string} lang - Tesseract or app language code
+ * @returns {Promise<number|null>} bytes, or null when unknown
+ */
+export async function getRemoteOcrModelSize(lang) {
+  try {
+    const response = await fetch(getOcrModelUrl(lang), { method: 'HEAD' });
+    const size = parseInt(response.headers.get('content-length') || '', 10);
+    return response.ok && size > 0 ? size : null;
+  } catch (error) {
+    logger.debug(`Could not read remote size of ${lang}`, error);
+    return null;
+  }
+}
+
+/**
+ * @param {string} lang - Tesseract or app language code
+ * @returns {Promise<boolean>}
+ */
+export async function isOcrModelInstalled(lang) {
+  return ocrCache.hasModel(toTesseractLanguageCode(lang));
+}
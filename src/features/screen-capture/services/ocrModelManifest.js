@@ -0,0 +1,116 @@
+/**
+ * OCR Model Manifest - expected SHA-256 checksum and size of the downloadable models.
+ *
+ * Models are downloaded from the pinned @tesseract.js-data packages (the LSTM
+ * models Tesseract.js loads by default) and are checked against this manifest
+ * before they are stored. Generated by `scripts/dev/update-ocr-model-manifest.mjs`;
+ * re-run it when OCR_MODEL_PACKAGE_VERSION changes.
+ */
+
+export const OCR_MODEL_BASE_URL = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data';
+
+export const OCR_MODEL_PACKAGE_VERSION = '1.0.0';
+
+// Model flavor inside each language package
+export const OCR_MODEL_VARIANT = '4.0.0_best_int';
+
+export const OCR_MODEL_MANIFEST = Object.freeze({
+  afr: { sha256: 'a2a9ec1631e4d1a80f89518bd60c680464d3b87afa1483178859c1af19fdc9df', size: 1834273 },
+  amh: { sha256: 'f1644849fd6afb587f7b2fea19b02a5c0a2a2f138cb04ff7cf0272ce66e28b80', size: 2366946 },
+  ara: { sha256: 'f4746c44b02342dd5b3d4f0198000f47d7c49f1a229e63e0f436c0592dcd9639', size: 1661906 },
+  asm: { sha256: 'd92c8b7cca44d3e19cf8aaac098eca74acb044a9d68ec614581afeb17c17aa20', size: 1469955 },
+  aze: { sha256: '2652f2c25d74582f4dce0dec6fe6f9c4f0ce445c931642cc69db707af04de8a3', size: 1664212 },
+  bel: { sha256: '642fd20eb04ae62b217800cb39d09bee030554ccee37751cc4e4edaaca51cac2', size: 2106984 },
+  ben: { sha256: 'a7c1fd170b796d6b8d01b401d4bfcc54409f47b313a200e9e3756ce20d742725', size: 1373429 },
+  bod: { sha256: 'e43a8e96ff77d90c25bf401b5282bde758d9d1475d7017c8c6f7bfa4039adb1c', size: 1269959 },
+  bos: { sha256: '3304de098dbdf006ebb365d4f5187686e8eb7e773899ac1d1d2d65a60462ec7c', size: 1155304 },
+  bul: { sha256: 'a38fdba9367316dad1d595427a975756e8c31367fc94a6530d012827833db8d7', size: 1411343 },
+  cat: { sha256: '1003ea7490d8c88b9308ed5dead936910a662fc9a4222cd536b92a17178e41eb', size: 639438 },
+  ceb: { sha256: '331aeeb921acc5d2e6b14f099c59bc1d7fe7fb3355f34ac0c730606319c5cca3', size: 487818 },
+  ces: { sha256: '1ea33a8b6f9a9c18a6aae44a71eda06bbfdc206fe53cf1fc8121fb74def99166', size: 2225029 },
+  chi_sim: { sha256: 'b8a23f10c7de500891eb458a8adc9cc58ab7f242f08b7d149f5e9aea4ad5db7c', size: 1718768 },
+  chi_tra: { sha256: '11fe2610dab05d8a880d02f193ce70203f4c4bbe061b987d5529a2c038a22743', size: 1656239 },
+  cym: { sha256: '9aa1e5a953c3241b74f9894252de51637c5d1ba1a11c1cf772f6db7cff0ca935', size: 1363985 },
+  dan: { sha256: '6af1a07c22894b728ebc75f0fd0c8519eca002cfab6da903eb4d62e24f163abc', size: 1845116 },
+  deu: { sha256: '306c4280d0cbed46fbff727486bd43b92730181bae80f56941a091f363bdf28b', size: 1333102 },
+  ell: { sha256: 'e8a293abb398ec479176c1575aef24e2bacb0611c713f3fa996f97f0cd996fb3', size: 1324749 },
+  eng: { sha256: '45b4cb346724ac1774f1c36f42f182b887bcdb28ebe63e6fff90ac41f3fcff91', size: 2952873 },
+  enm: { sha256: 'fe43ca0328ded47ffb312f14a1659729a7947e919265571670137beb49f2f05b', size: 1991361 },
+  epo: { sha256: '34e89c4f626c87fda7fe1769b748775b321869b2cbcb17944942a503b398f15c', size: 2144471 },
+  est: { sha256: '27a3ddb4ec40348c36277463285221c8638de4ac126e7da88af36837d2db9a4a', size: 3101722 },
+  eus: { sha256: 'e5a4ba32654272462f3a87965ae9812a98b787f4d437dd63914b85b1c2bf8ea7', size: 2240649 },
+  fas: { sha256: 'b5847360e25f646c55449f1fe93eee57d53e406a265ead2374e7320bf0b82025', size: 424507 },
+  fil: { sha256: '73e2af0cad8544a533581f6a036ca312ca3c45bc9d51451b19979ae4313da003', size: 1506936 },
+  fin: { sha256: '138c59f6a0bef68fd98d8baf565477f5cdb5198bfc4a68e558efd3b6a57acadd', size: 3795323 },
+  fra: { sha256: 'd611139672b3752c7097e671e4a1d9209dfd37f2aeb081ef6487fba3351e9255', size: 707406 },
+  frk: { sha256: '22186f9eae55cdc13846ea4d586f24f9fe64765c5400c41c2c46e55a8bb735be', size: 3362304 },
+  gle: { sha256: '89a1eca11aff0e62280bdaa6c0344eb1de765b67058a7cbace95bf5b8b4b7be4', size: 678843 },
+  glg: { sha256: '950fe77dd9218d2bf642eeb423ab78fc2b3c7dab47c54cac6ccae2d1f81817f8', size: 1743024 },
+  guj: { sha256: 'f23bec3f02feca371fb37fe1733fca94881af376dc06ede6168ca54068f20efc', size: 1219824 },
+  hat: { sha256: 'e8e31b94b546c840739d69e9066633cd336c939ad5ffdaf81acac5e40ff6a2e2', size: 1515839 },
+  heb: { sha256: '9c70b524200dae77fb25e3567566eee600ccbcae9aeb89722990ccae0e84e805', size: 580576 },
+  hin: { sha256: 'f3b6a0d320df38d886178cdd727b90dbf9df3db053adb32bd9cf73f0463cda07', size: 1389692 },
+  hrv: { sha256: '3256cd52165cb82f5f136264daf68ee54320ee68fad6a4a9ddfd1bc1861f806a', size: 2290948 },
+  hun: { sha256: '99feb1ac618ddd39942d646f1df792e5bd4504df45e1ef68e47df51db476a2ed', size: 2854466 },
+  hye: { sha256: 'ff791a6c85736354350a487b40fa58337372e03291abf97863916aea35d603e8', size: 1620716 },
+  ind: { sha256: 'a8896d2f584a5baae73d658b86b765acc7b15b7ba05e014f62b1a2a23b699a91', size: 1194182 },
+  isl: { sha256: '002a0b366f0e96c06a65896033b0aabb313c6cc4c6d9c9cca0969dee11ff1f56', size: 1696807 },
+  ita: { sha256: 'f702fcfad297ce028ede3626d1467b67939f23ff23595f9badd54681cf25a4d3', size: 1660998 },
+  jav: { sha256: '2a4f959dd02bc2013f958297c1c897b259f8c3b104659265d457c849b268a2bc', size: 1645119 },
+  jpn: { sha256: '2b63ebfbf1484de4a08ce53b29ef98a1c17658a93cbd38acb665d7d316d0be88', size: 2030256 },
+  kan: { sha256: '3ce2f873f3a8371e82a85c204fcfae1635e01b5796be26df0610e6916cb54cf0', size: 1914250 },
+  kat: { sha256: '74505e238b208fc30471654b9f694bda08e521cdc7c8a5e0846d1340ed585899', size: 1088063 },
+  kaz: { sha256: '3c93708c240722194d473931c097e09f02510fe8b7593fa0c33ceb90ee87095a', size: 2137822 },
+  kir: { sha256: '31c9579841744bc53dcf59392a63eb77e3ea648f67ef53106720c39d23281256', size: 4448704 },
+  kor: { sha256: '78c21276ab14c9bb734d83be1055d9fe5469a4e7e977c51ad385be5737e61126', size: 1572336 },
+  lao: { sha256: '660306d4a42941426256c723a7d6d3b65f81e6c428e5f83d5f25180a486d0011', size: 3699720 },
+  lat: { sha256: '22101c28f8f9b3e0b08a526a3e7895bb319d1e876684a150901c2e8580060e31', size: 1739234 },
+  lav: { sha256: '08bc2d5fd9c66a1893f2c4e131e3410321f4079e6d41810898706be49ae02a9c', size: 1318441 },
+  lit: { sha256: 'b8dd9f13ee6570cd791b6e074176823f00fcf2c8102c0d37b665e7723933cd91', size: 1901451 },
+  ltz: { sha256: '2b33cc540a20d5ace6c73b6a081a220333f0dc3b0b903d30f6aa65df93ab0114', size: 1816965 },
+  mal: { sha256: 'a4a5b24474889dbbe9943bb3cb7b24819c1cd594f2f371340bba83c30fd81bf0', size: 2794667 },
+  mar: { sha256: 'e4c20d649ab646e1d46da35f45d357eea25b7f28af4b0a7af3e205abaf6be788', size: 1966154 },
+  mkd: { sha256: '043ca096871a4b58bb1b3bca34c6793187e060a12f3d1384ab4e6d8d77e8b802', size: 719182 },
+  mlt: { sha256: '756b8c1962b8d68dd5a3868b6106f49004d4f66b877c9c018c88a9a1d9ff07ac', size: 1164274 },
+  mon: { sha256: '75abf4620220c6a9f84bbc25e548f1c3408ce2c3abd5904dfc1cc00f9d5ce3b2', size: 1318327 },
+  mri: { sha256: 'e31d5b0810182f6181f00e9ed5121f858e0f1c40f972c59b0c6b6fbbd1b29a08', size: 545094 },
+  msa: { sha256: '35ae490b99462d04cf4e2a7985d98f0ba5e10ca62adb13aeda070c6f1783f097', size: 1177136 },
+  mya: { sha256: 'a6ac329fbc61a902c05bb10ec7a863e9983e3da65dc558fe1db909b61af67ce4', size: 2691297 },
+  nep: { sha256: 'cda17f5f7c18a81167be44ce4f545d0b244f8b00912d55f6568ac08d0e0f3b0e', size: 1594252 },
+  nld: { sha256: 'a2d904b6ddc4feb0d31ecfcd7361a554102e7aa2e278c54f4fc029e0d0815571', size: 3005696 },
+  nor: { sha256: '6c5d91a5b684da387bfcf16b38bae8d94771812dc9ef706b413c728ca1d37c93', size: 2490241 },
+  ori: { sha256: 'b42f60e0460daf814952ed1b239723f9a4c4c694a29ab016d772a02c68ef5ddc', size: 1058704 },
+  osd: { sha256: 'be028ddaac8b03402b92cbf526075c068ec39a9f1dbbcd7536dddb9b22209934', size: 4320130 },
+  pan: { sha256: '10624ae040eb967316fcb1a1843421786a48542b22ef2fdd50afc00de58d27b5', size: 1396216 },
+  pol: { sha256: 'a20fdec4ff99d8f8e84c708da3e42a4e935c26863055a0ed88aef5c66a59b91b', size: 2642356 },
+  por: { sha256: 'dacebc1386ddaaf8389f81094236cca0d690897cde693d48cbdaa881c86e2b4c', size: 1392239 },
+  pus: { sha256: '689b369c109107c4df1cd133446b9de0b10b79706a070d4c35dc885a52764105', size: 1420364 },
+  que: { sha256: 'bb275fda63b001b2f23e255e7d124af31f34f145a5e55773bf349923cc82ae02', size: 2581676 },
+  ron: { sha256: '3c2f550b6369f43254adf637cfe1088c7b6faff3d0382555219315112a24582a', size: 1692160 },
+  san: { sha256: 'f1ed7e622f015c9caba5c2843a06deee9343955e7d57a38d96aa79b43e154916', size: 5707023 },
+  sin: { sha256: '02d34b1f6565d26991fa25605c0bbddd3e39d9eefe471fce4b8a27fe9363ec94', size: 1138317 },
+  slk: { sha256: '839350509c06e498448e35ce9faf13e24b28150b2d5cc39b900a751c5009127f', size: 2377899 },
+  slv: { sha256: '23550808c5ae045a2c6cabcb8a03a52239ffeaf45571d1120135ddc632d021f1', size: 1346857 },
+  snd: { sha256: '7a37e25a97dfab796d23d9c056d35eba94d642f605b12cd10da2800ea8d5bcfd', size: 1401126 },
+  spa: { sha256: '40be52f97b5d4eb7460073dc1f94cd546b27150333c0bf854ed7e7132db6bceb', size: 2100190 },
+  sqi: { sha256: 'a84023c64e1c0910f8fddc25d13f2dbe1157ce2f478abb48adc8013de9b108f1', size: 962962 },
+  srp: { sha256: '4a864eba46de4a7c264fc3c34b63db6889218eb51eefc5d38c5eaac548d58c96', size: 1537929 },
+  sun: { sha256: '04038b68475bf03e2a98c339485b4d5ab62e08967b15d281ab5a787b31e3a330', size: 762181 },
+  swa: { sha256: '74c7bd51f173a3f174fbc8aaf8738819aa36000566857929ba6679ad5a2cf71f', size: 1094930 },
+  swe: { sha256: 'b60d9fea7e570d11d6fdf26c8d0ef1d63b49222313773ce66777ed08fa20dc5a', size: 2503095 },
+  tam: { sha256: '2c4b255ede87931cb56c20a5b2b8e2cda4913e34fb3e4957f9b9e04ea069ff21', size: 1446167 },
+  tat: { sha256: '028a9c7efc932b833a7846e47332c62c8ef1a5bb7b685a2ecdfb03b0a7debb81', size: 900603 },
+  tel: { sha256: '8b478895dfc1f5d6baee6f8e6cf84a873793dd8948124315437ff2dc38d49fe4', size: 1735518 },
+  tgk: { sha256: '660f8476c5635c93f83955f7bdce7c2c45bc685463a9c139b292c7f5853de0e9', size: 1164174 },
+  tha: { sha256: '4550a5505184d1b79cf10416d5b19e643001d95411d5e717954dd26feef3ae74', size: 896631 },
+  tir: { sha256: '647f1d1e4f74262a253cce76ba835bb3be9d74b8268c9823cc794832b5ec8c1a', size: 295477 },
+  tur: { sha256: '384ba0dc28040451b7818d7d60e0a88df0d3003fa5a01d713a468779bc3d8c04', size: 2141291 },
+  uig: { sha256: '3be33a65775f3dbfd72c0feb0b66a3f2198bb14378537ab770f583eb1f9fbad7', size: 1850426 },
+  ukr: { sha256: 'ea2789a0ad99ff84bfd252a7410a1e8661a7bc5acaa41573d23b54b71446aa4c', size: 2114206 },
+  urd: { sha256: '9e1860440339543c935fca7cee2ce5ac742b1d1249c4ba5982385ce19d23096f', size: 1023740 },
+  uzb: { sha256: '16d7f4a0af8722227ea447c99a2159f1a186af137c392ff8caeb69f2d4ceee20', size: 3116151 },
+  uzb_cyrl: { sha256: '800d22c59b525b715015e1bf3aba49e98a0d6309305e245490f67698685f8842', size: 832890 },
+  vie: { sha256: '2284f610f262a1b19ec8df9f196b9ff6ce38ddb4a66329e998941df4b8961c8d', size: 1423003 },
+  yid: { sha256: '90b3c603e53727a996a11bb6c9f9281cf893ed9275ceed4e0b27cbbc7c530de8', size: 445286 },
+  yor: { sha256: 'fde674f3f9592f192eae548cbef0958059780da82658524bbdc62c1ed892af58', size: 591178 }
+});
@@ -22,11 +22,27 @@ vi.mock('../../utils/ocrCache.js', () => ({
   ocrCache: {
     listCachedLanguages: vi.fn().mockResolvedValue([]),
     saveModel: vi.fn().mockResolvedValue(),
+    saveModelInfo: vi.fn().mockResolvedValue(),
+    getModelInfo: vi.fn().mockResolvedValue(null),
+    getModel: vi.fn().mockResolvedValue(null),
     deleteModel: vi.fn().mockResolvedValue(),
     clear: vi.fn().mockResolvedValue()
   }
 }));
 
+// Published checksum of GZIP_MODEL below
+vi.mock('../../services/ocrModelManifest.js', () => ({
+  OCR_MODEL_BASE_URL: 'https://cdn.example/npm/@tesseract.js-data',
+  OCR_MODEL_PACKAGE_VERSION: '1.0.0',
+  OCR_MODEL_VARIANT: '4.0.0_best_int',
+  OCR_MODEL_MANIFEST: {
+    fas: { sha256: '9d1011ce9a9221ec2cbde2cc63ce50401fda24a6ffbf96a97b55552cc9e035e3', size: 10 }
+  }
+}));
+
+// Gzip magic bytes followed by payload, as served by the model server
+const GZIP_MODEL = new Uint8Array([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 3]);
+
 // Mock fetch
 const mockFetch = vi.fn();
 vi.stubGlobal('fetch', mockFetch);
@@ -65,7 +81,7 @@ describe('OCRStore', () => {
     const mockStream = {
       getReader: vi.fn(() => ({
         read: vi.fn()
-          .mockResolvedValueOnce({ done: false, value: new Uint8Array([1, 2, 3]) })
+          .mockResolvedValueOnce({ done: false, value: GZIP_MODEL })
           .mockResolvedValueOnce({ done: true })
       }))
     };
@@ -73,7 +89,7 @@ describe('OCRStore', () => {
     mockFetch.mockResolvedValue({
       ok: true,
       headers: {
-        get: vi.fn().mockReturnValue('3')
+        get: vi.fn().mockReturnValue(String(GZIP_MODEL.length))
       },
       body: mockStream
     });
@@ -97,6 +113,47 @@ describe('OCRStore', () => {
     expect(store.getDownloadProgress('fa')).toBe(0);
   });
 
+  it('should record size and checksum of a downloaded model', async () => {
+    const store = useOCRStore();
+    mockFetch.mockResolvedValue({
+      ok: true,
+      headers: { get: vi.fn().mockReturnValue(String(GZIP_MODEL.length)) },
+      body: {
+        getReader: () => ({
+          read: vi.fn()
+            .mockResolvedValueOnce({ done: false, value: GZIP_MODEL })
+            .mockResolvedValueOnce({ done: true })
+        })
+      }
+    });
+
+    await store.downloadLanguage('fa');
+
+    expect(ocrCache.saveModelInfo).toHaveBeenCalledWith('fas', expect.objectContaining({
+      size: GZIP_MODEL.length,
+      checksum: expect.stringMatching(/^[0-9a-f]{64}$/),
+      source: 'download'
+    }));
+  });
+
+  it('should reject truncated downloads', async () => {
+    const store = useOCRStore();
+    mockFetch.mockResolvedValue({
+      ok: true,
+      headers: { get: vi.fn().mockReturnValue('100') },
+      body: {
+        getReader: () => ({
+          read: vi.fn()
+            .mockResolvedValueOnce({ done: false, value: GZIP_MODEL })
+            .mockResolvedValueOnce({ done: true })
+        })
+      }
+    });
+
+    await expect(store.downloadLanguage('fa')).rejects.toThrow('Incomplete download');
+    expect(ocrCache.saveModel).not.toHaveBeenCalled();
+  });
+
   it('should handle download error', async () => {
     const store = useOCRStore();
     mockFetch.mockResolvedValue({ ok: false });
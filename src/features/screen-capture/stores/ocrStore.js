@@ -1,6 +1,14 @@
 import { defineStore } from 'pinia';
 import browser from 'webextension-polyfill';
 import { ocrCache } from '../utils/ocrCache.js';
+import {
+  downloadOcrModel,
+  installOcrModel,
+  importOcrModelFile,
+  listInstalledOcrModels,
+  verifyOcrModel,
+  getRemoteOcrModelSize
+} from '../services/ocrModelManager.js';
 import { toTesseractLanguageCode, getSupportedOCRCanvasCodes } from '../utils/ocrLanguageMap.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
@@ -12,6 +20,9 @@ export const useOCRStore = defineStore('ocr', {
   state: () => ({
     downloadedLanguages: [],
     downloadingProgress: {}, // { [langCode]: progress }
+    modelInfo: {}, // { [tesseractCode]: { size, checksum, source, installedAt } }
+    remoteSizes: {}, // { [tesseractCode]: bytes|null }
+    verification: {}, // { [tesseractCode]: OcrModelStatus | 'checking' }
     initialized: false,
     // Settings
     defaultOCRLang: 'eng',
@@ -30,6 +41,18 @@ export const useOCRStore = defineStore('ocr', {
     },
     supportedLanguages: () => {
       return getSupportedOCRCanvasCodes();
+    },
+    getModelInfo: (state) => (lang) => {
+      return state.modelInfo[toTesseractLanguageCode(lang)] || null;
+    },
+    getRemoteSize: (state) => (lang) => {
+      return state.remoteSizes[toTesseractLanguageCode(lang)] ?? null;
+    },
+    getVerification: (state) => (lang) => {
+      return state.verification[toTesseractLanguageCode(lang)] || null;
+    },
+    totalStorageBytes: (state) => {
+      return Object.values(state.modelInfo).reduce((sum, info) => sum + (info?.size || 0), 0);
     }
   },
 
@@ -51,6 +74,40 @@ export const useOCRStore = defineStore('ocr', {
       this.downloadedLanguages = await ocrCache.listCachedLanguages();
     },
 
+    async refreshModelInfo() {
+      try {
+        const models = await listInstalledOcrModels();
+        this.modelInfo = Object.fromEntries(models.map(model => [model.lang, model]));
+      } catch (error) {
+        logger.warn('Failed to read OCR model info', error);
+      }
+    },
+
+    async _afterModelsChanged() {
+      const settingsStore = useSettingsStore()
+      await this.refreshDownloadedLanguages();
+      await this.refreshModelInfo();
+      await settingsStore.reconcileOcrLanguage(this.downloadedLanguages)
+      this._broadcastLanguageUpdated()
+    },
+
+    /**
+     * Reads download sizes of models that are not installed yet.
+     * @param {string[]} langCodes
+     */
+    async fetchRemoteSizes(langCodes) {
+      const pending = langCodes
+        .map(code => toTesseractLanguageCode(code))
+        .filter(code => !(code in this.remoteSizes) && !this.downloadedLanguages.includes(code));
+
+      for (const code of pending) {
+        this.remoteSizes[code] = null;
+      }
+      await Promise.all(pending.map(async (code) => {
+        this.remoteSizes[code] = await getRemoteOcrModelSize(code);
+      }));
+    },
+
     async downloadLanguage(langCode) {
       const tesseractCode = toTesseractLanguageCode(langCode);
 
@@ -60,43 +117,12 @@ export const useOCRStore = defineStore('ocr', {
 
       this.downloadingProgress[langCode] = 0;
 
-      const settingsStore = useSettingsStore()
-
       try {
-        // Tesseract.js language data URL (using the fast/lightweight models)
-        // We use the same URL format as Tesseract.js uses internally
-        const url = `https://tessdata.projectnaptha.com/4.0.0_fast/${tesseractCode}.traineddata.gz`;
-
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`Failed to download ${tesseractCode}`);
-
-        const contentLength = response.headers.get('content-length');
-        const total = contentLength ? parseInt(contentLength, 10) : 0;
-        let loaded = 0;
-
-        const reader = response.body.getReader();
-        const chunks = [];
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-
-          chunks.push(value);
-          loaded += value.length;
-
-          if (total > 0) {
-            this.downloadingProgress[langCode] = Math.round((loaded / total) * 100);
-          }
-        }
-
-        const blob = new Blob(chunks);
-        const arrayBuffer = await blob.arrayBuffer();
-        const uint8Array = new Uint8Array(arrayBuffer);
-
-        await ocrCache.saveModel(tesseractCode, uint8Array);
-        await this.refreshDownloadedLanguages();
-        await settingsStore.reconcileOcrLanguage(this.downloadedLanguages)
-        this._broadcastLanguageUpdated()
+        const data = await downloadOcrModel(tesseractCode, {
+          onProgress: (progress) => { this.downloadingProgress[langCode] = progress; }
+        });
+        await installOcrModel(tesseractCode, data);
+        await this._afterModelsChanged();
       } catch (error) {
         logger.error(`Error downloading ${tesseractCode}`, error);
         throw error;
@@ -105,21 +131,42 @@ export const useOCRStore = defineStore('ocr', {
       }
     },
 
+    /**
+     * Installs a model from a local .traineddata(.gz) file.
+     * @param {File} file
+     * @param {string} [langCode] - read from the file name when omitted
+     */
+    async importLanguageFile(file, langCode = null) {
+      const info = await importOcrModelFile(file, langCode);
+      await this._afterModelsChanged();
+      return info;
+    },
+
+    async verifyLanguage(langCode) {
+      const tesseractCode = toTesseractLanguageCode(langCode);
+      this.verification[tesseractCode] = 'checking';
+      try {
+        const { status } = await verifyOcrModel(tesseractCode);
+        this.verification[tesseractCode] = status;
+        return status;
+      } catch (error) {
+        delete this.verification[tesseractCode];
+        logger.error(`Error verifying ${tesseractCode}`, error);
+        throw error;
+      }
+    },
+
     async deleteLanguage(langCode) {
       const tesseractCode = toTesseractLanguageCode(langCode);
-      const settingsStore = useSettingsStore()
       await ocrCache.deleteModel(tesseractCode);
-      await this.refreshDownloadedLanguages();
-      await settingsStore.reconcileOcrLanguage(this.downloadedLanguages)
-      this._broadcastLanguageUpdated()
+      delete this.verification[tesseractCode];
+      await this._afterModelsChanged();
     },
 
     async clearAllLanguages() {
-      const settingsStore = useSettingsStore()
       await ocrCache.clear();
-      await this.refreshDownloadedLanguages();
-      await settingsStore.reconcileOcrLanguage(this.downloadedLanguages)
-      this._broadcastLanguageUpdated()
+      this.verification = {};
+      await this._afterModelsChanged();
     }
   }
 });
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { applyCaptureMasks, buildMaskBox, getReadableTextColor, sampleBackgroundColor } from '../captureMask.js';
+
+// Solid image with a darker "glyph" rectangle in the middle
+function createPixels(width, height, background, glyph, glyphBox) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inGlyph = x >= glyphBox.x && x < glyphBox.x + glyphBox.width && y >= glyphBox.y && y < glyphBox.y + glyphBox.height;
+      const color = inGlyph ? glyph : background;
+      data.set([color.r, color.g, color.b, 255], (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+describe('captureMask', () => {
+  it('pads line boxes and keeps them inside the capture', () => {
+    expect(buildMaskBox({ x: 10, y: 10, width: 100, height: 20 })).toEqual({ x: 7, y: 7, width: 106, height: 26 });
+    expect(buildMaskBox({ x: 10, y: 10, width: 100, height: 20 }, { x: 8, y: 0, width: 200, height: 32 }))
+      .toEqual({ x: 8, y: 7, width: 105, height: 25 });
+  });
+
+  it('samples the background around the glyphs', () => {
+    const navy = { r: 20, g: 30, b: 90 };
+    const pixels = createPixels(60, 40, navy, { r: 250, g: 250, b: 250 }, { x: 12, y: 12, width: 36, height: 16 });
+
+    expect(sampleBackgroundColor(pixels, { x: 8, y: 8, width: 44, height: 24 })).toEqual(navy);
+    expect(sampleBackgroundColor(null, { x: 0, y: 0, width: 10, height: 10 })).toEqual({ r: 255, g: 255, b: 255 });
+  });
+
+  it('picks text colors that contrast with the background', () => {
+    expect(getReadableTextColor({ r: 250, g: 240, b: 200 })).toBe('rgb(17, 17, 17)');
+    expect(getReadableTextColor({ r: 20, g: 30, b: 90 })).toBe('rgb(250, 250, 250)');
+  });
+
+  it('adds a mask and colors to each line', () => {
+    const pixels = createPixels(60, 40, { r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }, { x: 12, y: 12, width: 36, height: 16 });
+    const [line] = applyCaptureMasks([{ text: 'Hi', bbox: { x: 12, y: 12, width: 36, height: 16 } }], { pixels });
+
+    expect(line).toMatchObject({
+      text: 'Hi',
+      mask: { x: 10, y: 10, width: 40, height: 20 },
+      background: 'rgb(0, 0, 0)',
+      color: 'rgb(250, 250, 250)'
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { getLinesBounds, joinOcrLines, mapTranslatedLines, normalizeOcrLines } from '../ocrLines.js';
+
+const tesseractLine = (text, bbox, confidence = 90) => ({ text, confidence, bbox, words: [{ text }] });
+
+describe('ocrLines', () => {
+  const lines = normalizeOcrLines([
+    tesseractLine('Open  menu\n', { x0: 10, y0: 20, x1: 110, y1: 40 }),
+    tesseractLine('|', { x0: 0, y0: 0, x1: 2, y1: 40 }, 12),
+    tesseractLine('  \n', { x0: 10, y0: 50, x1: 110, y1: 70 }),
+    tesseractLine('Settings\n', { x0: 10, y0: 80, x1: 90, y1: 100 }, 75.6)
+  ]);
+
+  it('keeps text and boxes of confident, non-empty lines', () => {
+    expect(lines).toEqual([
+      { text: 'Open menu', confidence: 90, bbox: { x: 10, y: 20, width: 100, height: 20 } },
+      { text: 'Settings', confidence: 76, bbox: { x: 10, y: 80, width: 80, height: 20 } }
+    ]);
+    expect(normalizeOcrLines(null)).toEqual([]);
+  });
+
+  it('joins lines and measures their bounds', () => {
+    expect(joinOcrLines(lines)).toBe('Open menu\nSettings');
+    expect(getLinesBounds(lines)).toEqual({ x: 10, y: 20, width: 100, height: 80 });
+    expect(getLinesBounds([])).toBeNull();
+  });
+
+  it('pairs translated lines with their boxes', () => {
+    const mapped = mapTranslatedLines(lines, 'Menü öffnen\r\n\nEinstellungen\n');
+
+    expect(mapped.map(line => line.translatedText)).toEqual(['Menü öffnen', 'Einstellungen']);
+    expect(mapped[1].bbox).toEqual(lines[1].bbox);
+  });
+
+  it('falls back to one block when the line count changes', () => {
+    const mapped = mapTranslatedLines(lines, 'Menü öffnen Einstellungen');
+
+    expect(mapped).toEqual([expect.objectContaining({
+      text: 'Open menu\nSettings',
+      translatedText: 'Menü öffnen Einstellungen',
+      bbox: { x: 10, y: 20, width: 100, height: 80 },
+      merged: true
+    })]);
+  });
+});
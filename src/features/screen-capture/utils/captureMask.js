@@ -0,0 +1,139 @@
+/**
+ * Capture masks - paint boxes that cover OCR lines on a screen capture.
+ * Like the PDF page masks, each line gets a padded box filled with the
+ * background sampled around it, so translated text can replace the original
+ * in place. Text color is picked for contrast, which keeps dark UIs, comics
+ * and colored menus readable.
+ */
+
+const FALLBACK_BACKGROUND = Object.freeze({ r: 255, g: 255, b: 255 });
+const DARK_TEXT = 'rgb(17, 17, 17)';
+const LIGHT_TEXT = 'rgb(250, 250, 250)';
+const LIGHT_BACKGROUND_LUMINANCE = 140;
+
+// Padding relative to line height; Tesseract boxes hug the glyphs
+const MASK_PADDING_RATIO = 0.15;
+const SAMPLES_PER_EDGE = 8;
+
+function luminance({ r, g, b }) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Pads a line box and keeps it inside the captured area.
+ * @param {{x: number, y: number, width: number, height: number}} bbox - device pixels
+ * @param {{x: number, y: number, width: number, height: number}|null} [bounds]
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function buildMaskBox(bbox, bounds = null) {
+  const padding = Math.max(1, Math.round(bbox.height * MASK_PADDING_RATIO));
+  let x = bbox.x - padding;
+  let y = bbox.y - padding;
+  let right = bbox.x + bbox.width + padding;
+  let bottom = bbox.y + bbox.height + padding;
+
+  if (bounds) {
+    x = Math.max(x, bounds.x);
+    y = Math.max(y, bounds.y);
+    right = Math.min(right, bounds.x + bounds.width);
+    bottom = Math.min(bottom, bounds.y + bounds.height);
+  }
+
+  return { x, y, width: Math.max(0, right - x), height: Math.max(0, bottom - y) };
+}
+
+/**
+ * Reads the background around a box from its edge pixels.
+ * Glyph pixels rarely reach the padded edge, so the per-channel median is the background.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}|null} pixels - ImageData of the capture
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @returns {{r: number, g: number, b: number}}
+ */
+export function sampleBackgroundColor(pixels, box) {
+  if (!pixels?.data || box.width <= 0 || box.height <= 0) return FALLBACK_BACKGROUND;
+
+  const samples = [];
+  const read = (x, y) => {
+    const px = Math.min(Math.max(Math.round(x), 0), pixels.width - 1);
+    const py = Math.min(Math.max(Math.round(y), 0), pixels.height - 1);
+    const offset = (py * pixels.width + px) * 4;
+    samples.push({ r: pixels.data[offset], g: pixels.data[offset + 1], b: pixels.data[offset + 2] });
+  };
+
+  const right = box.x + box.width - 1;
+  const bottom = box.y + box.height - 1;
+  for (let i = 0; i < SAMPLES_PER_EDGE; i++) {
+    const t = i / (SAMPLES_PER_EDGE - 1);
+    read(box.x + t * (box.width - 1), box.y);
+    read(box.x + t * (box.width - 1), bottom);
+    read(box.x, box.y + t * (box.height - 1));
+    read(right, box.y + t * (box.height - 1));
+  }
+
+  return {
+    r: median(samples.map(sample => sample.r)),
+    g: median(samples.map(sample => sample.g)),
+    b: median(samples.map(sample => sample.b))
+  };
+}
+
+/**
+ * @param {{r: number, g: number, b: number}} background
+ * @returns {string} CSS color readable on the background
+ */
+export function getReadableTextColor(background) {
+  return luminance(background) >= LIGHT_BACKGROUND_LUMINANCE ? DARK_TEXT : LIGHT_TEXT;
+}
+
+/**
+ * Adds a mask box and colors to every line.
+ * @param {Array<Object>} lines - OCR lines with device-pixel `bbox`
+ * @param {Object} [options]
+ * @param {Object|null} [options.pixels] - ImageData of the full capture; white masks without it
+ * @param {Object|null} [options.bounds] - captured area in device pixels
+ * @returns {Array<Object>} lines with `mask`, `background` and `color`
+ */
+export function applyCaptureMasks(lines, { pixels = null, bounds = null } = {}) {
+  return (lines || []).map(line => {
+    const mask = buildMaskBox(line.bbox, bounds);
+    const background = sampleBackgroundColor(pixels, mask);
+    return {
+      ...line,
+      mask,
+      background: `rgb(${background.r}, ${background.g}, ${background.b})`,
+      color: getReadableTextColor(background)
+    };
+  });
+}
+
+/**
+ * Decodes a capture into pixels for sampling (content script only).
+ * @param {string} imageDataUrl
+ * @returns {Promise<ImageData|null>} null when the image cannot be read
+ */
+export async function loadCapturePixels(imageDataUrl) {
+  if (!imageDataUrl || typeof document === 'undefined') return null;
+
+  try {
+    const image = new window.Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('Failed to load capture image'));
+      image.src = imageDataUrl;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  } catch {
+    return null;
+  }
+}
@@ -8,7 +8,8 @@ import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 const logger = getScopedLogger(LOG_COMPONENTS.SCREEN_CAPTURE, 'OCRCache');
 const DB_NAME = 'translate_it_ocr_cache';
 const STORE_NAME = 'language_models';
-const DB_VERSION = 1;
+const INFO_STORE_NAME = 'model_info';
+const DB_VERSION = 2;
 const TESSERACT_DB_NAME = 'keyval-store';
 const TESSERACT_STORE_NAME = 'keyval';
 const TESSERACT_CACHE_PREFIX = '.';
@@ -35,6 +36,9 @@ class OCRCache {
         if (!db.objectStoreNames.contains(STORE_NAME)) {
           db.createObjectStore(STORE_NAME);
         }
+        if (!db.objectStoreNames.contains(INFO_STORE_NAME)) {
+          db.createObjectStore(INFO_STORE_NAME);
+        }
       };
 
       request.onsuccess = (event) => {
@@ -187,6 +191,64 @@ class OCRCache {
     }
   }
 
+  /**
+   * Get the recorded details of an installed model
+   * @param {string} lang Language code
+   * @returns {Promise<{lang: string, size: number, checksum: string, source: string, installedAt: number}|null>}
+   */
+  async getModelInfo(lang) {
+    const db = await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([INFO_STORE_NAME], 'readonly');
+      const store = transaction.objectStore(INFO_STORE_NAME);
+      const request = store.get(lang);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Record the details of an installed model
+   * @param {string} lang Language code
+   * @param {Object} info Size, checksum, source and install time
+   */
+  async saveModelInfo(lang, info) {
+    const db = await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([INFO_STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(INFO_STORE_NAME);
+      const request = store.put({ ...info, lang }, lang);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteModelInfo(lang) {
+    const db = await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([INFO_STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(INFO_STORE_NAME);
+      const request = store.delete(lang);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clearModelInfo() {
+    const db = await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([INFO_STORE_NAME], 'readwrite');
+      const store = transaction.objectStore(INFO_STORE_NAME);
+      const request = store.clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Migrate existing cached models from ArrayBuffer to Uint8Array
    * Fixes the "Unsupported data type" error in Tesseract.js v5+
@@ -237,6 +299,12 @@ class OCRCache {
     } catch (error) {
       logger.warn(`Failed to delete ${lang} from Tesseract cache`, error);
     }
+
+    try {
+      await this.deleteModelInfo(lang);
+    } catch (error) {
+      logger.warn(`Failed to delete ${lang} model info`, error);
+    }
   }
 
   /**
@@ -261,6 +329,12 @@ class OCRCache {
         logger.warn(`Failed to delete ${lang} from Tesseract cache during clear`, error);
       }
     }));
+
+    try {
+      await this.clearModelInfo();
+    } catch (error) {
+      logger.warn('Failed to clear OCR model info', error);
+    }
   }
 
   /**
@@ -0,0 +1,87 @@
+/**
+ * OCR line helpers for screen capture.
+ * Turns Tesseract line results into small, message-safe line boxes and maps
+ * a translation of the joined text back onto them line by line.
+ */
+
+export const ScreenCaptureDisplayMode = Object.freeze({
+  WINDOW: 'window',
+  LINES: 'lines'
+});
+
+// Tesseract reports 0-100; lower lines are mostly noise from icons and borders
+export const MIN_LINE_CONFIDENCE = 30;
+
+/**
+ * Reduces Tesseract lines to text and a device-pixel box.
+ * Boxes are in the coordinate space of the full captured image.
+ * @param {Array<Object>} lines - Tesseract `data.lines`
+ * @param {Object} [options]
+ * @param {number} [options.minConfidence=MIN_LINE_CONFIDENCE]
+ * @returns {Array<{text: string, confidence: number, bbox: {x: number, y: number, width: number, height: number}}>}
+ */
+export function normalizeOcrLines(lines, { minConfidence = MIN_LINE_CONFIDENCE } = {}) {
+  if (!Array.isArray(lines)) return [];
+
+  return lines
+    .map(line => {
+      const { x0 = 0, y0 = 0, x1 = 0, y1 = 0 } = line?.bbox || {};
+      return {
+        text: String(line?.text || '').replace(/\s+/g, ' ').trim(),
+        confidence: Math.round(line?.confidence || 0),
+        bbox: { x: x0, y: y0, width: x1 - x0, height: y1 - y0 }
+      };
+    })
+    .filter(line => line.text && line.bbox.width > 0 && line.bbox.height > 0 && line.confidence >= minConfidence);
+}
+
+/**
+ * @param {Array<{text: string}>} lines
+ * @returns {string} one line of text per OCR line
+ */
+export function joinOcrLines(lines) {
+  return (lines || []).map(line => line.text).join('\n');
+}
+
+/**
+ * @param {Array<{bbox: Object}>} lines
+ * @returns {{x: number, y: number, width: number, height: number}|null} box around all lines
+ */
+export function getLinesBounds(lines) {
+  if (!lines?.length) return null;
+
+  const x = Math.min(...lines.map(line => line.bbox.x));
+  const y = Math.min(...lines.map(line => line.bbox.y));
+  const right = Math.max(...lines.map(line => line.bbox.x + line.bbox.width));
+  const bottom = Math.max(...lines.map(line => line.bbox.y + line.bbox.height));
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Pairs each OCR line with its translated line.
+ * Providers that merge or split lines break the pairing; the whole translation
+ * is then returned as a single line covering every box.
+ * @param {Array<Object>} lines - normalized OCR lines
+ * @param {string} translatedText - translation of `joinOcrLines(lines)`
+ * @returns {Array<Object>} lines with `translatedText`
+ */
+export function mapTranslatedLines(lines, translatedText) {
+  if (!lines?.length) return [];
+
+  const translatedLines = String(translatedText || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  if (translatedLines.length === lines.length) {
+    return lines.map((line, index) => ({ ...line, translatedText: translatedLines[index] }));
+  }
+
+  return [{
+    text: joinOcrLines(lines),
+    confidence: Math.min(...lines.map(line => line.confidence)),
+    bbox: getLinesBounds(lines),
+    translatedText: translatedLines.join('\n'),
+    merged: true
+  }];
+}
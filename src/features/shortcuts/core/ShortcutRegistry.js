@@ -0,0 +1,214 @@
+/**
+ * Shortcut Registry - page actions that can be bound to keyboard shortcuts.
+ *
+ * A shortcut is one key combination (`Ctrl+Shift+S`) or a sequence of
+ * combinations separated by spaces (`Alt+T P`), pressed one after another.
+ * Action bindings live in the `SHORTCUTS` setting keyed by action id; an
+ * empty binding leaves the action unbound. The text field shortcut keeps its
+ * own `TEXT_FIELD_SHORTCUT` setting and takes part in conflict detection.
+ */
+
+import { matchesAutoTranslateRule } from '@/utils/ui/exclusion.js';
+
+export const ShortcutAction = Object.freeze({
+  TRANSLATE_FIELD: 'translateField',
+  SELECT_ELEMENT: 'selectElement',
+  TOGGLE_PAGE_TRANSLATION: 'togglePageTranslation',
+  SCREEN_CAPTURE: 'screenCapture',
+  SPEAK_SELECTION: 'speakSelection',
+  SWAP_LANGUAGES: 'swapLanguages',
+  OPEN_SIDEPANEL: 'openSidepanel',
+  TOGGLE_MOUSE_HOVER: 'toggleMouseHover'
+});
+
+// Order is the order of the rows on the shortcuts settings page
+export const SHORTCUT_ACTIONS = Object.freeze([
+  { id: ShortcutAction.TRANSLATE_FIELD, labelKey: 'shortcut_action_translate_field', settingKey: 'TEXT_FIELD_SHORTCUT', inTextFields: true },
+  { id: ShortcutAction.SELECT_ELEMENT, labelKey: 'shortcut_action_select_element' },
+  { id: ShortcutAction.TOGGLE_PAGE_TRANSLATION, labelKey: 'shortcut_action_toggle_page_translation' },
+  { id: ShortcutAction.SCREEN_CAPTURE, labelKey: 'shortcut_action_screen_capture' },
+  { id: ShortcutAction.SPEAK_SELECTION, labelKey: 'shortcut_action_speak_selection' },
+  { id: ShortcutAction.SWAP_LANGUAGES, labelKey: 'shortcut_action_swap_languages' },
+  { id: ShortcutAction.OPEN_SIDEPANEL, labelKey: 'shortcut_action_open_sidepanel' },
+  { id: ShortcutAction.TOGGLE_MOUSE_HOVER, labelKey: 'shortcut_action_toggle_mouse_hover' }
+]);
+
+// Actions that fire inside text fields even without Ctrl, Alt or Cmd
+const TEXT_FIELD_ACTIONS = new Set(SHORTCUT_ACTIONS.filter(action => action.inTextFields).map(action => action.id));
+
+// Keys the extension already uses on every page
+export const RESERVED_SHORTCUTS = Object.freeze({
+  revert: 'Escape'
+});
+
+// Longest pause allowed between the steps of a sequence
+export const SHORTCUT_SEQUENCE_TIMEOUT = 1500;
+
+const MODIFIER_TOKENS = ['ctrl', 'control', 'alt', 'shift', 'meta', 'cmd'];
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+/**
+ * Parses one key combination.
+ * @param {string} step - e.g. "Ctrl+Alt+T"
+ * @returns {{ctrl: boolean, alt: boolean, shift: boolean, meta: boolean, key: string}|null}
+ */
+export function parseShortcutStep(step) {
+  if (!step || typeof step !== 'string') return null;
+
+  const keys = step.split('+').map(key => key.trim().toLowerCase());
+  // "Ctrl++" binds the plus key itself
+  if (step.trim().endsWith('++')) keys.splice(-2, 2, '+');
+
+  const mainKey = keys.find(k => k && !MODIFIER_TOKENS.includes(k));
+  if (!mainKey) return null;
+
+  let key = mainKey;
+  if (key === 'space') key = ' ';
+  if (key === 'escape') key = 'Escape';
+
+  return {
+    ctrl: keys.includes('ctrl') || keys.includes('control'),
+    alt: keys.includes('alt'),
+    shift: keys.includes('shift'),
+    meta: keys.includes('meta') || keys.includes('cmd'),
+    key
+  };
+}
+
+/**
+ * Parses a shortcut into its steps.
+ * @param {string} shortcut - e.g. "Ctrl+/" or "Alt+T P"
+ * @returns {Array<Object>} parsed steps; empty when any step is invalid
+ */
+export function parseShortcut(shortcut) {
+  if (!shortcut || typeof shortcut !== 'string') return [];
+
+  const steps = shortcut.trim().split(/\s+/).map(parseShortcutStep);
+  return steps.every(Boolean) ? steps : [];
+}
+
+/**
+ * Checks a keydown event against one parsed step.
+ * Bare modifier presses never match.
+ * @param {KeyboardEvent} event
+ * @param {Object} step - from `parseShortcutStep`
+ * @returns {boolean}
+ */
+export function isShortcutMatch(event, step) {
+  if (!step || !event?.key || MODIFIER_KEYS.includes(event.key)) return false;
+
+  return (
+    step.ctrl === event.ctrlKey &&
+    step.alt === event.altKey &&
+    step.shift === event.shiftKey &&
+    step.meta === event.metaKey &&
+    event.key.toLowerCase() === step.key.toLowerCase()
+  );
+}
+
+/**
+ * @param {Object} step - parsed step
+ * @returns {boolean} whether the step holds Ctrl, Alt or Meta
+ */
+export function hasCommandModifier(step) {
+  return !!(step?.ctrl || step?.alt || step?.meta);
+}
+
+/**
+ * Shortcuts that start with a plain key would swallow typing, so inside
+ * text fields only the text field action and modifier shortcuts apply.
+ * @param {string} actionId
+ * @param {Array<Object>} steps - parsed shortcut
+ * @returns {boolean}
+ */
+export function isAllowedInTextField(actionId, steps) {
+  return TEXT_FIELD_ACTIONS.has(actionId) || hasCommandModifier(steps?.[0]);
+}
+
+/**
+ * Canonical form of a shortcut, used to compare bindings.
+ * @param {string} shortcut
+ * @returns {string} e.g. "Ctrl+Shift+K T"; empty for invalid shortcuts
+ */
+export function normalizeShortcut(shortcut) {
+  return parseShortcut(shortcut).map(step => {
+    const parts = [];
+    if (step.ctrl) parts.push('Ctrl');
+    if (step.alt) parts.push('Alt');
+    if (step.shift) parts.push('Shift');
+    if (step.meta) parts.push('Cmd');
+    parts.push(step.key === ' ' ? 'Space' : step.key.length === 1 ? step.key.toUpperCase() : step.key);
+    return parts.join('+');
+  }).join(' ');
+}
+
+/**
+ * Collects the effective binding of every action.
+ * @param {Function} getSetting - `(key, defaultValue) => value`
+ * @returns {Object<string, string>} action id to shortcut, bound actions only
+ */
+export function getShortcutBindings(getSetting) {
+  const custom = getSetting('SHORTCUTS', {}) || {};
+  const bindings = {};
+
+  for (const action of SHORTCUT_ACTIONS) {
+    let shortcut;
+    if (action.id === ShortcutAction.TRANSLATE_FIELD) {
+      shortcut = getSetting('ENABLE_SHORTCUT_FOR_TEXT_FIELDS', true) ? getSetting(action.settingKey, 'Ctrl+/') : '';
+    } else {
+      shortcut = custom[action.id];
+    }
+    const normalized = normalizeShortcut(shortcut);
+    if (normalized) bindings[action.id] = normalized;
+  }
+
+  return bindings;
+}
+
+const isPrefixOf = (shorter, longer) => {
+  const a = shorter.split(' ');
+  const b = longer.split(' ');
+  return a.length <= b.length && a.every((step, index) => step === b[index]);
+};
+
+/**
+ * Finds bindings that cannot be told apart: the same shortcut, or one that
+ * is the start of another sequence (the longer one could never be reached).
+ * Reserved keys count as bindings of their own.
+ * @param {Object<string, string>} bindings - action id to shortcut
+ * @returns {Object<string, Array<string>>} action id to the ids it conflicts with
+ */
+export function findShortcutConflicts(bindings) {
+  const entries = [
+    ...Object.entries(bindings || {}).map(([id, shortcut]) => [id, normalizeShortcut(shortcut)]),
+    ...Object.entries(RESERVED_SHORTCUTS)
+  ].filter(([, shortcut]) => shortcut);
+
+  const conflicts = {};
+  entries.forEach(([id, shortcut], index) => {
+    entries.forEach(([otherId, otherShortcut], otherIndex) => {
+      if (index === otherIndex || !(id in bindings)) return;
+      if (isPrefixOf(shortcut, otherShortcut) || isPrefixOf(otherShortcut, shortcut)) {
+        (conflicts[id] ||= []).push(otherId);
+      }
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * Checks the page against the `SHORTCUTS_DISABLED_SITES` patterns.
+ * Patterns use the auto-translate rule syntax; a bare host covers the whole site.
+ * @param {string} url - page URL
+ * @param {Array<string>} patterns
+ * @returns {boolean}
+ */
+export function isShortcutSiteDisabled(url, patterns) {
+  if (!url || !Array.isArray(patterns)) return false;
+
+  return patterns.some(pattern => {
+    if (typeof pattern !== 'string' || !pattern.trim()) return false;
+    const rule = pattern.trim();
+    return matchesAutoTranslateRule(url, rule.includes('/') ? rule : `${rule}/*`);
+  });
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ShortcutAction,
+  parseShortcut,
+  isShortcutMatch,
+  normalizeShortcut,
+  getShortcutBindings,
+  findShortcutConflicts,
+  isShortcutSiteDisabled
+} from './ShortcutRegistry.js';
+
+const keydown = (key, modifiers = {}) => ({ key, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers });
+
+describe('ShortcutRegistry', () => {
+  it('parses combinations and sequences', () => {
+    expect(parseShortcut('Ctrl+/')).toEqual([{ ctrl: true, alt: false, shift: false, meta: false, key: '/' }]);
+    expect(parseShortcut('Alt+T  P')).toEqual([
+      { ctrl: false, alt: true, shift: false, meta: false, key: 't' },
+      { ctrl: false, alt: false, shift: false, meta: false, key: 'p' }
+    ]);
+    expect(parseShortcut('Cmd+Space')[0]).toMatchObject({ meta: true, key: ' ' });
+    expect(parseShortcut('Ctrl+Shift')).toEqual([]);
+    expect(parseShortcut('')).toEqual([]);
+  });
+
+  it('matches keydown events step by step', () => {
+    const [step] = parseShortcut('Ctrl+Shift+K');
+
+    expect(isShortcutMatch(keydown('K', { ctrlKey: true, shiftKey: true }), step)).toBe(true);
+    expect(isShortcutMatch(keydown('k', { ctrlKey: true }), step)).toBe(false);
+    expect(isShortcutMatch(keydown('Control', { ctrlKey: true, shiftKey: true }), step)).toBe(false);
+  });
+
+  it('normalizes shortcuts for comparison', () => {
+    expect(normalizeShortcut('shift+ctrl+k t')).toBe('Ctrl+Shift+K T');
+    expect(normalizeShortcut('meta+space')).toBe('Cmd+Space');
+    expect(normalizeShortcut('Ctrl')).toBe('');
+  });
+
+  it('collects bound actions including the text field shortcut', () => {
+    const settings = {
+      TEXT_FIELD_SHORTCUT: 'ctrl+/',
+      ENABLE_SHORTCUT_FOR_TEXT_FIELDS: true,
+      SHORTCUTS: { screenCapture: 'Alt+S', swapLanguages: '', unknown: 'Alt+U' }
+    };
+    const get = (key, fallback) => settings[key] ?? fallback;
+
+    expect(getShortcutBindings(get)).toEqual({
+      [ShortcutAction.TRANSLATE_FIELD]: 'Ctrl+/',
+      [ShortcutAction.SCREEN_CAPTURE]: 'Alt+S'
+    });
+
+    settings.ENABLE_SHORTCUT_FOR_TEXT_FIELDS = false;
+    expect(getShortcutBindings(get)).not.toHaveProperty(ShortcutAction.TRANSLATE_FIELD);
+  });
+
+  it('reports identical shortcuts, sequence prefixes and reserved keys', () => {
+    const conflicts = findShortcutConflicts({
+      selectElement: 'Alt+S',
+      screenCapture: 'alt+s',
+      openSidepanel: 'Alt+T',
+      swapLanguages: 'Alt+T L',
+      toggleMouseHover: 'Escape',
+      speakSelection: 'Alt+R'
+    });
+
+    expect(conflicts).toEqual({
+      selectElement: ['screenCapture'],
+      screenCapture: ['selectElement'],
+      openSidepanel: ['swapLanguages'],
+      swapLanguages: ['openSidepanel'],
+      toggleMouseHover: ['revert']
+    });
+  });
+
+  it('disables shortcuts on listed sites', () => {
+    const patterns = ['docs.google.com', '*.example.com/*', 'news.site/app'];
+
+    expect(isShortcutSiteDisabled('https://docs.google.com/document/d/1', patterns)).toBe(true);
+    expect(isShortcutSiteDisabled('https://mail.example.com/inbox', patterns)).toBe(true);
+    expect(isShortcutSiteDisabled('https://news.site/app', patterns)).toBe(true);
+    expect(isShortcutSiteDisabled('https://news.site/other', patterns)).toBe(false);
+    expect(isShortcutSiteDisabled('https://google.com/', patterns)).toBe(false);
+    expect(isShortcutSiteDisabled('https://google.com/', null)).toBe(false);
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  parseShortcut,
+  isShortcutMatch,
+  isAllowedInTextField,
+  SHORTCUT_SEQUENCE_TIMEOUT
+} from './ShortcutRegistry.js';
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+/**
+ * Follows keydown events through the steps of bound shortcut sequences.
+ * Single-step shortcuts are sequences of length one.
+ */
+export class ShortcutSequenceMatcher {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout=SHORTCUT_SEQUENCE_TIMEOUT] - ms allowed between steps
+   */
+  constructor({ timeout = SHORTCUT_SEQUENCE_TIMEOUT } = {}) {
+    this.timeout = timeout;
+    this.bindings = [];
+    this.reset();
+  }
+
+  /**
+   * @param {Object<string, string>} bindings - action id to shortcut
+   */
+  setBindings(bindings) {
+    this.bindings = Object.entries(bindings || {})
+      .map(([id, shortcut]) => ({ id, steps: parseShortcut(shortcut) }))
+      .filter(binding => binding.steps.length > 0);
+    this.reset();
+  }
+
+  /**
+   * @returns {boolean} whether any shortcut is bound
+   */
+  hasBindings() {
+    return this.bindings.length > 0;
+  }
+
+  reset() {
+    this.candidates = null;
+    this.position = 0;
+    this.lastStepAt = 0;
+  }
+
+  /**
+   * Feeds one keydown event.
+   * In editable fields only shortcuts allowed by `isAllowedInTextField` are
+   * considered, so typing never starts a sequence.
+   * @param {KeyboardEvent} event
+   * @param {Object} [options]
+   * @param {boolean} [options.editable=false] - the event target accepts text
+   * @returns {{status: 'matched', id: string}|{status: 'pending'}|null}
+   */
+  handle(event, { editable = false } = {}) {
+    if (!event?.key || event.repeat || MODIFIER_KEYS.includes(event.key)) return null;
+
+    const now = Date.now();
+    if (this.candidates && now - this.lastStepAt > this.timeout) {
+      this.reset();
+    }
+
+    let result = this._advance(event, editable);
+    // A key that breaks a sequence may still start another one
+    if (!result && this.position > 0) {
+      this.reset();
+      result = this._advance(event, editable);
+    }
+
+    if (!result) {
+      this.reset();
+      return null;
+    }
+
+    if (result.status === 'pending') {
+      this.lastStepAt = now;
+    } else {
+      this.reset();
+    }
+    return result;
+  }
+
+  _advance(event, editable) {
+    const pool = this.candidates || this.bindings.filter(binding => !editable || isAllowedInTextField(binding.id, binding.steps));
+    const matching = pool.filter(binding => isShortcutMatch(event, binding.steps[this.position]));
+    if (matching.length === 0) return null;
+
+    const complete = matching.find(binding => binding.steps.length === this.position + 1);
+    if (complete) {
+      return { status: 'matched', id: complete.id };
+    }
+
+    this.candidates = matching;
+    this.position += 1;
+    return { status: 'pending' };
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ShortcutSequenceMatcher } from './ShortcutSequenceMatcher.js';
+
+const keydown = (key, modifiers = {}) => ({ key, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, repeat: false, ...modifiers });
+
+describe('ShortcutSequenceMatcher', () => {
+  let matcher;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    matcher = new ShortcutSequenceMatcher({ timeout: 1000 });
+    matcher.setBindings({
+      translateField: 'Ctrl+/',
+      togglePageTranslation: 'Alt+T P',
+      swapLanguages: 'Alt+T L',
+      speakSelection: 'G S'
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('matches single combinations', () => {
+    expect(matcher.handle(keydown('/', { ctrlKey: true }))).toEqual({ status: 'matched', id: 'translateField' });
+    expect(matcher.handle(keydown('/'))).toBeNull();
+  });
+
+  it('follows sequences and ignores bare modifiers between steps', () => {
+    expect(matcher.handle(keydown('t', { altKey: true }))).toEqual({ status: 'pending' });
+    expect(matcher.handle(keydown('Shift', { shiftKey: true }))).toBeNull();
+    expect(matcher.handle(keydown('l'))).toEqual({ status: 'matched', id: 'swapLanguages' });
+    expect(matcher.handle(keydown('p'))).toBeNull();
+  });
+
+  it('drops a sequence after the timeout', () => {
+    matcher.handle(keydown('t', { altKey: true }));
+    vi.advanceTimersByTime(1500);
+
+    expect(matcher.handle(keydown('p'))).toBeNull();
+  });
+
+  it('restarts when a key breaks the current sequence', () => {
+    expect(matcher.handle(keydown('g'))).toEqual({ status: 'pending' });
+    expect(matcher.handle(keydown('t', { altKey: true }))).toEqual({ status: 'pending' });
+    expect(matcher.handle(keydown('p'))).toEqual({ status: 'matched', id: 'togglePageTranslation' });
+  });
+
+  it('only starts modifier and text field shortcuts inside editable fields', () => {
+    expect(matcher.handle(keydown('g'), { editable: true })).toBeNull();
+    expect(matcher.handle(keydown('t', { altKey: true }), { editable: true })).toEqual({ status: 'pending' });
+    expect(matcher.handle(keydown('p'), { editable: true })).toEqual({ status: 'matched', id: 'togglePageTranslation' });
+
+    matcher.setBindings({ translateField: 'Shift+T' });
+    expect(matcher.handle(keydown('T', { shiftKey: true }), { editable: true })).toEqual({ status: 'matched', id: 'translateField' });
+  });
+});
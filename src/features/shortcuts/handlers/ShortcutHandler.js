@@ -8,6 +8,9 @@ import { shortcutManager } from '@/core/managers/content/shortcuts/ShortcutManag
 import { INPUT_TYPES } from '@/shared/constants/detection.js';
 import { NOTIFICATION_TIME } from '@/shared/constants/ui.js';
 import NotificationManager from '@/core/managers/core/NotificationManager.js';
+import { settingsManager } from '@/shared/managers/SettingsManager.js';
+import { ShortcutAction, parseShortcut, isShortcutMatch, normalizeShortcut } from '../core/ShortcutRegistry.js';
+import { runShortcutAction } from './shortcutActions.js';
 
 const Platform = {
   MAC: 'MAC',
@@ -36,7 +39,6 @@ export class ShortcutHandler extends ResourceTracker {
     super('shortcut-handler');
 
     this.isActive = false;
-    this.keydownHandler = null;
     this.featureManager = options.featureManager;
 
     // Platform will be detected asynchronously in activate()
@@ -110,9 +112,7 @@ export class ShortcutHandler extends ResourceTracker {
         featureManager: this.featureManager
       });
 
-      // Setup keyboard shortcut listeners (for Ctrl+/)
-      this.setupShortcutListeners();
-
+      // Keydown events arrive from InteractionCoordinator, which matches them against the shortcut registry
       this.isActive = true;
       logger.info('ShortcutHandler activated successfully');
       return true;
@@ -134,12 +134,6 @@ export class ShortcutHandler extends ResourceTracker {
     }
 
     try {
-      // Manually remove event listeners to ensure they're properly cleaned up
-      if (this.keydownHandler) {
-        this.removeEventListener(document, 'keydown', this.keydownHandler, { capture: true });
-        this.keydownHandler = null;
-      }
-
       // Cleanup ShortcutManager
       if (shortcutManager.initialized) {
         shortcutManager.cleanup();
@@ -163,12 +157,6 @@ export class ShortcutHandler extends ResourceTracker {
           shortcutManager.cleanup();
         }
 
-        // Ensure event listeners are removed even on error
-        if (this.keydownHandler) {
-          this.removeEventListener(document, 'keydown', this.keydownHandler, { capture: true });
-          this.keydownHandler = null;
-        }
-
         this.cleanup();
 
         // Remove this instance from tracking
@@ -188,179 +176,47 @@ export class ShortcutHandler extends ResourceTracker {
   }
 
   /**
-   * Parse shortcut string into object
-   * @param {string} shortcut - Shortcut string (e.g., "Ctrl+Alt+T")
-   * @returns {Object} Parsed shortcut object
+   * Parse shortcut string into its steps
+   * @param {string} shortcut - Shortcut string (e.g., "Ctrl+Alt+T" or the sequence "Alt+T P")
+   * @returns {Array<Object>} Parsed steps, Ctrl+/ when the shortcut is invalid
    */
   parseShortcut(shortcut) {
-    if (!shortcut || typeof shortcut !== 'string') {
-      return { ctrl: true, alt: false, shift: false, meta: false, key: '/' }; // fallback to Ctrl+/
-    }
-
-    const keys = shortcut.split('+').map(key => key.trim().toLowerCase());
-    const mainKey = keys.find(k => !['ctrl', 'control', 'alt', 'shift', 'meta', 'cmd'].includes(k));
-
-    // Handle special keys
-    let normalizedKey = mainKey || '/';
-    if (normalizedKey === 'space') normalizedKey = ' ';
-    if (normalizedKey === 'escape') normalizedKey = 'Escape';
-
-    logger.debug(`Parsed shortcut "${shortcut}" to keys:`, keys, `mainKey: ${mainKey}`);
-
-    return {
-      ctrl: keys.includes('ctrl') || keys.includes('control'),
-      alt: keys.includes('alt'),
-      shift: keys.includes('shift'),
-      meta: keys.includes('meta') || keys.includes('cmd'),
-      key: normalizedKey
-    };
+    const steps = parseShortcut(shortcut);
+    return steps.length > 0 ? steps : parseShortcut('Ctrl+/');
   }
 
   /**
-   * Check if event matches the shortcut
+   * Check if event matches one step of a shortcut
    * @param {KeyboardEvent} event - Keyboard event
-   * @param {Object} parsedShortcut - Parsed shortcut object
-   * @returns {boolean} Whether event matches the shortcut
+   * @param {Object} parsedStep - Parsed step from parseShortcut
+   * @returns {boolean} Whether event matches the step
    */
-  isShortcutMatch(event, parsedShortcut) {
-    // Ignore modifier keys by themselves (Control, Shift, Alt, Meta)
-    const modifierKeys = ['Control', 'Shift', 'Alt', 'Meta'];
-    if (modifierKeys.includes(event.key)) {
-      return false;
-    }
-
-    return (
-      parsedShortcut.ctrl === event.ctrlKey &&
-      parsedShortcut.alt === event.altKey &&
-      parsedShortcut.shift === event.shiftKey &&
-      parsedShortcut.meta === event.metaKey &&
-      (event.key.toLowerCase() === parsedShortcut.key.toLowerCase())
-    );
+  isShortcutMatch(event, parsedStep) {
+    return isShortcutMatch(event, parsedStep);
   }
 
-  setupShortcutListeners() {
-    try {
-      // Ctrl+/ (or Cmd+/ on Mac) shortcut handler
-      this.keydownHandler = (event) => {
-        // Check global disable flag first
-        if (window.__shortcutHandlerDisabled) {
-          return;
-        }
-
-        if (!this.isActive) return;
-
-        // Check for configured shortcut combination
-        (async () => {
-          try {
-            const { settingsManager } = await import('@/shared/managers/SettingsManager.js');
-            const isExtensionEnabled = settingsManager.get('EXTENSION_ENABLED', false);
-            const isShortcutEnabled = settingsManager.get('ENABLE_SHORTCUT_FOR_TEXT_FIELDS', false);
-
-            if (!isExtensionEnabled || !isShortcutEnabled) {
-              return; // Silently ignore when disabled
-            }
-
-            // Get current shortcut from settings
-            let currentShortcut = settingsManager.get('TEXT_FIELD_SHORTCUT', 'Ctrl+/');
-
-            // If still default, try to refresh from settings store
-            if (currentShortcut === 'Ctrl+/') {
-              try {
-                const { getActivePinia } = await import('pinia');
-                const activePinia = getActivePinia();
-                
-                if (activePinia) {
-                  const { useSettingsStore } = await import('@/features/settings/stores/settings.js');
-                  const settingsStore = useSettingsStore();
-                  if (settingsStore.settings?.TEXT_FIELD_SHORTCUT && settingsStore.settings.TEXT_FIELD_SHORTCUT !== 'Ctrl+/') {
-                    currentShortcut = settingsStore.settings.TEXT_FIELD_SHORTCUT;
-                    logger.debug(`Updated shortcut from settings store: ${currentShortcut}`);
-                  }
-                } else {
-                  logger.debug('Pinia not active yet, skipping store-based shortcut refresh');
-                }
-              } catch (storeError) {
-                logger.debug(`Skip shortcut refresh from store: ${storeError.message}`);
-              }
-            }
-
-            const parsedShortcut = this.parseShortcut(currentShortcut);
-
-            // Debug: Log what we're checking
-            logger.debug(`Checking shortcut: ${currentShortcut}`, {
-              event: {
-                key: event.key,
-                ctrlKey: event.ctrlKey,
-                altKey: event.altKey,
-                shiftKey: event.shiftKey,
-                metaKey: event.metaKey
-              },
-              parsed: parsedShortcut,
-              matches: this.isShortcutMatch(event, parsedShortcut)
-            });
-
-            // Check if event matches the current shortcut
-            if (this.isShortcutMatch(event, parsedShortcut)) {
-              logger.info(`Translation shortcut triggered: ${currentShortcut}`);
-
-              // Prevent default behavior
-              event.preventDefault();
-              event.stopPropagation();
-
-              // Handle the shortcut
-              await this.handleTranslationShortcut(event);
-            }
-          } catch (error) {
-            logger.error('Error checking shortcut:', error);
-            // Fallback to original behavior
-            if (event[this.modifierKey] && event.key === '/') {
-              this.handleTranslationShortcut(event);
-            }
-          }
-        })();
-      };
-
-      // Register the keydown listener
-      this.addEventListener(document, 'keydown', this.keydownHandler, { capture: true });
+  /**
+   * Run the action bound to a matched shortcut
+   * @param {string} actionId - One of ShortcutAction
+   * @returns {Promise<boolean>} Whether an action ran
+   */
+  async handleShortcutAction(actionId) {
+    if (!this.isActive) return false;
 
-      // Get initial shortcut for logging
-      (async () => {
-        try {
-          const { settingsManager } = await import('@/shared/managers/SettingsManager.js');
-          const currentShortcut = settingsManager.get('TEXT_FIELD_SHORTCUT', 'Ctrl+/');
-
-          // Force refresh of settings if they're not loaded
-          if (currentShortcut === 'Ctrl+/') {
-            // Try to get settings store directly
-            try {
-              const { getActivePinia } = await import('pinia');
-              const activePinia = getActivePinia();
-
-              if (activePinia) {
-                const { useSettingsStore } = await import('@/features/settings/stores/settings.js');
-                const settingsStore = useSettingsStore();
-                await settingsStore.loadSettings();
-                const refreshedShortcut = settingsStore.settings?.TEXT_FIELD_SHORTCUT || 'Ctrl+/';
-                logger.info(`Shortcut listener setup: ${refreshedShortcut} (refreshed from settings store)`);
-              } else {
-                logger.debug('Pinia not active, using default shortcut for listener setup');
-                logger.info(`Shortcut listener setup: ${currentShortcut}`);
-              }
-            } catch (storeError) {
-              logger.debug(`Failed to refresh from settings store: ${storeError.message}`);
-              logger.info(`Shortcut listener setup: ${currentShortcut} (using cache)`);
-            }
-          } else {
-            logger.info(`Shortcut listener setup: ${currentShortcut}`);
-          }
-        } catch (error) {
-          logger.error(`Failed to load shortcut settings: ${error.message}`);
-          logger.info(`Shortcut listener setup: Ctrl+/ (default)`);
-        }
-      })();
-      
+    try {
+      if (actionId === ShortcutAction.TRANSLATE_FIELD) {
+        await this.handleTranslationShortcut();
+        return true;
+      }
+      return await runShortcutAction(actionId, { notificationManager: this.notificationManager });
     } catch (error) {
-      logger.error('Failed to setup shortcut listeners:', error);
+      logger.error(`Error running shortcut action ${actionId}:`, error);
+      ErrorHandler.getInstance().handle(error, {
+        type: ErrorTypes.SERVICE,
+        context: `ShortcutHandler-action-${actionId}`,
+        showToast: true
+      });
+      return false;
     }
   }
 
@@ -530,7 +386,7 @@ export class ShortcutHandler extends ResourceTracker {
     try {
       // Use NotificationManager for standardized toast notifications
       this.notificationManager.show(
-        `Press ${this.modifierKey === 'metaKey' ? 'Cmd' : 'Ctrl'}+/ in a text field or with selected text to translate`,
+        `Press ${this.getShortcutKey()} in a text field or with selected text to translate`,
         'info',
         NOTIFICATION_TIME.HINT,
         { id: 'shortcut-hint' }
@@ -542,8 +398,7 @@ export class ShortcutHandler extends ResourceTracker {
 
   // Public API methods
   getShortcutKey() {
-    const modifier = this.modifierKey === 'metaKey' ? 'Cmd' : 'Ctrl';
-    return `${modifier}+/`;
+    return normalizeShortcut(settingsManager.get('TEXT_FIELD_SHORTCUT', 'Ctrl+/')) || 'Ctrl+/';
   }
 
   isShortcutSupported() {
@@ -0,0 +1,108 @@
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { settingsManager } from '@/shared/managers/SettingsManager.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { sendMessage } from '@/shared/messaging/core/UnifiedMessaging.js';
+import { pageEventBus } from '@/core/PageEventBus.js';
+import { AUTO_DETECT_VALUE } from '@/shared/constants/core.js';
+import { CONFIG } from '@/shared/config/config.js';
+import { getLanguageNameFromCode } from '@/shared/config/languageConstants.js';
+import { NOTIFICATION_TIME } from '@/shared/constants/ui.js';
+import { getTranslationString } from '@/utils/i18n/i18n.js';
+import { ShortcutAction } from '../core/ShortcutRegistry.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.SHORTCUTS, 'shortcutActions');
+
+const notify = async (notificationManager, key, fallback, type = 'info', replacements = {}) => {
+  let message = (await getTranslationString(key)) || fallback;
+  for (const [name, value] of Object.entries(replacements)) {
+    message = message.replace(`{${name}}`, value);
+  }
+  notificationManager?.show(message, type, NOTIFICATION_TIME.HINT, { id: `shortcut-${key}` });
+};
+
+async function togglePageTranslation() {
+  const { pageTranslationManager } = await import('@/features/page-translation/PageTranslationManager.js');
+
+  if (pageTranslationManager.isTranslating) {
+    pageEventBus.emit(MessageActions.PAGE_TRANSLATE_STOP_AUTO);
+  } else if (pageTranslationManager.isTranslated) {
+    pageEventBus.emit(MessageActions.PAGE_RESTORE);
+  } else {
+    pageEventBus.emit(MessageActions.PAGE_TRANSLATE, {});
+  }
+}
+
+async function speakSelection({ notificationManager }) {
+  const text = window.getSelection()?.toString().trim();
+  if (!text) {
+    await notify(notificationManager, 'shortcut_hint_select_text_to_speak', 'Select some text to read it aloud');
+    return;
+  }
+
+  const ttsId = `tts_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+  await sendMessage({
+    action: MessageActions.GOOGLE_TTS_SPEAK,
+    data: { text, language: AUTO_DETECT_VALUE, ttsId },
+    context: 'shortcut',
+    messageId: `tts-speak-${ttsId}`
+  });
+}
+
+// Same resolution as the language selector: an automatic source is replaced by a concrete language first
+async function swapLanguages({ notificationManager }) {
+  let source = settingsManager.get('SOURCE_LANGUAGE', CONFIG.SOURCE_LANGUAGE);
+  const target = settingsManager.get('TARGET_LANGUAGE', CONFIG.TARGET_LANGUAGE);
+
+  if (source === AUTO_DETECT_VALUE) {
+    source = target !== CONFIG.TARGET_LANGUAGE ? CONFIG.TARGET_LANGUAGE : 'en';
+  } else if (source === target) {
+    source = 'en';
+  }
+
+  await settingsManager.setMultiple({ SOURCE_LANGUAGE: target, TARGET_LANGUAGE: source });
+  await notify(notificationManager, 'shortcut_languages_swapped', 'Languages: {source} → {target}', 'info', {
+    source: getLanguageNameFromCode(target) || target,
+    target: getLanguageNameFromCode(source) || source
+  });
+}
+
+async function toggleMouseHover({ notificationManager }) {
+  const enabled = !settingsManager.get('MOUSE_HOVER_TRANSLATION_ENABLED', false);
+  await settingsManager.set('MOUSE_HOVER_TRANSLATION_ENABLED', enabled);
+  await notify(
+    notificationManager,
+    enabled ? 'shortcut_mouse_hover_enabled' : 'shortcut_mouse_hover_disabled',
+    enabled ? 'Mouse hover translation on' : 'Mouse hover translation off'
+  );
+}
+
+const ACTION_HANDLERS = {
+  [ShortcutAction.SELECT_ELEMENT]: () => sendMessage({ action: MessageActions.ACTIVATE_SELECT_ELEMENT_MODE, data: {} }),
+  [ShortcutAction.TOGGLE_PAGE_TRANSLATION]: togglePageTranslation,
+  [ShortcutAction.SCREEN_CAPTURE]: () => sendMessage({ action: MessageActions.START_SCREEN_CAPTURE }),
+  [ShortcutAction.SPEAK_SELECTION]: speakSelection,
+  [ShortcutAction.SWAP_LANGUAGES]: swapLanguages,
+  [ShortcutAction.OPEN_SIDEPANEL]: () => sendMessage({ action: MessageActions.OPEN_SIDE_PANEL, data: {} }),
+  [ShortcutAction.TOGGLE_MOUSE_HOVER]: toggleMouseHover
+};
+
+/**
+ * Runs the page action bound to a shortcut.
+ * The text field action is handled by `ShortcutHandler` itself.
+ * @param {string} actionId - one of ShortcutAction
+ * @param {Object} [context]
+ * @param {Object} [context.notificationManager] - shows hints and confirmations
+ * @returns {Promise<boolean>} whether an action ran
+ */
+export async function runShortcutAction(actionId, context = {}) {
+  const handler = ACTION_HANDLERS[actionId];
+  if (!handler) {
+    logger.debug(`No handler for shortcut action: ${actionId}`);
+    return false;
+  }
+
+  logger.info(`Shortcut action triggered: ${actionId}`);
+  await handler(context);
+  return true;
+}
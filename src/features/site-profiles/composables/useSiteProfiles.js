@@ -0,0 +1,59 @@
+import { computed } from 'vue';
+import { useSettingsStore } from '@/features/settings/stores/settings.js';
+import { createSiteProfile, findSiteProfile } from '@/features/site-profiles/core/SiteProfiles.js';
+
+/**
+ * Composable for editing the site profile of the current page.
+ *
+ * Disabled profiles are still found here so they can be switched back on.
+ *
+ * @param {Object} params
+ * @param {import('vue').Ref<string>} params.currentUrl - Reactive ref of the current page URL
+ */
+export function useSiteProfiles({ currentUrl }) {
+  const settingsStore = useSettingsStore();
+
+  const profiles = computed(() => {
+    const value = settingsStore.settings?.SITE_PROFILES;
+    return Array.isArray(value) ? value : [];
+  });
+
+  const currentProfile = computed(() => {
+    const match = findSiteProfile(currentUrl.value, profiles.value.map(profile => ({ ...profile, enabled: true })));
+    return match ? profiles.value.find(profile => profile.id === match.id) || null : null;
+  });
+
+  const canCreateProfile = computed(() => !currentProfile.value && !!createSiteProfile(currentUrl.value));
+
+  const saveProfiles = (nextProfiles) => settingsStore.updateSettingAndPersist('SITE_PROFILES', nextProfiles);
+
+  const createProfileForCurrentPage = async () => {
+    const profile = createSiteProfile(currentUrl.value);
+    if (!profile) return;
+    await saveProfiles([...profiles.value, profile]);
+  };
+
+  /**
+   * @param {Object} changes - fields to overwrite on the current profile
+   */
+  const updateCurrentProfile = async (changes) => {
+    const id = currentProfile.value?.id;
+    if (!id) return;
+    await saveProfiles(profiles.value.map(profile => (profile.id === id ? { ...profile, ...changes } : profile)));
+  };
+
+  const removeCurrentProfile = async () => {
+    const id = currentProfile.value?.id;
+    if (!id) return;
+    await saveProfiles(profiles.value.filter(profile => profile.id !== id));
+  };
+
+  return {
+    profiles,
+    currentProfile,
+    canCreateProfile,
+    createProfileForCurrentPage,
+    updateCurrentProfile,
+    removeCurrentProfile
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Site Profiles - per-site translation preferences.
+ *
+ * Every entry of the `SITE_PROFILES` setting lists URL patterns in the
+ * auto-translate rule syntax (`example.com/*`, `*.example.com/*`,
+ * `https://example.com/docs`) and the settings it overrides on matching pages.
+ * Empty fields inherit the global settings.
+ *
+ * Feature overrides (text-field icon, mouse hover) are applied in the page by
+ * `ExclusionChecker`, the bilingual display override by the page translation
+ * settings loader; request overrides (provider, languages, prompt,
+ * optimization level) are applied in the background from the sender tab URL.
+ */
+
+import { matchesAutoTranslateRule, getUrlExclusionKey } from '@/utils/ui/exclusion.js';
+
+export const SiteFeatureOverride = Object.freeze({
+  INHERIT: 'inherit',
+  ON: 'on',
+  OFF: 'off'
+});
+
+// Features a profile can switch on or off, keyed by their FEATURE_CONFIG name
+export const SITE_PROFILE_FEATURES = Object.freeze(['textFieldIcon', 'mouseHover']);
+
+/**
+ * Creates a profile covering every page of the URL's host.
+ * @param {string} url - page URL
+ * @returns {Object|null} new profile, or null for pages that cannot have one
+ */
+export function createSiteProfile(url) {
+  const host = getUrlExclusionKey(url);
+  if (!host || host.startsWith('file://')) return null;
+
+  return {
+    id: `site-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: host,
+    patterns: [`${host}/*`],
+    enabled: true,
+    provider: '',
+    sourceLanguage: '',
+    targetLanguage: '',
+    promptTemplate: '',
+    optimizationLevel: null,
+    textFieldIcon: SiteFeatureOverride.INHERIT,
+    mouseHover: SiteFeatureOverride.INHERIT,
+    bilingualDisplay: SiteFeatureOverride.INHERIT
+  };
+}
+
+/**
+ * Ranks patterns so that narrower ones win: exact hosts beat `*.` hosts,
+ * and longer paths beat shorter ones.
+ * @param {string} pattern
+ * @returns {number}
+ */
+function getPatternSpecificity(pattern) {
+  const clean = pattern.trim();
+  const wildcardHost = clean.startsWith('*.');
+  const wildcardPath = clean.endsWith('/*');
+  const core = clean.replace(/^\*\./, '').replace(/\/\*$/, '').replace(/^[a-z0-9+.-]+:\/\//i, '');
+  return core.length * 4 + (wildcardHost ? 0 : 2) + (wildcardPath ? 0 : 1);
+}
+
+/**
+ * Finds the enabled profile that applies to a URL.
+ * When several profiles match, the one with the most specific pattern wins.
+ * @param {string} url - page URL
+ * @param {Array<Object>} profiles - the `SITE_PROFILES` setting
+ * @returns {Object|null}
+ */
+export function findSiteProfile(url, profiles) {
+  if (!url || !Array.isArray(profiles)) return null;
+
+  let best = null;
+  let bestScore = -1;
+  for (const profile of profiles) {
+    if (!profile || profile.enabled === false) continue;
+    for (const pattern of profile.patterns || []) {
+      if (typeof pattern !== 'string' || !matchesAutoTranslateRule(url, pattern)) continue;
+      const score = getPatternSpecificity(pattern);
+      if (score > bestScore) {
+        best = profile;
+        bestScore = score;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * @param {Object|null} profile
+ * @param {string} featureName - one of SITE_PROFILE_FEATURES, or 'bilingualDisplay'
+ * @returns {boolean|null} forced state, or null when the global setting applies
+ */
+export function getSiteFeatureOverride(profile, featureName) {
+  const value = profile?.[featureName];
+  if (value === SiteFeatureOverride.ON) return true;
+  if (value === SiteFeatureOverride.OFF) return false;
+  return null;
+}
+
+/**
+ * Translation settings a profile overrides, without the inherited (empty) ones.
+ * @param {Object|null} profile
+ * @returns {{ id: string, provider?: string, sourceLanguage?: string, targetLanguage?: string, promptTemplate?: string, optimizationLevel?: number }|null}
+ */
+export function getSiteRequestOverrides(profile) {
+  if (!profile) return null;
+
+  const overrides = { id: profile.id };
+  for (const key of ['provider', 'sourceLanguage', 'targetLanguage']) {
+    if (typeof profile[key] === 'string' && profile[key]) overrides[key] = profile[key];
+  }
+  if (typeof profile.promptTemplate === 'string' && profile.promptTemplate.trim()) {
+    overrides.promptTemplate = profile.promptTemplate;
+  }
+  const level = Number(profile.optimizationLevel);
+  if (Number.isInteger(level) && level >= 1 && level <= 5) {
+    overrides.optimizationLevel = level;
+  }
+
+  return Object.keys(overrides).length > 1 ? overrides : null;
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SiteFeatureOverride,
+  createSiteProfile,
+  findSiteProfile,
+  getSiteFeatureOverride,
+  getSiteRequestOverrides
+} from './SiteProfiles.js';
+
+const profile = (id, patterns, extra = {}) => ({ id, patterns, enabled: true, ...extra });
+
+describe('SiteProfiles', () => {
+  describe('createSiteProfile', () => {
+    it('covers every page of the host', () => {
+      const created = createSiteProfile('https://github.com/user/repo?tab=readme');
+
+      expect(created).toMatchObject({
+        name: 'github.com',
+        patterns: ['github.com/*'],
+        enabled: true,
+        provider: '',
+        targetLanguage: '',
+        textFieldIcon: SiteFeatureOverride.INHERIT,
+        mouseHover: SiteFeatureOverride.INHERIT,
+        bilingualDisplay: SiteFeatureOverride.INHERIT
+      });
+      expect(created.id).toMatch(/^site-/);
+    });
+
+    it.each(['', 'not a url', 'file:///home/user/page.html'])('returns null for %s', (url) => {
+      expect(createSiteProfile(url)).toBeNull();
+    });
+  });
+
+  describe('findSiteProfile', () => {
+    const profiles = [
+      profile('news', ['*.bbc.co.uk/*', 'www.theguardian.com/*']),
+      profile('github', ['github.com/*']),
+      profile('github-docs', ['github.com/docs/*']),
+      profile('disabled', ['gitlab.com/*'], { enabled: false })
+    ];
+
+    it('matches domain and URL patterns', () => {
+      expect(findSiteProfile('https://www.bbc.co.uk/news', profiles)?.id).toBe('news');
+      expect(findSiteProfile('https://www.theguardian.com/world', profiles)?.id).toBe('news');
+      expect(findSiteProfile('https://github.com/user/repo', profiles)?.id).toBe('github');
+    });
+
+    it('prefers the most specific pattern', () => {
+      expect(findSiteProfile('https://github.com/docs/actions', profiles)?.id).toBe('github-docs');
+    });
+
+    it('prefers exact hosts over wildcard hosts', () => {
+      const overlapping = [
+        profile('wildcard', ['*.example.com/*']),
+        profile('exact', ['example.com/*'])
+      ];
+      expect(findSiteProfile('https://example.com/page', overlapping)?.id).toBe('exact');
+      expect(findSiteProfile('https://api.example.com/page', overlapping)?.id).toBe('wildcard');
+    });
+
+    it('ignores disabled profiles and unmatched pages', () => {
+      expect(findSiteProfile('https://gitlab.com/group', profiles)).toBeNull();
+      expect(findSiteProfile('https://example.org/', profiles)).toBeNull();
+      expect(findSiteProfile('', profiles)).toBeNull();
+      expect(findSiteProfile('https://github.com/', null)).toBeNull();
+    });
+  });
+
+  it('reads feature overrides', () => {
+    const overrides = { textFieldIcon: SiteFeatureOverride.OFF, mouseHover: SiteFeatureOverride.ON };
+
+    expect(getSiteFeatureOverride(overrides, 'textFieldIcon')).toBe(false);
+    expect(getSiteFeatureOverride(overrides, 'mouseHover')).toBe(true);
+    expect(getSiteFeatureOverride({ mouseHover: SiteFeatureOverride.INHERIT }, 'mouseHover')).toBeNull();
+    expect(getSiteFeatureOverride(null, 'mouseHover')).toBeNull();
+  });
+
+  describe('getSiteRequestOverrides', () => {
+    it('keeps only the fields the profile sets', () => {
+      expect(getSiteRequestOverrides(profile('github', ['github.com/*'], {
+        provider: 'deepl',
+        sourceLanguage: '',
+        targetLanguage: 'de',
+        promptTemplate: 'Keep code blocks unchanged.',
+        optimizationLevel: '2'
+      }))).toEqual({
+        id: 'github',
+        provider: 'deepl',
+        targetLanguage: 'de',
+        promptTemplate: 'Keep code blocks unchanged.',
+        optimizationLevel: 2
+      });
+    });
+
+    it('returns null when nothing is overridden', () => {
+      expect(getSiteRequestOverrides(profile('empty', ['a.com/*'], { promptTemplate: '  ', optimizationLevel: 9 }))).toBeNull();
+      expect(getSiteRequestOverrides(null)).toBeNull();
+    });
+  });
+});
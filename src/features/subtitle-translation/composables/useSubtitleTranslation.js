@@ -2,6 +2,15 @@ import { ref, reactive } from 'vue';
 import { MessagingBus } from '@/shared/messaging/core/MessagingBus.js';
 import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
 import { MessageContexts } from '@/shared/messaging/core/MessagingConstants.js';
+import { SubtitleParserFactory } from '../parsers/SubtitleParserFactory.js';
+import { SubtitleTimingService } from '../core/SubtitleTimingService.js';
+import { SubtitleJobCheckpointStore, subtitleJobCheckpointStore } from '../core/SubtitleJobCheckpointStore.js';
+import { SubtitleOutputMode } from '../types/subtitleTypes.js';
+import { ZipArchive } from '@/features/document-translation/archive/ZipArchive.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.SUBTITLE, 'useSubtitleTranslation');
 
 export function useSubtitleTranslation() {
   const jobId = ref(`job-${Date.now()}`);
@@ -20,6 +29,10 @@ export function useSubtitleTranslation() {
   const error = ref(null);
   const currentFile = ref(null);
   const cues = ref([]);
+  // Unfinished or finished job saved for the loaded file, offered for resuming
+  const checkpoint = ref(null);
+  // The job's checkpoint holds its results until they are downloaded
+  let jobFingerprint = null;
 
   // Subscribe to background updates
   const unsubscribe = MessagingBus.subscribe(MessageContexts.SUBTITLE_TRANSLATION, (message) => {
@@ -71,6 +84,7 @@ export function useSubtitleTranslation() {
     status.value = 'translating';
     error.value = null;
     translatedContent.value = '';
+    jobFingerprint = SubtitleJobCheckpointStore.fingerprint(fileContent, filename);
     
     // Reset progress
     Object.assign(progress, {
@@ -94,7 +108,8 @@ export function useSubtitleTranslation() {
           sourceLanguage: config.sourceLanguage,
           targetLanguage: config.targetLanguage,
           providerId: config.providerId,
-          options: config.options ? JSON.parse(JSON.stringify(config.options)) : undefined
+          options: config.options ? JSON.parse(JSON.stringify(config.options)) : undefined,
+          resume: Boolean(config.resume)
         }
       });
 
@@ -107,6 +122,68 @@ export function useSubtitleTranslation() {
     }
   };
 
+  /**
+   * Looks up an unfinished job for the loaded file.
+   * @param {string} fileContent - Original file content
+   * @param {string} filename - Original file name
+   * @returns {Promise<Object|null>} the checkpoint, also kept in `checkpoint`
+   */
+  const findCheckpoint = async (fileContent, filename) => {
+    checkpoint.value = null;
+    try {
+      checkpoint.value = await subtitleJobCheckpointStore.get(SubtitleJobCheckpointStore.fingerprint(fileContent, filename));
+    } catch (err) {
+      logger.warn('Failed to read subtitle checkpoint:', err);
+    }
+    return checkpoint.value;
+  };
+
+  /**
+   * Removes the checkpoint of the current job once its result is with the user.
+   */
+  const releaseJobCheckpoint = async () => {
+    const fingerprint = jobFingerprint;
+    jobFingerprint = null;
+    if (!fingerprint) return;
+    try {
+      await subtitleJobCheckpointStore.remove(fingerprint);
+    } catch (err) {
+      logger.warn('Failed to remove subtitle checkpoint:', err);
+    }
+  };
+
+  /**
+   * Continues the saved job with its original languages and provider.
+   * Only cues that are still pending or failed are sent again, so a finished
+   * job is restored without any request.
+   */
+  const resumeTranslation = async (fileContent, filename) => {
+    const saved = checkpoint.value;
+    if (!saved) return;
+
+    SubtitleJobCheckpointStore.applyToCues(cues.value, saved);
+    checkpoint.value = null;
+
+    await startTranslation(fileContent, filename, {
+      sourceLanguage: saved.sourceLanguage,
+      targetLanguage: saved.targetLanguage,
+      providerId: saved.providerId,
+      options: saved.options,
+      resume: true
+    });
+  };
+
+  const discardCheckpoint = async () => {
+    const saved = checkpoint.value;
+    checkpoint.value = null;
+    if (!saved) return;
+    try {
+      await subtitleJobCheckpointStore.remove(saved.fingerprint);
+    } catch (err) {
+      logger.warn('Failed to discard subtitle checkpoint:', err);
+    }
+  };
+
   const cancelTranslation = () => {
     MessagingBus.sendToBackground({
       context: MessageContexts.SUBTITLE_TRANSLATION,
@@ -116,22 +193,97 @@ export function useSubtitleTranslation() {
     status.value = 'idle';
   };
 
-  const downloadResult = (filename) => {
-    if (!translatedContent.value) return;
+  /**
+   * Applies the timing tools to the translated cues and rebuilds the downloadable file.
+   * @param {Object} tools - { shiftMs?: number, framerate?: { from, to }, reflow?: Object }
+   * @param {string} sourceContent - Original file content
+   * @param {string} filename - Original file name (selects the format)
+   */
+  const applyTimingTools = (tools, sourceContent, filename) => {
+    const adapter = SubtitleParserFactory.getAdapter(filename);
+    // Parsing restores the file layout (header, styles, comments) the adapter writes back
+    adapter.parse(sourceContent);
+
+    let updated = cues.value;
+    if (tools.shiftMs) {
+      updated = SubtitleTimingService.shift(updated, tools.shiftMs, adapter);
+    }
+    if (tools.framerate) {
+      updated = SubtitleTimingService.convertFramerate(updated, tools.framerate.from, tools.framerate.to, adapter);
+    }
+    if (tools.reflow) {
+      updated = SubtitleTimingService.reflow(updated, tools.reflow, adapter);
+    }
+
+    cues.value = [...updated];
+    translatedContent.value = adapter.serialize(cues.value);
+  };
+
+  /**
+   * Builds the files to download for an output mode.
+   * @param {string} filename - Original file name (selects the format)
+   * @param {Object} exportOptions - { outputMode?, sourceContent?, sourceLanguage?, targetLanguage? }
+   * @returns {Array<{name: string, content: string}>}
+   */
+  const buildExportFiles = (filename, exportOptions = {}) => {
+    const { outputMode = SubtitleOutputMode.TRANSLATION, sourceContent, sourceLanguage, targetLanguage } = exportOptions;
 
-    const blob = new Blob([translatedContent.value], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    
     // Suggest a name: original_translated.srt
     const nameParts = filename.split('.');
     const ext = nameParts.pop();
-    const newName = `${nameParts.join('.')}_translated.${ext}`;
-    
+    const baseName = nameParts.join('.');
+
+    if (outputMode === SubtitleOutputMode.TRANSLATION || !sourceContent) {
+      return [{ name: `${baseName}_translated.${ext}`, content: translatedContent.value }];
+    }
+
+    const adapter = SubtitleParserFactory.getAdapter(filename);
+    // Parsing restores the file layout (header, styles, comments) the adapter writes back
+    adapter.parse(sourceContent);
+
+    if (outputMode === SubtitleOutputMode.SEPARATE_FILES) {
+      // Language-tagged names (movie.en.srt, movie.fa.srt) let players load both as tracks
+      return [
+        { name: `${baseName}.${sourceLanguage || 'original'}.${ext}`, content: adapter.serialize(cues.value, { useTranslation: false }) },
+        { name: `${baseName}.${targetLanguage || 'translated'}.${ext}`, content: adapter.serialize(cues.value, { useTranslation: true }) }
+      ];
+    }
+
+    return [{
+      name: `${baseName}_bilingual.${ext}`,
+      content: adapter.serialize(cues.value, { useTranslation: true, outputMode })
+    }];
+  };
+
+  /**
+   * Hands the export to the browser as one download. Several files are bundled
+   * into a zip, since browsers drop or block rapid successive downloads.
+   * @param {string} filename - Original file name (selects the format)
+   * @param {Object} exportOptions - See buildExportFiles
+   */
+  const downloadResult = async (filename, exportOptions = {}) => {
+    if (!translatedContent.value) return;
+
+    const files = buildExportFiles(filename, exportOptions);
+    let name = files[0].name;
+    let blob = new Blob([files[0].content], { type: 'text/plain' });
+
+    if (files.length > 1) {
+      const archive = new ZipArchive();
+      files.forEach(file => archive.setEntry(file.name, file.content));
+      name = `${filename.split('.').slice(0, -1).join('.')}_subtitles.zip`;
+      blob = new Blob([await archive.toBytes()], { type: 'application/zip' });
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+
     a.href = url;
-    a.download = newName;
+    a.download = name;
     a.click();
     URL.revokeObjectURL(url);
+
+    await releaseJobCheckpoint();
   };
 
   return {
@@ -141,10 +293,16 @@ export function useSubtitleTranslation() {
     error,
     currentFile,
     cues,
+    checkpoint,
     translatedContent,
     startTranslation,
+    findCheckpoint,
+    resumeTranslation,
+    discardCheckpoint,
     cancelTranslation,
+    buildExportFiles,
     downloadResult,
+    applyTimingTools,
     cleanup: unsubscribe
   };
 }
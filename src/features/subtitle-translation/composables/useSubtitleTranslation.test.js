@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { useSubtitleTranslation } from './useSubtitleTranslation.js';
+import { SubtitleParserFactory } from '../parsers/SubtitleParserFactory.js';
+import { SubtitleOutputMode } from '../types/subtitleTypes.js';
+import { ZipArchive } from '@/features/document-translation/archive/ZipArchive.js';
+import { SubtitleJobCheckpointStore, subtitleJobCheckpointStore } from '../core/SubtitleJobCheckpointStore.js';
+
+vi.mock('@/shared/messaging/core/MessagingBus.js', () => ({
+  MessagingBus: {
+    subscribe: vi.fn(() => vi.fn()),
+    sendToBackground: vi.fn()
+  }
+}));
+
+const SOURCE = '1\n00:00:01,000 --> 00:00:02,000\nHello\n';
+
+describe('useSubtitleTranslation downloadResult', () => {
+  let downloads;
+
+  beforeEach(() => {
+    downloads = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      downloads.push({ blob });
+      return `blob:${downloads.length}`;
+    });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(subtitleJobCheckpointStore, 'remove').mockResolvedValue();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      downloads.at(-1).name = this.download;
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  const translated = () => {
+    const subtitle = useSubtitleTranslation();
+    const { cues } = SubtitleParserFactory.getAdapter('movie.srt').parse(SOURCE);
+    subtitle.cues.value = cues.map(cue => ({ ...cue, translatedText: 'سلام', status: 'translated' }));
+    subtitle.translatedContent.value = SOURCE.replace('Hello', 'سلام');
+    return subtitle;
+  };
+
+  it('downloads a single file directly', async () => {
+    await translated().downloadResult('movie.srt');
+
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0].name).toBe('movie_translated.srt');
+    expect(await downloads[0].blob.text()).toContain('سلام');
+  });
+
+  it('bundles separate language files into one zip', async () => {
+    await translated().downloadResult('movie.srt', {
+      outputMode: SubtitleOutputMode.SEPARATE_FILES,
+      sourceContent: SOURCE,
+      sourceLanguage: 'en',
+      targetLanguage: 'fa'
+    });
+
+    expect(downloads).toHaveLength(1);
+    expect(downloads[0].name).toBe('movie_subtitles.zip');
+
+    const archive = await ZipArchive.fromBuffer(await downloads[0].blob.arrayBuffer());
+    expect(archive.getNames()).toEqual(['movie.en.srt', 'movie.fa.srt']);
+    expect(archive.getText('movie.en.srt')).toContain('Hello');
+    expect(archive.getText('movie.fa.srt')).toContain('سلام');
+  });
+
+  it('drops the stored results of the job once they are downloaded', async () => {
+    const subtitle = translated();
+    await subtitle.startTranslation(SOURCE, 'movie.srt', { sourceLanguage: 'en', targetLanguage: 'fa', providerId: 'google' });
+    subtitle.translatedContent.value = SOURCE.replace('Hello', 'سلام');
+
+    await subtitle.downloadResult('movie.srt');
+
+    expect(subtitleJobCheckpointStore.remove).toHaveBeenCalledWith(SubtitleJobCheckpointStore.fingerprint(SOURCE, 'movie.srt'));
+  });
+});
@@ -0,0 +1,223 @@
+import { SubtitleValidationService } from './SubtitleValidationService.js';
+import { subtitleTextProtector } from '../formatting/SubtitleTextProtector.js';
+import { translationMemoryStore } from '@/features/translation/memory/TranslationMemoryStore.js';
+import { resolveMemoryScope } from '@/features/translation/memory/memoryScope.js';
+import { glossaryManager } from '@/features/glossary/core/GlossaryManager.js';
+import { GlossaryValidator } from '@/features/glossary/core/GlossaryValidator.js';
+import { textContainsTerm } from '@/features/glossary/core/GlossaryMatcher.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { MessageContexts } from '@/shared/messaging/core/MessagingConstants.js';
+import { unifiedTranslationService } from '@/core/services/translation/UnifiedTranslationService.js';
+import { MessageFormat } from '@/shared/messaging/core/MessagingCore.js';
+import { ErrorMatcher } from '@/shared/error-management/ErrorMatcher.js';
+import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.SUBTITLE, 'SubtitleBatchRunner');
+
+const BATCH_TIMEOUT_MS = 300000;
+
+/**
+ * Subtitle Batch Runner - Translates one batch of id-keyed items for a job.
+ *
+ * Shared by the subtitle and document coordinators: both translate items shaped as
+ * { id, text, translatedText, status, warnings } with protected formatting tokens.
+ * The runner serves remembered items, sends the rest as a BATCH_TRANSLATE request,
+ * restores and validates the results and updates the job's progress tracker.
+ */
+export class SubtitleBatchRunner {
+  /**
+   * Runs a batch. Items are updated in place.
+   * @param {Object} job - Active job record ({ status, progressTracker, activeBatchMessageId })
+   * @param {Array<Object>} batch - Items of the batch
+   * @param {Object} options
+   * @param {string} options.jobId - Used for logging only
+   * @param {string} options.sourceLanguage
+   * @param {string} options.targetLanguage
+   * @param {string} options.providerId
+   * @param {string} options.mode - TranslationMode sent with the request
+   * @param {string[]} options.prompts - Prompts that shape the output; they scope the translation memory
+   * @param {Object} [options.requestData] - Extra BATCH_TRANSLATE fields (promptTemplate, instruction, metadata, ...)
+   * @param {Function} [options.getItemContext] - Returns the optional AI context string of an item
+   * @returns {Promise<{success: boolean, isFatal: boolean, error?: string, updatedItems: Array<Object>}>}
+   */
+  static async run(job, batch, options) {
+    const {
+      jobId,
+      sourceLanguage,
+      targetLanguage,
+      providerId,
+      mode,
+      prompts = [],
+      requestData = {},
+      getItemContext = null
+    } = options;
+    const tokenRegistry = new Map();
+
+    // 0. Serve items already present in the translation memory. Remembered entries may
+    // predate glossary edits, so items containing a glossary term always reach the provider.
+    const glossaryTerms = await glossaryManager.resolveTerms(batch.map(item => item.text), sourceLanguage, targetLanguage);
+    const usesMemory = (item) => !glossaryTerms.some(term => textContainsTerm(item.text, term));
+    const memoryScope = await resolveMemoryScope(
+      { provider: providerId, sourceLanguage, targetLanguage },
+      { prompts }
+    );
+    const memoryItems = batch.filter(usesMemory);
+    const memoryRecords = await translationMemoryStore.lookupMany(memoryItems.map(item => item.text), memoryScope);
+    const remembered = batch.map(item => memoryRecords[memoryItems.indexOf(item)] || null);
+    batch.forEach((item, idx) => {
+      if (!remembered[idx]) return;
+      item.translatedText = remembered[idx].translatedText;
+      item.status = 'translated';
+    });
+    const pendingItems = batch.filter((_, idx) => !remembered[idx]);
+
+    if (pendingItems.length === 0) {
+      job.progressTracker.update(batch);
+      return { success: true, isFatal: false, updatedItems: batch };
+    }
+
+    // 1. Protect & Prepare Payload
+    const translationItems = pendingItems.map(item => {
+      const { text: protectedText, tokens } = subtitleTextProtector.protect(item.text);
+      tokenRegistry.set(item.id, tokens);
+
+      const translationItem = { id: item.id, text: protectedText };
+      if (getItemContext) translationItem.context = getItemContext(item);
+      return translationItem;
+    });
+
+    try {
+      // 2. Request Translation via Unified Service
+      if (job.status === 'cancelled') {
+        throw new Error('Job cancelled before batch request');
+      }
+
+      const message = MessageFormat.create(MessageActions.BATCH_TRANSLATE, {
+        ...requestData,
+        items: translationItems,
+        sourceLanguage,
+        targetLanguage,
+        providerId,
+        mode
+      }, MessageContexts.TRANSLATION_SERVICE);
+
+      const response = await this._requestWithTimeout(job, message);
+
+      if (!response.success) {
+        // UnifiedTranslationService returns error details inside a response.error object
+        const errorInfo = response.error && typeof response.error === 'object' ? response.error : { message: response.error };
+
+        const error = new Error(errorInfo.message || 'Translation failed');
+        error.type = errorInfo.type || errorInfo.errorType || response.type;
+        error.statusCode = errorInfo.statusCode || errorInfo.status || response.statusCode;
+        error.providerName = providerId;
+        throw error;
+      }
+
+      // 3. Validate & Restore
+      const { validatedCues } = SubtitleValidationService.validateAndRestore(
+        pendingItems,
+        response.results,
+        tokenRegistry
+      );
+
+      // Flag items whose translation ignored a glossary term
+      validatedCues
+        .filter(item => item.status === 'translated')
+        .forEach(item => {
+          GlossaryValidator.findViolations(item.text, item.translatedText, glossaryTerms).forEach(({ source, target }) => {
+            item.warnings.push(`Glossary term "${source}" was not translated as "${target}".`);
+          });
+        });
+
+      // Only clean translations are remembered; items with token or glossary warnings may be damaged
+      translationMemoryStore.storeMany(
+        validatedCues
+          .filter(item => item.status === 'translated' && item.warnings.length === 0 && usesMemory(item))
+          .map(item => ({ text: item.text, translatedText: item.translatedText })),
+        memoryScope
+      );
+
+      // 4. Update Progress
+      job.progressTracker.update(batch);
+
+      return { success: true, isFatal: false, updatedItems: batch };
+
+    } catch (error) {
+      const isFatal = ErrorMatcher.isFatal(error);
+      logger.error(`Batch processing failed for job ${jobId} (isFatal: ${isFatal}):`, error);
+
+      pendingItems.forEach(item => {
+        item.status = 'failed';
+        if (Array.isArray(item.warnings)) {
+          item.warnings.push(error.message);
+        }
+      });
+      job.progressTracker.update(batch);
+
+      return {
+        success: false,
+        isFatal,
+        error: error.message,
+        updatedItems: batch
+      };
+    }
+  }
+
+  /**
+   * Sends the batch request with timeout protection (5 minutes).
+   * The outer timer owns termination: on fire it awaits the canonical service
+   * timeout lifecycle for the exact batch messageId — so cleanup (engine abort,
+   * lifecycle, queue) settles before the batch returns and the next batch can
+   * proceed — then rejects locally with TRANSLATION_TIMEOUT.
+   * Once the timer fires, the timeout owns the outcome: a late request
+   * settlement (e.g. abort-induced suppressed USER_CANCELLED) must not replace it.
+   * @private
+   */
+  static async _requestWithTimeout(job, message) {
+    job.activeBatchMessageId = message.messageId;
+    const timeoutError = new Error(`Batch translation timed out after ${BATCH_TIMEOUT_MS}ms`);
+    timeoutError.type = ErrorTypes.TRANSLATION_TIMEOUT;
+
+    let timedOut = false;
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(async () => {
+        timedOut = true;
+        try {
+          await unifiedTranslationService.handleTimeout(message.messageId);
+        } catch (error) {
+          logger.warn(`Batch timeout cleanup failed for ${message.messageId}:`, error);
+          try {
+            await unifiedTranslationService.cancelRequest(message.messageId);
+          } catch (fallbackError) {
+            logger.warn(`Batch timeout fallback cancel failed for ${message.messageId}:`, fallbackError);
+          }
+        }
+        reject(timeoutError);
+      }, BATCH_TIMEOUT_MS);
+    });
+
+    // A request that settles after the timeout fired must not surface its own
+    // result; it defers to the (still pending) timeout outcome instead.
+    const requestPromise = unifiedTranslationService
+      .handleTranslationRequest(message, { internal: true })
+      .then(
+        (result) => (timedOut ? timeoutPromise : result),
+        (error) => (timedOut ? timeoutPromise : Promise.reject(error))
+      );
+
+    try {
+      return await Promise.race([requestPromise, timeoutPromise]);
+    } finally {
+      // Always clear the outer timer. Only clear the job's active ID when it still
+      // refers to this batch (stale-finally must not clear a newer batch's ID).
+      clearTimeout(timeoutId);
+      if (job.activeBatchMessageId === message.messageId) {
+        job.activeBatchMessageId = null;
+      }
+    }
+  }
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { SubtitleBatchRunner } from './SubtitleBatchRunner.js';
+import { SubtitleProgressTracker } from './SubtitleProgressTracker.js';
+import { unifiedTranslationService } from '@/core/services/translation/UnifiedTranslationService.js';
+import { TranslationMode } from '@/shared/config/config.js';
+
+vi.mock('@/core/services/translation/UnifiedTranslationService.js', () => ({
+  unifiedTranslationService: {
+    handleTranslationRequest: vi.fn(),
+    handleTimeout: vi.fn().mockResolvedValue({ handled: true, success: true }),
+    cancelRequest: vi.fn().mockResolvedValue({ handled: true, success: true })
+  }
+}));
+
+vi.mock('@/features/translation/memory/TranslationMemoryStore.js', () => ({
+  translationMemoryStore: {
+    lookupMany: vi.fn(async (texts) => texts.map(() => null)),
+    storeMany: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('@/features/glossary/core/GlossaryManager.js', () => ({
+  glossaryManager: { resolveTerms: vi.fn(async () => []) }
+}));
+
+const createItems = () => [
+  { id: 'a', index: 1, text: 'Hello', translatedText: '', status: 'pending', warnings: [] },
+  { id: 'b', index: 2, text: 'World', translatedText: '', status: 'pending', warnings: [] }
+];
+
+describe('SubtitleBatchRunner', () => {
+  let job;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    job = { status: 'running', progressTracker: new SubtitleProgressTracker(2), activeBatchMessageId: null };
+  });
+
+  it('sends the mode, request fields and item context with the batch', async () => {
+    unifiedTranslationService.handleTranslationRequest.mockResolvedValue({ success: true, results: ['Hallo', 'Welt'] });
+    const items = createItems();
+
+    const result = await SubtitleBatchRunner.run(job, items, {
+      jobId: 'job',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      providerId: 'gemini',
+      mode: TranslationMode.Document,
+      prompts: ['base'],
+      requestData: { promptTemplate: 'base', metadata: { batchInstruction: 'batch' } },
+      getItemContext: (item) => `#${item.index}`
+    });
+
+    const [message] = unifiedTranslationService.handleTranslationRequest.mock.calls[0];
+    expect(message.data).toMatchObject({
+      mode: TranslationMode.Document,
+      promptTemplate: 'base',
+      metadata: { batchInstruction: 'batch' },
+      items: [{ id: 'a', text: 'Hello', context: '#1' }, { id: 'b', text: 'World', context: '#2' }]
+    });
+    expect(result).toMatchObject({ success: true, isFatal: false, updatedItems: items });
+    expect(items.map(item => item.translatedText)).toEqual(['Hallo', 'Welt']);
+    expect(job.activeBatchMessageId).toBeNull();
+    expect(job.progressTracker.getProgress().translated).toBe(2);
+  });
+
+  it('marks pending items as failed when the request fails', async () => {
+    unifiedTranslationService.handleTranslationRequest.mockResolvedValue({ success: false, error: { message: 'Quota exceeded' } });
+    const items = createItems();
+
+    const result = await SubtitleBatchRunner.run(job, items, {
+      jobId: 'job',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      providerId: 'gemini',
+      mode: TranslationMode.Subtitle
+    });
+
+    expect(result).toMatchObject({ success: false, error: 'Quota exceeded' });
+    expect(items.every(item => item.status === 'failed' && item.warnings.includes('Quota exceeded'))).toBe(true);
+  });
+
+  it('does not send a batch for a cancelled job', async () => {
+    job.status = 'cancelled';
+
+    const result = await SubtitleBatchRunner.run(job, createItems(), {
+      jobId: 'job',
+      sourceLanguage: 'en',
+      targetLanguage: 'de',
+      providerId: 'gemini',
+      mode: TranslationMode.Subtitle
+    });
+
+    expect(result.success).toBe(false);
+    expect(unifiedTranslationService.handleTranslationRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Subtitle Job Checkpoint Store - Persists the progress of subtitle jobs.
+ *
+ * After every batch the coordinator saves the parsed cues with their status,
+ * the provider settings and the batch plan to storage.local under
+ * `subtitleJobCheckpoints`, keyed by a fingerprint of the file. Reopening the
+ * same file in a new subtitle tab finds the checkpoint and resumes the job,
+ * retrying only the cues that never got a translation. Finished jobs are kept
+ * too, until the page downloads their result.
+ */
+
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { storageManager } from '@/shared/storage/core/StorageCore.js';
+import { hashString } from '@/shared/utils/text/hash.js';
+import { CueStatus } from '../types/subtitleTypes.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.SUBTITLE, 'SubtitleJobCheckpointStore');
+
+export const SUBTITLE_CHECKPOINT_STORAGE_KEY = 'subtitleJobCheckpoints';
+
+// A movie checkpoint holds every cue, so only the most recent jobs are kept
+export const MAX_CHECKPOINTS = 3;
+
+// Cues in these states still need a translation when the job resumes
+export const RESUMABLE_CUE_STATUSES = [CueStatus.PENDING, CueStatus.FAILED];
+
+const CUE_FIELDS = ['id', 'index', 'text', 'translatedText', 'status', 'warnings'];
+
+export class SubtitleJobCheckpointStore {
+  /**
+   * Identity of a subtitle file: its name, length and a hash of its content.
+   * @param {string} content - Raw file content
+   * @param {string} filename
+   * @returns {string}
+   */
+  static fingerprint(content, filename = '') {
+    const text = String(content ?? '');
+    return [filename, text.length, hashString(text)].join(':');
+  }
+
+  /**
+   * Whether a cue has to be translated again on resume.
+   * @param {Object} cue
+   * @returns {boolean}
+   */
+  static needsTranslation(cue) {
+    return !cue.status || RESUMABLE_CUE_STATUSES.includes(cue.status);
+  }
+
+  /**
+   * Builds the stored form of a job. Cues in flight when the job stopped are
+   * recorded as pending.
+   * @param {Object} job - { fingerprint, filename, sourceLanguage, targetLanguage, providerId, options, cues, batches, completedBatches, status }
+   * @returns {Object}
+   */
+  static createCheckpoint(job, now = Date.now()) {
+    const cues = job.cues.map((cue) => {
+      const stored = Object.fromEntries(CUE_FIELDS.map(field => [field, cue[field]]));
+      if (stored.status === CueStatus.TRANSLATING) stored.status = CueStatus.PENDING;
+      stored.warnings = Array.isArray(cue.warnings) ? [...cue.warnings] : [];
+      return stored;
+    });
+
+    return {
+      fingerprint: job.fingerprint,
+      filename: job.filename,
+      sourceLanguage: job.sourceLanguage,
+      targetLanguage: job.targetLanguage,
+      providerId: job.providerId,
+      options: job.options ? JSON.parse(JSON.stringify(job.options)) : {},
+      status: job.status,
+      cues,
+      batchPlan: (job.batches || []).map(batch => batch.map(cue => cue.id)),
+      completedBatches: job.completedBatches || 0,
+      translatedCount: cues.filter(cue => !this.needsTranslation(cue)).length,
+      totalCues: cues.length,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Copies the stored translations onto freshly parsed cues.
+   * @param {Array} cues - Cues parsed from the same file (mutated)
+   * @param {Object} checkpoint
+   * @returns {boolean} false when the checkpoint does not describe these cues
+   */
+  static applyToCues(cues, checkpoint) {
+    const stored = checkpoint?.cues;
+    if (!Array.isArray(stored) || stored.length !== cues.length) return false;
+    if (stored.some((cue, idx) => cue.id !== cues[idx].id || cue.text !== cues[idx].text)) return false;
+
+    cues.forEach((cue, idx) => {
+      const saved = stored[idx];
+      if (this.needsTranslation(saved)) {
+        cue.status = CueStatus.PENDING;
+        return;
+      }
+      cue.translatedText = saved.translatedText;
+      cue.status = saved.status;
+      cue.warnings = [...(saved.warnings || [])];
+    });
+    return true;
+  }
+
+  /**
+   * All checkpoints by fingerprint, read fresh so the background and the
+   * subtitle page see each other's writes.
+   * @returns {Promise<Object>}
+   */
+  async getAll() {
+    const result = await storageManager.getFresh({ [SUBTITLE_CHECKPOINT_STORAGE_KEY]: {} });
+    const checkpoints = result?.[SUBTITLE_CHECKPOINT_STORAGE_KEY];
+    return checkpoints && typeof checkpoints === 'object' ? checkpoints : {};
+  }
+
+  /**
+   * @param {string} fingerprint
+   * @returns {Promise<Object|null>}
+   */
+  async get(fingerprint) {
+    const checkpoints = await this.getAll();
+    return checkpoints[fingerprint] || null;
+  }
+
+  /**
+   * Stores a checkpoint, dropping the oldest ones beyond MAX_CHECKPOINTS.
+   * @param {Object} checkpoint - Result of createCheckpoint
+   */
+  async save(checkpoint) {
+    try {
+      const checkpoints = await this.getAll();
+      checkpoints[checkpoint.fingerprint] = checkpoint;
+
+      const kept = Object.values(checkpoints)
+        .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+        .slice(0, MAX_CHECKPOINTS);
+
+      await storageManager.set({
+        [SUBTITLE_CHECKPOINT_STORAGE_KEY]: Object.fromEntries(kept.map(entry => [entry.fingerprint, entry]))
+      });
+    } catch (error) {
+      // A lost checkpoint only costs the ability to resume; the job itself goes on
+      logger.warn(`Failed to save checkpoint for ${checkpoint.filename}:`, error);
+    }
+  }
+
+  /**
+   * @param {string} fingerprint
+   */
+  async remove(fingerprint) {
+    const checkpoints = await this.getAll();
+    if (!checkpoints[fingerprint]) return;
+    delete checkpoints[fingerprint];
+    await storageManager.set({ [SUBTITLE_CHECKPOINT_STORAGE_KEY]: checkpoints });
+  }
+}
+
+export const subtitleJobCheckpointStore = new SubtitleJobCheckpointStore();
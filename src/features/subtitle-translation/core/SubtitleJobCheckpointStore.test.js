@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { storageState } = vi.hoisted(() => ({ storageState: {} }));
+
+vi.mock('@/shared/storage/core/StorageCore.js', () => ({
+  storageManager: {
+    getFresh: vi.fn(async (defaults) => ({ ...defaults, ...structuredClone(storageState) })),
+    set: vi.fn(async (data) => { Object.assign(storageState, structuredClone(data)); })
+  }
+}));
+
+vi.mock('@/shared/logging/logger.js', () => ({
+  getScopedLogger: () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}));
+
+import {
+  SubtitleJobCheckpointStore,
+  SUBTITLE_CHECKPOINT_STORAGE_KEY,
+  MAX_CHECKPOINTS
+} from './SubtitleJobCheckpointStore.js';
+
+const cue = (id, overrides = {}) => ({
+  id,
+  index: Number(id.split('-')[1]),
+  text: `Line ${id}`,
+  translatedText: '',
+  status: 'pending',
+  warnings: [],
+  startTime: '00:00:01,000',
+  ...overrides
+});
+
+describe('SubtitleJobCheckpointStore', () => {
+  let store;
+
+  beforeEach(() => {
+    delete storageState[SUBTITLE_CHECKPOINT_STORAGE_KEY];
+    store = new SubtitleJobCheckpointStore();
+  });
+
+  it('should fingerprint the same file identically and different content differently', () => {
+    const fingerprint = SubtitleJobCheckpointStore.fingerprint('1\nHello', 'movie.srt');
+
+    expect(SubtitleJobCheckpointStore.fingerprint('1\nHello', 'movie.srt')).toBe(fingerprint);
+    expect(SubtitleJobCheckpointStore.fingerprint('1\nHellp', 'movie.srt')).not.toBe(fingerprint);
+    expect(SubtitleJobCheckpointStore.fingerprint('1\nHello', 'other.srt')).not.toBe(fingerprint);
+  });
+
+  it('should store cue state and the batch plan, recording in-flight cues as pending', () => {
+    const cues = [
+      cue('cue-1', { status: 'translated', translatedText: 'سلام' }),
+      cue('cue-2', { status: 'translating' }),
+      cue('cue-3', { status: 'failed', warnings: ['Server error'] })
+    ];
+
+    const checkpoint = SubtitleJobCheckpointStore.createCheckpoint({
+      fingerprint: 'fp',
+      filename: 'movie.srt',
+      providerId: 'gemini',
+      options: { useContext: true },
+      status: 'translating',
+      cues,
+      batches: [[cues[0], cues[1]], [cues[2]]],
+      completedBatches: 1
+    }, 5000);
+
+    expect(checkpoint).toMatchObject({
+      providerId: 'gemini',
+      batchPlan: [['cue-1', 'cue-2'], ['cue-3']],
+      completedBatches: 1,
+      translatedCount: 1,
+      totalCues: 3,
+      updatedAt: 5000
+    });
+    expect(checkpoint.cues.map(stored => stored.status)).toEqual(['translated', 'pending', 'failed']);
+    expect(checkpoint.cues[0]).not.toHaveProperty('startTime');
+  });
+
+  it('should restore translations and reset failed cues to pending', () => {
+    const checkpoint = SubtitleJobCheckpointStore.createCheckpoint({
+      fingerprint: 'fp',
+      cues: [
+        cue('cue-1', { status: 'translated', translatedText: 'سلام', warnings: ['Glossary'] }),
+        cue('cue-2', { status: 'failed', warnings: ['Server error'] })
+      ]
+    });
+    const cues = [cue('cue-1'), cue('cue-2')];
+
+    expect(SubtitleJobCheckpointStore.applyToCues(cues, checkpoint)).toBe(true);
+    expect(cues[0]).toMatchObject({ status: 'translated', translatedText: 'سلام', warnings: ['Glossary'] });
+    expect(cues[1]).toMatchObject({ status: 'pending', warnings: [] });
+  });
+
+  it('should reject a checkpoint made for different cues', () => {
+    const checkpoint = SubtitleJobCheckpointStore.createCheckpoint({ fingerprint: 'fp', cues: [cue('cue-1')] });
+
+    expect(SubtitleJobCheckpointStore.applyToCues([cue('cue-1', { text: 'Changed' })], checkpoint)).toBe(false);
+    expect(SubtitleJobCheckpointStore.applyToCues([cue('cue-1'), cue('cue-2')], checkpoint)).toBe(false);
+  });
+
+  it('should keep only the most recent checkpoints', async () => {
+    for (let i = 0; i <= MAX_CHECKPOINTS; i++) {
+      await store.save(SubtitleJobCheckpointStore.createCheckpoint({ fingerprint: `fp-${i}`, cues: [] }, 1000 + i));
+    }
+
+    expect(Object.keys(await store.getAll())).toHaveLength(MAX_CHECKPOINTS);
+    expect(await store.get('fp-0')).toBeNull();
+    expect(await store.get(`fp-${MAX_CHECKPOINTS}`)).toMatchObject({ updatedAt: 1000 + MAX_CHECKPOINTS });
+  });
+
+  it('should remove a checkpoint', async () => {
+    await store.save(SubtitleJobCheckpointStore.createCheckpoint({ fingerprint: 'fp', cues: [] }));
+    await store.remove('fp');
+
+    expect(await store.get('fp')).toBeNull();
+  });
+});
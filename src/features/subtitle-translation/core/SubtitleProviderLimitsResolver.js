@@ -13,9 +13,10 @@ export class SubtitleProviderLimitsResolver {
   /**
    * Resolves limits for the given provider.
    * @param {string} providerId - The ID of the provider (e.g., 'Gemini', 'GoogleTranslateV2')
+   * @param {string} [mode=TranslationMode.Subtitle] - Mode whose batching overrides apply
    * @returns {Object} { characterLimit, maxChunks, strategy }
    */
-  static resolve(providerId) {
+  static resolve(providerId, mode = TranslationMode.Subtitle) {
     const config = PROVIDER_CONFIGURATIONS[providerId];
     if (!config) {
       logger.warn(`No configuration found for provider ${providerId}, using safe defaults.`);
@@ -26,7 +27,7 @@ export class SubtitleProviderLimitsResolver {
     const strategy = batching.strategy || (config.features?.supportsBatchRequests ? 'json' : 'string');
 
     // Use mode-specific overrides if available, otherwise fallback to standard AI or traditional limits
-    const modeOverride = batching.modeOverrides?.[TranslationMode.Subtitle] || 
+    const modeOverride = batching.modeOverrides?.[mode] || 
                          batching.modeOverrides?.[TranslationMode.Page] || {};
 
     let characterLimit = modeOverride.characterLimit || batching.characterLimit;
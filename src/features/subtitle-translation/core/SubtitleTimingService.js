@@ -0,0 +1,266 @@
+import { DEFAULT_TIMING_LIMITS } from '../types/subtitleTypes.js';
+
+// Plain newlines and ASS hard line breaks
+const LINE_BREAK_PATTERN = /\\N|\r?\n/;
+// HTML-like tags (SRT/VTT) and ASS override blocks take no space on screen
+const MARKUP_PATTERN = /<[^>]*>|\{[^}]*\}/g;
+
+/**
+ * Subtitle Timing Service - Post-processing tools for translated cues.
+ *
+ * Offers a global time shift, framerate conversion and a readability reflow
+ * that re-wraps long lines, splits cues with too many lines and extends or
+ * merges cues that are read too fast. Timestamps stay in the notation of the
+ * source file: the adapter that parsed the cues converts them to and from
+ * milliseconds, and only cues that actually changed are rewritten.
+ */
+export class SubtitleTimingService {
+  /**
+   * Moves every cue by the same offset. Times never go below zero.
+   * @param {Array} cues - Cue objects (mutated)
+   * @param {number} offsetMs - Positive delays, negative advances
+   * @param {Object} adapter - Parser adapter with timestampToMs/msToTimestamp
+   * @returns {Array} the same cues
+   */
+  static shift(cues, offsetMs, adapter) {
+    return this._retime(cues, adapter, ms => ms + offsetMs);
+  }
+
+  /**
+   * Rescales cue times from one video framerate to another (e.g. 23.976 -> 25).
+   * @param {Array} cues - Cue objects (mutated)
+   * @param {number} fromFps - Framerate the subtitle was timed for
+   * @param {number} toFps - Framerate of the target video
+   * @param {Object} adapter - Parser adapter with timestampToMs/msToTimestamp
+   * @returns {Array} the same cues
+   */
+  static convertFramerate(cues, fromFps, toFps, adapter) {
+    if (!(fromFps > 0) || !(toFps > 0)) {
+      throw new Error('Framerates must be positive numbers.');
+    }
+    const ratio = fromFps / toFps;
+    return this._retime(cues, adapter, ms => ms * ratio);
+  }
+
+  /**
+   * Rewrites cues that break the readability limits.
+   * @param {Array} cues - Cue objects; split cues are new objects, merged cues are dropped
+   * @param {Object} limits - Overrides for DEFAULT_TIMING_LIMITS
+   * @param {Object} adapter - Parser adapter with timestampToMs/msToTimestamp
+   * @returns {Array} the reflowed cue list, renumbered
+   */
+  static reflow(cues, limits = {}, adapter) {
+    const rules = { ...DEFAULT_TIMING_LIMITS, ...limits };
+
+    let entries = cues.map(cue => ({
+      cue,
+      start: adapter.timestampToMs(cue.startTime),
+      end: adapter.timestampToMs(cue.endTime),
+      lines: this.getLines(this.getDisplayText(cue)),
+      changed: false
+    }));
+
+    // 1. Re-wrap only cues whose lines break the rules, so intentional breaks (dialogue dashes) survive
+    entries.forEach((entry) => {
+      const tooLong = entry.lines.some(line => this.visibleLength(line) > rules.maxCharsPerLine);
+      if (tooLong || entry.lines.length > rules.maxLines) {
+        entry.lines = this.wrap(entry.lines.join(' '), rules.maxCharsPerLine);
+        entry.changed = true;
+      }
+    });
+
+    // 2. Split cues that still need more lines than allowed
+    entries = entries.flatMap(entry => (entry.lines.length > rules.maxLines ? this._split(entry, rules) : [entry]));
+
+    // 3. Give fast cues more time, borrowing from the gap or merging with the next cue
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const next = entries[i + 1];
+      const chars = this._charCount(entry.lines);
+      const target = Math.max((chars / rules.maxCharsPerSecond) * 1000, rules.minDurationMs);
+
+      if (entry.end - entry.start < target) {
+        const limit = next ? next.start - rules.minGapMs : Infinity;
+        const end = Math.min(entry.start + target, limit);
+        if (end > entry.end) {
+          entry.end = Math.round(end);
+          entry.changed = true;
+        }
+      }
+
+      if (next && this._isTooFast(entry, rules) && this._canMerge(entry, next, rules)) {
+        this._merge(entry, next);
+        entries.splice(i + 1, 1);
+      }
+    }
+
+    return entries.map((entry, idx) => this._writeBack(entry, idx + 1, adapter));
+  }
+
+  /**
+   * Text shown for a cue: the translation when there is one.
+   */
+  static getDisplayText(cue) {
+    return cue.translatedText || cue.text || '';
+  }
+
+  static getLines(text) {
+    return String(text ?? '').split(LINE_BREAK_PATTERN).map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Number of characters a line occupies on screen.
+   */
+  static visibleLength(text) {
+    return String(text ?? '').replace(MARKUP_PATTERN, '').length;
+  }
+
+  /**
+   * Wraps text into lines of at most `maxCharsPerLine` visible characters.
+   * Two balanced lines are preferred over a full line and a short tail.
+   * A single word longer than the limit is kept whole.
+   * @returns {string[]}
+   */
+  static wrap(text, maxCharsPerLine) {
+    const words = String(text ?? '').split(LINE_BREAK_PATTERN).join(' ').split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+
+    const single = words.join(' ');
+    if (this.visibleLength(single) <= maxCharsPerLine) return [single];
+
+    let best = null;
+    for (let i = 1; i < words.length; i++) {
+      const lines = [words.slice(0, i).join(' '), words.slice(i).join(' ')];
+      const longest = Math.max(...lines.map(line => this.visibleLength(line)));
+      if (longest <= maxCharsPerLine && (!best || longest < best.longest)) {
+        best = { lines, longest };
+      }
+    }
+    if (best) return best.lines;
+
+    const lines = [];
+    let current = '';
+    for (const word of words) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && this.visibleLength(candidate) > maxCharsPerLine) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    if (current) lines.push(current);
+    return lines;
+  }
+
+  /**
+   * @private
+   */
+  static _retime(cues, adapter, transform) {
+    cues.forEach((cue) => {
+      ['startTime', 'endTime'].forEach((key) => {
+        if (!cue[key]) return;
+        const ms = adapter.timestampToMs(cue[key]);
+        const updated = Math.max(0, Math.round(transform(ms)));
+        if (updated !== ms) {
+          cue[key] = adapter.msToTimestamp(updated);
+        }
+      });
+    });
+    return cues;
+  }
+
+  /**
+   * Splits an entry into parts of `maxLines` lines; time is shared by length.
+   * @private
+   */
+  static _split(entry, rules) {
+    const chunks = [];
+    for (let i = 0; i < entry.lines.length; i += rules.maxLines) {
+      chunks.push(entry.lines.slice(i, i + rules.maxLines));
+    }
+
+    const total = this._charCount(entry.lines) || 1;
+    const duration = entry.end - entry.start;
+    let start = entry.start;
+
+    return chunks.map((lines, idx) => {
+      const isLast = idx === chunks.length - 1;
+      const end = isLast ? entry.end : Math.round(start + duration * (this._charCount(lines) / total));
+      const part = { cue: entry.cue, start, end, lines, changed: true, partIndex: idx };
+      start = end;
+      return part;
+    });
+  }
+
+  /**
+   * @private
+   */
+  static _isTooFast(entry, rules) {
+    const seconds = (entry.end - entry.start) / 1000;
+    return seconds <= 0 || this._charCount(entry.lines) / seconds > rules.maxCharsPerSecond;
+  }
+
+  /**
+   * Merging is only worth it when the result fits on screen and reads slowly enough.
+   * @private
+   */
+  static _canMerge(entry, next, rules) {
+    if (next.start - entry.end > rules.maxMergeGapMs) return false;
+    if (entry.lines.length + next.lines.length > rules.maxLines) return false;
+
+    const seconds = (next.end - entry.start) / 1000;
+    const chars = this._charCount(entry.lines) + this._charCount(next.lines);
+    return seconds > 0 && chars / seconds <= rules.maxCharsPerSecond;
+  }
+
+  /**
+   * @private
+   */
+  static _merge(entry, next) {
+    entry.end = next.end;
+    entry.lines = [...entry.lines, ...next.lines];
+    entry.mergedCues = [...(entry.mergedCues || []), next.cue, ...(next.mergedCues || [])];
+    entry.changed = true;
+  }
+
+  /**
+   * @private
+   */
+  static _charCount(lines) {
+    return lines.reduce((sum, line) => sum + this.visibleLength(line), 0);
+  }
+
+  /**
+   * Turns a working entry back into a cue, keeping untouched cues as they were.
+   * @private
+   */
+  static _writeBack(entry, index, adapter) {
+    const { cue } = entry;
+    const field = cue.translatedText ? 'translatedText' : 'text';
+
+    // Later parts of a split cue are new cues; the source text stays with the first part
+    const target = entry.partIndex > 0
+      ? {
+        ...cue,
+        id: `${cue.id}-${entry.partIndex + 1}`,
+        identifier: '',
+        precedingBlocks: [],
+        text: '',
+        warnings: [],
+        splitFrom: cue.id
+      }
+      : cue;
+
+    target.index = index;
+    if (!entry.changed) return target;
+
+    target[field] = entry.lines.join('\n');
+    if (entry.mergedCues) {
+      target.text = [cue.text, ...entry.mergedCues.map(merged => merged.text)].filter(Boolean).join('\n');
+    }
+    if (adapter.timestampToMs(cue.startTime) !== entry.start) target.startTime = adapter.msToTimestamp(entry.start);
+    if (adapter.timestampToMs(cue.endTime) !== entry.end) target.endTime = adapter.msToTimestamp(entry.end);
+    return target;
+  }
+}
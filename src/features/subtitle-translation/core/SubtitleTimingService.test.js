@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { SubtitleTimingService } from './SubtitleTimingService.js';
+import { SubtitleValidationService } from './SubtitleValidationService.js';
+import { SrtAdapter } from '../parsers/SrtAdapter.js';
+import { TimingViolationType } from '../types/subtitleTypes.js';
+
+const adapter = new SrtAdapter();
+
+const cue = (index, start, end, translatedText) => ({
+  id: `cue-${index}`,
+  index,
+  startTime: adapter.msToTimestamp(start),
+  endTime: adapter.msToTimestamp(end),
+  text: `Source ${index}`,
+  translatedText,
+  status: 'translated',
+  warnings: []
+});
+
+describe('SubtitleTimingService', () => {
+  it('shifts cues without going below zero', () => {
+    const cues = [cue(1, 500, 2000, 'A'), cue(2, 3000, 4000, 'B')];
+
+    SubtitleTimingService.shift(cues, -1000, adapter);
+
+    expect(cues.map(c => [c.startTime, c.endTime])).toEqual([
+      ['00:00:00,000', '00:00:01,000'],
+      ['00:00:02,000', '00:00:03,000']
+    ]);
+  });
+
+  it('converts between framerates', () => {
+    const cues = [cue(1, 25000, 50000, 'A')];
+
+    SubtitleTimingService.convertFramerate(cues, 25, 23.976, adapter);
+
+    expect(cues[0].startTime).toBe('00:00:26,068');
+    expect(() => SubtitleTimingService.convertFramerate(cues, 0, 25, adapter)).toThrow();
+  });
+
+  it('wraps into balanced lines and ignores markup when counting', () => {
+    expect(SubtitleTimingService.wrap('one two three four five six', 20)).toEqual(['one two three', 'four five six']);
+    expect(SubtitleTimingService.visibleLength('<i>Hi</i> {\\an8}there')).toBe(8);
+  });
+
+  it('re-wraps long lines and splits cues that need too many lines', () => {
+    const long = 'word '.repeat(30).trim(); // 149 characters
+    const cues = [cue(1, 0, 12000, long), cue(2, 20000, 22000, 'Short\nlines')];
+
+    const result = SubtitleTimingService.reflow(cues, { maxCharsPerLine: 42, maxCharsPerSecond: 25 }, adapter);
+
+    expect(result).toHaveLength(3);
+    expect(result.map(c => c.index)).toEqual([1, 2, 3]);
+    expect(result[0].translatedText.split('\n')).toHaveLength(2);
+    expect(result[1]).toMatchObject({ id: 'cue-1-2', splitFrom: 'cue-1', text: '', endTime: '00:00:12,000' });
+    expect(result[0].endTime).toBe(result[1].startTime);
+    // Untouched cues keep their text and line breaks
+    expect(result[2]).toBe(cues[1]);
+    expect(result[2].translatedText).toBe('Short\nlines');
+  });
+
+  it('extends fast cues into the gap and merges them when the gap is used up', () => {
+    const cues = [
+      cue(1, 0, 1000, 'This translation is far too long'), // 32 chars in 1s
+      cue(2, 5000, 5500, 'Quick one here'),
+      cue(3, 5600, 9000, 'Slow')
+    ];
+
+    const result = SubtitleTimingService.reflow(cues, { maxCharsPerSecond: 17 }, adapter);
+
+    expect(result[0].endTime).toBe('00:00:01,882');
+    expect(result).toHaveLength(2);
+    expect(result[1]).toMatchObject({
+      id: 'cue-2',
+      translatedText: 'Quick one here\nSlow',
+      text: 'Source 2\nSource 3',
+      endTime: '00:00:09,000'
+    });
+  });
+
+  it('reports readability violations per cue', () => {
+    const cues = [
+      cue(1, 0, 1000, 'A line that is definitely longer than the limit allows'),
+      cue(2, 900, 4000, 'One\nTwo\nThree')
+    ];
+
+    const violations = SubtitleValidationService.findTimingViolations(cues, {}, adapter);
+
+    expect(violations['cue-1'].map(v => v.type)).toEqual([
+      TimingViolationType.LINE_TOO_LONG,
+      TimingViolationType.READING_SPEED,
+      TimingViolationType.OVERLAP
+    ]);
+    expect(violations['cue-1'][2].value).toBe(100);
+    expect(violations['cue-2']).toEqual([{ type: TimingViolationType.TOO_MANY_LINES, value: 3, limit: 2 }]);
+  });
+});
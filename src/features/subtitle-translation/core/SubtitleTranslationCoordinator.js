@@ -1,10 +1,11 @@
 import { SubtitleParserFactory } from '../parsers/SubtitleParserFactory.js';
 import { SubtitleBatchPlanner } from './SubtitleBatchPlanner.js';
 import { SubtitleProviderLimitsResolver } from './SubtitleProviderLimitsResolver.js';
-import { SubtitleValidationService } from './SubtitleValidationService.js';
 import { SubtitleProgressTracker } from './SubtitleProgressTracker.js';
+import { SubtitleBatchRunner } from './SubtitleBatchRunner.js';
 import { SubtitleContextBuilder } from './SubtitleContextBuilder.js';
-import { subtitleTextProtector } from '../formatting/SubtitleTextProtector.js';
+import { SubtitleJobCheckpointStore, subtitleJobCheckpointStore } from './SubtitleJobCheckpointStore.js';
+import { SubtitleJobStatus } from '../types/subtitleTypes.js';
 import { 
   getPromptSubtitleBaseAsync, 
   getPromptSubtitleUserAsync, 
@@ -17,9 +18,6 @@ import { MessagingBus } from '@/shared/messaging/core/MessagingBus.js';
 import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
 import { MessageContexts } from '@/shared/messaging/core/MessagingConstants.js';
 import { unifiedTranslationService } from '@/core/services/translation/UnifiedTranslationService.js';
-import { MessageFormat } from '@/shared/messaging/core/MessagingCore.js';
-import { ErrorMatcher } from '@/shared/error-management/ErrorMatcher.js';
-import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.SUBTITLE, 'SubtitleCoordinator');
 
@@ -33,6 +31,8 @@ export class SubtitleTranslationCoordinator {
 
   /**
    * Starts a new subtitle translation job.
+   * With `resume`, the checkpoint saved for the same file is restored and only
+   * its pending and failed cues are translated.
    */
   async startJob(payload) {
     const { 
@@ -42,10 +42,11 @@ export class SubtitleTranslationCoordinator {
       sourceLanguage, 
       targetLanguage, 
       providerId,
-      options = {} 
+      options = {},
+      resume = false
     } = payload;
 
-    logger.info(`Starting subtitle job ${jobId} for ${filename} using ${providerId}`);
+    logger.info(`Starting subtitle job ${jobId} for ${filename} using ${providerId}${resume ? ' (resume)' : ''}`);
 
     // Ensure translation engine is available (Lazy Init for Background Service Worker)
     if (!unifiedTranslationService.translationEngine) {
@@ -74,17 +75,53 @@ export class SubtitleTranslationCoordinator {
       
       if (cues.length === 0) throw new Error('No valid subtitle cues found in file.');
 
+      // A job for the same file may still be running for a tab that was closed
+      const fingerprint = SubtitleJobCheckpointStore.fingerprint(content, filename);
+      this._supersedeJobs(fingerprint, jobId);
+
+      let checkpoint = null;
+      if (resume) {
+        checkpoint = await subtitleJobCheckpointStore.get(fingerprint);
+        if (!checkpoint || !SubtitleJobCheckpointStore.applyToCues(cues, checkpoint)) {
+          logger.warn(`No usable checkpoint for ${filename}, translating from the start.`);
+          checkpoint = null;
+        }
+      }
+
       const progressTracker = new SubtitleProgressTracker(cues.length);
+      const restoredCues = cues.filter(cue => !SubtitleJobCheckpointStore.needsTranslation(cue));
+      progressTracker.update(restoredCues);
+
       // activeBatchMessageId tracks the in-flight service request so the outer
       // batch timeout and cancelJob can terminate its lifecycle (no zombie).
-      this.activeJobs.set(jobId, { cues, progressTracker, adapter, status: 'running', activeBatchMessageId: null });
+      this.activeJobs.set(jobId, {
+        cues,
+        progressTracker,
+        adapter,
+        status: 'running',
+        activeBatchMessageId: null,
+        fingerprint,
+        filename,
+        sourceLanguage,
+        targetLanguage,
+        providerId,
+        options,
+        batches: [],
+        completedBatches: 0
+      });
 
       // 2. Resolve Limits
       const limits = SubtitleProviderLimitsResolver.resolve(providerId);
       
       // 3. Plan Batches
-      const batches = SubtitleBatchPlanner.plan(cues, limits);
-      logger.info(`Planned ${batches.length} batches for ${cues.length} cues.`);
+      const pendingCues = cues.filter(cue => SubtitleJobCheckpointStore.needsTranslation(cue));
+      const batches = this._planBatches(pendingCues, limits, checkpoint, providerId);
+      this.activeJobs.get(jobId).batches = batches;
+      logger.info(`Planned ${batches.length} batches for ${pendingCues.length} of ${cues.length} cues.`);
+
+      if (restoredCues.length > 0) {
+        this._notifyProgress(jobId, restoredCues);
+      }
 
       // 4. Process Batches
       for (let i = 0; i < batches.length; i++) {
@@ -98,6 +135,9 @@ export class SubtitleTranslationCoordinator {
         // Notify progress
         this._notifyProgress(jobId, result.updatedCues);
 
+        job.completedBatches = i + 1;
+        await this._saveCheckpoint(jobId, SubtitleJobStatus.TRANSLATING);
+
         // Fail fast on fatal errors (e.g., Invalid API Key) to prevent wasteful retries
         // while still allowing the user to download partially translated progress.
         if (result && result.isFatal) {
@@ -110,21 +150,82 @@ export class SubtitleTranslationCoordinator {
       }
 
       // 5. Complete (even if partial due to fatal error or cancel)
+      await this._finishCheckpoint(jobId);
       this._notifyComplete(jobId);
 
     } catch (error) {
       logger.error(`Subtitle job ${jobId} failed:`, error);
+      await this._saveCheckpoint(jobId, SubtitleJobStatus.FAILED);
       this._notifyError(jobId, error.message);
     }
   }
 
+  /**
+   * Plans the batches of a job. A resumed job keeps the stored plan when the
+   * provider is unchanged, minus the cues that are already translated.
+   * @private
+   */
+  _planBatches(pendingCues, limits, checkpoint, providerId) {
+    if (!checkpoint || checkpoint.providerId !== providerId || !Array.isArray(checkpoint.batchPlan)) {
+      return SubtitleBatchPlanner.plan(pendingCues, limits);
+    }
+
+    const pendingById = new Map(pendingCues.map(cue => [cue.id, cue]));
+    const batches = checkpoint.batchPlan
+      .map(ids => ids.map(id => pendingById.get(id)).filter(Boolean))
+      .filter(batch => batch.length > 0);
+
+    // Cues the stored plan does not cover are planned from scratch
+    const planned = new Set(batches.flat().map(cue => cue.id));
+    const unplanned = pendingCues.filter(cue => !planned.has(cue.id));
+    return [...batches, ...SubtitleBatchPlanner.plan(unplanned, limits)];
+  }
+
+  /**
+   * Cancels other jobs for the same file. Their checkpoint now belongs to the new job.
+   * @private
+   */
+  _supersedeJobs(fingerprint, jobId) {
+    this.activeJobs.forEach((job, activeJobId) => {
+      if (activeJobId === jobId || job.fingerprint !== fingerprint) return;
+      job.superseded = true;
+      this.cancelJob(activeJobId);
+    });
+  }
+
+  /**
+   * Persists the job so it can be resumed after the subtitle tab is closed.
+   * @private
+   */
+  async _saveCheckpoint(jobId, status) {
+    const job = this.activeJobs.get(jobId);
+    if (!job || !job.fingerprint || job.superseded) return;
+    await subtitleJobCheckpointStore.save(SubtitleJobCheckpointStore.createCheckpoint({ ...job, status }));
+  }
+
+  /**
+   * Records how the job ended. A fully translated job keeps its checkpoint as
+   * well: its tab may be closed already, so the results stay stored until the
+   * subtitle page downloads or discards them.
+   * @private
+   */
+  async _finishCheckpoint(jobId) {
+    const job = this.activeJobs.get(jobId);
+    if (!job || !job.fingerprint || job.superseded) return;
+
+    let status = SubtitleJobStatus.COMPLETED_WITH_WARNINGS;
+    if (!job.cues.some(cue => SubtitleJobCheckpointStore.needsTranslation(cue))) status = SubtitleJobStatus.COMPLETED;
+    else if (job.status === 'cancelled') status = SubtitleJobStatus.CANCELLED;
+    else if (job.progressTracker?.terminalError) status = SubtitleJobStatus.FAILED;
+    await this._saveCheckpoint(jobId, status);
+  }
+
   /**
    * Processes a single batch of cues.
    * @private
    */
   async _processBatch(jobId, batch, sourceLanguage, targetLanguage, providerId, options) {
     const job = this.activeJobs.get(jobId);
-    const tokenRegistry = new Map();
 
     // Build batch-level context for DeepL (dialogue continuity across batch boundaries)
     const isDeepLProvider = providerId?.toLowerCase().includes('deepl');
@@ -132,41 +233,20 @@ export class SubtitleTranslationCoordinator {
       ? SubtitleContextBuilder.buildBatchContext(batch, job.cues, 2)
       : null;
 
-    // 1. Protect & Prepare Payload
-    const translationItems = batch.map(cue => {
-      const { text: protectedText, tokens } = subtitleTextProtector.protect(cue.text);
-      tokenRegistry.set(cue.id, tokens);
-
-      return {
-        id: cue.id,
-        text: protectedText,
-        // Optional context for AI
-        context: options.useContext ? SubtitleContextBuilder.formatContextString(
-          SubtitleContextBuilder.buildContext(cue.index - 1, job.cues)
-        ) : null
-      };
-    });
-
-    try {
-      // 2. Resolve Prompts from Registry
-      const [promptTemplate, promptUser, promptBatch] = await Promise.all([
-        getPromptSubtitleBaseAsync(),
-        getPromptSubtitleUserAsync(),
-        getPromptSubtitleBatchAsync()
-      ]);
-
-      // 3. Request Translation via Unified Service
-      const job = this.activeJobs.get(jobId);
-      if (!job || job.status === 'cancelled') {
-        throw new Error('Job cancelled before batch request');
-      }
+    const [promptTemplate, promptUser, promptBatch] = await Promise.all([
+      getPromptSubtitleBaseAsync(),
+      getPromptSubtitleUserAsync(),
+      getPromptSubtitleBatchAsync()
+    ]);
 
-      const message = MessageFormat.create(MessageActions.BATCH_TRANSLATE, {
-        items: translationItems,
-        sourceLanguage,
-        targetLanguage,
-        providerId,
-        mode: TranslationMode.Subtitle,
+    const { updatedItems, ...result } = await SubtitleBatchRunner.run(job, batch, {
+      jobId,
+      sourceLanguage,
+      targetLanguage,
+      providerId,
+      mode: TranslationMode.Subtitle,
+      prompts: [promptTemplate, promptUser, promptBatch],
+      requestData: {
         promptTemplate: promptTemplate,
         instruction: promptUser,
         // Optional: Some providers might use a specific batch instruction format
@@ -175,103 +255,14 @@ export class SubtitleTranslationCoordinator {
         },
         // Add batch-level context for DeepL (dialogue continuity)
         contextMetadata: batchContext ? { dialogueContext: batchContext } : null
-      }, MessageContexts.TRANSLATION_SERVICE);
-
-      // Timeout Protection (5 minutes) for the batch request.
-      // The outer timer owns termination: on fire it awaits the canonical service
-      // timeout lifecycle for the exact batch messageId — so cleanup (engine abort,
-      // lifecycle, queue) settles before the batch returns and the next batch can
-      // proceed — then rejects locally with TRANSLATION_TIMEOUT.
-      // Once the timer fires, the timeout owns the outcome: a late request
-      // settlement (e.g. abort-induced suppressed USER_CANCELLED) must not replace it.
-      const BATCH_TIMEOUT_MS = 300000;
-      job.activeBatchMessageId = message.messageId;
-      const timeoutError = new Error(`Batch translation timed out after ${BATCH_TIMEOUT_MS}ms`);
-      timeoutError.type = ErrorTypes.TRANSLATION_TIMEOUT;
-
-      let timedOut = false;
-      let timeoutId;
-      const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(async () => {
-          timedOut = true;
-          try {
-            await unifiedTranslationService.handleTimeout(message.messageId);
-          } catch (error) {
-            logger.warn(`Batch timeout cleanup failed for ${message.messageId}:`, error);
-            try {
-              await unifiedTranslationService.cancelRequest(message.messageId);
-            } catch (fallbackError) {
-              logger.warn(`Batch timeout fallback cancel failed for ${message.messageId}:`, fallbackError);
-            }
-          }
-          reject(timeoutError);
-        }, BATCH_TIMEOUT_MS);
-      });
-
-      // A request that settles after the timeout fired must not surface its own
-      // result; it defers to the (still pending) timeout outcome instead.
-      const requestPromise = unifiedTranslationService
-        .handleTranslationRequest(message, { internal: true })
-        .then(
-          (result) => (timedOut ? timeoutPromise : result),
-          (error) => (timedOut ? timeoutPromise : Promise.reject(error))
-        );
-
-      let response;
-      try {
-        // Execute request with timeout protection
-        response = await Promise.race([requestPromise, timeoutPromise]);
-      } finally {
-        // Always clear the outer timer. Only clear the job's active ID when it still
-        // refers to this batch (stale-finally must not clear a newer batch's ID).
-        clearTimeout(timeoutId);
-        if (job.activeBatchMessageId === message.messageId) {
-          job.activeBatchMessageId = null;
-        }
-      }
-
-      if (!response.success) {
-        // UnifiedTranslationService returns error details inside a response.error object
-        const errorInfo = response.error && typeof response.error === 'object' ? response.error : { message: response.error };
-        
-        const error = new Error(errorInfo.message || 'Translation failed');
-        error.type = errorInfo.type || errorInfo.errorType || response.type;
-        error.statusCode = errorInfo.statusCode || errorInfo.status || response.statusCode;
-        error.providerName = providerId;
-        throw error;
-      }
-
-      // 3. Validate & Restore
-      const { validatedCues } = SubtitleValidationService.validateAndRestore(
-        batch, 
-        response.results, 
-        tokenRegistry
-      );
-
-      // 4. Update Progress
-      job.progressTracker.update(validatedCues);
+      },
+      // Optional context for AI
+      getItemContext: (cue) => (options.useContext ? SubtitleContextBuilder.formatContextString(
+        SubtitleContextBuilder.buildContext(cue.index - 1, job.cues)
+      ) : null)
+    });
 
-      return { success: true, isFatal: false, updatedCues: validatedCues };
-      
-    } catch (error) {
-      const isFatal = ErrorMatcher.isFatal(error);
-      logger.error(`Batch processing failed for job ${jobId} (isFatal: ${isFatal}):`, error);
-      
-      batch.forEach(cue => { 
-        cue.status = 'failed'; 
-        if (Array.isArray(cue.warnings)) {
-          cue.warnings.push(error.message);
-        }
-      });
-      job.progressTracker.update(batch);
-
-      return { 
-        success: false, 
-        isFatal, 
-        error: error.message,
-        updatedCues: batch
-      };
-    }
+    return { ...result, updatedCues: updatedItems };
   }
 
   cancelJob(jobId) {
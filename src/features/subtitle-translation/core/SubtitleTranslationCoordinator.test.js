@@ -5,6 +5,18 @@ import { unifiedTranslationService } from '@/core/services/translation/UnifiedTr
 import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
 import { SubtitleParserFactory } from '../parsers/SubtitleParserFactory.js';
 import { SubtitleBatchPlanner } from './SubtitleBatchPlanner.js';
+import { translationMemoryStore } from '@/features/translation/memory/TranslationMemoryStore.js';
+import { glossaryManager } from '@/features/glossary/core/GlossaryManager.js';
+import { SubtitleJobCheckpointStore, SUBTITLE_CHECKPOINT_STORAGE_KEY } from './SubtitleJobCheckpointStore.js';
+
+const { storageState } = vi.hoisted(() => ({ storageState: {} }));
+
+vi.mock('@/shared/storage/core/StorageCore.js', () => ({
+  storageManager: {
+    getFresh: vi.fn(async (defaults) => ({ ...defaults, ...structuredClone(storageState) })),
+    set: vi.fn(async (data) => { Object.assign(storageState, structuredClone(data)); })
+  }
+}));
 
 vi.mock('../parsers/SubtitleParserFactory.js', () => ({
   SubtitleParserFactory: {
@@ -36,6 +48,17 @@ vi.mock('@/core/services/translation/UnifiedTranslationService.js', () => ({
   }
 }));
 
+vi.mock('@/features/translation/memory/TranslationMemoryStore.js', () => ({
+  translationMemoryStore: {
+    lookupMany: vi.fn(async (texts) => texts.map(() => null)),
+    storeMany: vi.fn(async () => {})
+  }
+}));
+
+vi.mock('@/features/glossary/core/GlossaryManager.js', () => ({
+  glossaryManager: { resolveTerms: vi.fn(async () => []) }
+}));
+
 vi.mock('@/shared/messaging/core/MessagingBus.js', () => ({
   MessagingBus: {
     broadcast: vi.fn()
@@ -602,3 +625,212 @@ describe('SubtitleTranslationCoordinator Timeout Ownership', () => {
     }
   });
 });
+
+describe('SubtitleTranslationCoordinator translation memory', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    subtitleTranslationCoordinator.activeJobs.clear();
+  });
+
+  it('should only send cues missing from the translation memory', async () => {
+    const jobId = 'test-job-memory-partial';
+    const batch = [
+      { id: '1', text: 'Hello', index: 1, warnings: [] },
+      { id: '2', text: 'World', index: 2, warnings: [] }
+    ];
+    subtitleTranslationCoordinator.activeJobs.set(jobId, {
+      cues: batch,
+      status: 'running',
+      progressTracker: { update: vi.fn() }
+    });
+
+    translationMemoryStore.lookupMany.mockResolvedValueOnce([{ translatedText: 'سلام' }, null]);
+    unifiedTranslationService.handleTranslationRequest.mockResolvedValue({ success: true, results: [{ id: '2', text: 'دنیا' }] });
+
+    const result = await subtitleTranslationCoordinator._processBatch(jobId, batch, 'en', 'fa', 'google', {});
+
+    const sentItems = unifiedTranslationService.handleTranslationRequest.mock.calls[0][0].data.items;
+    expect(sentItems.map(item => item.id)).toEqual(['2']);
+    expect(result.success).toBe(true);
+    expect(result.updatedCues.map(cue => cue.translatedText)).toEqual(['سلام', 'دنیا']);
+    expect(translationMemoryStore.storeMany).toHaveBeenCalledWith(
+      [{ text: 'World', translatedText: 'دنیا' }],
+      expect.objectContaining({ provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa', model: null, promptFingerprint: expect.any(String) })
+    );
+  });
+
+  it('should bypass the memory for cues containing a glossary term', async () => {
+    const jobId = 'test-job-memory-glossary';
+    const batch = [
+      { id: '1', text: 'Welcome to Acme', index: 1, warnings: [] },
+      { id: '2', text: 'Good night', index: 2, warnings: [] }
+    ];
+    subtitleTranslationCoordinator.activeJobs.set(jobId, {
+      cues: batch,
+      status: 'running',
+      progressTracker: { update: vi.fn() }
+    });
+
+    glossaryManager.resolveTerms.mockResolvedValueOnce([{ source: 'Acme', target: 'آکمه' }]);
+    unifiedTranslationService.handleTranslationRequest.mockResolvedValue({
+      success: true,
+      results: [{ id: '1', text: 'به آکمه خوش آمدید' }, { id: '2', text: 'شب بخیر' }]
+    });
+
+    await subtitleTranslationCoordinator._processBatch(jobId, batch, 'en', 'fa', 'google', {});
+
+    expect(translationMemoryStore.lookupMany).toHaveBeenCalledWith(['Good night'], expect.any(Object));
+    const sentItems = unifiedTranslationService.handleTranslationRequest.mock.calls[0][0].data.items;
+    expect(sentItems.map(item => item.id)).toEqual(['1', '2']);
+    expect(translationMemoryStore.storeMany).toHaveBeenCalledWith(
+      [{ text: 'Good night', translatedText: 'شب بخیر' }],
+      expect.any(Object)
+    );
+  });
+
+  it('should skip the provider request when every cue is remembered', async () => {
+    const jobId = 'test-job-memory-full';
+    const batch = [{ id: '1', text: 'Hello', index: 1, warnings: [] }];
+    const mockTracker = { update: vi.fn() };
+    subtitleTranslationCoordinator.activeJobs.set(jobId, {
+      cues: batch,
+      status: 'running',
+      progressTracker: mockTracker
+    });
+
+    translationMemoryStore.lookupMany.mockResolvedValueOnce([{ translatedText: 'سلام' }]);
+
+    const result = await subtitleTranslationCoordinator._processBatch(jobId, batch, 'en', 'fa', 'google', {});
+
+    expect(result.success).toBe(true);
+    expect(batch[0]).toMatchObject({ status: 'translated', translatedText: 'سلام' });
+    expect(mockTracker.update).toHaveBeenCalledWith(batch);
+    expect(unifiedTranslationService.handleTranslationRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('SubtitleTranslationCoordinator checkpoints', () => {
+  const content = 'movie.srt content';
+  const fingerprint = SubtitleJobCheckpointStore.fingerprint(content, 'movie.srt');
+  const payload = (overrides = {}) => ({
+    jobId: 'job-checkpoint',
+    content,
+    filename: 'movie.srt',
+    sourceLanguage: 'en',
+    targetLanguage: 'fa',
+    providerId: 'google',
+    options: {},
+    ...overrides
+  });
+  const parsedCues = () => [
+    { id: 'cue-1', text: 'Hello', index: 1, warnings: [], status: 'pending' },
+    { id: 'cue-2', text: 'World', index: 2, warnings: [], status: 'pending' },
+    { id: 'cue-3', text: 'Again', index: 3, warnings: [], status: 'pending' }
+  ];
+
+  let cues;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    subtitleTranslationCoordinator.activeJobs.clear();
+    delete storageState[SUBTITLE_CHECKPOINT_STORAGE_KEY];
+    cues = parsedCues();
+    SubtitleParserFactory.getAdapter.mockReturnValue({
+      parse: vi.fn(() => ({ cues })),
+      serialize: vi.fn(() => 'serialized')
+    });
+    SubtitleBatchPlanner.plan.mockImplementation(list => list.map(cue => [cue]));
+  });
+
+  const translateItems = () => {
+    unifiedTranslationService.handleTranslationRequest.mockImplementation(async (message) => ({
+      success: true,
+      results: message.data.items.map(item => ({ id: item.id, text: `fa:${item.text}` }))
+    }));
+  };
+
+  it('saves the cues and batch plan after each batch and keeps unfinished jobs', async () => {
+    unifiedTranslationService.handleTranslationRequest
+      .mockResolvedValueOnce({ success: true, results: [{ id: 'cue-1', text: 'سلام' }] })
+      .mockResolvedValueOnce({ success: false, error: { message: 'Server error' } })
+      .mockResolvedValueOnce({ success: true, results: [{ id: 'cue-3', text: 'دوباره' }] });
+
+    await subtitleTranslationCoordinator.startJob(payload());
+
+    const checkpoint = storageState[SUBTITLE_CHECKPOINT_STORAGE_KEY][fingerprint];
+    expect(checkpoint).toMatchObject({
+      providerId: 'google',
+      status: 'completed_with_warnings',
+      batchPlan: [['cue-1'], ['cue-2'], ['cue-3']],
+      completedBatches: 3,
+      translatedCount: 2,
+      totalCues: 3
+    });
+    expect(checkpoint.cues.map(cue => cue.status)).toEqual(['translated', 'failed', 'translated']);
+  });
+
+  it('keeps the results of a finished job until the page downloads or discards them', async () => {
+    translateItems();
+
+    await subtitleTranslationCoordinator.startJob(payload());
+
+    const checkpoint = storageState[SUBTITLE_CHECKPOINT_STORAGE_KEY][fingerprint];
+    expect(checkpoint).toMatchObject({ status: 'completed', translatedCount: 3, totalCues: 3 });
+    expect(checkpoint.cues.map(cue => cue.translatedText)).toEqual(['fa:Hello', 'fa:World', 'fa:Again']);
+  });
+
+  it('restores a finished job without sending any cue again', async () => {
+    translateItems();
+    await subtitleTranslationCoordinator.startJob(payload());
+    unifiedTranslationService.handleTranslationRequest.mockClear();
+    cues = parsedCues();
+
+    await subtitleTranslationCoordinator.startJob(payload({ jobId: 'job-reopened', resume: true }));
+
+    expect(unifiedTranslationService.handleTranslationRequest).not.toHaveBeenCalled();
+    expect(cues.map(cue => cue.translatedText)).toEqual(['fa:Hello', 'fa:World', 'fa:Again']);
+  });
+
+  it('resumes by translating only failed and pending cues', async () => {
+    const previous = parsedCues();
+    previous[0].status = 'translated';
+    previous[0].translatedText = 'سلام';
+    previous[1].status = 'failed';
+    storageState[SUBTITLE_CHECKPOINT_STORAGE_KEY] = {
+      [fingerprint]: SubtitleJobCheckpointStore.createCheckpoint({
+        fingerprint,
+        filename: 'movie.srt',
+        providerId: 'google',
+        cues: previous,
+        batches: [[previous[0], previous[1]], [previous[2]]],
+        completedBatches: 1
+      })
+    };
+    translateItems();
+
+    await subtitleTranslationCoordinator.startJob(payload({ resume: true }));
+
+    const sentIds = unifiedTranslationService.handleTranslationRequest.mock.calls
+      .map(([message]) => message.data.items.map(item => item.id));
+    // The stored plan is reused without the cue that is already done
+    expect(sentIds).toEqual([['cue-2'], ['cue-3']]);
+    expect(SubtitleBatchPlanner.plan).toHaveBeenCalledWith([], expect.anything());
+    expect(cues.map(cue => cue.translatedText)).toEqual(['سلام', 'fa:World', 'fa:Again']);
+  });
+
+  it('cancels a running job for the same file without letting it overwrite the checkpoint', async () => {
+    subtitleTranslationCoordinator.activeJobs.set('job-closed-tab', {
+      fingerprint,
+      status: 'running',
+      cues: parsedCues()
+    });
+    translateItems();
+
+    await subtitleTranslationCoordinator.startJob(payload());
+
+    const previousJob = subtitleTranslationCoordinator.activeJobs.get('job-closed-tab');
+    expect(previousJob).toMatchObject({ status: 'cancelled', superseded: true });
+    await subtitleTranslationCoordinator._saveCheckpoint('job-closed-tab', 'cancelled');
+    expect(storageState[SUBTITLE_CHECKPOINT_STORAGE_KEY][fingerprint].status).toBe('completed');
+  });
+});
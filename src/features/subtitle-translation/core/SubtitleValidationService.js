@@ -1,4 +1,6 @@
 import { subtitleTextProtector } from '../formatting/SubtitleTextProtector.js';
+import { SubtitleTimingService } from './SubtitleTimingService.js';
+import { DEFAULT_TIMING_LIMITS, TimingViolationType } from '../types/subtitleTypes.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 
@@ -78,4 +80,54 @@ export class SubtitleValidationService {
 
     return { validatedCues, errors };
   }
+
+  /**
+   * Reports cues that break the readability limits (line length, line count,
+   * reading speed) or overlap the next cue.
+   * @param {Array} cues - Cues in playback order
+   * @param {Object} limits - Overrides for DEFAULT_TIMING_LIMITS
+   * @param {Object} adapter - Parser adapter with timestampToMs
+   * @returns {Object} cue id -> Array<{ type, value, limit }>
+   */
+  static findTimingViolations(cues, limits = {}, adapter) {
+    const rules = { ...DEFAULT_TIMING_LIMITS, ...limits };
+    const violations = {};
+
+    cues.forEach((cue, idx) => {
+      const lines = SubtitleTimingService.getLines(SubtitleTimingService.getDisplayText(cue));
+      if (lines.length === 0) return;
+
+      const found = [];
+      const longest = Math.max(...lines.map(line => SubtitleTimingService.visibleLength(line)));
+      if (longest > rules.maxCharsPerLine) {
+        found.push({ type: TimingViolationType.LINE_TOO_LONG, value: longest, limit: rules.maxCharsPerLine });
+      }
+      if (lines.length > rules.maxLines) {
+        found.push({ type: TimingViolationType.TOO_MANY_LINES, value: lines.length, limit: rules.maxLines });
+      }
+
+      const start = adapter.timestampToMs(cue.startTime);
+      const end = adapter.timestampToMs(cue.endTime);
+      const chars = lines.reduce((sum, line) => sum + SubtitleTimingService.visibleLength(line), 0);
+      const cps = end > start ? chars / ((end - start) / 1000) : Infinity;
+      if (cps > rules.maxCharsPerSecond) {
+        found.push({
+          type: TimingViolationType.READING_SPEED,
+          value: Number.isFinite(cps) ? Math.round(cps * 10) / 10 : null,
+          limit: rules.maxCharsPerSecond
+        });
+      }
+
+      const next = cues[idx + 1];
+      if (next && adapter.timestampToMs(next.startTime) < end) {
+        found.push({ type: TimingViolationType.OVERLAP, value: end - adapter.timestampToMs(next.startTime), limit: 0 });
+      }
+
+      if (found.length > 0) {
+        violations[cue.id] = found;
+      }
+    });
+
+    return violations;
+  }
 }
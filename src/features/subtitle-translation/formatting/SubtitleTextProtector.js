@@ -1,6 +1,6 @@
 /**
  * Subtitle Text Protector - Handles tokenization of subtitle-specific formatting
- * Ensures that line breaks and HTML tags are preserved during translation.
+ * Ensures that line breaks, HTML tags and ASS override blocks are preserved during translation.
  */
 
 export class SubtitleTextProtector {
@@ -47,6 +47,14 @@ export class SubtitleTextProtector {
       return token;
     });
 
+    // 4. Protect ASS/SSA escape sequences (\N hard break, \n soft break, \h hard space)
+    // Override blocks are already tokenized above, so only inline escapes remain
+    protectedText = protectedText.replace(/\\[Nnh]/g, (match) => {
+      const token = `${this.tokenPrefix}ESC_${tokenCounter++}${this.tokenSuffix}`;
+      tokens.set(token, match);
+      return token;
+    });
+
     return { text: protectedText, tokens };
   }
 
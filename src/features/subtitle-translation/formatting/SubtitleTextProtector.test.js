@@ -73,4 +73,16 @@ describe('SubtitleTextProtector', () => {
     const restored = protector.restore(mangledText, tokens);
     expect(restored).toBe(text);
   });
+
+  it('should protect and restore ASS escapes and override blocks', () => {
+    const text = '{\\i1}Hello{\\i0}\\Nworld\\hagain';
+    const { text: protectedText, tokens } = protector.protect(text);
+
+    expect(protectedText).toContain('@@SUB_ESC_');
+    expect(protectedText).not.toContain('\\');
+    expect(tokens.size).toBe(4); // 2 STY, 2 ESC
+
+    const restored = protector.restore(protectedText, tokens);
+    expect(restored).toBe(text);
+  });
 });
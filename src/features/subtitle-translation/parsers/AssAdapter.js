@@ -0,0 +1,305 @@
+/**
+ * AssAdapter - Handles parsing and serialization of Advanced SubStation Alpha
+ * (.ass) and SubStation Alpha (.ssa) files.
+ *
+ * Only the Text field of Dialogue events is exposed as cue text. Every other line
+ * ([Script Info], [V4+ Styles], Comment events, fonts...) and every other Dialogue
+ * field is kept verbatim and written back in its original position.
+ */
+
+import { SubtitleOutputMode, TRANSLATION_STYLE_NAME, TRANSLATION_TRACK_COLOR } from '../types/subtitleTypes.js';
+
+const DEFAULT_EVENT_FORMAT = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+const STYLE_SECTIONS = ['[v4+ styles]', '[v4 styles]'];
+
+export class AssAdapter {
+  constructor() {
+    // Line layout of the last parsed file, reused by serialize()
+    this.layout = [];
+    this.format = 'ass';
+    this.eventFormat = DEFAULT_EVENT_FORMAT;
+  }
+
+  /**
+   * Parses ASS/SSA file content into a normalized cue model.
+   * @param {string} content - Raw ASS/SSA text
+   * @returns {Object} { cues, metadata, warnings }
+   */
+  parse(content) {
+    this.layout = [];
+    this.format = 'ass';
+    this.eventFormat = DEFAULT_EVENT_FORMAT;
+
+    if (!content) return { cues: [], metadata: {}, warnings: [] };
+
+    const cues = [];
+    const warnings = [];
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    let section = '';
+    let eventFormat = DEFAULT_EVENT_FORMAT;
+    let cueIndex = 1;
+    let format = 'ass';
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+
+      if (/^\[.+\]$/.test(trimmed)) {
+        section = trimmed.toLowerCase();
+        // SSA (v4) files use [V4 Styles]; ASS uses [V4+ Styles]
+        if (section === '[v4 styles]') format = 'ssa';
+      } else if (section === '[events]' && /^Format\s*:/i.test(trimmed)) {
+        eventFormat = trimmed.slice(trimmed.indexOf(':') + 1).split(',').map(f => f.trim());
+      } else if (section === '[events]' && /^Dialogue\s*:/i.test(trimmed)) {
+        const cue = this._parseDialogue(trimmed, eventFormat, cueIndex);
+
+        if (!cue) {
+          warnings.push(`Could not parse dialogue line: "${trimmed.substring(0, 30)}..."`);
+        } else if (this._hasTranslatableText(cue.text)) {
+          cues.push(cue);
+          this.layout.push({ cueId: cue.id });
+          cueIndex++;
+          continue;
+        }
+        // Dialogue lines without translatable text (drawings, positioning-only
+        // events) are kept as raw lines so they are never sent to a provider.
+      }
+
+      this.layout.push({ raw: line });
+    }
+
+    if (!lines.some(l => /^\[events\]$/i.test(l.trim()))) {
+      warnings.push('Missing [Events] section.');
+    }
+
+    // Drop the empty entry produced by a trailing newline; serialize() adds it back
+    if (this.layout.length && this.layout[this.layout.length - 1].raw === '') {
+      this.layout.pop();
+    }
+
+    this.format = format;
+    this.eventFormat = eventFormat;
+
+    return {
+      cues,
+      metadata: { format, totalCues: cues.length, eventFormat },
+      warnings
+    };
+  }
+
+  /**
+   * Serializes normalized cues back into ASS/SSA format.
+   * Bilingual modes add a `Translation` style: STACKED switches to it inside the
+   * event, STYLED writes the translation as a second event with that style.
+   * @param {Array} cues - Array of cue objects
+   * @param {Object} options - { useTranslation: boolean, outputMode?: string }
+   * @returns {string} ASS content
+   */
+  serialize(cues, options = { useTranslation: true }) {
+    if (!cues || !Array.isArray(cues)) return '';
+
+    const isBilingual = options.useTranslation
+      && [SubtitleOutputMode.STACKED, SubtitleOutputMode.STYLED].includes(options.outputMode);
+
+    let layout = this.layout.length > 0
+      ? this.layout
+      : [{ raw: '[Events]' }, { raw: `Format: ${DEFAULT_EVENT_FORMAT.join(', ')}` }, ...cues.map(cue => ({ cueId: cue.id }))];
+    if (isBilingual) layout = this._withTranslationStyle(layout);
+
+    // Cues created after parsing (e.g. split by the timing tools) are written
+    // right after the last cue that has a place in the layout
+    const layoutIds = new Set(layout.map(entry => entry.cueId).filter(id => id !== undefined));
+    const cueGroups = new Map();
+    let lastGroup = null;
+    cues.forEach((cue) => {
+      if (layoutIds.has(cue.id) || !lastGroup) {
+        lastGroup = [cue];
+        cueGroups.set(cue.id, lastGroup);
+      } else {
+        lastGroup.push(cue);
+      }
+    });
+
+    const output = layout.flatMap((entry) => {
+      if (entry.cueId === undefined) return [entry.raw];
+
+      return (cueGroups.get(entry.cueId) || []).flatMap((cue) => {
+        const fields = this._timedFields(cue);
+        const event = (eventFields, text) => `${cue.eventType || 'Dialogue'}: ${[...eventFields, text].join(',')}`;
+
+        if (!isBilingual || !cue.translatedText) {
+          const text = options.useTranslation && cue.translatedText ? cue.translatedText : cue.text;
+          return [event(fields, this._toAssText(text))];
+        }
+
+        const translated = this._toAssText(cue.translatedText);
+        if (options.outputMode === SubtitleOutputMode.STACKED) {
+          const text = [cue.text, `{\\r${TRANSLATION_STYLE_NAME}}${translated}`].filter(Boolean).join('\\N');
+          return [event(fields, text)];
+        }
+
+        // Split parts have no original text left; only their translation is written
+        const translationEvent = event(this._withStyle(fields, TRANSLATION_STYLE_NAME), translated);
+        return cue.text ? [event(fields, cue.text), translationEvent] : [translationEvent];
+      });
+    });
+
+    return `${output.join('\n')}\n`;
+  }
+
+  /**
+   * Helper to convert an ASS timestamp (H:MM:SS.cc) to milliseconds.
+   */
+  timestampToMs(timestamp) {
+    const match = timestamp.match(/(\d+):(\d{2}):(\d{2})\.(\d{2})/);
+    if (!match) return 0;
+    const [, h, m, s, cs] = match;
+    return (parseInt(h) * 3600000) + (parseInt(m) * 60000) + (parseInt(s) * 1000) + (parseInt(cs) * 10);
+  }
+
+  /**
+   * Helper to convert milliseconds to an ASS timestamp (H:MM:SS.cc).
+   */
+  msToTimestamp(totalMs) {
+    const cs = Math.max(0, Math.round(totalMs / 10));
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+  }
+
+  /**
+   * Splits a Dialogue line according to the [Events] Format line.
+   * The Text field is always last and may itself contain commas.
+   * @private
+   */
+  _parseDialogue(line, eventFormat, cueIndex) {
+    const colonIndex = line.indexOf(':');
+    const eventType = line.slice(0, colonIndex).trim();
+    const body = line.slice(colonIndex + 1).replace(/^ /, '');
+
+    const textFieldIndex = eventFormat.findIndex(f => f.toLowerCase() === 'text');
+    if (textFieldIndex !== eventFormat.length - 1) return null;
+
+    const parts = body.split(',');
+    if (parts.length < eventFormat.length) return null;
+
+    const fields = parts.slice(0, textFieldIndex);
+    const text = parts.slice(textFieldIndex).join(',');
+    const fieldValue = (name) => fields[eventFormat.findIndex(f => f.toLowerCase() === name)] ?? '';
+
+    return {
+      id: `cue-${cueIndex}`,
+      index: cueIndex,
+      eventType,
+      fields,
+      style: fieldValue('style'),
+      startTime: fieldValue('start').trim(),
+      endTime: fieldValue('end').trim(),
+      timingFieldIndexes: {
+        start: eventFormat.findIndex(f => f.toLowerCase() === 'start'),
+        end: eventFormat.findIndex(f => f.toLowerCase() === 'end')
+      },
+      text,
+      rawText: text,
+      translatedText: '',
+      status: 'pending',
+      warnings: []
+    };
+  }
+
+  /**
+   * Returns the cue fields with Start/End replaced when the cue was retimed.
+   * Untouched timestamps keep their original spelling.
+   * @private
+   */
+  _timedFields(cue) {
+    const fields = [...cue.fields];
+    const { start, end } = cue.timingFieldIndexes || {};
+    if (start >= 0 && fields[start].trim() !== cue.startTime) fields[start] = cue.startTime;
+    if (end >= 0 && fields[end].trim() !== cue.endTime) fields[end] = cue.endTime;
+    return fields;
+  }
+
+  /**
+   * Returns the event fields with the Style field replaced.
+   * @private
+   */
+  _withStyle(fields, style) {
+    const index = this.eventFormat.findIndex(f => f.toLowerCase() === 'style');
+    if (index < 0 || index >= fields.length) return fields;
+    const updated = [...fields];
+    updated[index] = style;
+    return updated;
+  }
+
+  /**
+   * Adds the Translation style after the Default (or first) style: a copy with
+   * the translation color. Layouts that already have it, or have no styles,
+   * are returned unchanged.
+   * @private
+   */
+  _withTranslationStyle(layout) {
+    let section = '';
+    let styleFormat = null;
+    let templateIndex = -1;
+    let hasTranslationStyle = false;
+
+    layout.forEach((entry, idx) => {
+      const trimmed = entry.raw?.trim();
+      if (trimmed === undefined) return;
+
+      if (/^\[.+\]$/.test(trimmed)) {
+        section = trimmed.toLowerCase();
+      } else if (STYLE_SECTIONS.includes(section) && /^Format\s*:/i.test(trimmed)) {
+        styleFormat = trimmed.slice(trimmed.indexOf(':') + 1).split(',').map(f => f.trim().toLowerCase());
+      } else if (STYLE_SECTIONS.includes(section) && /^Style\s*:/i.test(trimmed)) {
+        const name = trimmed.slice(trimmed.indexOf(':') + 1).split(',')[0].trim();
+        if (name === TRANSLATION_STYLE_NAME) hasTranslationStyle = true;
+        if (templateIndex === -1 || name.toLowerCase() === 'default') templateIndex = idx;
+      }
+    });
+
+    if (hasTranslationStyle || templateIndex === -1 || !styleFormat) return layout;
+
+    const template = layout[templateIndex].raw.trim();
+    const values = template.slice(template.indexOf(':') + 1).split(',').map(v => v.trim());
+    const nameIndex = styleFormat.indexOf('name');
+    const colourIndex = styleFormat.indexOf('primarycolour');
+    if (nameIndex >= 0) values[nameIndex] = TRANSLATION_STYLE_NAME;
+    if (colourIndex >= 0) values[colourIndex] = this._toAssColour(TRANSLATION_TRACK_COLOR);
+
+    return [
+      ...layout.slice(0, templateIndex + 1),
+      { raw: `Style: ${values.join(',')}` },
+      ...layout.slice(templateIndex + 1)
+    ];
+  }
+
+  /**
+   * Converts #rrggbb to &H00BBGGRR (ASS) or a decimal BGR value (SSA).
+   * @private
+   */
+  _toAssColour(hex) {
+    const [r, g, b] = [1, 3, 5].map(start => hex.slice(start, start + 2));
+    if (this.format === 'ssa') return String(parseInt(`${b}${g}${r}`, 16));
+    return `&H00${b}${g}${r}`.toUpperCase();
+  }
+
+  /**
+   * Returns false for events that only carry override blocks, line breaks or
+   * vector drawings ({\p1}...{\p0}).
+   * @private
+   */
+  _hasTranslatableText(text) {
+    if (/\{[^}]*\\p[1-9][^}]*\}/.test(text)) return false;
+    return text.replace(/\{[^}]*\}/g, '').replace(/\\[Nnh]/g, '').trim().length > 0;
+  }
+
+  /**
+   * Real newlines are not allowed inside an event line; providers that return
+   * them get converted to ASS hard line breaks.
+   * @private
+   */
+  _toAssText(text) {
+    return String(text ?? '').replace(/\r?\n/g, '\\N');
+  }
+}
@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import { AssAdapter } from './AssAdapter.js';
+import { SubtitleParserFactory } from './SubtitleParserFactory.js';
+import { SubtitleTextProtector } from '../formatting/SubtitleTextProtector.js';
+import { SubtitleOutputMode } from '../types/subtitleTypes.js';
+
+const SAMPLE_ASS = [
+  '[Script Info]',
+  '; Script generated by Aegisub',
+  'Title: Episode 01',
+  'ScriptType: v4.00+',
+  'PlayResX: 1920',
+  'PlayResY: 1080',
+  '',
+  '[V4+ Styles]',
+  'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+  'Style: Default,Arial,48,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1',
+  'Style: Sign,Arial,36,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,-1,0,0,0,100,100,0,0,1,2,0,8,10,10,10,1',
+  '',
+  '[Events]',
+  'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  'Comment: 0,0:00:00.00,0:00:00.00,Default,,0,0,0,,Opening song',
+  'Dialogue: 0,0:00:01.00,0:00:04.00,Default,Naruto,0,0,0,,{\\i1}Hello, world!{\\i0}\\NHow are you?',
+  'Dialogue: 1,0:00:05.50,0:00:07.20,Sign,,0,0,0,,{\\pos(960,100)}Ramen Shop',
+  'Dialogue: 0,0:00:08.00,0:00:09.00,Sign,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100 0 100{\\p0}',
+  ''
+].join('\n');
+
+describe('AssAdapter', () => {
+  it('should parse only Dialogue events with translatable text', () => {
+    const adapter = new AssAdapter();
+    const { cues, metadata, warnings } = adapter.parse(SAMPLE_ASS);
+
+    expect(warnings).toEqual([]);
+    expect(metadata.format).toBe('ass');
+    expect(cues).toHaveLength(2);
+
+    expect(cues[0]).toMatchObject({
+      id: 'cue-1',
+      index: 1,
+      eventType: 'Dialogue',
+      style: 'Default',
+      startTime: '0:00:01.00',
+      endTime: '0:00:04.00',
+      text: '{\\i1}Hello, world!{\\i0}\\NHow are you?',
+      status: 'pending'
+    });
+    expect(cues[0].fields).toEqual(['0', '0:00:01.00', '0:00:04.00', 'Default', 'Naruto', '0', '0', '0', '']);
+    expect(cues[1].text).toBe('{\\pos(960,100)}Ramen Shop');
+  });
+
+  it('should round-trip the original file unchanged', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse(SAMPLE_ASS);
+
+    expect(adapter.serialize(cues, { useTranslation: false })).toBe(SAMPLE_ASS);
+  });
+
+  it('should replace only the Text field on export', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse(SAMPLE_ASS);
+
+    cues[0].translatedText = '{\\i1}سلام، دنیا!{\\i0}\\Nحالت چطوره؟';
+    cues[1].translatedText = '{\\pos(960,100)}رستوران رامن';
+
+    const lines = adapter.serialize(cues).split('\n');
+
+    expect(lines).toContain('Dialogue: 0,0:00:01.00,0:00:04.00,Default,Naruto,0,0,0,,{\\i1}سلام، دنیا!{\\i0}\\Nحالت چطوره؟');
+    expect(lines).toContain('Dialogue: 1,0:00:05.50,0:00:07.20,Sign,,0,0,0,,{\\pos(960,100)}رستوران رامن');
+    expect(lines).toContain('Comment: 0,0:00:00.00,0:00:00.00,Default,,0,0,0,,Opening song');
+    expect(lines).toContain('Dialogue: 0,0:00:08.00,0:00:09.00,Sign,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100 0 100{\\p0}');
+  });
+
+  it('should convert provider newlines to ASS hard line breaks', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse(SAMPLE_ASS);
+
+    cues[1].translatedText = 'Line A\nLine B';
+
+    expect(adapter.serialize(cues)).toContain(',,Line A\\NLine B\n');
+  });
+
+  it('should follow a custom [Events] Format order', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse([
+      '[V4 Styles]',
+      '',
+      '[Events]',
+      'Format: Marked, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+      'Dialogue: Marked=0,0:00:01.00,0:00:02.00,Default,,0000,0000,0000,,Hi'
+    ].join('\r\n'));
+
+    expect(cues).toHaveLength(1);
+    expect(cues[0].startTime).toBe('0:00:01.00');
+    expect(cues[0].style).toBe('Default');
+    expect(adapter.parse('[V4 Styles]\n[Events]\n').metadata.format).toBe('ssa');
+  });
+
+  it('should protect override blocks and line breaks through SubtitleTextProtector', () => {
+    const protector = new SubtitleTextProtector();
+    const { cues } = new AssAdapter().parse(SAMPLE_ASS);
+
+    const { text: protectedText, tokens } = protector.protect(cues[0].text);
+
+    expect(protectedText).not.toContain('{');
+    expect(protectedText).not.toContain('\\N');
+    expect(protector.restore(protectedText, tokens)).toBe(cues[0].text);
+  });
+
+  it('should convert timestamps to milliseconds', () => {
+    expect(new AssAdapter().timestampToMs('1:02:03.45')).toBe(3723450);
+    expect(new AssAdapter().msToTimestamp(3723450)).toBe('1:02:03.45');
+  });
+
+  it('should write retimed and split cues in place', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse(SAMPLE_ASS);
+
+    cues[0].startTime = '0:00:02.00';
+    const part = { ...cues[0], id: 'cue-1-2', startTime: '0:00:03.00', text: 'Second part' };
+    const lines = adapter.serialize([cues[0], part, cues[1]], { useTranslation: false }).split('\n');
+    const first = lines.findIndex(line => line.includes('Hello, world!'));
+
+    expect(lines[first]).toBe('Dialogue: 0,0:00:02.00,0:00:04.00,Default,Naruto,0,0,0,,{\\i1}Hello, world!{\\i0}\\NHow are you?');
+    expect(lines[first + 1]).toBe('Dialogue: 0,0:00:03.00,0:00:04.00,Default,Naruto,0,0,0,,Second part');
+    expect(lines[first + 2]).toContain('Ramen Shop');
+  });
+
+  it('should add a Translation style copied from Default for bilingual output', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse(SAMPLE_ASS);
+    cues[0].translatedText = 'سلام';
+
+    const lines = adapter.serialize(cues, { useTranslation: true, outputMode: SubtitleOutputMode.STACKED }).split('\n');
+    const defaultStyle = lines.indexOf(lines.find(line => line.startsWith('Style: Default,')));
+
+    expect(lines[defaultStyle + 1]).toBe('Style: Translation,Arial,48,&H0066E0FF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1');
+    expect(lines.filter(line => line.startsWith('Style: Translation,'))).toHaveLength(1);
+  });
+
+  it('should stack the translation below the original with the Translation style', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse(SAMPLE_ASS);
+    cues[0].translatedText = 'سلام\nخوبی؟';
+
+    const lines = adapter.serialize(cues, { useTranslation: true, outputMode: SubtitleOutputMode.STACKED }).split('\n');
+
+    expect(lines).toContain('Dialogue: 0,0:00:01.00,0:00:04.00,Default,Naruto,0,0,0,,{\\i1}Hello, world!{\\i0}\\NHow are you?\\N{\\rTranslation}سلام\\Nخوبی؟');
+    // Cues without a translation are written as they were
+    expect(lines).toContain('Dialogue: 1,0:00:05.50,0:00:07.20,Sign,,0,0,0,,{\\pos(960,100)}Ramen Shop');
+  });
+
+  it('should write the translation as a second event in styled mode', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse(SAMPLE_ASS);
+    cues[0].translatedText = 'سلام';
+
+    const lines = adapter.serialize(cues, { useTranslation: true, outputMode: SubtitleOutputMode.STYLED }).split('\n');
+    const original = lines.findIndex(line => line.includes('Hello, world!'));
+
+    expect(lines[original]).toBe('Dialogue: 0,0:00:01.00,0:00:04.00,Default,Naruto,0,0,0,,{\\i1}Hello, world!{\\i0}\\NHow are you?');
+    expect(lines[original + 1]).toBe('Dialogue: 0,0:00:01.00,0:00:04.00,Translation,Naruto,0,0,0,,سلام');
+  });
+
+  it('should use a decimal color for the SSA Translation style', () => {
+    const adapter = new AssAdapter();
+    const { cues } = adapter.parse([
+      '[V4 Styles]',
+      'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, TertiaryColour, BackColour, Bold, Italic, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, AlphaLevel, Encoding',
+      'Style: Default,Arial,20,16777215,65535,65535,0,0,0,1,2,2,2,10,10,10,0,1',
+      '',
+      '[Events]',
+      'Format: Marked, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+      'Dialogue: Marked=0,0:00:01.00,0:00:02.00,Default,,0000,0000,0000,,Hi'
+    ].join('\n'));
+    cues[0].translatedText = 'سلام';
+
+    const output = adapter.serialize(cues, { useTranslation: true, outputMode: SubtitleOutputMode.STYLED });
+
+    expect(output).toContain('Style: Translation,Arial,20,6742271,65535');
+    expect(output).toContain('Dialogue: Marked=0,0:00:01.00,0:00:02.00,Translation,,0000,0000,0000,,سلام');
+  });
+
+  it('should be returned by SubtitleParserFactory for .ass and .ssa files', () => {
+    expect(SubtitleParserFactory.getAdapter('episode01.ass')).toBeInstanceOf(AssAdapter);
+    expect(SubtitleParserFactory.getAdapter('episode01.SSA')).toBeInstanceOf(AssAdapter);
+  });
+});
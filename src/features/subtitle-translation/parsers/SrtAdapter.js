@@ -2,6 +2,8 @@
  * SrtAdapter - Handles parsing and serialization of SubRip (.srt) files.
  */
 
+import { SubtitleOutputMode, TRANSLATION_TRACK_COLOR } from '../types/subtitleTypes.js';
+
 export class SrtAdapter {
   /**
    * Parses SRT file content into a normalized cue model.
@@ -87,14 +89,14 @@ export class SrtAdapter {
   /**
    * Serializes normalized cues back into SRT format.
    * @param {Array} cues - Array of cue objects
-   * @param {Object} options - { useTranslation: boolean }
+   * @param {Object} options - { useTranslation: boolean, outputMode?: string }
    * @returns {string} SRT content
    */
   serialize(cues, options = { useTranslation: true }) {
     if (!cues || !Array.isArray(cues)) return '';
 
     return cues.map((cue, idx) => {
-      const text = options.useTranslation && cue.translatedText ? cue.translatedText : cue.text;
+      const text = this._cueText(cue, options);
       const index = cue.index || (idx + 1);
       
       return `${index}\n${cue.startTime} --> ${cue.endTime}\n${text}\n`;
@@ -102,7 +104,26 @@ export class SrtAdapter {
   }
 
   /**
-   * Helper to convert SRT timestamp to milliseconds (useful for future features like sync)
+   * Text written for a cue. Bilingual modes keep the original and add the
+   * translation below it, in a font color for the styled mode.
+   * @private
+   */
+  _cueText(cue, options) {
+    const translated = options.useTranslation ? cue.translatedText : '';
+    if (!translated) return cue.text;
+
+    switch (options.outputMode) {
+      case SubtitleOutputMode.STACKED:
+        return [cue.text, translated].filter(Boolean).join('\n');
+      case SubtitleOutputMode.STYLED:
+        return [cue.text, `<font color="${TRANSLATION_TRACK_COLOR}">${translated}</font>`].filter(Boolean).join('\n');
+      default:
+        return translated;
+    }
+  }
+
+  /**
+   * Helper to convert SRT timestamp to milliseconds (used by the timing tools)
    */
   timestampToMs(timestamp) {
     const match = timestamp.match(/(\d{2}):(\d{2}):(\d{2}),(\d{3})/);
@@ -110,4 +131,13 @@ export class SrtAdapter {
     const [, h, m, s, ms] = match;
     return (parseInt(h) * 3600000) + (parseInt(m) * 60000) + (parseInt(s) * 1000) + parseInt(ms);
   }
+
+  /**
+   * Helper to convert milliseconds to an SRT timestamp (hh:mm:ss,ttt).
+   */
+  msToTimestamp(totalMs) {
+    const ms = Math.max(0, Math.round(totalMs));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+  }
 }
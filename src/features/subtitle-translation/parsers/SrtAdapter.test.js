@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { SrtAdapter } from './SrtAdapter.js';
+import { SubtitleOutputMode, TRANSLATION_TRACK_COLOR } from '../types/subtitleTypes.js';
+
+const SAMPLE_SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:04,000',
+  'Hello there!',
+  '',
+  '2',
+  '00:00:05,000 --> 00:00:07,500',
+  'First line',
+  'Second line',
+  ''
+].join('\n');
+
+const translatedCues = () => {
+  const { cues } = new SrtAdapter().parse(SAMPLE_SRT);
+  cues[0].translatedText = 'سلام!';
+  return cues;
+};
+
+describe('SrtAdapter', () => {
+  it('should round-trip the original file', () => {
+    const adapter = new SrtAdapter();
+    const { cues } = adapter.parse(SAMPLE_SRT);
+
+    expect(adapter.serialize(cues, { useTranslation: false })).toBe(SAMPLE_SRT);
+  });
+
+  it('should write only the translation by default', () => {
+    const output = new SrtAdapter().serialize(translatedCues());
+
+    expect(output).toContain('00:00:01,000 --> 00:00:04,000\nسلام!\n');
+    expect(output).not.toContain('Hello there!');
+  });
+
+  it('should stack the translation below the original', () => {
+    const output = new SrtAdapter().serialize(translatedCues(), { useTranslation: true, outputMode: SubtitleOutputMode.STACKED });
+
+    expect(output).toContain('00:00:01,000 --> 00:00:04,000\nHello there!\nسلام!\n');
+    // Untranslated cues keep their original text only
+    expect(output).toContain('00:00:05,000 --> 00:00:07,500\nFirst line\nSecond line\n');
+  });
+
+  it('should color the translation in styled mode', () => {
+    const output = new SrtAdapter().serialize(translatedCues(), { useTranslation: true, outputMode: SubtitleOutputMode.STYLED });
+
+    expect(output).toContain(`Hello there!\n<font color="${TRANSLATION_TRACK_COLOR}">سلام!</font>\n`);
+  });
+});
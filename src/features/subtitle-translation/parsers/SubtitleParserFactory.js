@@ -1,4 +1,6 @@
 import { SrtAdapter } from './SrtAdapter.js';
+import { VttAdapter } from './VttAdapter.js';
+import { AssAdapter } from './AssAdapter.js';
 
 /**
  * Factory for creating the appropriate subtitle adapter based on file type.
@@ -6,7 +8,7 @@ import { SrtAdapter } from './SrtAdapter.js';
 export class SubtitleParserFactory {
   /**
    * Get adapter for a specific file extension or format name.
-   * @param {string} format - 'srt', 'vtt', 'ass' or filename
+   * @param {string} format - 'srt', 'vtt', 'ass', 'ssa' or filename
    */
   static getAdapter(format) {
     const normalizedFormat = format.toLowerCase().includes('.') 
@@ -16,8 +18,13 @@ export class SubtitleParserFactory {
     switch (normalizedFormat) {
       case 'srt':
         return new SrtAdapter();
+      case 'vtt':
+        return new VttAdapter();
+      case 'ass':
+      case 'ssa':
+        return new AssAdapter();
       default:
-        throw new Error(`Unsupported subtitle format: ${normalizedFormat}. Only .srt files are supported.`);
+        throw new Error(`Unsupported subtitle format: ${normalizedFormat}. Supported formats are .srt, .vtt, .ass and .ssa.`);
     }
   }
 }
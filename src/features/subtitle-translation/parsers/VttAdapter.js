@@ -0,0 +1,211 @@
+/**
+ * VttAdapter - Handles parsing and serialization of WebVTT (.vtt) files.
+ *
+ * Everything that is not cue text (the WEBVTT header, NOTE/STYLE/REGION blocks,
+ * cue identifiers and cue settings) is kept verbatim so the file can be written
+ * back unchanged apart from the translated payload.
+ */
+
+import { SubtitleOutputMode, TRANSLATION_TRACK_COLOR } from '../types/subtitleTypes.js';
+
+const NON_CUE_BLOCK_PATTERN = /^(NOTE|STYLE|REGION)(\s|$)/;
+
+// Cue class of the translation in styled bilingual output
+const TRANSLATION_CLASS = 'translation';
+
+export class VttAdapter {
+  constructor() {
+    // Header and trailing blocks of the last parsed file, reused by serialize()
+    this.header = 'WEBVTT';
+    this.trailingBlocks = [];
+  }
+
+  /**
+   * Parses WebVTT file content into a normalized cue model.
+   * @param {string} content - Raw VTT text
+   * @returns {Object} { cues, metadata, warnings }
+   */
+  parse(content) {
+    this.header = 'WEBVTT';
+    this.trailingBlocks = [];
+
+    if (!content) return { cues: [], metadata: {}, warnings: [] };
+
+    const cues = [];
+    const warnings = [];
+
+    // Strip BOM and normalize line endings before splitting into blocks
+    const normalized = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const rawBlocks = normalized.split(/\n\s*\n/);
+
+    let pendingBlocks = [];
+    let cueIndex = 1;
+    let headerFound = false;
+
+    for (const block of rawBlocks) {
+      // Only trailing whitespace is insignificant; STYLE bodies keep their indentation
+      const trimmedBlock = block.replace(/^\n+/, '').trimEnd();
+      if (!trimmedBlock.trim()) continue;
+
+      if (!headerFound) {
+        headerFound = true;
+        if (/^WEBVTT(\s|$)/.test(trimmedBlock)) {
+          this.header = trimmedBlock;
+          continue;
+        }
+        warnings.push('Missing WEBVTT header, a default header will be written on export.');
+      }
+
+      if (NON_CUE_BLOCK_PATTERN.test(trimmedBlock)) {
+        pendingBlocks.push(trimmedBlock);
+        continue;
+      }
+
+      const lines = trimmedBlock.split('\n');
+
+      // The timing line is either the first line or follows a cue identifier
+      const timestampLineIndex = lines.slice(0, 2).findIndex(line => line.includes('-->'));
+      if (timestampLineIndex === -1) {
+        warnings.push(`Could not find timestamp in block starting with: "${lines[0].trim().substring(0, 20)}..."`);
+        continue;
+      }
+
+      const identifier = timestampLineIndex === 1 ? lines[0].trim() : '';
+      const { startTime, endTime, settings } = this._parseTimingLine(lines[timestampLineIndex]);
+      const text = lines.slice(timestampLineIndex + 1).map(l => l.trim()).join('\n').trim();
+
+      cues.push({
+        id: `cue-${cueIndex}`,
+        index: cueIndex,
+        identifier,
+        startTime,
+        endTime,
+        settings,
+        text,
+        rawText: text,
+        translatedText: '',
+        status: 'pending',
+        warnings: [],
+        // NOTE/STYLE/REGION blocks that appeared right before this cue
+        precedingBlocks: pendingBlocks
+      });
+
+      pendingBlocks = [];
+      cueIndex++;
+    }
+
+    this.trailingBlocks = pendingBlocks;
+
+    return {
+      cues,
+      metadata: {
+        format: 'vtt',
+        totalCues: cues.length,
+        header: this.header,
+        trailingBlocks: this.trailingBlocks
+      },
+      warnings
+    };
+  }
+
+  /**
+   * Serializes normalized cues back into WebVTT format.
+   * @param {Array} cues - Array of cue objects
+   * @param {Object} options - { useTranslation: boolean, outputMode?: string, header?: string, trailingBlocks?: Array }
+   * @returns {string} VTT content
+   */
+  serialize(cues, options = { useTranslation: true }) {
+    if (!cues || !Array.isArray(cues)) return '';
+
+    const header = options.header || this.header || 'WEBVTT';
+    const trailingBlocks = options.trailingBlocks || this.trailingBlocks || [];
+    const blocks = [header];
+
+    // STYLE blocks must come before the first cue
+    if (options.useTranslation && options.outputMode === SubtitleOutputMode.STYLED) {
+      blocks.push(`STYLE\n::cue(.${TRANSLATION_CLASS}) {\n  color: ${TRANSLATION_TRACK_COLOR};\n}`);
+    }
+
+    cues.forEach((cue) => {
+      if (Array.isArray(cue.precedingBlocks)) {
+        blocks.push(...cue.precedingBlocks);
+      }
+
+      const text = this._cueText(cue, options);
+      const timing = `${cue.startTime} --> ${cue.endTime}${cue.settings ? ` ${cue.settings}` : ''}`;
+      const lines = cue.identifier ? [cue.identifier, timing] : [timing];
+
+      // A blank line terminates a cue in WebVTT, so collapse any the provider introduced
+      lines.push(this._sanitizeCueText(text));
+      blocks.push(lines.join('\n'));
+    });
+
+    blocks.push(...trailingBlocks);
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * Text written for a cue. Bilingual modes keep the original and add the
+   * translation below it, wrapped in a cue class for the styled mode.
+   * @private
+   */
+  _cueText(cue, options) {
+    const translated = options.useTranslation ? cue.translatedText : '';
+    if (!translated) return cue.text;
+
+    switch (options.outputMode) {
+      case SubtitleOutputMode.STACKED:
+        return [cue.text, translated].filter(Boolean).join('\n');
+      case SubtitleOutputMode.STYLED:
+        return [cue.text, `<c.${TRANSLATION_CLASS}>${translated}</c>`].filter(Boolean).join('\n');
+      default:
+        return translated;
+    }
+  }
+
+  /**
+   * Helper to convert a VTT timestamp (hh:mm:ss.ttt or mm:ss.ttt) to milliseconds.
+   */
+  timestampToMs(timestamp) {
+    const match = timestamp.match(/(?:(\d{2,}):)?(\d{2}):(\d{2})\.(\d{3})/);
+    if (!match) return 0;
+    const [, h = '0', m, s, ms] = match;
+    return (parseInt(h) * 3600000) + (parseInt(m) * 60000) + (parseInt(s) * 1000) + parseInt(ms);
+  }
+
+  /**
+   * Helper to convert milliseconds to a VTT timestamp (hh:mm:ss.ttt).
+   */
+  msToTimestamp(totalMs) {
+    const ms = Math.max(0, Math.round(totalMs));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+  }
+
+  /**
+   * Splits a timing line into start/end timestamps and the raw cue settings
+   * (e.g. "position:10% align:start line:0").
+   * @private
+   */
+  _parseTimingLine(line) {
+    const [startPart, endPart = ''] = line.split('-->');
+    const rest = endPart.trim();
+    const [endTime = ''] = rest.split(/[ \t]+/, 1);
+
+    return {
+      startTime: startPart.trim(),
+      endTime,
+      // Settings are kept as written so they round-trip byte for byte
+      settings: rest.slice(endTime.length).trim()
+    };
+  }
+
+  /**
+   * Removes sequences that would break the cue structure on re-parse.
+   * @private
+   */
+  _sanitizeCueText(text) {
+    return String(text ?? '').replace(/\n\s*\n/g, '\n').replace(/-->/g, '->').trim();
+  }
+}
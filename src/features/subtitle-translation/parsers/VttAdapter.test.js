@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { VttAdapter } from './VttAdapter.js';
+import { SubtitleParserFactory } from './SubtitleParserFactory.js';
+import { SubtitleOutputMode, TRANSLATION_TRACK_COLOR } from '../types/subtitleTypes.js';
+
+const SAMPLE_VTT = [
+  'WEBVTT - Episode 1',
+  'Kind: captions',
+  'Language: en',
+  '',
+  'STYLE',
+  '::cue(.yellow) {',
+  '  color: yellow;',
+  '}',
+  '',
+  'NOTE This file was produced by the video team',
+  '',
+  'intro-1',
+  '00:00:01.000 --> 00:00:04.000 position:10% align:start line:0',
+  '<v Anna>Hello there!</v>',
+  '',
+  '00:00:05.000 --> 00:00:07.500',
+  'First line',
+  'Second line',
+  '',
+  'NOTE',
+  'A multi-line note',
+  'between cues',
+  '',
+  '3',
+  '01:02:03.456 --> 01:02:05.000 align:end',
+  '<c.yellow>Goodbye</c>',
+  ''
+].join('\n');
+
+describe('VttAdapter', () => {
+  it('should parse header, identifiers, settings and text', () => {
+    const adapter = new VttAdapter();
+    const { cues, metadata, warnings } = adapter.parse(SAMPLE_VTT);
+
+    expect(warnings).toEqual([]);
+    expect(metadata.format).toBe('vtt');
+    expect(metadata.header).toBe('WEBVTT - Episode 1\nKind: captions\nLanguage: en');
+    expect(cues).toHaveLength(3);
+
+    expect(cues[0]).toMatchObject({
+      id: 'cue-1',
+      index: 1,
+      identifier: 'intro-1',
+      startTime: '00:00:01.000',
+      endTime: '00:00:04.000',
+      settings: 'position:10% align:start line:0',
+      text: '<v Anna>Hello there!</v>',
+      status: 'pending'
+    });
+    expect(cues[0].precedingBlocks).toHaveLength(2);
+    expect(cues[0].precedingBlocks[0]).toMatch(/^STYLE\n::cue/);
+
+    expect(cues[1].identifier).toBe('');
+    expect(cues[1].settings).toBe('');
+    expect(cues[1].text).toBe('First line\nSecond line');
+
+    expect(cues[2].precedingBlocks).toEqual(['NOTE\nA multi-line note\nbetween cues']);
+    expect(cues[2].identifier).toBe('3');
+  });
+
+  it('should round-trip the original file unchanged', () => {
+    const adapter = new VttAdapter();
+    const { cues } = adapter.parse(SAMPLE_VTT);
+
+    expect(adapter.serialize(cues, { useTranslation: false })).toBe(SAMPLE_VTT);
+  });
+
+  it('should write translations while keeping blocks, identifiers and settings', () => {
+    const adapter = new VttAdapter();
+    const { cues } = adapter.parse(SAMPLE_VTT);
+
+    cues[0].translatedText = '<v Anna>سلام!</v>';
+    cues[2].translatedText = '<c.yellow>خداحافظ</c>';
+
+    const output = adapter.serialize(cues);
+    const reparsed = new VttAdapter().parse(output);
+
+    expect(output).toContain('intro-1\n00:00:01.000 --> 00:00:04.000 position:10% align:start line:0\n<v Anna>سلام!</v>');
+    expect(output).toContain('STYLE\n::cue(.yellow) {\n  color: yellow;\n}');
+    expect(reparsed.cues.map(c => c.text)).toEqual([
+      '<v Anna>سلام!</v>',
+      'First line\nSecond line',
+      '<c.yellow>خداحافظ</c>'
+    ]);
+  });
+
+  it('should keep the original above the translation in bilingual modes', () => {
+    const adapter = new VttAdapter();
+    const { cues } = adapter.parse('WEBVTT\n\n00:01.000 --> 00:02.000\nHello\n\n00:03.000 --> 00:04.000\nBye\n');
+    cues[0].translatedText = 'سلام';
+
+    const stacked = adapter.serialize(cues, { useTranslation: true, outputMode: SubtitleOutputMode.STACKED });
+    expect(stacked).toBe('WEBVTT\n\n00:01.000 --> 00:02.000\nHello\nسلام\n\n00:03.000 --> 00:04.000\nBye\n');
+
+    const styled = adapter.serialize(cues, { useTranslation: true, outputMode: SubtitleOutputMode.STYLED });
+    expect(styled).toContain(`WEBVTT\n\nSTYLE\n::cue(.translation) {\n  color: ${TRANSLATION_TRACK_COLOR};\n}\n\n00:01.000`);
+    expect(new VttAdapter().parse(styled).cues[0].text).toBe('Hello\n<c.translation>سلام</c>');
+  });
+
+  it('should not let translated blank lines split a cue', () => {
+    const adapter = new VttAdapter();
+    const { cues } = adapter.parse('WEBVTT\n\n00:01.000 --> 00:02.000\nHello\n');
+
+    cues[0].translatedText = 'Line A\n\nLine B';
+
+    const reparsed = new VttAdapter().parse(adapter.serialize(cues));
+    expect(reparsed.cues).toHaveLength(1);
+    expect(reparsed.cues[0].text).toBe('Line A\nLine B');
+  });
+
+  it('should handle CRLF line endings and a BOM', () => {
+    const adapter = new VttAdapter();
+    const { cues, metadata } = adapter.parse('\uFEFFWEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nHello\r\n');
+
+    expect(metadata.header).toBe('WEBVTT');
+    expect(cues).toHaveLength(1);
+    expect(cues[0].text).toBe('Hello');
+  });
+
+  it('should warn when the WEBVTT header is missing', () => {
+    const adapter = new VttAdapter();
+    const { cues, warnings } = adapter.parse('00:01.000 --> 00:02.000\nHello');
+
+    expect(cues).toHaveLength(1);
+    expect(warnings[0]).toMatch(/WEBVTT header/);
+    expect(adapter.serialize(cues)).toBe('WEBVTT\n\n00:01.000 --> 00:02.000\nHello\n');
+  });
+
+  it('should convert both timestamp forms to milliseconds', () => {
+    const adapter = new VttAdapter();
+
+    expect(adapter.timestampToMs('01:02:03.456')).toBe(3723456);
+    expect(adapter.timestampToMs('02:03.456')).toBe(123456);
+    expect(adapter.msToTimestamp(123456)).toBe('00:02:03.456');
+  });
+
+  it('should be returned by SubtitleParserFactory for .vtt files', () => {
+    expect(SubtitleParserFactory.getAdapter('movie.en.vtt')).toBeInstanceOf(VttAdapter);
+    expect(SubtitleParserFactory.getAdapter('VTT')).toBeInstanceOf(VttAdapter);
+  });
+});
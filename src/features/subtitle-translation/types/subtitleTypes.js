@@ -21,7 +21,8 @@ export const CueStatus = {
 export const SubtitleFormat = {
   SRT: 'srt',
   VTT: 'vtt',
-  ASS: 'ass'
+  ASS: 'ass',
+  SSA: 'ssa'
 };
 
 /**
@@ -53,3 +54,50 @@ export const ValidationSeverity = {
   RECOVERABLE_ERROR: 'recoverable-error',
   FATAL_ERROR: 'fatal-error'
 };
+
+/**
+ * Readability rules a translated cue can break
+ */
+export const TimingViolationType = {
+  LINE_TOO_LONG: 'line_too_long',
+  TOO_MANY_LINES: 'too_many_lines',
+  READING_SPEED: 'reading_speed',
+  OVERLAP: 'overlap'
+};
+
+/**
+ * Default readability limits used by the timing tools (broadcast-style guidelines)
+ */
+export const DEFAULT_TIMING_LIMITS = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  maxCharsPerSecond: 17,
+  minDurationMs: 1000,
+  minGapMs: 80,
+  // Neighbours further apart than this are separate lines of dialogue and never merged
+  maxMergeGapMs: 500
+};
+
+/**
+ * How the translation is written into the exported subtitle
+ */
+export const SubtitleOutputMode = {
+  // The translation replaces the original text
+  TRANSLATION: 'translation',
+  // Original and translation in the same cue, one below the other
+  STACKED: 'stacked',
+  // Translation as a differently styled second line or event (a separate style for ASS)
+  STYLED: 'styled',
+  // Original and translation exported as two files
+  SEPARATE_FILES: 'separate_files'
+};
+
+/**
+ * Name of the ASS style added for translations in bilingual output
+ */
+export const TRANSLATION_STYLE_NAME = 'Translation';
+
+/**
+ * Color of the translation in styled bilingual output (#rrggbb)
+ */
+export const TRANSLATION_TRACK_COLOR = '#ffe066';
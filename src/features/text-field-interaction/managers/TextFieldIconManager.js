@@ -325,8 +325,8 @@ export class TextFieldIconManager extends ResourceTracker {
       return false;
     }
 
-    // Feature flag check
-    if (!isTextFieldFeatureEnabled) {
+    // Feature flag check (a site profile can turn the icon on for its pages)
+    if (!isTextFieldFeatureEnabled && exclusionChecker.getSiteFeatureOverride('textFieldIcon') !== true) {
       // Skipping icon creation - TRANSLATE_ON_TEXT_FIELDS feature is disabled (logged at TRACE level)
       // this.logger.trace('Skipping icon creation: TRANSLATE_ON_TEXT_FIELDS feature is disabled.');
       return false;
@@ -62,6 +62,8 @@ export function useUnifiedTranslation(context = 'popup') {
         sourceLanguage: ct.sourceLanguage,
         targetLanguage: ct.targetLanguage,
         provider: ct.provider,
+        failover: ct.failover || null,
+        glossaryViolations: ct.glossaryViolations || null,
         mode: ct.mode, // Added mode for UI logic
         timestamp: ct.timestamp
       };
@@ -77,6 +79,8 @@ export function useUnifiedTranslation(context = 'popup') {
         sourceLanguage: val.sourceLanguage,
         targetLanguage: val.targetLanguage,
         provider: val.provider,
+        failover: val.failover || null,
+        glossaryViolations: val.glossaryViolations || null,
         mode: val.mode, // Added mode for persistence
         timestamp: val.timestamp
       };
@@ -246,6 +250,8 @@ export function useUnifiedTranslation(context = 'popup') {
       source: resultData.originalText || sourceText.value,
       target: resultData.translatedText,
       provider: resultData.provider,
+      failover: resultData.failover || null, // Set when a failover chain answered instead of the requested provider
+      glossaryViolations: resultData.glossaryViolations || null, // Glossary terms the provider did not respect
       mode: resultData.mode, // Capture mode from response
       timestamp: timestamp,
       sourceLanguage: resultData.sourceLanguage,
@@ -4,6 +4,7 @@
  */
 
 import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
+import { matchErrorToType } from '@/shared/error-management/ErrorMatcher.js';
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 
@@ -57,6 +58,41 @@ export class ErrorClassifier {
     ErrorTypes.TRANSLATION_FAILED
   ];
 
+  /**
+   * Errors that make a provider unusable for now, so a translation should move
+   * on to the next provider of the mode's failover chain instead of failing
+   */
+  static FAILOVER_ERROR_TYPES = [
+    // Quota & billing
+    ErrorTypes.QUOTA_EXCEEDED,
+    ErrorTypes.DEEPL_QUOTA_EXCEEDED,
+    ErrorTypes.GEMINI_QUOTA_REGION,
+    ErrorTypes.INSUFFICIENT_BALANCE,
+
+    // Authentication
+    ErrorTypes.API_KEY_MISSING,
+    ErrorTypes.API_KEY_INVALID,
+    ErrorTypes.FORBIDDEN_ERROR,
+
+    // RateLimitManager gave up on the provider
+    ErrorTypes.CIRCUIT_BREAKER_OPEN
+  ];
+
+  /**
+   * Check if an error should move a translation to the next provider of a failover chain
+   * @param {Error|string} error - Error object or error message/type
+   * @returns {boolean} - True for quota, authentication and circuit-open errors
+   */
+  static shouldFailoverProvider(error) {
+    if (!error) return false;
+
+    if (error.type && this.FAILOVER_ERROR_TYPES.includes(error.type)) {
+      return true;
+    }
+
+    return this.FAILOVER_ERROR_TYPES.includes(matchErrorToType(error));
+  }
+
   /**
    * Check if an error is deterministic (should fail immediately)
    * @param {Error|string} error - Error object or error message/type
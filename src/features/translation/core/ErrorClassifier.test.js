@@ -72,6 +72,26 @@ describe('ErrorClassifier', () => {
     });
   });
 
+  describe('shouldFailoverProvider', () => {
+    it('should return true for quota, authentication and circuit-open errors', () => {
+      expect(ErrorClassifier.shouldFailoverProvider({ type: ErrorTypes.QUOTA_EXCEEDED })).toBe(true);
+      expect(ErrorClassifier.shouldFailoverProvider({ type: ErrorTypes.DEEPL_QUOTA_EXCEEDED })).toBe(true);
+      expect(ErrorClassifier.shouldFailoverProvider({ type: ErrorTypes.API_KEY_INVALID })).toBe(true);
+      expect(ErrorClassifier.shouldFailoverProvider({ type: ErrorTypes.CIRCUIT_BREAKER_OPEN })).toBe(true);
+    });
+
+    it('should classify untyped circuit breaker rejections from RateLimitManager', () => {
+      expect(ErrorClassifier.shouldFailoverProvider(new Error('Circuit breaker open for Gemini'))).toBe(true);
+    });
+
+    it('should return false for transient, validation and cancellation errors', () => {
+      expect(ErrorClassifier.shouldFailoverProvider({ type: ErrorTypes.NETWORK_ERROR })).toBe(false);
+      expect(ErrorClassifier.shouldFailoverProvider({ type: ErrorTypes.TEXT_EMPTY })).toBe(false);
+      expect(ErrorClassifier.shouldFailoverProvider({ type: ErrorTypes.USER_CANCELLED })).toBe(false);
+      expect(ErrorClassifier.shouldFailoverProvider(null)).toBe(false);
+    });
+  });
+
   describe('analyzeErrors', () => {
     it('should correctly analyze a collection of errors', () => {
       const errors = [
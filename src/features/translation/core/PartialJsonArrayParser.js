@@ -0,0 +1,90 @@
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'PartialJsonArrayParser');
+
+/**
+ * Incremental parser for a JSON array that is still being streamed.
+ * Feed it the accumulated response text after every delta; it returns the
+ * top-level entries completed since the previous call, with their position.
+ * Text before the first `[` (prose, code fences, an object wrapper such as
+ * `{"translations": [`) is skipped. Entries that fail to parse keep their
+ * position so later entries still line up with the request.
+ */
+export class PartialJsonArrayParser {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.position = 0;
+    this.inArray = false;
+    this.isClosed = false;
+    this.entryStart = -1;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.entryCount = 0;
+  }
+
+  /**
+   * @param {string} text - the whole response received so far
+   * @returns {Array<{index: number, value: any}>} entries completed by this chunk
+   */
+  push(text) {
+    if (typeof text !== 'string') return [];
+    // A shorter text means the response was restarted (e.g. a retried call)
+    if (text.length < this.position) this.reset();
+
+    const completed = [];
+    const complete = (end) => {
+      const raw = text.slice(this.entryStart, end).trim();
+      const index = this.entryCount++;
+      this.entryStart = -1;
+      try {
+        completed.push({ index, value: JSON.parse(raw) });
+      } catch {
+        logger.debug(`Skipping unparsable streamed entry ${index}`);
+      }
+    };
+
+    for (; this.position < text.length && !this.isClosed; this.position++) {
+      const char = text[this.position];
+
+      if (!this.inArray) {
+        if (char === '[') this.inArray = true;
+        continue;
+      }
+
+      if (this.inString) {
+        if (this.escaped) this.escaped = false;
+        else if (char === '\\') this.escaped = true;
+        else if (char === '"') {
+          this.inString = false;
+          if (this.depth === 0) complete(this.position + 1);
+        }
+        continue;
+      }
+
+      if (char === '"' || char === '{' || char === '[') {
+        if (this.entryStart === -1) this.entryStart = this.position;
+        if (char === '"') this.inString = true;
+        else this.depth++;
+      } else if (char === '}' || char === ']') {
+        if (this.depth === 0) {
+          // Closing bracket of the array itself; flush a trailing bare value
+          if (this.entryStart !== -1) complete(this.position);
+          this.isClosed = true;
+        } else if (--this.depth === 0) {
+          complete(this.position + 1);
+        }
+      } else if (char === ',' && this.depth === 0) {
+        if (this.entryStart !== -1) complete(this.position);
+      } else if (this.entryStart === -1 && !/\s/.test(char)) {
+        this.entryStart = this.position;
+      }
+    }
+
+    return completed;
+  }
+}
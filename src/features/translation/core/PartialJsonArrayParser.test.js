@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { PartialJsonArrayParser } from './PartialJsonArrayParser.js';
+
+describe('PartialJsonArrayParser', () => {
+  const feed = (parser, text, chunkSize) => {
+    const entries = [];
+    for (let end = chunkSize; end < text.length + chunkSize; end += chunkSize) {
+      entries.push(...parser.push(text.slice(0, end)));
+    }
+    return entries;
+  };
+
+  it('returns each entry once, as soon as it is complete', () => {
+    const parser = new PartialJsonArrayParser();
+
+    expect(parser.push('```json\n["Hal')).toEqual([]);
+    expect(parser.push('```json\n["Hallo", "Wel')).toEqual([{ index: 0, value: 'Hallo' }]);
+    expect(parser.push('```json\n["Hallo", "Welt"')).toEqual([{ index: 1, value: 'Welt' }]);
+    expect(parser.push('```json\n["Hallo", "Welt"]\n```')).toEqual([]);
+  });
+
+  it('handles object wrappers, escapes and brackets inside strings', () => {
+    const response = '{"translations": ["Sie sagte \\"[ja]\\"", {"text": "a, {b}"}, "c\\\\"]}';
+    const entries = feed(new PartialJsonArrayParser(), response, 3);
+
+    expect(entries).toEqual([
+      { index: 0, value: 'Sie sagte "[ja]"' },
+      { index: 1, value: { text: 'a, {b}' } },
+      { index: 2, value: 'c\\' }
+    ]);
+  });
+
+  it('starts over when the response restarts', () => {
+    const parser = new PartialJsonArrayParser();
+    parser.push('["eins", "zwei"');
+
+    expect(parser.push('["uno"')).toEqual([{ index: 0, value: 'uno' }]);
+  });
+});
@@ -65,6 +65,7 @@ export const BASE_CHARACTER_LIMITS = {
   EDGE: 5000,
   BROWSER: 10000,
   LINGVA: 1500,
+  LIBRETRANSLATE: 2000,
 };
 
 /**
@@ -78,6 +79,7 @@ export const BASE_MAX_CHUNKS_PER_BATCH = {
   EDGE: 100,
   BROWSER: 50,
   LINGVA: 30,
+  LIBRETRANSLATE: 50,
 };
 
 /**
@@ -152,7 +154,8 @@ export const PROVIDER_CONFIGURATIONS = {
       supportsBatchRequests: true,
       supportsThinking: true,
       reliableJsonMode: false,
-      supportsDictionary: true
+      supportsDictionary: true,
+      supportsPartialOutput: true // Generated content is streamed over SSE and reported through onDelta
     }
   },
 
@@ -193,7 +196,49 @@ export const PROVIDER_CONFIGURATIONS = {
       supportsBatchRequests: true,
       supportsThinking: false,
       reliableJsonMode: true,
-      supportsDictionary: true
+      supportsDictionary: true,
+      supportsPartialOutput: true // Chat completion chunks are reported through onDelta
+    }
+  },
+
+  // Anthropic Claude - Messages API with SSE streaming
+  Anthropic: {
+    rateLimit: {
+      maxConcurrent: 2,
+      delayBetweenRequests: 0,
+      adaptiveBackoff: {
+        enabled: true,
+        baseMultiplier: 1.5,
+        maxDelay: 30000,
+        resetAfterSuccess: 2
+      },
+      modeOverrides: {
+        select_element: {
+          maxConcurrent: 2
+        }
+      }
+    },
+    batching: UNIFIED_AI_BATCHING_CONFIG,
+    streaming: {
+      enabled: true,
+      chunkSize: 'fixed',
+      realTimeUpdates: true
+    },
+    errorHandling: {
+      quotaTypes: [
+        'requests_per_minute',
+        'input_tokens_per_minute',
+        'output_tokens_per_minute'
+      ],
+      enableCircuitBreaker: true
+    },
+    features: {
+      supportsTranslation: true,
+      supportsBatchRequests: true,
+      supportsThinking: false,
+      reliableJsonMode: true, // Structured batches use a forced tool call
+      supportsDictionary: true,
+      supportsPartialOutput: true // Messages are streamed and reported through onDelta
     }
   },
 
@@ -233,7 +278,8 @@ export const PROVIDER_CONFIGURATIONS = {
       supportsBatchRequests: true, // Enable batch requests for streaming
       supportsThinking: true,
       reliableJsonMode: false,
-      supportsDictionary: true
+      supportsDictionary: true,
+      supportsPartialOutput: true // Chat completion chunks are reported through onDelta
     }
   },
 
@@ -274,7 +320,8 @@ export const PROVIDER_CONFIGURATIONS = {
       supportsBatchRequests: true,
       supportsThinking: false, // Varies by model
       reliableJsonMode: true,
-      supportsDictionary: true
+      supportsDictionary: true,
+      supportsPartialOutput: true // Chat completion chunks are reported through onDelta
     }
   },
 
@@ -319,6 +366,45 @@ export const PROVIDER_CONFIGURATIONS = {
     }
   },
 
+  // Ollama / Local LLM - a single local server usually serves one request at a time
+  Ollama: {
+    rateLimit: {
+      maxConcurrent: 1,
+      delayBetweenRequests: 0,
+      adaptiveBackoff: {
+        enabled: true,
+        baseMultiplier: 1.5,
+        maxDelay: 20000,
+        resetAfterSuccess: 2
+      },
+      modeOverrides: {
+        select_element: {
+          maxConcurrent: 1
+        }
+      }
+    },
+    batching: UNIFIED_AI_BATCHING_CONFIG,
+    streaming: {
+      enabled: true, // Segments are streamed as each batch completes
+      chunkSize: 'adaptive',
+      realTimeUpdates: true
+    },
+    errorHandling: {
+      quotaTypes: [
+        'server_overload'
+      ],
+      enableCircuitBreaker: false
+    },
+    features: {
+      supportsTranslation: true,
+      supportsBatchRequests: true,
+      supportsThinking: false,
+      reliableJsonMode: false, // Depends on the model; see OLLAMA_JSON_MODE_MODELS
+      supportsDictionary: true,
+      supportsPartialOutput: true // NDJSON / SSE chunks are forwarded as they arrive
+    }
+  },
+
   // Google Translate - Free translation service settings
   GoogleTranslate: {
     rateLimit: {
@@ -675,6 +761,46 @@ export const PROVIDER_CONFIGURATIONS = {
     }
   },
 
+  // LibreTranslate - Self-hosted or public server, JSON POST with q arrays
+  LibreTranslate: {
+    rateLimit: {
+      maxConcurrent: 2, // Self-hosted servers translate on CPU
+      delayBetweenRequests: 0,
+      adaptiveBackoff: {
+        enabled: true,
+        baseMultiplier: 2,
+        maxDelay: 30000,
+        resetAfterSuccess: 2
+      }
+    },
+    batching: {
+      strategy: 'character_limit',
+      characterLimit: BASE_CHARACTER_LIMITS.LIBRETRANSLATE, // Default --char-limit of public instances
+      optimalSize: 20,
+      maxChunksPerBatch: BASE_MAX_CHUNKS_PER_BATCH.LIBRETRANSLATE,
+      delimiter: null // Texts are sent as a q array
+    },
+    streaming: {
+      enabled: true,
+      chunkSize: 'character_based',
+      realTimeUpdates: true
+    },
+    errorHandling: {
+      quotaTypes: [
+        'requests_per_minute',
+        'rate_limit'
+      ],
+      enableCircuitBreaker: true
+    },
+    features: {
+      supportsTranslation: true,
+      supportsBatchRequests: true,
+      supportsThinking: false,
+      reliableJsonMode: true,
+      supportsDictionary: false
+    }
+  },
+
   // Custom Provider - Flexible/configurable settings
   Custom: {
     rateLimit: {
@@ -712,7 +838,8 @@ export const PROVIDER_CONFIGURATIONS = {
       supportsBatchRequests: true, // Enable batch requests for streaming
       supportsThinking: false,
       reliableJsonMode: false,
-      supportsDictionary: true
+      supportsDictionary: true,
+      supportsPartialOutput: true // Chat completion chunks are reported through onDelta
     }
   },
 
@@ -936,8 +1063,12 @@ function normalizeProviderName(providerName) {
     'gpt': ProviderNames.OPENAI,
     'chatgpt': ProviderNames.OPENAI,
     'deepseek': ProviderNames.DEEPSEEK,
+    'anthropic': ProviderNames.ANTHROPIC,
+    'claude': ProviderNames.ANTHROPIC,
     'openrouter': ProviderNames.OPENROUTER,
     'webai': ProviderNames.WEBAI,
+    'ollama': ProviderNames.OLLAMA,
+    'local-llm': ProviderNames.OLLAMA,
     'googletranslate': ProviderNames.GOOGLE_TRANSLATE,
     'google-translate': ProviderNames.GOOGLE_TRANSLATE,
     'googletranslatev2': ProviderNames.GOOGLE_TRANSLATE_V2,
@@ -959,6 +1090,8 @@ function normalizeProviderName(providerName) {
     'lingva': ProviderNames.LINGVA,
     'lingvatranslate': ProviderNames.LINGVA,
     'lingva-translate': ProviderNames.LINGVA,
+    'libretranslate': ProviderNames.LIBRETRANSLATE,
+    'libre-translate': ProviderNames.LIBRETRANSLATE,
     'browser': ProviderNames.BROWSER_API,
     'browserranslate': ProviderNames.BROWSER_API,
     'vajehyab': ProviderNames.VAJEHYAB,
@@ -11,13 +11,15 @@ import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 import { LanguageSwappingService } from "@/features/translation/providers/LanguageSwappingService.js";
 import { LanguageDetectionService } from "@/shared/services/LanguageDetectionService.js";
 import { AIResponseParser } from "@/features/translation/providers/utils/AIResponseParser.js";
-import { TranslationMode } from "@/shared/config/config.js";
+import { TranslationMode, getModeFailoverChainAsync } from "@/shared/config/config.js";
 import { isFatalError, isTransientError, matchErrorToType } from "@/shared/error-management/ErrorMatcher.js";
 import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
 import { AUTO_DETECT_VALUE } from "@/shared/constants/core.js";
 import { queueManager } from "./QueueManager.js";
 import { TranslationPriority } from "./RateLimitManager.js";
 import { streamingManager } from "./StreamingManager.js";
+import { ErrorClassifier } from "./ErrorClassifier.js";
+import { statsManager } from "./TranslationStatsManager.js";
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'ProviderCoordinator');
 
@@ -218,7 +220,8 @@ export class ProviderCoordinator {
           translatedText: finalResult,
           provider: providerName,
           sourceLanguage: processedSourceLang,
-          targetLanguage: processedTargetLang
+          targetLanguage: processedTargetLang,
+          ...this._describeFailover(provider, options)
         };
       }
 
@@ -246,7 +249,8 @@ export class ProviderCoordinator {
         detectedLanguage: detectedLanguage,
         provider: providerName,
         sourceLanguage: processedSourceLang,
-        targetLanguage: processedTargetLang
+        targetLanguage: processedTargetLang,
+        ...this._describeFailover(provider, options)
       };
     } catch (error) {
       const errorType = matchErrorToType(error);
@@ -260,6 +264,14 @@ export class ProviderCoordinator {
         logger.debug(`[Coordinator] Execution failed for ${providerName}:`, error.message);
       }
 
+      // 9. Provider Failover: hand quota/auth/circuit-open failures to the mode's next provider
+      // Structured batches stay on their provider here: their handler may have split them
+      // for this provider's batching strategy, so failover happens around the whole batch.
+      const failover = options.rawJsonPayload ? null : await this.resolveFailover(provider, error, options);
+      if (failover) {
+        return await failover.provider.translate(text, sourceLang, targetLang, { ...options, failover: failover.trail });
+      }
+
       // Throw if it's a recognized fatal/transient error or a generic system Error
       if (isFatalError(error) || isTransient) throw error;
 
@@ -270,6 +282,72 @@ export class ProviderCoordinator {
     }
   }
 
+  /**
+   * Picks the next usable provider from the mode's failover chain, skipping every
+   * provider this request already went through. Returns the provider with the
+   * updated failover trail, or null when the error does not warrant failover or
+   * the chain is exhausted.
+   * Also used by UnifiedModeCoordinator to move whole Page batches to the next provider.
+   * @param {Object} provider - Provider instance that failed
+   * @param {Error} error - The provider error
+   * @param {Object} options - { engine, mode, originalMode, sessionId, failover }
+   * @returns {Promise<{provider: Object, trail: Object}|null>}
+   */
+  async resolveFailover(provider, error, options) {
+    const { engine, sessionId } = options;
+    if (typeof engine?.getProvider !== 'function') return null;
+    if (!ErrorClassifier.shouldFailoverProvider(error)) return null;
+
+    const mode = options.originalMode || options.mode || TranslationMode.Selection;
+    const chain = await getModeFailoverChainAsync(mode);
+    if (chain.length === 0) return null;
+
+    const trail = this._extendFailoverTrail(provider, error, options);
+    const attempted = new Set([trail.requestedProvider, ...trail.attempts.map(attempt => attempt.provider)]);
+
+    for (const providerId of chain) {
+      if (attempted.has(providerId)) continue;
+
+      const nextProvider = await engine.getProvider(providerId);
+      if (!nextProvider) continue;
+
+      const errorType = trail.attempts.at(-1).errorType;
+      logger.info(`[Coordinator] Failing over from ${provider.providerName} to ${nextProvider.providerName} (${errorType})`);
+      statsManager.recordFailover(provider.providerName, nextProvider.providerName, { sessionId, mode, errorType });
+      return { provider: nextProvider, trail };
+    }
+
+    logger.debug(`[Coordinator] Failover chain for ${mode} exhausted`);
+    return null;
+  }
+
+  /**
+   * Adds the failed provider to the request's failover trail.
+   * @private
+   */
+  _extendFailoverTrail(provider, error, options) {
+    const providerId = nameToRegistryId(provider.providerName) || provider.providerName;
+    const trail = options.failover || { requestedProvider: providerId, attempts: [] };
+    return {
+      requestedProvider: trail.requestedProvider,
+      attempts: [...trail.attempts, { provider: providerId, errorType: error?.type || matchErrorToType(error) }]
+    };
+  }
+
+  /**
+   * Failover details for the unified response when another provider answered.
+   * @private
+   */
+  _describeFailover(provider, options) {
+    if (!options.failover) return {};
+    return {
+      failover: {
+        ...options.failover,
+        answeredBy: nameToRegistryId(provider.providerName) || provider.providerName
+      }
+    };
+  }
+
   /**
    * Internal helper to normalize languages using the provider's logic.
    * @private
@@ -15,7 +15,10 @@ import { providerCoordinator } from './ProviderCoordinator.js';
 import { ResponseFormat } from "@/shared/config/translationConstants.js";
 import { AUTO_DETECT_VALUE } from "@/shared/constants/core.js";
 import { isFatalError, isTransientError, matchErrorToType } from "@/shared/error-management/ErrorMatcher.js";
-import { TranslationCallPurpose } from '@/features/translation/providers/ProviderConstants.js';
+import { TranslationCallPurpose, ProviderNames } from '@/features/translation/providers/ProviderConstants.js';
+import { getModeFailoverChainAsync } from "@/shared/config/config.js";
+import { statsManager } from './TranslationStatsManager.js';
+import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
 
 // Mock dependencies
 vi.mock('@/shared/logging/logger.js', () => ({
@@ -46,6 +49,11 @@ vi.mock("@/features/translation/providers/utils/AIResponseParser.js", () => ({
   }
 }));
 
+vi.mock("@/shared/config/config.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getModeFailoverChainAsync: vi.fn(() => Promise.resolve([]))
+}));
+
 vi.mock("./QueueManager.js", () => ({
   queueManager: {
     enqueue: vi.fn((name, task) => task())
@@ -316,4 +324,98 @@ describe('ProviderCoordinator', () => {
       );
     });
   });
+
+  describe('Provider Failover', () => {
+    const failure = (type) => Object.assign(new Error(type), { type });
+
+    // Provider whose translate() goes through the coordinator like BaseProvider
+    const createChainProvider = (providerName, batchTranslate) => {
+      const provider = {
+        providerName,
+        constructor: { isAI: false, supportsStreaming: false },
+        convertLanguage: vi.fn(lang => lang),
+        _batchTranslate: vi.fn(batchTranslate)
+      };
+      provider.translate = vi.fn((...args) => providerCoordinator.execute(provider, ...args));
+      return provider;
+    };
+
+    let gemini, deepl, googleV2, engine;
+
+    beforeEach(() => {
+      statsManager.reset();
+      gemini = createChainProvider(ProviderNames.GEMINI, () => Promise.reject(failure(ErrorTypes.QUOTA_EXCEEDED)));
+      deepl = createChainProvider(ProviderNames.DEEPL, () => Promise.reject(failure(ErrorTypes.API_KEY_INVALID)));
+      googleV2 = createChainProvider(ProviderNames.GOOGLE_TRANSLATE_V2, () => Promise.resolve(['Hallo']));
+      const providers = { gemini, deepl, googlev2: googleV2 };
+      engine = { getProvider: vi.fn(id => Promise.resolve(providers[id] || null)), getAbortController: vi.fn(() => null) };
+    });
+
+    it('walks the mode chain until a provider answers and reports the trail', async () => {
+      getModeFailoverChainAsync.mockResolvedValue(['deepl', 'googlev2']);
+
+      const result = await providerCoordinator.execute(gemini, 'Hello', 'en', 'de', { mode: 'selection', engine });
+
+      expect(getModeFailoverChainAsync).toHaveBeenCalledWith('selection');
+      expect(result.translatedText).toBe('Hallo');
+      expect(result.provider).toBe(ProviderNames.GOOGLE_TRANSLATE_V2);
+      expect(result.failover).toEqual({
+        requestedProvider: 'gemini',
+        answeredBy: 'googlev2',
+        attempts: [
+          { provider: 'gemini', errorType: ErrorTypes.QUOTA_EXCEEDED },
+          { provider: 'deepl', errorType: ErrorTypes.API_KEY_INVALID }
+        ]
+      });
+      expect(statsManager.global.totalFailovers).toBe(2);
+      expect(statsManager.providers.get(ProviderNames.GEMINI).failoversFrom).toBe(1);
+    });
+
+    it('uses the original interaction mode chain', async () => {
+      getModeFailoverChainAsync.mockResolvedValue(['googlev2']);
+
+      await providerCoordinator.execute(gemini, 'Hello', 'en', 'de', { mode: 'selection', originalMode: 'mouse_hover', engine });
+
+      expect(getModeFailoverChainAsync).toHaveBeenCalledWith('mouse_hover');
+    });
+
+    it('never retries a provider the request already went through', async () => {
+      getModeFailoverChainAsync.mockResolvedValue(['gemini', 'deepl']);
+
+      await expect(providerCoordinator.execute(gemini, 'Hello', 'en', 'de', { mode: 'selection', engine }))
+        .rejects.toThrow(ErrorTypes.API_KEY_INVALID);
+      expect(gemini._batchTranslate).toHaveBeenCalledTimes(1);
+      expect(deepl._batchTranslate).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not fail over on errors a retry may fix', async () => {
+      getModeFailoverChainAsync.mockResolvedValue(['googlev2']);
+      gemini._batchTranslate.mockRejectedValue(failure(ErrorTypes.NETWORK_ERROR));
+
+      await expect(providerCoordinator.execute(gemini, 'Hello', 'en', 'de', { mode: 'selection', engine }))
+        .rejects.toThrow(ErrorTypes.NETWORK_ERROR);
+      expect(engine.getProvider).not.toHaveBeenCalled();
+    });
+
+    it('leaves structured batches on their provider', async () => {
+      getModeFailoverChainAsync.mockResolvedValue(['googlev2']);
+
+      await expect(providerCoordinator.execute(gemini, ['Hello'], 'en', 'de', { mode: 'select_element', engine, rawJsonPayload: true }))
+        .rejects.toThrow(ErrorTypes.QUOTA_EXCEEDED);
+      expect(getModeFailoverChainAsync).not.toHaveBeenCalled();
+    });
+
+    it('resolves the next provider for callers that fail over whole batches', async () => {
+      getModeFailoverChainAsync.mockResolvedValue(['deepl', 'googlev2']);
+      const trail = { requestedProvider: 'gemini', attempts: [{ provider: 'gemini', errorType: ErrorTypes.QUOTA_EXCEEDED }] };
+
+      const failover = await providerCoordinator.resolveFailover(deepl, failure(ErrorTypes.API_KEY_INVALID), {
+        mode: 'page', engine, failover: trail
+      });
+
+      expect(getModeFailoverChainAsync).toHaveBeenCalledWith('page');
+      expect(failover.provider).toBe(googleV2);
+      expect(failover.trail.attempts.map(attempt => attempt.provider)).toEqual(['gemini', 'deepl']);
+    });
+  });
 });
@@ -132,6 +132,34 @@ export class RateLimitManager {
     return state;
   }
 
+  /**
+   * Apply user-defined limits to a provider (e.g. a Custom provider profile).
+   * Manual limits take precedence over the optimization level until cleared.
+   * @param {string} providerName - provider name or registry ID
+   * @param {{maxConcurrent?: number, delayBetweenRequests?: number}|null} config - null restores level-based limits
+   */
+  configureProvider(providerName, config) {
+    const name = registryIdToName(providerName) || providerName;
+    const state = this.providerStates.get(name);
+
+    if (!config) {
+      if (state?.isManualConfig) {
+        state.isManualConfig = false;
+        state.optimizationLevel = null; // forces a refresh on the next request
+      }
+      return;
+    }
+
+    if (!state) {
+      this._initializeProvider(name, config, { isManualConfig: true, configSource: 'manual' });
+      return;
+    }
+
+    state.config = { ...state.config, ...config };
+    state.isManualConfig = true;
+    state.configSource = 'manual';
+  }
+
   /**
    * Execute task with rate limiting and priority
    */
@@ -298,6 +298,36 @@ describe('RateLimitManager', () => {
 
       expect(maxSeenActive).toBe(1);
     });
+
+    it('should apply configured limits to Custom profiles and restore level-based limits when cleared', async () => {
+      manager.configureProvider('custom:azure', { maxConcurrent: 3 });
+      mockRuntime.providerLevels.set('Custom:azure', 1);
+
+      expect(manager.providerStates.get('Custom:azure')).toMatchObject({
+        isManualConfig: true,
+        config: { maxConcurrent: 3, delayBetweenRequests: 200 }
+      });
+
+      let activeCount = 0;
+      let maxSeenActive = 0;
+      const task = async () => {
+        activeCount++;
+        maxSeenActive = Math.max(maxSeenActive, activeCount);
+        await sleep(20);
+        activeCount--;
+      };
+
+      manager.configureProvider('custom:azure', { maxConcurrent: 3, delayBetweenRequests: 0 });
+      await Promise.all(Array.from({ length: 4 }, () => manager.executeWithRateLimit('custom:azure', task)));
+      expect(maxSeenActive).toBe(3);
+
+      manager.configureProvider('custom:azure', null);
+      activeCount = 0;
+      maxSeenActive = 0;
+      await Promise.all(Array.from({ length: 3 }, () => manager.executeWithRateLimit('custom:azure', task)));
+      expect(maxSeenActive).toBe(1);
+      expect(manager.providerStates.get('Custom:azure').isManualConfig).toBe(false);
+    });
   });
 
   describe('Adaptive Backoff', () => {
@@ -12,6 +12,8 @@ import { RecoveryFinalOutcome } from '../ir/TranslationOperation.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'StatsManager');
 
+const MAX_RECORDED_FAILOVERS = 50;
+
 function createPurposeCounters() {
   return {
     [TranslationCallPurpose.PRIMARY_TRANSLATION]: 0,
@@ -26,7 +28,7 @@ function createQualityCounters() {
 
 function createProviderStats() {
   return {
-    calls: 0, chars: 0, errors: 0, originalChars: 0,
+    calls: 0, chars: 0, errors: 0, originalChars: 0, failoversFrom: 0, failoversTo: 0,
     callsByPurpose: createPurposeCounters(), charsByPurpose: createPurposeCounters(), errorsByPurpose: createPurposeCounters(), quality: createQualityCounters()
   };
 }
@@ -42,6 +44,7 @@ class TranslationStatsManager {
       totalChars: 0,
       totalOriginalChars: 0,
       totalErrors: 0,
+      totalFailovers: 0,
       callsByPurpose: createPurposeCounters(),
       charsByPurpose: createPurposeCounters(),
       errorsByPurpose: createPurposeCounters(),
@@ -51,6 +54,7 @@ class TranslationStatsManager {
     
     this.providers = new Map(); // providerName -> { calls, chars, errors, originalChars }
     this.sessions = new Map();  // sessionId -> { calls, chars, errors, originalChars, startTime, provider }
+    this.failovers = []; // Most recent provider failovers, oldest first
   }
 
   /**
@@ -127,6 +131,38 @@ class TranslationStatsManager {
     }
   }
 
+  /**
+   * Record a switch to the next provider of a mode's failover chain
+   * @param {string} fromProvider - Provider that failed
+   * @param {string} toProvider - Provider tried next
+   * @param {Object} [details]
+   * @param {string} [details.sessionId]
+   * @param {string} [details.mode] - Translation mode whose chain was used
+   * @param {string} [details.errorType] - Error type that triggered the switch
+   */
+  recordFailover(fromProvider, toProvider, { sessionId, mode, errorType } = {}) {
+    this.global.totalFailovers++;
+
+    for (const [name, key] of [[fromProvider, 'failoversFrom'], [toProvider, 'failoversTo']]) {
+      if (!this.providers.has(name)) {
+        this.providers.set(name, createProviderStats());
+      }
+      this.providers.get(name)[key]++;
+    }
+
+    this.failovers.push({ from: fromProvider, to: toProvider, mode: mode || null, errorType: errorType || null, sessionId: sessionId || null, timestamp: Date.now() });
+    if (this.failovers.length > MAX_RECORDED_FAILOVERS) {
+      this.failovers.shift();
+    }
+
+    if (sessionId && this.sessions.has(sessionId)) {
+      const sStats = this.sessions.get(sessionId);
+      sStats.failovers = (sStats.failovers || 0) + 1;
+    }
+
+    logger.info(`Provider failover: ${fromProvider} → ${toProvider}${errorType ? ` (${errorType})` : ''}`);
+  }
+
   recordOperationQuality(summary) {
     if (!summary?.hadRecovery) return;
     const apply = (quality, source, operation) => {
@@ -240,6 +276,7 @@ class TranslationStatsManager {
         Calls: stats.calls,
         Characters: stats.chars,
         Errors: stats.errors,
+        Failovers: stats.failoversFrom,
         'Avg Chars/Call': Math.round(stats.chars / stats.calls) || 0
       });
     });
@@ -255,6 +292,7 @@ class TranslationStatsManager {
       safeConsole.table(tableData);
       safeConsole.log(`Total Global Calls: ${this.global.totalCalls}`);
       safeConsole.log(`Total Characters: ${this.global.totalChars.toLocaleString()}`);
+      safeConsole.log(`Provider Failovers: ${this.global.totalFailovers}`);
       safeConsole.log(`Uptime: ${Math.round((Date.now() - this.global.startTime) / 1000)}s`);
       safeConsole.groupEnd();
     }
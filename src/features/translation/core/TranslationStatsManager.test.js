@@ -139,6 +139,31 @@ describe('TranslationStatsManager', () => {
     });
   });
 
+  describe('Recording Failovers', () => {
+    it('should count failovers globally, per provider and per session', () => {
+      statsManager.recordRequest('Gemini', 's1', 10, 10, TranslationCallPurpose.PRIMARY_TRANSLATION);
+      statsManager.recordFailover('Gemini', 'DeepL', { sessionId: 's1', mode: 'selection', errorType: 'QUOTA_EXCEEDED' });
+
+      expect(statsManager.global.totalFailovers).toBe(1);
+      expect(statsManager.providers.get('Gemini').failoversFrom).toBe(1);
+      expect(statsManager.providers.get('DeepL').failoversTo).toBe(1);
+      expect(statsManager.sessions.get('s1').failovers).toBe(1);
+      expect(statsManager.failovers).toEqual([
+        expect.objectContaining({ from: 'Gemini', to: 'DeepL', mode: 'selection', errorType: 'QUOTA_EXCEEDED', sessionId: 's1' })
+      ]);
+    });
+
+    it('should keep only the most recent failover records', () => {
+      for (let i = 0; i < 60; i++) {
+        statsManager.recordFailover('Gemini', `P${i}`);
+      }
+
+      expect(statsManager.global.totalFailovers).toBe(60);
+      expect(statsManager.failovers).toHaveLength(50);
+      expect(statsManager.failovers[0].to).toBe('P10');
+    });
+  });
+
   describe('Session Summaries', () => {
     it('getSessionSummary should return duration and stats', () => {
       statsManager.recordRequest('P1', 's1', 10, 10, TranslationCallPurpose.PRIMARY_TRANSLATION);
@@ -20,6 +20,8 @@ import { TRANSLATION_BATCH_EXECUTION_TIMEOUT_MS } from '@/shared/constants/trans
 import { TranslationCallPurpose, nameToRegistryId } from '@/features/translation/providers/ProviderConstants.js';
 import { findProviderById } from '@/features/translation/providers/ProviderManifest.js';
 import { resolveOperationSourceLanguage } from '@/features/translation/core/OperationSourceLanguageResolver.js';
+import { glossaryManager } from '@/features/glossary/core/GlossaryManager.js';
+import { GlossaryValidator } from '@/features/glossary/core/GlossaryValidator.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'OptimizedJsonHandler');
 const MAX_PARENT_RECOVERIES_PER_BATCH = 2;
@@ -90,6 +92,8 @@ export class OptimizedJsonHandler {
     let lastError = null;
     let detectedSourceLanguage = sourceLanguage;
     let fragmentedUnits;
+    // [sourceText, translatedText] of published segments, for the glossary post-check
+    const glossaryPairs = [];
     const historyEnabled = await getAIConversationHistoryEnabledAsync();
     const laneLabel = historyEnabled ? 'ordered history lane' : 'stateless parallel lane';
 
@@ -100,10 +104,14 @@ export class OptimizedJsonHandler {
           .filter((segment) => segment && typeof segment === 'object' && (segment.blockId != null || segment.b != null))
           .map((segment) => [segment.blockId ?? segment.b, segment])
       );
+      const getSegmentText = (segment) => (typeof segment === 'string' ? segment : segment?.t ?? segment?.text);
+      const glossaryTerms = Array.isArray(segments)
+        ? await glossaryManager.resolveTerms(segments.map(getSegmentText).filter(t => typeof t === 'string'), sourceLanguage, targetLanguage)
+        : [];
       const { getProviderConfiguration } = await import('@/features/translation/core/ProviderConfigurations.js');
       const { getProviderOptimizationLevelAsync } = await import('@/shared/config/config.js');
       
-      const level = await getProviderOptimizationLevelAsync(providerInstance.providerName);
+      const level = data.siteProfile?.optimizationLevel ?? await getProviderOptimizationLevelAsync(providerInstance.providerName);
       const providerConfig = getProviderConfiguration(providerInstance.providerName, level);
       
       // Mode-specific overrides for structured batch translation
@@ -361,6 +369,7 @@ export class OptimizedJsonHandler {
               sessionId,
               {
                 ...options?.contextMetadata,
+                ...(data.siteProfile && { siteProfile: data.siteProfile }),
                 callPurpose: TranslationCallPurpose.PARENT_RECOVERY,
                 conversationParticipates: false,
                 useParentConversationLifecycle: false,
@@ -632,6 +641,12 @@ export class OptimizedJsonHandler {
           return item.uid ?? item.cellId ?? item.i ?? item.id ?? item.blockId;
         };
 
+        // Source text by identity; results whose identity is not a request segment
+        // (e.g. reassembled fragments) are left out of the glossary post-check
+        const glossarySources = glossaryTerms.length > 0
+          ? new Map(segments.map((segment) => [extractLogicalId(segment), getSegmentText(segment)]))
+          : null;
+
         // Single publication path for the canonical batch result: dedupe against
         // already-emitted identities, terminal acceptance, batchResults, streaming.
         // Shared by the success path and the outer catch (preserved prefix/suffix
@@ -652,6 +667,9 @@ export class OptimizedJsonHandler {
             }
             if (logicalId !== undefined) emittedLogicalIds.add(logicalId);
             filteredResults.push(item);
+            if (logicalId !== undefined && glossarySources?.has(logicalId)) {
+              glossaryPairs.push([glossarySources.get(logicalId), item.t ?? item.text]);
+            }
             // Track accepted manifest units for terminal observation
             // (only valid for non-fragment batches where manifestView.units aligns positionally)
             if (batchContext?.manifestView?.units && idx < batchContext.manifestView.units.length) {
@@ -987,6 +1005,7 @@ const parentError = createParentValidationError(parentIdStr, sourceText, transla
              && unownedCount === 0;
            const batchContextMetadata = {
              ...options?.contextMetadata,
+             ...(data.siteProfile && { siteProfile: data.siteProfile }),
              ...(useParentConversationLifecycle && { useParentConversationLifecycle: true }),
            };
           batchExecutionContext = hasManifestMembership
@@ -1208,11 +1227,16 @@ hasErrors = true;
         return { success: false, streaming: true, error: { type: ErrorTypes.USER_CANCELLED, message: 'Cancelled' } };
       }
 
+      const glossaryViolations = GlossaryValidator.findBatchViolations(glossaryPairs, glossaryTerms);
+      if (glossaryViolations.length > 0) {
+        logger.warn(`[JsonHandler] ${providerInstance.providerName} ignored ${glossaryViolations.length} glossary term(s):`, glossaryViolations.map(v => v.source));
+      }
+
       if (!skipStreaming) {
         if (hasErrors) {
           await this._sendStreamError(tabId, messageId, lastError, targetLanguage, detectedSourceLanguage, mode, frameId);
         } else {
-          await this._sendStreamEnd(tabId, messageId, providerInstance.providerName, targetLanguage, detectedSourceLanguage, mode, frameId);
+          await this._sendStreamEnd(tabId, messageId, providerInstance.providerName, targetLanguage, detectedSourceLanguage, mode, frameId, glossaryViolations);
         }
       }
 
@@ -1229,6 +1253,7 @@ hasErrors = true;
         streaming: true,
         error: formattedError,
         results: batchResults.flat(),
+        ...(glossaryViolations.length > 0 && { glossaryViolations }),
         metadata: {
           batchCount: batches.length
         }
@@ -1262,6 +1287,7 @@ hasErrors = true;
          ...(languagePairResolved && { languagePairResolved: true }),
          expectedFormat,
          ...(callPurpose && { callPurpose }),
+         ...(contextMetadata?.siteProfile && { siteProfile: contextMetadata.siteProfile }),
          executionContext
       }
     );
@@ -1447,7 +1473,7 @@ hasErrors = true;
     }
   }
 
-  async _sendStreamEnd(tabId, messageId, providerName, targetLanguage, sourceLanguage, translationMode, frameId = null) {
+  async _sendStreamEnd(tabId, messageId, providerName, targetLanguage, sourceLanguage, translationMode, frameId = null, glossaryViolations = []) {
     if (!tabId) return;
     const endMessage = {
       action: MessageActions.TRANSLATION_STREAM_END,
@@ -1459,6 +1485,7 @@ hasErrors = true;
         sourceLanguage,
         targetLanguage,
         translationMode,
+        ...(glossaryViolations.length > 0 && { glossaryViolations }),
         timestamp: Date.now()
       }
     };
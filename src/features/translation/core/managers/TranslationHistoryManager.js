@@ -7,6 +7,8 @@ import { storageManager } from "@/shared/storage/core/StorageCore.js";
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 import ExtensionContextManager from '@/core/extensionContext.js';
+import { historyStorage } from '@/features/history/storage/HistoryStorage.js';
+import { extractHistoryDomain } from '@/features/history/utils/historySearch.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'TranslationHistoryManager');
 
@@ -18,9 +20,9 @@ export class TranslationHistoryManager {
 
   /**
    * Add a single translation result to the history.
-   * Persists the update to browser storage.
+   * Persists the update to browser storage and to the searchable history archive.
    *
-   * @param {object} data - Original request data (text, languages)
+   * @param {object} data - Original request data (text, languages, provider, page url)
    * @param {object} result - Translation result (translatedText)
    * @returns {Promise<void>}
    */
@@ -31,13 +33,17 @@ export class TranslationHistoryManager {
     }
 
     try {
+      const timestamp = Date.now();
       const historyItem = {
+        id: `${timestamp}_${Math.random().toString(36).substring(2, 15)}`,
         sourceText: data.text,
         translatedText: result.translatedText,
         sourceLanguage: data.sourceLanguage,
         targetLanguage: data.targetLanguage,
-        mode: result.mode,
-        timestamp: Date.now()
+        provider: data.provider,
+        mode: result.mode || data.mode,
+        domain: extractHistoryDomain(data.url),
+        timestamp
       };
 
       // Ensure history is loaded from storage first to get the latest state
@@ -45,6 +51,7 @@ export class TranslationHistoryManager {
 
       this.history = [historyItem, ...this.history].slice(0, this.MAX_HISTORY_ITEMS);
       await this.saveHistoryToStorage();
+      await this.addToArchive(historyItem);
 
       logger.info(`[HistoryManager] Translation saved to history: "${data.text.slice(0, 30)}..." → "${result.translatedText.slice(0, 30)}..."`);
     } catch (error) {
@@ -52,6 +59,32 @@ export class TranslationHistoryManager {
     }
   }
 
+  /**
+   * Add an entry to the indexed history archive. Failures only lose searchability,
+   * so they are logged and swallowed.
+   *
+   * @param {object} historyItem
+   * @returns {Promise<void>}
+   */
+  async addToArchive(historyItem) {
+    try {
+      await historyStorage.addHistoryItem(historyItem);
+    } catch (error) {
+      logger.warn("[HistoryManager] Failed to index history entry:", error?.message || error);
+    }
+  }
+
+  /**
+   * Copy the recent-history list into the archive so entries recorded before
+   * the archive existed stay searchable. Already archived entries are skipped.
+   *
+   * @returns {Promise<void>}
+   */
+  async backfillArchive() {
+    if (this.history.length === 0) return;
+    await historyStorage.importHistoryItems(this.history);
+  }
+
   /**
    * Persist current history array to browser storage.
    * 
@@ -97,6 +130,9 @@ export class TranslationHistoryManager {
   async clearHistory() {
     this.history = [];
     await this.saveHistoryToStorage();
+    await historyStorage.clearHistory().catch(error => {
+      logger.warn("[HistoryManager] Failed to clear history archive:", error?.message || error);
+    });
     logger.debug("[HistoryManager] History cleared successfully.");
   }
 
@@ -25,6 +25,10 @@ import { TranslationLifecycleRegistry } from "./managers/TranslationLifecycleReg
 import { TranslationHistoryManager } from "./managers/TranslationHistoryManager.js";
 import { OptimizedJsonHandler } from "./managers/OptimizedJsonHandler.js";
 import { TranslationBatcher } from "./utils/TranslationBatcher.js";
+import { translationMemoryStore } from "../memory/TranslationMemoryStore.js";
+import { resolveMemoryScope } from "../memory/memoryScope.js";
+import { glossaryManager } from "@/features/glossary/core/GlossaryManager.js";
+import { GlossaryValidator } from "@/features/glossary/core/GlossaryValidator.js";
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'translation-engine');
 
@@ -145,7 +149,29 @@ export class TranslationEngine {
       return await this.jsonHandler.execute(this, data, providerInstance, originalSourceLang, originalTargetLang, data.messageId, sender, uiContext, executionContext);
     }
 
-    // 5. Standard execution via ProviderCoordinator
+    // 5. Persistent translation memory (plain text requests only; dictionary output is mode-specific).
+    // Remembered entries may predate glossary edits, so requests with glossary terms bypass the memory.
+    const glossaryTerms = await this._resolveGlossaryTerms(data, mode);
+    const memoryScope = glossaryTerms.length === 0 ? await this._getMemoryScope(data, mode) : null;
+    if (memoryScope) {
+      const cached = await translationMemoryStore.lookup(text, memoryScope);
+      if (cached) {
+        logger.debug('[TranslationEngine] Served from translation memory for provider:', provider);
+        return {
+          success: true,
+          translatedText: cached.translatedText,
+          provider,
+          sourceLanguage: cached.detectedSourceLanguage || sourceLanguage,
+          targetLanguage: cached.resolvedTargetLanguage || targetLanguage,
+          originalText: text,
+          timestamp: Date.now(),
+          mode: mode || "simple",
+          fromMemory: true,
+        };
+      }
+    }
+
+    // 6. Standard execution via ProviderCoordinator
     let result = await providerInstance.translate(text, sourceLanguage, targetLanguage, {
       mode: mode,
       originalMode: originalMode, // Pass original mode for bilingual/swap logic
@@ -157,7 +183,8 @@ export class TranslationEngine {
       textLength: text.length,
       engine: this,
        sender: sender,
-       executionContext
+       executionContext,
+      ...(data.siteProfile && { siteProfile: data.siteProfile })
     });
 
     // Coordinator contract: returns a successful unified result OR throws.
@@ -192,19 +219,69 @@ export class TranslationEngine {
       ? (detectedLanguage || finalSourceLanguage || sourceLanguage) 
       : (finalSourceLanguage || detectedLanguage || sourceLanguage);
 
+    // A failover chain may have answered with another provider than the requested one
+    const answeringProvider = result.failover?.answeredBy || provider;
+    if (result.failover) {
+      logger.info(`[TranslationEngine] ${provider} unavailable; answered by ${answeringProvider}`);
+    }
+
+    // Streamed results are delivered incrementally; only complete responses are remembered.
+    // Failover answers are not remembered under the requested provider's scope.
+    if (memoryScope && !result.streaming && !result.failover) {
+      translationMemoryStore.store(text, translatedText, memoryScope, {
+        detectedSourceLanguage: resolvedSourceLanguage,
+        resolvedTargetLanguage: finalTargetLanguage || targetLanguage
+      });
+    }
+
+    // Flag output that did not respect the user's glossary (streamed results arrive incrementally and are not checked here)
+    const glossaryViolations = glossaryTerms.length > 0 && !result.streaming
+      ? GlossaryValidator.findViolations(text, translatedText, glossaryTerms)
+      : [];
+    if (glossaryViolations.length > 0) {
+      logger.warn(`[TranslationEngine] ${answeringProvider} ignored ${glossaryViolations.length} glossary term(s):`, glossaryViolations.map(v => v.source));
+    }
+
     return {
       success: true,
       translatedText: translatedText,
       streaming: result.streaming,
-      provider,
+      provider: answeringProvider,
       sourceLanguage: resolvedSourceLanguage, 
       targetLanguage: finalTargetLanguage || targetLanguage, // Use swapped target language if available
       originalText: text,
       timestamp: Date.now(),
       mode: mode || "simple",
+      ...(glossaryViolations.length > 0 && { glossaryViolations }),
+      ...(result.failover && { failover: result.failover }),
     };
   }
 
+  /**
+   * Glossary terms occurring in a plain text request.
+   * @private
+   */
+  async _resolveGlossaryTerms(data, mode) {
+    const { text, sourceLanguage, targetLanguage } = data;
+    if (typeof text !== 'string' || isStructuredBatchInput(text)) return [];
+    if (mode === TranslationMode.Dictionary_Translation) return [];
+    return glossaryManager.resolveTerms(text, sourceLanguage, targetLanguage);
+  }
+
+  /**
+   * Resolve the translation memory scope for a request, or null when the
+   * request must always reach the provider.
+   * @private
+   */
+  async _getMemoryScope(data, mode) {
+    const { text, provider, sourceLanguage, targetLanguage } = data;
+    if (typeof text !== 'string' || isStructuredBatchInput(text)) return null;
+    if (mode === TranslationMode.Dictionary_Translation || data.options?.skipTranslationMemory) return null;
+    // A site prompt changes the output, so the remembered translation would not apply
+    if (data.siteProfile?.promptTemplate) return null;
+    return resolveMemoryScope({ provider, sourceLanguage, targetLanguage });
+  }
+
   async _resolveTranslationMode(data, providerClass) {
     return await resolveTranslationMode(data, providerClass);
   }
@@ -304,6 +381,7 @@ export class TranslationEngine {
   async initialize() {
     try { 
       await this.historyManager.loadHistoryFromStorage(); 
+      await this.historyManager.backfillArchive();
       logger.debug("[TranslationEngine] Initialized successfully"); 
     } catch (error) { 
       logger.error("[TranslationEngine] Initialization failed:", error); 
@@ -52,8 +52,27 @@ vi.mock("./managers/OptimizedJsonHandler.js", () => {
   };
 });
 
+vi.mock("../memory/TranslationMemoryStore.js", () => ({
+  translationMemoryStore: {
+    lookup: vi.fn().mockResolvedValue(null),
+    store: vi.fn().mockResolvedValue()
+  }
+}));
+
+vi.mock("../memory/memoryScope.js", () => ({
+  resolveMemoryScope: vi.fn(async (scope) => ({ ...scope, model: null, promptFingerprint: 'prompt-hash' }))
+}));
+
+vi.mock("@/features/glossary/core/GlossaryManager.js", () => ({
+  glossaryManager: {
+    resolveTerms: vi.fn().mockResolvedValue([])
+  }
+}));
+
 // 3. Imports
 import { TranslationEngine } from './translation-engine.js';
+import { translationMemoryStore } from "../memory/TranslationMemoryStore.js";
+import { glossaryManager } from "@/features/glossary/core/GlossaryManager.js";
 import { MessageActions } from "@/shared/messaging/core/MessageActions.js";
 import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
 import { getEnableDictionaryAsync } from "@/shared/config/config.js";
@@ -109,6 +128,8 @@ describe('TranslationEngine', () => {
     engine = new TranslationEngine();
     // Reset default mock behaviors
     getEnableDictionaryAsync.mockResolvedValue(true);
+    translationMemoryStore.lookup.mockResolvedValue(null);
+    glossaryManager.resolveTerms.mockResolvedValue([]);
   });
 
   it('forwards timeout classification and reason to lifecycle', async () => {
@@ -333,4 +354,91 @@ describe('TranslationEngine', () => {
       expect(resolvedMode).toBe('selection');
     });
   });
+
+  describe('Translation Memory', () => {
+    const request = {
+      action: MessageActions.TRANSLATE,
+      data: { text: 'Hello world', provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa', mode: 'selection' }
+    };
+
+    it('should serve a remembered translation without calling the provider', async () => {
+      translationMemoryStore.lookup.mockResolvedValue({ translatedText: 'سلام دنیا', detectedSourceLanguage: 'en' });
+      const mockProvider = await engine.getProvider('google');
+
+      const result = await engine.handleMessage(structuredClone(request), {});
+
+      expect(result).toMatchObject({ success: true, translatedText: 'سلام دنیا', fromMemory: true, sourceLanguage: 'en' });
+      expect(translationMemoryStore.lookup).toHaveBeenCalledWith('Hello world', { provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa', model: null, promptFingerprint: 'prompt-hash' });
+      expect(mockProvider.translate).not.toHaveBeenCalled();
+    });
+
+    it('should remember successful provider translations', async () => {
+      const result = await engine.handleMessage(structuredClone(request), {});
+
+      expect(result.fromMemory).toBeUndefined();
+      expect(translationMemoryStore.store).toHaveBeenCalledWith(
+        'Hello world',
+        'Translated Result',
+        { provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa', model: null, promptFingerprint: 'prompt-hash' },
+        expect.objectContaining({ resolvedTargetLanguage: 'fa' })
+      );
+    });
+
+    it('should bypass the memory for dictionary lookups', async () => {
+      const mockProvider = await engine.getProvider('google');
+      mockProvider.constructor.supportsDictionary = true;
+
+      await engine.handleMessage({
+        action: MessageActions.TRANSLATE,
+        data: { text: 'apple', provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa', mode: 'dictionary' }
+      }, {});
+
+      expect(translationMemoryStore.lookup).not.toHaveBeenCalled();
+      expect(translationMemoryStore.store).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Provider Failover', () => {
+    it('should report the provider that answered and not remember its translation', async () => {
+      const mockProvider = await engine.getProvider('google');
+      const failover = { requestedProvider: 'google', answeredBy: 'deepl', attempts: [{ provider: 'google', errorType: 'QUOTA_EXCEEDED' }] };
+      mockProvider.translate.mockResolvedValueOnce({
+        translatedText: 'Hallo Welt', provider: 'DeepLTranslate', sourceLanguage: 'en', targetLanguage: 'de', failover
+      });
+
+      const result = await engine.handleMessage({
+        action: MessageActions.TRANSLATE,
+        data: { text: 'Hello world', provider: 'google', sourceLanguage: 'en', targetLanguage: 'de', mode: 'selection' }
+      }, {});
+
+      expect(result).toMatchObject({ success: true, translatedText: 'Hallo Welt', provider: 'deepl', failover });
+      expect(translationMemoryStore.store).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Glossary', () => {
+    const request = {
+      action: MessageActions.TRANSLATE,
+      data: { text: 'Hello world', provider: 'google', sourceLanguage: 'en', targetLanguage: 'fa', mode: 'selection' }
+    };
+
+    it('should bypass the memory when glossary terms apply', async () => {
+      glossaryManager.resolveTerms.mockResolvedValue([{ source: 'world', target: 'Translated' }]);
+
+      const result = await engine.handleMessage(structuredClone(request), {});
+
+      expect(translationMemoryStore.lookup).not.toHaveBeenCalled();
+      expect(translationMemoryStore.store).not.toHaveBeenCalled();
+      expect(result.glossaryViolations).toBeUndefined();
+    });
+
+    it('should report glossary terms the provider did not respect', async () => {
+      glossaryManager.resolveTerms.mockResolvedValue([{ source: 'world', target: 'دنیا' }]);
+
+      const result = await engine.handleMessage(structuredClone(request), {});
+
+      expect(result.success).toBe(true);
+      expect(result.glossaryViolations).toEqual([{ source: 'world', target: 'دنیا' }]);
+    });
+  });
 });
@@ -41,6 +41,7 @@ export function normalizeCompletionTermination(value) {
 export const CompletionProviderFamily = Object.freeze({
   GEMINI: 'GEMINI',
   OPENAI_COMPATIBLE: 'OPENAI_COMPATIBLE',
+  ANTHROPIC: 'ANTHROPIC',
 })
 
 const GEMINI_TERMINATION_MAP = Object.freeze({
@@ -56,9 +57,18 @@ const OPENAI_COMPATIBLE_TERMINATION_MAP = Object.freeze({
   content_filter: CompletionTermination.POLICY,
 })
 
+const ANTHROPIC_TERMINATION_MAP = Object.freeze({
+  end_turn: CompletionTermination.NORMAL,
+  stop_sequence: CompletionTermination.NORMAL,
+  tool_use: CompletionTermination.NORMAL,
+  max_tokens: CompletionTermination.TRUNCATED,
+  refusal: CompletionTermination.POLICY,
+})
+
 const FAMILY_TERMINATION_MAPS = Object.freeze({
   [CompletionProviderFamily.GEMINI]: GEMINI_TERMINATION_MAP,
   [CompletionProviderFamily.OPENAI_COMPATIBLE]: OPENAI_COMPATIBLE_TERMINATION_MAP,
+  [CompletionProviderFamily.ANTHROPIC]: ANTHROPIC_TERMINATION_MAP,
 })
 
 /**
@@ -52,6 +52,14 @@ describe('normalizeTermination', () => {
     expect(normalizeTermination(CompletionProviderFamily.OPENAI_COMPATIBLE, 'content_filter')).toBe(CompletionTermination.POLICY)
   })
 
+  it('maps Anthropic native stop reasons to normalized semantics', () => {
+    expect(normalizeTermination(CompletionProviderFamily.ANTHROPIC, 'end_turn')).toBe(CompletionTermination.NORMAL)
+    expect(normalizeTermination(CompletionProviderFamily.ANTHROPIC, 'tool_use')).toBe(CompletionTermination.NORMAL)
+    expect(normalizeTermination(CompletionProviderFamily.ANTHROPIC, 'max_tokens')).toBe(CompletionTermination.TRUNCATED)
+    expect(normalizeTermination(CompletionProviderFamily.ANTHROPIC, 'refusal')).toBe(CompletionTermination.POLICY)
+    expect(normalizeTermination(CompletionProviderFamily.ANTHROPIC, 'pause_turn')).toBe(CompletionTermination.UNKNOWN)
+  })
+
   it('collapses unrecognized values and families to UNKNOWN', () => {
     expect(normalizeTermination(CompletionProviderFamily.GEMINI, 'REASONING')).toBe(CompletionTermination.UNKNOWN)
     expect(normalizeTermination(CompletionProviderFamily.OPENAI_COMPATIBLE, 'STOP')).toBe(CompletionTermination.UNKNOWN)
@@ -0,0 +1,334 @@
+/**
+ * Translation Memory Store - Persistent cross-session translation cache backed by IndexedDB.
+ *
+ * Entries are keyed by the normalized source text, the requested language pair, the
+ * provider and the model and prompt it ran with (see memoryScope.js), so re-translating
+ * the same content (e.g. re-opening a page) is served locally instead of calling the
+ * provider again. Quotas are enforced by evicting the least recently used entries first.
+ *
+ * Lookups and writes never throw to callers: when IndexedDB is unavailable or a
+ * transaction fails, lookups behave as misses and writes are dropped.
+ */
+
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import {
+  getTranslationMemoryEnabledAsync,
+  getTranslationMemoryMaxEntriesAsync,
+  getTranslationMemoryMaxSizeMbAsync
+} from '@/shared/config/config.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'TranslationMemoryStore');
+
+const DB_NAME = 'translate_it_translation_memory';
+const DB_VERSION = 1;
+const ENTRIES_STORE = 'entries';
+const META_STORE = 'meta';
+const STATS_KEY = 'stats';
+const LAST_ACCESSED_INDEX = 'lastAccessedAt';
+const KEY_SEPARATOR = '\u001f'; // ASCII unit separator, never part of normal text
+
+const createEmptyStats = () => ({ entries: 0, bytes: 0, hits: 0, misses: 0 });
+
+/**
+ * Wrap an IDBRequest in a promise.
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolve once a transaction has committed.
+ */
+const waitForTransaction = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+export class TranslationMemoryStore {
+  constructor() {
+    this.db = null;
+    this.initPromise = null;
+    this.unavailable = false;
+  }
+
+  /**
+   * Normalize source text so whitespace-only differences share one entry.
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalizeText(text) {
+    return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Build the memory key for a text within a translation scope.
+   * @param {string} text - Source text
+   * @param {Object} scope - { sourceLanguage, targetLanguage, provider, model, promptFingerprint }
+   * @returns {string|null} Key, or null when the text cannot be cached
+   */
+  static buildKey(text, { sourceLanguage, targetLanguage, provider, model, promptFingerprint } = {}) {
+    const normalized = TranslationMemoryStore.normalizeText(text);
+    if (!normalized || !targetLanguage || !provider) return null;
+
+    return [
+      provider,
+      (sourceLanguage || 'auto').toLowerCase(),
+      targetLanguage.toLowerCase(),
+      model || '',
+      promptFingerprint || '',
+      normalized
+    ].join(KEY_SEPARATOR);
+  }
+
+  /**
+   * Open (or create) the database.
+   */
+  async init() {
+    if (this.db) return this.db;
+    if (this.unavailable) throw new Error('Translation memory is unavailable');
+    if (this.initPromise) return this.initPromise;
+
+    if (typeof indexedDB === 'undefined') {
+      this.unavailable = true;
+      throw new Error('IndexedDB is not available in this context');
+    }
+
+    this.initPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+          const store = db.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+          store.createIndex(LAST_ACCESSED_INDEX, LAST_ACCESSED_INDEX);
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+
+      request.onsuccess = (event) => {
+        this.db = event.target.result;
+        resolve(this.db);
+      };
+
+      request.onerror = (event) => {
+        logger.error('Error opening translation memory database', event.target.error);
+        this.unavailable = true;
+        reject(event.target.error);
+      };
+    }).finally(() => {
+      this.initPromise = null;
+    });
+
+    return this.initPromise;
+  }
+
+  /**
+   * Whether the user enabled the translation memory.
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    try {
+      return (await getTranslationMemoryEnabledAsync()) !== false;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Look up a single text.
+   * @param {string} text
+   * @param {Object} scope - { sourceLanguage, targetLanguage, provider, model, promptFingerprint }
+   * @returns {Promise<Object|null>} Stored record or null on miss
+   */
+  async lookup(text, scope) {
+    const [record] = await this.lookupMany([text], scope);
+    return record;
+  }
+
+  /**
+   * Look up several texts in one transaction. Hits refresh their LRU timestamp.
+   * @param {string[]} texts
+   * @param {Object} scope - { sourceLanguage, targetLanguage, provider, model, promptFingerprint }
+   * @returns {Promise<Array<Object|null>>} Records aligned with `texts`
+   */
+  async lookupMany(texts, scope) {
+    const misses = texts.map(() => null);
+    if (!texts.length || !(await this.isEnabled())) return misses;
+
+    try {
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+      const entries = transaction.objectStore(ENTRIES_STORE);
+      const meta = transaction.objectStore(META_STORE);
+      const now = Date.now();
+
+      const results = await Promise.all(texts.map(async (text) => {
+        const key = TranslationMemoryStore.buildKey(text, scope);
+        if (!key) return null;
+
+        const record = await promisifyRequest(entries.get(key));
+        if (!record) return null;
+
+        record.lastAccessedAt = now;
+        record.hits = (record.hits || 0) + 1;
+        entries.put(record);
+        return record;
+      }));
+
+      const stats = (await promisifyRequest(meta.get(STATS_KEY))) || createEmptyStats();
+      const hitCount = results.filter(Boolean).length;
+      stats.hits += hitCount;
+      stats.misses += results.length - hitCount;
+      meta.put(stats, STATS_KEY);
+
+      await waitForTransaction(transaction);
+
+      if (hitCount > 0) {
+        logger.debug(`Translation memory served ${hitCount}/${texts.length} items for ${scope?.provider}`);
+      }
+      return results;
+    } catch (error) {
+      logger.warn('Translation memory lookup failed, treating as miss:', error?.message || error);
+      return misses;
+    }
+  }
+
+  /**
+   * Store a single translation.
+   * @param {string} text - Source text
+   * @param {string} translatedText
+   * @param {Object} scope - { sourceLanguage, targetLanguage, provider, model, promptFingerprint }
+   * @param {Object} [extra] - Additional fields kept on the record (e.g. detectedLanguage)
+   */
+  async store(text, translatedText, scope, extra = {}) {
+    await this.storeMany([{ text, translatedText, ...extra }], scope);
+  }
+
+  /**
+   * Store several translations and enforce the quotas.
+   * @param {Array<{text: string, translatedText: string}>} items
+   * @param {Object} scope - { sourceLanguage, targetLanguage, provider, model, promptFingerprint }
+   */
+  async storeMany(items, scope) {
+    const validItems = (items || []).filter(item =>
+      typeof item?.translatedText === 'string' && item.translatedText.trim() !== ''
+    );
+    if (!validItems.length || !(await this.isEnabled())) return;
+
+    try {
+      const [maxEntries, maxSizeMb] = await Promise.all([
+        getTranslationMemoryMaxEntriesAsync(),
+        getTranslationMemoryMaxSizeMbAsync()
+      ]);
+
+      const db = await this.init();
+      const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+      const entries = transaction.objectStore(ENTRIES_STORE);
+      const meta = transaction.objectStore(META_STORE);
+      const stats = (await promisifyRequest(meta.get(STATS_KEY))) || createEmptyStats();
+      const now = Date.now();
+
+      for (const { text, translatedText, ...extra } of validItems) {
+        const key = TranslationMemoryStore.buildKey(text, scope);
+        if (!key) continue;
+
+        const existing = await promisifyRequest(entries.get(key));
+        const record = {
+          ...extra,
+          key,
+          provider: scope.provider,
+          sourceLanguage: scope.sourceLanguage || 'auto',
+          targetLanguage: scope.targetLanguage,
+          model: scope.model || null,
+          promptFingerprint: scope.promptFingerprint || null,
+          sourceText: TranslationMemoryStore.normalizeText(text),
+          translatedText,
+          size: (key.length + translatedText.length) * 2,
+          createdAt: existing?.createdAt || now,
+          lastAccessedAt: now,
+          hits: existing?.hits || 0
+        };
+
+        entries.put(record);
+        stats.entries += existing ? 0 : 1;
+        stats.bytes += record.size - (existing?.size || 0);
+      }
+
+      await this._evictLeastRecentlyUsed(entries, stats, {
+        maxEntries: Number(maxEntries) || 0,
+        maxBytes: (Number(maxSizeMb) || 0) * 1024 * 1024
+      });
+
+      meta.put(stats, STATS_KEY);
+      await waitForTransaction(transaction);
+    } catch (error) {
+      logger.warn('Failed to write to translation memory:', error?.message || error);
+    }
+  }
+
+  /**
+   * Returns usage statistics for the settings UI.
+   * @returns {Promise<{entries: number, bytes: number, hits: number, misses: number, hitRate: number}>}
+   */
+  async getStats() {
+    try {
+      const db = await this.init();
+      const transaction = db.transaction([META_STORE], 'readonly');
+      const stats = (await promisifyRequest(transaction.objectStore(META_STORE).get(STATS_KEY))) || createEmptyStats();
+      const lookups = stats.hits + stats.misses;
+      return { ...stats, hitRate: lookups > 0 ? stats.hits / lookups : 0 };
+    } catch (error) {
+      logger.warn('Failed to read translation memory stats:', error?.message || error);
+      return { ...createEmptyStats(), hitRate: 0 };
+    }
+  }
+
+  /**
+   * Remove every stored translation and reset the statistics.
+   */
+  async purge() {
+    const db = await this.init();
+    const transaction = db.transaction([ENTRIES_STORE, META_STORE], 'readwrite');
+    transaction.objectStore(ENTRIES_STORE).clear();
+    transaction.objectStore(META_STORE).put(createEmptyStats(), STATS_KEY);
+    await waitForTransaction(transaction);
+    logger.info('Translation memory purged');
+  }
+
+  /**
+   * Delete least recently used entries until both quotas are met.
+   * @private
+   */
+  async _evictLeastRecentlyUsed(entries, stats, { maxEntries, maxBytes }) {
+    const overQuota = () => (maxEntries > 0 && stats.entries > maxEntries) || (maxBytes > 0 && stats.bytes > maxBytes);
+    if (!overQuota()) return;
+
+    let evicted = 0;
+    await new Promise((resolve, reject) => {
+      const cursorRequest = entries.index(LAST_ACCESSED_INDEX).openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || !overQuota()) {
+          resolve();
+          return;
+        }
+        stats.entries -= 1;
+        stats.bytes -= cursor.value.size || 0;
+        evicted++;
+        cursor.delete();
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    logger.debug(`Evicted ${evicted} least recently used translation memory entries`);
+  }
+}
+
+export const translationMemoryStore = new TranslationMemoryStore();
+export default translationMemoryStore;
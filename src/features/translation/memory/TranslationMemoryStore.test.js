@@ -0,0 +1,219 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('@/shared/config/config.js', () => ({
+  getTranslationMemoryEnabledAsync: vi.fn(async () => true),
+  getTranslationMemoryMaxEntriesAsync: vi.fn(async () => 100),
+  getTranslationMemoryMaxSizeMbAsync: vi.fn(async () => 10)
+}));
+
+import { TranslationMemoryStore } from './TranslationMemoryStore.js';
+import {
+  getTranslationMemoryEnabledAsync,
+  getTranslationMemoryMaxEntriesAsync
+} from '@/shared/config/config.js';
+
+/**
+ * Minimal in-memory IndexedDB stand-in: async requests, auto-committing
+ * transactions and an ordered cursor over a single-field index.
+ */
+function createFakeIndexedDB() {
+  const stores = new Map();
+
+  const createTransaction = () => {
+    let pending = 0;
+    let completed = false;
+    const transaction = { oncomplete: null, onerror: null, onabort: null };
+
+    const scheduleCompletion = () => setTimeout(() => {
+      if (pending === 0 && !completed) {
+        completed = true;
+        transaction.oncomplete?.();
+      }
+    }, 0);
+
+    const request = (compute) => {
+      pending++;
+      const req = { result: undefined, error: null, onsuccess: null, onerror: null };
+      setTimeout(() => {
+        req.result = compute();
+        pending--;
+        req.onsuccess?.();
+        scheduleCompletion();
+      }, 0);
+      return req;
+    };
+
+    transaction.objectStore = (name) => {
+      const { data, keyPath, indexes } = stores.get(name);
+      return {
+        get: (key) => request(() => (data.has(key) ? structuredClone(data.get(key)) : undefined)),
+        put: (value, key) => request(() => { data.set(keyPath ? value[keyPath] : key, structuredClone(value)); }),
+        clear: () => request(() => data.clear()),
+        index: (indexName) => ({
+          openCursor: () => {
+            const field = indexes.get(indexName);
+            const ordered = [...data.values()].sort((a, b) => a[field] - b[field]);
+            let position = 0;
+            let req;
+            const step = () => (position < ordered.length ? {
+              value: ordered[position],
+              delete: () => data.delete(ordered[position][keyPath]),
+              continue: () => { position++; req = request(step); attach(); }
+            } : null);
+            const handlers = {};
+            const attach = () => {
+              req.onsuccess = () => { handlers.cursorRequest.result = req.result; handlers.cursorRequest.onsuccess?.(); };
+            };
+            req = request(step);
+            handlers.cursorRequest = { result: null, onsuccess: null, onerror: null };
+            attach();
+            return handlers.cursorRequest;
+          }
+        })
+      };
+    };
+
+    scheduleCompletion();
+    return transaction;
+  };
+
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name, options = {}) => {
+      const store = { data: new Map(), keyPath: options.keyPath, indexes: new Map() };
+      stores.set(name, store);
+      return { createIndex: (indexName, field) => store.indexes.set(indexName, field) };
+    },
+    transaction: () => createTransaction()
+  };
+
+  return {
+    stores,
+    open: vi.fn(() => {
+      const req = { result: db, onupgradeneeded: null, onsuccess: null, onerror: null };
+      setTimeout(() => {
+        if (stores.size === 0) req.onupgradeneeded?.({ target: req });
+        req.onsuccess?.({ target: req });
+      }, 0);
+      return req;
+    })
+  };
+}
+
+const SCOPE = { sourceLanguage: 'en', targetLanguage: 'fa', provider: 'googlev2' };
+
+describe('TranslationMemoryStore', () => {
+  let fakeIndexedDB;
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fakeIndexedDB = createFakeIndexedDB();
+    vi.stubGlobal('indexedDB', fakeIndexedDB);
+    store = new TranslationMemoryStore();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should build keys from normalized text, language pair, provider, model and prompt', () => {
+    const a = TranslationMemoryStore.buildKey('  Hello   world\n', SCOPE);
+    const b = TranslationMemoryStore.buildKey('Hello world', SCOPE);
+
+    expect(a).toBe(b);
+    expect(TranslationMemoryStore.buildKey('Hello world', { ...SCOPE, provider: 'deepl' })).not.toBe(b);
+    expect(TranslationMemoryStore.buildKey('Hello world', { ...SCOPE, targetLanguage: 'de' })).not.toBe(b);
+    expect(TranslationMemoryStore.buildKey('Hello world', { ...SCOPE, model: 'gpt-4o' })).not.toBe(b);
+    expect(TranslationMemoryStore.buildKey('Hello world', { ...SCOPE, promptFingerprint: 'abc123' })).not.toBe(b);
+    expect(TranslationMemoryStore.buildKey('   ', SCOPE)).toBeNull();
+  });
+
+  it('should return stored translations across store instances', async () => {
+    await store.storeMany([
+      { text: 'Hello', translatedText: 'سلام' },
+      { text: 'World', translatedText: 'دنیا' }
+    ], SCOPE);
+
+    // A fresh instance simulates a service worker restart
+    const restarted = new TranslationMemoryStore();
+    const results = await restarted.lookupMany(['Hello', 'Unknown', ' World '], SCOPE);
+
+    expect(results.map(r => r?.translatedText ?? null)).toEqual(['سلام', null, 'دنیا']);
+  });
+
+  it('should not share entries across providers or language pairs', async () => {
+    await store.store('Hello', 'سلام', SCOPE);
+
+    expect(await store.lookup('Hello', { ...SCOPE, provider: 'deepl' })).toBeNull();
+    expect(await store.lookup('Hello', { ...SCOPE, targetLanguage: 'de' })).toBeNull();
+  });
+
+  it('should not share entries across models or prompts of one provider', async () => {
+    const scope = { ...SCOPE, provider: 'openai', model: 'gpt-4o-mini', promptFingerprint: 'abc123' };
+    await store.store('Hello', 'سلام', scope);
+
+    expect(await store.lookup('Hello', scope)).toMatchObject({ translatedText: 'سلام', model: 'gpt-4o-mini', promptFingerprint: 'abc123' });
+    expect(await store.lookup('Hello', { ...scope, model: 'gpt-4o' })).toBeNull();
+    expect(await store.lookup('Hello', { ...scope, promptFingerprint: 'def456' })).toBeNull();
+  });
+
+  it('should track hit-rate statistics', async () => {
+    await store.store('Hello', 'سلام', SCOPE);
+    await store.lookupMany(['Hello', 'Missing', 'Hello'], SCOPE);
+
+    const stats = await store.getStats();
+    expect(stats.entries).toBe(1);
+    expect(stats.hits).toBe(2);
+    expect(stats.misses).toBe(1);
+    expect(stats.hitRate).toBeCloseTo(2 / 3);
+    expect(stats.bytes).toBeGreaterThan(0);
+  });
+
+  it('should evict least recently used entries when the entry quota is exceeded', async () => {
+    getTranslationMemoryMaxEntriesAsync.mockResolvedValue(2);
+    const nowSpy = vi.spyOn(Date, 'now');
+
+    nowSpy.mockReturnValue(1000);
+    await store.store('first', 'اول', SCOPE);
+    nowSpy.mockReturnValue(2000);
+    await store.store('second', 'دوم', SCOPE);
+    nowSpy.mockReturnValue(3000);
+    await store.lookup('first', SCOPE); // refresh "first"
+    nowSpy.mockReturnValue(4000);
+    await store.store('third', 'سوم', SCOPE);
+    nowSpy.mockRestore();
+
+    const results = await store.lookupMany(['first', 'second', 'third'], SCOPE);
+    expect(results.map(r => r?.translatedText ?? null)).toEqual(['اول', null, 'سوم']);
+    expect((await store.getStats()).entries).toBe(2);
+  });
+
+  it('should purge all entries and reset statistics', async () => {
+    await store.store('Hello', 'سلام', SCOPE);
+    await store.lookup('Hello', SCOPE);
+
+    await store.purge();
+
+    expect(await store.lookup('Hello', SCOPE)).toBeNull();
+    const stats = await store.getStats();
+    expect(stats.entries).toBe(0);
+    expect(stats.hits).toBe(0);
+  });
+
+  it('should behave as a miss and skip writes when disabled', async () => {
+    getTranslationMemoryEnabledAsync.mockResolvedValue(false);
+
+    await store.store('Hello', 'سلام', SCOPE);
+    expect(await store.lookup('Hello', SCOPE)).toBeNull();
+    expect(fakeIndexedDB.open).not.toHaveBeenCalled();
+  });
+
+  it('should degrade to misses when IndexedDB is unavailable', async () => {
+    vi.stubGlobal('indexedDB', undefined);
+    const unavailableStore = new TranslationMemoryStore();
+
+    await expect(unavailableStore.storeMany([{ text: 'Hello', translatedText: 'سلام' }], SCOPE)).resolves.toBeUndefined();
+    expect(await unavailableStore.lookupMany(['Hello'], SCOPE)).toEqual([null]);
+  });
+});
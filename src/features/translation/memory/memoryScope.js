@@ -0,0 +1,83 @@
+/**
+ * Translation Memory Scope - Resolves what a remembered translation depends on.
+ *
+ * Besides the provider and the language pair, the output of AI providers depends
+ * on the configured model and on the prompt they were given, so both become part
+ * of the scope. Switching either one starts a fresh set of entries instead of
+ * serving translations produced under the previous configuration.
+ */
+
+import {
+  getGeminiModelAsync,
+  getOpenAIModelAsync,
+  getAnthropicApiModelAsync,
+  getDeepSeekApiModelAsync,
+  getOpenRouterApiModelAsync,
+  getWebAIApiModelAsync,
+  getOllamaApiModelAsync,
+  getCustomApiModelAsync,
+  getCustomProfilesAsync,
+  getPromptAsync,
+  getPromptAutoAsync
+} from '@/shared/config/config.js';
+import { ProviderRegistryIds, getCustomProfileId } from '@/features/translation/providers/ProviderConstants.js';
+import { findCustomProfile } from '@/features/translation/providers/utils/CustomProfiles.js';
+import { hashString } from '@/shared/utils/text/hash.js';
+
+const MODEL_GETTERS = {
+  [ProviderRegistryIds.GEMINI]: getGeminiModelAsync,
+  [ProviderRegistryIds.OPENAI]: getOpenAIModelAsync,
+  [ProviderRegistryIds.ANTHROPIC]: getAnthropicApiModelAsync,
+  [ProviderRegistryIds.DEEPSEEK]: getDeepSeekApiModelAsync,
+  [ProviderRegistryIds.OPENROUTER]: getOpenRouterApiModelAsync,
+  [ProviderRegistryIds.WEBAI]: getWebAIApiModelAsync,
+  [ProviderRegistryIds.OLLAMA]: getOllamaApiModelAsync,
+  [ProviderRegistryIds.CUSTOM]: getCustomApiModelAsync
+};
+
+/**
+ * Short, stable hash of the prompts a translation was produced with.
+ * @param {Array<string|null|undefined>} prompts
+ * @returns {string}
+ */
+export function fingerprintPrompts(prompts) {
+  return hashString(prompts.map(prompt => prompt ?? '').join('\u001f'));
+}
+
+/**
+ * Model configured for a provider, or null for providers without a model setting.
+ * @param {string} provider - Registry ID, `custom:<profileId>` for Custom profiles
+ * @returns {Promise<string|null>}
+ */
+export async function getProviderModelAsync(provider) {
+  const profileId = getCustomProfileId(provider);
+  if (profileId) {
+    const profile = findCustomProfile(await getCustomProfilesAsync(), profileId);
+    return profile?.model?.trim() || null;
+  }
+
+  const getModel = MODEL_GETTERS[provider?.toLowerCase?.()];
+  return getModel ? (await getModel())?.trim?.() || null : null;
+}
+
+/**
+ * Complete a { provider, sourceLanguage, targetLanguage } scope with the model and
+ * a fingerprint of the user's translation prompt plus any mode-specific prompts.
+ * @param {Object} scope - { provider, sourceLanguage, targetLanguage }
+ * @param {Object} [options]
+ * @param {string[]} [options.prompts] - Additional prompts the request is sent with
+ * @returns {Promise<Object>} { provider, sourceLanguage, targetLanguage, model, promptFingerprint }
+ */
+export async function resolveMemoryScope(scope, { prompts = [] } = {}) {
+  const [model, prompt, promptAuto] = await Promise.all([
+    getProviderModelAsync(scope.provider),
+    getPromptAsync(),
+    getPromptAutoAsync()
+  ]);
+
+  return {
+    ...scope,
+    model,
+    promptFingerprint: fingerprintPrompts([prompt, promptAuto, ...prompts])
+  };
+}
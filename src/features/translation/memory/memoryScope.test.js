@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('@/shared/config/config.js', () => ({
+  getGeminiModelAsync: vi.fn(async () => 'gemini-2.5-flash'),
+  getOpenAIModelAsync: vi.fn(async () => 'gpt-4o-mini'),
+  getAnthropicApiModelAsync: vi.fn(async () => 'claude-sonnet-4-6'),
+  getDeepSeekApiModelAsync: vi.fn(async () => 'deepseek-chat'),
+  getOpenRouterApiModelAsync: vi.fn(async () => 'openai/gpt-4o-mini'),
+  getWebAIApiModelAsync: vi.fn(async () => 'webai-model'),
+  getOllamaApiModelAsync: vi.fn(async () => 'llama3.1:8b'),
+  getCustomApiModelAsync: vi.fn(async () => 'custom-model'),
+  getCustomProfilesAsync: vi.fn(async () => [{ id: 'work', model: ' work-model ' }]),
+  getPromptAsync: vi.fn(async () => 'Translate into $_{TARGET}'),
+  getPromptAutoAsync: vi.fn(async () => 'Translate automatically into $_{TARGET}')
+}));
+
+import { resolveMemoryScope, getProviderModelAsync, fingerprintPrompts } from './memoryScope.js';
+import { getOpenAIModelAsync, getPromptAsync } from '@/shared/config/config.js';
+
+const SCOPE = { provider: 'openai', sourceLanguage: 'en', targetLanguage: 'fa' };
+
+describe('memoryScope', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should resolve the configured model per provider', async () => {
+    expect(await getProviderModelAsync('openai')).toBe('gpt-4o-mini');
+    expect(await getProviderModelAsync('anthropic')).toBe('claude-sonnet-4-6');
+    expect(await getProviderModelAsync('ollama')).toBe('llama3.1:8b');
+    expect(await getProviderModelAsync('custom')).toBe('custom-model');
+    expect(await getProviderModelAsync('custom:work')).toBe('work-model');
+    expect(await getProviderModelAsync('custom:deleted')).toBeNull();
+    expect(await getProviderModelAsync('google')).toBeNull();
+  });
+
+  it('should complete the scope with the model and a prompt fingerprint', async () => {
+    const scope = await resolveMemoryScope(SCOPE);
+
+    expect(scope).toMatchObject({ ...SCOPE, model: 'gpt-4o-mini' });
+    expect(scope.promptFingerprint).toMatch(/^[0-9a-f]+$/);
+  });
+
+  it('should change the scope when the model or the prompt changes', async () => {
+    const original = await resolveMemoryScope(SCOPE);
+
+    getOpenAIModelAsync.mockResolvedValueOnce('gpt-4o');
+    expect((await resolveMemoryScope(SCOPE)).model).toBe('gpt-4o');
+
+    getPromptAsync.mockResolvedValueOnce('Translate formally into $_{TARGET}');
+    expect((await resolveMemoryScope(SCOPE)).promptFingerprint).not.toBe(original.promptFingerprint);
+  });
+
+  it('should include mode-specific prompts in the fingerprint', async () => {
+    const general = await resolveMemoryScope(SCOPE);
+    const subtitle = await resolveMemoryScope(SCOPE, { prompts: ['Subtitle instruction'] });
+
+    expect(subtitle.promptFingerprint).not.toBe(general.promptFingerprint);
+    expect(fingerprintPrompts(['a', 'b'])).toBe(fingerprintPrompts(['a', 'b']));
+    expect(fingerprintPrompts(['ab', ''])).not.toBe(fingerprintPrompts(['a', 'b']));
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { AnthropicProvider, toAnthropicMessages } from './Anthropic.js';
+import { proxyManager } from '@/shared/proxy/ProxyManager.js';
+import { ApiKeyManager } from './ApiKeyManager.js';
+import { AIConversationHelper } from './utils/AIConversationHelper.js';
+import { ResponseFormat } from '@/shared/config/translationConstants.js';
+import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
+
+// Mock dependencies
+vi.mock('webextension-polyfill', () => ({
+  default: {
+    runtime: { getBrowserInfo: vi.fn(), getManifest: () => ({ version: '1.0.0' }) },
+    storage: { local: { get: vi.fn(), set: vi.fn() } }
+  }
+}));
+
+vi.mock('@/shared/config/config.js', () => ({
+  CONFIG: {
+    ANTHROPIC_API_MODEL: 'claude-haiku-4-5',
+    ANTHROPIC_API_URL: 'https://api.anthropic.com/v1/messages'
+  },
+  getAnthropicApiKeysAsync: vi.fn().mockResolvedValue(['sk-ant-1', 'sk-ant-2']),
+  getAnthropicApiModelAsync: vi.fn().mockResolvedValue('claude-sonnet-4-6'),
+  getSettingsAsync: vi.fn().mockResolvedValue({}),
+  getProviderOptimizationLevelAsync: vi.fn(() => Promise.resolve(3)),
+}));
+
+vi.mock('@/shared/proxy/ProxyManager.js', () => ({
+  proxyManager: {
+    fetch: vi.fn(),
+    setConfig: vi.fn(),
+    testConnection: vi.fn()
+  }
+}));
+
+vi.mock('./utils/AIConversationHelper.js', () => ({
+  AIConversationHelper: {
+    getConversationParticipation: vi.fn().mockResolvedValue(false),
+    claimNextTurn: vi.fn().mockResolvedValue(1),
+    getConversationMessages: vi.fn(),
+    updateSessionHistory: vi.fn().mockResolvedValue(true)
+  }
+}));
+
+vi.mock('../../core/TranslationStatsManager.js', () => ({
+  statsManager: {
+    recordRequest: vi.fn(() => ({ globalCallId: 1, sessionCallId: 1 })),
+    recordError: vi.fn(),
+    recordSuccess: vi.fn(),
+  }
+}));
+
+const encoder = new TextEncoder();
+
+/**
+ * Streams SSE events the way the Messages API does. Chunks are cut mid-event
+ * so the reader has to buffer across reads.
+ */
+function eventStreamResponse(events) {
+  const wire = events.map(({ type, ...data }) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`).join('');
+  const chunks = wire.match(/[\s\S]{1,40}/g);
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: new Map([['content-type', 'text/event-stream; charset=utf-8']]),
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      }
+    }),
+    text: async () => wire,
+    clone() { throw new Error('event streams must not be cloned'); }
+  };
+}
+
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: 'Error',
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+    headers: new Map([['content-type', 'application/json']]),
+    clone: function() { return this; }
+  };
+}
+
+const textMessage = (...deltas) => [
+  { type: 'message_start', message: { id: 'msg_01', model: 'claude-sonnet-4-6', usage: { input_tokens: 25, output_tokens: 1 } } },
+  { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+  { type: 'ping' },
+  ...deltas.map(text => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } })),
+  { type: 'content_block_stop', index: 0 },
+  { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 6 } },
+  { type: 'message_stop' }
+];
+
+const toolMessage = (...partials) => [
+  { type: 'message_start', message: { id: 'msg_02', model: 'claude-sonnet-4-6', usage: { input_tokens: 40, output_tokens: 1 } } },
+  { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_01', name: 'submit_translations', input: {} } },
+  ...partials.map(partial_json => ({ type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json } })),
+  { type: 'content_block_stop', index: 0 },
+  { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } },
+  { type: 'message_stop' }
+];
+
+/**
+ * Stub Messages API: answers every POST from the queued responses and
+ * records the decoded request.
+ */
+function startStubServer(...responses) {
+  const requests = [];
+  proxyManager.fetch.mockImplementation(async (url, options = {}) => {
+    requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+    return responses.shift() ?? jsonResponse(500, { type: 'error', error: { type: 'api_error', message: 'no stub response' } });
+  });
+  return requests;
+}
+
+describe('AnthropicProvider Internal Integration (Stub Server)', () => {
+  let provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    AIConversationHelper.getConversationMessages.mockImplementation(async (_sessionId, _provider, userText, systemPrompt) => ({
+      messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: userText }]
+    }));
+    provider = new AnthropicProvider();
+    vi.spyOn(ApiKeyManager, 'getKeys').mockResolvedValue(['sk-ant-1', 'sk-ant-2']);
+    vi.spyOn(ApiKeyManager, 'promoteKey').mockResolvedValue(true);
+  });
+
+  it('sends a Messages request with a top-level system prompt and assembles streamed text', async () => {
+    const requests = startStubServer(eventStreamResponse(textMessage('Hallo', ' Welt', '!')));
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('Translate to German', 'Hello world!', { onDelta });
+
+    expect(result).toBe('Hallo Welt!');
+    expect(requests[0].url).toBe('https://api.anthropic.com/v1/messages');
+    expect(requests[0].headers).toMatchObject({
+      'x-api-key': 'sk-ant-1',
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    });
+    expect(requests[0].headers).not.toHaveProperty('Authorization');
+    expect(requests[0].body).toMatchObject({
+      model: 'claude-sonnet-4-6',
+      stream: true,
+      system: 'Translate to German',
+      messages: [{ role: 'user', content: 'Hello world!' }]
+    });
+    expect(requests[0].body).not.toHaveProperty('tools');
+    expect(onDelta.mock.calls.map(([accumulated]) => accumulated)).toEqual(['Hallo', 'Hallo Welt', 'Hallo Welt!']);
+  });
+
+  it('forces the structured tool for select-element batches and returns its JSON input', async () => {
+    const requests = startStubServer(eventStreamResponse(toolMessage('{"translations": [{"id": "1", ', '"text": "Hallo"}]}')));
+
+    const result = await provider._callAI('system', '[{"id":"1","text":"Hello"}]', { expectedFormat: ResponseFormat.JSON_OBJECT, isBatch: true });
+
+    expect(JSON.parse(result)).toEqual({ translations: [{ id: '1', text: 'Hallo' }] });
+    expect(requests[0].body.tool_choice).toEqual({ type: 'tool', name: 'submit_translations' });
+    expect(requests[0].body.tools[0].input_schema.required).toEqual(['translations']);
+  });
+
+  it('unwraps array contracts from the tool input', async () => {
+    startStubServer(eventStreamResponse(toolMessage('{"translations": ["Hallo", "Welt"]}')));
+
+    const result = await provider._callAI('system', '["Hello","World"]', { expectedFormat: ResponseFormat.JSON_ARRAY, isBatch: true });
+
+    expect(JSON.parse(result)).toEqual(['Hallo', 'Welt']);
+  });
+
+  it('parses buffered bodies when the transport cannot stream', async () => {
+    const response = eventStreamResponse(textMessage('Bonjour'));
+    delete response.body;
+    startStubServer(response);
+
+    await expect(provider._callAI('system', 'Hello')).resolves.toBe('Bonjour');
+  });
+
+  it('types HTTP errors from the error envelope and rotates to the next key', async () => {
+    const requests = startStubServer(
+      jsonResponse(401, { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } }),
+      eventStreamResponse(textMessage('Hallo'))
+    );
+
+    const result = await provider._callAI('system', 'Hello');
+
+    expect(result).toBe('Hallo');
+    expect(requests[1].headers['x-api-key']).toBe('sk-ant-2');
+    expect(ApiKeyManager.promoteKey).toHaveBeenCalledWith('ANTHROPIC_API_KEY', 'sk-ant-2');
+  });
+
+  it('surfaces errors sent inside the stream', async () => {
+    startStubServer(eventStreamResponse([
+      { type: 'message_start', message: { id: 'msg_03', model: 'claude-sonnet-4-6', usage: {} } },
+      { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    ]));
+
+    await expect(provider._callAI('system', 'Hello')).rejects.toThrow('Overloaded');
+  });
+
+  it('rejects an empty completion as an invalid response', async () => {
+    startStubServer(eventStreamResponse(textMessage()));
+
+    await expect(provider._callAI('system', 'Hello')).rejects.toMatchObject({ type: ErrorTypes.API_RESPONSE_INVALID });
+  });
+});
+
+describe('toAnthropicMessages', () => {
+  it('lifts system turns out of the conversation', () => {
+    expect(toAnthropicMessages([
+      { role: 'system', content: 'Be precise' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hallo' },
+      { role: 'user', content: 'Bye' }
+    ])).toEqual({
+      system: 'Be precise',
+      messages: [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hallo' },
+        { role: 'user', content: 'Bye' }
+      ]
+    });
+  });
+});
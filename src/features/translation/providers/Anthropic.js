@@ -0,0 +1,241 @@
+// src/features/translation/providers/Anthropic.js
+import { BaseAIProvider } from "@/features/translation/providers/BaseAIProvider.js";
+import {
+  CONFIG,
+  getAnthropicApiKeysAsync,
+  getAnthropicApiModelAsync
+} from "@/shared/config/config.js";
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { ProviderNames } from "@/features/translation/providers/ProviderConstants.js";
+import { AIConversationHelper } from "./utils/AIConversationHelper.js";
+import { AITextProcessor } from "./utils/AITextProcessor.js";
+import { readEventStream } from "./utils/EventStreamReader.js";
+import { ResponseFormat } from "@/shared/config/translationConstants.js";
+import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
+import {
+  CompletionProviderFamily,
+  createCompletionRecord,
+  createUsageRecord,
+  normalizeTermination,
+} from "@/features/translation/ir/CompletionContract.js";
+import { recordProviderCompletion } from "@/features/translation/ir/TranslationOperation.js";
+
+const logger = getScopedLogger(LOG_COMPONENTS.PROVIDERS, 'Anthropic');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Structured batches are returned as the input of a forced tool call, so the
+// JSON always arrives well-formed instead of relying on the prompt alone.
+const STRUCTURED_TOOL_NAME = 'submit_translations';
+
+const STRUCTURED_SCHEMAS = Object.freeze({
+  [ResponseFormat.JSON_OBJECT]: {
+    type: 'object',
+    properties: {
+      translations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: ['string', 'integer'] },
+            text: { type: 'string' },
+          },
+        },
+      },
+    },
+    required: ['translations'],
+  },
+  [ResponseFormat.JSON_ARRAY]: {
+    type: 'object',
+    properties: {
+      translations: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['translations'],
+  },
+});
+
+/**
+ * Splits OpenAI-style conversation messages into the Messages API shape:
+ * system turns become the top-level `system` prompt.
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {{system: string, messages: Array<{role: string, content: string}>}}
+ */
+export function toAnthropicMessages(messages = []) {
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+  return {
+    system,
+    messages: messages.filter(message => message.role !== 'system'),
+  };
+}
+
+export class AnthropicProvider extends BaseAIProvider {
+  static type = "ai";
+  static description = "Anthropic's Claude models";
+  static displayName = "Anthropic Claude";
+
+  constructor() {
+    super(ProviderNames.ANTHROPIC);
+    this.providerSettingKey = 'ANTHROPIC_API_KEY';
+  }
+
+  /**
+   * Normalizes the facts collected from one streamed Messages response into a
+   * provider-neutral completion record. Absent facts remain null.
+   * @private
+   */
+  _recordAnthropicCompletion(message, executionContext) {
+    if (!message.stopReason && !message.id) return false;
+
+    const inputTokens = message.usage.input_tokens;
+    const outputTokens = message.usage.output_tokens;
+    return recordProviderCompletion(executionContext, createCompletionRecord({
+      provider: this.providerName,
+      model: message.model ?? null,
+      termination: normalizeTermination(CompletionProviderFamily.ANTHROPIC, message.stopReason),
+      responseId: message.id ?? null,
+      usage: createUsageRecord({
+        inputTokens,
+        outputTokens,
+        totalTokens: Number.isInteger(inputTokens) && Number.isInteger(outputTokens) ? inputTokens + outputTokens : null,
+      }),
+    }));
+  }
+
+  /**
+   * Reads the SSE body of a streamed Messages response. Text deltas and tool
+   * input deltas are accumulated; `onDelta` receives the accumulated output
+   * after every delta.
+   * @private
+   */
+  async _readMessageStream(response, { onDelta } = {}) {
+    const message = { id: null, model: null, stopReason: null, usage: {}, text: '' };
+
+    await readEventStream(response, (payload) => {
+      switch (payload?.type) {
+        case 'message_start':
+          message.id = payload.message?.id ?? null;
+          message.model = payload.message?.model ?? null;
+          Object.assign(message.usage, payload.message?.usage);
+          break;
+        case 'content_block_delta': {
+          const delta = payload.delta?.text ?? payload.delta?.partial_json;
+          if (typeof delta !== 'string' || !delta) break;
+          message.text += delta;
+          if (typeof onDelta === 'function') onDelta(message.text, delta);
+          break;
+        }
+        case 'message_delta':
+          message.stopReason = payload.delta?.stop_reason ?? message.stopReason;
+          Object.assign(message.usage, payload.usage);
+          break;
+        case 'error':
+          throw new Error(`API_ERROR: ${payload.error?.message || 'Unknown Anthropic Error'}`);
+        default:
+          break;
+      }
+    });
+
+    return message;
+  }
+
+  /**
+   * Internal implementation of the Messages API call. Responses are always
+   * streamed; pass `options.onDelta` to observe partial output as it arrives.
+   * @protected
+   */
+  async _callAI(systemPrompt, userText, options = {}) {
+    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode, onDelta } = options;
+    const conversationParticipates = typeof participationOverride === 'boolean'
+      ? participationOverride
+      : await AIConversationHelper.getConversationParticipation({ callPurpose, translateMode: mode, sessionId });
+
+    const [apiKeys, model] = await Promise.all([
+      getAnthropicApiKeysAsync(),
+      getAnthropicApiModelAsync(),
+    ]);
+
+    const apiKey = apiKeys.length > 0 ? apiKeys[0] : '';
+
+    this._validateConfig({ apiKey }, ["apiKey"], `${this.providerName.toLowerCase()}-translation`);
+
+    const turnNumber = conversationParticipates
+      ? await AIConversationHelper.claimNextTurn(sessionId, this.providerName, { callPurpose, translateMode: mode, conversationParticipates })
+      : 1;
+    const activeModel = model || CONFIG.ANTHROPIC_API_MODEL;
+    logger.info(`[Anthropic] Model: ${activeModel}${sessionId ? ` (Session: ${sessionId.substring(0, 15)}..., Turn: ${turnNumber})` : ''}`);
+
+    const conversation = await AIConversationHelper.getConversationMessages(sessionId, this.providerName, userText, systemPrompt, mode, { callPurpose, conversationParticipates });
+    const { system, messages } = toAnthropicMessages(conversation.messages);
+    const structuredSchema = STRUCTURED_SCHEMAS[expectedFormat];
+
+    const fetchOptions = {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": ANTHROPIC_VERSION,
+        "anthropic-dangerous-direct-browser-access": "true",
+      },
+      body: JSON.stringify({
+        model: activeModel,
+        max_tokens: 4096,
+        temperature: 0.1,
+        stream: true,
+        ...(system && { system }),
+        messages,
+        ...(structuredSchema && {
+          tools: [{
+            name: STRUCTURED_TOOL_NAME,
+            description: 'Submit the translations in the JSON structure requested by the instructions.',
+            input_schema: structuredSchema,
+          }],
+          tool_choice: { type: 'tool', name: STRUCTURED_TOOL_NAME },
+        })
+      }),
+    };
+
+    const result = await this._executeRequest({
+      url: CONFIG.ANTHROPIC_API_URL,
+      fetchOptions,
+      charCount: fetchOptions.body.length,
+      originalCharCount: isBatch ? AITextProcessor.estimateOriginalChars(userText) : userText.length,
+      extractResponse: async (response) => {
+        const message = await this._readMessageStream(response, { onDelta });
+        this._recordAnthropicCompletion(message, executionContext);
+        if (!message.text) {
+          const err = new Error(ErrorTypes.API_RESPONSE_INVALID);
+          err.type = ErrorTypes.API_RESPONSE_INVALID;
+          throw err;
+        }
+        if (expectedFormat !== ResponseFormat.JSON_ARRAY) return message.text;
+
+        // Array contracts are wrapped in an object because tool input must be one
+        try {
+          return JSON.stringify(JSON.parse(message.text).translations ?? []);
+        } catch {
+          return message.text;
+        }
+      },
+      context: `${this.providerName.toLowerCase()}-translation`,
+      abortController,
+      sessionId,
+      executionContext,
+      callPurpose,
+      updateApiKey: (newKey, options) => {
+        if (options && options.headers) {
+          options.headers['x-api-key'] = newKey;
+        }
+      }
+    });
+
+    if (sessionId && result && conversationParticipates) {
+      if (conversationCommitCandidate) conversationCommitCandidate.stage({ sessionId, userContent: userText, assistantContent: result });
+      else await AIConversationHelper.updateSessionHistory(sessionId, userText, result, { callPurpose, translateMode: mode, conversationParticipates });
+    }
+
+    return result;
+  }
+}
+
+export default AnthropicProvider;
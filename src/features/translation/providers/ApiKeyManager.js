@@ -21,6 +21,7 @@ const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'ApiKeyManager');
  */
 const PROVIDER_SETTINGS_KEYS = {
   OPENAI: 'OPENAI_API_KEY',
+  ANTHROPIC: 'ANTHROPIC_API_KEY',
   GEMINI: 'API_KEY',
   DEEPSEEK: 'DEEPSEEK_API_KEY',
   OPENROUTER: 'OPENROUTER_API_KEY',
@@ -33,6 +34,7 @@ const PROVIDER_SETTINGS_KEYS = {
  */
 const PROVIDER_NAMES = {
   OPENAI: 'OpenAI',
+  ANTHROPIC: 'Anthropic',
   GEMINI: 'Gemini',
   DEEPSEEK: 'DeepSeek',
   OPENROUTER: 'OpenRouter',
@@ -200,6 +202,7 @@ class ApiKeyManager {
     // Import provider classes dynamically
     const providerTests = {
       'OpenAI': async (key) => await this._testOpenAIKey(key),
+      'Anthropic': async (key) => await this._testAnthropicKey(key),
       'Gemini': async (key) => await this._testGeminiKey(key),
       'DeepSeek': async (key) => await this._testDeepSeekKey(key),
       'OpenRouter': async (key) => await this._testOpenRouterKey(key),
@@ -282,6 +285,7 @@ class ApiKeyManager {
     // Import provider classes dynamically
     const providerTests = {
       'OpenAI': async (key) => await this._testOpenAIKey(key, context),
+      'Anthropic': async (key) => await this._testAnthropicKey(key, context),
       'Gemini': async (key) => await this._testGeminiKey(key, context),
       'DeepSeek': async (key) => await this._testDeepSeekKey(key, context),
       'OpenRouter': async (key) => await this._testOpenRouterKey(key, context),
@@ -422,6 +426,32 @@ class ApiKeyManager {
     }
   }
 
+  /**
+   * Test Anthropic API key
+   * Lists models, which needs a valid key but consumes no tokens.
+   * @param {string} key - API key to test
+   * @param {Object} [context={}] - Optional context with URL
+   * @returns {Promise<boolean>} - True if key is valid
+   * @private
+   */
+  static async _testAnthropicKey(key, context = {}) {
+    try {
+      const apiUrl = context.apiUrl || 'https://api.anthropic.com/v1/models';
+      const { proxyManager } = await import('@/shared/proxy/ProxyManager.js');
+      const response = await proxyManager.fetch(apiUrl, {
+        method: 'GET',
+        headers: {
+          'x-api-key': key,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        }
+      });
+      return response.ok;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Test Gemini API key
    * @param {string} key - API key to test
@@ -125,6 +125,27 @@ describe('ApiKeyManager', () => {
     });
   });
 
+  describe('Anthropic Key Testing', () => {
+    it('lists models with the Anthropic auth headers', async () => {
+      mockProxyFetch.mockImplementation(async (_url, { headers }) => (
+        headers['x-api-key'] === 'sk-ant-valid' ? { ok: true, status: 200 } : { ok: false, status: 401 }
+      ));
+
+      const result = await ApiKeyManager.testKeysDirect('sk-ant-valid\nsk-ant-revoked', 'Anthropic');
+
+      expect(result.valid).toEqual(['sk-ant-valid']);
+      expect(result.invalid).toEqual(['sk-ant-revoked']);
+      expect(mockProxyFetch).toHaveBeenCalledWith('https://api.anthropic.com/v1/models', {
+        method: 'GET',
+        headers: {
+          'x-api-key': 'sk-ant-valid',
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        }
+      });
+    });
+  });
+
   describe('Custom Provider Testing', () => {
     const context = {
       apiUrl: 'https://example.com/v1/chat/completions',
@@ -22,6 +22,7 @@ import { appendTranslationDiagnostic } from "@/features/translation/ir/Translati
 import { TranslationCallPurpose } from "@/features/translation/providers/ProviderConstants.js";
 import { classifyRecoveryFailure } from "@/features/translation/ir/RecoveryClassification.js";
 import { TranslationContractValidator } from "@/features/translation/core/TranslationContractValidator.js";
+import { PartialJsonArrayParser } from "@/features/translation/core/PartialJsonArrayParser.js";
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'BaseAIProvider');
 const MAX_SCALAR_SELECTIVE_RECOVERY_UNITS = 3;
@@ -215,19 +216,20 @@ export class BaseAIProvider extends BaseProvider {
 
   /**
    * Configuration Resolvers - Unified with ProviderConfigurations.js and User Levels
+   * An explicit level (e.g. from a site profile) replaces the user's level for the provider.
    */
-  async getSupportsStreaming() {
-    const level = await getProviderOptimizationLevelAsync(this.providerName);
+  async getSupportsStreaming(optimizationLevel = null) {
+    const level = optimizationLevel ?? await getProviderOptimizationLevelAsync(this.providerName);
     return getProviderStreaming(this.providerName, level).enabled;
   }
 
-  async getBatchingConfig(mode = null) {
-    const level = await getProviderOptimizationLevelAsync(this.providerName);
+  async getBatchingConfig(mode = null, optimizationLevel = null) {
+    const level = optimizationLevel ?? await getProviderOptimizationLevelAsync(this.providerName);
     return getProviderBatching(this.providerName, mode, level);
   }
 
-  async getBatchStrategy(mode = null) {
-    const config = await this.getBatchingConfig(mode);
+  async getBatchStrategy(mode = null, optimizationLevel = null) {
+    const config = await this.getBatchingConfig(mode, optimizationLevel);
     return config.strategy || 'json';
   }
 
@@ -251,12 +253,13 @@ export class BaseAIProvider extends BaseProvider {
       conversationParticipates,
       useParentConversationLifecycle: isPrimaryCall && options.useParentConversationLifecycle === true,
     };
-    const supportsStreaming = await this.getSupportsStreaming();
-    const batchStrategy = await this.getBatchStrategy(translateMode);
+    const optimizationLevel = options.siteProfile?.optimizationLevel ?? null;
+    const supportsStreaming = await this.getSupportsStreaming(optimizationLevel);
+    const batchStrategy = await this.getBatchStrategy(translateMode, optimizationLevel);
 
     // 1. Try streaming if supported and beneficial
     // FIX: Only enter streaming path if thresholds are met OR if already initialized by coordinator
-    const shouldStream = await this._shouldUseStreaming(texts, messageId, engine, translateMode);
+    const shouldStream = await this._shouldUseStreaming(texts, messageId, engine, translateMode, optimizationLevel);
     const isAlreadyStreaming = messageId && AIStreamManager.isStreamActive(messageId);
 
     if (supportsStreaming && (shouldStream || isAlreadyStreaming)) {
@@ -284,13 +287,13 @@ export class BaseAIProvider extends BaseProvider {
   /**
    * Determine if streaming should be used for this request
    */
-  async _shouldUseStreaming(texts, messageId, engine, translateMode) {
+  async _shouldUseStreaming(texts, messageId, engine, translateMode, optimizationLevel = null) {
     // Disable internal AI streaming for Select Element or Page modes 
     if (translateMode === TranslationMode.Select_Element || translateMode === TranslationMode.Page || translateMode === TranslationMode.PDF) {
       return false;
     }
 
-    const supportsStreaming = await this.getSupportsStreaming();
+    const supportsStreaming = await this.getSupportsStreaming(optimizationLevel);
     return supportsStreaming && 
            messageId && 
            engine && 
@@ -861,6 +864,10 @@ export class BaseAIProvider extends BaseProvider {
           useParentConversationLifecycle: callPurpose === TranslationCallPurpose.PRIMARY_TRANSLATION
             && contextMetadata?.useParentConversationLifecycle === true,
          conversationCommitCandidate,
+         // Partial output maps onto the original batch positions, so recovery calls never stream
+         ...(callPurpose === TranslationCallPurpose.PRIMARY_TRANSLATION && typeof contextMetadata?.onPartialResponse === 'function' && {
+           onDelta: this._createPartialEntryReader(texts, contextMetadata.onPartialResponse),
+         }),
       }),
       context,
       priority,
@@ -868,6 +875,34 @@ export class BaseAIProvider extends BaseProvider {
     );
   }
 
+  /**
+   * Builds the `onDelta` callback of one structured call. Every call parses its own
+   * response, so a retried or failed-over call starts from a clean parser. Streamed
+   * entries are matched to the call's texts by their `id` (bare values by position)
+   * and reported to `onPartialResponse` as `[{ index, text }]`.
+   * @private
+   */
+  _createPartialEntryReader(texts, onPartialResponse) {
+    const parser = new PartialJsonArrayParser();
+    const positions = new Map(texts.map((text, idx) => [
+      String(typeof text === 'object' && text !== null ? (text.i ?? text.id ?? idx) : idx),
+      idx
+    ]));
+
+    return (accumulatedText) => {
+      const entries = parser.push(accumulatedText)
+        .map(({ index, value }) => {
+          const id = value?.id ?? value?.i;
+          return {
+            index: id === undefined ? index : positions.get(String(id)),
+            text: typeof value === 'string' ? value : (value?.text ?? value?.t)
+          };
+        })
+        .filter(entry => entry.index !== undefined && entry.index < texts.length && typeof entry.text === 'string');
+      if (entries.length > 0) onPartialResponse(entries);
+    };
+  }
+
   async executeSequentialBatch(texts, sourceLang, targetLang, {
     translateMode,
     engine,
@@ -998,7 +1033,7 @@ export class BaseAIProvider extends BaseProvider {
     }
 
     // Get batching configuration
-    const batchingConfig = await this.getBatchingConfig(translateMode);
+    const batchingConfig = await this.getBatchingConfig(translateMode, options.siteProfile?.optimizationLevel);
     const characterLimit = batchingConfig.characterLimit || 5000;
 
     // 1. Pre-process segments: Split oversized single segments into multiple pieces
@@ -1023,6 +1058,10 @@ export class BaseAIProvider extends BaseProvider {
     const batches = AITextProcessor.createOptimalBatches(fragmentedTexts, this.providerName, translateMode, batchingConfig);
     const allResults = [];
 
+    // Partial entries are reported by position in the request, which a split batch no longer matches
+    const isSplit = batches.length > 1 || fragmentedTexts.length !== texts.length;
+    const batchOptions = isSplit && options.onPartialResponse ? { ...options, onPartialResponse: null } : options;
+
     for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
       if (abortController?.signal?.aborted || (engine && engine.isCancelled?.(messageId))) {
         const cancelError = new Error('Translation cancelled by user');
@@ -1042,7 +1081,7 @@ export class BaseAIProvider extends BaseProvider {
           engine,
           messageId,
           sessionId,
-          options,
+          batchOptions,
           expectedFormat,
           priority,
         );
@@ -1094,7 +1133,9 @@ export class BaseAIProvider extends BaseProvider {
   }
 
   /**
-   * Abstract method to call the actual AI API
+   * Abstract method to call the actual AI API.
+   * Providers that stream their response call `options.onDelta` with the
+   * accumulated output after every chunk; others may ignore it.
    * @protected
    */
   async _callAI() {
@@ -45,6 +45,8 @@ import { TranslationCallPurpose } from './ProviderConstants.js';
 import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
 import { translationSessionManager } from '../core/TranslationSessionManager.js';
 import { AIResponseParser } from './utils/AIResponseParser.js';
+import { AIStreamManager } from './utils/AIStreamManager.js';
+import { AITextProcessor } from './utils/AITextProcessor.js';
 
 // Mock AIResponseParser
 vi.mock("./utils/AIResponseParser.js", () => ({
@@ -113,6 +115,57 @@ beforeEach(() => {
       }));
     });
 
+    it('executeStructuredBatch streams partial output of primary calls only', async () => {
+      provider._callAI = vi.fn().mockResolvedValue('[]');
+      const onPartialResponse = vi.fn();
+
+      await provider.executeStructuredBatch(['source'], 'en', 'fa', {
+        translateMode: 'page',
+        contextMetadata: { onPartialResponse },
+      });
+      await provider.executeStructuredBatch(['source'], 'en', 'fa', {
+        translateMode: 'page',
+        contextMetadata: { onPartialResponse },
+        callPurpose: TranslationCallPurpose.STRUCTURED_RECOVERY,
+      });
+
+      expect(provider._callAI.mock.calls[0][2].onDelta).toEqual(expect.any(Function));
+      expect(provider._callAI.mock.calls[1][2]).not.toHaveProperty('onDelta');
+    });
+
+    it('matches streamed entries to the texts of their own call by id', async () => {
+      const onPartialResponse = vi.fn();
+      provider._callAI = vi.fn(async (systemPrompt, userText, options) => {
+        options.onDelta('{"translations": [{"id": "1", "text": "دو"}, {"id": "0", "te');
+        options.onDelta('{"translations": [{"id": "1", "text": "دو"}, {"id": "0", "text": "یک"}]}');
+        return '[]';
+      });
+
+      await provider.executeStructuredBatch(['one', 'two'], 'en', 'fa', {
+        translateMode: 'page',
+        contextMetadata: { onPartialResponse },
+      });
+
+      expect(onPartialResponse.mock.calls).toEqual([
+        [[{ index: 1, text: 'دو' }]],
+        [[{ index: 0, text: 'یک' }]]
+      ]);
+    });
+
+    it('does not report partial entries of batches split for streaming', async () => {
+      const onPartialResponse = vi.fn();
+      vi.spyOn(AIStreamManager, 'isStreamActive').mockReturnValue(true);
+      vi.spyOn(AITextProcessor, 'createOptimalBatches').mockReturnValue([['one'], ['two']]);
+      provider.getBatchingConfig = vi.fn().mockResolvedValue({ characterLimit: 5000 });
+      provider._translateBatch = vi.fn(async (batch) => batch);
+
+      await provider._streamingBatchTranslate(['one', 'two'], 'en', 'fa', 'page', null, 'msg-split', null, null, null, null, { onPartialResponse });
+
+      expect(provider._translateBatch).toHaveBeenCalledTimes(2);
+      provider._translateBatch.mock.calls.forEach(call => expect(call[8].onPartialResponse).toBeNull());
+      vi.restoreAllMocks();
+    });
+
     it('executeSequentialBatch preserves scalar and array transport results with supplied purpose', async () => {
       provider._callAI = vi.fn()
         .mockResolvedValueOnce('one')
@@ -14,6 +14,8 @@ import { TraditionalTextProcessor, getTextInfo } from "./utils/TraditionalTextPr
 import { TraditionalStreamManager } from "./utils/TraditionalStreamManager.js";
 import { statsManager } from '@/features/translation/core/TranslationStatsManager.js';
 import { getProviderBatching } from "@/features/translation/core/ProviderConfigurations.js";
+import { glossaryManager } from "@/features/glossary/core/GlossaryManager.js";
+import { GlossaryTermProtector } from "@/features/glossary/core/GlossaryTermProtector.js";
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'BaseTranslateProvider');
 
@@ -29,13 +31,40 @@ export class BaseTranslateProvider extends BaseProvider {
   }
 
   /**
-   * Enhanced batch translation with streaming support
+   * Enhanced batch translation with streaming support.
+   * Glossary terms are swapped for placeholders before the request and replaced
+   * with their target terms afterwards, since these services take no instructions.
+   * A site profile optimization level in `options` sizes the chunks of this request.
    */
-  async _batchTranslate(texts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat) {
-    if (this.constructor.supportsStreaming && this._shouldUseStreaming(texts, messageId, engine, translateMode)) {
-      return this._streamingBatchTranslate(texts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat);
-    }
-    return this._traditionalBatchTranslate(texts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat);
+  async _batchTranslate(texts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat, options = {}) {
+    const glossary = await this._createGlossaryProtection(texts, sourceLang, targetLang, translateMode);
+    const requestTexts = glossary ? glossary.texts : texts;
+    const optimizationLevel = options?.siteProfile?.optimizationLevel ?? null;
+
+    const results = (this.constructor.supportsStreaming && this._shouldUseStreaming(requestTexts, messageId, engine, translateMode))
+      ? await this._streamingBatchTranslate(requestTexts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat, glossary, optimizationLevel)
+      : await this._traditionalBatchTranslate(requestTexts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat, optimizationLevel);
+
+    return glossary ? glossary.restore(results) : results;
+  }
+
+  /**
+   * Resolve glossary terms for the batch and protect them with placeholders.
+   * @returns {Promise<{texts: Array, restore: Function}|null>} null when no glossary term applies
+   * @protected
+   */
+  async _createGlossaryProtection(texts, sourceLang, targetLang, translateMode) {
+    if (translateMode === TranslationMode.Dictionary_Translation) return null;
+
+    const terms = await glossaryManager.resolveTerms(texts.filter(t => typeof t === 'string'), sourceLang, targetLang);
+    if (terms.length === 0) return null;
+
+    const protector = new GlossaryTermProtector(terms);
+    const { texts: protectedTexts, targets } = protector.protectAll(texts);
+    if (targets.length === 0) return null;
+
+    logger.debug(`[${this.providerName}] Protected ${targets.length} glossary term occurrence(s)`);
+    return { texts: protectedTexts, restore: (result) => protector.restore(result, targets) };
   }
 
   /**
@@ -62,8 +91,8 @@ export class BaseTranslateProvider extends BaseProvider {
   /**
    * Configuration Resolvers - Unified with ProviderConfigurations.js and User Levels
    */
-  async getBatchingConfig(mode = null) {
-    const level = await getProviderOptimizationLevelAsync(this.providerName);
+  async getBatchingConfig(mode = null, optimizationLevel = null) {
+    const level = optimizationLevel ?? await getProviderOptimizationLevelAsync(this.providerName);
     return getProviderBatching(this.providerName, mode, level);
   }
 
@@ -71,15 +100,15 @@ export class BaseTranslateProvider extends BaseProvider {
    * Create chunks for translation (Respecting Optimization Level)
    * @protected
    */
-  async _createChunks(texts) {
-    const config = await this.getBatchingConfig();
+  async _createChunks(texts, optimizationLevel = null) {
+    const config = await this.getBatchingConfig(null, optimizationLevel);
     return TraditionalTextProcessor.createChunks(texts, this.providerName, config.strategy, config.characterLimit, config.maxChunksPerBatch);
   }
 
   /**
    * Streaming batch translation with real-time results
    */
-  async _streamingBatchTranslate(texts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat) {
+  async _streamingBatchTranslate(texts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat, glossary = null, optimizationLevel = null) {
     logger.debug(`[${this.providerName}] Starting streaming translation for ${texts.length} texts (Format: ${expectedFormat || 'default'})`);
     
     if (messageId && engine) {
@@ -93,7 +122,7 @@ export class BaseTranslateProvider extends BaseProvider {
       } catch { /* ignore */ }
     }
     
-    const chunks = await this._createChunks(texts);
+    const chunks = await this._createChunks(texts, optimizationLevel);
     const allResults = [];
     
     for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
@@ -119,13 +148,14 @@ export class BaseTranslateProvider extends BaseProvider {
           { sessionId, abortController, messageId }
         );
 
-        // Scrub artifacts from streaming results
-        const scrubbedResponse = Array.isArray(chunkResponse) 
+        // Scrub artifacts from streaming results (glossary placeholders are restored before they reach the UI)
+        const scrubbedChunk = Array.isArray(chunkResponse) 
           ? chunkResponse.map(r => {
               const text = typeof r === 'string' ? r : (r?.t || r?.text || r?.translatedText || '');
               return TraditionalTextProcessor.scrubBidiArtifacts(text);
             })
           : TraditionalTextProcessor.scrubBidiArtifacts(chunkResponse);
+        const scrubbedResponse = glossary ? glossary.restore(scrubbedChunk) : scrubbedChunk;
 
         const statsAfter = sessionId ? statsManager.getSessionSummary(sessionId) : null;
         const actualChunkChars = statsAfter ? (statsAfter.chars - charsBefore) : this._calculateTraditionalCharCount(chunk.texts);
@@ -148,10 +178,10 @@ export class BaseTranslateProvider extends BaseProvider {
     return allResults;
   }
 
-  async _traditionalBatchTranslate(texts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat) {
+  async _traditionalBatchTranslate(texts, sourceLang, targetLang, translateMode, engine, messageId, abortController, priority, sessionId, expectedFormat, optimizationLevel = null) {
     logger.debug(`[${this.providerName}] Starting traditional batch translation for ${texts.length} texts (Format: ${expectedFormat || 'default'})`);
     const context = `${this.providerName.toLowerCase()}-traditional-batch`;
-    const chunks = await this._createChunks(texts);
+    const chunks = await this._createChunks(texts, optimizationLevel);
     const allResults = [];
 
     const { TranslationSegmentMapper } = await import("@/utils/translation/TranslationSegmentMapper.js");
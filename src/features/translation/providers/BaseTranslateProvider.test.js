@@ -26,6 +26,7 @@ import { TranslationMode } from '@/shared/config/config.js';
 import { streamingManager } from '@/features/translation/core/StreamingManager.js';
 import { TraditionalTextProcessor } from './utils/TraditionalTextProcessor.js';
 import { TraditionalStreamManager } from './utils/TraditionalStreamManager.js';
+import { glossaryManager } from '@/features/glossary/core/GlossaryManager.js';
 
 vi.mock('@/features/translation/core/StreamingManager.js', () => ({
   streamingManager: {
@@ -92,6 +93,12 @@ vi.mock('@/features/translation/core/ProviderConfigurations.js', () => ({
   })),
 }));
 
+vi.mock('@/features/glossary/core/GlossaryManager.js', () => ({
+  glossaryManager: {
+    resolveTerms: vi.fn(() => Promise.resolve([])),
+  },
+}));
+
 // Mock dynamic imports
 vi.mock('@/utils/translation/TranslationSegmentMapper.js', () => ({
   TranslationSegmentMapper: {
@@ -251,6 +258,28 @@ describe('BaseTranslateProvider', () => {
     });
   });
 
+  describe('Glossary protection', () => {
+    it('should send placeholders and restore glossary targets', async () => {
+      glossaryManager.resolveTerms.mockResolvedValueOnce([{ source: 'pull request', target: 'PR' }]);
+      const chunkSpy = vi.spyOn(provider, '_translateChunk');
+
+      const result = await provider._batchTranslate(
+        ['Open a pull request', 'Hello'], 'en', 'fa', TranslationMode.Popup
+      );
+
+      expect(chunkSpy.mock.calls[0][0]).toEqual(['Open a __GL0__', 'Hello']);
+      expect(result).toEqual(['translated-Open a PR', 'translated-Hello']);
+    });
+
+    it('should pass texts through unchanged when no term applies', async () => {
+      const chunkSpy = vi.spyOn(provider, '_translateChunk');
+
+      await provider._batchTranslate(['Hello'], 'en', 'fa', TranslationMode.Popup);
+
+      expect(chunkSpy.mock.calls[0][0]).toEqual(['Hello']);
+    });
+  });
+
   describe('Configuration and Chunking', () => {
     it('should resolve batching configuration', async () => {
       const config = await provider.getBatchingConfig('popup');
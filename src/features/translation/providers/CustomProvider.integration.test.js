@@ -2,6 +2,8 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { CustomProvider } from './CustomProvider.js';
 import { proxyManager } from '@/shared/proxy/ProxyManager.js';
 import { ApiKeyManager } from './ApiKeyManager.js';
+import { getCustomProfilesAsync } from '@/shared/config/config.js';
+import { rateLimitManager } from '@/features/translation/core/RateLimitManager.js';
 
 // Mock dependencies
 vi.mock('webextension-polyfill', () => ({
@@ -15,6 +17,7 @@ vi.mock('@/shared/config/config.js', () => ({
   getCustomApiKeysAsync: vi.fn().mockResolvedValue(['custom-key-1', 'custom-key-2']),
   getCustomApiUrlAsync: vi.fn().mockResolvedValue('https://my-local-ai.com/v1/chat/completions'),
   getCustomApiModelAsync: vi.fn().mockResolvedValue('local-llama-3'),
+  getCustomProfilesAsync: vi.fn().mockResolvedValue([]),
   getSettingsAsync: vi.fn().mockResolvedValue({}),
   getProviderOptimizationLevelAsync: vi.fn(() => Promise.resolve('balanced')),
 }));
@@ -44,6 +47,22 @@ vi.mock('../../core/TranslationStatsManager.js', () => ({
   }
 }));
 
+/** SSE response carrying OpenAI-compatible completion chunks. */
+function chunkStream(...parts) {
+  const wire = [
+    ...parts.map(content => `data: ${JSON.stringify({ id: 'chatcmpl-1', choices: [{ delta: { content }, finish_reason: null }] })}`),
+    `data: ${JSON.stringify({ id: 'chatcmpl-1', choices: [{ delta: {}, finish_reason: 'stop' }] })}`,
+    'data: [DONE]'
+  ].join('\n\n') + '\n\n';
+  return {
+    ok: true,
+    status: 200,
+    headers: new Map([['content-type', 'text/event-stream']]),
+    text: async () => wire,
+    clone() { throw new Error('streams must not be cloned'); }
+  };
+}
+
 describe('CustomProvider Internal Integration (Endpoint & Failover)', () => {
   let provider;
 
@@ -113,4 +132,103 @@ describe('CustomProvider Internal Integration (Endpoint & Failover)', () => {
     // Verify key-2 was promoted
     expect(ApiKeyManager.promoteKey).toHaveBeenCalledWith('CUSTOM_API_KEY', 'custom-key-2');
   });
+
+  it('streams the completion when onDelta is given', async () => {
+    proxyManager.fetch.mockResolvedValue(chunkStream('Bon', 'jour'));
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('system', 'Hello', { onDelta });
+
+    expect(result).toBe('Bonjour');
+    expect(onDelta.mock.calls).toEqual([['Bon', 'Bon'], ['Bonjour', 'jour']]);
+    expect(JSON.parse(proxyManager.fetch.mock.calls[0][1].body)).toMatchObject({ model: 'local-llama-3', stream: true });
+  });
+});
+
+describe('CustomProvider profiles (Stub Server)', () => {
+  const azureProfile = {
+    id: 'azure',
+    name: 'Azure EU',
+    apiUrl: 'https://contoso-eu.openai.azure.com/openai/deployments/gpt-4o/chat/completions',
+    authScheme: 'api-key',
+    apiKey: 'azure-key',
+    apiVersion: '2024-10-21',
+    headers: {},
+    models: ['gpt-4o'],
+    model: 'gpt-4o',
+    rateLimit: { maxConcurrent: 4, delayBetweenRequests: null }
+  };
+  const gatewayProfile = {
+    id: 'vllm',
+    name: 'vLLM Gateway',
+    apiUrl: 'http://vllm.internal:8000/v1/chat/completions',
+    authScheme: 'bearer',
+    apiKey: 'gateway-token',
+    apiVersion: '',
+    headers: { 'X-Gateway-Team': 'translation' },
+    models: ['meta-llama/Llama-3.1-8B-Instruct'],
+    model: 'meta-llama/Llama-3.1-8B-Instruct',
+    rateLimit: { maxConcurrent: null, delayBetweenRequests: null }
+  };
+
+  const okResponse = (content) => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ choices: [{ message: { content } }] }),
+    headers: new Map([['content-type', 'application/json']]),
+    clone: function() { return this; }
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getCustomProfilesAsync.mockResolvedValue([azureProfile, gatewayProfile]);
+    vi.spyOn(ApiKeyManager, 'getKeys').mockResolvedValue(['custom-key-1']);
+  });
+
+  it('sends the api-key header and api-version query for Azure profiles', async () => {
+    proxyManager.fetch.mockResolvedValue(okResponse('Azure result'));
+    const provider = new CustomProvider('azure');
+
+    const result = await provider._callAI('system', 'Hello');
+
+    expect(result).toBe('Azure result');
+    expect(provider.providerName).toBe('Custom:azure');
+    const [url, options] = proxyManager.fetch.mock.calls[0];
+    expect(url).toBe('https://contoso-eu.openai.azure.com/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21');
+    expect(options.headers).toMatchObject({ 'api-key': 'azure-key' });
+    expect(options.headers).not.toHaveProperty('Authorization');
+    expect(JSON.parse(options.body).model).toBe('gpt-4o');
+    expect(ApiKeyManager.getKeys).not.toHaveBeenCalled();
+  });
+
+  it('uses the bearer token and extra headers of a gateway profile', async () => {
+    proxyManager.fetch.mockResolvedValue(okResponse('Gateway result'));
+
+    await new CustomProvider('vllm')._callAI('system', 'Hello');
+
+    const [url, options] = proxyManager.fetch.mock.calls[0];
+    expect(url).toBe('http://vllm.internal:8000/v1/chat/completions');
+    expect(options.headers).toMatchObject({
+      'Authorization': 'Bearer gateway-token',
+      'X-Gateway-Team': 'translation'
+    });
+  });
+
+  it('rejects requests for a deleted profile as a missing endpoint', async () => {
+    getCustomProfilesAsync.mockResolvedValue([gatewayProfile]);
+
+    await expect(new CustomProvider('azure')._callAI('system', 'Hello')).rejects.toMatchObject({ type: 'API_URL_MISSING' });
+    expect(proxyManager.fetch).not.toHaveBeenCalled();
+  });
+
+  it('applies profile rate limits before queueing', async () => {
+    const configureSpy = vi.spyOn(rateLimitManager, 'configureProvider');
+    vi.spyOn(rateLimitManager, 'executeWithRateLimit').mockImplementation((_name, task) => task());
+
+    await new CustomProvider('azure')._executeWithRateLimit(async () => 'done');
+    await new CustomProvider('vllm')._executeWithRateLimit(async () => 'done');
+
+    expect(configureSpy).toHaveBeenCalledWith('Custom:azure', { maxConcurrent: 4 });
+    expect(configureSpy).toHaveBeenCalledWith('Custom:vllm', null);
+  });
 });
@@ -4,13 +4,24 @@ import {
   getCustomApiUrlAsync,
   getCustomApiKeysAsync,
   getCustomApiModelAsync,
+  getCustomProfilesAsync,
 } from "@/shared/config/config.js";
 import { getScopedLogger } from '@/shared/logging/logger.js';
 import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
-import { ProviderNames } from "@/features/translation/providers/ProviderConstants.js";
+import { ProviderNames, CUSTOM_PROFILE_NAME_PREFIX } from "@/features/translation/providers/ProviderConstants.js";
+import { rateLimitManager } from "@/features/translation/core/RateLimitManager.js";
 import { AIConversationHelper } from "./utils/AIConversationHelper.js";
 import { AITextProcessor } from "./utils/AITextProcessor.js";
+import {
+  buildCustomProfileRequest,
+  findCustomProfile,
+  formatCustomProfileAuthValue,
+  getCustomProfileAuthHeader,
+  getCustomProfileRateLimit,
+} from "./utils/CustomProfiles.js";
+import { readChatCompletionStream } from "./utils/ChatCompletionStreamReader.js";
 import { ResponseFormat } from "@/shared/config/translationConstants.js";
+import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
 import {
   CompletionProviderFamily,
   createCompletionRecord,
@@ -26,9 +37,60 @@ export class CustomProvider extends BaseAIProvider {
   static description = "Custom OpenAI-compatible API";
   static displayName = "Custom AI";
 
-  constructor() {
-    super(ProviderNames.CUSTOM);
-    this.providerSettingKey = 'CUSTOM_API_KEY';
+  /**
+   * @param {string|null} [profileId] - a `CUSTOM_PROFILES` entry; null uses the
+   *   single-endpoint `CUSTOM_API_*` settings
+   */
+  constructor(profileId = null) {
+    super(profileId ? `${CUSTOM_PROFILE_NAME_PREFIX}${profileId}` : ProviderNames.CUSTOM);
+    this.profileId = profileId;
+    // Profiles carry a single key of their own instead of the rotated key list
+    this.providerSettingKey = profileId ? null : 'CUSTOM_API_KEY';
+  }
+
+  /**
+   * Resolves endpoint, headers and model for the request, either from the
+   * profile or from the single-endpoint settings. Profiles are read at call
+   * time so edits apply without recreating the provider; a deleted profile
+   * resolves to an empty endpoint and fails validation.
+   * @private
+   */
+  async _resolveEndpoint() {
+    if (this.profileId) {
+      const profile = findCustomProfile(await getCustomProfilesAsync(), this.profileId) || {};
+      const { url, headers } = buildCustomProfileRequest(profile);
+      return { apiUrl: url, headers, model: profile.model?.trim(), profile };
+    }
+
+    const [apiUrl, apiKeys, model] = await Promise.all([
+      getCustomApiUrlAsync(),
+      getCustomApiKeysAsync(),
+      getCustomApiModelAsync(),
+    ]);
+
+    const apiKey = apiKeys.length > 0 ? apiKeys[0] : '';
+    const headers = {
+      "Content-Type": "application/json",
+    };
+
+    if (apiKey.trim()) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return { apiUrl, headers, model, profile: null };
+  }
+
+  /**
+   * Applies the profile's own rate limits before queueing; profiles without
+   * limits follow the optimization level like the default endpoint.
+   * @protected
+   */
+  async _executeWithRateLimit(task, context = "", priority = null, options = {}) {
+    if (this.profileId) {
+      const profile = findCustomProfile(await getCustomProfilesAsync(), this.profileId);
+      rateLimitManager.configureProvider(this.providerName, getCustomProfileRateLimit(profile));
+    }
+    return super._executeWithRateLimit(task, context, priority, options);
   }
 
   /**
@@ -60,39 +122,29 @@ export class CustomProvider extends BaseAIProvider {
   /**
    * Internal implementation of the AI API call.
    * Handles authentication, endpoint resolution, and payload formatting.
+   * The response is streamed when `options.onDelta` is given, which then
+   * receives the accumulated output after every chunk.
    * @protected
    */
   async _callAI(systemPrompt, userText, options = {}) {
-    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode } = options;
+    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode, onDelta } = options;
     const conversationParticipates = typeof participationOverride === 'boolean'
       ? participationOverride
       : await AIConversationHelper.getConversationParticipation({ callPurpose, translateMode: mode, sessionId });
 
-    const [apiUrl, apiKeys, model] = await Promise.all([
-      getCustomApiUrlAsync(),
-      getCustomApiKeysAsync(),
-      getCustomApiModelAsync(),
-    ]);
-
-    const apiKey = apiKeys.length > 0 ? apiKeys[0] : '';
+    const { apiUrl, headers, model, profile } = await this._resolveEndpoint();
 
     this._validateConfig({ apiUrl, model }, ["apiUrl", "model"], `${this.providerName.toLowerCase()}-translation`);
 
     const turnNumber = conversationParticipates
       ? await AIConversationHelper.claimNextTurn(sessionId, this.providerName, { callPurpose, translateMode: mode, conversationParticipates })
       : 1;
-    logger.info(`[Custom] Model: ${model || 'default'}${sessionId ? ` (Session: ${sessionId.substring(0, 15)}..., Turn: ${turnNumber})` : ''}`);
+    logger.info(`[Custom${profile ? `: ${profile.name}` : ''}] Model: ${model || 'default'}${sessionId ? ` (Session: ${sessionId.substring(0, 15)}..., Turn: ${turnNumber})` : ''}`);
 
     const { messages } = await AIConversationHelper.getConversationMessages(sessionId, this.providerName, userText, systemPrompt, mode, { callPurpose, conversationParticipates });
 
-    const headers = {
-      "Content-Type": "application/json",
-    };
-
-    if (apiKey.trim()) {
-      headers.Authorization = `Bearer ${apiKey}`;
-    }
-
+    // Partial output is only requested when the caller observes it
+    const streamed = typeof onDelta === 'function';
     const fetchOptions = {
       method: "POST",
       headers,
@@ -100,30 +152,47 @@ export class CustomProvider extends BaseAIProvider {
         model: model,
         messages: messages,
         max_tokens: 4096,
+        ...(streamed && { stream: true }),
         // Apply JSON mode if requested by the contract
         ...(expectedFormat === ResponseFormat.JSON_OBJECT && { response_format: { type: "json_object" } })
       }),
     };
 
+    const readCompletion = (data) => {
+      if (data?.error) {
+        throw new Error(`API_ERROR: ${data.error.message || 'Unknown Custom AI Error'}`);
+      }
+      this._recordCustomCompletion(data, executionContext);
+      return data?.choices?.[0]?.message?.content;
+    };
+
     const result = await this._executeRequest({
       url: apiUrl,
       fetchOptions,
       charCount: fetchOptions.body.length,
       originalCharCount: isBatch ? AITextProcessor.estimateOriginalChars(userText) : userText.length,
-      extractResponse: (data) => {
-        if (data?.error) {
-          throw new Error(`API_ERROR: ${data.error.message || 'Unknown Custom AI Error'}`);
+      extractResponse: streamed
+        ? async (response) => {
+          const content = readCompletion(await readChatCompletionStream(response, { onDelta }));
+          if (!content) {
+            const err = new Error(ErrorTypes.API_RESPONSE_INVALID);
+            err.type = ErrorTypes.API_RESPONSE_INVALID;
+            throw err;
+          }
+          return content;
         }
-        this._recordCustomCompletion(data, executionContext);
-        return data?.choices?.[0]?.message?.content;
-      },
+        : readCompletion,
       context: `${this.providerName.toLowerCase()}-translation`,
       abortController,
       sessionId,
       executionContext,
       callPurpose,
       updateApiKey: (newKey, options) => {
-        if (options && options.headers) {
+        if (!options || !options.headers) return;
+        if (profile) {
+          const authHeader = getCustomProfileAuthHeader(profile);
+          if (authHeader) options.headers[authHeader] = formatCustomProfileAuthValue(profile, newKey);
+        } else {
           options.headers.Authorization = `Bearer ${newKey}`;
         }
       }
@@ -44,6 +44,22 @@ vi.mock('../../core/TranslationStatsManager.js', () => ({
   }
 }));
 
+/** SSE response carrying OpenAI-compatible completion chunks. */
+function chunkStream(...parts) {
+  const wire = [
+    ...parts.map(content => `data: ${JSON.stringify({ id: 'chatcmpl-1', choices: [{ delta: { content }, finish_reason: null }] })}`),
+    `data: ${JSON.stringify({ id: 'chatcmpl-1', choices: [{ delta: {}, finish_reason: 'stop' }] })}`,
+    'data: [DONE]'
+  ].join('\n\n') + '\n\n';
+  return {
+    ok: true,
+    status: 200,
+    headers: new Map([['content-type', 'text/event-stream']]),
+    text: async () => wire,
+    clone() { throw new Error('streams must not be cloned'); }
+  };
+}
+
 describe('DeepSeekProvider Internal Integration (Failover & Response)', () => {
   let provider;
 
@@ -132,4 +148,15 @@ describe('DeepSeekProvider Internal Integration (Failover & Response)', () => {
     await expect(provider._callAI('system', 'text'))
       .rejects.toThrow('API_ERROR: Balance not enough');
   });
+
+  it('streams the completion when onDelta is given', async () => {
+    proxyManager.fetch.mockResolvedValue(chunkStream('Bon', 'jour'));
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('system', 'Hello', { onDelta });
+
+    expect(result).toBe('Bonjour');
+    expect(onDelta.mock.calls).toEqual([['Bon', 'Bon'], ['Bonjour', 'jour']]);
+    expect(JSON.parse(proxyManager.fetch.mock.calls[0][1].body)).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+  });
 });
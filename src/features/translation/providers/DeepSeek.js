@@ -11,7 +11,9 @@ import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 import { ProviderNames } from "@/features/translation/providers/ProviderConstants.js";
 import { AIConversationHelper } from "./utils/AIConversationHelper.js";
 import { AITextProcessor } from "./utils/AITextProcessor.js";
+import { readChatCompletionStream } from "./utils/ChatCompletionStreamReader.js";
 import { ResponseFormat } from "@/shared/config/translationConstants.js";
+import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
 import {
   CompletionProviderFamily,
   createCompletionRecord,
@@ -58,10 +60,12 @@ export class DeepSeekProvider extends BaseAIProvider {
 
   /**
    * Internal implementation of the DeepSeek API call.
+   * The response is streamed when `options.onDelta` is given, which then
+   * receives the accumulated output after every chunk.
    * @protected
    */
   async _callAI(systemPrompt, userText, options = {}) {
-    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode } = options;
+    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode, onDelta } = options;
     const conversationParticipates = typeof participationOverride === 'boolean'
       ? participationOverride
       : await AIConversationHelper.getConversationParticipation({ callPurpose, translateMode: mode, sessionId });
@@ -84,6 +88,8 @@ export class DeepSeekProvider extends BaseAIProvider {
 
     const { messages } = await AIConversationHelper.getConversationMessages(sessionId, this.providerName, userText, systemPrompt, mode, { callPurpose, conversationParticipates });
 
+    // Partial output is only requested when the caller observes it
+    const streamed = typeof onDelta === 'function';
     const fetchOptions = {
       method: "POST",
       headers: {
@@ -98,6 +104,7 @@ export class DeepSeekProvider extends BaseAIProvider {
         thinking: {
           type: 'disabled'
         },
+        ...(streamed && { stream: true, stream_options: { include_usage: true } }),
         // DeepSeek supports JSON Mode for structured data
         ...((expectedFormat === ResponseFormat.JSON_OBJECT || expectedFormat === ResponseFormat.JSON_ARRAY) && { 
           response_format: { type: "json_object" } 
@@ -105,18 +112,30 @@ export class DeepSeekProvider extends BaseAIProvider {
       }),
     };
 
+    const readCompletion = (data) => {
+      if (data?.error) {
+        throw new Error(`API_ERROR: ${data.error.message || 'Unknown DeepSeek Error'}`);
+      }
+      this._recordDeepSeekCompletion(data, executionContext);
+      return data?.choices?.[0]?.message?.content;
+    };
+
     const result = await this._executeRequest({
       url: apiUrl || "https://api.deepseek.com/chat/completions",
       fetchOptions,
       charCount: fetchOptions.body.length,
       originalCharCount: isBatch ? AITextProcessor.estimateOriginalChars(userText) : userText.length,
-      extractResponse: (data) => {
-        if (data?.error) {
-          throw new Error(`API_ERROR: ${data.error.message || 'Unknown DeepSeek Error'}`);
+      extractResponse: streamed
+        ? async (response) => {
+          const content = readCompletion(await readChatCompletionStream(response, { onDelta }));
+          if (!content) {
+            const err = new Error(ErrorTypes.API_RESPONSE_INVALID);
+            err.type = ErrorTypes.API_RESPONSE_INVALID;
+            throw err;
+          }
+          return content;
         }
-        this._recordDeepSeekCompletion(data, executionContext);
-        return data?.choices?.[0]?.message?.content;
-      },
+        : readCompletion,
       context: `${this.providerName.toLowerCase()}-translation`,
       abortController,
       sessionId,
@@ -45,6 +45,18 @@ vi.mock('../../core/TranslationStatsManager.js', () => ({
   }
 }));
 
+/** SSE response carrying streamGenerateContent chunks. */
+function generateContentStream(...chunks) {
+  const wire = chunks.map(chunk => `data: ${JSON.stringify(chunk)}`).join('\r\n\r\n') + '\r\n\r\n';
+  return {
+    ok: true,
+    status: 200,
+    headers: new Map([['content-type', 'text/event-stream']]),
+    text: async () => wire,
+    clone() { throw new Error('streams must not be cloned'); }
+  };
+}
+
 describe('GeminiProvider Internal Integration', () => {
   let provider;
 
@@ -121,4 +133,32 @@ describe('GeminiProvider Internal Integration', () => {
     // Verify key-2 was promoted (Confirming our fix in ProviderRequestEngine)
     expect(ApiKeyManager.promoteKey).toHaveBeenCalledWith('GEMINI_API_KEY', 'key-2');
   });
+
+  it('streams generated content over SSE when onDelta is given', async () => {
+    proxyManager.fetch.mockResolvedValue(generateContentStream(
+      { candidates: [{ content: { parts: [{ text: 'Planning the answer', thought: true }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'سلام' }] } }] },
+      { candidates: [{ content: { parts: [{ text: ' دنیا' }] }, finishReason: 'STOP' }], usageMetadata: { totalTokenCount: 12 } }
+    ));
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('system prompt', 'Hello World', { onDelta });
+
+    expect(result).toBe('سلام دنیا');
+    expect(onDelta.mock.calls).toEqual([['سلام', 'سلام'], ['سلام دنیا', ' دنیا']]);
+    expect(proxyManager.fetch).toHaveBeenCalledWith(
+      'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:streamGenerateContent?alt=sse&key=key-1',
+      expect.any(Object)
+    );
+  });
+
+  it('rejects streamed responses blocked by the safety filters', async () => {
+    proxyManager.fetch.mockResolvedValue(generateContentStream(
+      { candidates: [{ content: { parts: [{ text: 'Par' }] } }] },
+      { candidates: [{ finishReason: 'SAFETY' }] }
+    ));
+
+    await expect(provider._callAI('system prompt', 'Hello World', { onDelta: vi.fn() }))
+      .rejects.toThrow('API_ERROR: Content blocked by Gemini safety filters');
+  });
 });
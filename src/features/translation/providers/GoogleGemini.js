@@ -12,6 +12,7 @@ import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 import { ProviderNames } from "@/features/translation/providers/ProviderConstants.js";
 import { AIConversationHelper } from "./utils/AIConversationHelper.js";
 import { AITextProcessor } from "./utils/AITextProcessor.js";
+import { readEventStream } from "./utils/EventStreamReader.js";
 import { ResponseFormat, TRANSLATION_CONSTANTS } from "@/shared/config/translationConstants.js";
 import {
   CompletionProviderFamily,
@@ -20,6 +21,7 @@ import {
   normalizeTermination,
 } from "@/features/translation/ir/CompletionContract.js";
 import { recordProviderCompletion } from "@/features/translation/ir/TranslationOperation.js";
+import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
 const logger = getScopedLogger(LOG_COMPONENTS.PROVIDERS, 'GoogleGemini');
 
 export class GeminiProvider extends BaseAIProvider {
@@ -59,12 +61,67 @@ export class GeminiProvider extends BaseAIProvider {
     }));
   }
 
+  /**
+   * Reads a `streamGenerateContent` response and merges its chunks into one
+   * GenerateContentResponse. Text parts are concatenated (thought parts are
+   * skipped); the last finish reason and usage win. A JSON body, either one
+   * response or the chunk array sent without `alt=sse`, is accepted as well.
+   * `onDelta` receives the accumulated output after every chunk.
+   * @private
+   */
+  async _readGenerateContentStream(response, { onDelta } = {}) {
+    const merged = { responseId: null, modelVersion: null, usageMetadata: null, error: null, finishReason: null, text: '' };
+
+    const readChunk = (chunk) => {
+      if (merged.error) return;
+      if (chunk?.error) {
+        merged.error = chunk.error;
+        return;
+      }
+
+      const candidate = chunk?.candidates?.[0];
+      merged.responseId = chunk?.responseId ?? merged.responseId;
+      merged.modelVersion = chunk?.modelVersion ?? merged.modelVersion;
+      merged.usageMetadata = chunk?.usageMetadata ?? merged.usageMetadata;
+      merged.finishReason = candidate?.finishReason ?? merged.finishReason;
+
+      const delta = (candidate?.content?.parts || [])
+        .filter(part => !part.thought && typeof part.text === 'string')
+        .map(part => part.text)
+        .join('');
+      if (!delta) return;
+      merged.text += delta;
+      if (typeof onDelta === 'function') onDelta(merged.text, delta);
+    };
+
+    const contentType = response.headers?.get?.('content-type') || '';
+    if (contentType.includes('application/json')) {
+      const data = await response.json();
+      (Array.isArray(data) ? data : [data]).forEach(readChunk);
+    } else {
+      await readEventStream(response, readChunk);
+    }
+
+    if (merged.error) return { error: merged.error };
+
+    return {
+      responseId: merged.responseId,
+      modelVersion: merged.modelVersion,
+      usageMetadata: merged.usageMetadata,
+      candidates: merged.finishReason || merged.text
+        ? [{ finishReason: merged.finishReason, content: { parts: [{ text: merged.text }] } }]
+        : [],
+    };
+  }
+
   /**
    * Internal implementation of the Gemini API call.
+   * The response is streamed when `options.onDelta` is given, which then
+   * receives the accumulated output after every chunk.
    * @protected
    */
   async _callAI(systemPrompt, userText, options = {}) {
-    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode } = options;
+    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode, onDelta } = options;
     const conversationParticipates = typeof participationOverride === 'boolean'
       ? participationOverride
       : await AIConversationHelper.getConversationParticipation({ callPurpose, translateMode: mode, sessionId });
@@ -141,9 +198,12 @@ export class GeminiProvider extends BaseAIProvider {
       }
     }
 
+    // Partial output is only requested when the caller observes it
+    const streamed = typeof onDelta === 'function';
     let url = apiUrl || CONFIG.GEMINI_API_URL;
     if (!url.includes(':generateContent')) url = `${url}:generateContent`;
-    url = `${url}?key=${apiKey}`;
+    if (streamed) url = url.replace(':generateContent', ':streamGenerateContent');
+    url = `${url}?${streamed ? 'alt=sse&' : ''}key=${apiKey}`;
 
     const fetchOptions = {
       method: "POST",
@@ -152,24 +212,36 @@ export class GeminiProvider extends BaseAIProvider {
     };
     const originalCharCount = isBatch ? AITextProcessor.estimateOriginalChars(userText) : userText.length;
 
+    const readCompletion = (data) => {
+      this._recordGeminiCompletion(data, executionContext);
+      if (data?.error) {
+        throw new Error(`API_ERROR: ${data.error.message || 'Unknown Gemini Error'}`);
+      }
+
+      const candidate = data?.candidates?.[0];
+      if (candidate?.finishReason === 'SAFETY') {
+        throw new Error('API_ERROR: Content blocked by Gemini safety filters');
+      }
+
+      return candidate?.content?.parts?.[0]?.text;
+    };
+
     const result = await this._executeRequest({
       url,
       fetchOptions,
       charCount: fetchOptions.body.length,
       originalCharCount,
-      extractResponse: (data) => {
-        this._recordGeminiCompletion(data, executionContext);
-        if (data?.error) {
-          throw new Error(`API_ERROR: ${data.error.message || 'Unknown Gemini Error'}`);
-        }
-
-        const candidate = data?.candidates?.[0];
-        if (candidate?.finishReason === 'SAFETY') {
-          throw new Error('API_ERROR: Content blocked by Gemini safety filters');
+      extractResponse: streamed
+        ? async (response) => {
+          const content = readCompletion(await this._readGenerateContentStream(response, { onDelta }));
+          if (!content) {
+            const err = new Error(ErrorTypes.API_RESPONSE_INVALID);
+            err.type = ErrorTypes.API_RESPONSE_INVALID;
+            throw err;
+          }
+          return content;
         }
-
-        return candidate?.content?.parts?.[0]?.text;
-      },
+        : readCompletion,
       context: `${this.providerName.toLowerCase()}-translation`,
       abortController,
       sessionId,
@@ -37,8 +37,8 @@ export class GoogleTranslateProvider extends BaseTranslateProvider {
     super(ProviderNames.GOOGLE_TRANSLATE);
   }
 
-  async _createChunks(texts) {
-    const chunks = await super._createChunks(texts);
+  async _createChunks(texts, optimizationLevel = null) {
+    const chunks = await super._createChunks(texts, optimizationLevel);
     return isolateNewlineChunks(chunks);
   }
 
@@ -50,8 +50,8 @@ export class GoogleTranslateV2Provider extends BaseTranslateProvider {
     super(ProviderNames.GOOGLE_TRANSLATE_V2);
   }
 
-  async _createChunks(texts) {
-    const chunks = await super._createChunks(texts);
+  async _createChunks(texts, optimizationLevel = null) {
+    const chunks = await super._createChunks(texts, optimizationLevel);
     return isolateNewlineChunks(chunks);
   }
 
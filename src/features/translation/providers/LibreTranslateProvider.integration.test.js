@@ -0,0 +1,259 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { LibreTranslateProvider } from './LibreTranslateProvider.js';
+import { discoverLibreTranslateLanguages, normalizeLibreTranslateUrl } from './utils/LibreTranslateApi.js';
+import { proxyManager } from '@/shared/proxy/ProxyManager.js';
+import {
+  getLibreTranslateApiUrlAsync,
+  getLibreTranslateApiKeyAsync,
+  getLibreTranslateLanguagesAsync
+} from '@/shared/config/config.js';
+import { resolveLibreTranslateCode } from '@/shared/config/languageConstants.js';
+import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
+
+// Mock dependencies
+vi.mock('webextension-polyfill', () => ({
+  default: {
+    runtime: { getBrowserInfo: vi.fn(), getManifest: () => ({ version: '1.0.0' }) },
+    storage: { local: { get: vi.fn(), set: vi.fn() } }
+  }
+}));
+
+vi.mock('@/shared/config/config.js', () => ({
+  getLibreTranslateApiUrlAsync: vi.fn(),
+  getLibreTranslateApiKeyAsync: vi.fn(),
+  getLibreTranslateLanguagesAsync: vi.fn(),
+  getSettingsAsync: vi.fn().mockResolvedValue({}),
+  getProviderOptimizationLevelAsync: vi.fn(() => Promise.resolve(3)),
+  TranslationMode: {
+    Selection: 'selection',
+    Select_Element: 'select_element',
+    Page: 'page',
+    PDF: 'pdf'
+  }
+}));
+
+vi.mock('@/shared/proxy/ProxyManager.js', () => ({
+  proxyManager: {
+    fetch: vi.fn(),
+    setConfig: vi.fn(),
+    testConnection: vi.fn()
+  }
+}));
+
+vi.mock('../../core/TranslationStatsManager.js', () => ({
+  statsManager: {
+    recordRequest: vi.fn(() => ({ globalCallId: 1, sessionCallId: 1 })),
+    recordError: vi.fn(),
+    recordSuccess: vi.fn(),
+    getSessionSummary: vi.fn(() => ({ chars: 0 }))
+  }
+}));
+
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+    headers: new Map([['content-type', 'application/json']]),
+    clone: function() { return this; }
+  };
+}
+
+/**
+ * Stub LibreTranslate server: routes by endpoint path and records the
+ * decoded requests.
+ */
+function startStubServer(routes) {
+  const requests = [];
+  proxyManager.fetch.mockImplementation(async (url, options = {}) => {
+    const path = new URL(url).pathname;
+    const body = options.body ? JSON.parse(options.body) : null;
+    requests.push({ url, path, body });
+    const route = routes[path];
+    if (!route) return jsonResponse(404, { error: 'Not Found' });
+    return typeof route === 'function' ? route(body) : route;
+  });
+  return requests;
+}
+
+const echoTranslate = (prefix) => (body) => jsonResponse(200, {
+  translatedText: body.q.map(text => `${prefix}${text}`)
+});
+
+describe('LibreTranslateProvider Internal Integration (Stub Server)', () => {
+  let provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getLibreTranslateApiUrlAsync.mockResolvedValue('http://localhost:5000/translate');
+    getLibreTranslateApiKeyAsync.mockResolvedValue('');
+    getLibreTranslateLanguagesAsync.mockResolvedValue([]);
+    provider = new LibreTranslateProvider();
+    vi.spyOn(provider, '_executeWithRateLimit').mockImplementation((task) => task({}));
+  });
+
+  it('sends a chunk as one q array and keeps blank items in place', async () => {
+    const requests = startStubServer({ '/translate': echoTranslate('DE:') });
+
+    const result = await provider._translateChunk(['Hello', '  ', 'World'], 'en', 'de', 'selection', null, 0, 3, 0, 1);
+
+    expect(result).toEqual(['DE:Hello', '', 'DE:World']);
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('http://localhost:5000/translate');
+    expect(requests[0].body).toEqual({ q: ['Hello', 'World'], source: 'en', target: 'de', format: 'text' });
+  });
+
+  it('adds the optional API key to every request', async () => {
+    getLibreTranslateApiKeyAsync.mockResolvedValue(' lt-key ');
+    const requests = startStubServer({
+      '/detect': jsonResponse(200, [{ language: 'en', confidence: 92 }]),
+      '/translate': echoTranslate('')
+    });
+
+    await provider._translateChunk(['Hello'], 'auto', 'de', 'selection', null, 0, 1, 0, 1);
+
+    expect(requests.map(r => r.body.api_key)).toEqual(['lt-key', 'lt-key']);
+  });
+
+  it('detects an auto source with /detect and sends it as the source', async () => {
+    const requests = startStubServer({
+      '/detect': jsonResponse(200, [{ language: 'fr', confidence: 40 }, { language: 'es', confidence: 88 }]),
+      '/translate': echoTranslate('EN:')
+    });
+
+    const result = await provider._translateChunk(['Hola', 'amigo'], 'auto', 'en', 'selection', null, 0, 2, 0, 1);
+
+    expect(result).toEqual(['EN:Hola', 'EN:amigo']);
+    expect(requests[0]).toMatchObject({ path: '/detect', body: { q: 'Hola\namigo' } });
+    expect(requests[1].body.source).toBe('es');
+    expect(provider.lastDetectedLanguage).toBe('es');
+  });
+
+  it('falls back to server-side auto detection when /detect fails', async () => {
+    const requests = startStubServer({
+      '/detect': jsonResponse(500, { error: 'detector unavailable' }),
+      '/translate': (body) => jsonResponse(200, {
+        translatedText: body.q.map(() => 'Hello'),
+        detectedLanguage: [{ language: 'it', confidence: 90 }]
+      })
+    });
+
+    const result = await provider._translateChunk(['Ciao'], 'auto', 'en', 'selection', null, 0, 1, 0, 1);
+
+    expect(result).toEqual(['Hello']);
+    expect(requests[1].body.source).toBe('auto');
+    expect(provider.lastDetectedLanguage).toBe('it');
+  });
+
+  it('uses HTML format for page translation and restores the text', async () => {
+    const requests = startStubServer({
+      '/translate': (body) => jsonResponse(200, {
+        translatedText: body.q.map(text => text.replace('Fish', 'Fisch').replace('Chips', 'Pommes'))
+      })
+    });
+
+    const result = await provider._translateChunk(['Fish & Chips <3\nDaily'], 'en', 'de', 'page', null, 0, 1, 0, 1);
+
+    expect(requests[0].body).toMatchObject({ q: ['Fish &amp; Chips &lt;3<br>Daily'], format: 'html' });
+    expect(result).toEqual(['Fisch & Pommes <3\nDaily']);
+  });
+
+  it('resolves codes against the discovered server languages', async () => {
+    getLibreTranslateLanguagesAsync.mockResolvedValue(['en', 'zh', 'zt']);
+    const requests = startStubServer({ '/translate': echoTranslate('') });
+
+    await provider._translateChunk(['Hello'], 'en', 'zh-tw', 'selection', null, 0, 1, 0, 1);
+
+    expect(requests[0].body.target).toBe('zt');
+  });
+
+  it('rejects languages the server does not offer before sending a request', async () => {
+    getLibreTranslateLanguagesAsync.mockResolvedValue(['en', 'de']);
+    const requests = startStubServer({ '/translate': echoTranslate('') });
+
+    await expect(provider._translateChunk(['Hello'], 'en', 'fa', 'selection', null, 0, 1, 0, 1))
+      .rejects.toMatchObject({ type: ErrorTypes.LANGUAGE_PAIR_NOT_SUPPORTED });
+    expect(requests).toHaveLength(0);
+  });
+
+  it('reports a missing server URL', async () => {
+    getLibreTranslateApiUrlAsync.mockResolvedValue('  ');
+
+    await expect(provider._translateChunk(['Hello'], 'en', 'de', 'selection', null, 0, 1, 0, 1))
+      .rejects.toMatchObject({ type: ErrorTypes.API_URL_MISSING });
+  });
+
+  it('surfaces the server error message', async () => {
+    startStubServer({ '/translate': jsonResponse(403, { error: 'Visit https://portal.libretranslate.com to get an API key' }) });
+
+    await expect(provider._translateChunk(['Hello'], 'en', 'de', 'selection', null, 0, 1, 0, 1))
+      .rejects.toThrow('Visit https://portal.libretranslate.com to get an API key');
+  });
+
+  it('rejects responses that do not match the request', async () => {
+    startStubServer({ '/translate': jsonResponse(200, { translatedText: 'Hallo' }) });
+
+    await expect(provider._translateChunk(['Hello', 'World'], 'en', 'de', 'selection', null, 0, 2, 0, 1))
+      .rejects.toMatchObject({ type: ErrorTypes.API_RESPONSE_INVALID });
+  });
+
+  it('returns one result per segment through traditional batching', async () => {
+    const requests = startStubServer({ '/translate': echoTranslate('DE:') });
+    const texts = Array.from({ length: 5 }, (_, i) => `Line ${i}`);
+
+    const result = await provider._traditionalBatchTranslate(texts, 'en', 'de', 'select_element', null, null, null, null, 'session-1');
+
+    expect(result).toEqual(texts.map(text => `DE:${text}`));
+    expect(requests.flatMap(r => r.body.q)).toEqual(texts);
+  });
+});
+
+describe('LibreTranslateApi', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it.each([
+    ['http://localhost:5000', 'http://localhost:5000'],
+    ['http://localhost:5000/', 'http://localhost:5000'],
+    ['https://lt.example.com/translate', 'https://lt.example.com'],
+    ['  https://lt.example.com/api/languages/  ', 'https://lt.example.com/api'],
+    ['', '']
+  ])('reduces %s to the server root', (input, expected) => {
+    expect(normalizeLibreTranslateUrl(input)).toBe(expected);
+  });
+
+  it('lists server languages sorted by name', async () => {
+    const requests = startStubServer({
+      '/languages': jsonResponse(200, [
+        { code: 'en', name: 'English', targets: ['de', 'fa'] },
+        { code: 'de', name: 'German', targets: ['en'] },
+        { name: 'broken' }
+      ])
+    });
+
+    const languages = await discoverLibreTranslateLanguages('http://localhost:5000/', { apiKey: 'k 1' });
+
+    expect(languages.map(l => l.code)).toEqual(['en', 'de']);
+    expect(requests[0].url).toBe('http://localhost:5000/languages?api_key=k%201');
+  });
+
+  it('reports servers that do not answer with a language list', async () => {
+    startStubServer({});
+
+    await expect(discoverLibreTranslateLanguages('http://localhost:5000')).rejects.toThrow('HTTP 404');
+    await expect(discoverLibreTranslateLanguages('')).rejects.toThrow('server URL');
+  });
+
+  it('maps app codes to current and legacy server codes', () => {
+    expect(resolveLibreTranslateCode('zh-cn')).toBe('zh-Hans');
+    expect(resolveLibreTranslateCode('zh-cn', ['en', 'zh-Hans'])).toBe('zh-Hans');
+    expect(resolveLibreTranslateCode('zh-cn', ['en', 'zh'])).toBe('zh');
+    expect(resolveLibreTranslateCode('pt-br', ['pt'])).toBe('pt');
+    expect(resolveLibreTranslateCode('no', ['nb'])).toBe('nb');
+    expect(resolveLibreTranslateCode('German', ['de'])).toBe('de');
+    expect(resolveLibreTranslateCode('fa', ['en', 'de'])).toBeNull();
+  });
+});
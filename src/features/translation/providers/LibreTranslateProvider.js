@@ -0,0 +1,243 @@
+import { BaseTranslateProvider } from "./BaseTranslateProvider.js";
+import { ProviderNames } from "./ProviderConstants.js";
+import { getTextInfo } from "./utils/TraditionalTextProcessor.js";
+import { normalizeLibreTranslateUrl } from "./utils/LibreTranslateApi.js";
+import { getScopedLogger } from "@/shared/logging/logger.js";
+import { LOG_COMPONENTS } from "@/shared/logging/logConstants.js";
+import { AUTO_DETECT_VALUE } from "@/shared/constants/core.js";
+import { resolveLibreTranslateCode } from "@/shared/config/languageConstants.js";
+import {
+  TranslationMode,
+  getLibreTranslateApiUrlAsync,
+  getLibreTranslateApiKeyAsync,
+  getLibreTranslateLanguagesAsync
+} from "@/shared/config/config.js";
+import { ErrorTypes } from '@/shared/error-management/ErrorTypes.js';
+import { matchErrorToType } from '@/shared/error-management/ErrorMatcher.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'LibreTranslateProvider');
+
+/**
+ * LibreTranslate Provider
+ * Open-source machine translation that can run on the user's own server.
+ *
+ * Each chunk is sent as one `/translate` request with a `q` array, so results
+ * map back by position without delimiters. Blank items are not sent and come
+ * back as empty strings. With an auto source, the language is identified once
+ * per chunk through `/detect` so every item in the chunk shares one source.
+ */
+export class LibreTranslateProvider extends BaseTranslateProvider {
+  static type = "translate";
+  static displayName = "LibreTranslate";
+  static reliableJsonMode = true;
+  static supportsDictionary = false;
+
+  // Characters of the chunk sent to /detect
+  static DETECT_SAMPLE_LENGTH = 500;
+
+  constructor() {
+    super(ProviderNames.LIBRETRANSLATE);
+  }
+
+  async _getConfig() {
+    const [apiUrl, apiKey, serverCodes] = await Promise.all([
+      getLibreTranslateApiUrlAsync(),
+      getLibreTranslateApiKeyAsync(),
+      getLibreTranslateLanguagesAsync()
+    ]);
+
+    return {
+      apiUrl: normalizeLibreTranslateUrl(apiUrl),
+      apiKey: String(apiKey || '').trim(),
+      serverCodes: Array.isArray(serverCodes) ? serverCodes : []
+    };
+  }
+
+  /**
+   * @param {string} lang - language code or name
+   * @param {string[]} serverCodes - discovered server languages
+   * @returns {string} server language code
+   * @throws {Error} LANGUAGE_PAIR_NOT_SUPPORTED when the server lacks the language
+   * @private
+   */
+  _getLangCode(lang, serverCodes) {
+    const code = resolveLibreTranslateCode(lang, serverCodes);
+    if (!code) {
+      const error = new Error(`LibreTranslate server does not support language: ${lang}`);
+      error.type = ErrorTypes.LANGUAGE_PAIR_NOT_SUPPORTED;
+      throw error;
+    }
+    return code;
+  }
+
+  /**
+   * @param {Object} fields - request fields
+   * @param {string} apiKey - optional server key
+   * @returns {Object} fetch options for a JSON POST
+   * @private
+   */
+  _buildFetchOptions(fields, apiKey) {
+    return {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json"
+      },
+      body: JSON.stringify(apiKey ? { ...fields, api_key: apiKey } : fields)
+    };
+  }
+
+  /**
+   * Identifies the source language of a chunk with `/detect`.
+   * Failures other than cancellation fall back to server-side auto detection.
+   * @returns {Promise<string|null>} server language code, or null when unknown
+   * @private
+   */
+  async _detectLanguage(texts, { apiUrl, apiKey, serverCodes }, abortController, sessionId) {
+    const sample = texts.filter(text => text.trim()).join('\n').slice(0, LibreTranslateProvider.DETECT_SAMPLE_LENGTH);
+    if (!sample) return null;
+
+    try {
+      const detections = await this._executeRequest({
+        url: `${apiUrl}/detect`,
+        fetchOptions: this._buildFetchOptions({ q: sample }, apiKey),
+        extractResponse: (data) => (Array.isArray(data) ? data : []),
+        context: 'libretranslate-detect',
+        abortController,
+        sessionId
+      });
+
+      const best = [...detections].sort((a, b) => (b?.confidence || 0) - (a?.confidence || 0))[0];
+      if (!best?.language) return null;
+      return serverCodes.length === 0 || serverCodes.includes(best.language) ? best.language : null;
+    } catch (error) {
+      const errorType = error.type || matchErrorToType(error);
+      if (errorType === ErrorTypes.USER_CANCELLED || error.name === 'AbortError') throw error;
+      logger.debug('[LibreTranslate] Language detection failed, using auto source:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Validates a `/translate` response for a `q` array.
+   * @param {*} data - Raw API response
+   * @param {number} expectedCount - number of texts sent
+   * @returns {{ translations: string[], detectedLanguage: string|null }}
+   * @private
+   */
+  _extractTranslations(data, expectedCount) {
+    const translations = data?.translatedText;
+    if (!Array.isArray(translations) || translations.length !== expectedCount) {
+      const error = new Error('LibreTranslate response did not contain one translation per text');
+      error.type = ErrorTypes.API_RESPONSE_INVALID;
+      throw error;
+    }
+
+    const detected = Array.isArray(data.detectedLanguage) ? data.detectedLanguage[0] : data.detectedLanguage;
+    return {
+      translations: translations.map(text => (typeof text === 'string' ? text : '')),
+      detectedLanguage: detected?.language || null
+    };
+  }
+
+  /**
+   * Escapes plain text for `format: "html"`; line breaks survive as <br>.
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  _toHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\r?\n/g, '<br>');
+  }
+
+  /**
+   * Reverses `_toHtml` on a translated fragment.
+   * @param {string} html
+   * @returns {string}
+   * @private
+   */
+  _fromHtml(html) {
+    return html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;|&#x27;/gi, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&'); // Must be last to avoid double-unescaping
+  }
+
+  /**
+   * Translates one chunk with a single `/translate` request.
+   * Page translation sends escaped HTML so line breaks inside DOM text
+   * survive as <br> instead of being merged by the server.
+   *
+   * @param {string[]} chunkTexts - Texts in this chunk (may include blanks)
+   * @param {string} sourceLang - Source language
+   * @param {string} targetLang - Target language
+   * @param {string} translateMode - Translation mode
+   * @param {AbortController} abortController - Cancellation controller
+   * @param {number} retryAttempt - Current retry attempt
+   * @param {number} segmentCount - Number of segments in this chunk
+   * @param {number} chunkIndex - Current chunk index
+   * @param {number} totalChunks - Total number of chunks
+   * @param {Object} options - Additional options (sessionId, originalCharCount)
+   * @returns {Promise<string[]>} one translation per input text
+   */
+  async _translateChunk(chunkTexts, sourceLang, targetLang, translateMode, abortController, retryAttempt, segmentCount, chunkIndex, totalChunks, options = {}) {
+    const sessionId = options.sessionId || abortController?.sessionId;
+    const context = 'libretranslate-translate-chunk';
+    const config = await this._getConfig();
+
+    this._validateConfig({ apiUrl: config.apiUrl }, ["apiUrl"], context);
+
+    const tl = this._getLangCode(targetLang, config.serverCodes);
+    const texts = chunkTexts.map(t => String(getTextInfo(t).text ?? ''));
+    const sendIndices = texts.map((text, i) => (text.trim() ? i : -1)).filter(i => i !== -1);
+
+    if (sendIndices.length === 0) {
+      return texts.map(() => '');
+    }
+
+    logger.debug(`[LibreTranslate] Translating chunk ${chunkIndex + 1}/${totalChunks} (${segmentCount} segments, attempt ${retryAttempt + 1})`);
+
+    let sl = 'auto';
+    if (!sourceLang || sourceLang === AUTO_DETECT_VALUE) {
+      const detected = await this._detectLanguage(texts, config, abortController, sessionId);
+      if (detected) {
+        sl = detected;
+        this._setDetectedLanguage(detected);
+      }
+    } else {
+      sl = this._getLangCode(sourceLang, config.serverCodes);
+    }
+
+    const isHtml = translateMode === TranslationMode.Page;
+    const q = sendIndices.map(i => (isHtml ? this._toHtml(texts[i]) : texts[i]));
+
+    const { translations, detectedLanguage } = await this._executeRequest({
+      url: `${config.apiUrl}/translate`,
+      fetchOptions: this._buildFetchOptions({ q, source: sl, target: tl, format: isHtml ? 'html' : 'text' }, config.apiKey),
+      extractResponse: (data) => this._extractTranslations(data, q.length),
+      context,
+      abortController,
+      charCount: q.reduce((sum, text) => sum + text.length, 0),
+      originalCharCount: options.originalCharCount,
+      sessionId
+    });
+
+    if (sl === 'auto') {
+      this._setDetectedLanguage(detectedLanguage);
+    }
+
+    const results = texts.map(() => '');
+    sendIndices.forEach((textIndex, i) => {
+      results[textIndex] = isHtml ? this._fromHtml(translations[i]) : translations[i];
+    });
+    return results;
+  }
+}
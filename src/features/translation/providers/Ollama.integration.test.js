@@ -0,0 +1,278 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { OllamaProvider } from './Ollama.js';
+import { discoverLocalModels } from './utils/LocalModelDiscovery.js';
+import { proxyManager } from '@/shared/proxy/ProxyManager.js';
+import { streamingManager } from '@/features/translation/core/StreamingManager.js';
+import { getOllamaJsonModeModelsAsync } from '@/shared/config/config.js';
+import { ResponseFormat } from '@/shared/config/translationConstants.js';
+
+// Mock dependencies
+vi.mock('webextension-polyfill', () => ({
+  default: {
+    runtime: { getBrowserInfo: vi.fn(), getManifest: () => ({ version: '1.0.0' }) },
+    storage: { local: { get: vi.fn(), set: vi.fn() } }
+  }
+}));
+
+vi.mock('@/shared/config/config.js', () => ({
+  getOllamaApiUrlAsync: vi.fn().mockResolvedValue('http://localhost:11434/'),
+  getOllamaApiModelAsync: vi.fn().mockResolvedValue('llama3.1:8b'),
+  getOllamaJsonModeModelsAsync: vi.fn().mockResolvedValue({}),
+  getSettingsAsync: vi.fn().mockResolvedValue({}),
+  getProviderOptimizationLevelAsync: vi.fn(() => Promise.resolve(3)),
+  TranslationMode: {
+    Selection: 'selection',
+    Select_Element: 'select_element',
+    Page: 'page',
+    PDF: 'pdf'
+  }
+}));
+
+vi.mock('@/shared/proxy/ProxyManager.js', () => ({
+  proxyManager: {
+    fetch: vi.fn(),
+    setConfig: vi.fn(),
+    testConnection: vi.fn()
+  }
+}));
+
+vi.mock('@/features/translation/core/StreamingManager.js', () => ({
+  streamingManager: {
+    isStreamActive: vi.fn().mockReturnValue(false),
+    streamBatchResults: vi.fn().mockResolvedValue(true),
+    completeStream: vi.fn().mockResolvedValue(true),
+    streamBatchError: vi.fn().mockResolvedValue(true)
+  }
+}));
+
+vi.mock('./utils/AIConversationHelper.js', () => ({
+  AIConversationHelper: {
+    getConversationParticipation: vi.fn().mockResolvedValue(false),
+    claimNextTurn: vi.fn().mockResolvedValue(1),
+    getConversationMessages: vi.fn().mockResolvedValue({ messages: [{ role: 'user', content: 'Hello' }] }),
+    updateSessionHistory: vi.fn().mockResolvedValue(true)
+  }
+}));
+
+vi.mock('../../core/TranslationStatsManager.js', () => ({
+  statsManager: {
+    recordRequest: vi.fn(() => ({ globalCallId: 1, sessionCallId: 1 })),
+    recordError: vi.fn(),
+    recordSuccess: vi.fn(),
+  }
+}));
+
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+    headers: new Map([['content-type', 'application/json']]),
+    clone: function() { return this; }
+  };
+}
+
+/**
+ * Stub local server: answers by path the way Ollama (or an OpenAI-compatible
+ * llama.cpp / LM Studio server) does, and records every request.
+ */
+function startStubServer(routes) {
+  const requests = [];
+  proxyManager.fetch.mockImplementation(async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    requests.push({ url, pathname, method: options.method || 'GET', body: options.body ? JSON.parse(options.body) : null });
+    const route = routes[pathname];
+    if (!route) return jsonResponse(404, { error: `${pathname} not found` });
+    return typeof route === 'function' ? route(requests.at(-1)) : route;
+  });
+  return requests;
+}
+
+const encoder = new TextEncoder();
+
+/**
+ * Streams a body the way local servers do. Chunks are cut mid-line so the
+ * reader has to buffer across reads.
+ */
+function streamResponse(wire, contentType) {
+  const chunks = wire.match(/[\s\S]{1,24}/g);
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: new Map([['content-type', contentType]]),
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      }
+    }),
+    text: async () => wire,
+    clone() { throw new Error('streams must not be cloned'); }
+  };
+}
+
+/** Ollama's native NDJSON: one JSON object per line, the last one marked done. */
+const ndjsonStream = (...parts) => streamResponse([
+  ...parts.map(content => JSON.stringify({ model: 'llama3.1:8b', message: { role: 'assistant', content }, done: false })),
+  JSON.stringify({ model: 'llama3.1:8b', message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 12, eval_count: 4 })
+].join('\n') + '\n', 'application/x-ndjson');
+
+/** OpenAI-compatible chunks as sent by llama.cpp and LM Studio. */
+const chunkStream = (...parts) => streamResponse([
+  ...parts.map(content => `data: ${JSON.stringify({ id: 'chatcmpl-1', model: 'llama3.1:8b', choices: [{ delta: { content }, finish_reason: null }] })}`),
+  `data: ${JSON.stringify({ id: 'chatcmpl-1', model: 'llama3.1:8b', choices: [{ delta: {}, finish_reason: 'stop' }] })}`,
+  'data: [DONE]'
+].join('\n\n') + '\n\n', 'text/event-stream');
+
+const completion = (content) => jsonResponse(200, {
+  id: 'chatcmpl-1',
+  model: 'llama3.1:8b',
+  choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+});
+
+describe('OllamaProvider Internal Integration (Local Server)', () => {
+  let provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getOllamaJsonModeModelsAsync.mockResolvedValue({});
+    streamingManager.isStreamActive.mockReturnValue(false);
+    provider = new OllamaProvider();
+  });
+
+  it('posts to the OpenAI-compatible endpoint under the base URL without credentials', async () => {
+    const requests = startStubServer({ '/v1/chat/completions': completion('Hallo Welt') });
+
+    const result = await provider._callAI('system', 'Hello world');
+
+    expect(result).toBe('Hallo Welt');
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(requests[0].body).toMatchObject({ model: 'llama3.1:8b', stream: true });
+    expect(requests[0].body).not.toHaveProperty('response_format');
+    expect(proxyManager.fetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization');
+  });
+
+  it('parses non-streamed answers as a whole, even when pretty-printed', async () => {
+    const body = {
+      id: 'chatcmpl-1',
+      model: 'llama3.1:8b',
+      choices: [{ message: { role: 'assistant', content: 'Hallo\nWelt' }, finish_reason: 'stop' }]
+    };
+    startStubServer({ '/v1/chat/completions': { ...jsonResponse(200, body), text: async () => JSON.stringify(body, null, 2) } });
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('system', 'Hello\nworld', { onDelta });
+
+    expect(result).toBe('Hallo\nWelt');
+    expect(onDelta).toHaveBeenCalledTimes(1);
+  });
+
+  it('reads NDJSON streams and forwards every chunk', async () => {
+    startStubServer({ '/v1/chat/completions': ndjsonStream('Hallo', ' Welt', '!') });
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('system', 'Hello world!', { onDelta });
+
+    expect(result).toBe('Hallo Welt!');
+    expect(onDelta.mock.calls).toEqual([
+      ['Hallo', 'Hallo'],
+      ['Hallo Welt', ' Welt'],
+      ['Hallo Welt!', '!']
+    ]);
+  });
+
+  it('reads OpenAI-compatible chunk streams from llama.cpp and LM Studio', async () => {
+    startStubServer({ '/v1/chat/completions': chunkStream('Bonjour', ' le monde') });
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('system', 'Hello world', { onDelta });
+
+    expect(result).toBe('Bonjour le monde');
+    expect(onDelta).toHaveBeenLastCalledWith('Bonjour le monde', ' le monde');
+  });
+
+  it('rejects streams that end without any text', async () => {
+    startStubServer({ '/v1/chat/completions': ndjsonStream() });
+
+    await expect(provider._callAI('system', 'Hello')).rejects.toThrow();
+  });
+
+  it('requests JSON mode for structured batches unless the model opted out', async () => {
+    const requests = startStubServer({ '/v1/chat/completions': completion('{"translations":["Hallo"]}') });
+
+    await provider._callAI('system', '["Hello"]', { expectedFormat: ResponseFormat.JSON_OBJECT });
+    expect(requests[0].body.response_format).toEqual({ type: 'json_object' });
+
+    getOllamaJsonModeModelsAsync.mockResolvedValue({ 'llama3.1:8b': false });
+    await provider._callAI('system', '["Hello"]', { expectedFormat: ResponseFormat.JSON_OBJECT });
+    expect(requests[1].body).not.toHaveProperty('response_format');
+  });
+
+  it('surfaces server errors such as a missing model', async () => {
+    startStubServer({ '/v1/chat/completions': jsonResponse(200, { error: { message: 'model "llama3.1:8b" not found' } }) });
+
+    await expect(provider._callAI('system', 'Hello')).rejects.toThrow('not found');
+  });
+
+  it('streams batch results through AIStreamManager', async () => {
+    streamingManager.isStreamActive.mockReturnValue(true);
+    vi.spyOn(provider, '_translateBatch').mockResolvedValue(['Hallo', 'Welt']);
+
+    const results = await provider._batchTranslate(['Hello', 'World'], 'en', 'de', 'selection', {}, 'msg-1', new AbortController(), 'normal', 'msg-1', null);
+
+    expect(await provider.getSupportsStreaming()).toBe(true);
+    expect(results).toEqual(['Hallo', 'Welt']);
+    expect(streamingManager.streamBatchResults).toHaveBeenCalledWith('msg-1', ['Hallo', 'Welt'], ['Hello', 'World'], 0, 'en', 'de');
+    expect(streamingManager.completeStream).toHaveBeenCalledWith('msg-1', true, expect.objectContaining({ targetLanguage: 'de' }));
+  });
+});
+
+describe('Local model discovery (stub server)', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('lists Ollama models from /api/tags', async () => {
+    const requests = startStubServer({
+      '/api/tags': jsonResponse(200, {
+        models: [
+          { name: 'qwen2.5:7b', details: { parameter_size: '7.6B', quantization_level: 'Q4_K_M' } },
+          { name: 'gemma2:2b', details: {} }
+        ]
+      })
+    });
+
+    const models = await discoverLocalModels('http://localhost:11434/v1');
+
+    expect(requests[0].url).toBe('http://localhost:11434/api/tags');
+    expect(models).toEqual([
+      { value: 'gemma2:2b', name: 'gemma2:2b' },
+      { value: 'qwen2.5:7b', name: 'qwen2.5:7b (7.6B Q4_K_M)' }
+    ]);
+  });
+
+  it('falls back to /v1/models for llama.cpp and LM Studio', async () => {
+    const requests = startStubServer({
+      '/v1/models': jsonResponse(200, { object: 'list', data: [{ id: 'mistral-7b-instruct' }] })
+    });
+
+    const models = await discoverLocalModels('http://localhost:1234');
+
+    expect(requests.map((request) => request.pathname)).toEqual(['/api/tags', '/v1/models']);
+    expect(models).toEqual([{ value: 'mistral-7b-instruct', name: 'mistral-7b-instruct' }]);
+  });
+
+  it('explains rejected extension origins', async () => {
+    startStubServer({
+      '/api/tags': jsonResponse(403, {}),
+      '/v1/models': jsonResponse(403, {})
+    });
+
+    await expect(discoverLocalModels('http://localhost:11434')).rejects.toThrow('OLLAMA_ORIGINS');
+  });
+});
@@ -0,0 +1,177 @@
+// src/features/translation/providers/Ollama.js
+import { BaseAIProvider } from "@/features/translation/providers/BaseAIProvider.js";
+import {
+  getOllamaApiUrlAsync,
+  getOllamaApiModelAsync,
+  getOllamaJsonModeModelsAsync,
+} from "@/shared/config/config.js";
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { ProviderNames } from "@/features/translation/providers/ProviderConstants.js";
+import { AIConversationHelper } from "./utils/AIConversationHelper.js";
+import { AITextProcessor } from "./utils/AITextProcessor.js";
+import { getLocalChatCompletionsUrl, isJsonModeEnabled } from "./utils/LocalModelDiscovery.js";
+import { readJsonLineStream } from "./utils/EventStreamReader.js";
+import { ResponseFormat } from "@/shared/config/translationConstants.js";
+import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
+import {
+  CompletionProviderFamily,
+  createCompletionRecord,
+  createUsageRecord,
+  normalizeTermination,
+} from "@/features/translation/ir/CompletionContract.js";
+import { recordProviderCompletion } from "@/features/translation/ir/TranslationOperation.js";
+
+const logger = getScopedLogger(LOG_COMPONENTS.PROVIDERS, 'Ollama');
+
+export class OllamaProvider extends BaseAIProvider {
+  static type = "ai";
+  static description = "Local Ollama, llama.cpp or LM Studio server";
+  static displayName = "Ollama / Local LLM";
+
+  constructor() {
+    super(ProviderNames.OLLAMA);
+  }
+
+  /**
+   * Normalizes the facts collected from one streamed response of the local
+   * server into a provider-neutral completion record. Local servers often omit
+   * usage and response ids; absent facts remain null.
+   * @private
+   */
+  _recordOllamaCompletion(completion, executionContext) {
+    if (!completion.finishReason && !completion.id) return false;
+
+    return recordProviderCompletion(executionContext, createCompletionRecord({
+      provider: this.providerName,
+      model: completion.model ?? null,
+      termination: normalizeTermination(CompletionProviderFamily.OPENAI_COMPATIBLE, completion.finishReason),
+      responseId: completion.id ?? null,
+      usage: createUsageRecord({
+        inputTokens: completion.usage.prompt_tokens,
+        outputTokens: completion.usage.completion_tokens,
+        totalTokens: completion.usage.total_tokens,
+      }),
+    }));
+  }
+
+  /**
+   * Reads the streamed body of a chat request. Both OpenAI-compatible chunks
+   * (`choices[0].delta`) and Ollama's native NDJSON lines (`message`) are
+   * accepted, as is a complete non-streamed answer from servers that ignore
+   * `stream` (sent as `application/json`, possibly pretty-printed, so it is
+   * parsed as a whole). `onDelta` receives the accumulated output after every chunk.
+   * @private
+   */
+  async _readCompletionStream(response, { onDelta } = {}) {
+    const completion = { id: null, model: null, finishReason: null, usage: {}, text: '' };
+
+    const readPayload = (payload) => {
+      if (payload?.error) {
+        throw new Error(`API_ERROR: ${payload.error.message || payload.error || 'Unknown local server error'}`);
+      }
+
+      const choice = payload.choices?.[0];
+      completion.id = payload.id ?? completion.id;
+      completion.model = payload.model ?? completion.model;
+      completion.finishReason = choice?.finish_reason ?? payload.done_reason ?? completion.finishReason;
+      if (payload.usage) Object.assign(completion.usage, payload.usage);
+      if (payload.done && Number.isInteger(payload.eval_count)) {
+        Object.assign(completion.usage, { prompt_tokens: payload.prompt_eval_count, completion_tokens: payload.eval_count });
+      }
+
+      const delta = choice?.delta?.content ?? choice?.message?.content ?? payload.message?.content;
+      if (typeof delta !== 'string' || !delta) return;
+      completion.text += delta;
+      if (typeof onDelta === 'function') onDelta(completion.text, delta);
+    };
+
+    const contentType = response.headers?.get?.('content-type') || '';
+    if (contentType.includes('application/json')) {
+      readPayload(await response.json());
+    } else {
+      await readJsonLineStream(response, readPayload);
+    }
+
+    return completion;
+  }
+
+  /**
+   * Internal implementation of the local server call.
+   * Uses the OpenAI-compatible chat endpoint that Ollama, llama.cpp and
+   * LM Studio all serve under `/v1`. Responses are always streamed; pass
+   * `options.onDelta` to observe partial output as it arrives.
+   * @protected
+   */
+  async _callAI(systemPrompt, userText, options = {}) {
+    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode, onDelta } = options;
+    const conversationParticipates = typeof participationOverride === 'boolean'
+      ? participationOverride
+      : await AIConversationHelper.getConversationParticipation({ callPurpose, translateMode: mode, sessionId });
+
+    const [apiUrl, model, jsonModeModels] = await Promise.all([
+      getOllamaApiUrlAsync(),
+      getOllamaApiModelAsync(),
+      getOllamaJsonModeModelsAsync(),
+    ]);
+
+    this._validateConfig({ apiUrl, model }, ["apiUrl", "model"], `${this.providerName.toLowerCase()}-translation`);
+
+    const turnNumber = conversationParticipates
+      ? await AIConversationHelper.claimNextTurn(sessionId, this.providerName, { callPurpose, translateMode: mode, conversationParticipates })
+      : 1;
+    logger.info(`[Ollama] Model: ${model}${sessionId ? ` (Session: ${sessionId.substring(0, 15)}..., Turn: ${turnNumber})` : ''}`);
+
+    const { messages } = await AIConversationHelper.getConversationMessages(sessionId, this.providerName, userText, systemPrompt, mode, { callPurpose, conversationParticipates });
+
+    const wantsJson = expectedFormat === ResponseFormat.JSON_OBJECT || expectedFormat === ResponseFormat.JSON_ARRAY;
+    const useJsonMode = wantsJson && isJsonModeEnabled(model, jsonModeModels);
+    if (wantsJson && !useJsonMode) {
+      logger.debug(`[Ollama] JSON mode disabled for ${model}; relying on the prompt contract`);
+    }
+
+    const fetchOptions = {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: 4096,
+        temperature: 0.1,
+        stream: true,
+        ...(useJsonMode && { response_format: { type: "json_object" } })
+      }),
+    };
+
+    const result = await this._executeRequest({
+      url: getLocalChatCompletionsUrl(apiUrl),
+      fetchOptions,
+      charCount: fetchOptions.body.length,
+      originalCharCount: isBatch ? AITextProcessor.estimateOriginalChars(userText) : userText.length,
+      extractResponse: async (response) => {
+        const completion = await this._readCompletionStream(response, { onDelta });
+        this._recordOllamaCompletion(completion, executionContext);
+        if (!completion.text) {
+          const err = new Error(ErrorTypes.API_RESPONSE_INVALID);
+          err.type = ErrorTypes.API_RESPONSE_INVALID;
+          throw err;
+        }
+        return completion.text;
+      },
+      context: `${this.providerName.toLowerCase()}-translation`,
+      abortController,
+      sessionId,
+      executionContext,
+      callPurpose
+    });
+
+    if (sessionId && result && conversationParticipates) {
+      if (conversationCommitCandidate) conversationCommitCandidate.stage({ sessionId, userContent: userText, assistantContent: result });
+      else await AIConversationHelper.updateSessionHistory(sessionId, userText, result, { callPurpose, translateMode: mode, conversationParticipates });
+    }
+
+    return result;
+  }
+}
+
+export default OllamaProvider;
@@ -47,6 +47,22 @@ vi.mock('../../core/TranslationStatsManager.js', () => ({
   }
 }));
 
+/** SSE response carrying OpenAI-compatible completion chunks. */
+function chunkStream(...parts) {
+  const wire = [
+    ...parts.map(content => `data: ${JSON.stringify({ id: 'chatcmpl-1', choices: [{ delta: { content }, finish_reason: null }] })}`),
+    `data: ${JSON.stringify({ id: 'chatcmpl-1', choices: [{ delta: {}, finish_reason: 'stop' }] })}`,
+    'data: [DONE]'
+  ].join('\n\n') + '\n\n';
+  return {
+    ok: true,
+    status: 200,
+    headers: new Map([['content-type', 'text/event-stream']]),
+    text: async () => wire,
+    clone() { throw new Error('streams must not be cloned'); }
+  };
+}
+
 describe('OpenAIProvider Internal Integration (Failover & Response Extraction)', () => {
   let provider;
 
@@ -130,4 +146,29 @@ describe('OpenAIProvider Internal Integration (Failover & Response Extraction)',
     // should catch and throw API_RESPONSE_INVALID
     await expect(provider._callAI('system', 'test')).rejects.toThrow();
   });
+
+  it('streams the completion when onDelta is given', async () => {
+    proxyManager.fetch.mockResolvedValue(chunkStream('Bon', 'jour'));
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('system', 'Hello', { onDelta });
+
+    expect(result).toBe('Bonjour');
+    expect(onDelta.mock.calls).toEqual([['Bon', 'Bon'], ['Bonjour', 'jour']]);
+    expect(JSON.parse(proxyManager.fetch.mock.calls[0][1].body)).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+  });
+
+  it('does not request a stream without onDelta', async () => {
+    proxyManager.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ choices: [{ message: { content: 'Bonjour' } }] }),
+      headers: new Map([['content-type', 'application/json']]),
+      clone: function() { return this; }
+    });
+
+    await provider._callAI('system', 'Hello');
+
+    expect(JSON.parse(proxyManager.fetch.mock.calls[0][1].body).stream).toBeUndefined();
+  });
 });
@@ -43,6 +43,22 @@ vi.mock('../../core/TranslationStatsManager.js', () => ({
   }
 }));
 
+/** SSE response carrying OpenAI-compatible completion chunks. */
+function chunkStream(...parts) {
+  const wire = [
+    ...parts.map(content => `data: ${JSON.stringify({ id: 'chatcmpl-1', choices: [{ delta: { content }, finish_reason: null }] })}`),
+    `data: ${JSON.stringify({ id: 'chatcmpl-1', choices: [{ delta: {}, finish_reason: 'stop' }] })}`,
+    'data: [DONE]'
+  ].join('\n\n') + '\n\n';
+  return {
+    ok: true,
+    status: 200,
+    headers: new Map([['content-type', 'text/event-stream']]),
+    text: async () => wire,
+    clone() { throw new Error('streams must not be cloned'); }
+  };
+}
+
 describe('OpenRouter Internal Integration (Failover & Headers)', () => {
   let provider;
 
@@ -128,4 +144,15 @@ describe('OpenRouter Internal Integration (Failover & Headers)', () => {
     
     expect(proxyManager.fetch).toHaveBeenCalledTimes(2); // Attempted both key-1 and key-2
   });
+
+  it('streams the completion when onDelta is given', async () => {
+    proxyManager.fetch.mockResolvedValue(chunkStream('Bon', 'jour'));
+    const onDelta = vi.fn();
+
+    const result = await provider._callAI('system', 'Hello', { onDelta });
+
+    expect(result).toBe('Bonjour');
+    expect(onDelta.mock.calls).toEqual([['Bon', 'Bon'], ['Bonjour', 'jour']]);
+    expect(JSON.parse(proxyManager.fetch.mock.calls[0][1].body)).toMatchObject({ stream: true });
+  });
 });
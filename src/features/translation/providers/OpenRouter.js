@@ -10,7 +10,9 @@ import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
 import { ProviderNames } from "@/features/translation/providers/ProviderConstants.js";
 import { AIConversationHelper } from "./utils/AIConversationHelper.js";
 import { AITextProcessor } from "./utils/AITextProcessor.js";
+import { readChatCompletionStream } from "./utils/ChatCompletionStreamReader.js";
 import { ResponseFormat } from "@/shared/config/translationConstants.js";
+import { ErrorTypes } from "@/shared/error-management/ErrorTypes.js";
 import {
   CompletionProviderFamily,
   createCompletionRecord,
@@ -58,10 +60,12 @@ export class OpenRouterProvider extends BaseAIProvider {
 
   /**
    * Internal implementation of the OpenRouter API call.
+   * The response is streamed when `options.onDelta` is given, which then
+   * receives the accumulated output after every chunk.
    * @protected
    */
   async _callAI(systemPrompt, userText, options = {}) {
-    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode } = options;
+    const { abortController, sessionId, expectedFormat, isBatch, executionContext, callPurpose, conversationCommitCandidate, conversationParticipates: participationOverride, mode, onDelta } = options;
     const conversationParticipates = typeof participationOverride === 'boolean'
       ? participationOverride
       : await AIConversationHelper.getConversationParticipation({ callPurpose, translateMode: mode, sessionId });
@@ -82,6 +86,8 @@ export class OpenRouterProvider extends BaseAIProvider {
 
     const { messages } = await AIConversationHelper.getConversationMessages(sessionId, this.providerName, userText, systemPrompt, mode, { callPurpose, conversationParticipates });
 
+    // Partial output is only requested when the caller observes it
+    const streamed = typeof onDelta === 'function';
     const fetchOptions = {
       method: "POST",
       headers: {
@@ -94,37 +100,51 @@ export class OpenRouterProvider extends BaseAIProvider {
         model: model || CONFIG.OPENROUTER_API_MODEL,
         messages: messages,
         max_tokens: 4096,
+        // Usage arrives with the final chunk of a streamed response
+        ...(streamed && { stream: true }),
         // Enforce JSON Mode if requested
         ...(expectedFormat === ResponseFormat.JSON_OBJECT && { response_format: { type: "json_object" } })
       }),
     };
 
+    const readCompletion = (data) => {
+      // Handle case where data might be a string (if parsing failed in engine but passed here)
+      let parsed = data;
+      if (typeof data === 'string') {
+        try { parsed = JSON.parse(data); } catch { /* use raw string */ }
+      }
+
+      if (parsed?.error) {
+        const errorInfo = parsed.error;
+        const errorMsg = errorInfo.message || errorInfo.metadata?.raw || (typeof errorInfo === 'string' ? errorInfo : 'Unknown OpenRouter Error');
+        throw new Error(`API_ERROR: ${errorMsg}`);
+      }
+
+      // OpenRouter sometimes returns an error object as the ONLY field in an object
+      if (parsed && Object.keys(parsed).length === 1 && parsed.error) {
+         throw new Error(`API_ERROR: ${parsed.error.message || 'Unknown OpenRouter Error'}`);
+      }
+
+      this._recordOpenRouterCompletion(parsed, executionContext);
+      return parsed?.choices?.[0]?.message?.content;
+    };
+
     const result = await this._executeRequest({
       url: CONFIG.OPENROUTER_API_URL,
       fetchOptions,
       charCount: fetchOptions.body.length,
       originalCharCount: isBatch ? AITextProcessor.estimateOriginalChars(userText) : userText.length,
-      extractResponse: (data) => {
-        // Handle case where data might be a string (if parsing failed in engine but passed here)
-        let parsed = data;
-        if (typeof data === 'string') {
-          try { parsed = JSON.parse(data); } catch { /* use raw string */ }
-        }
-
-        if (parsed?.error) {
-          const errorInfo = parsed.error;
-          const errorMsg = errorInfo.message || errorInfo.metadata?.raw || (typeof errorInfo === 'string' ? errorInfo : 'Unknown OpenRouter Error');
-          throw new Error(`API_ERROR: ${errorMsg}`);
+      extractResponse: streamed
+        ? async (response) => {
+          const content = readCompletion(await readChatCompletionStream(response, { onDelta }));
+          if (!content) {
+            const err = new Error(ErrorTypes.API_RESPONSE_INVALID);
+            err.type = ErrorTypes.API_RESPONSE_INVALID;
+            throw err;
+          }
+          return content;
         }
-
-        // OpenRouter sometimes returns an error object as the ONLY field in an object
-        if (parsed && Object.keys(parsed).length === 1 && parsed.error) {
-           throw new Error(`API_ERROR: ${parsed.error.message || 'Unknown OpenRouter Error'}`);
-        }
-
-        this._recordOpenRouterCompletion(parsed, executionContext);
-        return parsed?.choices?.[0]?.message?.content;
-      },
+        : readCompletion,
       context: `${this.providerName.toLowerCase()}-translation`,
       abortController,
       sessionId,
@@ -25,13 +25,16 @@ export const ProviderNames = {
   BING_TRANSLATE: 'BingTranslate',
   MICROSOFT_EDGE: 'MicrosoftEdge',
   LINGVA: 'Lingva',
+  LIBRETRANSLATE: 'LibreTranslate',
 
   // AI Services
   GEMINI: 'Gemini',
   OPENAI: 'OpenAI',
+  ANTHROPIC: 'Anthropic',
   DEEPSEEK: 'DeepSeek',
   OPENROUTER: 'OpenRouter',
   WEBAI: 'WebAI',
+  OLLAMA: 'Ollama',
 
   // Browser & Custom
   BROWSER_API: 'browserTranslate',
@@ -56,11 +59,14 @@ export const ProviderRegistryIds = {
   BING: 'bing',
   EDGE: 'edge',
   LINGVA: 'lingva',
+  LIBRETRANSLATE: 'libretranslate',
   GEMINI: 'gemini',
   OPENAI: 'openai',
+  ANTHROPIC: 'anthropic',
   DEEPSEEK: 'deepseek',
   OPENROUTER: 'openrouter',
   WEBAI: 'webai',
+  OLLAMA: 'ollama',
   BROWSER: 'browser',
   VAJEHYAB: 'vajehyab',
   CUSTOM: 'custom',
@@ -78,6 +84,42 @@ export const ProviderTypes = {
   MOCK: 'mock',
 };
 
+/**
+ * Custom provider profiles are addressed as `custom:<profileId>` in the
+ * registry and as `Custom:<profileId>` as provider names.
+ */
+export const CUSTOM_PROFILE_ID_PREFIX = `${ProviderRegistryIds.CUSTOM}:`;
+export const CUSTOM_PROFILE_NAME_PREFIX = `${ProviderNames.CUSTOM}:`;
+
+/**
+ * Check whether a registry ID points at a Custom provider profile
+ * @param {string} registryId - The registry ID
+ * @returns {boolean}
+ */
+export function isCustomProfileId(registryId) {
+  return typeof registryId === 'string'
+    && registryId.startsWith(CUSTOM_PROFILE_ID_PREFIX)
+    && registryId.length > CUSTOM_PROFILE_ID_PREFIX.length;
+}
+
+/**
+ * Extract the profile ID from a Custom profile registry ID
+ * @param {string} registryId - The registry ID
+ * @returns {string|null} - The profile ID or null for non-profile IDs
+ */
+export function getCustomProfileId(registryId) {
+  return isCustomProfileId(registryId) ? registryId.slice(CUSTOM_PROFILE_ID_PREFIX.length) : null;
+}
+
+/**
+ * Build the registry ID of a Custom provider profile
+ * @param {string} profileId - The profile ID
+ * @returns {string}
+ */
+export function toCustomProfileId(profileId) {
+  return `${CUSTOM_PROFILE_ID_PREFIX}${profileId}`;
+}
+
 export const TranslationCallPurpose = Object.freeze({
   PRIMARY_TRANSLATION: 'PRIMARY_TRANSLATION',
   STRUCTURED_RECOVERY: 'STRUCTURED_RECOVERY',
@@ -110,16 +152,22 @@ export function isProviderType(providerName, type) {
     [ProviderNames.BING_TRANSLATE]: ProviderTypes.TRANSLATE,
     [ProviderNames.MICROSOFT_EDGE]: ProviderTypes.TRANSLATE,
     [ProviderNames.LINGVA]: ProviderTypes.TRANSLATE,
+    [ProviderNames.LIBRETRANSLATE]: ProviderTypes.TRANSLATE,
     [ProviderNames.GEMINI]: ProviderTypes.AI,
     [ProviderNames.OPENAI]: ProviderTypes.AI,
+    [ProviderNames.ANTHROPIC]: ProviderTypes.AI,
     [ProviderNames.DEEPSEEK]: ProviderTypes.AI,
     [ProviderNames.OPENROUTER]: ProviderTypes.AI,
     [ProviderNames.WEBAI]: ProviderTypes.AI,
+    [ProviderNames.OLLAMA]: ProviderTypes.AI,
     [ProviderNames.BROWSER_API]: ProviderTypes.NATIVE,
     [ProviderNames.VAJEHYAB]: ProviderTypes.TRANSLATE,
     [ProviderNames.CUSTOM]: ProviderTypes.CUSTOM,
     [ProviderNames.MOCK]: ProviderTypes.MOCK,
   };
+  if (typeof providerName === 'string' && providerName.startsWith(CUSTOM_PROFILE_NAME_PREFIX)) {
+    return type === ProviderTypes.CUSTOM;
+  }
   return providerTypeMap[providerName] === type;
 }
 
@@ -137,16 +185,22 @@ export function registryIdToName(registryId) {
     [ProviderRegistryIds.BING]: ProviderNames.BING_TRANSLATE,
     [ProviderRegistryIds.EDGE]: ProviderNames.MICROSOFT_EDGE,
     [ProviderRegistryIds.LINGVA]: ProviderNames.LINGVA,
+    [ProviderRegistryIds.LIBRETRANSLATE]: ProviderNames.LIBRETRANSLATE,
     [ProviderRegistryIds.GEMINI]: ProviderNames.GEMINI,
     [ProviderRegistryIds.OPENAI]: ProviderNames.OPENAI,
+    [ProviderRegistryIds.ANTHROPIC]: ProviderNames.ANTHROPIC,
     [ProviderRegistryIds.DEEPSEEK]: ProviderNames.DEEPSEEK,
     [ProviderRegistryIds.OPENROUTER]: ProviderNames.OPENROUTER,
     [ProviderRegistryIds.WEBAI]: ProviderNames.WEBAI,
+    [ProviderRegistryIds.OLLAMA]: ProviderNames.OLLAMA,
     [ProviderRegistryIds.BROWSER]: ProviderNames.BROWSER_API,
     [ProviderRegistryIds.VAJEHYAB]: ProviderNames.VAJEHYAB,
     [ProviderRegistryIds.CUSTOM]: ProviderNames.CUSTOM,
     [ProviderRegistryIds.MOCK]: ProviderNames.MOCK,
   };
+  if (isCustomProfileId(registryId)) {
+    return `${CUSTOM_PROFILE_NAME_PREFIX}${getCustomProfileId(registryId)}`;
+  }
   return idToNameMap[registryId] || null;
 }
 
@@ -164,15 +218,21 @@ export function nameToRegistryId(providerName) {
     [ProviderNames.BING_TRANSLATE]: ProviderRegistryIds.BING,
     [ProviderNames.MICROSOFT_EDGE]: ProviderRegistryIds.EDGE,
     [ProviderNames.LINGVA]: ProviderRegistryIds.LINGVA,
+    [ProviderNames.LIBRETRANSLATE]: ProviderRegistryIds.LIBRETRANSLATE,
     [ProviderNames.GEMINI]: ProviderRegistryIds.GEMINI,
     [ProviderNames.OPENAI]: ProviderRegistryIds.OPENAI,
+    [ProviderNames.ANTHROPIC]: ProviderRegistryIds.ANTHROPIC,
     [ProviderNames.DEEPSEEK]: ProviderRegistryIds.DEEPSEEK,
     [ProviderNames.OPENROUTER]: ProviderRegistryIds.OPENROUTER,
     [ProviderNames.WEBAI]: ProviderRegistryIds.WEBAI,
+    [ProviderNames.OLLAMA]: ProviderRegistryIds.OLLAMA,
     [ProviderNames.BROWSER_API]: ProviderRegistryIds.BROWSER,
     [ProviderNames.VAJEHYAB]: ProviderRegistryIds.VAJEHYAB,
     [ProviderNames.CUSTOM]: ProviderRegistryIds.CUSTOM,
     [ProviderNames.MOCK]: ProviderRegistryIds.MOCK,
   };
+  if (typeof providerName === 'string' && providerName.startsWith(CUSTOM_PROFILE_NAME_PREFIX)) {
+    return toCustomProfileId(providerName.slice(CUSTOM_PROFILE_NAME_PREFIX.length));
+  }
   return nameToIdMap[providerName] || null;
 }
@@ -1,4 +1,5 @@
 import { providerRegistry } from "./ProviderRegistry.js";
+import { ensureCustomProfileRegistered } from "./register-providers.js";
 
 export class ProviderFactory {
   constructor() {
@@ -34,6 +35,7 @@ export class ProviderFactory {
 
   async _createProviderInstance(providerId) {
     try {
+      ensureCustomProfileRegistered(providerId);
       const ProviderClass = await providerRegistry.get(providerId);
       const provider = new ProviderClass();
       this.providerInstances.set(providerId, provider);
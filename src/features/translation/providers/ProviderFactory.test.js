@@ -11,6 +11,7 @@ vi.mock("./ProviderRegistry.js", () => {
   return {
     providerRegistry: {
       get: vi.fn(),
+      registerLazy: vi.fn(),
       getAllAvailable: vi.fn(() => mockAvailable),
       isProviderAvailable: vi.fn(id => mockAvailable.some(p => p.id === id))
     }
@@ -67,6 +68,20 @@ describe('ProviderFactory', () => {
       await expect(factory.getProvider('unknown'))
         .rejects.toThrow(/Failed to create provider instance/);
     });
+
+    it('should register Custom profiles on first use', async () => {
+      const { providerRegistry } = await import("./ProviderRegistry.js");
+      providerRegistry.get.mockResolvedValue(class Mock {});
+
+      await factory.getProvider('custom:azure');
+
+      expect(providerRegistry.registerLazy).toHaveBeenCalledWith(
+        'custom:azure',
+        expect.any(Function),
+        expect.objectContaining({ id: 'custom:azure' })
+      );
+      expect(providerRegistry.get).toHaveBeenCalledWith('custom:azure');
+    });
   });
 
   describe('Utility Methods', () => {
@@ -5,7 +5,14 @@
  * for every provider. Adding a new provider now only requires adding an entry here.
  */
 
-import { ProviderNames, ProviderRegistryIds, ProviderTypes } from './ProviderConstants.js';
+import {
+  ProviderNames,
+  ProviderRegistryIds,
+  ProviderTypes,
+  getCustomProfileId,
+  isCustomProfileId,
+  registryIdToName,
+} from './ProviderConstants.js';
 
 /**
  * Provider Categories for UI grouping
@@ -97,6 +104,19 @@ const getRawManifest = () => [
     requiredSettings: ['LINGVA_API_URL'],
     supported: true,
   },
+  {
+    id: ProviderRegistryIds.LIBRETRANSLATE,
+    name: ProviderNames.LIBRETRANSLATE,
+    displayName: "LibreTranslate",
+    type: ProviderTypes.TRANSLATE,
+    category: ProviderCategories.FREE,
+    icon: "custom.png",
+    importFunction: () => import("./LibreTranslateProvider.js").then(m => ({ default: m.LibreTranslateProvider })),
+    features: ["translation", "subtitle", "text", "autoDetect", "bulk", "bilingual"],
+    needsApiKey: false,
+    requiredSettings: ['LIBRETRANSLATE_API_URL'],
+    supported: true,
+  },
   {
     id: ProviderRegistryIds.BING,
     name: ProviderNames.BING_TRANSLATE,
@@ -139,6 +159,20 @@ const getRawManifest = () => [
     consumesTokens: true,
     supported: true,
   },
+  {
+    id: ProviderRegistryIds.ANTHROPIC,
+    name: ProviderNames.ANTHROPIC,
+    displayName: "Anthropic Claude",
+    type: ProviderTypes.AI,
+    category: ProviderCategories.AI,
+    icon: "provider.png",
+    importFunction: () => import("./Anthropic.js").then(m => ({ default: m.AnthropicProvider })),
+    features: ["translation", "subtitle", "text", "autoDetect", "context", "smart", "streaming", "dictionary", "bulk", "bilingual"],
+    needsApiKey: true,
+    requiredSettings: ['ANTHROPIC_API_KEY'],
+    consumesTokens: true,
+    supported: true,
+  },
   {
     id: ProviderRegistryIds.OPENROUTER,
     name: ProviderNames.OPENROUTER,
@@ -197,6 +231,19 @@ const getRawManifest = () => [
     requiredSettings: ['WEBAI_API_URL', 'WEBAI_API_MODEL'],
     supported: true,
   },
+  {
+    id: ProviderRegistryIds.OLLAMA,
+    name: ProviderNames.OLLAMA,
+    displayName: "Ollama / Local LLM",
+    type: ProviderTypes.AI,
+    category: ProviderCategories.LOCAL,
+    icon: "custom.png",
+    importFunction: () => import("./Ollama.js").then(m => ({ default: m.OllamaProvider })),
+    features: ["translation", "subtitle", "text", "autoDetect", "context", "offline", "streaming", "dictionary", "bulk", "bilingual"],
+    needsApiKey: false,
+    requiredSettings: ['OLLAMA_API_URL', 'OLLAMA_API_MODEL'],
+    supported: true,
+  },
   {
     id: ProviderRegistryIds.BROWSER,
     name: ProviderNames.BROWSER_API,
@@ -258,10 +305,35 @@ export const getProviderManifest = () => {
 // Backward compatibility for existing imports
 export const PROVIDER_MANIFEST = getProviderManifest();
 
+/**
+ * Derive the manifest entry of a Custom provider profile (`custom:<profileId>`).
+ * Profiles share the Custom entry's capabilities; their display name lives in
+ * the `CUSTOM_PROFILES` setting and is resolved by the UI.
+ */
+const deriveCustomProfileEntry = (id) => {
+  const base = getProviderManifest().find(p => p.id === ProviderRegistryIds.CUSTOM);
+  const profileId = getCustomProfileId(id);
+  return {
+    ...base,
+    id,
+    name: registryIdToName(id),
+    profileId,
+    requiredSettings: ['CUSTOM_PROFILES'],
+    importFunction: () => import("./CustomProvider.js").then(m => ({
+      default: class CustomProfileProvider extends m.CustomProvider {
+        constructor() {
+          super(profileId);
+        }
+      }
+    })),
+  };
+};
+
 /**
  * Helper: Find provider by Registry ID
  */
-export const findProviderById = (id) => getProviderManifest().find(p => p.id === id);
+export const findProviderById = (id) => getProviderManifest().find(p => p.id === id)
+  || (isCustomProfileId(id) ? deriveCustomProfileEntry(id) : undefined);
 
 /**
  * Helper: Find provider by Provider Name
@@ -1,20 +1,35 @@
 import { providerRegistry } from "./ProviderRegistry.js";
-import { PROVIDER_MANIFEST } from "./ProviderManifest.js";
+import { PROVIDER_MANIFEST, findProviderById } from "./ProviderManifest.js";
+import { isCustomProfileId } from "./ProviderConstants.js";
+
+const registerManifestEntry = (config) => {
+  providerRegistry.registerLazy(config.id, config.importFunction, {
+    id: config.id,
+    name: config.displayName,
+    type: config.type,
+    category: config.category,
+    icon: config.icon,
+    features: config.features
+  });
+};
 
 /**
  * Register all providers defined in the manifest for lazy loading.
  */
 export function registerAllProviders() {
-  PROVIDER_MANIFEST.forEach(config => {
-    providerRegistry.registerLazy(config.id, config.importFunction, {
-      id: config.id,
-      name: config.displayName,
-      type: config.type,
-      category: config.category,
-      icon: config.icon,
-      features: config.features
-    });
-  });
+  PROVIDER_MANIFEST.forEach(registerManifestEntry);
+}
+
+/**
+ * Register a Custom provider profile on first use. Profiles are user data, so
+ * they cannot be registered up front with the manifest.
+ * @returns {boolean} whether the ID is now available
+ */
+export function ensureCustomProfileRegistered(providerId) {
+  if (providerRegistry.isProviderAvailable(providerId)) return true;
+  if (!isCustomProfileId(providerId)) return false;
+  registerManifestEntry(findProviderById(providerId));
+  return true;
 }
 
 /**
@@ -21,7 +21,8 @@ import {
 } from '@/shared/config/config.js';
 import { NewlineManager } from '@/features/translation/utils/NewlineManager.js';
 import { shouldUseAutoPromptAsync } from '@/features/translation/utils/bilingualPromptHelper.js';
-import { buildSemanticInstructions } from './SemanticPromptBuilder.js';
+import { buildSemanticInstructions, buildGlossaryInstructions } from './SemanticPromptBuilder.js';
+import { glossaryManager } from '@/features/glossary/core/GlossaryManager.js';
 import { TranslationCallPurpose } from '../ProviderConstants.js';
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'AIConversationHelper');
@@ -312,6 +313,14 @@ export const AIConversationHelper = {
     let promptTemplate;
     const isDictionary = translateMode === TranslationMode.Dictionary_Translation;
 
+    // User glossary terms occurring in this request (dictionary output has its own format)
+    const sourceTexts = (Array.isArray(text) ? text : [text]).map(item => (
+      typeof item === 'object' && item !== null ? (item.t || item.text || '') : String(item ?? '')
+    ));
+    const glossaryInstructions = isDictionary
+      ? ''
+      : buildGlossaryInstructions(await glossaryManager.resolveTerms(sourceTexts, sourceLang, targetLang));
+
     // Detect if the input is in the specific JSON format (array of objects with 'text' property)
     let isJsonMode = false;
     const textToCheck = Array.isArray(text) ? text[0] : text;
@@ -330,13 +339,14 @@ export const AIConversationHelper = {
       translateMode === TranslationMode.Page ||
       translateMode === TranslationMode.PDF ||
       translateMode === TranslationMode.Subtitle ||
+      translateMode === TranslationMode.Document ||
       isJsonMode ||
       isStructuredRecoveryFormat
     );
     if (shouldUseBatchPrompt) {
       const useFollowup = !firstTurn && historyEnabled && translateMode === TranslationMode.Select_Element;
 
-      // Prioritize custom prompt template from metadata (Subtitle mode)
+      // Prioritize custom prompt template from metadata (Subtitle and Document modes)
       if (metadata?.promptTemplate) {
         promptTemplate = metadata.promptTemplate;
       } else if (useAutoPrompt) {
@@ -361,14 +371,19 @@ export const AIConversationHelper = {
         targetLang,
         isScalarStructuredRecovery ? TranslationMode.Field : translateMode,
         providerType,
+        {
+          extraInstructions: glossaryInstructions,
+          instructionTemplate: metadata?.siteProfile?.promptTemplate
+        },
       );
     }
 
     // Resolve instructions from template even for AI batch prompts
     let promptInstructions;
-    if (metadata?.instruction) {
-      // Prioritize custom instructions from metadata (Subtitle mode)
-      promptInstructions = metadata.instruction
+    const customInstruction = metadata?.instruction || metadata?.siteProfile?.promptTemplate;
+    if (customInstruction) {
+      // Prioritize custom instructions from metadata (Subtitle mode, then site profile)
+      promptInstructions = customInstruction
         .replace(/\$_{SOURCE}/g, sourceName)
         .replace(/\$_{TARGET}/g, targetName)
         .replace(/\$_{TEXT}\s*/g, '')  // Remove $_{TEXT} placeholder to prevent nesting
@@ -406,6 +421,10 @@ export const AIConversationHelper = {
       }
     }
 
+    if (shouldUseBatchPrompt && glossaryInstructions) {
+      promptInstructions += '\n' + glossaryInstructions;
+    }
+
     const textsArray = Array.isArray(text) ? text : [text];
     const textsCount = textsArray.length;
 
@@ -437,6 +456,11 @@ export const AIConversationHelper = {
         .replace(/\$_{PROMPT_INSTRUCTIONS}/g, promptInstructions)
         .replace(/\$_{BATCH_INSTRUCTION}/g, processedBatchInstruction)
         .replace(/\$_{COUNT}/g, String(textsCount));
+
+      // Custom templates (e.g. subtitles) may not reference the instructions placeholder
+      if (glossaryInstructions && !normalizedTemplate.includes("$_{PROMPT_INSTRUCTIONS}")) {
+        systemPrompt += '\n\n' + glossaryInstructions;
+      }
     } else {
       // For non-batch prompts (from buildPrompt), the text is already injected
       // We only need to replace language placeholders if they haven't been replaced yet
@@ -447,7 +471,7 @@ export const AIConversationHelper = {
     }
 
     // Determine if we should wrap the text in a JSON structure
-    // We wrap for batch requests (Select_Element, Page, Subtitle) or JSON input (excluding dictionary)
+    // We wrap for batch requests (Select_Element, Page, Subtitle, Document) or JSON input (excluding dictionary)
     const shouldWrap = shouldUseBatchPrompt && !isDictionary;
 
     let userText;
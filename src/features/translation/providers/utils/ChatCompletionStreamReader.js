@@ -0,0 +1,64 @@
+/**
+ * Chat Completion Stream Reader - assembles a streamed OpenAI-compatible
+ * Chat Completion (`stream: true`) back into the shape of a non-streamed one.
+ *
+ * OpenAI, DeepSeek, OpenRouter and custom OpenAI-compatible endpoints send
+ * `chat.completion.chunk` events whose `choices[0].delta.content` carries the
+ * next piece of output. Rebuilding `{ id, model, usage, choices: [{ message,
+ * finish_reason }] }` lets providers keep their existing response handling and
+ * completion recording for both transports.
+ */
+
+import { readJsonLineStream } from './EventStreamReader.js';
+
+/**
+ * Reads a streamed Chat Completion. Servers that ignore `stream` and answer
+ * with a complete `application/json` body are accepted as well. An `error`
+ * payload ends accumulation and is returned on the result, as a non-streamed
+ * error body would be.
+ * @param {Response} response - raw fetch response
+ * @param {Object} [options]
+ * @param {(text: string, delta: string) => void} [options.onDelta] - receives the accumulated output after every chunk
+ * @returns {Promise<Object>} Chat Completion shaped response
+ */
+export async function readChatCompletionStream(response, { onDelta } = {}) {
+  const contentType = response.headers?.get?.('content-type') || '';
+  if (contentType.includes('application/json')) {
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content === 'string' && content && typeof onDelta === 'function') onDelta(content, content);
+    return data;
+  }
+
+  const completion = { id: null, model: null, usage: null, error: null, finishReason: null, text: '' };
+
+  await readJsonLineStream(response, (payload) => {
+    if (completion.error) return;
+    if (payload?.error) {
+      completion.error = payload.error;
+      return;
+    }
+
+    const choice = payload.choices?.[0];
+    completion.id = payload.id ?? completion.id;
+    completion.model = payload.model ?? completion.model;
+    completion.usage = payload.usage ?? completion.usage;
+    completion.finishReason = choice?.finish_reason ?? completion.finishReason;
+
+    const delta = choice?.delta?.content;
+    if (typeof delta !== 'string' || !delta) return;
+    completion.text += delta;
+    if (typeof onDelta === 'function') onDelta(completion.text, delta);
+  });
+
+  if (completion.error) return { error: completion.error };
+
+  return {
+    id: completion.id,
+    model: completion.model,
+    usage: completion.usage,
+    choices: completion.id || completion.text
+      ? [{ index: 0, finish_reason: completion.finishReason, message: { role: 'assistant', content: completion.text } }]
+      : [],
+  };
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from 'vitest';
+import { readChatCompletionStream } from './ChatCompletionStreamReader.js';
+
+const encoder = new TextEncoder();
+
+/** Streams an SSE body in small reads so events are split across chunks. */
+function eventStream(events) {
+  const wire = events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}`).join('\n\n') + '\n\n';
+  const chunks = wire.match(/[\s\S]{1,16}/g);
+  return {
+    headers: new Map([['content-type', 'text/event-stream']]),
+    body: new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      }
+    })
+  };
+}
+
+const chunk = (content, extra = {}) => ({
+  id: 'chatcmpl-1',
+  model: 'gpt-4o-mini',
+  choices: [{ index: 0, delta: content === null ? {} : { content }, finish_reason: null }],
+  ...extra
+});
+
+describe('readChatCompletionStream', () => {
+  it('rebuilds a chat completion from streamed chunks and reports every delta', async () => {
+    const onDelta = vi.fn();
+    const response = eventStream([
+      chunk('Bon'),
+      chunk('jour'),
+      { ...chunk(null), choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] },
+      { id: 'chatcmpl-1', model: 'gpt-4o-mini', choices: [], usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 } },
+      '[DONE]'
+    ]);
+
+    const data = await readChatCompletionStream(response, { onDelta });
+
+    expect(data).toEqual({
+      id: 'chatcmpl-1',
+      model: 'gpt-4o-mini',
+      usage: { prompt_tokens: 9, completion_tokens: 2, total_tokens: 11 },
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: 'Bonjour' } }]
+    });
+    expect(onDelta.mock.calls).toEqual([['Bon', 'Bon'], ['Bonjour', 'jour']]);
+  });
+
+  it('accepts a complete JSON answer from servers that ignore stream', async () => {
+    const body = { id: 'chatcmpl-2', choices: [{ message: { content: 'Hallo' }, finish_reason: 'stop' }] };
+    const onDelta = vi.fn();
+
+    const data = await readChatCompletionStream({
+      headers: new Map([['content-type', 'application/json']]),
+      json: async () => body
+    }, { onDelta });
+
+    expect(data).toBe(body);
+    expect(onDelta).toHaveBeenCalledWith('Hallo', 'Hallo');
+  });
+
+  it('returns an error payload sent mid-stream as an error body', async () => {
+    const data = await readChatCompletionStream(eventStream([
+      chunk('Bon'),
+      { error: { message: 'Rate limit exceeded' } },
+      chunk('jour')
+    ]));
+
+    expect(data).toEqual({ error: { message: 'Rate limit exceeded' } });
+  });
+
+  it('returns no choices for a stream without output', async () => {
+    const data = await readChatCompletionStream(eventStream(['[DONE]']));
+
+    expect(data.choices).toEqual([]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Custom Profiles - named OpenAI-compatible endpoints for the Custom provider.
+ *
+ * Every profile in the `CUSTOM_PROFILES` setting is exposed as its own provider
+ * (`custom:<profileId>`) with its own endpoint, authentication, extra headers,
+ * model list and rate limits. Azure OpenAI deployments authenticate with an
+ * `api-key` header and require an `api-version` query parameter; gateways such
+ * as vLLM usually take a Bearer token or no authentication at all.
+ */
+
+export const CustomAuthSchemes = Object.freeze({
+  BEARER: 'bearer',    // Authorization: Bearer <key>
+  API_KEY: 'api-key',  // api-key: <key> (Azure OpenAI)
+  HEADER: 'header',    // <authHeader>: <key>
+  NONE: 'none',
+});
+
+export const CustomProfilePresets = Object.freeze({
+  GENERIC: 'generic',
+  AZURE: 'azure',
+});
+
+export const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * Creates a new profile. Azure profiles start with the `api-key` scheme and an
+ * API version; the endpoint has the shape
+ * `https://<resource>.openai.azure.com/openai/deployments/<deployment>/chat/completions`.
+ * @param {string} [preset] - one of CustomProfilePresets
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function createCustomProfile(preset = CustomProfilePresets.GENERIC, overrides = {}) {
+  const isAzure = preset === CustomProfilePresets.AZURE;
+  return {
+    id: Math.random().toString(36).slice(2, 10),
+    name: isAzure ? 'Azure OpenAI' : 'OpenAI Compatible',
+    preset,
+    apiUrl: '',
+    authScheme: isAzure ? CustomAuthSchemes.API_KEY : CustomAuthSchemes.BEARER,
+    authHeader: '',
+    apiKey: '',
+    apiVersion: isAzure ? DEFAULT_AZURE_API_VERSION : '',
+    headers: {},
+    models: [],
+    model: '',
+    rateLimit: { maxConcurrent: null, delayBetweenRequests: null },
+    ...overrides,
+  };
+}
+
+/**
+ * @param {Array<Object>} profiles - the `CUSTOM_PROFILES` setting
+ * @param {string} profileId
+ * @returns {Object|null}
+ */
+export function findCustomProfile(profiles, profileId) {
+  if (!Array.isArray(profiles) || !profileId) return null;
+  return profiles.find(profile => profile?.id === profileId) || null;
+}
+
+/**
+ * Whether a profile has everything a request needs. The key stays optional
+ * because some gateways accept anonymous requests.
+ * @param {Object|null} profile
+ * @returns {boolean}
+ */
+export function isCustomProfileComplete(profile) {
+  return Boolean(profile?.apiUrl?.trim() && profile?.model?.trim());
+}
+
+/**
+ * Builds the endpoint URL and headers for one request against a profile.
+ * Extra profile headers are applied last so they can override defaults.
+ * @param {Object} profile
+ * @param {string} [apiKey] - overrides `profile.apiKey`
+ * @returns {{url: string, headers: Object<string, string>}}
+ */
+export function buildCustomProfileRequest(profile, apiKey = profile?.apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  const authHeader = getCustomProfileAuthHeader(profile);
+  const key = String(apiKey || '').trim();
+
+  if (authHeader && key) {
+    headers[authHeader] = formatCustomProfileAuthValue(profile, key);
+  }
+
+  for (const [name, value] of Object.entries(profile?.headers || {})) {
+    if (name.trim()) headers[name.trim()] = String(value);
+  }
+
+  let url = String(profile?.apiUrl || '').trim();
+  const apiVersion = String(profile?.apiVersion || '').trim();
+  if (url && apiVersion && !/[?&]api-version=/.test(url)) {
+    url += `${url.includes('?') ? '&' : '?'}api-version=${encodeURIComponent(apiVersion)}`;
+  }
+
+  return { url, headers };
+}
+
+/**
+ * @param {Object} profile
+ * @returns {string|null} header carrying the key, or null when unauthenticated
+ */
+export function getCustomProfileAuthHeader(profile) {
+  switch (profile?.authScheme) {
+    case CustomAuthSchemes.API_KEY:
+      return 'api-key';
+    case CustomAuthSchemes.HEADER:
+      return profile.authHeader?.trim() || null;
+    case CustomAuthSchemes.NONE:
+      return null;
+    default:
+      return 'Authorization';
+  }
+}
+
+/**
+ * @param {Object} profile
+ * @param {string} key
+ * @returns {string} header value for the profile's auth scheme
+ */
+export function formatCustomProfileAuthValue(profile, key) {
+  const isBearer = !profile?.authScheme || profile.authScheme === CustomAuthSchemes.BEARER;
+  return isBearer ? `Bearer ${key}` : key;
+}
+
+/**
+ * Rate limits set on the profile, or null to use the optimization level.
+ * @param {Object} profile
+ * @returns {{maxConcurrent?: number, delayBetweenRequests?: number}|null}
+ */
+export function getCustomProfileRateLimit(profile) {
+  const limits = {};
+  const maxConcurrent = Number(profile?.rateLimit?.maxConcurrent);
+  const delay = Number(profile?.rateLimit?.delayBetweenRequests);
+
+  if (profile?.rateLimit?.maxConcurrent != null && Number.isInteger(maxConcurrent) && maxConcurrent > 0) {
+    limits.maxConcurrent = maxConcurrent;
+  }
+  if (profile?.rateLimit?.delayBetweenRequests != null && Number.isFinite(delay) && delay >= 0) {
+    limits.delayBetweenRequests = Math.round(delay);
+  }
+
+  return Object.keys(limits).length ? limits : null;
+}
+
+/**
+ * Parses "Name: value" lines into a header map; lines without a colon are ignored.
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+    const name = line.slice(0, separator).trim();
+    if (name) headers[name] = line.slice(separator + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * @param {Object<string, string>} headers
+ * @returns {string}
+ */
+export function formatHeaderLines(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
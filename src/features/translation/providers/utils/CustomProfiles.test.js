@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CustomAuthSchemes,
+  CustomProfilePresets,
+  buildCustomProfileRequest,
+  createCustomProfile,
+  getCustomProfileRateLimit,
+  parseHeaderLines,
+  formatHeaderLines,
+} from './CustomProfiles.js';
+
+describe('CustomProfiles', () => {
+  it('creates Azure profiles with the api-key scheme and an API version', () => {
+    const profile = createCustomProfile(CustomProfilePresets.AZURE);
+
+    expect(profile.id).toMatch(/^[a-z0-9]+$/);
+    expect(profile.authScheme).toBe(CustomAuthSchemes.API_KEY);
+    expect(profile.apiVersion).toBeTruthy();
+    expect(createCustomProfile().authScheme).toBe(CustomAuthSchemes.BEARER);
+  });
+
+  describe('buildCustomProfileRequest', () => {
+    const base = { apiUrl: 'https://example.com/v1/chat/completions', apiKey: 'secret', headers: {} };
+
+    it.each([
+      [CustomAuthSchemes.BEARER, { Authorization: 'Bearer secret' }],
+      [CustomAuthSchemes.API_KEY, { 'api-key': 'secret' }],
+      [CustomAuthSchemes.HEADER, { 'X-Api-Token': 'secret' }],
+    ])('authenticates with the %s scheme', (authScheme, expected) => {
+      const { headers } = buildCustomProfileRequest({ ...base, authScheme, authHeader: 'X-Api-Token' });
+      expect(headers).toEqual({ 'Content-Type': 'application/json', ...expected });
+    });
+
+    it('sends no credentials without a key or with the none scheme', () => {
+      expect(buildCustomProfileRequest({ ...base, apiKey: ' ' }).headers).toEqual({ 'Content-Type': 'application/json' });
+      expect(buildCustomProfileRequest({ ...base, authScheme: CustomAuthSchemes.NONE }).headers).toEqual({ 'Content-Type': 'application/json' });
+    });
+
+    it('applies extra headers after authentication', () => {
+      const { headers } = buildCustomProfileRequest({ ...base, headers: { 'X-Team': 'l10n', Authorization: 'Basic abc' } });
+      expect(headers).toMatchObject({ 'X-Team': 'l10n', Authorization: 'Basic abc' });
+    });
+
+    it('appends the API version unless the URL already carries one', () => {
+      expect(buildCustomProfileRequest({ ...base, apiVersion: '2024-10-21' }).url)
+        .toBe('https://example.com/v1/chat/completions?api-version=2024-10-21');
+      expect(buildCustomProfileRequest({ ...base, apiUrl: `${base.apiUrl}?foo=1`, apiVersion: '2024-10-21' }).url)
+        .toBe('https://example.com/v1/chat/completions?foo=1&api-version=2024-10-21');
+      expect(buildCustomProfileRequest({ ...base, apiUrl: `${base.apiUrl}?api-version=2024-06-01`, apiVersion: '2024-10-21' }).url)
+        .toBe('https://example.com/v1/chat/completions?api-version=2024-06-01');
+    });
+  });
+
+  it('keeps only valid rate limits', () => {
+    expect(getCustomProfileRateLimit({ rateLimit: { maxConcurrent: 3, delayBetweenRequests: 250 } })).toEqual({ maxConcurrent: 3, delayBetweenRequests: 250 });
+    expect(getCustomProfileRateLimit({ rateLimit: { maxConcurrent: 0, delayBetweenRequests: 0 } })).toEqual({ delayBetweenRequests: 0 });
+    expect(getCustomProfileRateLimit({ rateLimit: { maxConcurrent: null, delayBetweenRequests: null } })).toBeNull();
+    expect(getCustomProfileRateLimit(null)).toBeNull();
+  });
+
+  it('round-trips header lines', () => {
+    const headers = parseHeaderLines('X-Team: l10n\nmalformed\n  X-Url : https://a.b/c  \n');
+    expect(headers).toEqual({ 'X-Team': 'l10n', 'X-Url': 'https://a.b/c' });
+    expect(formatHeaderLines(headers)).toBe('X-Team: l10n\nX-Url: https://a.b/c');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Event Stream Reader - incremental parsing of `text/event-stream` (SSE) and
+ * line-delimited JSON (NDJSON) bodies.
+ *
+ * Providers that stream over HTTP receive the raw fetch response and hand each
+ * decoded event to a callback as it arrives. Responses without a readable body
+ * (e.g. some proxy strategies) are read in full and parsed the same way.
+ */
+
+/**
+ * Parses one SSE event block into its event name and data payload.
+ * Multi-line `data:` fields are joined with newlines per the SSE spec.
+ * @param {string} block - text between two blank lines
+ * @returns {{event: string|null, data: string}|null}
+ */
+export function parseEventBlock(block) {
+  let event = null;
+  const dataLines = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    else if (field === 'data') dataLines.push(value);
+  }
+
+  return dataLines.length ? { event, data: dataLines.join('\n') } : null;
+}
+
+/**
+ * Parses one line of a line-delimited JSON stream. Ollama's native API sends
+ * bare JSON objects; OpenAI-compatible local servers prefix them with `data:`.
+ * @param {string} line
+ * @returns {Object|null} Parsed payload, or null for blank, comment, `[DONE]` and unparsable lines
+ */
+export function parseJsonLine(line) {
+  const data = line.trim().replace(/^data:\s*/, '');
+  if (!data || data.startsWith(':') || data === '[DONE]') return null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Splits a response body on `separator` and dispatches every complete part
+ * as soon as it has arrived.
+ * @private
+ */
+async function readDelimited(response, separator, dispatch) {
+  if (typeof response.body?.getReader !== 'function') {
+    (await response.text()).split(separator).forEach(dispatch);
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const parts = buffer.split(separator);
+      buffer = parts.pop();
+      parts.forEach(dispatch);
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatch(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Reads an SSE response and invokes `onEvent` for every event in order.
+ * JSON payloads are parsed; `[DONE]` sentinels and unparsable payloads are
+ * skipped.
+ * @param {Response} response - fetch response with an event-stream body
+ * @param {(payload: Object, event: string|null) => void} onEvent
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(response, onEvent) {
+  await readDelimited(response, /\r?\n\r?\n/, (block) => {
+    const parsed = parseEventBlock(block);
+    if (!parsed || parsed.data === '[DONE]') return;
+    let payload;
+    try {
+      payload = JSON.parse(parsed.data);
+    } catch {
+      return;
+    }
+    onEvent(payload, parsed.event);
+  });
+}
+
+/**
+ * Reads a line-delimited JSON response and invokes `onPayload` for every
+ * JSON line in order. Single-line `data:` events are accepted as well, so the
+ * same reader serves servers that answer with SSE.
+ * @param {Response} response - fetch response with an NDJSON (or SSE) body
+ * @param {(payload: Object) => void} onPayload
+ * @returns {Promise<void>}
+ */
+export async function readJsonLineStream(response, onPayload) {
+  await readDelimited(response, /\r?\n/, (line) => {
+    const payload = parseJsonLine(line);
+    if (payload !== null) onPayload(payload);
+  });
+}
@@ -0,0 +1,71 @@
+/**
+ * LibreTranslate API - server URL handling and language discovery.
+ *
+ * LibreTranslate servers differ in the models they have installed, so the
+ * language list is read from `/languages` instead of being hard-coded. The
+ * codes are matched to app languages by `resolveLibreTranslateCode`.
+ */
+
+import { proxyManager } from '@/shared/proxy/ProxyManager.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.PROVIDERS, 'LibreTranslateApi');
+
+// Endpoint paths users commonly paste instead of the server root
+const ENDPOINT_SUFFIXES = [/\/translate$/, /\/detect$/, /\/languages$/];
+
+/**
+ * Reduces a configured URL to the server root, e.g.
+ * "https://translate.example.com/translate/" -> "https://translate.example.com".
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeLibreTranslateUrl(url) {
+  let base = String(url || '').trim().replace(/\/+$/, '');
+  for (const suffix of ENDPOINT_SUFFIXES) {
+    base = base.replace(suffix, '');
+  }
+  return base.replace(/\/+$/, '');
+}
+
+/**
+ * Lists the languages a LibreTranslate server offers.
+ * @param {string} url - configured server URL
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - sent for servers that require keys on every endpoint
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{ code: string, name: string, targets: string[] }>>} sorted by name
+ * @throws {Error} when the server does not answer with a language list
+ */
+export async function discoverLibreTranslateLanguages(url, { apiKey, signal } = {}) {
+  const base = normalizeLibreTranslateUrl(url);
+  if (!base) throw new Error('Enter the LibreTranslate server URL first.');
+
+  const query = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+  const response = await proxyManager.fetch(`${base}/languages${query}`, {
+    method: 'GET',
+    headers: { Accept: 'application/json' },
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`Could not list languages from ${base} (HTTP ${response.status}).`);
+  }
+
+  const data = await response.json();
+  if (!Array.isArray(data)) {
+    throw new Error(`${base} did not return a LibreTranslate language list.`);
+  }
+
+  const languages = data
+    .filter(language => language?.code)
+    .map(language => ({
+      code: language.code,
+      name: language.name || language.code,
+      targets: Array.isArray(language.targets) ? language.targets : []
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  logger.debug(`Discovered ${languages.length} LibreTranslate languages`);
+  return languages;
+}
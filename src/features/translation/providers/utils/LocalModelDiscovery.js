@@ -0,0 +1,122 @@
+/**
+ * Local Model Discovery - base URL handling and model listing for local LLM servers.
+ *
+ * Ollama lists installed models at `/api/tags`; llama.cpp server and LM Studio
+ * (and Ollama too) expose the OpenAI-compatible `/v1/models`. Both are tried so
+ * one base URL setting works for every server.
+ */
+
+import { proxyManager } from '@/shared/proxy/ProxyManager.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.PROVIDERS, 'LocalModelDiscovery');
+
+// Endpoint paths users commonly paste instead of the server root
+const ENDPOINT_SUFFIXES = [/\/v1\/chat\/completions$/, /\/api\/chat$/, /\/api\/tags$/, /\/v1\/models$/, /\/v1$/, /\/api$/];
+
+/**
+ * Reduces a configured URL to the server root, e.g.
+ * "http://localhost:11434/v1/chat/completions/" -> "http://localhost:11434".
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeLocalServerUrl(url) {
+  let base = String(url || '').trim().replace(/\/+$/, '');
+  for (const suffix of ENDPOINT_SUFFIXES) {
+    base = base.replace(suffix, '');
+  }
+  return base.replace(/\/+$/, '');
+}
+
+/**
+ * @param {string} url - configured base URL
+ * @returns {string} the OpenAI-compatible chat endpoint
+ */
+export function getLocalChatCompletionsUrl(url) {
+  return `${normalizeLocalServerUrl(url)}/v1/chat/completions`;
+}
+
+/**
+ * Whether structured (JSON) batch requests for `model` are sent with JSON mode.
+ * Models are opted in unless listed with `false`; some small models and some
+ * servers (e.g. LM Studio) reject or degrade under `response_format`.
+ * @param {string} model
+ * @param {Object<string, boolean>} [jsonModeModels]
+ * @returns {boolean}
+ */
+export function isJsonModeEnabled(model, jsonModeModels = {}) {
+  return jsonModeModels?.[model] !== false;
+}
+
+function describeSize(details) {
+  return [details?.parameter_size, details?.quantization_level].filter(Boolean).join(' ');
+}
+
+function parseOllamaTags(data) {
+  if (!Array.isArray(data?.models)) return null;
+  return data.models
+    .map((model) => {
+      const value = model?.name || model?.model;
+      if (!value) return null;
+      const size = describeSize(model.details);
+      return { value, name: size ? `${value} (${size})` : value };
+    })
+    .filter(Boolean);
+}
+
+function parseOpenAIModels(data) {
+  if (!Array.isArray(data?.data)) return null;
+  return data.data
+    .filter((model) => model?.id)
+    .map((model) => ({ value: model.id, name: model.id }));
+}
+
+async function requestJson(url, signal) {
+  const response = await proxyManager.fetch(url, { method: 'GET', signal });
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Lists the models a local server offers.
+ * @param {string} url - configured base URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{ value: string, name: string }>>} sorted by model name
+ * @throws {Error} when neither endpoint answers with a model list
+ */
+export async function discoverLocalModels(url, { signal } = {}) {
+  const base = normalizeLocalServerUrl(url);
+  if (!base) throw new Error('Enter the local server URL first.');
+
+  const attempts = [
+    { path: '/api/tags', parse: parseOllamaTags },
+    { path: '/v1/models', parse: parseOpenAIModels }
+  ];
+
+  let lastError = null;
+  for (const { path, parse } of attempts) {
+    try {
+      const models = parse(await requestJson(`${base}${path}`, signal));
+      if (models) {
+        logger.debug(`Discovered ${models.length} local models via ${path}`);
+        return models.sort((a, b) => a.value.localeCompare(b.value));
+      }
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error;
+      lastError = error;
+      logger.debug(`Model listing via ${path} failed:`, error?.message || error);
+    }
+  }
+
+  if (lastError?.statusCode === 403) {
+    // Ollama rejects unknown origins; OLLAMA_ORIGINS must allow the extension
+    throw new Error('The local server refused the request (403). Allow the extension origin, e.g. OLLAMA_ORIGINS=chrome-extension://*,moz-extension://*');
+  }
+  throw new Error(`Could not list models from ${base}${lastError?.message ? ` (${lastError.message})` : ''}.`);
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect, vi } from 'vitest';
+import { normalizeLocalServerUrl, getLocalChatCompletionsUrl, isJsonModeEnabled } from './LocalModelDiscovery.js';
+
+vi.mock('@/shared/proxy/ProxyManager.js', () => ({
+  proxyManager: { fetch: vi.fn() }
+}));
+
+describe('LocalModelDiscovery', () => {
+  describe('normalizeLocalServerUrl', () => {
+    it.each([
+      ['http://localhost:11434', 'http://localhost:11434'],
+      ['http://localhost:11434/', 'http://localhost:11434'],
+      ['  http://localhost:11434/v1  ', 'http://localhost:11434'],
+      ['http://localhost:8080/v1/chat/completions', 'http://localhost:8080'],
+      ['http://127.0.0.1:11434/api/chat', 'http://127.0.0.1:11434'],
+      ['http://gpu-box.lan:11434/api/tags', 'http://gpu-box.lan:11434'],
+      ['', '']
+    ])('reduces %s to the server root', (input, expected) => {
+      expect(normalizeLocalServerUrl(input)).toBe(expected);
+    });
+  });
+
+  it('builds the chat completions endpoint', () => {
+    expect(getLocalChatCompletionsUrl('http://localhost:1234/v1/')).toBe('http://localhost:1234/v1/chat/completions');
+  });
+
+  it('enables JSON mode unless the model opted out', () => {
+    expect(isJsonModeEnabled('llama3.1:8b')).toBe(true);
+    expect(isJsonModeEnabled('llama3.1:8b', { 'llama3.1:8b': true })).toBe(true);
+    expect(isJsonModeEnabled('llama3.1:8b', { 'llama3.1:8b': false })).toBe(false);
+    expect(isJsonModeEnabled('qwen2.5:7b', { 'llama3.1:8b': false })).toBe(true);
+    expect(isJsonModeEnabled('qwen2.5:7b', null)).toBe(true);
+  });
+});
@@ -16,6 +16,8 @@ import { appendTranslationDiagnostic } from '@/features/translation/ir/Translati
 
 const logger = getScopedLogger(LOG_COMPONENTS.TRANSLATION, 'ProviderRequestEngine');
 
+const STREAMING_CONTENT_TYPES = ['text/event-stream', 'application/x-ndjson'];
+
 function normalizeCallPurpose(callPurpose) {
   return Object.values(TranslationCallPurpose).includes(callPurpose)
     ? callPurpose
@@ -221,7 +223,11 @@ export const ProviderRequestEngine = {
       let responseData = null;
 
       // 1. Pre-process response data for logging (SMART LOGGING)
-      const canClone = typeof response.clone === 'function';
+      // Event streams (SSE or NDJSON) are consumed incrementally by the provider,
+      // so they are never cloned or read ahead for logging.
+      const responseContentType = response.headers?.get?.('content-type') || '';
+      const isEventStream = Boolean(response.ok && STREAMING_CONTENT_TYPES.some(type => responseContentType.includes(type)));
+      const canClone = typeof response.clone === 'function' && !isEventStream;
       const clonedForLogging = canClone ? response.clone() : null;
       
       if (clonedForLogging) {
@@ -275,7 +281,8 @@ export const ProviderRequestEngine = {
           } catch { /* ignore */ }
         }
         
-        const msg = body.detail || body.error?.message || response.statusText || `HTTP ${response.status}`;
+        // LibreTranslate reports errors as a plain string: {"error": "..."}
+        const msg = body.detail || body.error?.message || (typeof body.error === 'string' && body.error) || response.statusText || `HTTP ${response.status}`;
         const logLevel = 'warn'; // Providers only warn, upper layers handle errors
         
         let sanitizedUrl = url;
@@ -292,11 +299,15 @@ export const ProviderRequestEngine = {
           url: sanitizedUrl,
         });
 
+        // Some APIs wrap errors in an envelope whose `type` is not an ErrorType
+        // (e.g. Anthropic's {"type":"error","error":{...}}); only known types win.
+        const { type: bodyType, ...bodyFields } = body || {};
         const errorType = matchErrorToType({ 
           statusCode: response.status, 
           message: msg, 
           providerType: provider.constructor.type,
-          ...body 
+          ...bodyFields,
+          ...(bodyType && Object.keys(ErrorTypes).includes(bodyType) && { type: bodyType })
         });
 
         const err = new Error(msg);
@@ -313,7 +324,7 @@ export const ProviderRequestEngine = {
 
       // Special case: If handler wants the raw response object, give it a fresh clone
       if (isAsyncHandler || wantsRawResponse) {
-        const responseToPass = typeof response.clone === 'function' ? response.clone() : response;
+        const responseToPass = canClone ? response.clone() : response;
         return await extractResponse(responseToPass, response.status, responseToPass);
       }
 
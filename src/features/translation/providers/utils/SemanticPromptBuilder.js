@@ -90,3 +90,34 @@ export function buildSemanticInstructions(semanticHint) {
 
   return HEADER + '\n' + enabledInstructions.join('\n')
 }
+
+const GLOSSARY_HEADER = 'Glossary (mandatory terminology):'
+const MAX_GLOSSARY_TERMS = 100
+
+/**
+ * Builds terminology instructions from user glossary terms that occur in the
+ * text being translated.
+ *
+ * @param {Array<{source: string, target: string, caseSensitive?: boolean}>|null} terms - Matched glossary terms.
+ * @returns {string} Glossary instructions, or empty string when there are no terms.
+ */
+export function buildGlossaryInstructions(terms) {
+  if (!Array.isArray(terms) || terms.length === 0) {
+    return ''
+  }
+
+  const lines = terms
+    .filter((term) => term && typeof term.source === 'string' && typeof term.target === 'string')
+    .slice(0, MAX_GLOSSARY_TERMS)
+    .map((term) => `- "${term.source}" → "${term.target}"${term.caseSensitive ? ' (case-sensitive)' : ''}`)
+
+  if (lines.length === 0) {
+    return ''
+  }
+
+  return [
+    GLOSSARY_HEADER,
+    'Always translate each source term below with exactly the given target term, adapting only grammatical inflection when the target language requires it.',
+    ...lines
+  ].join('\n')
+}
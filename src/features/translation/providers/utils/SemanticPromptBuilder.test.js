@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { buildSemanticInstructions } from './SemanticPromptBuilder.js';
+import { buildSemanticInstructions, buildGlossaryInstructions } from './SemanticPromptBuilder.js';
 
 describe('SemanticPromptBuilder', () => {
   describe('null and malformed input', () => {
@@ -180,3 +180,22 @@ describe('SemanticPromptBuilder', () => {
     });
   });
 });
+
+describe('buildGlossaryInstructions', () => {
+  it('returns empty string without terms', () => {
+    expect(buildGlossaryInstructions([])).toBe('');
+    expect(buildGlossaryInstructions(null)).toBe('');
+    expect(buildGlossaryInstructions([{ source: 1 }])).toBe('');
+  });
+
+  it('lists each term mapping under the glossary header', () => {
+    const result = buildGlossaryInstructions([
+      { source: 'pull request', target: 'درخواست ادغام' },
+      { source: 'Vue', target: 'Vue', caseSensitive: true }
+    ]);
+
+    expect(result).toContain('Glossary (mandatory terminology):');
+    expect(result).toContain('- "pull request" → "درخواست ادغام"');
+    expect(result).toContain('- "Vue" → "Vue" (case-sensitive)');
+  });
+});
@@ -53,6 +53,9 @@ function isSpecificTextJsonFormat(obj) {
  * @param {string} targetLang - زبان مقصد.
  * @param {string} [translateMode=TranslationMode.Field] - حالت ترجمه (مانند Popup_Translate، Dictionary_Translation، و غیره).
  * @param {string} [providerType='translate'] - The type of the provider ('ai' or 'translate').
+ * @param {Object} [options]
+ * @param {string} [options.extraInstructions] - Additional instructions (e.g. glossary terms) appended to the prompt instructions.
+ * @param {string} [options.instructionTemplate] - Replaces the stored prompt template (e.g. a site profile prompt).
  * @returns {Promise<string>} - پرامت نهایی ساخته شده.
  */
 export async function buildPrompt(
@@ -60,7 +63,8 @@ export async function buildPrompt(
   sourceLang,
   targetLang,
   translateMode = TranslationMode.Field,
-  providerType = 'translate'
+  providerType = 'translate',
+  { extraInstructions = '', instructionTemplate = '' } = {}
 ) {
   let isJsonMode = false;
   try {
@@ -91,19 +95,23 @@ export async function buildPrompt(
   const useAutoPrompt = await shouldUseAutoPromptAsync(sourceLang, translateMode);
 
   // Resolve instructions from template
-  const promptTemplate = useAutoPrompt
+  const promptTemplate = instructionTemplate || (useAutoPrompt
     ? await getPromptAutoAsync()
-    : await getPromptAsync();
+    : await getPromptAsync());
 
   // Remove $_{TEXT} from prompt instructions since it will be replaced in the base prompt
   const promptInstructionsWithoutText = promptTemplate
     .replace(/\$_{TEXT}\s*/g, '')  // Remove $_{TEXT} placeholder and trailing whitespace
     .replace(/\n\s*$/g, '');        // Remove trailing empty lines
 
-  const promptInstructions = promptInstructionsWithoutText
+  let promptInstructions = promptInstructionsWithoutText
     .replace(/\$_{SOURCE}/g, sourceName)
     .replace(/\$_{TARGET}/g, targetName);
 
+  if (extraInstructions) {
+    promptInstructions += '\n' + extraInstructions;
+  }
+
   // Handle AI provider batch translation for select_element or any JSON text
   if (isAI && (translateMode === TranslationMode.Select_Element || translateMode === TranslationMode.PDF || isJsonMode)) {
     logger.debug('AI provider in Batch mode. Using AI batch prompt.');
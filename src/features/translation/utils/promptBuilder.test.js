@@ -88,4 +88,20 @@ describe('buildPrompt', () => {
     expect(prompt).not.toContain('BASE:');
   });
 
+  it('uses the instruction template instead of the stored prompt', async () => {
+    const { getPromptAsync, getPromptBASEFieldAsync } = await import('@/shared/config/config.js');
+    const { shouldUseAutoPromptAsync } = await import('@/features/translation/utils/bilingualPromptHelper.js');
+
+    shouldUseAutoPromptAsync.mockResolvedValue(false);
+    getPromptAsync.mockResolvedValue('INSTRUCTIONS: translate from $_{SOURCE} to $_{TARGET}');
+    getPromptBASEFieldAsync.mockResolvedValue('BASE: $_{PROMPT_INSTRUCTIONS}\n$_{TEXT}');
+
+    const prompt = await buildPrompt('Hello', 'en', 'fa', 'content', 'ai', {
+      instructionTemplate: 'SITE: keep code in $_{SOURCE}, write $_{TARGET}'
+    });
+
+    expect(getPromptAsync).not.toHaveBeenCalled();
+    expect(prompt).toContain('BASE: SITE: keep code in English, write Persian');
+  });
+
 });
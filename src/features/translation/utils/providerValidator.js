@@ -6,6 +6,8 @@
  */
 
 import { findProviderById } from '../providers/ProviderManifest.js';
+import { getCustomProfileId, isCustomProfileId } from '../providers/ProviderConstants.js';
+import { findCustomProfile, isCustomProfileComplete } from '../providers/utils/CustomProfiles.js';
 
 /**
  * Checks if a provider has all its essential settings configured.
@@ -29,6 +31,12 @@ export const isProviderConfigured = (providerId, settings) => {
 export const getFirstMissingSetting = (providerId, settings) => {
   if (!providerId || !settings) return null;
 
+  // Custom profiles keep their settings inside the CUSTOM_PROFILES entry
+  if (isCustomProfileId(providerId)) {
+    const profile = findCustomProfile(settings.CUSTOM_PROFILES, getCustomProfileId(providerId));
+    return isCustomProfileComplete(profile) ? null : 'CUSTOM_PROFILES';
+  }
+
   const provider = findProviderById(providerId);
   
   if (!provider || !provider.requiredSettings || !Array.isArray(provider.requiredSettings)) {
@@ -32,4 +32,13 @@ describe('providerValidator', () => {
       })
     ).toBe('CUSTOM_API_MODEL');
   });
+
+  it('checks Custom profiles against their own endpoint and model', () => {
+    const profile = { id: 'azure', apiUrl: 'https://res.openai.azure.com/openai/deployments/gpt-4o/chat/completions', model: 'gpt-4o' };
+
+    expect(findProviderById('custom:azure')?.requiredSettings).toEqual(['CUSTOM_PROFILES']);
+    expect(getFirstMissingSetting('custom:azure', { CUSTOM_PROFILES: [profile] })).toBeNull();
+    expect(getFirstMissingSetting('custom:azure', { CUSTOM_PROFILES: [{ ...profile, model: ' ' }] })).toBe('CUSTOM_PROFILES');
+    expect(getFirstMissingSetting('custom:deleted', { CUSTOM_PROFILES: [profile] })).toBe('CUSTOM_PROFILES');
+  });
 });
@@ -0,0 +1,150 @@
+import ResourceTracker from '@/core/memory/ResourceTracker.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { VideoCaptionTranslator } from './core/VideoCaptionTranslator.js';
+import { VideoCaptionSession } from './core/VideoCaptionSession.js';
+import { TextTrackCaptionSource } from './core/TextTrackCaptionSource.js';
+import { SiteCaptionSource } from './core/SiteCaptionSource.js';
+
+// Import CSS as inline string
+import captionStyles from './VideoCaptionOverlay.scss?inline';
+
+const logger = getScopedLogger(LOG_COMPONENTS.SUBTITLE, 'VideoCaptionManager');
+
+// Media events do not bubble, so they are caught on the way down instead
+const MEDIA_EVENTS = ['play', 'loadeddata'];
+
+/**
+ * VideoCaptionManager - Translates the captions of playing videos live.
+ *
+ * A session is attached to every video whose captions can be read, either
+ * from a site player's caption container or from the text track the user
+ * turned on. All sessions share one translator, so its cache and request
+ * queue cover the whole page.
+ */
+export class VideoCaptionManager extends ResourceTracker {
+  static instance = null;
+
+  static getInstance() {
+    if (!VideoCaptionManager.instance) {
+      VideoCaptionManager.instance = new VideoCaptionManager();
+    }
+    return VideoCaptionManager.instance;
+  }
+
+  constructor() {
+    super('video-caption-manager');
+    this.isActive = false;
+    this.translator = new VideoCaptionTranslator();
+    this.sessions = new Map();
+    this.watchedTrackLists = new WeakSet();
+
+    // Bind handlers
+    this.handleMediaEvent = this.handleMediaEvent.bind(this);
+    this.handleSessionEnded = this.handleSessionEnded.bind(this);
+  }
+
+  /**
+   * Activate live caption translation
+   */
+  async activate() {
+    if (this.isActive) return true;
+
+    try {
+      this._ensureStylesInjected();
+      await this.translator.loadSettings();
+
+      MEDIA_EVENTS.forEach(event => {
+        this.addEventListener(document, event, this.handleMediaEvent, { capture: true });
+      });
+
+      this.isActive = true;
+      document.querySelectorAll('video').forEach(video => this.attach(video));
+      logger.info('Video caption translation activated');
+      return true;
+    } catch (error) {
+      logger.error('Failed to activate VideoCaptionManager:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Deactivate live caption translation and restore native captions
+   */
+  async deactivate() {
+    if (!this.isActive) return true;
+
+    this.sessions.forEach(session => session.stop());
+    this.sessions.clear();
+    this.watchedTrackLists = new WeakSet();
+    this.translator.reset();
+    this.cleanup();
+    this.isActive = false;
+
+    logger.debug('Video caption translation deactivated');
+    return true;
+  }
+
+  handleMediaEvent(event) {
+    if (event.target instanceof HTMLVideoElement) {
+      this.attach(event.target);
+    }
+  }
+
+  handleSessionEnded(session) {
+    this.sessions.delete(session.video);
+    // The user may turn another track on later
+    this.attach(session.video);
+  }
+
+  /**
+   * Starts a caption session for the video when its captions can be read.
+   * @param {HTMLVideoElement} video
+   * @returns {boolean} whether the video has a session
+   */
+  attach(video) {
+    if (!this.isActive) return false;
+    if (this.sessions.has(video)) return true;
+
+    const source = this._createSource(video);
+    if (!source) {
+      this._watchTracks(video);
+      return false;
+    }
+
+    const session = new VideoCaptionSession(video, source, this.translator, { onEnded: this.handleSessionEnded });
+    this.sessions.set(video, session);
+    session.start();
+    logger.debug(`Caption session started with ${source.constructor.name}`);
+    return true;
+  }
+
+  _createSource(video) {
+    const site = SiteCaptionSource.findContainer(video);
+    if (site) {
+      return new SiteCaptionSource(video, site.container, site.config);
+    }
+
+    const track = TextTrackCaptionSource.pickTrack(video);
+    return track ? new TextTrackCaptionSource(video, track) : null;
+  }
+
+  /**
+   * Attaches once the user turns captions on for a video that has none showing.
+   */
+  _watchTracks(video) {
+    const tracks = video.textTracks;
+    if (!tracks || this.watchedTrackLists.has(tracks)) return;
+    this.watchedTrackLists.add(tracks);
+    this.addEventListener(tracks, 'change', () => this.attach(video));
+  }
+
+  _ensureStylesInjected() {
+    const contentCore = window.translateItContentCore;
+    if (contentCore && typeof contentCore.injectMainDOMStyles === 'function') {
+      contentCore.injectMainDOMStyles(captionStyles, 'translate-it-video-caption-styles');
+    }
+  }
+}
+
+export const videoCaptionManager = VideoCaptionManager.getInstance();
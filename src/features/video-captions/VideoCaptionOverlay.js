@@ -0,0 +1,98 @@
+import { isRTL } from '@/utils/dom/DomDirectionManager.js';
+
+const MIN_FONT_SIZE = 12; // px
+const MAX_FONT_SIZE = 32; // px
+const FONT_SIZE_RATIO = 0.045; // of the video height
+
+/**
+ * Video Caption Overlay - Draws dual-language captions over a video.
+ *
+ * The overlay is a sibling of the video, positioned from the video's offsets,
+ * so it lives in the player's fullscreen element and never takes pointer events.
+ */
+export class VideoCaptionOverlay {
+  constructor(video, { targetLanguage } = {}) {
+    this.video = video;
+    this.targetLanguage = targetLanguage;
+    this.element = null;
+    this.resizeObserver = null;
+    this.lastRendered = '';
+    this.updatePosition = this.updatePosition.bind(this);
+  }
+
+  mount() {
+    if (this.element || !this.video.parentElement) return;
+
+    this.element = document.createElement('div');
+    this.element.className = 'ti-video-caption-overlay';
+    this.element.setAttribute('aria-live', 'polite');
+    this.video.parentElement.appendChild(this.element);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.updatePosition);
+      this.resizeObserver.observe(this.video);
+    }
+    document.addEventListener('fullscreenchange', this.updatePosition);
+    this.updatePosition();
+  }
+
+  updatePosition() {
+    if (!this.element) return;
+    const { offsetLeft, offsetTop, offsetWidth, offsetHeight } = this.video;
+    const fontSize = Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, Math.round(offsetHeight * FONT_SIZE_RATIO)));
+
+    Object.assign(this.element.style, {
+      left: `${offsetLeft}px`,
+      top: `${offsetTop}px`,
+      width: `${offsetWidth}px`,
+      height: `${offsetHeight}px`,
+      fontSize: `${fontSize}px`
+    });
+  }
+
+  /**
+   * @param {Array<{original: string, translation: string|null}>} lines
+   */
+  render(lines) {
+    if (!this.element) return;
+
+    const signature = JSON.stringify(lines);
+    if (signature === this.lastRendered) return;
+    this.lastRendered = signature;
+
+    this.element.replaceChildren(...lines.map(line => this._createLine(line)));
+  }
+
+  destroy() {
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    document.removeEventListener('fullscreenchange', this.updatePosition);
+    this.element?.remove();
+    this.element = null;
+    this.lastRendered = '';
+  }
+
+  _createLine({ original, translation }) {
+    const cue = document.createElement('div');
+    cue.className = 'ti-video-caption-cue';
+
+    if (translation && translation !== original) {
+      const translated = document.createElement('div');
+      translated.className = 'ti-video-caption-translation';
+      translated.textContent = translation;
+      translated.setAttribute('dir', isRTL(this.targetLanguage) ? 'rtl' : 'ltr');
+      if (this.targetLanguage) {
+        translated.setAttribute('lang', this.targetLanguage);
+      }
+      cue.appendChild(translated);
+    }
+
+    const source = document.createElement('div');
+    source.className = 'ti-video-caption-original';
+    source.setAttribute('dir', 'auto');
+    source.textContent = original;
+    cue.appendChild(source);
+
+    return cue;
+  }
+}
@@ -0,0 +1,23 @@
+import { computed } from 'vue';
+import { useSettingsStore } from '@/features/settings/stores/settings.js';
+
+/**
+ * Shared logic for toggling live video caption translation.
+ */
+export function useVideoCaptionsToggle() {
+  const settingsStore = useSettingsStore();
+
+  const isVideoCaptionsEnabled = computed(() => {
+    return settingsStore.settings?.VIDEO_CAPTIONS_TRANSLATION_ENABLED ?? false;
+  });
+
+  const toggleVideoCaptions = async () => {
+    const newValue = !isVideoCaptionsEnabled.value;
+    await settingsStore.updateSettingAndPersist('VIDEO_CAPTIONS_TRANSLATION_ENABLED', newValue);
+  };
+
+  return {
+    isVideoCaptionsEnabled,
+    toggleVideoCaptions
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Caption containers of players that draw captions into the page instead of
+ * using `<video>` text tracks. Hosts match the site and its subdomains.
+ */
+export const SITE_CAPTION_CONTAINERS = [
+  {
+    hosts: ['youtube.com', 'youtube-nocookie.com'],
+    container: '.ytp-caption-window-container',
+    line: '.ytp-caption-segment'
+  },
+  {
+    hosts: ['netflix.com'],
+    container: '.player-timedtext',
+    line: '.player-timedtext-text-container'
+  }
+];
+
+// Players mount the caption container a few levels above the video element
+const MAX_ANCESTOR_DEPTH = 6;
+// Wait for the player to finish a DOM update before reading the caption
+const SETTLE_DELAY = 300;
+// Auto-generated captions grow word by word; a line is translated once it stopped changing
+const LINE_SETTLE_DELAY = 700;
+const HISTORY_SIZE = 8;
+
+/**
+ * Site Caption Source - Reads captions a site player renders into the page.
+ *
+ * Only the caption on screen is known, so nothing can be translated ahead of
+ * time; recently shown captions are kept as dialogue context instead. A line
+ * that grows word by word stays one cue, and every cue is marked `isPartial`
+ * until its text stopped changing. The native container is hidden with `visibility` so the player
+ * keeps updating it.
+ */
+export class SiteCaptionSource {
+  /**
+   * Finds the caption container of a known site player around the video.
+   * @param {HTMLVideoElement} video
+   * @param {string} [hostname]
+   * @returns {{container: HTMLElement, config: Object}|null}
+   */
+  static findContainer(video, hostname = window.location.hostname) {
+    const config = SITE_CAPTION_CONTAINERS.find(entry =>
+      entry.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+    );
+    if (!config) return null;
+
+    let ancestor = video.parentElement;
+    for (let depth = 0; ancestor && depth < MAX_ANCESTOR_DEPTH; depth++) {
+      const container = ancestor.querySelector(config.container);
+      if (container) return { container, config };
+      ancestor = ancestor.parentElement;
+    }
+    return null;
+  }
+
+  constructor(video, container, config) {
+    this.video = video;
+    this.container = container;
+    this.config = config;
+    this.current = null;
+    this.history = [];
+    this.counter = 0;
+    this.observer = null;
+    this.settleTimer = null;
+    this.lineTimer = null;
+    this.previousVisibility = null;
+    this.onChange = null;
+  }
+
+  start(onChange) {
+    this.onChange = onChange;
+    this.previousVisibility = this.container.style.visibility;
+    this.container.style.visibility = 'hidden';
+
+    this.observer = new MutationObserver(() => {
+      clearTimeout(this.settleTimer);
+      this.settleTimer = setTimeout(() => this._read(), SETTLE_DELAY);
+    });
+    this.observer.observe(this.container, { childList: true, subtree: true, characterData: true });
+    this._read();
+  }
+
+  stop() {
+    this.observer?.disconnect();
+    this.observer = null;
+    clearTimeout(this.settleTimer);
+    clearTimeout(this.lineTimer);
+    this.container.style.visibility = this.previousVisibility || '';
+    this.onChange = null;
+  }
+
+  /**
+   * @returns {boolean} false once the player replaced its caption container
+   */
+  isAlive() {
+    return this.container.isConnected;
+  }
+
+  getContextCues() {
+    return this.history;
+  }
+
+  getActiveCues() {
+    return this.current ? [this.current] : [];
+  }
+
+  getUpcomingCues() {
+    return this.getActiveCues();
+  }
+
+  _read() {
+    const text = Array.from(this.container.querySelectorAll(this.config.line), line => line.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if ((this.current?.text || '') === text) return;
+    clearTimeout(this.lineTimer);
+
+    if (text && this.current && text.startsWith(this.current.text)) {
+      // The line grew: update the cue in place so the partial text is not kept as context
+      this.current.text = text;
+    } else if (text) {
+      this.current = { id: `live-${this.counter++}`, text };
+      this.history.push(this.current);
+      if (this.history.length > HISTORY_SIZE) this.history.shift();
+    } else {
+      this.current = null;
+    }
+
+    const cue = this.current;
+    if (cue) {
+      cue.isPartial = true;
+      this.lineTimer = setTimeout(() => {
+        cue.isPartial = false;
+        this.onChange?.();
+      }, LINE_SETTLE_DELAY);
+    }
+    this.onChange?.();
+  }
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { SiteCaptionSource } from './SiteCaptionSource.js';
+
+describe('SiteCaptionSource', () => {
+  let video;
+  let container;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    document.body.innerHTML = `
+      <div id="player">
+        <div class="html5-video-container"><video></video></div>
+        <div class="ytp-caption-window-container"></div>
+      </div>`;
+    video = document.querySelector('video');
+    container = document.querySelector('.ytp-caption-window-container');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const showCaption = (...segments) => {
+    container.replaceChildren(...segments.map(text => {
+      const segment = document.createElement('span');
+      segment.className = 'ytp-caption-segment';
+      segment.textContent = text;
+      return segment;
+    }));
+  };
+
+  it('finds the caption container of a known player by host suffix', () => {
+    expect(SiteCaptionSource.findContainer(video, 'www.youtube.com')?.container).toBe(container);
+    expect(SiteCaptionSource.findContainer(video, 'notyoutube.com')).toBeNull();
+  });
+
+  it('reads settled captions, keeps them as context and hides the native ones', async () => {
+    const { config } = SiteCaptionSource.findContainer(video, 'youtube.com');
+    const source = new SiteCaptionSource(video, container, config);
+    const onChange = vi.fn();
+    source.start(onChange);
+    expect(container.style.visibility).toBe('hidden');
+
+    showCaption('Hello', 'there');
+    await vi.advanceTimersByTimeAsync(300);
+    showCaption('General Kenobi');
+    await vi.advanceTimersByTimeAsync(300);
+
+    expect(source.getActiveCues().map(cue => cue.text)).toEqual(['General Kenobi']);
+    expect(source.getContextCues().map(cue => cue.text)).toEqual(['Hello there', 'General Kenobi']);
+    expect(onChange).toHaveBeenCalledTimes(2);
+
+    source.stop();
+    expect(container.style.visibility).toBe('');
+  });
+
+  it('keeps a growing line as one cue that is partial until it stops changing', async () => {
+    const { config } = SiteCaptionSource.findContainer(video, 'youtube.com');
+    const source = new SiteCaptionSource(video, container, config);
+    const onChange = vi.fn();
+    source.start(onChange);
+
+    showCaption('so what');
+    await vi.advanceTimersByTimeAsync(300);
+    const [cue] = source.getActiveCues();
+    expect(cue.isPartial).toBe(true);
+
+    showCaption('so what we did');
+    await vi.advanceTimersByTimeAsync(300);
+    expect(source.getActiveCues()).toEqual([cue]);
+    expect(cue).toMatchObject({ text: 'so what we did', isPartial: true });
+    expect(source.getContextCues()).toEqual([cue]);
+
+    await vi.advanceTimersByTimeAsync(700);
+    expect(cue.isPartial).toBe(false);
+    expect(onChange).toHaveBeenCalledTimes(3);
+
+    source.stop();
+  });
+});
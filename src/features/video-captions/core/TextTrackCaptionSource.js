@@ -0,0 +1,106 @@
+const CAPTION_KINDS = ['subtitles', 'captions'];
+
+const stripCueMarkup = (text) => (text || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Text Track Caption Source - Reads caption cues from a `<video>` text track.
+ *
+ * The track the user turned on is switched to `hidden`, so the browser keeps
+ * loading cues and firing `cuechange` while the overlay draws them instead of
+ * the native renderer. Because the whole cue list is known, upcoming cues can
+ * be translated before they play.
+ */
+export class TextTrackCaptionSource {
+  /**
+   * Picks the caption track the user is watching.
+   * @param {HTMLVideoElement} video
+   * @returns {TextTrack|null}
+   */
+  static pickTrack(video) {
+    const tracks = Array.from(video?.textTracks || []);
+    return tracks.find(track => CAPTION_KINDS.includes(track.kind) && track.mode === 'showing') || null;
+  }
+
+  constructor(video, track) {
+    this.video = video;
+    this.track = track;
+    this.previousMode = null;
+    this.onChange = null;
+    // native cue -> cue object, so context lookups see the same objects every time
+    this.cueMap = new WeakMap();
+    this.handleCueChange = this.handleCueChange.bind(this);
+  }
+
+  start(onChange) {
+    this.onChange = onChange;
+    this.previousMode = this.track.mode;
+    this.track.mode = 'hidden';
+    this.track.addEventListener('cuechange', this.handleCueChange);
+  }
+
+  stop() {
+    this.track.removeEventListener('cuechange', this.handleCueChange);
+    if (this.previousMode && this.track.mode === 'hidden') {
+      this.track.mode = this.previousMode;
+    }
+    this.onChange = null;
+  }
+
+  /**
+   * @returns {boolean} false once the user turned the track off
+   */
+  isAlive() {
+    return this.track.mode !== 'disabled';
+  }
+
+  handleCueChange() {
+    this.onChange?.();
+  }
+
+  /**
+   * @returns {Array<{id: string, index: number, text: string, startTime: number, endTime: number}>}
+   */
+  getContextCues() {
+    return Array.from(this.track.cues || [], (cue, index) => this._toCue(cue, index))
+      .filter(cue => cue.text);
+  }
+
+  getActiveCues() {
+    const all = Array.from(this.track.cues || []);
+    return Array.from(this.track.activeCues || [], cue => this._toCue(cue, all.indexOf(cue)))
+      .filter(cue => cue.text);
+  }
+
+  /**
+   * Cues that are playing now or start within the lookahead window.
+   * @param {number} lookaheadSec
+   */
+  getUpcomingCues(lookaheadSec) {
+    const now = this.video.currentTime;
+    return this.getContextCues()
+      .filter(cue => cue.endTime >= now && cue.startTime <= now + lookaheadSec);
+  }
+
+  _toCue(nativeCue, index) {
+    let cue = this.cueMap.get(nativeCue);
+    if (!cue) {
+      cue = {
+        id: `cue-${index}`,
+        index,
+        text: this._readText(nativeCue),
+        startTime: nativeCue.startTime,
+        endTime: nativeCue.endTime
+      };
+      this.cueMap.set(nativeCue, cue);
+    }
+    return cue;
+  }
+
+  _readText(nativeCue) {
+    if (typeof nativeCue.getCueAsHTML === 'function') {
+      const fragment = nativeCue.getCueAsHTML();
+      return (fragment?.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+    return stripCueMarkup(nativeCue.text);
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { TextTrackCaptionSource } from './TextTrackCaptionSource.js';
+
+const createTrack = (overrides = {}) => {
+  const track = new EventTarget();
+  return Object.assign(track, {
+    kind: 'subtitles',
+    mode: 'showing',
+    cues: [
+      { startTime: 0, endTime: 2, text: '<v Ann>Hello</v>' },
+      { startTime: 2, endTime: 4, text: '<i>How are</i> you?' },
+      { startTime: 40, endTime: 42, text: 'Later' }
+    ],
+    activeCues: [],
+    ...overrides
+  });
+};
+
+describe('TextTrackCaptionSource', () => {
+  let video;
+  let track;
+
+  beforeEach(() => {
+    track = createTrack();
+    video = { currentTime: 1, textTracks: [createTrack({ kind: 'chapters' }), track] };
+  });
+
+  it('picks the caption track that is showing', () => {
+    expect(TextTrackCaptionSource.pickTrack(video)).toBe(track);
+    track.mode = 'disabled';
+    expect(TextTrackCaptionSource.pickTrack(video)).toBeNull();
+  });
+
+  it('hides native rendering while running and restores it on stop', () => {
+    const source = new TextTrackCaptionSource(video, track);
+    const onChange = vi.fn();
+    source.start(onChange);
+
+    expect(track.mode).toBe('hidden');
+    track.dispatchEvent(new Event('cuechange'));
+    expect(onChange).toHaveBeenCalled();
+
+    source.stop();
+    expect(track.mode).toBe('showing');
+  });
+
+  it('returns plain cue text for active and upcoming cues', () => {
+    const source = new TextTrackCaptionSource(video, track);
+    track.activeCues = [track.cues[0]];
+
+    expect(source.getActiveCues()).toEqual([
+      { id: 'cue-0', index: 0, text: 'Hello', startTime: 0, endTime: 2 }
+    ]);
+    expect(source.getUpcomingCues(30).map(cue => cue.text)).toEqual(['Hello', 'How are you?']);
+    expect(source.getContextCues()[0]).toBe(source.getActiveCues()[0]);
+  });
+});
@@ -0,0 +1,83 @@
+import { VideoCaptionOverlay } from '../VideoCaptionOverlay.js';
+
+// Seconds of upcoming cues to translate ahead of playback
+const LOOKAHEAD_SECONDS = 30;
+// `timeupdate` fires several times a second; prefetching once per interval is enough
+const PREFETCH_INTERVAL = 2000; // ms
+
+/**
+ * Video Caption Session - Connects one video's caption source, the shared
+ * translator and the overlay drawn over that video.
+ */
+export class VideoCaptionSession {
+  /**
+   * @param {HTMLVideoElement} video
+   * @param {TextTrackCaptionSource|SiteCaptionSource} source
+   * @param {VideoCaptionTranslator} translator
+   * @param {Object} [options]
+   * @param {Function} [options.onEnded] - called when the source is gone
+   */
+  constructor(video, source, translator, { onEnded } = {}) {
+    this.video = video;
+    this.source = source;
+    this.translator = translator;
+    this.onEnded = onEnded;
+    this.overlay = new VideoCaptionOverlay(video, { targetLanguage: translator.settings?.targetLanguage });
+    this.lastPrefetch = 0;
+    this.isRunning = false;
+    this.refresh = this.refresh.bind(this);
+    this.handleTimeUpdate = this.handleTimeUpdate.bind(this);
+  }
+
+  start() {
+    this.isRunning = true;
+    this.overlay.mount();
+    this.source.start(this.refresh);
+    this.video.addEventListener('timeupdate', this.handleTimeUpdate);
+    this.refresh();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+    this.source.stop();
+    this.overlay.destroy();
+  }
+
+  handleTimeUpdate() {
+    if (!this.source.isAlive()) {
+      this.stop();
+      this.onEnded?.(this);
+      return;
+    }
+    if (Date.now() - this.lastPrefetch >= PREFETCH_INTERVAL) {
+      this._prefetch();
+    }
+  }
+
+  /**
+   * Draws the captions on screen and translates the ones still missing.
+   */
+  refresh() {
+    if (!this.isRunning) return;
+    this.render();
+    this._prefetch();
+  }
+
+  render() {
+    if (!this.isRunning) return;
+    this.overlay.render(this.source.getActiveCues().map(cue => ({
+      original: cue.text,
+      translation: this.translator.get(cue.text)
+    })));
+  }
+
+  _prefetch() {
+    this.lastPrefetch = Date.now();
+    const contextCues = this.source.getContextCues();
+    // Queue the cues on screen first so they are not held back by the rest of the lookahead
+    this.translator.translate(this.source.getActiveCues(), contextCues).then(() => this.render());
+    this.translator.translate(this.source.getUpcomingCues(LOOKAHEAD_SECONDS), contextCues).then(() => this.render());
+  }
+}
@@ -0,0 +1,187 @@
+import { SubtitleBatchPlanner } from '@/features/subtitle-translation/core/SubtitleBatchPlanner.js';
+import { SubtitleContextBuilder } from '@/features/subtitle-translation/core/SubtitleContextBuilder.js';
+import { SubtitleProviderLimitsResolver } from '@/features/subtitle-translation/core/SubtitleProviderLimitsResolver.js';
+import {
+  getEffectiveProviderAsync,
+  getTargetLanguageAsync,
+  getAIContextTranslationEnabledAsync,
+  getPromptSubtitleBaseAsync,
+  getPromptSubtitleUserAsync,
+  getPromptSubtitleBatchAsync,
+  TranslationMode
+} from '@/shared/config/config.js';
+import { AUTO_DETECT_VALUE } from '@/shared/constants/core.js';
+import { sendRegularMessage } from '@/shared/messaging/core/UnifiedMessaging.js';
+import { MessageActions } from '@/shared/messaging/core/MessageActions.js';
+import { MessageFormat, MessageContexts } from '@/shared/messaging/core/MessagingCore.js';
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.SUBTITLE, 'VideoCaptionTranslator');
+
+// Live batches are small; a provider that needs longer than this has missed the cue anyway
+const BATCH_TIMEOUT_MS = 60000;
+// Failed or skipped cues are requested again after this delay, e.g. once a network or quota error passed
+const FAILURE_RETRY_DELAY = 30000; // ms
+
+const normalizeCueText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Video Caption Translator - Translates live caption cues in subtitle batches.
+ *
+ * Cues are grouped with `SubtitleBatchPlanner` using the subtitle limits of the
+ * effective Subtitle provider and sent one batch at a time, so the cues that
+ * play first are translated first. Translations are cached by cue text, which
+ * also covers repeated cues like "[Music]". Failures are remembered for
+ * `FAILURE_RETRY_DELAY` only.
+ */
+export class VideoCaptionTranslator {
+  constructor() {
+    this.settings = null;
+    this.translations = new Map();
+    this.pending = new Map();
+    this.failed = new Map(); // cue text -> time of the failure
+    this.queue = Promise.resolve();
+    this.generation = 0;
+  }
+
+  /**
+   * Loads provider, language and prompt settings for the following requests.
+   */
+  async loadSettings() {
+    const [providerId, targetLanguage, useContext, promptTemplate, instruction, batchInstruction] = await Promise.all([
+      getEffectiveProviderAsync(TranslationMode.Subtitle),
+      getTargetLanguageAsync(),
+      getAIContextTranslationEnabledAsync(),
+      getPromptSubtitleBaseAsync(),
+      getPromptSubtitleUserAsync(),
+      getPromptSubtitleBatchAsync()
+    ]);
+
+    this.settings = {
+      providerId,
+      targetLanguage,
+      useContext: !!useContext,
+      promptTemplate,
+      instruction,
+      batchInstruction,
+      limits: SubtitleProviderLimitsResolver.resolve(providerId)
+    };
+    return this.settings;
+  }
+
+  /**
+   * @param {string} text - cue text
+   * @returns {string|null} cached translation
+   */
+  get(text) {
+    return this.translations.get(normalizeCueText(text)) ?? null;
+  }
+
+  /**
+   * Translates the cues that are neither translated nor requested yet.
+   * Cues still being written (`isPartial`) are left for a later call, and
+   * cues that failed are not retried before `FAILURE_RETRY_DELAY` passed.
+   * @param {Array<{id: string, text: string, isPartial?: boolean}>} cues - cues in playback order
+   * @param {Array<{id: string, text: string}>} [allCues] - surrounding cues for dialogue context
+   * @returns {Promise<void>} settles when every given cue has a result or failed
+   */
+  translate(cues, allCues = cues) {
+    if (!this.settings) return Promise.resolve();
+
+    const waiting = [];
+    const fresh = [];
+    for (const cue of cues) {
+      const key = normalizeCueText(cue.text);
+      if (!key || cue.isPartial || this.translations.has(key) || this._failedRecently(key)) continue;
+      if (this.pending.has(key)) {
+        waiting.push(this.pending.get(key));
+      } else {
+        fresh.push(cue);
+      }
+    }
+
+    const { uniqueCues } = SubtitleBatchPlanner.deduplicate(fresh);
+    for (const batch of SubtitleBatchPlanner.plan(uniqueCues, this.settings.limits)) {
+      const generation = this.generation;
+      const promise = this.queue = this.queue.then(() => this._translateBatch(batch, allCues, generation));
+      batch.forEach(cue => this.pending.set(normalizeCueText(cue.text), promise));
+      waiting.push(promise);
+    }
+
+    return Promise.all(waiting).then(() => {});
+  }
+
+  /**
+   * Forgets every translation and ignores requests still in flight.
+   */
+  reset() {
+    this.generation++;
+    this.translations.clear();
+    this.pending.clear();
+    this.failed.clear();
+    this.queue = Promise.resolve();
+  }
+
+  _failedRecently(key) {
+    if (!this.failed.has(key)) return false;
+    if (Date.now() - this.failed.get(key) < FAILURE_RETRY_DELAY) return true;
+    this.failed.delete(key);
+    return false;
+  }
+
+  async _translateBatch(batch, allCues, generation) {
+    if (generation !== this.generation) return;
+    const keys = batch.map(cue => normalizeCueText(cue.text));
+
+    try {
+      const { settings } = this;
+      const message = MessageFormat.create(MessageActions.BATCH_TRANSLATE, {
+        items: batch.map((cue, idx) => ({
+          id: cue.id,
+          text: keys[idx],
+          context: settings.useContext ? this._buildContext(cue, allCues) : null
+        })),
+        sourceLanguage: AUTO_DETECT_VALUE,
+        targetLanguage: settings.targetLanguage,
+        provider: settings.providerId,
+        mode: TranslationMode.Subtitle,
+        promptTemplate: settings.promptTemplate,
+        instruction: settings.instruction,
+        metadata: { batchInstruction: settings.batchInstruction }
+      }, MessageContexts.CONTENT);
+
+      const response = await sendRegularMessage(message, { timeout: BATCH_TIMEOUT_MS });
+      if (!response || response.success === false || !Array.isArray(response.results)) {
+        const error = response?.error;
+        throw new Error((typeof error === 'object' ? error?.message : error) || 'Caption translation failed');
+      }
+      if (generation !== this.generation) return;
+
+      keys.forEach((key, idx) => {
+        const result = response.results[idx];
+        const text = result && typeof result === 'object' ? result.text : result;
+        if (result?.isSkipped || !text || !String(text).trim()) {
+          this.failed.set(key, Date.now());
+        } else {
+          this.translations.set(key, String(text).trim());
+        }
+      });
+    } catch (error) {
+      if (generation !== this.generation) return;
+      logger.warn(`Caption batch of ${batch.length} cues failed:`, error.message);
+      const failedAt = Date.now();
+      keys.forEach(key => this.failed.set(key, failedAt));
+    } finally {
+      if (generation === this.generation) {
+        keys.forEach(key => this.pending.delete(key));
+      }
+    }
+  }
+
+  _buildContext(cue, allCues) {
+    const index = allCues.indexOf(cue);
+    if (index === -1) return null;
+    return SubtitleContextBuilder.formatContextString(SubtitleContextBuilder.buildContext(index, allCues)) || null;
+  }
+}
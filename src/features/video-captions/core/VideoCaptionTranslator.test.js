@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { VideoCaptionTranslator } from './VideoCaptionTranslator.js';
+import { sendRegularMessage } from '@/shared/messaging/core/UnifiedMessaging.js';
+
+vi.mock('@/shared/messaging/core/UnifiedMessaging.js', () => ({
+  sendRegularMessage: vi.fn()
+}));
+
+vi.mock('@/shared/config/config.js', () => ({
+  TranslationMode: { Subtitle: 'subtitle' },
+  getEffectiveProviderAsync: vi.fn(async () => 'Gemini'),
+  getTargetLanguageAsync: vi.fn(async () => 'fa'),
+  getAIContextTranslationEnabledAsync: vi.fn(async () => true),
+  getPromptSubtitleBaseAsync: vi.fn(async () => 'base'),
+  getPromptSubtitleUserAsync: vi.fn(async () => 'user'),
+  getPromptSubtitleBatchAsync: vi.fn(async () => 'batch')
+}));
+
+vi.mock('@/features/subtitle-translation/core/SubtitleProviderLimitsResolver.js', () => ({
+  SubtitleProviderLimitsResolver: { resolve: vi.fn(() => ({ characterLimit: 500, maxChunks: 2 })) }
+}));
+
+const cues = (...texts) => texts.map((text, index) => ({ id: `cue-${index}`, text }));
+const translateAll = (message) => ({
+  success: true,
+  results: message.data.items.map(item => ({ text: `T:${item.text}` }))
+});
+
+describe('VideoCaptionTranslator', () => {
+  let translator;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    sendRegularMessage.mockImplementation(async (message) => translateAll(message));
+    translator = new VideoCaptionTranslator();
+    await translator.loadSettings();
+  });
+
+  it('translates cues in provider-sized batches with dialogue context', async () => {
+    const all = cues('One', 'Two', 'Three');
+    await translator.translate(all);
+
+    expect(sendRegularMessage).toHaveBeenCalledTimes(2);
+    const [message, options] = sendRegularMessage.mock.calls[0];
+    expect(message.data).toMatchObject({ mode: 'subtitle', targetLanguage: 'fa', provider: 'Gemini' });
+    expect(message.data.items.map(item => item.text)).toEqual(['One', 'Two']);
+    expect(message.data.items[1].context).toContain('Previous cues: One');
+    expect(options.timeout).toBeGreaterThan(8000);
+    expect(translator.get('Three')).toBe('T:Three');
+  });
+
+  it('requests each caption text once', async () => {
+    await Promise.all([
+      translator.translate(cues('[Music]', 'Hi')),
+      translator.translate(cues('Hi  ', '[Music]'))
+    ]);
+
+    expect(sendRegularMessage).toHaveBeenCalledTimes(1);
+    expect(translator.get('Hi')).toBe('T:Hi');
+  });
+
+  it('does not retry cues that failed or were skipped recently', async () => {
+    sendRegularMessage.mockResolvedValueOnce({ success: true, results: [{ text: 'T:A', isSkipped: true }, 'T:B'] });
+    await translator.translate(cues('A', 'B'));
+    sendRegularMessage.mockRejectedValueOnce(new Error('offline'));
+    await translator.translate(cues('C'));
+    await translator.translate(cues('A', 'C'));
+
+    expect(sendRegularMessage).toHaveBeenCalledTimes(2);
+    expect(translator.get('A')).toBeNull();
+    expect(translator.get('B')).toBe('T:B');
+  });
+
+  it('retries failed cues once the failure expired', async () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(1000);
+    sendRegularMessage.mockRejectedValueOnce(new Error('offline'));
+    await translator.translate(cues('A'));
+
+    now.mockReturnValue(1000 + 29000);
+    await translator.translate(cues('A'));
+    expect(sendRegularMessage).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(1000 + 30000);
+    await translator.translate(cues('A'));
+    expect(sendRegularMessage).toHaveBeenCalledTimes(2);
+    expect(translator.get('A')).toBe('T:A');
+    now.mockRestore();
+  });
+
+  it('leaves partial cues for a later call', async () => {
+    const [cue] = cues('Hello wor');
+    cue.isPartial = true;
+    await translator.translate([cue]);
+    expect(sendRegularMessage).not.toHaveBeenCalled();
+
+    cue.text = 'Hello world';
+    cue.isPartial = false;
+    await translator.translate([cue]);
+    expect(sendRegularMessage.mock.calls[0][0].data.items.map(item => item.text)).toEqual(['Hello world']);
+  });
+
+  it('drops results that arrive after a reset', async () => {
+    let respond;
+    sendRegularMessage.mockImplementationOnce((message) => new Promise(resolve => {
+      respond = () => resolve(translateAll(message));
+    }));
+    const pending = translator.translate(cues('Late'));
+    await vi.waitFor(() => expect(respond).toBeTypeOf('function'));
+
+    translator.reset();
+    respond();
+    await pending;
+
+    expect(translator.get('Late')).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+// Reads vocabulary cards aloud through the shared TTS pipeline
+import { onMounted, onUnmounted } from "vue";
+import { useTTSSmart } from '@/features/tts/composables/useTTSSmart.js';
+import { useTTSGlobal } from '@/features/tts/core/TTSGlobalManager.js';
+
+/**
+ * Card sides that can be spoken, with the language each is written in.
+ */
+const SPOKEN_FIELDS = {
+  word: { field: 'word', language: 'sourceLanguage' },
+  context: { field: 'context', language: 'sourceLanguage' },
+  translation: { field: 'translation', language: 'targetLanguage' },
+};
+
+export function useCardReader() {
+  const tts = useTTSSmart();
+
+  // Registering with the global manager gives the review exclusive playback
+  const ttsGlobal = useTTSGlobal({
+    type: 'vocabulary',
+    name: 'VocabularyReview'
+  });
+
+  /**
+   * @param {Object} card
+   * @param {'word'|'context'|'translation'} side
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  const readCard = async (card, side = 'word') => {
+    const spoken = SPOKEN_FIELDS[side];
+    const text = spoken && card?.[spoken.field];
+    if (!text) return false;
+
+    await ttsGlobal.startTTS({ side });
+    return tts.speak(text, card[spoken.language] || 'auto');
+  };
+
+  onMounted(() => {
+    ttsGlobal.register(() => tts.stop());
+  });
+
+  onUnmounted(() => {
+    tts.stop().catch(() => {});
+    ttsGlobal.unregister();
+  });
+
+  return {
+    readCard,
+    stopReading: tts.stop,
+    isReading: tts.isPlaying,
+    isReadingLoading: tts.isLoading,
+  };
+}
@@ -0,0 +1,127 @@
+// Vue composable for reviewing the vocabulary deck
+import { ref, computed, onMounted, onUnmounted } from "vue";
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { storageManager } from '@/shared/storage/core/StorageCore.js';
+import { vocabularyDeck, VOCABULARY_STORAGE_KEY } from '../core/VocabularyDeck.js';
+import { scheduleReview, selectDueCards } from '../core/srsScheduler.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.VOCABULARY, 'useVocabularyDeck');
+
+// Relearned cards become due again within minutes, so the queue is refreshed periodically
+const DUE_REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Shared state to keep all instances in sync
+const globalCards = ref([]);
+const globalIsLoaded = ref(false);
+
+export function useVocabularyDeck() {
+  const cards = globalCards;
+  const isLoading = ref(false);
+  const deckError = ref("");
+  const isAnswerRevealed = ref(false);
+  const now = ref(Date.now());
+  let refreshTimer = null;
+
+  const dueCards = computed(() => selectDueCards(cards.value, { now: now.value }));
+  const currentCard = computed(() => dueCards.value[0] || null);
+  const hasCards = computed(() => cards.value.length > 0);
+
+  const loadDeck = async (force = false) => {
+    if (globalIsLoaded.value && !force) return;
+
+    isLoading.value = true;
+    try {
+      cards.value = await vocabularyDeck.getCards();
+      globalIsLoaded.value = true;
+      deckError.value = "";
+    } catch (error) {
+      logger.error("Error loading vocabulary deck", error);
+      deckError.value = "Failed to load vocabulary deck";
+    } finally {
+      isLoading.value = false;
+    }
+  };
+
+  const revealAnswer = () => {
+    isAnswerRevealed.value = true;
+  };
+
+  // Time until the current card would be due again after the given grade
+  const previewInterval = (grade) => {
+    if (!currentCard.value) return 0;
+    const reviewedAt = Date.now();
+    return scheduleReview(currentCard.value, grade, reviewedAt).dueAt - reviewedAt;
+  };
+
+  const gradeCurrentCard = async (grade) => {
+    const card = currentCard.value;
+    if (!card) return null;
+
+    try {
+      const updated = await vocabularyDeck.reviewCard(card.id, grade);
+      cards.value = updated
+        ? cards.value.map(item => (item.id === updated.id ? updated : item))
+        : cards.value.filter(item => item.id !== card.id);
+      return updated;
+    } catch (error) {
+      logger.error("Error saving review", error);
+      deckError.value = "Failed to save review";
+      return null;
+    } finally {
+      isAnswerRevealed.value = false;
+      now.value = Date.now();
+    }
+  };
+
+  const removeCard = async (id) => {
+    try {
+      await vocabularyDeck.removeCard(id);
+      cards.value = cards.value.filter(card => card.id !== id);
+      isAnswerRevealed.value = false;
+    } catch (error) {
+      logger.error("Error removing vocabulary card", error);
+      deckError.value = "Failed to remove card";
+    }
+  };
+
+  // Storage change listener for cards saved from web pages
+  const storageListener = (data) => {
+    if (data.key === VOCABULARY_STORAGE_KEY && Array.isArray(data.newValue)) {
+      cards.value = data.newValue;
+      globalIsLoaded.value = true;
+      now.value = Date.now();
+    }
+  };
+
+  onMounted(() => {
+    loadDeck();
+    storageManager.on('change', storageListener);
+    refreshTimer = setInterval(() => {
+      now.value = Date.now();
+    }, DUE_REFRESH_INTERVAL_MS);
+  });
+
+  onUnmounted(() => {
+    storageManager.off('change', storageListener);
+    clearInterval(refreshTimer);
+  });
+
+  return {
+    // State
+    cards,
+    dueCards,
+    currentCard,
+    hasCards,
+    isLoading,
+    deckError,
+    isAnswerRevealed,
+
+    // Methods
+    loadDeck,
+    revealAnswer,
+    previewInterval,
+    gradeCurrentCard,
+    removeCard,
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Vocabulary Deck - Flashcards saved from dictionary lookups.
+ *
+ * Cards live in storage.local under `vocabularyDeck` so the content script
+ * (saving from the translation window) and the sidepanel (reviewing) share
+ * them without going through the background. A word is stored once per
+ * language pair; saving it again refreshes its content but keeps its
+ * review schedule.
+ */
+
+import { getScopedLogger } from '@/shared/logging/logger.js';
+import { LOG_COMPONENTS } from '@/shared/logging/logConstants.js';
+import { storageManager } from '@/shared/storage/core/StorageCore.js';
+import { createSchedule, scheduleReview, selectDueCards } from './srsScheduler.js';
+
+const logger = getScopedLogger(LOG_COMPONENTS.VOCABULARY, 'VocabularyDeck');
+
+export const VOCABULARY_STORAGE_KEY = 'vocabularyDeck';
+
+const CONTENT_FIELDS = ['translation', 'definition', 'pronunciation', 'context', 'provider', 'url'];
+
+export class VocabularyDeck {
+  /**
+   * Identity of a card: the word (case-insensitive) and its language pair.
+   * @param {{word: string, sourceLanguage?: string, targetLanguage?: string}} entry
+   * @returns {string}
+   */
+  static buildCardKey(entry) {
+    return [
+      entry.sourceLanguage || 'auto',
+      entry.targetLanguage || '',
+      String(entry.word || '').trim().toLowerCase()
+    ].join('\u001f');
+  }
+
+  /**
+   * All cards, read fresh so writes from other extension pages are not lost.
+   * @returns {Promise<Object[]>}
+   */
+  async getCards() {
+    const result = await storageManager.getFresh({ [VOCABULARY_STORAGE_KEY]: [] });
+    const cards = result?.[VOCABULARY_STORAGE_KEY];
+    return Array.isArray(cards) ? cards : [];
+  }
+
+  /**
+   * @param {Object[]} cards
+   */
+  async saveCards(cards) {
+    await storageManager.set({ [VOCABULARY_STORAGE_KEY]: cards });
+  }
+
+  /**
+   * Whether the word is already in the deck for this language pair.
+   * @param {Object} entry
+   * @returns {Promise<boolean>}
+   */
+  async hasCard(entry) {
+    const key = VocabularyDeck.buildCardKey(entry);
+    return (await this.getCards()).some(card => VocabularyDeck.buildCardKey(card) === key);
+  }
+
+  /**
+   * Save a looked-up word.
+   * @param {Object} entry - `{ word, translation, definition, pronunciation, context, sourceLanguage, targetLanguage, provider, url }`
+   * @param {number} now
+   * @returns {Promise<{card: Object, isNew: boolean}>}
+   */
+  async addCard(entry, now = Date.now()) {
+    const word = String(entry?.word || '').trim();
+    if (!word) {
+      throw new Error('Cannot save an empty word to the vocabulary deck');
+    }
+
+    const cards = await this.getCards();
+    const key = VocabularyDeck.buildCardKey({ ...entry, word });
+    const index = cards.findIndex(card => VocabularyDeck.buildCardKey(card) === key);
+
+    // Only non-empty values overwrite what the card already has
+    const content = Object.fromEntries(
+      CONTENT_FIELDS
+        .filter(field => typeof entry[field] === 'string' && entry[field].trim())
+        .map(field => [field, entry[field].trim()])
+    );
+
+    if (index >= 0) {
+      const card = { ...cards[index], ...content, updatedAt: now };
+      cards[index] = card;
+      await this.saveCards(cards);
+      logger.debug('Updated vocabulary card:', word);
+      return { card, isNew: false };
+    }
+
+    const card = {
+      id: `${now}_${Math.random().toString(36).slice(2, 11)}`,
+      word,
+      translation: '',
+      definition: '',
+      pronunciation: '',
+      context: '',
+      sourceLanguage: entry.sourceLanguage || 'auto',
+      targetLanguage: entry.targetLanguage || '',
+      ...content,
+      createdAt: now,
+      updatedAt: now,
+      lapses: 0,
+      ...createSchedule(now)
+    };
+
+    await this.saveCards([card, ...cards]);
+    logger.info('Saved word to vocabulary deck:', word);
+    return { card, isNew: true };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a card was removed
+   */
+  async removeCard(id) {
+    const cards = await this.getCards();
+    const remaining = cards.filter(card => card.id !== id);
+    if (remaining.length === cards.length) return false;
+
+    await this.saveCards(remaining);
+    return true;
+  }
+
+  /**
+   * Record a review and reschedule the card.
+   * @param {string} id
+   * @param {number} grade - A `ReviewGrade` value
+   * @param {number} now
+   * @returns {Promise<Object|null>} The updated card, or null when it no longer exists
+   */
+  async reviewCard(id, grade, now = Date.now()) {
+    const cards = await this.getCards();
+    const index = cards.findIndex(card => card.id === id);
+    if (index === -1) {
+      logger.warn('Reviewed card no longer exists:', id);
+      return null;
+    }
+
+    cards[index] = scheduleReview(cards[index], grade, now);
+    await this.saveCards(cards);
+    return cards[index];
+  }
+
+  /**
+   * @param {{now?: number, limit?: number}} options
+   * @returns {Promise<Object[]>}
+   */
+  async getDueCards(options = {}) {
+    return selectDueCards(await this.getCards(), options);
+  }
+}
+
+export const vocabularyDeck = new VocabularyDeck();
+export default vocabularyDeck;
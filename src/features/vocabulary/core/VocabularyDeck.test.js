@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { storageState, storageManagerMock } = vi.hoisted(() => {
+  const storageState = {};
+  return {
+    storageState,
+    storageManagerMock: {
+      getFresh: vi.fn(async (defaults) => ({ ...defaults, ...structuredClone(storageState) })),
+      set: vi.fn(async (data) => { Object.assign(storageState, structuredClone(data)); })
+    }
+  };
+});
+
+vi.mock('@/shared/storage/core/StorageCore.js', () => ({
+  storageManager: storageManagerMock
+}));
+
+vi.mock('@/shared/logging/logger.js', () => ({
+  getScopedLogger: () => ({ debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}));
+
+import { VocabularyDeck, VOCABULARY_STORAGE_KEY } from './VocabularyDeck.js';
+import { ReviewGrade, RELEARN_DELAY_MS } from './srsScheduler.js';
+
+const lookup = (overrides = {}) => ({
+  word: 'apple',
+  translation: 'سیب',
+  context: 'I ate an apple.',
+  sourceLanguage: 'en',
+  targetLanguage: 'fa',
+  ...overrides
+});
+
+describe('VocabularyDeck', () => {
+  let deck;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delete storageState[VOCABULARY_STORAGE_KEY];
+    deck = new VocabularyDeck();
+  });
+
+  it('should save a new card due immediately', async () => {
+    const { card, isNew } = await deck.addCard(lookup({ word: '  apple ' }), 1000);
+
+    expect(isNew).toBe(true);
+    expect(card).toMatchObject({ word: 'apple', translation: 'سیب', context: 'I ate an apple.', dueAt: 1000, repetitions: 0 });
+    expect(storageState[VOCABULARY_STORAGE_KEY]).toHaveLength(1);
+  });
+
+  it('should update an existing word without resetting its schedule', async () => {
+    const { card } = await deck.addCard(lookup(), 1000);
+    await deck.reviewCard(card.id, ReviewGrade.GOOD, 2000);
+
+    const { card: updated, isNew } = await deck.addCard(lookup({ word: 'Apple', context: 'Apple pie.', translation: '' }), 3000);
+
+    expect(isNew).toBe(false);
+    expect(updated).toMatchObject({ id: card.id, context: 'Apple pie.', translation: 'سیب', repetitions: 1 });
+    expect(await deck.getCards()).toHaveLength(1);
+  });
+
+  it('should keep the same word separate per language pair', async () => {
+    await deck.addCard(lookup(), 1000);
+    await deck.addCard(lookup({ targetLanguage: 'de', translation: 'Apfel' }), 1000);
+
+    expect(await deck.getCards()).toHaveLength(2);
+    expect(await deck.hasCard({ word: 'APPLE', sourceLanguage: 'en', targetLanguage: 'de' })).toBe(true);
+    expect(await deck.hasCard({ word: 'apple', sourceLanguage: 'en', targetLanguage: 'ja' })).toBe(false);
+  });
+
+  it('should reschedule reviewed cards and list due ones', async () => {
+    const { card } = await deck.addCard(lookup(), 0);
+    await deck.addCard(lookup({ word: 'pear' }), 0);
+
+    const reviewed = await deck.reviewCard(card.id, ReviewGrade.AGAIN, 100);
+    expect(reviewed.dueAt).toBe(100 + RELEARN_DELAY_MS);
+
+    expect((await deck.getDueCards({ now: 200 })).map(item => item.word)).toEqual(['pear']);
+    expect(await deck.reviewCard('missing', ReviewGrade.GOOD)).toBeNull();
+  });
+
+  it('should remove cards and reject empty words', async () => {
+    const { card } = await deck.addCard(lookup());
+
+    expect(await deck.removeCard(card.id)).toBe(true);
+    expect(await deck.removeCard(card.id)).toBe(false);
+    await expect(deck.addCard(lookup({ word: '   ' }))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Spaced-repetition scheduler (SM-2).
+ *
+ * Each card carries `{ repetitions, interval, easeFactor, dueAt, lastReviewedAt }`.
+ * A review is graded on the SM-2 quality scale (0-5); the review UI only
+ * offers the four grades in `ReviewGrade`. Grades below 3 send the card back
+ * to the start, everything else grows the interval by the card's ease factor.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+
+// A lapsed card is shown again in the same session after this delay
+export const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+export const ReviewGrade = Object.freeze({
+  AGAIN: 1,
+  HARD: 3,
+  GOOD: 4,
+  EASY: 5
+});
+
+/**
+ * Scheduling fields for a new card, due immediately.
+ * @param {number} now
+ * @returns {{repetitions: number, interval: number, easeFactor: number, dueAt: number, lastReviewedAt: null}}
+ */
+export function createSchedule(now = Date.now()) {
+  return {
+    repetitions: 0,
+    interval: 0,
+    easeFactor: DEFAULT_EASE_FACTOR,
+    dueAt: now,
+    lastReviewedAt: null
+  };
+}
+
+/**
+ * Apply a review to a card.
+ * @param {Object} card - Card with scheduling fields (missing fields count as new)
+ * @param {number} grade - SM-2 quality, 0-5
+ * @param {number} now
+ * @returns {Object} Updated copy of the card
+ */
+export function scheduleReview(card, grade, now = Date.now()) {
+  const quality = Math.max(0, Math.min(5, Math.round(Number(grade) || 0)));
+  const current = { ...createSchedule(now), ...card };
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    current.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (quality < 3) {
+    return {
+      ...current,
+      repetitions: 0,
+      interval: 0,
+      easeFactor,
+      dueAt: now + RELEARN_DELAY_MS,
+      lastReviewedAt: now,
+      lapses: (current.lapses || 0) + 1
+    };
+  }
+
+  const repetitions = current.repetitions + 1;
+  let interval;
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round(current.interval * current.easeFactor);
+  }
+
+  return {
+    ...current,
+    repetitions,
+    interval,
+    easeFactor,
+    dueAt: now + interval * DAY_MS,
+    lastReviewedAt: now
+  };
+}
+
+/**
+ * @param {Object} card
+ * @param {number} now
+ * @returns {boolean}
+ */
+export function isCardDue(card, now = Date.now()) {
+  return Boolean(card) && (card.dueAt ?? 0) <= now;
+}
+
+/**
+ * Cards due for review, most overdue first.
+ * @param {Object[]} cards
+ * @param {{now?: number, limit?: number}} options
+ * @returns {Object[]}
+ */
+export function selectDueCards(cards, { now = Date.now(), limit = Infinity } = {}) {
+  return (Array.isArray(cards) ? cards : [])
+    .filter(card => isCardDue(card, now))
+    .sort((a, b) => (a.dueAt ?? 0) - (b.dueAt ?? 0))
+    .slice(0, limit);
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSchedule,
+  scheduleReview,
+  isCardDue,
+  selectDueCards,
+  ReviewGrade,
+  DEFAULT_EASE_FACTOR,
+  MIN_EASE_FACTOR,
+  RELEARN_DELAY_MS
+} from './srsScheduler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('srsScheduler', () => {
+  it('should make new cards due immediately', () => {
+    const schedule = createSchedule(1000);
+
+    expect(schedule).toMatchObject({ repetitions: 0, interval: 0, easeFactor: DEFAULT_EASE_FACTOR, dueAt: 1000 });
+    expect(isCardDue(schedule, 1000)).toBe(true);
+  });
+
+  it('should grow intervals 1, 6, then by the ease factor', () => {
+    let card = createSchedule(0);
+
+    card = scheduleReview(card, ReviewGrade.GOOD, 0);
+    expect(card.interval).toBe(1);
+    expect(card.dueAt).toBe(DAY_MS);
+
+    card = scheduleReview(card, ReviewGrade.GOOD, card.dueAt);
+    expect(card.interval).toBe(6);
+
+    const ease = card.easeFactor;
+    card = scheduleReview(card, ReviewGrade.GOOD, card.dueAt);
+    expect(card.interval).toBe(Math.round(6 * ease));
+    expect(card.repetitions).toBe(3);
+  });
+
+  it('should adjust the ease factor by grade', () => {
+    const card = createSchedule(0);
+
+    expect(scheduleReview(card, ReviewGrade.EASY, 0).easeFactor).toBeCloseTo(2.6);
+    expect(scheduleReview(card, ReviewGrade.GOOD, 0).easeFactor).toBeCloseTo(2.5);
+    expect(scheduleReview(card, ReviewGrade.HARD, 0).easeFactor).toBeCloseTo(2.36);
+    expect(scheduleReview({ ...card, easeFactor: MIN_EASE_FACTOR }, ReviewGrade.AGAIN, 0).easeFactor).toBe(MIN_EASE_FACTOR);
+  });
+
+  it('should reset lapsed cards and show them again shortly', () => {
+    const learned = { ...createSchedule(0), repetitions: 4, interval: 30 };
+    const lapsed = scheduleReview(learned, ReviewGrade.AGAIN, 5000);
+
+    expect(lapsed).toMatchObject({ repetitions: 0, interval: 0, lapses: 1, dueAt: 5000 + RELEARN_DELAY_MS });
+  });
+
+  it('should select due cards, most overdue first', () => {
+    const cards = [
+      { id: 'later', dueAt: 500 },
+      { id: 'future', dueAt: 5000 },
+      { id: 'first', dueAt: 100 }
+    ];
+
+    expect(selectDueCards(cards, { now: 1000 }).map(card => card.id)).toEqual(['first', 'later']);
+    expect(selectDueCards(cards, { now: 1000, limit: 1 }).map(card => card.id)).toEqual(['first']);
+    expect(selectDueCards(null)).toEqual([]);
+  });
+});
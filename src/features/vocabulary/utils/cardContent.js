@@ -0,0 +1,74 @@
+/**
+ * Helpers that turn a dictionary lookup into vocabulary card content:
+ * the sentence the word was found in, and its pronunciation.
+ */
+
+import { SimpleMarkdown } from '@/shared/utils/text/markdown.js';
+
+export const MAX_CONTEXT_LENGTH = 300;
+
+const SENTENCE_END = /[.!?。！？؟…]/;
+const BLOCK_SELECTOR = 'p, li, td, th, dd, dt, blockquote, figcaption, h1, h2, h3, h4, h5, h6, article, section, div';
+
+// IPA between slashes, e.g. "/ˈwɜːd/"
+const IPA_REGEX = /\/([^/\n]*[ɐ-ʯˈˌː][^/\n]*)\//;
+
+/**
+ * The sentence of `text` that contains `word`.
+ * @param {string} text - Surrounding text (a paragraph, a caption, ...)
+ * @param {string} word - The looked-up word or phrase
+ * @returns {string} The sentence, or an empty string when the word is not in the text
+ */
+export function extractSentenceContext(text, word) {
+  const source = String(text ?? '').replace(/\s+/g, ' ').trim();
+  const needle = String(word ?? '').replace(/\s+/g, ' ').trim();
+  if (!source || !needle) return '';
+
+  const index = source.toLowerCase().indexOf(needle.toLowerCase());
+  if (index === -1) return '';
+
+  let start = index;
+  while (start > 0 && !SENTENCE_END.test(source[start - 1])) start--;
+
+  let end = index + needle.length;
+  while (end < source.length && !SENTENCE_END.test(source[end])) end++;
+  if (end < source.length) end++; // keep the closing punctuation
+
+  const sentence = source.slice(start, end).trim();
+  if (sentence === needle) return '';
+  if (sentence.length <= MAX_CONTEXT_LENGTH) return sentence;
+
+  // Very long sentences are cut around the word
+  const offset = index - start;
+  const from = Math.max(0, offset - Math.floor((MAX_CONTEXT_LENGTH - needle.length) / 2));
+  return `…${sentence.slice(from, from + MAX_CONTEXT_LENGTH).trim()}…`;
+}
+
+/**
+ * Sentence context of the current page selection.
+ * @param {Selection} selection
+ * @returns {string}
+ */
+export function captureSelectionContext(selection) {
+  if (!selection || selection.rangeCount === 0) return '';
+
+  const word = selection.toString();
+  const node = selection.getRangeAt(0).commonAncestorContainer;
+  const element = node?.nodeType === 1 ? node : node?.parentElement;
+  const block = element?.closest?.(BLOCK_SELECTOR) || element;
+
+  return extractSentenceContext(block?.textContent || node?.textContent || '', word);
+}
+
+/**
+ * Pronunciation found in a dictionary result.
+ * @param {string} translatedText - Dictionary output (markdown)
+ * @returns {string}
+ */
+export function extractPronunciation(translatedText) {
+  const guide = SimpleMarkdown.extractPronunciationGuide(translatedText);
+  if (guide) return guide;
+
+  const ipa = String(translatedText ?? '').match(IPA_REGEX);
+  return ipa ? ipa[1].trim() : '';
+}
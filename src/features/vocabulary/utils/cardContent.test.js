@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { extractSentenceContext, captureSelectionContext, extractPronunciation, MAX_CONTEXT_LENGTH } from './cardContent.js';
+
+describe('cardContent', () => {
+  describe('extractSentenceContext', () => {
+    it('should return the sentence containing the word', () => {
+      const text = 'First sentence here. The quick brown fox jumps!  Another one?';
+
+      expect(extractSentenceContext(text, 'brown')).toBe('The quick brown fox jumps!');
+      expect(extractSentenceContext(text, 'ANOTHER')).toBe('Another one?');
+    });
+
+    it('should handle non-Latin sentence punctuation', () => {
+      expect(extractSentenceContext('今日は晴れです。猫が好きです。', '猫')).toBe('猫が好きです。');
+      expect(extractSentenceContext('این یک کتاب است؟ بله.', 'کتاب')).toBe('این یک کتاب است؟');
+    });
+
+    it('should return nothing when there is no surrounding sentence', () => {
+      expect(extractSentenceContext('word', 'word')).toBe('');
+      expect(extractSentenceContext('Something else.', 'missing')).toBe('');
+      expect(extractSentenceContext('', 'word')).toBe('');
+    });
+
+    it('should cut very long sentences around the word', () => {
+      const filler = 'lorem '.repeat(100);
+      const context = extractSentenceContext(`${filler}target ${filler}`, 'target');
+
+      expect(context).toContain('target');
+      expect(context.length).toBeLessThanOrEqual(MAX_CONTEXT_LENGTH + 2);
+    });
+  });
+
+  it('should capture the sentence around a DOM selection', () => {
+    document.body.innerHTML = '<p>Hello there. I like <b>apples</b> a lot. Bye.</p>';
+    const range = document.createRange();
+    range.selectNodeContents(document.querySelector('b'));
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    expect(captureSelectionContext(selection)).toBe('I like apples a lot.');
+    expect(captureSelectionContext(null)).toBe('');
+  });
+
+  it('should extract bracketed or IPA pronunciations', () => {
+    expect(extractPronunciation('خبر [n(y)o͞oz]\n- **اسم**: اخبار')).toBe('n(y)o͞oz');
+    expect(extractPronunciation('word /wɜːd/\n- **Noun**: ...')).toBe('wɜːd');
+    expect(extractPronunciation('and/or nothing')).toBe('');
+  });
+});
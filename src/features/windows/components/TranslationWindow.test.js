@@ -1,7 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { mount } from '@vue/test-utils';
+import { mount, flushPromises } from '@vue/test-utils';
 import { nextTick, reactive, ref } from 'vue';
 import TranslationWindow from './TranslationWindow.vue';
+import { TranslationMode } from '@/shared/config/config.js';
 
 let currentMediaQueryList = null;
 
@@ -94,6 +95,17 @@ vi.mock('@/features/tts/composables/useTTSSmart.js', () => ({
   }),
 }));
 
+const { vocabularyDeckMock } = vi.hoisted(() => ({
+  vocabularyDeckMock: {
+    hasCard: vi.fn(),
+    addCard: vi.fn(),
+  },
+}));
+
+vi.mock('@/features/vocabulary/core/VocabularyDeck.js', () => ({
+  vocabularyDeck: vocabularyDeckMock,
+}));
+
 vi.mock('@/shared/messaging/composables/useMessaging.js', () => ({
   useMessaging: vi.fn(),
 }));
@@ -197,6 +209,8 @@ describe('TranslationWindow.vue', () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
+    vocabularyDeckMock.hasCard.mockResolvedValue(false);
+    vocabularyDeckMock.addCard.mockResolvedValue({ isNew: true });
     trackedDisposers.length = 0;
     vi.stubGlobal('requestAnimationFrame', (cb) => cb());
     globalThis.__mockSettingsStore = createSettingsStore();
@@ -272,6 +286,41 @@ describe('TranslationWindow.vue', () => {
     expect(wrapper.find('.ti-action-btn[title="window_close"]').exists()).toBe(true);
   });
 
+  it('saves dictionary lookups to the vocabulary deck with their context', async () => {
+    const wrapper = mount(TranslationWindow, {
+      props: {
+        ...baseProps,
+        selectedText: 'news',
+        initialTranslatedText: 'خبر [n(y)o͞oz]\n\n- **اسم**: اخبار',
+        translationMode: TranslationMode.Dictionary_Translation,
+        contextText: 'I read the news today.',
+      },
+    });
+    await flushPromises();
+
+    const saveButton = wrapper.find('[data-testid="translation-window-toolbar-save-word"]');
+    expect(saveButton.attributes('title')).toBe('vocabulary_save_word');
+
+    await saveButton.trigger('click');
+    await flushPromises();
+
+    expect(vocabularyDeckMock.addCard).toHaveBeenCalledWith(expect.objectContaining({
+      word: 'news',
+      translation: 'خبر',
+      pronunciation: 'n(y)o͞oz',
+      context: 'I read the news today.',
+      sourceLanguage: 'en',
+      targetLanguage: 'fa',
+    }));
+    expect(wrapper.find('[data-testid="translation-window-toolbar-save-word"]').attributes('title')).toBe('vocabulary_word_saved');
+  });
+
+  it('does not offer saving for regular translations', () => {
+    const wrapper = mount(TranslationWindow, { props: { ...baseProps, translationMode: TranslationMode.Selection } });
+
+    expect(wrapper.find('[data-testid="translation-window-toolbar-save-word"]').exists()).toBe(false);
+  });
+
   it('uses system theme for auto mode and updates without remounting', async () => {
     globalThis.__mockSettingsStore.settings.THEME = 'auto';
 
@@ -53,7 +53,8 @@ export function useWindowsManager() {
       sourceLanguage: detail.sourceLanguage || detail.from || detail.sl || 'auto',
       detectedSourceLanguage: detail.detectedSourceLanguage || null,
       provider: detail.provider || '',
-      mode: detail.mode || null
+      mode: detail.mode || null,
+      contextText: detail.contextText || ''
     };
 
     if (existingWindowIndex >= 0) {
@@ -55,6 +55,7 @@ vi.mock('@/features/windows/managers/core/WindowsState.js', () => ({
     this.setVisible = vi.fn((v) => { this.isVisible = v; });
     this.setIconMode = vi.fn((v) => { this.isIconMode = v; });
     this.setOriginalText = vi.fn();
+    this.setSelectionContext = vi.fn();
     this.setProvider = vi.fn();
     this.setActiveWindowId = vi.fn();
     this.setProcessing = vi.fn();
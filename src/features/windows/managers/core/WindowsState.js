@@ -25,6 +25,7 @@ export class WindowsState {
     // Translation states
     this.isTranslationCancelled = false;
     this.originalText = null;
+    this.selectionContext = '';
 
     // Drag states
     this.isDragging = false;
@@ -87,6 +88,11 @@ export class WindowsState {
     this.originalText = text;
   }
   
+  // Sentence around the selected text, kept for saving words to the vocabulary deck
+  setSelectionContext(context) {
+    this.selectionContext = context || '';
+  }
+
   setProvider(provider) {
     this.provider = provider;
   }
@@ -8,6 +8,7 @@ import ExtensionContextManager from "@/core/extensionContext.js";
 import { deviceDetector } from '@/utils/browser/compatibility.js';
 import ExclusionChecker from '@/features/exclusion/core/ExclusionChecker.js';
 import { MOBILE_CONSTANTS } from '@/shared/constants/mobile.js';
+import { captureSelectionContext } from '@/features/vocabulary/utils/cardContent.js';
 
 /**
  * Handles UI display logic for translation windows and icons
@@ -89,6 +90,12 @@ export class DisplayManager {
       return;
     }
 
+    // The page selection may be gone by the time the window opens (e.g. after an icon click)
+    const selectionContext = captureSelectionContext(window.getSelection?.());
+    if (selectionContext || this.state.originalText !== selectedText) {
+      this.state.setSelectionContext(selectionContext);
+    }
+
     // Mobile specific
     if (this.shouldUseMobileUI()) {
       if (selectionTranslationMode === SelectionTranslationMode.IMMEDIATE) {
@@ -178,7 +185,8 @@ export class DisplayManager {
       isLoading: true,
       isError: false,
       initialTranslatedText: '',
-      selectedText 
+      selectedText,
+      contextText: this.state.selectionContext
     });
 
     try {
@@ -391,6 +399,7 @@ export class DisplayManager {
       mode: 'window',
       initialSize: 'small',
       isLoading: true,
+      contextText: this.state.selectionContext,
       frameId: this.crossFrameManager.frameId
     });
     
@@ -216,6 +216,7 @@ export class ContentMessageHandler extends ResourceTracker {
     this.registerHandler(MessageActions.PAGE_RESTORE, this.handlePageRestore.bind(this));
     this.registerHandler(MessageActions.PAGE_TRANSLATE_GET_STATUS, this.handlePageGetStatus.bind(this));
     this.registerHandler(MessageActions.PAGE_TRANSLATE_STOP_AUTO, this.handlePageStopAuto.bind(this));
+    this.registerHandler(MessageActions.PAGE_TRANSLATE_BATCH_PARTIAL, this.handlePageBatchPartial.bind(this));
   }
 
   registerHandler(action, handler) {
@@ -828,6 +829,15 @@ export class ContentMessageHandler extends ResourceTracker {
     }
   }
 
+  async handlePageBatchPartial(message) {
+    // Frames that started page translation through the main frame never had the manager injected
+    const manager = this.pageTranslationManager
+      || (await import('@/features/page-translation/PageTranslationManager.js')).pageTranslationManager;
+
+    const appliedCount = manager.scheduler.applyPartialResults(message.data || {});
+    return { success: true, appliedCount };
+  }
+
   async cleanup() {
     this.handlers.clear();
     this.selectElementManager = null;
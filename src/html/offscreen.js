@@ -249,9 +249,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         'bing': '#00BCF2',
         'yandex': '#FF0000',
         'openai': '#412991',
+        'anthropic': '#D97757',
         'openrouter': '#FF6B35',
         'deepseek': '#00A67E',
         'webai': '#FF9500',
+        'ollama': '#1F2937',
+        'libretranslate': '#2563EB',
         'custom': '#9CA3AF',
         'browserapi': '#4CAF50'
       };
@@ -941,9 +944,12 @@ async function handleOCRProcess(data, sendResponse) {
     const { image, lang, coordinates } = data;
 
     console.log("[Offscreen] Starting recognition with language:", lang);
-    const text = await ocrEngine.recognize(image, lang, coordinates);
+    const { text, lines } = await ocrEngine.recognizeStructured(image, lang, coordinates);
     console.log("[Offscreen] Recognition successful, extracted text length:", text?.length);
-    sendResponse({ success: true, text });
+
+    // Tesseract lines carry every word and symbol; send only text and boxes back
+    const { normalizeOcrLines } = await import('../features/screen-capture/utils/ocrLines.js');
+    sendResponse({ success: true, text, lines: normalizeOcrLines(lines) });
   } catch (error) {
     console.error("[Offscreen] OCR process failed. Full error object:", error);
 
@@ -162,6 +162,26 @@ export const PROMPT_REGISTRY = {
     previewSupport: false
   },
 
+  // --- DOCUMENT PROMPTS ---
+  PROMPT_DOCUMENT_BASE: {
+    key: 'PROMPT_DOCUMENT_BASE',
+    labelKey: 'prompt_document_base_label',
+    category: PromptCategory.SYSTEM,
+    risk: PromptRisk.CRITICAL,
+    editable: false,
+    placeholders: ["$_{PROMPT_INSTRUCTIONS}", "$_{BATCH_INSTRUCTION}", "$_{TEXT}"],
+    previewSupport: false
+  },
+  PROMPT_DOCUMENT_BATCH: {
+    key: 'PROMPT_DOCUMENT_BATCH',
+    labelKey: 'prompt_document_batch_label',
+    category: PromptCategory.INTERNAL,
+    risk: PromptRisk.CRITICAL,
+    editable: false,
+    placeholders: ["$_{TARGET}", "$_{TEXT}"],
+    previewSupport: false
+  },
+
   // --- INTERNAL PROMPTS ---
   PROMPT_BASE_AI_FOLLOWUP: {
     key: 'PROMPT_BASE_AI_FOLLOWUP',
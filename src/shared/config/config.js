@@ -28,6 +28,7 @@ export const TranslationMode = {
   PDF: MessageContexts.PDF_TRANSLATION, // Dedicated PDF translation
   MouseHover: 'mouse_hover', // Mouse on hover translation
   Subtitle: MessageContexts.SUBTITLE_TRANSLATION,
+  Document: MessageContexts.DOCUMENT_TRANSLATION, // DOCX/EPUB segments
   
   // Legacy aliases for backward compatibility
   LEGACY_FIELD: 'field',
@@ -71,6 +72,11 @@ export const CONFIG = {
   HIDDEN_PROVIDERS: [],
   COMPONENT_LOG_LEVELS: {}, // Custom log levels per component
   ENABLE_TRANSLATION_HISTORY: true, // Enable/disable translation history
+  TRANSLATION_MEMORY_ENABLED: true, // Reuse earlier translations from the persistent translation memory
+  TRANSLATION_MEMORY_MAX_ENTRIES: 20000, // LRU quota: maximum number of stored translations
+  TRANSLATION_MEMORY_MAX_SIZE_MB: 25, // LRU quota: maximum stored text size in megabytes
+  GLOSSARY_ENABLED: true, // Enforce user glossary terms in translations
+  GLOSSARIES: [], // Per-language-pair term lists: [{ id, name, sourceLanguage, targetLanguage, enabled, terms: [{ source, target, caseSensitive }] }]
   APPLICATION_LOCALIZE: "en",
   SOURCE_LANGUAGE: "auto",
   TARGET_LANGUAGE: "en",
@@ -88,6 +94,8 @@ export const CONFIG = {
   REPLACE_SPECIAL_SITES: true,
   TIMEOUT: 30000,
   TEXT_FIELD_SHORTCUT: 'Ctrl+/',
+  SHORTCUTS: {}, // میانبر هر عمل (شناسه عمل ← کلید یا دنباله کلید)؛ مقدار خالی یعنی بدون میانبر
+  SHORTCUTS_DISABLED_SITES: [], // الگوی سایت‌هایی که میانبرهای کیبورد در آنها غیرفعال است
   CHANGELOG_URL: "https://raw.githubusercontent.com/iSegaro/Translate-It/main/Changelog.md",
 
   // --- Character Limits ---
@@ -102,13 +110,18 @@ export const CONFIG = {
 
 
   // --- API Settings ---
-  TRANSLATION_API: isFirefox ? ProviderRegistryIds.YANDEX : ProviderRegistryIds.GOOGLE_V2, // gemini, webai, openai, openrouter, deepseek, custom, google, browserapi
+  TRANSLATION_API: isFirefox ? ProviderRegistryIds.YANDEX : ProviderRegistryIds.GOOGLE_V2, // gemini, webai, ollama, openai, anthropic, openrouter, deepseek, custom, google, browserapi
 
   // --- Mode Specific Provider Settings (Generated Dynamically) ---
   MODE_PROVIDERS: Object.fromEntries(
     Object.values(TranslationMode).map(mode => [mode, null])
   ),
 
+  // --- Provider Failover Chains ---
+  // Ordered fallback provider ids per mode, tried when the mode's provider fails
+  // with a quota, authentication or circuit-open error (e.g. { selection: ['deepl', 'googlev2'] })
+  MODE_PROVIDER_FAILOVER: {},
+
   API_KEY: "", // Gemini specific (deprecated, use GEMINI_API_KEY)
   GEMINI_API_KEY: "", // Gemini API keys (newline-separated)
   GEMINI_API_URL: "https://generativelanguage.googleapis.com/v1beta/models/gemini-3.5-flash:generateContent", // Default Gemini API URL
@@ -178,6 +191,9 @@ export const CONFIG = {
   MICROSOFT_EDGE_AUTH_URL: "https://edge.microsoft.com/translate/auth",
   MICROSOFT_EDGE_TRANSLATE_URL: "https://api-edge.cognitive.microsofttranslator.com/translate",
   LINGVA_API_URL: "",
+  LIBRETRANSLATE_API_URL: "http://localhost:5000", // Self-hosted default; https://libretranslate.com needs a key
+  LIBRETRANSLATE_API_KEY: "", // Optional, only for servers started with --api-keys
+  LIBRETRANSLATE_LANGUAGES: [], // Codes discovered from the server's /languages; empty = public instance list
   WEBAI_API_URL: "",
   WEBAI_API_MODEL: "gemini-3-flash",
   WEBAI_MODELS: [
@@ -195,6 +211,14 @@ export const CONFIG = {
     { value: "gpt-4o-mini", name: "GPT-4o Mini" },
     { value: "custom", name: "Custom Model" }
   ],
+  ANTHROPIC_API_KEY: "",
+  ANTHROPIC_API_URL: "https://api.anthropic.com/v1/messages",
+  ANTHROPIC_API_MODEL: "claude-haiku-4-5",
+  ANTHROPIC_MODELS: [
+    { value: "claude-haiku-4-5", name: "Claude Haiku 4.5" },
+    { value: "claude-sonnet-4-6", name: "Claude Sonnet 4.6" },
+    { value: "custom", name: "Custom Model" }
+  ],
   OPENROUTER_API_KEY: "",
   OPENROUTER_API_URL: "https://openrouter.ai/api/v1/chat/completions",
   OPENROUTER_API_MODEL: "openai/gpt-4o-mini",
@@ -224,6 +248,10 @@ export const CONFIG = {
   CUSTOM_API_URL: "",
   CUSTOM_API_KEY: "",
   CUSTOM_API_MODEL: "",
+  CUSTOM_PROFILES: [], // Named OpenAI-compatible endpoints (Azure OpenAI, gateways); see CustomProfiles.js
+  OLLAMA_API_URL: "http://localhost:11434", // Ollama, llama.cpp server or LM Studio
+  OLLAMA_API_MODEL: "",
+  OLLAMA_JSON_MODE_MODELS: {}, // Per-model JSON mode opt-out { "llama3.2:3b": false }; unlisted models use JSON mode
 
   // --- DeepL API Settings ---
   DEEPL_API_KEY: "",
@@ -280,6 +308,7 @@ export const CONFIG = {
   ENABLE_SCREEN_CAPTURE: true, // فعال کردن قابلیت Screen Capture Translator
   OCR_DEFAULT_LANG: 'eng', // زبان پیش‌فرض OCR
   OCR_PREFERRED_ACTION: 'region', // اقدام ترجیحی PDF OCR: 'region' | 'page'
+  SCREEN_CAPTURE_DISPLAY_MODE: 'window', // نمایش نتیجه تصویربرداری: 'window' | 'lines'
   ACTIVE_SELECTION_ICON_ON_TEXTFIELDS: true, // فعال کردن دوبار کلیک روی متن در فیلدهای متنی
   EXCLUDED_SITES: [], // وب‌سایت‌هایی که افزونه در آن‌ها غیرفعال باشد
   MOBILE_UI_MODE: MOBILE_CONSTANTS.UI_MODE.AUTO, // حالت رابط کاربری موبایل: auto, mobile, desktop
@@ -295,6 +324,9 @@ export const CONFIG = {
   MOUSE_HOVER_SHOW_CONTAINER_BORDER: true, // نمایش حاشیه دور کانتینر در حالت container
   SHOW_MOUSE_HOVER_IN_FAB: true, // نمایش گزینه فعال‌سازی ترجمه با ماوس در منوی FAB دسکتاپ
 
+  // --- Live Video Caption Translation Settings ---
+  VIDEO_CAPTIONS_TRANSLATION_ENABLED: false, // ترجمه زنده زیرنویس ویدیوها و نمایش دوزبانه روی پخش‌کننده
+
   // --- Dictionary Display Settings ---
   DICTIONARY_SHOW_PRONUNCIATION: true,
   DICTIONARY_SHOW_POS: true, // Parts of Speech (Noun, Verb, etc.)
@@ -345,11 +377,14 @@ export const CONFIG = {
   WHOLE_PAGE_MAX_CONCURRENT_REQUESTS: 1, // حداکثر تعداد درخواست‌های همزمان برای ترجمه صفحه
   WHOLE_PAGE_PROGRESS_UPDATE_INTERVAL: 100, // فاصله بین progress updates (ms)
   WHOLE_PAGE_SHOW_ORIGINAL_ON_HOVER: false, // نمایش متن اصلی هنگام hover روی متن ترجمه شده
+  WHOLE_PAGE_BILINGUAL_DISPLAY: false, // نمایش ترجمه زیر هر بلوک و حفظ متن اصلی (حالت دوزبانه)
+  WHOLE_PAGE_BILINGUAL_STYLE: 'underline', // سبک نمایش ترجمه در حالت دوزبانه: underline | dimmed | bordered
   SELECT_ELEMENT_SHOW_ORIGINAL_ON_HOVER: false, // نمایش متن اصلی هنگام hover در حالت انتخاب المان
   WHOLE_PAGE_TRANSLATE_AFTER_SCROLL_STOP: false, // ترجمه فقط پس از توقف اسکرول
   WHOLE_PAGE_SCROLL_STOP_DELAY: 500, // تاخیر برای توقف اسکرول (ms)
   WHOLE_PAGE_TOKEN_WARNING_HIDDEN: false, // پنهان کردن هشدار مصرف توکن در ترجمه صفحه
   WHOLE_PAGE_AUTO_TRANSLATE_RULES: [], // قوانین شروع خودکار ترجمه کل صفحه (domain/URL)
+  SITE_PROFILES: [], // Per-site provider, language, prompt and feature overrides; see SiteProfiles.js
 
 
   // --- Proxy Settings ---
@@ -607,37 +642,26 @@ $_{TEXT}
   /*--- End PROMPT_BASE_POPUP_TRANSLATE ---*/
 
   /*--- Start PROMPT_BASE_SCREEN_CAPTURE ---*/
-  PROMPT_BASE_SCREEN_CAPTURE: `You are a professional image text extraction and translation service. Your task is to extract all readable text from the provided image and translate it into $_{TARGET}.
+  PROMPT_BASE_SCREEN_CAPTURE: `You are a professional translation service for text recognized by OCR from a screenshot. Translate the text below into $_{TARGET}.
 
 **Your responsibilities:**
-1. **Extract ALL visible text** from the image, including:
-   - Main text content, titles, headers, and paragraphs
-   - UI elements, buttons, labels, and menu items
-   - Captions, annotations, and overlaid text
-   - Signs, logos, and watermarks with readable text
-   - Any other textual information visible in the image
+1. **Understand OCR output:**
+   - The text was extracted from an image, so it may contain recognition errors such as wrong letters, missing spaces or stray symbols
+   - Silently correct obvious recognition errors before translating
+   - Texts from UI elements, buttons, labels, captions and signs may appear without surrounding context
 
 2. **Translation Guidelines:**
    - Strictly follow these instructions: $_{PROMPT_INSTRUCTIONS}
-   - Automatically detect the language of extracted text
-   - Translate all extracted text into $_{TARGET}
+   - Automatically detect the language of the text
    - Maintain the **original meaning and context**
    - Use **appropriate terminology** for the content type (technical, casual, formal, etc.)
-   - Keep **spatial relationships** when multiple text elements exist
 
 3. **Output Format:**
-   - If the image contains **single text block**: Output only the translated text
-   - If the image contains **multiple separate text elements**: Use clear formatting to distinguish between different text areas
-   - **DO NOT** include explanations, descriptions, or metadata about the image
-   - **DO NOT** describe non-text visual elements (colors, layout, graphics, etc.)
-
-4. **Quality Requirements:**
-   - Ensure **accuracy** in text extraction - don't miss any readable text
-   - Provide **high-quality translations** that sound natural in $_{TARGET}
-   - Maintain **consistency** in terminology throughout the translation
-   - Handle **special characters, numbers, and symbols** appropriately
+   - Each input line is one line of text on screen. Output **exactly one translated line for each input line**, in the same order
+   - Do not merge, split, add or remove lines
+   - **DO NOT** include explanations, notes or the original text
 
-**Important:** Output ONLY the translated text content. Do not include any analysis, descriptions, or additional commentary.
+**Important:** Output ONLY the translated text.
 
 $_{TEXT}`,
   /*--- End PROMPT_BASE_SCREEN_CAPTURE ---*/
@@ -699,6 +723,36 @@ Return the results as a JSON object:
 
 $_{TEXT}`,
   /*--- End PROMPT_SUBTITLE_BATCH ---*/
+
+  /*--- Start PROMPT_DOCUMENT_BASE ---*/
+  PROMPT_DOCUMENT_BASE: `You are an expert document translator. Your task is to translate the paragraphs of a book or office document.
+
+Strictly follow these instructions:
+$_{PROMPT_INSTRUCTIONS}
+
+$_{BATCH_INSTRUCTION}
+
+CRITICAL RULES:
+1. PRESERVE all formatting tokens like @@SUB_TAG_0@@ or @@SUB_NL_1@@ exactly.
+2. Tokens come in pairs around formatted words; keep each pair around the translation of those words, even if the word order changes.
+3. DO NOT translate the tokens themselves.
+4. Return a valid JSON object with the "translations" array.
+
+$_{TEXT}`,
+  /*--- End PROMPT_DOCUMENT_BASE ---*/
+
+  /*--- Start PROMPT_DOCUMENT_BATCH ---*/
+  PROMPT_DOCUMENT_BATCH: `Translate the following batch of document paragraphs into $_{TARGET}.
+
+Return the results as a JSON object:
+{
+  "translations": [
+    { "id": "paragraph-1", "text": "Translated text..." }
+  ]
+}
+
+$_{TEXT}`,
+  /*--- End PROMPT_DOCUMENT_BATCH ---*/
 };
 
 export const state = {
@@ -864,6 +918,19 @@ export const getLingvaApiUrlAsync = async () => {
   return getSettingValueAsync("LINGVA_API_URL", CONFIG.LINGVA_API_URL);
 };
 
+// LibreTranslate Specific
+export const getLibreTranslateApiUrlAsync = async () => {
+  return getSettingValueAsync("LIBRETRANSLATE_API_URL", CONFIG.LIBRETRANSLATE_API_URL);
+};
+
+export const getLibreTranslateApiKeyAsync = async () => {
+  return getSettingValueAsync("LIBRETRANSLATE_API_KEY", CONFIG.LIBRETRANSLATE_API_KEY);
+};
+
+export const getLibreTranslateLanguagesAsync = async () => {
+  return getSettingValueAsync("LIBRETRANSLATE_LANGUAGES", CONFIG.LIBRETRANSLATE_LANGUAGES);
+};
+
 export const getApplication_LocalizeAsync = async () => {
   return getSettingValueAsync(
     "APPLICATION_LOCALIZE",
@@ -985,6 +1052,14 @@ export const getPromptSubtitleBatchAsync = async () => {
   return CONFIG.PROMPT_SUBTITLE_BATCH;
 };
 
+export const getPromptDocumentBaseAsync = async () => {
+  return CONFIG.PROMPT_DOCUMENT_BASE;
+};
+
+export const getPromptDocumentBatchAsync = async () => {
+  return CONFIG.PROMPT_DOCUMENT_BATCH;
+};
+
 export const getPromptBASEScreenCaptureAsync = async () => {
   return CONFIG.PROMPT_BASE_SCREEN_CAPTURE;
 };
@@ -1000,6 +1075,18 @@ export const getModeProvidersAsync = async () => {
   return getSettingValueAsync("MODE_PROVIDERS", CONFIG.MODE_PROVIDERS);
 };
 
+// Modes that send many segments per request and need providers with the 'bulk' feature
+const BULK_TRANSLATION_MODES = [
+  TranslationMode.Page,
+  TranslationMode.PDF,
+  TranslationMode.Select_Element,
+  TranslationMode.Field
+];
+
+export const getModeProviderFailoverAsync = async () => {
+  return getSettingValueAsync("MODE_PROVIDER_FAILOVER", CONFIG.MODE_PROVIDER_FAILOVER);
+};
+
 /**
  * Resolves the effective provider for a specific translation mode.
  * Returns the mode-specific provider if configured, otherwise falls back 
@@ -1036,12 +1123,7 @@ export const getEffectiveProviderAsync = async (mode) => {
     const provider = findProviderById(resolvedId);
     
     // Mode-specific requirements
-    const needsBulk = [
-      TranslationMode.Page, 
-      TranslationMode.PDF,
-      TranslationMode.Select_Element, 
-      TranslationMode.Field
-    ].includes(mode);
+    const needsBulk = BULK_TRANSLATION_MODES.includes(mode);
 
     if (needsBulk && provider && !provider.features?.includes('bulk')) {
       logger.warn(`Resolved provider ${resolvedId} for mode ${mode} does not support bulk. Falling back to ${systemDefault}.`);
@@ -1055,6 +1137,36 @@ export const getEffectiveProviderAsync = async (mode) => {
   }
 };
 
+/**
+ * Resolves the ordered failover chain for a translation mode.
+ * Like provider resolution, Dictionary falls back to the Selection chain and
+ * Sidepanel to the Popup chain. Unknown providers and providers lacking the
+ * mode's required features are dropped.
+ *
+ * @param {string} mode - The translation mode (from TranslationMode enum)
+ * @returns {Promise<string[]>} - Provider IDs in the order they should be tried
+ */
+export const getModeFailoverChainAsync = async (mode) => {
+  try {
+    const chains = await getModeProviderFailoverAsync() || {};
+    const parentMode = {
+      [TranslationMode.Dictionary_Translation]: TranslationMode.Selection,
+      [TranslationMode.Sidepanel_Translate]: TranslationMode.Popup_Translate
+    }[mode];
+
+    const chain = chains[mode]?.length ? chains[mode] : (chains[parentMode] || []);
+    const needsBulk = BULK_TRANSLATION_MODES.includes(mode);
+
+    return [...new Set(chain)].filter((providerId) => {
+      const provider = findProviderById(providerId);
+      return provider && (!needsBulk || provider.features?.includes('bulk'));
+    });
+  } catch (error) {
+    logger.error(`Error resolving failover chain for mode ${mode}:`, error);
+    return [];
+  }
+};
+
 // WebAI Specific
 export const getWebAIApiUrlAsync = async () => {
   return getSettingValueAsync("WEBAI_API_URL", CONFIG.WEBAI_API_URL);
@@ -1064,6 +1176,19 @@ export const getWebAIApiModelAsync = async () => {
   return getSettingValueAsync("WEBAI_API_MODEL", CONFIG.WEBAI_API_MODEL);
 };
 
+// Ollama / Local LLM Specific
+export const getOllamaApiUrlAsync = async () => {
+  return getSettingValueAsync("OLLAMA_API_URL", CONFIG.OLLAMA_API_URL);
+};
+
+export const getOllamaApiModelAsync = async () => {
+  return getSettingValueAsync("OLLAMA_API_MODEL", CONFIG.OLLAMA_API_MODEL);
+};
+
+export const getOllamaJsonModeModelsAsync = async () => {
+  return getSettingValueAsync("OLLAMA_JSON_MODE_MODELS", CONFIG.OLLAMA_JSON_MODE_MODELS);
+};
+
 // DeepSeek Specific
 export const getDeepSeekApiKeyAsync = async () => {
   return getSettingValueAsync("DEEPSEEK_API_KEY", CONFIG.DEEPSEEK_API_KEY);
@@ -1090,6 +1215,11 @@ export const getCustomApiModelAsync = async () => {
   return getSettingValueAsync("CUSTOM_API_MODEL", CONFIG.CUSTOM_API_MODEL);
 };
 
+export const getCustomProfilesAsync = async () => {
+  const profiles = await getSettingValueAsync("CUSTOM_PROFILES", CONFIG.CUSTOM_PROFILES);
+  return Array.isArray(profiles) ? profiles : [];
+};
+
 // DeepL Specific
 export const getDeeplApiKeyAsync = async () => {
   return getSettingValueAsync("DEEPL_API_KEY", CONFIG.DEEPL_API_KEY);
@@ -1116,6 +1246,11 @@ export const getOpenAIModelAsync = async () => {
   return getSettingValueAsync("OPENAI_API_MODEL", CONFIG.OPENAI_API_MODEL);
 };
 
+// Anthropic Specific
+export const getAnthropicApiModelAsync = async () => {
+  return getSettingValueAsync("ANTHROPIC_API_MODEL", CONFIG.ANTHROPIC_API_MODEL);
+};
+
 // OpenRouter Specific
 export const getOpenRouterApiKeyAsync = async () => {
   return getSettingValueAsync("OPENROUTER_API_KEY", CONFIG.OPENROUTER_API_KEY);
@@ -1288,6 +1423,15 @@ export const getOpenAIApiKeysAsync = async () => {
   return ApiKeyManager.getKeys('OPENAI_API_KEY');
 };
 
+/**
+ * Get all Anthropic API keys as array
+ * @returns {Promise<string[]>} - Array of API keys
+ */
+export const getAnthropicApiKeysAsync = async () => {
+  const { ApiKeyManager } = await import("@/features/translation/providers/ApiKeyManager.js");
+  return ApiKeyManager.getKeys('ANTHROPIC_API_KEY');
+};
+
 /**
  * Get all Gemini API keys as array
  * @returns {Promise<string[]>} - Array of API keys
@@ -1397,6 +1541,35 @@ export const getSmartContextTranslationEnabledAsync = async () => {
   );
 };
 
+export const getTranslationMemoryEnabledAsync = async () => {
+  return getSettingValueAsync(
+    "TRANSLATION_MEMORY_ENABLED",
+    CONFIG.TRANSLATION_MEMORY_ENABLED
+  );
+};
+
+export const getTranslationMemoryMaxEntriesAsync = async () => {
+  return getSettingValueAsync(
+    "TRANSLATION_MEMORY_MAX_ENTRIES",
+    CONFIG.TRANSLATION_MEMORY_MAX_ENTRIES
+  );
+};
+
+export const getTranslationMemoryMaxSizeMbAsync = async () => {
+  return getSettingValueAsync(
+    "TRANSLATION_MEMORY_MAX_SIZE_MB",
+    CONFIG.TRANSLATION_MEMORY_MAX_SIZE_MB
+  );
+};
+
+export const getGlossaryEnabledAsync = async () => {
+  return getSettingValueAsync("GLOSSARY_ENABLED", CONFIG.GLOSSARY_ENABLED);
+};
+
+export const getGlossariesAsync = async () => {
+  return getSettingValueAsync("GLOSSARIES", CONFIG.GLOSSARIES);
+};
+
 export const getWholePageTranslationEnabledAsync = async () => {
   return getSettingValueAsync(
     "WHOLE_PAGE_TRANSLATION_ENABLED",
@@ -1474,6 +1647,20 @@ export const getWholePageShowOriginalOnHoverAsync = async () => {
   );
 };
 
+export const getWholePageBilingualDisplayAsync = async () => {
+  return getSettingValueAsync(
+    "WHOLE_PAGE_BILINGUAL_DISPLAY",
+    CONFIG.WHOLE_PAGE_BILINGUAL_DISPLAY
+  );
+};
+
+export const getWholePageBilingualStyleAsync = async () => {
+  return getSettingValueAsync(
+    "WHOLE_PAGE_BILINGUAL_STYLE",
+    CONFIG.WHOLE_PAGE_BILINGUAL_STYLE
+  );
+};
+
 export const getSelectElementShowOriginalOnHoverAsync = async () => {
   return getSettingValueAsync(
     "SELECT_ELEMENT_SHOW_ORIGINAL_ON_HOVER",
@@ -1509,6 +1696,10 @@ export const getWholePageAutoTranslateRulesAsync = async () => {
   );
 };
 
+export const getSiteProfilesAsync = async () => {
+  return getSettingValueAsync("SITE_PROFILES", CONFIG.SITE_PROFILES);
+};
+
 
 // --- Character Limit Getters ---
 
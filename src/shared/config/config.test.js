@@ -14,10 +14,13 @@ import {
   getPromptBASEAIFollowupAutoAsync,
   getPromptSubtitleBaseAsync,
   getPromptSubtitleBatchAsync,
+  getPromptDocumentBaseAsync,
+  getPromptDocumentBatchAsync,
   getPromptBASEScreenCaptureAsync,
   getPromptAsync,
   getPromptBASEFieldAsync,
-  getGeminiThinkingModeAsync
+  getGeminiThinkingModeAsync,
+  getModeFailoverChainAsync
 } from './config.js';
 import { storageManager } from '../storage/core/StorageCore.js';
 
@@ -285,6 +288,37 @@ describe('Config Module', () => {
     });
   });
 
+  describe('Failover Chains', () => {
+    it('getModeFailoverChainAsync returns the mode chain without duplicates or unknown providers', async () => {
+      storageManager.get.mockResolvedValue({
+        MODE_PROVIDER_FAILOVER: { [TranslationMode.Selection]: ['deepl', 'googlev2', 'deepl', 'removed-provider'] }
+      });
+
+      await expect(getModeFailoverChainAsync(TranslationMode.Selection)).resolves.toEqual(['deepl', 'googlev2']);
+    });
+
+    it('getModeFailoverChainAsync falls back to the parent mode chain', async () => {
+      storageManager.get.mockResolvedValue({
+        MODE_PROVIDER_FAILOVER: {
+          [TranslationMode.Selection]: ['deepl'],
+          [TranslationMode.Popup_Translate]: ['bing']
+        }
+      });
+
+      await expect(getModeFailoverChainAsync(TranslationMode.Dictionary_Translation)).resolves.toEqual(['deepl']);
+      await expect(getModeFailoverChainAsync(TranslationMode.Sidepanel_Translate)).resolves.toEqual(['bing']);
+      await expect(getModeFailoverChainAsync(TranslationMode.Field)).resolves.toEqual([]);
+    });
+
+    it('getModeFailoverChainAsync drops providers without bulk support for bulk modes', async () => {
+      storageManager.get.mockResolvedValue({
+        MODE_PROVIDER_FAILOVER: { [TranslationMode.Page]: ['vajehyab', 'googlev2'] }
+      });
+
+      await expect(getModeFailoverChainAsync(TranslationMode.Page)).resolves.toEqual(['googlev2']);
+    });
+  });
+
   describe('Error Handling', () => {
     it('getSettingsAsync should return defaults if storage returns null', async () => {
       storageManager.get.mockResolvedValue(null);
@@ -304,6 +338,8 @@ describe('Config Module', () => {
       ['PROMPT_BASE_AI_FOLLOWUP_AUTO', getPromptBASEAIFollowupAutoAsync],
       ['PROMPT_SUBTITLE_BASE', getPromptSubtitleBaseAsync],
       ['PROMPT_SUBTITLE_BATCH', getPromptSubtitleBatchAsync],
+      ['PROMPT_DOCUMENT_BASE', getPromptDocumentBaseAsync],
+      ['PROMPT_DOCUMENT_BATCH', getPromptDocumentBatchAsync],
       ['PROMPT_BASE_SCREEN_CAPTURE', getPromptBASEScreenCaptureAsync]
     ];
 
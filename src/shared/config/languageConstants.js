@@ -188,6 +188,18 @@ export const PROVIDER_LANGUAGE_MAPPINGS = {
     "yue": "zh", // Lingva/Google Cantonese fallback
   },
 
+  // LibreTranslate (Argos models) - codes used since v1.6; older servers
+  // ("zh", "zt") are matched by resolveLibreTranslateCode
+  LIBRETRANSLATE: {
+    "zh-cn": "zh-Hans",
+    "zh": "zh-Hans",
+    "zh-tw": "zh-Hant",
+    "pt-br": "pb",
+    "no": "nb",
+    "fil": "tl",
+    "iw": "he",
+  },
+
   // Bing Translate Language Codes
   BING: {
     auto: "auto-detect",
@@ -470,16 +482,27 @@ export const PROVIDER_SUPPORTED_LANGUAGES = {
     'pa', 'st', 'sn'
     ],
 
+    // LibreTranslate - languages of the public libretranslate.com instance.
+    // Self-hosted servers replace this with their discovered /languages list.
+    libretranslate: [
+      'ar', 'az', 'bg', 'bn', 'ca', 'cs', 'da', 'de', 'el', 'en', 'eo', 'es', 'et', 'eu', 'fa',
+      'fi', 'fr', 'ga', 'gl', 'he', 'hi', 'hu', 'id', 'it', 'ja', 'ko', 'ky', 'lt', 'lv', 'ms',
+      'nb', 'nl', 'pb', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sq', 'sr', 'sv', 'th', 'tl', 'tr',
+      'uk', 'ur', 'vi', 'zh-Hans', 'zh-Hant'
+    ],
+
     // Vajehyab - Persian dictionary service
     vajehyab: ['fa', 'en', 'ar', 'tr'],
 
-    // AI Providers (Gemini, OpenAI, OpenRouter, DeepSeek, WebAI, Custom)
+    // AI Providers (Gemini, OpenAI, Anthropic, OpenRouter, DeepSeek, WebAI, Ollama, Custom)
     // These support virtually all languages through LLM capabilities
     gemini: null, // null = supports all languages
   openai: null,
+  anthropic: null,
   openrouter: null,
   deepseek: null,
   webai: null,
+  ollama: null,
   custom: null
 };
 
@@ -511,6 +534,33 @@ export function getProviderLanguageCode(lang, provider = 'GOOGLE') {
   return normalized; // Return as-is if not found
 }
 
+// Codes used by LibreTranslate servers before v1.6, tried when the current code is not installed
+const LIBRETRANSLATE_LEGACY_CODES = {
+  'zh-hans': ['zh'],
+  'zh-hant': ['zt'],
+  'pb': ['pt-BR', 'pt'],
+  'nb': ['no'],
+};
+
+/**
+ * Maps a language code or name to the code a LibreTranslate server uses.
+ * @param {string} lang - language code or name
+ * @param {string[]} [serverCodes] - codes from the server's /languages; empty skips the check
+ * @returns {string|null} server code, or null when the server lacks the language
+ */
+export function resolveLibreTranslateCode(lang, serverCodes = []) {
+  const code = getProviderLanguageCode(lang, 'LIBRETRANSLATE');
+  if (!code) return null;
+  if (!Array.isArray(serverCodes) || serverCodes.length === 0) return code;
+
+  const candidates = [code, ...(LIBRETRANSLATE_LEGACY_CODES[code.toLowerCase()] || []), code.split(/[-_]/)[0]];
+  for (const candidate of candidates) {
+    const match = serverCodes.find(serverCode => serverCode.toLowerCase() === candidate.toLowerCase());
+    if (match) return match;
+  }
+  return null;
+}
+
 // Enhanced language mappings for AI providers that need more specific names
 const AI_ENHANCED_LANGUAGE_MAPPINGS = {
   'ar': 'Arabic (Modern Standard)',
@@ -24,8 +24,14 @@ export function getPersistedDefaultSettings() {
     APPLICATION_LOCALIZE: CONFIG.APPLICATION_LOCALIZE,
     EXTENSION_ENABLED: CONFIG.EXTENSION_ENABLED,
     ENABLE_TRANSLATION_HISTORY: CONFIG.ENABLE_TRANSLATION_HISTORY,
+    TRANSLATION_MEMORY_ENABLED: CONFIG.TRANSLATION_MEMORY_ENABLED,
+    TRANSLATION_MEMORY_MAX_ENTRIES: CONFIG.TRANSLATION_MEMORY_MAX_ENTRIES,
+    TRANSLATION_MEMORY_MAX_SIZE_MB: CONFIG.TRANSLATION_MEMORY_MAX_SIZE_MB,
+    GLOSSARY_ENABLED: CONFIG.GLOSSARY_ENABLED,
+    GLOSSARIES: CONFIG.GLOSSARIES,
     TRANSLATION_API: CONFIG.TRANSLATION_API,
     MODE_PROVIDERS: CONFIG.MODE_PROVIDERS,
+    MODE_PROVIDER_FAILOVER: CONFIG.MODE_PROVIDER_FAILOVER,
     SOURCE_LANGUAGE: CONFIG.SOURCE_LANGUAGE,
     TARGET_LANGUAGE: CONFIG.TARGET_LANGUAGE,
     LANGUAGE_DETECTION_PREFERENCES: CONFIG.LANGUAGE_DETECTION_PREFERENCES,
@@ -45,6 +51,9 @@ export function getPersistedDefaultSettings() {
     OPENAI_API_KEY: CONFIG.OPENAI_API_KEY,
     OPENAI_API_MODEL: CONFIG.OPENAI_API_MODEL,
     OPENAI_MODELS: CONFIG.OPENAI_MODELS,
+    ANTHROPIC_API_KEY: CONFIG.ANTHROPIC_API_KEY,
+    ANTHROPIC_API_MODEL: CONFIG.ANTHROPIC_API_MODEL,
+    ANTHROPIC_MODELS: CONFIG.ANTHROPIC_MODELS,
     OPENROUTER_API_KEY: CONFIG.OPENROUTER_API_KEY,
     OPENROUTER_API_MODEL: CONFIG.OPENROUTER_API_MODEL,
     OPENROUTER_MODELS: CONFIG.OPENROUTER_MODELS,
@@ -58,12 +67,19 @@ export function getPersistedDefaultSettings() {
     GEMINI_MODELS: CONFIG.GEMINI_MODELS,
     GEMINI_THINKING_MODE: CONFIG.GEMINI_THINKING_MODE,
     LINGVA_API_URL: CONFIG.LINGVA_API_URL,
+    LIBRETRANSLATE_API_URL: CONFIG.LIBRETRANSLATE_API_URL,
+    LIBRETRANSLATE_API_KEY: CONFIG.LIBRETRANSLATE_API_KEY,
+    LIBRETRANSLATE_LANGUAGES: CONFIG.LIBRETRANSLATE_LANGUAGES,
     CUSTOM_API_URL: CONFIG.CUSTOM_API_URL,
     CUSTOM_API_KEY: CONFIG.CUSTOM_API_KEY,
     CUSTOM_API_MODEL: CONFIG.CUSTOM_API_MODEL,
+    CUSTOM_PROFILES: CONFIG.CUSTOM_PROFILES,
     WEBAI_API_URL: CONFIG.WEBAI_API_URL,
     WEBAI_API_MODEL: CONFIG.WEBAI_API_MODEL,
     WEBAI_MODELS: CONFIG.WEBAI_MODELS,
+    OLLAMA_API_URL: CONFIG.OLLAMA_API_URL,
+    OLLAMA_API_MODEL: CONFIG.OLLAMA_API_MODEL,
+    OLLAMA_JSON_MODE_MODELS: CONFIG.OLLAMA_JSON_MODE_MODELS,
     DEEPL_API_KEY: CONFIG.DEEPL_API_KEY,
     DEEPL_API_TIER: CONFIG.DEEPL_API_TIER,
     DEEPL_FORMALITY: CONFIG.DEEPL_FORMALITY,
@@ -84,6 +100,8 @@ export function getPersistedDefaultSettings() {
     TRANSLATE_ON_TEXT_FIELDS: CONFIG.TRANSLATE_ON_TEXT_FIELDS,
     ENABLE_SHORTCUT_FOR_TEXT_FIELDS: CONFIG.ENABLE_SHORTCUT_FOR_TEXT_FIELDS,
     TEXT_FIELD_SHORTCUT: CONFIG.TEXT_FIELD_SHORTCUT,
+    SHORTCUTS: CONFIG.SHORTCUTS,
+    SHORTCUTS_DISABLED_SITES: CONFIG.SHORTCUTS_DISABLED_SITES,
     TRANSLATE_WITH_SELECT_ELEMENT: CONFIG.TRANSLATE_WITH_SELECT_ELEMENT,
     SELECT_ELEMENT_SHOW_ORIGINAL_ON_HOVER: CONFIG.SELECT_ELEMENT_SHOW_ORIGINAL_ON_HOVER,
     TRANSLATE_ON_TEXT_SELECTION: CONFIG.TRANSLATE_ON_TEXT_SELECTION,
@@ -94,6 +112,7 @@ export function getPersistedDefaultSettings() {
     ENABLE_SCREEN_CAPTURE: CONFIG.ENABLE_SCREEN_CAPTURE,
     OCR_DEFAULT_LANG: CONFIG.OCR_DEFAULT_LANG,
     OCR_PREFERRED_ACTION: CONFIG.OCR_PREFERRED_ACTION,
+    SCREEN_CAPTURE_DISPLAY_MODE: CONFIG.SCREEN_CAPTURE_DISPLAY_MODE,
     ACTIVE_SELECTION_ICON_ON_TEXTFIELDS: CONFIG.ACTIVE_SELECTION_ICON_ON_TEXTFIELDS,
     ENHANCED_TRIPLE_CLICK_DRAG: CONFIG.ENHANCED_TRIPLE_CLICK_DRAG,
     DICTIONARY_SHOW_PRONUNCIATION: CONFIG.DICTIONARY_SHOW_PRONUNCIATION,
@@ -132,10 +151,13 @@ export function getPersistedDefaultSettings() {
     WHOLE_PAGE_ROOT_MARGIN: CONFIG.WHOLE_PAGE_ROOT_MARGIN,
     WHOLE_PAGE_PROGRESS_UPDATE_INTERVAL: CONFIG.WHOLE_PAGE_PROGRESS_UPDATE_INTERVAL,
     WHOLE_PAGE_SHOW_ORIGINAL_ON_HOVER: CONFIG.WHOLE_PAGE_SHOW_ORIGINAL_ON_HOVER,
+    WHOLE_PAGE_BILINGUAL_DISPLAY: CONFIG.WHOLE_PAGE_BILINGUAL_DISPLAY,
+    WHOLE_PAGE_BILINGUAL_STYLE: CONFIG.WHOLE_PAGE_BILINGUAL_STYLE,
     WHOLE_PAGE_TRANSLATE_AFTER_SCROLL_STOP: CONFIG.WHOLE_PAGE_TRANSLATE_AFTER_SCROLL_STOP,
     WHOLE_PAGE_SCROLL_STOP_DELAY: CONFIG.WHOLE_PAGE_SCROLL_STOP_DELAY,
     WHOLE_PAGE_TOKEN_WARNING_HIDDEN: CONFIG.WHOLE_PAGE_TOKEN_WARNING_HIDDEN,
     WHOLE_PAGE_AUTO_TRANSLATE_RULES: CONFIG.WHOLE_PAGE_AUTO_TRANSLATE_RULES,
+    SITE_PROFILES: CONFIG.SITE_PROFILES,
     AI_CONTEXT_TRANSLATION_ENABLED: CONFIG.AI_CONTEXT_TRANSLATION_ENABLED,
     AI_CONVERSATION_HISTORY_ENABLED: CONFIG.AI_CONVERSATION_HISTORY_ENABLED,
     OPTIMIZATION_LEVEL: CONFIG.OPTIMIZATION_LEVEL,
@@ -151,6 +173,7 @@ export function getPersistedDefaultSettings() {
     MOUSE_HOVER_TIMER_DURATION: CONFIG.MOUSE_HOVER_TIMER_DURATION,
     MOUSE_HOVER_SHOW_CONTAINER_BORDER: CONFIG.MOUSE_HOVER_SHOW_CONTAINER_BORDER,
     SHOW_MOUSE_HOVER_IN_FAB: CONFIG.SHOW_MOUSE_HOVER_IN_FAB,
+    VIDEO_CAPTIONS_TRANSLATION_ENABLED: CONFIG.VIDEO_CAPTIONS_TRANSLATION_ENABLED,
   };
 
   Object.keys(defaults).forEach(key => {
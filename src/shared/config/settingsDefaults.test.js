@@ -36,6 +36,15 @@ describe('getPersistedDefaultSettings', () => {
     expect(defaults).not.toHaveProperty('OPENROUTER_API_URL');
     expect(defaults.WEBAI_API_MODEL).toBe(CONFIG.WEBAI_API_MODEL);
     expect(defaults.WEBAI_MODELS).toEqual(CONFIG.WEBAI_MODELS);
+    expect(defaults.OLLAMA_API_URL).toBe(CONFIG.OLLAMA_API_URL);
+    expect(defaults.ANTHROPIC_API_MODEL).toBe(CONFIG.ANTHROPIC_API_MODEL);
+    expect(defaults).not.toHaveProperty('ANTHROPIC_API_URL');
+    expect(defaults.OLLAMA_JSON_MODE_MODELS).toEqual({});
+    expect(defaults.MODE_PROVIDER_FAILOVER).toEqual({});
+    expect(defaults.CUSTOM_PROFILES).toEqual([]);
+    expect(defaults.LIBRETRANSLATE_API_URL).toBe(CONFIG.LIBRETRANSLATE_API_URL);
+    expect(defaults.LIBRETRANSLATE_LANGUAGES).toEqual([]);
+    expect(defaults.SITE_PROFILES).toEqual([]);
     expect(defaults.GEMINI_THINKING_MODE).toBe('default');
     expect(defaults).not.toHaveProperty('OPENAI_API_URL');
     expect(defaults.TEXT_FIELD_SHORTCUT).toBe(CONFIG.TEXT_FIELD_SHORTCUT);
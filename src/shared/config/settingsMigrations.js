@@ -214,6 +214,7 @@ function runMainMigration(currentSettings) {
     'DEEPSEEK_API_KEY',
     'DEEPL_API_KEY',
     'CUSTOM_API_KEY',
+    'LIBRETRANSLATE_API_KEY',
     'GEMINI_API_KEY',        // New multi-key setting
     'PROXY_USERNAME',        // Credentials
     'PROXY_PASSWORD'
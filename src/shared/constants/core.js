@@ -10,5 +10,7 @@ export const DEFAULT_TARGET_LANGUAGE = "fa";
 export const REPO_URLS = {
   GITHUB_MAIN: 'https://github.com/iSegaro/Translate-It',
   WEBSITE_MAIN: 'https://translate-it.app',
-  WEBAI_API: 'https://github.com/Amm1rr/WebAI-to-API'
+  WEBAI_API: 'https://github.com/Amm1rr/WebAI-to-API',
+  OLLAMA: 'https://ollama.com/download',
+  LIBRETRANSLATE: 'https://github.com/LibreTranslate/LibreTranslate'
 };
@@ -17,4 +17,8 @@ export const EXTENSION_APPS = {
     urlPath: 'src/html/pdf.html',
     launchPolicy: EXTENSION_APP_LAUNCH_POLICY.ALWAYS_CREATE,
   },
+  document: {
+    urlPath: 'src/html/document.html',
+    launchPolicy: EXTENSION_APP_LAUNCH_POLICY.FOCUS_OR_CREATE,
+  },
 };
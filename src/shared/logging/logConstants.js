@@ -34,7 +34,9 @@ export const LOG_COMPONENTS = {
   EXCLUSION: 'Exclusion',         // src/features/exclusion/
   SUBTITLE: 'Subtitle',           // src/features/subtitle/
   PDF: 'PDF',                     // src/apps/pdf/ and src/features/pdf-translation/
+  DOCUMENT: 'Document',           // src/apps/document/ and src/features/document-translation/
   HISTORY: 'History',             // src/features/history/
+  VOCABULARY: 'Vocabulary',       // src/features/vocabulary/
   SETTINGS: 'Settings',           // src/features/settings/
   WINDOWS: 'Windows',             // src/features/windows/
   ON_HOVER: 'OnHover',             // src/features/mouse-hover/
@@ -84,7 +86,7 @@ export const LOG_CATEGORIES = {
       LOG_COMPONENTS.WINDOWS, LOG_COMPONENTS.ELEMENT_SELECTION, LOG_COMPONENTS.TEXT_FIELD_INTERACTION,
       LOG_COMPONENTS.TEXT_ACTIONS, LOG_COMPONENTS.TEXT_SELECTION, LOG_COMPONENTS.TRANSLATION,
       LOG_COMPONENTS.PAGE_TRANSLATION, LOG_COMPONENTS.SHORTCUTS, LOG_COMPONENTS.EXCLUSION,
-      LOG_COMPONENTS.PDF,
+      LOG_COMPONENTS.PDF, LOG_COMPONENTS.DOCUMENT,
       LOG_COMPONENTS.SCREEN_CAPTURE, LOG_COMPONENTS.SUBTITLE, LOG_COMPONENTS.TTS,
       LOG_COMPONENTS.MOBILE, LOG_COMPONENTS.DESKTOP_FAB, LOG_COMPONENTS.ON_HOVER
     ]
@@ -100,7 +102,7 @@ export const LOG_CATEGORIES = {
   },
   DATA: {
     label: 'Data & Configuration',
-    components: [LOG_COMPONENTS.HISTORY, LOG_COMPONENTS.LEGACY, LOG_COMPONENTS.SETTINGS, LOG_COMPONENTS.STORAGE]
+    components: [LOG_COMPONENTS.HISTORY, LOG_COMPONENTS.VOCABULARY, LOG_COMPONENTS.LEGACY, LOG_COMPONENTS.SETTINGS, LOG_COMPONENTS.STORAGE]
   }
 };
 
@@ -51,6 +51,7 @@ class SettingsManager {
       ENABLE_SCREEN_CAPTURE: true,
       OCR_DEFAULT_LANG: CONFIG.OCR_DEFAULT_LANG || 'eng',
       OCR_PREFERRED_ACTION: CONFIG.OCR_PREFERRED_ACTION || 'region',
+      SCREEN_CAPTURE_DISPLAY_MODE: CONFIG.SCREEN_CAPTURE_DISPLAY_MODE || 'window',
       REQUIRE_CTRL_FOR_TEXT_SELECTION: false,
       selectionTranslationMode: SelectionTranslationMode.ON_CLICK,
       ENABLE_SHORTCUT_FOR_TEXT_FIELDS: true,
@@ -91,10 +92,15 @@ class SettingsManager {
       WHOLE_PAGE_MAX_CONCURRENT_REQUESTS: 1,
       WHOLE_PAGE_PROGRESS_UPDATE_INTERVAL: 100,
       WHOLE_PAGE_SHOW_ORIGINAL_ON_HOVER: false,
+      WHOLE_PAGE_BILINGUAL_DISPLAY: false,
+      WHOLE_PAGE_BILINGUAL_STYLE: 'underline',
       WHOLE_PAGE_TRANSLATE_AFTER_SCROLL_STOP: false,
       WHOLE_PAGE_SCROLL_STOP_DELAY: 500,
       WHOLE_PAGE_TOKEN_WARNING_HIDDEN: false,
       WHOLE_PAGE_AUTO_TRANSLATE_RULES: [],
+      SITE_PROFILES: [],
+      SHORTCUTS: {},
+      SHORTCUTS_DISABLED_SITES: [],
       CONTEXT_MENU_VISIBILITY: {
         PAGE_CONTEXT_SELECT_ELEMENT: true,
         PAGE_CONTEXT_SCREEN_CAPTURE: true,
@@ -114,7 +120,9 @@ class SettingsManager {
       MOUSE_HOVER_DELAY: 500,
       MOUSE_HOVER_AUTO_CLOSE: 'mouseleave',
       MOUSE_HOVER_TIMER_DURATION: 3000,
-      MOUSE_HOVER_SHOW_CONTAINER_BORDER: true
+      MOUSE_HOVER_SHOW_CONTAINER_BORDER: true,
+      // Live Video Caption Translation Settings
+      VIDEO_CAPTIONS_TRANSLATION_ENABLED: false
     }
 
     logger.debug('SettingsManager singleton created')
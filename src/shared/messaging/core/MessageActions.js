@@ -33,6 +33,13 @@ export class MessageActions {
   static SUBTITLE_TRANSLATE_ERROR = "SUBTITLE_TRANSLATE_ERROR";
   static SUBTITLE_TRANSLATE_CANCEL = "SUBTITLE_TRANSLATE_CANCEL";
 
+  // Document Translation (DOCX/EPUB)
+  static DOCUMENT_TRANSLATE = "DOCUMENT_TRANSLATE";
+  static DOCUMENT_TRANSLATE_PROGRESS = "DOCUMENT_TRANSLATE_PROGRESS";
+  static DOCUMENT_TRANSLATE_COMPLETE = "DOCUMENT_TRANSLATE_COMPLETE";
+  static DOCUMENT_TRANSLATE_ERROR = "DOCUMENT_TRANSLATE_ERROR";
+  static DOCUMENT_TRANSLATE_CANCEL = "DOCUMENT_TRANSLATE_CANCEL";
+
   // Select Element
   static GET_SELECT_ELEMENT_STATE = 'getSelectElementState';
   static SET_SELECT_ELEMENT_STATE = 'setSelectElementState';
@@ -42,6 +49,7 @@ export class MessageActions {
   // Whole Page Translation (NEW)
   static PAGE_TRANSLATE = 'page-translate';
   static PAGE_TRANSLATE_BATCH = 'page-translate-batch'; // For actual translation request
+  static PAGE_TRANSLATE_BATCH_PARTIAL = 'page-translate-batch-partial'; // Streamed entries of an in-flight batch
   static PAGE_TRANSLATE_START = 'page-translate-start';
   static PAGE_TRANSLATE_PROGRESS = 'page-translate-progress';
   static PAGE_TRANSLATE_COMPLETE = 'page-translate-complete';
@@ -77,6 +85,7 @@ export class MessageActions {
   static GET_HISTORY = 'GET_HISTORY';
   static CLEAR_HISTORY = 'CLEAR_HISTORY';
   static ADD_TO_HISTORY = 'ADD_TO_HISTORY';
+  static DELETE_HISTORY_ITEMS = 'DELETE_HISTORY_ITEMS';
   
   // Popup
   static Set_Exclude_Current_Page = 'setExcludeCurrentPage';
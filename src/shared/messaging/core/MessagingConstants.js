@@ -26,6 +26,7 @@ export class MessageContexts {
   static API_PROVIDER = "api-provider";
   static TRANSLATION_SERVICE = "translation-service";
   static SUBTITLE_TRANSLATION = "subtitle-translation";
+  static DOCUMENT_TRANSLATION = "document-translation";
 }
 
 /**
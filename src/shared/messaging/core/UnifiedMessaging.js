@@ -29,6 +29,7 @@ const OPERATION_TIMEOUTS = {
   'GET_HISTORY': 3000,
   'CLEAR_HISTORY': 3000,
   'ADD_TO_HISTORY': 2000,
+  'DELETE_HISTORY_ITEMS': 3000,
   'ACTIVATE_SELECT_ELEMENT_MODE': 3000,
   'DEACTIVATE_SELECT_ELEMENT_MODE': 2000,
   'GET_SELECTED_TEXT': 2000,
@@ -78,6 +78,20 @@ export class ProxyManager {
            this.config?.type;
   }
 
+  /**
+   * @param {string} url
+   * @returns {boolean} true for localhost and loopback addresses
+   * @private
+   */
+  _isLoopbackUrl(url) {
+    try {
+      const { hostname } = new URL(url);
+      return hostname === 'localhost' || hostname === '[::1]' || /^127\.\d+\.\d+\.\d+$/.test(hostname);
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Create fetch options with proxy support
    * @param {string} url - Target URL
@@ -132,6 +146,12 @@ export class ProxyManager {
       return fetch(url, options);
     }
 
+    // A remote proxy cannot reach servers on this machine (local LLMs)
+    if (this._isLoopbackUrl(url)) {
+      this.logger.debug('Loopback target, using direct fetch');
+      return fetch(url, options);
+    }
+
     const startTime = Date.now();
 
     try {
@@ -185,6 +185,7 @@ class SecureStorage {
       "DEEPSEEK_API_KEY",
       "DEEPL_API_KEY",
       "CUSTOM_API_KEY",
+      "LIBRETRANSLATE_API_KEY",
       "PROXY_PASSWORD",
     ];
 
@@ -212,6 +213,7 @@ class SecureStorage {
       "DEEPSEEK_API_KEY",
       "DEEPL_API_KEY",
       "CUSTOM_API_KEY",
+      "LIBRETRANSLATE_API_KEY",
       "PROXY_USERNAME",
       "PROXY_PASSWORD",
       "translationHistory", // Exclude history from settings export
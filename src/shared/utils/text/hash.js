@@ -0,0 +1,19 @@
+/**
+ * Shared Text Hashing Utilities
+ */
+
+/**
+ * Fast, synchronous FNV-1a hash of a string. Meant for telling contents apart
+ * (cache keys, file identities), not for security.
+ * @param {string} text - Text to hash
+ * @returns {string} 32-bit hash as a hex string
+ */
+export function hashString(text) {
+  const value = String(text ?? '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { hashString } from './hash.js';
+
+describe('hashString', () => {
+  it('should return a stable hex hash', () => {
+    expect(hashString('Hello')).toMatch(/^[0-9a-f]+$/);
+    expect(hashString('Hello')).toBe(hashString('Hello'));
+  });
+
+  it('should tell different texts apart', () => {
+    expect(hashString('Hello')).not.toBe(hashString('Hello!'));
+    expect(hashString('')).toBe('811c9dc5');
+  });
+
+  it('should treat missing input as an empty string', () => {
+    expect(hashString(null)).toBe(hashString(''));
+    expect(hashString(undefined)).toBe(hashString(''));
+  });
+});
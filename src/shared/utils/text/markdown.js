@@ -45,6 +45,16 @@ export class SimpleMarkdown {
     return hasNestedBrackets || hasPhoneticMarks || (hasLatin && hasPronunciationPunctuation);
   }
 
+  static _matchPronunciationGuide(line) {
+    const match = line.match(/^(.*?)(\s*\[((?:[^\]\n]|(?:\[[^\]\n]*\]))+)\])\s*$/);
+
+    if (!match || !this._isPronunciationGuideCandidate(match[3] || '')) {
+      return null;
+    }
+
+    return { text: match[1], guide: match[3] };
+  }
+
   static stripPronunciationGuides(text) {
     if (!text || typeof text !== 'string') {
       return text;
@@ -53,20 +63,30 @@ export class SimpleMarkdown {
     return text
       .split('\n')
       .map((line) => {
-        const match = line.match(/^(.*?)(\s*\[((?:[^\]\n]|(?:\[[^\]\n]*\]))+)\])\s*$/);
+        const match = this._matchPronunciationGuide(line);
+        return match ? match.text.trimEnd() : line;
+      })
+      .join('\n');
+  }
 
-        if (!match) {
-          return line;
-        }
+  /**
+   * Find the first trailing pronunciation guide, e.g. "news [n(y)o͞oz]" -> "n(y)o͞oz"
+   * @param {string} text - Markdown text
+   * @returns {string} The guide without brackets, or an empty string
+   */
+  static extractPronunciationGuide(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
 
-        const guideText = match[3] || '';
-        if (!this._isPronunciationGuideCandidate(guideText)) {
-          return line;
-        }
+    for (const line of text.split('\n')) {
+      const match = this._matchPronunciationGuide(line.replace(/\*\*/g, ''));
+      if (match) {
+        return match.guide;
+      }
+    }
 
-        return match[1].trimEnd();
-      })
-      .join('\n');
+    return '';
   }
 
   static render(markdown, preferredDir = "auto", options = { enableLabelFormatting: true }) {
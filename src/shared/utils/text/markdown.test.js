@@ -406,6 +406,13 @@ describe('SimpleMarkdown', () => {
       expect(SimpleMarkdown.strip("آزمایش ['āz[e]māyeš]")).toBe('آزمایش');
     });
 
+    it('should extract trailing pronunciation guides', () => {
+      expect(SimpleMarkdown.extractPronunciationGuide('news [n(y)o͞oz]')).toBe('n(y)o͞oz');
+      expect(SimpleMarkdown.extractPronunciationGuide('**گواهی** [go(a)vāhi]\n- **اسم**: مدرک')).toBe('go(a)vāhi');
+      expect(SimpleMarkdown.extractPronunciationGuide('[Chapter 1] intro')).toBe('');
+      expect(SimpleMarkdown.extractPronunciationGuide(null)).toBe('');
+    });
+
     it('should handle mixed markdown', () => {
       const input = '# Header\n\nThis is **bold** and *italic* with `code` and [link](url).';
       const expected = 'Header\n\nThis is bold and italic with code and link.';